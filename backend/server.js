@@ -11,7 +11,8 @@
  * 1. Loads environment variables (secrets, config)
  * 2. Connects to the database
  * 3. Imports and starts the Express app
- * 4. Listens for incoming HTTP requests
+ * 4. Starts the background job worker
+ * 5. Listens for incoming HTTP requests
  * 
  * WHY SEPARATE server.js FROM app.js?
  * - Separation of Concerns: server.js handles "starting up"
@@ -50,6 +51,11 @@ const connectDB = require('./src/config/database');
 // Import a logger utility (we'll create this)
 const logger = require('./src/utils/logger');
 
+// Background job queue (document processing, summaries)
+const jobService = require('./src/services/job.service');
+const documentService = require('./src/services/document.service');
+const suggestionService = require('./src/services/suggestion.service');
+
 // -----------------------------------------------------------------------------
 // STEP 3: DEFINE THE PORT
 // -----------------------------------------------------------------------------
@@ -75,6 +81,7 @@ if (process.env.NODE_ENV !== 'production') {
  * 
  * WHAT IT DOES:
  * - Connects to MongoDB database
+ * - Re-queues documents stuck in 'processing' and starts the job worker
  * - Starts the Express server
  * - Sets up graceful shutdown handlers
  * 
@@ -94,6 +101,21 @@ const startServer = async () => {
     await connectDB();
     logger.info('✅ Database connected successfully');
 
+    // ----- Start Background Jobs -----
+    // Documents left in 'processing' by a restart get a new job, then the
+    // worker starts picking up queued work (see job.service.js)
+    try {
+      await documentService.requeueStuckDocuments();
+    } catch (error) {
+      logger.error('Failed to re-queue stuck documents', { error: error.message });
+    }
+    const jobWorker = jobService.startWorker();
+
+    // Typeahead terms for documents saved before they existed (one-off)
+    suggestionService.backfillSuggestTerms().catch((error) => {
+      logger.error('Failed to backfill typeahead terms', { error: error.message });
+    });
+
     // ----- Start Express Server -----
     // app.listen() starts the HTTP server
     // It returns a server instance we can use for graceful shutdown
@@ -121,8 +143,11 @@ const startServer = async () => {
       logger.info(`\n${signal} received. Starting graceful shutdown...`);
       
       // Stop accepting new requests
-      server.close(() => {
+      server.close(async () => {
         logger.info('HTTP server closed');
+
+        // Let running jobs finish; unfinished ones are recovered on restart
+        await jobWorker.stop();
         
         // Close database connection
         const mongoose = require('mongoose');
@@ -56,9 +56,6 @@ const morgan = require('morgan');
 // Limits how many requests a client can make in a time window
 const rateLimit = require('express-rate-limit');
 
-// Path: Node.js built-in module for file paths
-const path = require('path');
-
 // Our custom logger utility
 const logger = require('./utils/logger');
 
@@ -71,6 +68,8 @@ const documentRoutes = require('./routes/document.routes');
 const collectionRoutes = require('./routes/collection.routes');
 const documentLinkRoutes = require('./routes/documentLink.routes');
 const searchRoutes = require('./routes/search.routes');
+const conversationRoutes = require('./routes/conversation.routes');
+const jobRoutes = require('./routes/job.routes');
 const userRoutes = require('./routes/user.routes');
 const organizationRoutes = require('./routes/organization.routes');
 
@@ -180,8 +179,15 @@ const loginLimiter = rateLimit({
 app.use('/api/documents', generalLimiter);
 app.use('/api/collections', generalLimiter);
 app.use('/api/search', generalLimiter);
+app.use('/api/conversations', generalLimiter);
+app.use('/api/jobs', generalLimiter);
 app.use('/api/organizations', generalLimiter);
 app.use('/api/users', generalLimiter);
+// Every SSO start stores a pending login - limit anonymous callers too
+app.use('/api/auth/sso', generalLimiter);
+// These send emails - use the strict limit
+app.use('/api/auth/forgot-password', loginLimiter);
+app.use('/api/auth/verify-email/resend', loginLimiter);
 
 // -----------------------------------------------------------------------------
 // BODY PARSING MIDDLEWARE
@@ -244,22 +250,13 @@ if (process.env.NODE_ENV === 'development') {
 // -----------------------------------------------------------------------------
 
 /**
- * express.static()
- * 
- * WHAT?
- * Serves static files (uploaded documents) from a folder.
+ * UPLOADED FILES
  * 
- * WHY?
- * When users upload documents, they're stored in /uploads.
- * This lets you access them via http://localhost:5000/uploads/filename.pdf
- * 
- * SECURITY NOTE:
- * In production, you might want to:
- * - Use signed URLs
- * - Check authentication before serving files
- * - Use a CDN or object storage (S3)
+ * Files in /uploads are NOT served statically - anyone with a file name
+ * could read any organization's documents. Downloads go through
+ * GET /api/documents/:id/download, which checks access and hands out a
+ * short-lived signed URL (see utils/signedUrl.js).
  */
-app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
 
 // -----------------------------------------------------------------------------
 // API ROUTES
@@ -272,6 +269,8 @@ app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
  * /api/auth   - Authentication (login, register, logout)
  * /api/documents - Document CRUD operations
  * /api/search - Search and AI-powered Q&A
+ * /api/conversations - Multi-turn AI Q&A threads
+ * /api/jobs   - Background job queue administration
  * /api/users  - User management
  * 
  * WHY PREFIX WITH /api?
@@ -312,6 +311,8 @@ app.use('/api/documents', documentRoutes); // Document management
 app.use('/api/collections', collectionRoutes); // Collections
 app.use('/api/document-links', documentLinkRoutes); // Document relationships
 app.use('/api/search', searchRoutes);    // Search and AI Q&A
+app.use('/api/conversations', conversationRoutes); // Multi-turn AI Q&A threads
+app.use('/api/jobs', jobRoutes);         // Background job queue (admin)
 app.use('/api/users', userRoutes);       // User management
 app.use('/api/organizations', organizationRoutes); // Organization management
 
@@ -26,6 +26,13 @@
  */
 
 const authService = require('../services/auth.service');
+const sessionService = require('../services/session.service');
+const invitationService = require('../services/invitation.service');
+const ssoService = require('../services/sso.service');
+const twoFactorService = require('../services/twoFactor.service');
+const passwordResetService = require('../services/passwordReset.service');
+const emailVerificationService = require('../services/emailVerification.service');
+const apiTokenService = require('../services/apiToken.service');
 const logger = require('../utils/logger');
 
 /**
@@ -58,6 +65,18 @@ const asyncHandler = (fn) => (req, res, next) => {
   Promise.resolve(fn(req, res, next)).catch(next);
 };
 
+/**
+ * getRequestContext()
+ * 
+ * WHAT: The device details stored with a new session
+ * 
+ * Shown to the user in the sessions list ("Chrome on Windows, 10.0.0.4").
+ */
+const getRequestContext = (req) => ({
+  userAgent: req.get('user-agent') || '',
+  ip: req.ip || '',
+});
+
 /**
  * register()
  * 
@@ -79,6 +98,7 @@ const asyncHandler = (fn) => (req, res, next) => {
  *   "message": "Registration successful",
  *   "data": {
  *     "token": "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...",
+ *     "refreshToken": "65a1...c3.9f2e...",
  *     "user": {
  *       "id": "507f1f77bcf86cd799439011",
  *       "name": "John Doe",
@@ -109,7 +129,7 @@ const register = asyncHandler(async (req, res) => {
     password,
     department,
     organizationId,
-  });
+  }, getRequestContext(req));
 
   res.status(result.statusCode).json({
     success: true,
@@ -142,6 +162,7 @@ const register = asyncHandler(async (req, res) => {
  *   "message": "Organization created successfully",
  *   "data": {
  *     "token": "...",
+ *     "refreshToken": "...",
  *     "user": { ... },
  *     "organization": { ... },
  *     "secretKey": "ORG-XXXX-XXXX-XXXX-XXXX" // SHOW ONCE!
@@ -171,7 +192,7 @@ const registerOrganization = asyncHandler(async (req, res) => {
     email,
     password,
     department,
-  });
+  }, getRequestContext(req));
 
   res.status(result.statusCode).json({
     success: true,
@@ -187,7 +208,15 @@ const registerOrganization = asyncHandler(async (req, res) => {
  * 
  * HTTP: POST /api/auth/register/employee
  * 
- * REQUEST BODY:
+ * REQUEST BODY (with an invitation link - email comes from the invitation):
+ * {
+ *   "invitationToken": "9f2e...",
+ *   "firstName": "Jane",
+ *   "lastName": "Smith",
+ *   "password": "Password123"
+ * }
+ * 
+ * REQUEST BODY (with the organization secret key):
  * {
  *   "organizationName": "Acme Corp",
  *   "secretKey": "ORG-XXXX-XXXX-XXXX-XXXX",
@@ -204,20 +233,26 @@ const registerOrganization = asyncHandler(async (req, res) => {
  *   "message": "Registration successful",
  *   "data": {
  *     "token": "...",
+ *     "refreshToken": "...",
  *     "user": { ... },
  *     "organization": { ... }
  *   }
  * }
  * 
+ * When the organization requires email verification there are no tokens
+ * yet: data is { verificationRequired: true, email, organization }.
+ * 
  * ERROR CASES:
  * - Invalid organization name (404)
  * - Invalid secret key (401)
- * - Self-registration disabled (403)
+ * - Invalid, used or expired invitation link (400)
+ * - Secret-key signup disabled (403)
  * - User limit reached (403)
  * - Email already exists (400)
  */
 const registerEmployee = asyncHandler(async (req, res) => {
   const {
+    invitationToken,
     organizationName,
     secretKey,
     firstName,
@@ -228,6 +263,7 @@ const registerEmployee = asyncHandler(async (req, res) => {
   } = req.body;
 
   const result = await authService.registerEmployee({
+    invitationToken,
     organizationName,
     secretKey,
     firstName,
@@ -235,15 +271,49 @@ const registerEmployee = asyncHandler(async (req, res) => {
     email,
     password,
     department,
-  });
+  }, getRequestContext(req));
 
   res.status(result.statusCode).json({
     success: true,
-    message: 'Registration successful. Welcome to ' + result.data.organization.name + '!',
+    message: result.data.verificationRequired
+      ? `Registration successful. We sent a verification link to ${result.data.email} - open it to sign in.`
+      : 'Registration successful. Welcome to ' + result.data.organization.name + '!',
     data: result.data,
   });
 });
 
+/**
+ * getInvitation()
+ * 
+ * WHAT: Shows what an invitation link is for, before signing up
+ * 
+ * HTTP: GET /api/auth/invitations/:token
+ * 
+ * SUCCESS RESPONSE (200):
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "email": "jane@acme.com",
+ *     "department": "Sales",
+ *     "orgRole": "employee",
+ *     "roleName": "Employee",
+ *     "organization": { "name": "Acme Corp" },
+ *     "expiresAt": "..."
+ *   }
+ * }
+ * 
+ * ERROR CASES:
+ * - Invalid, used, revoked or expired link (404)
+ */
+const getInvitation = asyncHandler(async (req, res) => {
+  const invitation = await invitationService.getInvitationByToken(req.params.token);
+
+  res.status(200).json({
+    success: true,
+    data: invitation,
+  });
+});
+
 /**
  * login()
  * 
@@ -263,12 +333,25 @@ const registerEmployee = asyncHandler(async (req, res) => {
  *   "message": "Login successful",
  *   "data": {
  *     "token": "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...",
+ *     "refreshToken": "65a1...c3.9f2e...",
  *     "user": { ... }
  *   }
  * }
  * 
+ * TWO-FACTOR RESPONSE (200) - no tokens yet, see verifyTwoFactor():
+ * {
+ *   "success": true,
+ *   "message": "Enter the code from your authenticator app",
+ *   "data": {
+ *     "twoFactorRequired": true,
+ *     "setupRequired": false,   // true: the organization requires 2FA, set it up now
+ *     "twoFactorToken": "eyJ..."
+ *   }
+ * }
+ * 
  * ERROR RESPONSES:
  * - 401: Invalid credentials
+ * - 403: Email not verified (code: EMAIL_NOT_VERIFIED) or SSO required
  * - 423: Account locked (too many attempts)
  * 
  * CALLED BY: POST /api/auth/login route
@@ -276,7 +359,45 @@ const registerEmployee = asyncHandler(async (req, res) => {
 const login = asyncHandler(async (req, res) => {
   const { email, password } = req.body;
 
-  const result = await authService.login({ email, password });
+  const result = await authService.login({ email, password }, getRequestContext(req));
+
+  res.status(result.statusCode).json({
+    success: true,
+    message: result.data.twoFactorRequired
+      ? 'Enter the code from your authenticator app'
+      : 'Login successful',
+    data: result.data,
+  });
+});
+
+/**
+ * verifyTwoFactor()
+ * 
+ * WHAT: Second login step - authenticator code or recovery code
+ * 
+ * HTTP: POST /api/auth/2fa/verify
+ * 
+ * REQUEST BODY:
+ * {
+ *   "twoFactorToken": "eyJ...",   // from login
+ *   "code": "492039"              // or "recoveryCode": "3f9a1-c21b7"
+ * }
+ * 
+ * SUCCESS RESPONSE (200): Same as a login without 2FA. When this step
+ * finished a required setup, data.recoveryCodes holds the new recovery
+ * codes (shown once).
+ * 
+ * ERROR RESPONSES:
+ * - 401: Wrong code, or the challenge expired (sign in again)
+ * - 423: Account locked (too many attempts)
+ */
+const verifyTwoFactor = asyncHandler(async (req, res) => {
+  const { twoFactorToken, code, recoveryCode } = req.body;
+
+  const result = await authService.loginWithTwoFactor(
+    { twoFactorToken, code, recoveryCode },
+    getRequestContext(req)
+  );
 
   res.status(result.statusCode).json({
     success: true,
@@ -285,6 +406,304 @@ const login = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * startTwoFactorSetup()
+ * 
+ * WHAT: Authenticator setup during login (organization requires 2FA)
+ * 
+ * HTTP: POST /api/auth/2fa/setup/challenge
+ * 
+ * REQUEST BODY: { "twoFactorToken": "eyJ..." }
+ * 
+ * SUCCESS RESPONSE (200):
+ * {
+ *   "success": true,
+ *   "data": { "secret": "JBSW...", "otpauthUrl": "otpauth://totp/...", "qrCode": "data:image/png;base64,..." }
+ * }
+ */
+const startTwoFactorSetup = asyncHandler(async (req, res) => {
+  const setup = await authService.startTwoFactorSetup(req.body.twoFactorToken);
+
+  res.status(200).json({
+    success: true,
+    data: setup,
+  });
+});
+
+/**
+ * getTwoFactorStatus()
+ * 
+ * HTTP: GET /api/auth/2fa
+ * 
+ * SUCCESS RESPONSE (200):
+ * {
+ *   "success": true,
+ *   "data": { "enabled": true, "enabledAt": "...", "recoveryCodesLeft": 8, "required": false }
+ * }
+ */
+const getTwoFactorStatus = asyncHandler(async (req, res) => {
+  const status = await twoFactorService.getStatus(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: status,
+  });
+});
+
+/**
+ * setupTwoFactor()
+ * 
+ * WHAT: Starts setting up an authenticator app (signed in)
+ * 
+ * HTTP: POST /api/auth/2fa/setup
+ * 
+ * SUCCESS RESPONSE (200): { secret, otpauthUrl, qrCode } - 2FA stays off
+ * until POST /api/auth/2fa/enable confirms a code
+ */
+const setupTwoFactor = asyncHandler(async (req, res) => {
+  const setup = await twoFactorService.startSetup(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: setup,
+  });
+});
+
+/**
+ * enableTwoFactor()
+ * 
+ * HTTP: POST /api/auth/2fa/enable
+ * 
+ * REQUEST BODY: { "code": "492039" }
+ * 
+ * SUCCESS RESPONSE (200):
+ * {
+ *   "success": true,
+ *   "message": "...",
+ *   "data": { "recoveryCodes": ["3f9a1-c21b7", ...] }   // shown once
+ * }
+ */
+const enableTwoFactor = asyncHandler(async (req, res) => {
+  const recoveryCodes = await twoFactorService.confirmSetup(req.user._id, req.body.code);
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication is on. Save your recovery codes - they will not be shown again.',
+    data: { recoveryCodes },
+  });
+});
+
+/**
+ * disableTwoFactor()
+ * 
+ * HTTP: POST /api/auth/2fa/disable
+ * 
+ * REQUEST BODY: { "password": "...", "code": "492039" }  (or "recoveryCode")
+ * 
+ * ERROR RESPONSES:
+ * - 400: Wrong password or code
+ * - 403: The organization requires 2FA
+ */
+const disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password, code, recoveryCode } = req.body;
+
+  await twoFactorService.disable(req.user._id, { password, code, recoveryCode });
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication is off.',
+  });
+});
+
+/**
+ * regenerateRecoveryCodes()
+ * 
+ * HTTP: POST /api/auth/2fa/recovery-codes
+ * 
+ * REQUEST BODY: { "code": "492039" }
+ * 
+ * SUCCESS RESPONSE (200): { recoveryCodes } - the old codes stop working
+ */
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user._id, req.body.code);
+
+  res.status(200).json({
+    success: true,
+    message: 'New recovery codes created. Save them - they will not be shown again.',
+    data: { recoveryCodes },
+  });
+});
+
+/**
+ * startSso()
+ * 
+ * WHAT: Starts a single sign-on login
+ * 
+ * HTTP: POST /api/auth/sso/start
+ * 
+ * REQUEST BODY:
+ * {
+ *   "organization": "Acme Corp"   // name or slug
+ * }
+ * 
+ * SUCCESS RESPONSE (200):
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "authorizationUrl": "https://login.acme.com/authorize?...",
+ *     "organization": { "name": "Acme Corp" }
+ *   }
+ * }
+ * 
+ * The frontend sends the browser to authorizationUrl.
+ * 
+ * ERROR RESPONSES:
+ * - 404: Organization not found
+ * - 400: SSO not set up for the organization
+ * - 502: Identity provider unreachable
+ */
+const startSso = asyncHandler(async (req, res) => {
+  const result = await ssoService.startLogin(req.body.organization);
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * ssoCallback()
+ * 
+ * WHAT: Finishes a single sign-on login
+ * 
+ * HTTP: POST /api/auth/sso/callback
+ * 
+ * REQUEST BODY (from the provider's redirect to /sso/callback):
+ * {
+ *   "code": "...",
+ *   "state": "..."
+ * }
+ * 
+ * SUCCESS RESPONSE (200): Same as login() - including the two-factor
+ * challenge, finished with POST /api/auth/2fa/verify
+ * 
+ * ERROR RESPONSES:
+ * - 400: Sign-in expired or already used
+ * - 401: ID token invalid, account deactivated
+ * - 403: Email belongs to another organization, user limit reached
+ * - 502: Identity provider rejected the code
+ */
+const ssoCallback = asyncHandler(async (req, res) => {
+  const { code, state } = req.body;
+
+  const result = await authService.loginWithSso({ code, state }, getRequestContext(req));
+
+  res.status(result.statusCode).json({
+    success: true,
+    message: result.data.twoFactorRequired
+      ? 'Enter the code from your authenticator app'
+      : 'Login successful',
+    data: result.data,
+  });
+});
+
+/**
+ * forgotPassword()
+ * 
+ * WHAT: Emails a password reset link
+ * 
+ * HTTP: POST /api/auth/forgot-password
+ * 
+ * REQUEST BODY: { "email": "jane@acme.com" }
+ * 
+ * SUCCESS RESPONSE (200) - always, so nobody can probe which emails
+ * have an account:
+ * {
+ *   "success": true,
+ *   "message": "If an account exists for that email, we sent a link to reset the password."
+ * }
+ */
+const forgotPassword = asyncHandler(async (req, res) => {
+  await passwordResetService.requestPasswordReset(req.body.email);
+
+  res.status(200).json({
+    success: true,
+    message: 'If an account exists for that email, we sent a link to reset the password.',
+  });
+});
+
+/**
+ * resetPassword()
+ * 
+ * WHAT: Sets a new password with the token from a reset link
+ * 
+ * HTTP: POST /api/auth/reset-password
+ * 
+ * REQUEST BODY: { "token": "9f2e...", "password": "NewPass123" }
+ * 
+ * ERROR RESPONSES:
+ * - 400: Link invalid, used or expired
+ */
+const resetPassword = asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+
+  await passwordResetService.resetPassword(token, password);
+
+  res.status(200).json({
+    success: true,
+    message: 'Your password has been reset. You can now log in with your new password.',
+  });
+});
+
+/**
+ * verifyEmail()
+ * 
+ * WHAT: Confirms an email address with the token from a verification link
+ * 
+ * HTTP: POST /api/auth/verify-email
+ * 
+ * REQUEST BODY: { "token": "9f2e..." }
+ * 
+ * SUCCESS RESPONSE (200):
+ * {
+ *   "success": true,
+ *   "message": "...",
+ *   "data": { "email": "jane@acme.com" }
+ * }
+ * 
+ * ERROR RESPONSES:
+ * - 400: Link invalid, used or expired
+ */
+const verifyEmail = asyncHandler(async (req, res) => {
+  const result = await emailVerificationService.verifyEmail(req.body.token);
+
+  res.status(200).json({
+    success: true,
+    message: 'Your email address is verified.',
+    data: result,
+  });
+});
+
+/**
+ * resendVerification()
+ * 
+ * WHAT: Emails a new verification link
+ * 
+ * HTTP: POST /api/auth/verify-email/resend
+ * 
+ * REQUEST BODY: { "email": "jane@acme.com" }
+ * 
+ * SUCCESS RESPONSE (200) - always, like forgotPassword()
+ */
+const resendVerification = asyncHandler(async (req, res) => {
+  await emailVerificationService.resendVerification(req.body.email);
+
+  res.status(200).json({
+    success: true,
+    message: 'If that email has an unverified account, we sent a new verification link.',
+  });
+});
+
 /**
  * getProfile()
  * 
@@ -374,15 +793,14 @@ const updateProfile = asyncHandler(async (req, res) => {
  *   "success": true,
  *   "message": "Password changed successfully",
  *   "data": {
- *     "token": "new_token_here",  // New token (old one is invalidated)
- *     "user": { ... }
+ *     "token": "new_token_here"  // New token (old one is invalidated)
  *   }
  * }
  * 
  * WHY RETURN NEW TOKEN?
  * When password changes, passwordChangedAt is updated.
- * All existing tokens become invalid.
- * The new token lets the user stay logged in.
+ * All existing tokens become invalid and every other session is
+ * signed out. The new token lets the user stay logged in here.
  * 
  * CALLED BY: POST /api/auth/change-password route
  */
@@ -392,7 +810,8 @@ const changePassword = asyncHandler(async (req, res) => {
   const result = await authService.changePassword(
     req.user._id,
     currentPassword,
-    newPassword
+    newPassword,
+    req.sessionId
   );
 
   res.status(result.statusCode).json({
@@ -410,12 +829,10 @@ const changePassword = asyncHandler(async (req, res) => {
  * HTTP: POST /api/auth/logout
  * 
  * NOTE:
- * With JWT, there's no server-side session to destroy.
- * The token is stored on the client, and the client should delete it.
- * This endpoint exists for:
- * - Logging the logout event
- * - Clearing HTTP-only cookies (if used)
- * - Consistency with traditional auth patterns
+ * Revokes the session of the token used for this request: its refresh
+ * token stops working and its access token is rejected by protect().
+ * Other devices stay signed in (see revokeAllSessions() for that).
+ * The client should still delete its stored tokens.
  * 
  * SUCCESS RESPONSE (200):
  * {
@@ -426,18 +843,14 @@ const changePassword = asyncHandler(async (req, res) => {
  * CALLED BY: POST /api/auth/logout route
  */
 const logout = asyncHandler(async (req, res) => {
+  await sessionService.revokeSession(req.sessionId, req.user._id, 'logout');
+
   // Log the logout event
   logger.info('User logged out', {
     userId: req.user._id,
     email: req.user.email,
   });
 
-  // If using cookies, clear them here:
-  // res.cookie('jwt', 'loggedout', {
-  //   expires: new Date(Date.now() + 10 * 1000),
-  //   httpOnly: true,
-  // });
-
   res.status(200).json({
     success: true,
     message: 'Logged out successfully',
@@ -476,6 +889,227 @@ const verifyToken = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * refreshToken()
+ * 
+ * WHAT: Trades a refresh token for a new access token
+ * 
+ * HTTP: POST /api/auth/refresh
+ * 
+ * REQUEST BODY:
+ * {
+ *   "refreshToken": "65a1...c3.9f2e..."
+ * }
+ * 
+ * SUCCESS RESPONSE (200):
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "token": "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...",
+ *     "refreshToken": "65a1...c3.04bd..."  // The old one no longer works
+ *   }
+ * }
+ * 
+ * ERROR RESPONSES:
+ * - 401: Unknown, already used, revoked or expired refresh token
+ * 
+ * CALLED BY: POST /api/auth/refresh route (frontend api.js, when a
+ *            request fails with 401)
+ */
+const refreshToken = asyncHandler(async (req, res) => {
+  const tokens = await sessionService.refreshSession(req.body.refreshToken, {
+    ip: req.ip || '',
+  });
+
+  res.status(200).json({
+    success: true,
+    data: tokens,
+  });
+});
+
+/**
+ * getSessions()
+ * 
+ * WHAT: Lists the devices the user is signed in on
+ * 
+ * HTTP: GET /api/auth/sessions
+ * 
+ * SUCCESS RESPONSE (200):
+ * {
+ *   "success": true,
+ *   "data": [
+ *     {
+ *       "id": "65a1...",
+ *       "device": "Chrome on Windows",
+ *       "ip": "10.0.0.4",
+ *       "createdAt": "...",
+ *       "lastUsedAt": "...",
+ *       "expiresAt": "...",
+ *       "current": true       // The session making this request
+ *     }
+ *   ]
+ * }
+ * 
+ * CALLED BY: GET /api/auth/sessions route
+ */
+const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await sessionService.listSessions(req.user._id, req.sessionId);
+
+  res.status(200).json({
+    success: true,
+    data: sessions,
+  });
+});
+
+/**
+ * revokeSession()
+ * 
+ * WHAT: Signs out one of the user's sessions ("revoke session")
+ * 
+ * HTTP: DELETE /api/auth/sessions/:id
+ * 
+ * ERROR RESPONSES:
+ * - 404: Not one of the user's active sessions
+ * 
+ * CALLED BY: DELETE /api/auth/sessions/:id route
+ */
+const revokeSession = asyncHandler(async (req, res) => {
+  await sessionService.revokeSession(req.params.id, req.user._id, 'revoked');
+
+  res.status(200).json({
+    success: true,
+    message: 'Session revoked',
+  });
+});
+
+/**
+ * revokeAllSessions()
+ * 
+ * WHAT: Signs out every session of the user, this one included
+ *       ("sign out everywhere")
+ * 
+ * HTTP: DELETE /api/auth/sessions
+ * 
+ * SUCCESS RESPONSE (200):
+ * {
+ *   "success": true,
+ *   "message": "Signed out of 3 sessions",
+ *   "data": { "revoked": 3 }
+ * }
+ * 
+ * CALLED BY: DELETE /api/auth/sessions route
+ */
+const revokeAllSessions = asyncHandler(async (req, res) => {
+  const revoked = await sessionService.revokeAllSessions(req.user._id, {
+    reason: 'signed_out_everywhere',
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Signed out of ${revoked} session${revoked === 1 ? '' : 's'}`,
+    data: { revoked },
+  });
+});
+
+/**
+ * getApiTokens()
+ * 
+ * WHAT: Lists the user's personal access tokens
+ * 
+ * HTTP: GET /api/auth/tokens
+ * 
+ * SUCCESS RESPONSE (200):
+ * {
+ *   "success": true,
+ *   "data": [
+ *     {
+ *       "id": "65a1...",
+ *       "name": "Nightly import",
+ *       "tokenHint": "aiksp_pat_x7Kq…",
+ *       "scopes": ["upload_documents", "view_documents"],
+ *       "expiresAt": "...",
+ *       "expired": false,
+ *       "lastUsedAt": "...",
+ *       "lastUsedIp": "10.0.0.4",
+ *       "createdAt": "..."
+ *     }
+ *   ]
+ * }
+ * 
+ * CALLED BY: GET /api/auth/tokens route
+ */
+const getApiTokens = asyncHandler(async (req, res) => {
+  const tokens = await apiTokenService.listTokens(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: tokens,
+  });
+});
+
+/**
+ * createApiToken()
+ * 
+ * WHAT: Creates a personal access token
+ * 
+ * HTTP: POST /api/auth/tokens
+ * 
+ * REQUEST BODY:
+ * {
+ *   "name": "Nightly import",
+ *   "scopes": ["upload_documents", "view_documents"],
+ *   "expiresInDays": 90
+ * }
+ * 
+ * SUCCESS RESPONSE (201):
+ * {
+ *   "success": true,
+ *   "message": "...",
+ *   "data": {
+ *     "token": "aiksp_pat_...",   // Shown only this once
+ *     "apiToken": { ...same fields as the list }
+ *   }
+ * }
+ * 
+ * ERROR RESPONSES:
+ * - 400: Unknown scope, a privilege the user doesn't have, expiry too
+ *        long, too many active tokens
+ * 
+ * CALLED BY: POST /api/auth/tokens route
+ */
+const createApiToken = asyncHandler(async (req, res) => {
+  const { name, scopes, expiresInDays } = req.body;
+
+  const result = await apiTokenService.createPersonalToken(req.user, { name, scopes, expiresInDays });
+
+  res.status(201).json({
+    success: true,
+    message: 'Token created. Copy it now - it won\'t be shown again.',
+    data: result,
+  });
+});
+
+/**
+ * revokeApiToken()
+ * 
+ * WHAT: Revokes one of the user's personal access tokens
+ * 
+ * HTTP: DELETE /api/auth/tokens/:id
+ * 
+ * ERROR RESPONSES:
+ * - 404: Not one of the user's tokens
+ * 
+ * CALLED BY: DELETE /api/auth/tokens/:id route
+ */
+const revokeApiToken = asyncHandler(async (req, res) => {
+  await apiTokenService.revokeToken(req.params.id, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Token revoked',
+  });
+});
+
 // =============================================================================
 // EXPORTS
 // =============================================================================
@@ -483,10 +1117,31 @@ module.exports = {
   register,
   registerOrganization,
   registerEmployee,
+  getInvitation,
   login,
+  verifyTwoFactor,
+  startTwoFactorSetup,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  startSso,
+  ssoCallback,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
   getProfile,
   updateProfile,
   changePassword,
   logout,
   verifyToken,
+  refreshToken,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
+  getApiTokens,
+  createApiToken,
+  revokeApiToken,
 };
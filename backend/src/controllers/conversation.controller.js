@@ -0,0 +1,120 @@
+/**
+ * =============================================================================
+ * CONVERSATION CONTROLLER - HTTP HANDLERS FOR MULTI-TURN Q&A
+ * =============================================================================
+ *
+ * ENDPOINTS:
+ * GET    /api/conversations           - List my conversations
+ * POST   /api/conversations           - Start a conversation
+ * GET    /api/conversations/:id       - Get a conversation with its turns
+ * POST   /api/conversations/:id/turns - Ask the next question
+ * DELETE /api/conversations/:id       - Delete a conversation
+ *
+ * Streamed answers go through POST /api/search/ask/stream with a
+ * conversationId in the body.
+ *
+ * =============================================================================
+ */
+
+const conversationService = require('../services/conversation.service');
+
+/**
+ * asyncHandler - Wraps async functions to catch errors
+ */
+const asyncHandler = (fn) => (req, res, next) => {
+  Promise.resolve(fn(req, res, next)).catch(next);
+};
+
+/**
+ * listConversations()
+ *
+ * HTTP: GET /api/conversations
+ */
+const listConversations = asyncHandler(async (req, res) => {
+  const conversations = await conversationService.listConversations(req.user);
+
+  res.status(200).json({
+    success: true,
+    data: conversations,
+  });
+});
+
+/**
+ * getConversation()
+ *
+ * HTTP: GET /api/conversations/:id
+ */
+const getConversation = asyncHandler(async (req, res) => {
+  const conversation = await conversationService.getConversation(req.params.id, req.user);
+
+  res.status(200).json({
+    success: true,
+    data: conversation,
+  });
+});
+
+/**
+ * createConversation()
+ *
+ * HTTP: POST /api/conversations
+ *
+ * REQUEST BODY:
+ * {
+ *   "title": "Leave questions",                 // optional
+ *   "question": "What is the vacation policy?"  // optional first question
+ * }
+ */
+const createConversation = asyncHandler(async (req, res) => {
+  const { conversation, result } = await conversationService.createConversation(req.body, req.user);
+
+  res.status(201).json({
+    success: true,
+    message: 'Conversation created successfully',
+    data: { conversation, answer: result },
+  });
+});
+
+/**
+ * addTurn()
+ *
+ * HTTP: POST /api/conversations/:id/turns
+ *
+ * REQUEST BODY:
+ * {
+ *   "question": "And what about contractors?"
+ * }
+ */
+const addTurn = asyncHandler(async (req, res) => {
+  const result = await conversationService.askInConversation(
+    req.params.id,
+    req.body.question,
+    req.user
+  );
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * deleteConversation()
+ *
+ * HTTP: DELETE /api/conversations/:id
+ */
+const deleteConversation = asyncHandler(async (req, res) => {
+  await conversationService.deleteConversation(req.params.id, req.user);
+
+  res.status(200).json({
+    success: true,
+    message: 'Conversation deleted successfully',
+  });
+});
+
+module.exports = {
+  listConversations,
+  getConversation,
+  createConversation,
+  addTurn,
+  deleteConversation,
+};
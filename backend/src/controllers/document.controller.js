@@ -12,17 +12,30 @@
  * 
  * ENDPOINTS:
  * - POST /api/documents - Upload document
+ * - POST /api/documents/batch - Bulk upload (many files, folders, ZIPs)
+ * - GET /api/documents/batches/:batchId - Bulk upload progress
  * - GET /api/documents - List documents
  * - GET /api/documents/:id - Get single document
  * - PATCH /api/documents/:id - Update document
  * - DELETE /api/documents/:id - Delete document
+ * - POST /api/documents/:id/summary - Regenerate AI summary
  * - GET /api/documents/stats - Get statistics
+ * - GET /api/documents/:id/download - Get a signed download URL
+ * - GET /api/documents/:id/file - Serve a file through a signed URL
+ * - POST /api/documents/:id/versions - Upload a new version
+ * - GET /api/documents/:id/revisions - Version history
+ * - GET /api/documents/:id/revisions/diff - Compare two revisions
+ * - GET /api/documents/:id/revisions/:revision/download - Signed URL for a revision
+ * - POST /api/documents/:id/revisions/:revision/restore - Restore a revision
  * 
  * =============================================================================
  */
 
+const path = require('path');
 const documentService = require('../services/document.service');
+const batchUploadService = require('../services/batchUpload.service');
 const logger = require('../utils/logger');
+const { isInlineSafe } = require('../utils/fileTypes');
 
 /**
  * asyncHandler - Wraps async functions to catch errors
@@ -101,6 +114,89 @@ const uploadDocument = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * uploadBatch()
+ * 
+ * HTTP: POST /api/documents/batch
+ * 
+ * REQUEST:
+ * - Content-Type: multipart/form-data
+ * - files: The files (repeat the field); ZIP archives are unpacked.
+ *   The file name may include its folder ("HR/Policies/leave.pdf")
+ * - category, tags, description, department, accessLevel: Defaults
+ *   for every file (optional)
+ * - folderMapping: none, tags or collections (optional)
+ * - overrides: JSON of per-file metadata keyed by path (optional)
+ * 
+ * PARTIAL FAILURE:
+ * Files that can't be uploaded are listed with their error; the batch
+ * itself still succeeds.
+ * 
+ * RESPONSE (201):
+ * {
+ *   "success": true,
+ *   "message": "12 of 14 files uploaded. Processing in progress.",
+ *   "data": { batch status, see GET /api/documents/batches/:batchId }
+ * }
+ */
+const uploadBatch = asyncHandler(async (req, res) => {
+  const defaults = {
+    category: req.body.category || undefined,
+    tags: req.body.tags || [],
+    description: req.body.description,
+    department: req.body.department,
+    accessLevel: req.body.accessLevel || undefined,
+  };
+
+  const batch = await batchUploadService.createBatch(
+    req.files || [],
+    req.rejectedFiles || [],
+    {
+      defaults,
+      overrides: req.body.overrides || {},
+      folderMapping: req.body.folderMapping,
+    },
+    req.user
+  );
+
+  const uploaded = batch.counts.total - batch.counts.rejected;
+
+  res.status(201).json({
+    success: true,
+    message: `${uploaded} of ${batch.counts.total} files uploaded.${uploaded > 0 ? ' Processing in progress.' : ''}`,
+    data: batch,
+  });
+});
+
+/**
+ * getBatchStatus()
+ * 
+ * HTTP: GET /api/documents/batches/:batchId
+ * 
+ * WHAT: Processing state of every file of a bulk upload
+ * 
+ * RESPONSE:
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "id": "...",
+ *     "state": "processing" | "completed" | "completed_with_errors",
+ *     "counts": { total, completed, processing, failed, rejected, deleted },
+ *     "items": [{ path, fileSize, documentId, title, state, error }],
+ *     "collections": [...],
+ *     "warnings": [...]
+ *   }
+ * }
+ */
+const getBatchStatus = asyncHandler(async (req, res) => {
+  const batch = await batchUploadService.getBatchStatus(req.params.batchId, req.user);
+
+  res.status(200).json({
+    success: true,
+    data: batch,
+  });
+});
+
 /**
  * getDocuments()
  * 
@@ -217,6 +313,30 @@ const getDocumentStatus = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * regenerateSummary()
+ * 
+ * HTTP: POST /api/documents/:id/summary
+ * 
+ * Starts a new AI summary in the background and answers 202 right away.
+ * Poll GET /api/documents/:id/status until summaryStatus is 'completed'
+ * or 'failed'.
+ */
+const regenerateSummary = asyncHandler(async (req, res) => {
+  const result = await documentService.regenerateSummary(
+    req.params.id,
+    req.user._id,
+    req.user.role,
+    req.user.organization // Organization scoping
+  );
+
+  res.status(202).json({
+    success: true,
+    message: 'Summary generation started',
+    data: result,
+  });
+});
+
 /**
  * updateDocument()
  * 
@@ -306,27 +426,225 @@ const getStats = asyncHandler(async (req, res) => {
 /**
  * downloadDocument()
  * 
- * HTTP: GET /api/documents/:id/download
+ * HTTP: GET /api/documents/:id/download?disposition=attachment|inline
  * 
  * ORGANIZATION SCOPING:
  * Only documents from the user's organization can be downloaded.
  * 
- * Serves the actual file for download
+ * Does NOT send the file. Returns a short-lived signed URL for it instead,
+ * which the browser can open directly (a new tab can't send our JWT).
+ * 
+ * RESPONSE:
+ * {
+ *   "success": true,
+ *   "data": { "url": "/api/documents/.../file?...", "expiresAt": "...", "fileName": "..." }
+ * }
  */
 const downloadDocument = asyncHandler(async (req, res) => {
-  const document = await documentService.getDocumentById(
+  const link = await documentService.createDownloadLink(
     req.params.id,
     req.user._id,
     req.user.role,
     req.user.department,
-    req.user.organization // Organization scoping
+    req.user.organization, // Organization scoping
+    { disposition: req.query.disposition }
+  );
+
+  res.status(200).json({
+    success: true,
+    data: link,
+  });
+});
+
+/**
+ * serveSignedFile()
+ * 
+ * HTTP: GET /api/documents/:id/file?user=&expires=&disposition=&signature=
+ * 
+ * Sends the file of a signed download link. No JWT here - the signature
+ * is the authentication (see utils/signedUrl.js).
+ *
+ * SECURITY:
+ * Only PDFs and images are sent inline. Anything else (an uploaded HTML
+ * page, for example) would run on our origin, so it is always sent as
+ * an attachment - even when an inline link was signed for it.
+ */
+const serveSignedFile = asyncHandler(async (req, res) => {
+  const { document, file, disposition } = await documentService.getSignedDownload(
+    req.params.id,
+    req.query
   );
 
   // Increment download count
   await document.incrementDownloadCount();
 
-  // Send file
-  res.download(document.filePath, document.fileName);
+  // Links are single-user and short-lived - keep them out of shared caches
+  res.set('Cache-Control', 'private, no-store');
+
+  if (disposition === 'inline' && isInlineSafe(file.fileType)) {
+    // Opened in the browser (PDF viewer) instead of saved. The document
+    // page embeds the viewer - allow our frontend to frame this response
+    // (helmet's defaults forbid any framing). The rest of helmet's
+    // Content-Security-Policy stays in place.
+    const frameAncestors = `frame-ancestors 'self' ${process.env.FRONTEND_URL || 'http://localhost:3000'}`;
+    const directives = String(res.get('Content-Security-Policy') || '')
+      .split(';')
+      .map((directive) => directive.trim())
+      .filter((directive) => directive && !directive.startsWith('frame-ancestors'));
+
+    res.removeHeader('X-Frame-Options');
+    res.set('Content-Security-Policy', [...directives, frameAncestors].join(';'));
+
+    return res.sendFile(path.resolve(file.filePath), {
+      headers: {
+        'Content-Type': file.fileType,
+        'Content-Disposition': `inline; filename*=UTF-8''${encodeURIComponent(file.fileName)}`,
+      },
+    });
+  }
+
+  res.download(file.filePath, file.fileName);
+});
+
+/**
+ * uploadNewVersion()
+ * 
+ * HTTP: POST /api/documents/:id/versions
+ * 
+ * REQUEST: multipart/form-data
+ * - file: The revised file
+ * - version: New version label (optional, keeps the old one if empty)
+ * - changeNote: What changed (optional)
+ * 
+ * The document keeps its ID; the previous version is kept as a revision.
+ * Processing runs in the background like a normal upload.
+ */
+const uploadNewVersion = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please upload a file',
+    });
+  }
+
+  const document = await documentService.uploadNewVersion(
+    req.params.id,
+    req.file,
+    {
+      version: req.body.version,
+      changeNote: req.body.changeNote,
+    },
+    req.user._id,
+    req.user.role,
+    req.user.organization // Organization scoping
+  );
+
+  res.status(202).json({
+    success: true,
+    message: 'New version uploaded. Processing in progress.',
+    data: {
+      id: document._id,
+      revision: document.revision,
+      fileName: document.fileName,
+      status: document.status,
+    },
+  });
+});
+
+/**
+ * getRevisions()
+ * 
+ * HTTP: GET /api/documents/:id/revisions
+ * 
+ * Version history, newest first; the first entry is the current version.
+ */
+const getRevisions = asyncHandler(async (req, res) => {
+  const revisions = await documentService.listRevisions(
+    req.params.id,
+    req.user._id,
+    req.user.role,
+    req.user.department,
+    req.user.organization // Organization scoping
+  );
+
+  res.status(200).json({
+    success: true,
+    data: { revisions },
+  });
+});
+
+/**
+ * diffRevisions()
+ * 
+ * HTTP: GET /api/documents/:id/revisions/diff?from=1&to=3
+ * 
+ * Compares the extracted text of two revisions line by line.
+ */
+const diffRevisions = asyncHandler(async (req, res) => {
+  const diff = await documentService.diffRevisions(
+    req.params.id,
+    req.query.from,
+    req.query.to,
+    req.user._id,
+    req.user.role,
+    req.user.department,
+    req.user.organization // Organization scoping
+  );
+
+  res.status(200).json({
+    success: true,
+    data: diff,
+  });
+});
+
+/**
+ * downloadRevision()
+ * 
+ * HTTP: GET /api/documents/:id/revisions/:revision/download
+ * 
+ * Same as downloadDocument(), for an earlier version's file.
+ */
+const downloadRevision = asyncHandler(async (req, res) => {
+  const link = await documentService.createDownloadLink(
+    req.params.id,
+    req.user._id,
+    req.user.role,
+    req.user.department,
+    req.user.organization, // Organization scoping
+    { disposition: req.query.disposition, revision: req.params.revision }
+  );
+
+  res.status(200).json({
+    success: true,
+    data: link,
+  });
+});
+
+/**
+ * restoreRevision()
+ * 
+ * HTTP: POST /api/documents/:id/revisions/:revision/restore
+ * 
+ * Makes an earlier revision the current version (as a new revision).
+ */
+const restoreRevision = asyncHandler(async (req, res) => {
+  const document = await documentService.restoreRevision(
+    req.params.id,
+    req.params.revision,
+    req.user._id,
+    req.user.role,
+    req.user.organization // Organization scoping
+  );
+
+  res.status(200).json({
+    success: true,
+    message: `Revision ${req.params.revision} restored`,
+    data: {
+      id: document._id,
+      revision: document.revision,
+      status: document.status,
+    },
+  });
 });
 
 /**
@@ -355,11 +673,39 @@ const generateHashes = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * generateEmbeddings()
+ * 
+ * HTTP: POST /api/documents/generate-embeddings
+ * 
+ * Admin-only endpoint to embed existing documents of the organization
+ * so they become visible to semantic (hybrid) retrieval
+ */
+const generateEmbeddings = asyncHandler(async (req, res) => {
+  // Only admins can do this
+  if (!req.user.isOrgAdmin && req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Admin access required',
+    });
+  }
+
+  const result = await documentService.generateMissingEmbeddings(req.user.organization);
+
+  res.status(200).json({
+    success: true,
+    message: `Generated embeddings for ${result.updated} documents`,
+    data: result,
+  });
+});
+
 // =============================================================================
 // EXPORTS
 // =============================================================================
 module.exports = {
   uploadDocument,
+  uploadBatch,
+  getBatchStatus,
   getDocuments,
   getDocument,
   getDocumentStatus,
@@ -367,5 +713,13 @@ module.exports = {
   deleteDocument,
   getStats,
   downloadDocument,
+  serveSignedFile,
   generateHashes,
+  generateEmbeddings,
+  regenerateSummary,
+  uploadNewVersion,
+  getRevisions,
+  diffRevisions,
+  downloadRevision,
+  restoreRevision,
 };
@@ -0,0 +1,61 @@
+/**
+ * =============================================================================
+ * JOB CONTROLLER - HTTP HANDLERS FOR THE BACKGROUND JOB QUEUE
+ * =============================================================================
+ *
+ * ENDPOINTS (organization admins):
+ * GET  /api/jobs           - List jobs (filter by status/type)
+ * POST /api/jobs/:id/retry - Queue a dead job again
+ *
+ * =============================================================================
+ */
+
+const jobService = require('../services/job.service');
+
+/**
+ * asyncHandler - Wraps async functions to catch errors
+ */
+const asyncHandler = (fn) => (req, res, next) => {
+  Promise.resolve(fn(req, res, next)).catch(next);
+};
+
+/**
+ * listJobs()
+ *
+ * HTTP: GET /api/jobs?status=dead&type=document.process&page=1&limit=20
+ */
+const listJobs = asyncHandler(async (req, res) => {
+  const { status, type, page = 1, limit = 20 } = req.query;
+
+  const result = await jobService.listJobs(req.organization._id, {
+    status,
+    type,
+    page,
+    limit,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * retryJob()
+ *
+ * HTTP: POST /api/jobs/:id/retry
+ */
+const retryJob = asyncHandler(async (req, res) => {
+  const job = await jobService.retryJob(req.params.id, req.organization._id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Job queued for retry',
+    data: job,
+  });
+});
+
+module.exports = {
+  listJobs,
+  retryJob,
+};
@@ -10,20 +10,36 @@
  * - GET    /api/organizations/me          - Get current user's organization
  * - PATCH  /api/organizations/me          - Update organization settings
  * - POST   /api/organizations/rotate-key  - Rotate secret key
+ * - GET    /api/organizations/sso         - Single sign-on settings
+ * - PATCH  /api/organizations/sso         - Update single sign-on settings
  * - GET    /api/organizations/users       - List users in organization
  * - POST   /api/organizations/users       - Add user to organization
  * - PATCH  /api/organizations/users/:id   - Update user
  * - DELETE /api/organizations/users/:id   - Remove user
+ * - DELETE /api/organizations/users/:id/two-factor - Reset a user's 2FA
+ * - GET    /api/organizations/invitations            - List invitations
+ * - POST   /api/organizations/invitations            - Invite an email
+ * - POST   /api/organizations/invitations/:id/resend - New invitation link
+ * - DELETE /api/organizations/invitations/:id        - Revoke invitation
  * - GET    /api/organizations/roles       - List roles
  * - POST   /api/organizations/roles       - Create role
  * - PATCH  /api/organizations/roles/:key  - Update role
  * - DELETE /api/organizations/roles/:key  - Delete role
  * - GET    /api/organizations/privileges  - List available privileges
+ * - GET    /api/organizations/analytics/* - Usage analytics (see below)
+ * - GET    /api/organizations/knowledge-gaps      - Knowledge-gap report
+ * - PATCH  /api/organizations/knowledge-gaps/:key - Assign / resolve a gap
  * 
  * =============================================================================
  */
 
 const organizationService = require('../services/organization.service');
+const invitationService = require('../services/invitation.service');
+const serviceAccountService = require('../services/serviceAccount.service');
+const ssoService = require('../services/sso.service');
+const twoFactorService = require('../services/twoFactor.service');
+const analyticsService = require('../services/analytics.service');
+const knowledgeGapService = require('../services/knowledgeGap.service');
 const logger = require('../utils/logger');
 
 /**
@@ -128,6 +144,53 @@ const rotateSecretKey = asyncHandler(async (req, res) => {
   });
 });
 
+// =============================================================================
+// SINGLE SIGN-ON
+// =============================================================================
+
+/**
+ * getSsoSettings()
+ * 
+ * HTTP: GET /api/organizations/sso
+ * 
+ * WHAT: The organization's SSO settings
+ * 
+ * NOTE: The client secret is never returned - only hasClientSecret.
+ */
+const getSsoSettings = asyncHandler(async (req, res) => {
+  const settings = await ssoService.getSsoSettings(req.organization._id);
+
+  res.status(200).json({
+    success: true,
+    data: settings,
+  });
+});
+
+/**
+ * updateSsoSettings()
+ * 
+ * HTTP: PATCH /api/organizations/sso
+ * 
+ * REQUEST BODY (all optional):
+ * - enabled, issuer, clientId, clientSecret, scopes
+ * - claims: { email, firstName, lastName, department, role }
+ * - roleMapping: { "<claim value>": "<role key>" }
+ * - passwordLoginDisabled
+ */
+const updateSsoSettings = asyncHandler(async (req, res) => {
+  const settings = await ssoService.updateSsoSettings(
+    req.organization._id,
+    req.body,
+    req.user._id
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Single sign-on settings saved',
+    data: settings,
+  });
+});
+
 // =============================================================================
 // USER MANAGEMENT
 // =============================================================================
@@ -254,6 +317,243 @@ const removeUser = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * resetUserTwoFactor()
+ * 
+ * HTTP: DELETE /api/organizations/users/:id/two-factor
+ * 
+ * WHAT: Turns off a user's two-factor authentication (lost device)
+ */
+const resetUserTwoFactor = asyncHandler(async (req, res) => {
+  await twoFactorService.resetForUser(
+    req.organization._id,
+    req.params.id,
+    req.user._id
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication reset. The user can sign in with their password.',
+  });
+});
+
+// =============================================================================
+// INVITATIONS
+// =============================================================================
+
+/**
+ * getInvitations()
+ * 
+ * HTTP: GET /api/organizations/invitations
+ * 
+ * QUERY PARAMS:
+ * - status: pending | accepted | revoked | expired (optional)
+ */
+const getInvitations = asyncHandler(async (req, res) => {
+  const invitations = await invitationService.listInvitations(
+    req.organization._id,
+    { status: req.query.status }
+  );
+
+  res.status(200).json({
+    success: true,
+    data: invitations,
+  });
+});
+
+/**
+ * createInvitation()
+ * 
+ * HTTP: POST /api/organizations/invitations
+ * 
+ * REQUEST BODY:
+ * - email (required)
+ * - orgRole (optional, defaults to org default)
+ * - department (optional)
+ * 
+ * The invitation link is emailed to the invited address.
+ */
+const createInvitation = asyncHandler(async (req, res) => {
+  const invitation = await invitationService.createInvitation(
+    req.organization._id,
+    req.body,
+    req.user._id
+  );
+
+  res.status(201).json({
+    success: true,
+    message: `Invitation sent to ${invitation.email}.`,
+    data: { invitation },
+  });
+});
+
+/**
+ * resendInvitation()
+ * 
+ * HTTP: POST /api/organizations/invitations/:id/resend
+ * 
+ * WHAT: Emails a new link (the old one stops working)
+ */
+const resendInvitation = asyncHandler(async (req, res) => {
+  const invitation = await invitationService.resendInvitation(
+    req.organization._id,
+    req.params.id,
+    req.user._id
+  );
+
+  res.status(200).json({
+    success: true,
+    message: `New invitation link sent to ${invitation.email}. The previous link no longer works.`,
+    data: { invitation },
+  });
+});
+
+/**
+ * revokeInvitation()
+ * 
+ * HTTP: DELETE /api/organizations/invitations/:id
+ */
+const revokeInvitation = asyncHandler(async (req, res) => {
+  const invitation = await invitationService.revokeInvitation(
+    req.organization._id,
+    req.params.id,
+    req.user._id
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Invitation revoked',
+    data: invitation,
+  });
+});
+
+// =============================================================================
+// SERVICE ACCOUNTS
+// =============================================================================
+
+/**
+ * getServiceAccounts()
+ * 
+ * HTTP: GET /api/organizations/service-accounts
+ * 
+ * WHAT: Lists service accounts with their tokens
+ */
+const getServiceAccounts = asyncHandler(async (req, res) => {
+  const serviceAccounts = await serviceAccountService.listServiceAccounts(req.organization._id);
+
+  res.status(200).json({
+    success: true,
+    data: serviceAccounts,
+  });
+});
+
+/**
+ * createServiceAccount()
+ * 
+ * HTTP: POST /api/organizations/service-accounts
+ * 
+ * REQUEST BODY:
+ * - name (required)
+ * - orgRole (optional, defaults to org default) - limits what its tokens can do
+ */
+const createServiceAccount = asyncHandler(async (req, res) => {
+  const serviceAccount = await serviceAccountService.createServiceAccount(
+    req.organization._id,
+    { name: req.body.name, orgRole: req.body.orgRole },
+    req.user._id
+  );
+
+  res.status(201).json({
+    success: true,
+    message: `Service account ${serviceAccount.name} created. Create a token for it to use the API.`,
+    data: serviceAccount,
+  });
+});
+
+/**
+ * updateServiceAccount()
+ * 
+ * HTTP: PATCH /api/organizations/service-accounts/:id
+ * 
+ * REQUEST BODY: name and/or orgRole
+ */
+const updateServiceAccount = asyncHandler(async (req, res) => {
+  const serviceAccount = await serviceAccountService.updateServiceAccount(
+    req.organization._id,
+    req.params.id,
+    { name: req.body.name, orgRole: req.body.orgRole || undefined }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Service account updated',
+    data: serviceAccount,
+  });
+});
+
+/**
+ * deleteServiceAccount()
+ * 
+ * HTTP: DELETE /api/organizations/service-accounts/:id
+ * 
+ * WHAT: Deactivates the service account and revokes its tokens
+ */
+const deleteServiceAccount = asyncHandler(async (req, res) => {
+  await serviceAccountService.deleteServiceAccount(req.organization._id, req.params.id, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Service account deleted. Its tokens no longer work.',
+  });
+});
+
+/**
+ * createServiceAccountToken()
+ * 
+ * HTTP: POST /api/organizations/service-accounts/:id/tokens
+ * 
+ * REQUEST BODY:
+ * - name (required)
+ * - scopes (required) - privileges of the service account's role
+ * - expiresInDays (optional, default 90)
+ * 
+ * IMPORTANT: The token is returned ONCE.
+ */
+const createServiceAccountToken = asyncHandler(async (req, res) => {
+  const { name, scopes, expiresInDays } = req.body;
+
+  const result = await serviceAccountService.createServiceAccountToken(
+    req.organization._id,
+    req.params.id,
+    { name, scopes, expiresInDays },
+    req.user._id
+  );
+
+  res.status(201).json({
+    success: true,
+    message: 'Token created. Copy it now - it won\'t be shown again.',
+    data: result,
+  });
+});
+
+/**
+ * revokeServiceAccountToken()
+ * 
+ * HTTP: DELETE /api/organizations/service-accounts/:id/tokens/:tokenId
+ */
+const revokeServiceAccountToken = asyncHandler(async (req, res) => {
+  await serviceAccountService.revokeServiceAccountToken(
+    req.organization._id,
+    req.params.id,
+    req.params.tokenId
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Token revoked',
+  });
+});
+
 // =============================================================================
 // ROLE MANAGEMENT
 // =============================================================================
@@ -358,6 +658,134 @@ const getPrivileges = asyncHandler(async (req, res) => {
   });
 });
 
+// =============================================================================
+// ANALYTICS
+// =============================================================================
+// All analytics handlers accept ?from=&to= (ISO dates, default: last 30 days)
+// and only ever report on req.organization.
+
+/**
+ * getAnalyticsOverview()
+ * 
+ * HTTP: GET /api/organizations/analytics/overview
+ * 
+ * WHAT: Headline numbers - query totals, AI vs keyword split, average
+ * response time, feedback breakdown and token usage
+ */
+const getAnalyticsOverview = asyncHandler(async (req, res) => {
+  const overview = await analyticsService.getOverview(req.organization._id, req.query);
+
+  res.status(200).json({
+    success: true,
+    data: overview,
+  });
+});
+
+/**
+ * getAnalyticsVolume()
+ * 
+ * HTTP: GET /api/organizations/analytics/volume?interval=day|week|month
+ * 
+ * WHAT: Searches and questions per period, for the volume chart
+ */
+const getAnalyticsVolume = asyncHandler(async (req, res) => {
+  const volume = await analyticsService.getQueryVolume(req.organization._id, req.query);
+
+  res.status(200).json({
+    success: true,
+    data: volume,
+  });
+});
+
+/**
+ * getAnalyticsTopQueries()
+ * 
+ * HTTP: GET /api/organizations/analytics/top-queries?limit=10
+ * 
+ * WHAT: Most frequent searches and questions
+ */
+const getAnalyticsTopQueries = asyncHandler(async (req, res) => {
+  const topQueries = await analyticsService.getTopQueries(req.organization._id, req.query);
+
+  res.status(200).json({
+    success: true,
+    data: topQueries,
+  });
+});
+
+/**
+ * getAnalyticsZeroResults()
+ * 
+ * HTTP: GET /api/organizations/analytics/zero-results?limit=10
+ * 
+ * WHAT: Queries that returned nothing (content gaps)
+ */
+const getAnalyticsZeroResults = asyncHandler(async (req, res) => {
+  const queries = await analyticsService.getZeroResultQueries(req.organization._id, req.query);
+
+  res.status(200).json({
+    success: true,
+    data: queries,
+  });
+});
+
+/**
+ * getAnalyticsCitedDocuments()
+ * 
+ * HTTP: GET /api/organizations/analytics/cited-documents?limit=10
+ * 
+ * WHAT: Documents cited most often in AI answers
+ */
+const getAnalyticsCitedDocuments = asyncHandler(async (req, res) => {
+  const documents = await analyticsService.getMostCitedDocuments(req.organization._id, req.query);
+
+  res.status(200).json({
+    success: true,
+    data: documents,
+  });
+});
+
+/**
+ * getKnowledgeGaps()
+ * 
+ * HTTP: GET /api/organizations/knowledge-gaps?status=open&limit=25
+ * 
+ * WHAT: Clusters of failed queries, most pressing first
+ */
+const getKnowledgeGaps = asyncHandler(async (req, res) => {
+  const report = await knowledgeGapService.getKnowledgeGaps(req.organization._id, req.query);
+
+  res.status(200).json({
+    success: true,
+    data: report,
+  });
+});
+
+/**
+ * updateKnowledgeGap()
+ * 
+ * HTTP: PATCH /api/organizations/knowledge-gaps/:key
+ * 
+ * WHAT: Assigns an owner to a gap, resolves or reopens it
+ * 
+ * REQUEST BODY:
+ * { label, signatures, ownerId?, status?, documentId?, note? }
+ */
+const updateKnowledgeGap = asyncHandler(async (req, res) => {
+  const gap = await knowledgeGapService.updateKnowledgeGap(
+    req.organization._id,
+    req.params.key,
+    req.body,
+    req.user._id
+  );
+
+  res.status(200).json({
+    success: true,
+    data: gap,
+    message: gap.status === 'resolved' ? 'Knowledge gap resolved' : 'Knowledge gap updated',
+  });
+});
+
 // =============================================================================
 // EXPORTS
 // =============================================================================
@@ -367,12 +795,31 @@ module.exports = {
   getMyOrganization,
   updateMyOrganization,
   rotateSecretKey,
+
+  // Single sign-on
+  getSsoSettings,
+  updateSsoSettings,
   
   // Users
   getOrganizationUsers,
   addUser,
   updateUser,
   removeUser,
+  resetUserTwoFactor,
+
+  // Invitations
+  getInvitations,
+  createInvitation,
+  resendInvitation,
+  revokeInvitation,
+
+  // Service accounts
+  getServiceAccounts,
+  createServiceAccount,
+  updateServiceAccount,
+  deleteServiceAccount,
+  createServiceAccountToken,
+  revokeServiceAccountToken,
   
   // Roles
   getRoles,
@@ -380,4 +827,15 @@ module.exports = {
   updateRole,
   deleteRole,
   getPrivileges,
+
+  // Analytics
+  getAnalyticsOverview,
+  getAnalyticsVolume,
+  getAnalyticsTopQueries,
+  getAnalyticsZeroResults,
+  getAnalyticsCitedDocuments,
+
+  // Knowledge gaps
+  getKnowledgeGaps,
+  updateKnowledgeGap,
 };
@@ -10,6 +10,7 @@
  * ENDPOINTS:
  * GET  /api/search        - Search documents
  * POST /api/search/ask    - Ask AI question
+ * POST /api/search/ask/stream - Ask AI question (streamed over SSE)
  * GET  /api/search/recent - Get recent searches
  * GET  /api/search/popular - Get popular searches
  * POST /api/search/feedback - Submit feedback
@@ -20,6 +21,8 @@
 
 const searchService = require('../services/search.service');
 const aiService = require('../services/ai.service');
+const conversationService = require('../services/conversation.service');
+const suggestionService = require('../services/suggestion.service');
 const logger = require('../utils/logger');
 
 /**
@@ -39,10 +42,14 @@ const asyncHandler = (fn) => (req, res, next) => {
  * 
  * QUERY PARAMETERS:
  * - q: Search query (required)
- * - category: Filter by category
- * - department: Filter by department
+ * - category, department, tags, fileType, accessLevel: Filters, each a
+ *   comma-separated list (tags: documents must have all of them)
+ * - uploadedBy: Uploader's user id
+ * - collection: Only documents in this collection
+ * - uploadedWithin: 7d | 30d | 365d, or dateFrom / dateTo
  * - page: Page number (default: 1)
  * - limit: Items per page (default: 10)
+ * - mode: 'hybrid' (default, keyword + semantic) or 'keyword'
  * 
  * RESPONSE:
  * {
@@ -52,12 +59,17 @@ const asyncHandler = (fn) => (req, res, next) => {
  *     "total": 50,
  *     "page": 1,
  *     "pages": 5,
- *     "queryId": "..." // For tracking clicks
+ *     "queryId": "...", // For tracking clicks
+ *     "facets": {       // Counts for the filter sidebar
+ *       "category": [{ "value": "policy", "count": 12 }, ...],
+ *       "uploadedBy": [{ "value": "...", "label": "Jane Doe", "count": 4 }, ...],
+ *       ...
+ *     }
  *   }
  * }
  */
 const search = asyncHandler(async (req, res) => {
-  const { q, category, department, page, limit } = req.query;
+  const { q, page, limit, mode } = req.query;
 
   if (!q) {
     return res.status(400).json({
@@ -66,10 +78,27 @@ const search = asyncHandler(async (req, res) => {
     });
   }
 
+  const filters = {
+    category: req.query.category,
+    department: req.query.department,
+    tags: req.query.tags,
+    fileType: req.query.fileType,
+    accessLevel: req.query.accessLevel,
+    uploadedBy: req.query.uploadedBy,
+    collection: req.query.collection,
+    uploadedWithin: req.query.uploadedWithin,
+    dateFrom: req.query.dateFrom,
+    dateTo: req.query.dateTo,
+  };
+
   const result = await searchService.searchDocuments(
     q,
-    { category, department },
-    { page: parseInt(page) || 1, limit: parseInt(limit) || 10 },
+    filters,
+    {
+      page: parseInt(page) || 1,
+      limit: parseInt(limit) || 10,
+      ...(mode === 'keyword' ? { hybrid: false } : {}),
+    },
     req.user._id,
     req.user.department,
     req.user.role,
@@ -92,7 +121,8 @@ const search = asyncHandler(async (req, res) => {
  * 
  * REQUEST BODY:
  * {
- *   "question": "What is the company's vacation policy?"
+ *   "question": "What is the company's vacation policy?",
+ *   "conversationId": "..." // Optional: answer as a follow-up in a thread
  * }
  * 
  * RESPONSE:
@@ -119,7 +149,7 @@ const search = asyncHandler(async (req, res) => {
  * 5. Answer + citations are returned
  */
 const askQuestion = asyncHandler(async (req, res) => {
-  const { question, selectedDocumentIds } = req.body;
+  const { question, selectedDocumentIds, conversationId } = req.body;
 
   if (!question) {
     return res.status(400).json({
@@ -137,13 +167,15 @@ const askQuestion = asyncHandler(async (req, res) => {
         req.user.role,
         req.user.organization // Organization scoping
       )
-    : await aiService.answerQuestion(
-        question,
-        req.user._id,
-        req.user.department,
-        req.user.role,
-        req.user.organization // Organization scoping
-      );
+    : conversationId
+      ? await conversationService.askInConversation(conversationId, question, req.user)
+      : await aiService.answerQuestion(
+          question,
+          req.user._id,
+          req.user.department,
+          req.user.role,
+          req.user.organization // Organization scoping
+        );
 
   res.status(200).json({
     success: true,
@@ -151,6 +183,92 @@ const askQuestion = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * askQuestionStream()
+ * 
+ * HTTP: POST /api/search/ask/stream
+ * 
+ * Same as askQuestion(), but the answer is streamed back as Server-Sent
+ * Events while the AI writes it.
+ * 
+ * EVENTS:
+ * - token:            { "text": "..." }   - next piece of the answer
+ * - select_documents: same payload as askQuestion's select_documents mode
+ * - done:             { citations, mindmap, queryId, responseTime,
+ *                       standaloneQuestion, conversationId }
+ * - error:            { message, statusCode }
+ * 
+ * If the client disconnects, generation is aborted and the partial
+ * answer is still logged.
+ */
+const askQuestionStream = async (req, res) => {
+  const { question, conversationId } = req.body;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // Stop nginx from buffering the stream
+  });
+  res.flushHeaders();
+
+  const sendEvent = (event, data) => {
+    if (res.writableEnded) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const abortController = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      abortController.abort();
+    }
+  });
+
+  const streamOptions = {
+    onToken: (text) => sendEvent('token', { text }),
+    signal: abortController.signal,
+  };
+
+  try {
+    const result = conversationId
+      ? await conversationService.streamInConversation(conversationId, question, req.user, streamOptions)
+      : await aiService.streamAnswer(
+          question,
+          req.user._id,
+          req.user.department,
+          req.user.role,
+          req.user.organization, // Organization scoping
+          streamOptions
+        );
+
+    if (result.mode === 'select_documents') {
+      sendEvent('select_documents', result);
+    } else {
+      sendEvent('done', {
+        citations: result.citations,
+        mindmap: result.mindmap,
+        queryId: result.queryId,
+        responseTime: result.responseTime,
+        standaloneQuestion: result.standaloneQuestion,
+        conversationId: result.conversationId,
+      });
+    }
+  } catch (error) {
+    const statusCode = error.statusCode || 500;
+
+    logger.error('Streaming answer failed', { error: error.message, statusCode });
+
+    sendEvent('error', {
+      message: statusCode < 500 || error.isOperational
+        ? error.message
+        : 'Something went wrong. Please try again.',
+      statusCode,
+    });
+  }
+
+  res.end();
+};
+
 /**
  * getRecentSearches()
  * 
@@ -174,22 +292,36 @@ const getRecentSearches = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * getAccessContext() - Who is asking, for org- and access-scoped lists
+ */
+const getAccessContext = (req) => ({
+  userId: req.user._id,
+  userRole: req.user.role,
+  userDepartment: req.user.department,
+  organizationId: req.user.organization,
+});
+
 /**
  * getPopularSearches()
  * 
  * HTTP: GET /api/search/popular
  * 
+ * Only searches of the user's organization that found documents the
+ * user can open.
+ * 
  * RESPONSE:
  * {
  *   "success": true,
  *   "data": [
- *     { "query": "vacation policy", "count": 150 },
+ *     { "query": "vacation policy", "count": 150, "lastSearched": "..." },
  *     ...
  *   ]
  * }
  */
 const getPopularSearches = asyncHandler(async (req, res) => {
-  const searches = await searchService.getPopularSearches();
+  const limit = Math.min(parseInt(req.query.limit, 10) || 10, 50);
+  const searches = await suggestionService.getPopularSearches(getAccessContext(req), limit);
 
   res.status(200).json({
     success: true,
@@ -272,22 +404,32 @@ const recordClick = asyncHandler(async (req, res) => {
  * 
  * HTTP: GET /api/search/suggestions?q=vac
  * 
- * For autocomplete functionality
+ * For autocomplete functionality: past queries, document titles and
+ * tags starting with q (see suggestion.service.js)
+ * 
+ * RESPONSE:
+ * {
+ *   "success": true,
+ *   "data": [
+ *     { "text": "vacation policy", "type": "query" },
+ *     { "text": "Vacation Policy 2024", "type": "document", "documentId": "..." },
+ *     { "text": "vacation", "type": "tag" }
+ *   ]
+ * }
  */
 const getSuggestions = asyncHandler(async (req, res) => {
   const { q } = req.query;
 
-  if (!q || q.length < 2) {
+  if (!q || typeof q !== 'string' || q.trim().length < 2) {
     return res.status(200).json({
       success: true,
       data: [],
     });
   }
 
-  const suggestions = await aiService.generateSuggestions(
-    q,
-    req.user._id,
-    req.user.department
+  const suggestions = await suggestionService.getSuggestions(
+    q.substring(0, 100),
+    getAccessContext(req)
   );
 
   res.status(200).json({
@@ -302,6 +444,7 @@ const getSuggestions = asyncHandler(async (req, res) => {
 module.exports = {
   search,
   askQuestion,
+  askQuestionStream,
   getRecentSearches,
   getPopularSearches,
   submitFeedback,
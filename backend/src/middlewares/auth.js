@@ -26,18 +26,35 @@
  * 4. Client stores JWT (localStorage/cookie)
  * 5. Client sends JWT with every request (Authorization header)
  * 6. Server verifies JWT on protected routes
+ * 7. When the JWT expires, the client trades its refresh token for a new
+ *    one (POST /api/auth/refresh)
  * 
- * WHY JWT OVER SESSIONS?
- * - Stateless: Server doesn't need to store sessions
- * - Scalable: Works across multiple servers
- * - Mobile-friendly: Works with APIs
- * - Self-contained: Contains user info
+ * WHY JWT + SESSIONS?
+ * - JWTs are self-contained and work well with APIs
+ * - But a JWT can't be revoked, so every token carries a session id (sid)
+ *   and protect() checks that the session is still active. Logging out,
+ *   "sign out everywhere" and removing a user from an organization all
+ *   revoke sessions - see services/session.service.js
+ * 
+ * API TOKENS:
+ * Scripts can send a personal access token or a service account token
+ * instead ("Bearer aiksp_..." - see services/apiToken.service.js). Such
+ * requests have req.apiToken set and can only use the token's scopes:
+ * - requirePrivilege() (organization middleware) checks the scopes
+ * - requireScope() limits routes without privilege checks
+ * - denyApiTokens() keeps tokens away from passwords, 2FA, sessions and
+ *   token management
+ * - the user's admin role and org admin flag don't apply to token
+ *   requests, so role checks never let a token through
  * 
  * =============================================================================
  */
 
 const jwt = require('jsonwebtoken');
 const { User } = require('../models');
+const sessionService = require('../services/session.service');
+const apiTokenService = require('../services/apiToken.service');
+const emailVerificationService = require('../services/emailVerification.service');
 const { AppError } = require('./errorHandler');
 const logger = require('../utils/logger');
 
@@ -47,11 +64,13 @@ const logger = require('../utils/logger');
  * WHAT: Middleware that verifies the user is authenticated
  * 
  * HOW IT WORKS:
- * 1. Extract JWT from Authorization header
- * 2. Verify the JWT signature
- * 3. Check if user still exists
- * 4. Check if password was changed after token was issued
- * 5. Attach user to request object
+ * 1. Extract JWT (or API token) from Authorization header
+ * 2. Verify the JWT signature - or look up the API token
+ * 3. Check that the token's session hasn't been revoked
+ * 4. Check if user still exists
+ * 5. Check if password was changed after token was issued
+ * 6. Check the email is verified, if the organization requires it
+ * 7. Attach user (and session id or API token) to request object
  * 
  * USAGE:
  * router.get('/protected-route', protect, (req, res) => {
@@ -87,27 +106,54 @@ const protect = async (req, res, next) => {
 
     // ----- STEP 2: VERIFY TOKEN -----
     /**
-     * jwt.verify() does two things:
-     * 1. Checks if the signature is valid (wasn't tampered with)
-     * 2. Checks if the token hasn't expired
-     * 
-     * If verification fails, it throws an error that our error handler catches.
+     * API tokens ("aiksp_...") aren't JWTs - they are looked up by their
+     * hash. They have no session and no password check (steps 3 and 6):
+     * they stay valid until they expire or are revoked.
      */
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    let decoded = null;
+    let apiToken = null;
+
+    if (apiTokenService.isApiToken(token)) {
+      apiToken = await apiTokenService.authenticate(token, { ip: req.ip });
 
-    // ----- STEP 3: CHECK IF USER STILL EXISTS -----
+      if (!apiToken) {
+        return next(new AppError('This API token is invalid, expired or revoked.', 401));
+      }
+    } else {
+      /**
+       * jwt.verify() does two things:
+       * 1. Checks if the signature is valid (wasn't tampered with)
+       * 2. Checks if the token hasn't expired
+       * 
+       * If verification fails, it throws an error that our error handler catches.
+       */
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+      // ----- STEP 3: CHECK THE SESSION -----
+      /**
+       * WHY?
+       * A valid signature only proves we issued the token. The session
+       * tells us whether the user has since logged out, signed out
+       * everywhere or been removed from their organization.
+       */
+      if (!decoded.sid || !(await sessionService.verifySession(decoded.sid, decoded.id))) {
+        return next(new AppError('Your session has expired. Please log in again.', 401));
+      }
+    }
+
+    // ----- STEP 4: CHECK IF USER STILL EXISTS -----
     /**
      * WHY?
      * The user might have been deleted after the token was issued.
      * We should not allow access with a token for a deleted user.
      */
-    const currentUser = await User.findById(decoded.id);
+    const currentUser = await User.findById(apiToken ? apiToken.user : decoded.id);
 
     if (!currentUser) {
       return next(new AppError('The user belonging to this token no longer exists.', 401));
     }
 
-    // ----- STEP 4: CHECK IF USER IS ACTIVE -----
+    // ----- STEP 5: CHECK IF USER IS ACTIVE -----
     /**
      * WHY?
      * Deactivated users should not be able to access the system.
@@ -116,7 +162,7 @@ const protect = async (req, res, next) => {
       return next(new AppError('Your account has been deactivated. Please contact support.', 401));
     }
 
-    // ----- STEP 5: CHECK IF PASSWORD WAS CHANGED -----
+    // ----- STEP 6: CHECK IF PASSWORD WAS CHANGED -----
     /**
      * WHY?
      * If the user changed their password after the token was issued,
@@ -125,22 +171,60 @@ const protect = async (req, res, next) => {
      * This is a security feature: if someone's account is compromised,
      * changing the password invalidates all existing tokens.
      */
-    if (currentUser.changedPasswordAfter(decoded.iat)) {
+    if (decoded && currentUser.changedPasswordAfter(decoded.iat)) {
       return next(new AppError('Password was recently changed. Please log in again.', 401));
     }
 
-    // ----- STEP 6: GRANT ACCESS -----
+    // ----- STEP 7: CHECK EMAIL VERIFICATION -----
+    /**
+     * WHY?
+     * An organization can start requiring verified emails while members
+     * are signed in. Their sessions stop working until they verify.
+     * (Only unverified users cost an extra lookup.)
+     */
+    if (await emailVerificationService.isVerificationRequired(currentUser)) {
+      return next(new AppError(
+        'Please verify your email address. Open the link we emailed you, or ask for a new one on the login page.',
+        403,
+        'EMAIL_NOT_VERIFIED'
+      ));
+    }
+
+    // ----- STEP 8: GRANT ACCESS -----
     /**
      * Attach the user to the request object.
      * All subsequent middleware and route handlers can access req.user
+     * (and req.sessionId, used by logout and the sessions list)
+     * 
+     * API tokens: req.apiToken and req.apiTokenScopes (what the token may
+     * use right now). The token acts with its scopes only, so the user
+     * is not treated as organization admin or platform admin for this
+     * request - isOrgAdmin and role are reset in memory (and never saved),
+     * so restrictTo('admin') and other role checks turn tokens away.
      */
+    if (apiToken) {
+      req.apiToken = apiToken;
+      req.apiTokenScopes = await apiTokenService.getEffectiveScopes(apiToken, currentUser);
+
+      if (currentUser.isOrgAdmin) {
+        currentUser.isOrgAdmin = false;
+        currentUser.unmarkModified('isOrgAdmin');
+      }
+      if (currentUser.role !== 'user') {
+        currentUser.role = 'user';
+        currentUser.unmarkModified('role');
+      }
+    }
+
     req.user = currentUser;
+    req.sessionId = decoded ? decoded.sid : null;
 
     // Log the authenticated request (for debugging)
     logger.debug('User authenticated', {
       userId: currentUser._id,
       email: currentUser.email,
       role: currentUser.role,
+      apiTokenId: apiToken?._id,
     });
 
     next();
@@ -196,6 +280,73 @@ const restrictTo = (...roles) => {
   };
 };
 
+/**
+ * requireScope()
+ * 
+ * WHAT: Middleware factory that limits what API tokens can do on a route
+ * 
+ * HOW IT WORKS:
+ * - Requests with a login session pass straight through (nothing changes
+ *   for the web app)
+ * - API token requests need ANY one of the given scopes
+ * 
+ * WHY?
+ * Routes like /api/documents don't check privileges for signed-in users,
+ * but a token created with only query_ai shouldn't be able to delete
+ * documents.
+ * 
+ * USAGE:
+ * router.use(protect);
+ * router.use(requireScope('view_documents'));
+ * router.delete('/:id', requireScope('delete_documents'), deleteDocument);
+ * 
+ * PREREQUISITES:
+ * - protect() must run first
+ * 
+ * INPUT: ...scopes - Privilege names (see ALL_PRIVILEGES)
+ * OUTPUT: Middleware function
+ */
+const requireScope = (...scopes) => {
+  return (req, res, next) => {
+    if (!req.apiToken) {
+      return next();
+    }
+
+    if (!scopes.some((scope) => req.apiTokenScopes.includes(scope))) {
+      return next(new AppError(
+        `This API token doesn't have the required scope: ${scopes.join(' or ')}`,
+        403
+      ));
+    }
+
+    next();
+  };
+};
+
+/**
+ * denyApiTokens()
+ * 
+ * WHAT: Middleware that only lets signed-in users through, not API tokens
+ * 
+ * WHY?
+ * A leaked token shouldn't be able to change the password, turn off
+ * 2FA, sign the real user out or create more tokens. These routes need
+ * someone who logged in.
+ * 
+ * USAGE:
+ * router.post('/change-password', protect, denyApiTokens, changePassword);
+ * 
+ * PREREQUISITES:
+ * - protect() must run first
+ */
+const denyApiTokens = (req, res, next) => {
+  if (req.apiToken) {
+    return next(new AppError('API tokens can\'t be used for this action. Please sign in.', 403));
+  }
+
+  next();
+};
+
 /**
  * optionalAuth()
  * 
@@ -239,11 +390,18 @@ const optionalAuth = async (req, res, next) => {
 
     // Try to verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Tokens of revoked sessions count as anonymous
+    if (!decoded.sid || !(await sessionService.verifySession(decoded.sid, decoded.id))) {
+      return next();
+    }
+
     const currentUser = await User.findById(decoded.id);
 
     // If user exists and is active, attach to request
     if (currentUser && currentUser.isActive) {
       req.user = currentUser;
+      req.sessionId = decoded.sid;
     }
 
     next();
@@ -317,6 +475,8 @@ const isResourceOwner = (getOwnerId) => {
 module.exports = {
   protect,
   restrictTo,
+  requireScope,
+  denyApiTokens,
   optionalAuth,
   isResourceOwner,
 };
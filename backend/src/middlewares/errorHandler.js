@@ -46,15 +46,20 @@ const logger = require('../utils/logger');
  * USAGE:
  * throw new AppError('User not found', 404);
  * throw new AppError('Invalid password', 401);
+ * throw new AppError('Please verify your email', 403, 'EMAIL_NOT_VERIFIED');
+ * 
+ * The optional error code is sent as "code" in the response, for errors
+ * the frontend handles specially (e.g. offering to resend an email).
  * 
  * CALLED BY: Controllers, services, anywhere errors need to be thrown
- * INPUT: message (string), statusCode (number)
+ * INPUT: message (string), statusCode (number), errorCode (string, optional)
  */
 class AppError extends Error {
-  constructor(message, statusCode) {
+  constructor(message, statusCode, errorCode = null) {
     super(message);
     
     this.statusCode = statusCode;
+    this.errorCode = errorCode;
     this.status = `${statusCode}`.startsWith('4') ? 'fail' : 'error';
     this.isOperational = true; // Distinguishes from programming errors
     
@@ -155,6 +160,7 @@ const sendErrorDev = (err, res) => {
     success: false,
     status: err.status,
     message: err.message,
+    ...(err.errorCode && { code: err.errorCode }),
     stack: err.stack,
     error: err,
   });
@@ -177,6 +183,7 @@ const sendErrorProd = (err, res) => {
       success: false,
       status: err.status,
       message: err.message,
+      ...(err.errorCode && { code: err.errorCode }),
     });
   } else {
     // Programming errors: don't leak details to client
@@ -59,7 +59,8 @@ const logger = require('../utils/logger');
  * 
  * ATTACHES TO REQ:
  * - req.organization: The full organization document
- * - req.userPrivileges: Array of user's privileges
+ * - req.userPrivileges: Array of user's privileges (for API token
+ *   requests: the token's scopes the user still has - see protect())
  * 
  * PREREQUISITES:
  * - protect() must run first (provides req.user)
@@ -96,7 +97,9 @@ const loadOrganization = async (req, res, next) => {
     req.organization = organization;
 
     // Calculate and attach user's privileges for quick access
-    req.userPrivileges = req.user.getAllPrivileges(organization);
+    req.userPrivileges = req.apiToken
+      ? req.apiTokenScopes
+      : req.user.getAllPrivileges(organization);
 
     // Log for debugging
     logger.debug('Organization loaded', {
@@ -29,6 +29,12 @@
 const multer = require('multer');
 const path = require('path');
 const { AppError } = require('./errorHandler');
+const {
+  fileTypeFor,
+  isArchive,
+  MAX_FILE_SIZE,
+  SUPPORTED_FORMATS,
+} = require('../utils/fileTypes');
 
 /**
  * STORAGE CONFIGURATION
@@ -85,24 +91,6 @@ const storage = multer.diskStorage({
   },
 });
 
-/**
- * ALLOWED FILE TYPES
- * 
- * MIME types for supported document formats:
- * - PDF: application/pdf
- * - Word 2007+: application/vnd.openxmlformats-officedocument.wordprocessingml.document
- * - Word legacy: application/msword
- * - Text: text/plain
- * - Markdown: text/markdown
- */
-const ALLOWED_TYPES = [
-  'application/pdf',
-  'application/msword',
-  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-  'text/plain',
-  'text/markdown',
-];
-
 /**
  * fileFilter()
  * 
@@ -113,18 +101,25 @@ const ALLOWED_TYPES = [
  * - Functionality: We can only process certain file types
  * - UX: Give clear error message for unsupported types
  * 
+ * The file's MIME type is replaced with the one for its extension
+ * (see utils/fileTypes.js). Files without a known extension are judged
+ * by the MIME type the browser sent.
+ * 
  * CALLED BY: Multer before saving each file
  * INPUT: req, file, callback
  * OUTPUT: Calls cb(error, accept) - accept is boolean
  */
 const fileFilter = (req, file, cb) => {
+  const fileType = fileTypeFor(file.originalname, file.mimetype);
+
   // Check if file type is allowed
-  if (ALLOWED_TYPES.includes(file.mimetype)) {
+  if (fileType) {
+    file.mimetype = fileType;
     cb(null, true); // Accept file
   } else {
     cb(
       new AppError(
-        `File type not allowed. Supported types: PDF, Word documents, and text files.`,
+        `File type not allowed. Supported types: ${SUPPORTED_FORMATS}.`,
         400
       ),
       false // Reject file
@@ -144,7 +139,73 @@ const upload = multer({
   storage,
   fileFilter,
   limits: {
-    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024, // 10MB
+    fileSize: MAX_FILE_SIZE, // 10MB default
+  },
+});
+
+/**
+ * BULK UPLOAD LIMITS
+ * 
+ * - MAX_BATCH_FILES: Files in one request (folders can hold hundreds)
+ * - MAX_ARCHIVE_SIZE: Largest single file - ZIP archives are bigger than
+ *   one document; documents are still held to MAX_FILE_SIZE afterwards
+ *   (see batchUpload.service.js)
+ */
+const MAX_BATCH_FILES = parseInt(process.env.MAX_BATCH_FILES) || 500;
+const MAX_ARCHIVE_SIZE = parseInt(process.env.MAX_ARCHIVE_SIZE) || 200 * 1024 * 1024; // 200MB
+
+/**
+ * batchFileFilter()
+ * 
+ * WHAT: fileFilter for bulk uploads
+ * 
+ * DIFFERENCE FROM fileFilter():
+ * - ZIP archives are accepted (unpacked by the batch service)
+ * - An unsupported file doesn't fail the request - it is skipped and
+ *   listed in req.rejectedFiles, so the batch reports it next to the
+ *   files that were uploaded
+ * 
+ * CALLED BY: Multer before saving each file
+ */
+const batchFileFilter = (req, file, cb) => {
+  req.rejectedFiles = req.rejectedFiles || [];
+
+  if (isArchive(file.originalname, file.mimetype)) {
+    file.isArchive = true;
+    return cb(null, true);
+  }
+
+  const fileType = fileTypeFor(file.originalname, file.mimetype);
+  if (!fileType) {
+    req.rejectedFiles.push({
+      path: file.originalname,
+      error: `File type not allowed. Supported types: ${SUPPORTED_FORMATS}.`,
+    });
+    return cb(null, false); // Skip file
+  }
+
+  file.mimetype = fileType;
+  cb(null, true);
+};
+
+/**
+ * BATCH MULTER INSTANCE
+ * 
+ * preservePath keeps folder names in file.originalname
+ * ("HR/Policies/leave.pdf") - the client sends each file's path inside
+ * the selected folder, and the batch can map folders to tags or
+ * collections.
+ * 
+ * USAGE:
+ * router.post('/documents/batch', upload.batchUpload.array('files'), ...);
+ */
+const batchUpload = multer({
+  storage,
+  fileFilter: batchFileFilter,
+  preservePath: true,
+  limits: {
+    fileSize: MAX_ARCHIVE_SIZE,
+    files: MAX_BATCH_FILES,
   },
 });
 
@@ -155,5 +216,8 @@ const upload = multer({
  * router.post('/documents', upload.single('file'), controller.upload);
  * 
  * This expects the file field to be named 'file' in the form.
+ * 
+ * upload.batchUpload handles bulk uploads (field 'files', ZIPs allowed).
  */
 module.exports = upload;
+module.exports.batchUpload = batchUpload;
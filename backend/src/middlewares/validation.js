@@ -29,6 +29,7 @@
 
 const { body, param, query, validationResult } = require('express-validator');
 const { AppError } = require('./errorHandler');
+const { parseSearchQuery } = require('../utils/searchQuery');
 
 /**
  * handleValidationErrors()
@@ -183,6 +184,22 @@ const validatePasswordChange = [
     }),
 ];
 
+/**
+ * validateRefreshToken
+ * 
+ * WHAT: Validates a token refresh request
+ * 
+ * VALIDATES:
+ * - refreshToken: Required, "<sessionId>.<random>" format
+ */
+const validateRefreshToken = [
+  body('refreshToken')
+    .isString()
+    .withMessage('Refresh token is required')
+    .matches(/^[a-f0-9]{24}\.[a-f0-9]{64}$/)
+    .withMessage('Invalid refresh token'),
+];
+
 // =============================================================================
 // DOCUMENT VALIDATORS
 // =============================================================================
@@ -292,17 +309,47 @@ const validateDocumentUpdate = [
 // SEARCH VALIDATORS
 // =============================================================================
 
+/**
+ * toList - Sanitizer: "a,b" or ?x=a&x=b → ['a', 'b']
+ */
+const toList = (value) => {
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return values.map((item) => String(item).trim()).filter(Boolean);
+};
+
+const DOCUMENT_CATEGORIES = ['policy', 'procedure', 'technical', 'hr', 'finance', 'legal', 'training', 'marketing', 'product', 'other'];
+const DOCUMENT_FILE_TYPES = [
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'text/plain',
+  'text/markdown',
+  'text/html',
+  'text/csv',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'application/rtf',
+  'application/json',
+  'message/rfc822',
+  'application/mbox',
+];
+const ACCESS_LEVELS = ['public', 'department', 'private'];
+
 /**
  * validateSearch
  * 
  * WHAT: Validates search query
  * 
  * VALIDATES:
- * - q: Required, 1-500 characters
- * - category: Optional, valid category
- * - department: Optional, string
+ * - q: Required, 1-500 characters, valid search syntax (utils/searchQuery.js)
+ * - category, department, tags, fileType, accessLevel: Optional lists
+ *   (comma-separated or repeated parameters)
+ * - uploadedBy, collection: Optional ids
+ * - uploadedWithin: Optional, 7d | 30d | 365d
+ * - dateFrom, dateTo: Optional ISO 8601 dates
  * - page: Optional, positive integer
  * - limit: Optional, 1-100
+ * - mode: Optional, 'hybrid' or 'keyword'
  */
 const validateSearch = [
   query('q')
@@ -310,19 +357,70 @@ const validateSearch = [
     .notEmpty()
     .withMessage('Search query is required')
     .isLength({ min: 1, max: 500 })
-    .withMessage('Search query must be between 1 and 500 characters'),
+    .withMessage('Search query must be between 1 and 500 characters')
+    .bail()
+    // Unclosed quotes, dangling AND / OR, unknown categories, bad dates -
+    // the parser's message says what to fix
+    .custom((value) => {
+      parseSearchQuery(value);
+      return true;
+    }),
 
   query('category')
     .optional()
-    .isIn(['policy', 'procedure', 'technical', 'hr', 'finance', 'legal', 'training', 'marketing', 'product', 'other'])
+    .customSanitizer(toList)
+    .custom((values) => values.every((value) => DOCUMENT_CATEGORIES.includes(value)))
     .withMessage('Invalid category'),
 
   query('department')
     .optional()
-    .trim()
-    .isLength({ max: 50 })
+    .customSanitizer(toList)
+    .custom((values) => values.every((value) => value.length <= 50))
     .withMessage('Department cannot exceed 50 characters'),
 
+  query('tags')
+    .optional()
+    .customSanitizer(toList)
+    .custom((values) => values.length <= 20 && values.every((value) => value.length <= 50))
+    .withMessage('At most 20 tags of up to 50 characters'),
+
+  query('fileType')
+    .optional()
+    .customSanitizer(toList)
+    .custom((values) => values.every((value) => DOCUMENT_FILE_TYPES.includes(value)))
+    .withMessage('Invalid file type'),
+
+  query('accessLevel')
+    .optional()
+    .customSanitizer(toList)
+    .custom((values) => values.every((value) => ACCESS_LEVELS.includes(value)))
+    .withMessage('Access level must be public, department or private'),
+
+  query('uploadedBy')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid uploader'),
+
+  query('collection')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid collection'),
+
+  query('uploadedWithin')
+    .optional()
+    .isIn(['7d', '30d', '365d'])
+    .withMessage('uploadedWithin must be 7d, 30d or 365d'),
+
+  query('dateFrom')
+    .optional()
+    .isISO8601()
+    .withMessage('dateFrom must be a date (ISO 8601)'),
+
+  query('dateTo')
+    .optional()
+    .isISO8601()
+    .withMessage('dateTo must be a date (ISO 8601)'),
+
   query('page')
     .optional()
     .isInt({ min: 1 })
@@ -334,6 +432,11 @@ const validateSearch = [
     .isInt({ min: 1, max: 100 })
     .withMessage('Limit must be between 1 and 100')
     .toInt(),
+
+  query('mode')
+    .optional()
+    .isIn(['hybrid', 'keyword'])
+    .withMessage('Mode must be hybrid or keyword'),
 ];
 
 /**
@@ -343,6 +446,8 @@ const validateSearch = [
  * 
  * VALIDATES:
  * - question: Required, 5-2000 characters
+ * - selectedDocumentIds: Optional, 1-2 ObjectIds
+ * - conversationId: Optional ObjectId (continue a conversation)
  */
 const validateQuestion = [
   body('question')
@@ -361,6 +466,200 @@ const validateQuestion = [
     .optional()
     .isMongoId()
     .withMessage('Each selected document ID must be a valid ObjectId'),
+
+  body('conversationId')
+    .optional()
+    .isMongoId()
+    .withMessage('Conversation ID must be a valid ObjectId'),
+];
+
+/**
+ * validateConversation
+ * 
+ * WHAT: Validates starting a conversation
+ * 
+ * VALIDATES:
+ * - title: Optional, max 200 characters
+ * - question: Optional first question, 5-2000 characters
+ */
+const validateConversation = [
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Title cannot exceed 200 characters'),
+
+  body('question')
+    .optional()
+    .trim()
+    .isLength({ min: 5, max: 2000 })
+    .withMessage('Question must be between 5 and 2000 characters'),
+];
+
+/**
+ * validateDocumentVersion
+ * 
+ * WHAT: Validates the metadata sent with a new document version
+ */
+const validateDocumentVersion = [
+  body('version')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Version cannot exceed 50 characters')
+    .escape(),
+
+  body('changeNote')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Change note cannot exceed 500 characters'),
+];
+
+/**
+ * parseOverrides - Sanitizer: JSON string of per-file metadata → object
+ * Left as is when it isn't JSON, so the validator below reports it.
+ */
+const parseOverrides = (value) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+};
+
+/**
+ * checkOverrides - Validator for per-file metadata of a bulk upload
+ * { "HR/leave.pdf": { title, description, category, tags, accessLevel } }
+ */
+const checkOverrides = (overrides) => {
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new Error('overrides must be a JSON object keyed by file path');
+  }
+
+  Object.entries(overrides).forEach(([filePath, metadata]) => {
+    if (!metadata || typeof metadata !== 'object') {
+      throw new Error(`Metadata for "${filePath}" must be an object`);
+    }
+    if (metadata.title !== undefined && (typeof metadata.title !== 'string' || metadata.title.length > 200)) {
+      throw new Error(`Title for "${filePath}" must be text of at most 200 characters`);
+    }
+    if (metadata.description !== undefined && (typeof metadata.description !== 'string' || metadata.description.length > 1000)) {
+      throw new Error(`Description for "${filePath}" cannot exceed 1000 characters`);
+    }
+    if (metadata.category !== undefined && !DOCUMENT_CATEGORIES.includes(metadata.category)) {
+      throw new Error(`Invalid category for "${filePath}"`);
+    }
+    if (metadata.accessLevel !== undefined && !ACCESS_LEVELS.includes(metadata.accessLevel)) {
+      throw new Error(`Invalid access level for "${filePath}"`);
+    }
+    if (metadata.tags !== undefined
+      && (!Array.isArray(metadata.tags) || metadata.tags.some((tag) => typeof tag !== 'string' || tag.length > 50))) {
+      throw new Error(`Tags for "${filePath}" must be a list of tags of at most 50 characters`);
+    }
+  });
+
+  return true;
+};
+
+/**
+ * validateDocumentBatch
+ * 
+ * WHAT: Validates the metadata of a bulk upload (POST /api/documents/batch)
+ * 
+ * FIELDS (multipart form):
+ * - category, tags, description, department, accessLevel: defaults for
+ *   every file
+ * - folderMapping: none, tags or collections
+ * - overrides: JSON of per-file metadata, keyed by path
+ */
+const validateDocumentBatch = [
+  body('category')
+    .optional({ values: 'falsy' })
+    .isIn(DOCUMENT_CATEGORIES)
+    .withMessage('Invalid category'),
+
+  body('tags')
+    .optional()
+    .customSanitizer(toList)
+    .custom((tags) => tags.every((tag) => tag.length <= 50))
+    .withMessage('Each tag cannot exceed 50 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description cannot exceed 1000 characters'),
+
+  body('department')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Department cannot exceed 50 characters')
+    .escape(),
+
+  body('accessLevel')
+    .optional({ values: 'falsy' })
+    .isIn(ACCESS_LEVELS)
+    .withMessage('Access level must be public, department, or private'),
+
+  body('folderMapping')
+    .optional({ values: 'falsy' })
+    .isIn(['none', 'tags', 'collections'])
+    .withMessage('Folder mapping must be none, tags or collections'),
+
+  body('overrides')
+    .optional({ values: 'falsy' })
+    .customSanitizer(parseOverrides)
+    .custom(checkOverrides),
+];
+
+/**
+ * validateRevisionDiff
+ * 
+ * WHAT: Validates the two revision numbers of a diff
+ */
+const validateRevisionDiff = [
+  query('from')
+    .isInt({ min: 1 })
+    .withMessage('from must be a revision number')
+    .toInt(),
+
+  query('to')
+    .isInt({ min: 1 })
+    .withMessage('to must be a revision number')
+    .toInt(),
+];
+
+/**
+ * validateJobList
+ * 
+ * WHAT: Validates job queue listing filters
+ */
+const validateJobList = [
+  query('status')
+    .optional()
+    .isIn(['queued', 'running', 'completed', 'dead'])
+    .withMessage('Invalid job status'),
+
+  query('type')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Job type cannot exceed 50 characters'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
 ];
 
 // =============================================================================
@@ -381,6 +680,491 @@ const validateObjectId = (paramName) => [
     .withMessage(`Invalid ${paramName} format`),
 ];
 
+/**
+ * validateRevisionNumber
+ * 
+ * WHAT: Validates the :revision route parameter
+ */
+const validateRevisionNumber = [
+  param('revision')
+    .isInt({ min: 1 })
+    .withMessage('Invalid revision number')
+    .toInt(),
+];
+
+/**
+ * validateAnalyticsQuery
+ * 
+ * WHAT: Validates analytics report parameters
+ * 
+ * VALIDATES:
+ * - from, to: Optional ISO 8601 dates
+ * - interval: Optional, day | week | month
+ * - limit: Optional, 1-100
+ */
+const validateAnalyticsQuery = [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be a date (ISO 8601)'),
+
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be a date (ISO 8601)'),
+
+  query('interval')
+    .optional()
+    .isIn(['day', 'week', 'month'])
+    .withMessage('interval must be day, week or month'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('limit must be between 1 and 100')
+    .toInt(),
+];
+
+/**
+ * validateKnowledgeGapQuery
+ * 
+ * WHAT: Validates knowledge-gap report parameters
+ * (the analytics parameters plus a status filter)
+ */
+const validateKnowledgeGapQuery = [
+  ...validateAnalyticsQuery,
+
+  query('status')
+    .optional()
+    .isIn(['open', 'resolved', 'all'])
+    .withMessage('status must be open, resolved or all'),
+];
+
+/**
+ * validateKnowledgeGapUpdate
+ * 
+ * WHAT: Validates assigning / resolving a knowledge gap
+ * 
+ * VALIDATES:
+ * - key: Cluster key from the report (16 hex characters)
+ * - label, signatures: Sent by the report, identify the cluster
+ * - ownerId, documentId: Optional ids (null clears them)
+ * - status: Optional, open | resolved
+ * - note: Optional, max 1000 characters
+ */
+const validateKnowledgeGapUpdate = [
+  param('key')
+    .matches(/^[a-f0-9]{16}$/)
+    .withMessage('Invalid knowledge gap key'),
+
+  body('label')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Label must be 1-2000 characters'),
+
+  body('signatures')
+    .optional()
+    .isArray({ max: 500 })
+    .withMessage('signatures must be a list'),
+
+  body('signatures.*')
+    .isString()
+    .isLength({ max: 2000 })
+    .withMessage('Invalid signature'),
+
+  body('ownerId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid owner'),
+
+  body('documentId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid document'),
+
+  body('status')
+    .optional()
+    .isIn(['open', 'resolved'])
+    .withMessage('status must be open or resolved'),
+
+  body('note')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Note cannot exceed 1000 characters'),
+];
+
+/**
+ * validateInvitation
+ * 
+ * WHAT: Validates inviting someone to the organization
+ * 
+ * VALIDATES:
+ * - email: Required, valid email
+ * - orgRole: Optional role key (default: the organization's default role)
+ * - department: Optional, max 50 characters
+ */
+const validateInvitation = [
+  body('email')
+    .trim()
+    .notEmpty()
+    .withMessage('Email is required')
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail(),
+
+  body('orgRole')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Invalid role'),
+
+  body('department')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Department cannot exceed 50 characters')
+    .escape(),
+];
+
+/**
+ * validateInvitationQuery
+ * 
+ * WHAT: Validates the status filter of the invitations list
+ */
+const validateInvitationQuery = [
+  query('status')
+    .optional({ values: 'falsy' })
+    .isIn(['pending', 'accepted', 'revoked', 'expired'])
+    .withMessage('status must be pending, accepted, revoked or expired'),
+];
+
+/**
+ * validateInvitationToken
+ * 
+ * WHAT: Validates the token of an invitation link (64 hex characters)
+ */
+const validateInvitationToken = [
+  param('token')
+    .matches(/^[a-f0-9]{64}$/)
+    .withMessage('Invalid invitation link'),
+];
+
+/**
+ * TWO-FACTOR AUTHENTICATION
+ * 
+ * - code: 6 digits from the authenticator app
+ * - recoveryCode: xxxxx-xxxxx (the dash is optional)
+ * - twoFactorToken: the challenge token from POST /api/auth/login
+ */
+const twoFactorCode = (field = body('code')) => field
+  .trim()
+  .matches(/^\d{6}$/)
+  .withMessage('Enter the 6-digit code from your authenticator app');
+
+const recoveryCode = () => body('recoveryCode')
+  .optional({ values: 'falsy' })
+  .trim()
+  .matches(/^[a-f0-9]{5}-?[a-f0-9]{5}$/i)
+  .withMessage('Invalid recovery code');
+
+const twoFactorToken = () => body('twoFactorToken')
+  .isString()
+  .withMessage('Your sign-in has expired. Please sign in again.')
+  .bail()
+  .notEmpty()
+  .withMessage('Your sign-in has expired. Please sign in again.');
+
+// Either an authenticator code or a recovery code
+const codeOrRecoveryCode = () => [
+  twoFactorCode(body('code').if(body('recoveryCode').not().exists({ values: 'falsy' }))),
+  recoveryCode(),
+];
+
+/**
+ * validateTwoFactorVerify
+ * 
+ * WHAT: Validates the second login step
+ */
+const validateTwoFactorVerify = [
+  twoFactorToken(),
+  ...codeOrRecoveryCode(),
+];
+
+/**
+ * validateTwoFactorChallenge
+ * 
+ * WHAT: Validates authenticator setup during login
+ */
+const validateTwoFactorChallenge = [
+  twoFactorToken(),
+];
+
+/**
+ * validateTwoFactorCode
+ * 
+ * WHAT: Validates enabling 2FA and regenerating recovery codes
+ */
+const validateTwoFactorCode = [
+  twoFactorCode(),
+];
+
+/**
+ * validateTwoFactorDisable
+ * 
+ * WHAT: Validates turning 2FA off (password + code or recovery code)
+ */
+const validateTwoFactorDisable = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  ...codeOrRecoveryCode(),
+];
+
+/**
+ * PASSWORD RESET & EMAIL VERIFICATION
+ * 
+ * - email: Where to send the link
+ * - token: From the emailed link (64 hex characters)
+ */
+const linkEmail = () => body('email')
+  .trim()
+  .notEmpty()
+  .withMessage('Email is required')
+  .isEmail()
+  .withMessage('Please provide a valid email address')
+  .normalizeEmail();
+
+const linkToken = (message) => body('token')
+  .isString()
+  .withMessage(message)
+  .bail()
+  .matches(/^[a-f0-9]{64}$/)
+  .withMessage(message);
+
+/**
+ * validateEmailLinkRequest
+ * 
+ * WHAT: Validates "forgot password" and "resend verification email"
+ */
+const validateEmailLinkRequest = [
+  linkEmail(),
+];
+
+/**
+ * validatePasswordReset
+ * 
+ * WHAT: Validates setting a new password from a reset link
+ * 
+ * VALIDATES:
+ * - token: From the link
+ * - password: Same rules as registration
+ */
+const validatePasswordReset = [
+  linkToken('This password reset link is invalid or has expired. Please request a new one.'),
+
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required')
+    .isLength({ min: 8 })
+    .withMessage('Password must be at least 8 characters')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number'),
+];
+
+/**
+ * validateEmailVerification
+ * 
+ * WHAT: Validates redeeming an email verification link
+ */
+const validateEmailVerification = [
+  linkToken('This verification link is invalid or has expired. Sign in to get a new one.'),
+];
+
+/**
+ * API TOKENS & SERVICE ACCOUNTS
+ * 
+ * - name: A label for the token or service account
+ * - scopes: Privileges for the token (the service checks they exist and
+ *   that the account has them)
+ * - expiresInDays: Whole days; the maximum is API_TOKEN_MAX_EXPIRES_DAYS
+ * - orgRole: Role key of a service account
+ */
+const serviceAccountName = () => body('name')
+  .trim()
+  .notEmpty()
+  .withMessage('Name is required')
+  .isLength({ min: 2, max: 50 })
+  .withMessage('Name must be between 2 and 50 characters');
+
+const serviceAccountRole = () => body('orgRole')
+  .optional({ values: 'falsy' })
+  .trim()
+  .isLength({ min: 2, max: 50 })
+  .withMessage('Invalid role');
+
+/**
+ * validateApiTokenCreate
+ * 
+ * WHAT: Validates creating a personal access token or service account token
+ */
+const validateApiTokenCreate = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Token name is required')
+    .isLength({ max: 100 })
+    .withMessage('Token name cannot exceed 100 characters'),
+
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('Choose at least one scope for the token'),
+
+  body('scopes.*')
+    .isString()
+    .withMessage('Invalid scope'),
+
+  body('expiresInDays')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('expiresInDays must be a whole number of days')
+    .toInt(),
+];
+
+/**
+ * validateServiceAccount
+ * 
+ * WHAT: Validates creating a service account
+ */
+const validateServiceAccount = [
+  serviceAccountName(),
+  serviceAccountRole(),
+];
+
+/**
+ * validateServiceAccountUpdate
+ * 
+ * WHAT: Validates renaming a service account or changing its role
+ */
+const validateServiceAccountUpdate = [
+  serviceAccountName().optional(),
+  serviceAccountRole(),
+];
+
+/**
+ * validateSsoStart
+ * 
+ * WHAT: Validates starting a single sign-on login
+ * 
+ * VALIDATES:
+ * - organization: Required, the organization's name or slug
+ */
+const validateSsoStart = [
+  body('organization')
+    .isString()
+    .withMessage('Organization is required')
+    .bail()
+    .trim()
+    .notEmpty()
+    .withMessage('Organization is required')
+    .isLength({ max: 100 })
+    .withMessage('Organization name cannot exceed 100 characters'),
+];
+
+/**
+ * validateSsoCallback
+ * 
+ * WHAT: Validates the code and state the identity provider sent back
+ */
+const validateSsoCallback = [
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Authorization code is required')
+    .isLength({ max: 4096 })
+    .withMessage('Invalid authorization code'),
+
+  body('state')
+    .isString()
+    .matches(/^[A-Za-z0-9_-]{43}$/)
+    .withMessage('Invalid sign-in state'),
+];
+
+/**
+ * validateSsoConfig
+ * 
+ * WHAT: Validates an organization's SSO settings (all fields optional)
+ * 
+ * VALIDATES:
+ * - enabled, syncRoleOnLogin, passwordLoginDisabled: Booleans
+ * - issuer: http(s) URL of the identity provider
+ * - clientId, clientSecret: Strings from the provider's app registration
+ * - scopes: Space-separated, must include "openid"
+ * - claims.*: Claim names (dotted paths allowed, empty = not used)
+ * - roleMapping: { "<claim value>": "<role key>" }
+ */
+const validateSsoConfig = [
+  body(['enabled', 'syncRoleOnLogin', 'passwordLoginDisabled'])
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Must be true or false'),
+
+  body('issuer')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('Issuer must be a URL like https://login.example.com'),
+
+  body('clientId')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Client ID cannot exceed 255 characters'),
+
+  body('clientSecret')
+    .optional()
+    .isString()
+    .isLength({ max: 1024 })
+    .withMessage('Client secret cannot exceed 1024 characters'),
+
+  body('scopes')
+    .optional()
+    .isString()
+    .trim()
+    .custom((value) => value.split(/\s+/).includes('openid'))
+    .withMessage('Scopes must include "openid"'),
+
+  body('claims')
+    .optional()
+    .isObject()
+    .withMessage('claims must be an object'),
+
+  body(['claims.email', 'claims.firstName', 'claims.lastName', 'claims.department', 'claims.role'])
+    .optional()
+    .isString()
+    .trim()
+    .matches(/^[\w.:/-]{0,100}$/)
+    .withMessage('Invalid claim name'),
+
+  body('claims.email')
+    .optional()
+    .notEmpty()
+    .withMessage('The email claim is required'),
+
+  body('roleMapping')
+    .optional()
+    .isObject()
+    .withMessage('roleMapping must be an object')
+    .custom((mapping) => Object.entries(mapping).every(
+      ([value, roleKey]) => value.length <= 100 && !value.includes('.') && !value.startsWith('$') && typeof roleKey === 'string'
+    ))
+    .withMessage('Role mapping must map claim values to role keys'),
+];
+
 /**
  * validateFeedback
  * 
@@ -523,24 +1307,42 @@ const validateOrganizationSignup = [
     .escape(),
 ];
 
+/**
+ * joiningWithKey - True when the signup has no invitation token
+ * 
+ * A new chain per use: express-validator runs it as the condition of .if()
+ */
+const joiningWithKey = () => body('invitationToken').not().exists({ values: 'falsy' });
+
 /**
  * validateEmployeeSignup
  * 
  * WHAT: Validates employee signup (joining existing org)
  * 
  * VALIDATES:
- * - organizationName: Required
- * - secretKey: Required, in format ORG-XXXX-XXXX-XXXX-XXXX
- * - firstName, lastName, email, password: Same as registration
+ * - invitationToken: Optional, the token from an invitation link
+ * - organizationName: Required without an invitation
+ * - secretKey: Required without an invitation, in format ORG-XXXX-XXXX-XXXX-XXXX
+ * - firstName, lastName, password: Same as registration
+ * - email: Same as registration, without an invitation (invitations
+ *   carry the email)
  * - department: Optional
  */
 const validateEmployeeSignup = [
+  body('invitationToken')
+    .optional({ values: 'falsy' })
+    .isString()
+    .matches(/^[a-f0-9]{64}$/)
+    .withMessage('Invalid invitation link'),
+
   body('organizationName')
+    .if(joiningWithKey())
     .trim()
     .notEmpty()
     .withMessage('Organization name is required'),
 
   body('secretKey')
+    .if(joiningWithKey())
     .trim()
     .notEmpty()
     .withMessage('Organization secret key is required')
@@ -564,6 +1366,7 @@ const validateEmployeeSignup = [
     .escape(),
 
   body('email')
+    .if(joiningWithKey())
     .trim()
     .notEmpty()
     .withMessage('Email is required')
@@ -595,12 +1398,38 @@ module.exports = {
   validateRegistration,
   validateLogin,
   validatePasswordChange,
+  validateRefreshToken,
   validateDocumentUpload,
   validateDocumentUpdate,
   validateSearch,
   validateQuestion,
+  validateConversation,
+  validateJobList,
+  validateDocumentVersion,
+  validateDocumentBatch,
+  validateRevisionDiff,
   validateObjectId,
+  validateRevisionNumber,
   validateFeedback,
+  validateAnalyticsQuery,
+  validateKnowledgeGapQuery,
+  validateKnowledgeGapUpdate,
+  validateInvitation,
+  validateInvitationQuery,
+  validateInvitationToken,
+  validateSsoStart,
+  validateSsoCallback,
+  validateSsoConfig,
+  validateTwoFactorVerify,
+  validateTwoFactorChallenge,
+  validateTwoFactorCode,
+  validateTwoFactorDisable,
+  validateEmailLinkRequest,
+  validatePasswordReset,
+  validateEmailVerification,
+  validateApiTokenCreate,
+  validateServiceAccount,
+  validateServiceAccountUpdate,
   validateUserUpdate,
   validateAdminUserUpdate,
   validateOrganizationSignup,
@@ -0,0 +1,133 @@
+/**
+ * =============================================================================
+ * API TOKEN MODEL - PERSONAL ACCESS TOKENS AND SERVICE ACCOUNT TOKENS
+ * =============================================================================
+ *
+ * WHAT IS THIS FILE?
+ * Long-lived tokens for scripts and integrations. They are sent like a
+ * login token ("Authorization: Bearer aiksp_...") but don't need a
+ * password, a refresh or a browser.
+ *
+ * TWO KINDS:
+ * - personal: created by a user on their profile page, acts as that user
+ * - service_account: created by an admin for a service account (a user
+ *   record with accountType 'service_account' that can't sign in)
+ *
+ * WHAT A TOKEN CAN DO:
+ * Each token has scopes - a subset of ALL_PRIVILEGES chosen when it is
+ * created. A request can use a privilege only if the token has the scope
+ * AND its user still has the privilege (see apiToken.service).
+ *
+ * =============================================================================
+ */
+
+const mongoose = require('mongoose');
+
+const apiTokenSchema = new mongoose.Schema(
+  {
+    // Label chosen by the creator, e.g. "Nightly import script"
+    name: {
+      type: String,
+      required: [true, 'Token name is required'],
+      trim: true,
+      maxlength: [100, 'Token name cannot exceed 100 characters'],
+    },
+
+    kind: {
+      type: String,
+      enum: ['personal', 'service_account'],
+      required: true,
+    },
+
+    // The user the token acts as (the service account for service_account tokens)
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: true,
+    },
+
+    // Who created it (the admin, for service account tokens)
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+
+    /**
+     * tokenHash - SHA-256 of the token
+     *
+     * The token itself is shown once, when it is created. Like a
+     * password, only the hash is stored.
+     */
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+
+    // Start of the token ("aiksp_pat_x7Kq…") so users can tell tokens apart
+    tokenHint: {
+      type: String,
+      default: '',
+    },
+
+    // Privileges the token may use (subset of ALL_PRIVILEGES)
+    scopes: [{
+      type: String,
+      trim: true,
+    }],
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+
+    // Updated at most every few minutes (see apiToken.service)
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedIp: {
+      type: String,
+      default: '',
+    },
+
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+
+    /**
+     * revokedReason - Why the token stopped working
+     * EXAMPLES: 'revoked', 'removed', 'deactivated', 'service_account_deleted'
+     */
+    revokedReason: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Token list of a user / service account
+apiTokenSchema.index({ user: 1, revokedAt: 1, createdAt: -1 });
+
+/**
+ * isActive - Not revoked and not expired
+ */
+apiTokenSchema.virtual('isActive').get(function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+const ApiToken = mongoose.model('ApiToken', apiTokenSchema);
+
+module.exports = ApiToken;
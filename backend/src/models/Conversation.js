@@ -0,0 +1,126 @@
+/**
+ * =============================================================================
+ * CONVERSATION MODEL - MULTI-TURN AI Q&A THREADS
+ * =============================================================================
+ *
+ * WHAT IS THIS FILE?
+ * Stores a thread of questions and answers so users can ask follow-ups
+ * ("and what about contractors?") that build on earlier turns.
+ *
+ * OWNERSHIP:
+ * A conversation belongs to one user in one organization. Nobody else -
+ * not even organization admins - can read or continue it.
+ *
+ * TURNS:
+ * Each turn keeps the question as typed, the standalone version used for
+ * retrieval, the answer and its citations. Turns are append-only.
+ *
+ * =============================================================================
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * MAX_TURNS - Upper bound on turns per conversation
+ * WHY: Keeps documents well below MongoDB's 16MB limit
+ */
+const MAX_TURNS = 100;
+
+// Sub-schema for answer citations (same shape as QueryLog.citedDocuments)
+const citationSchema = new mongoose.Schema({
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+  },
+  documentTitle: String,
+  chunkIndex: Number,
+  startPage: Number,
+  endPage: Number,
+  sectionPath: String,
+  excerpt: String,
+}, { _id: false });
+
+// Sub-schema for a single question/answer exchange
+const turnSchema = new mongoose.Schema({
+  question: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [2000, 'Question cannot exceed 2000 characters'],
+  },
+  // The follow-up rewritten so it can be understood on its own
+  standaloneQuestion: {
+    type: String,
+    trim: true,
+  },
+  answer: {
+    type: String,
+    default: '',
+  },
+  citations: [citationSchema],
+  queryLog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QueryLog',
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+const conversationSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Title cannot exceed 200 characters'],
+      default: 'New conversation',
+    },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    turns: {
+      type: [turnSchema],
+      validate: {
+        validator: (turns) => turns.length <= MAX_TURNS,
+        message: `A conversation cannot have more than ${MAX_TURNS} turns`,
+      },
+    },
+    lastMessageAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Sidebar listing: a user's most recent conversations
+conversationSchema.index({ organization: 1, user: 1, lastMessageAt: -1 });
+
+/**
+ * getHistory()
+ *
+ * WHAT: Turns in the { question, answer } shape the AI service expects
+ */
+conversationSchema.methods.getHistory = function () {
+  return this.turns.map((turn) => ({
+    question: turn.question,
+    answer: turn.answer,
+  }));
+};
+
+const Conversation = mongoose.model('Conversation', conversationSchema);
+
+Conversation.MAX_TURNS = MAX_TURNS;
+
+module.exports = Conversation;
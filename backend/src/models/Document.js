@@ -31,6 +31,8 @@
  */
 
 const mongoose = require('mongoose');
+const { rankChunks, fuseRankings } = require('../utils/chunkRanker');
+const { cosineSimilarity } = require('../services/embedding.service');
 
 /**
  * documentSchema - Defines the structure of a Document
@@ -110,6 +112,23 @@ const documentSchema = new mongoose.Schema(
       trim: true,
       lowercase: true,
     }],
+
+    /**
+     * suggestTerms - Lowercased prefixes for search-as-you-type
+     * 
+     * EXAMPLE: title "Vacation Policy 2024", tags ['hr'] →
+     * ['vacation policy 2024', 'policy 2024', '2024', 'hr']
+     * 
+     * WHY?
+     * A prefix regex (/^pol/) on an indexed field is an index range scan.
+     * Storing every word position lets "pol" find the title too.
+     * Maintained by the pre-save hook - never set it directly.
+     */
+    suggestTerms: {
+      type: [String],
+      default: undefined,
+      select: false,
+    },
     
     /**
      * category - Main category of the document
@@ -151,7 +170,38 @@ const documentSchema = new mongoose.Schema(
       maxlength: [50, 'Version cannot exceed 50 characters'],
       default: '',
     },
-    
+
+    /**
+     * revision - Number of the current version (1 for a fresh upload)
+     *
+     * Earlier versions are stored as DocumentRevision records; uploading a
+     * new version keeps this document's _id and hash so collections and
+     * links stay intact. See DocumentRevision.js.
+     */
+    revision: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+
+    // What changed in the current revision, and who uploaded it when
+    // (null/empty for the original upload)
+    revisionNote: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Change note cannot exceed 500 characters'],
+      default: '',
+    },
+    revisionUploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    revisionCreatedAt: {
+      type: Date,
+      default: null,
+    },
+
     /**
      * department - Which department the document belongs to
      * 
@@ -190,6 +240,7 @@ const documentSchema = new mongoose.Schema(
      * - 'application/pdf' for PDFs
      * - 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' for DOCX
      * - 'text/plain' for TXT
+     * - 'text/csv', 'message/rfc822', ... (see middlewares/upload.js)
      * 
      * WHY?
      * - Determines which parser to use
@@ -206,6 +257,14 @@ const documentSchema = new mongoose.Schema(
           'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
           'text/plain',
           'text/markdown',
+          'text/html',
+          'text/csv',
+          'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+          'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+          'application/rtf',
+          'application/json',
+          'message/rfc822',
+          'application/mbox',
         ],
         message: 'Unsupported file type',
       },
@@ -266,9 +325,9 @@ const documentSchema = new mongoose.Schema(
      * HOW IT'S GENERATED:
      * 1. Document is uploaded
      * 2. Text is extracted
-     * 3. We send text to Gemini API
-     * 4. Gemini generates a summary
-     * 5. Summary is stored here
+     * 3. Once the document is active, the text is sent to the LLM
+     *    (long documents are summarized section by section first)
+     * 4. Summary is stored here
      * 
      * WHY?
      * - Users can quickly understand document contents
@@ -279,6 +338,25 @@ const documentSchema = new mongoose.Schema(
       type: String,
       default: '',
     },
+
+    /**
+     * summaryStatus - Where summary generation stands
+     * 
+     * - pending: Waiting for the document to finish processing
+     * - generating: The LLM is working on it
+     * - completed: summary is up to date
+     * - failed: No provider available or generation failed
+     */
+    summaryStatus: {
+      type: String,
+      enum: ['pending', 'generating', 'completed', 'failed'],
+      default: 'pending',
+    },
+
+    summaryUpdatedAt: {
+      type: Date,
+      default: null,
+    },
     
     /**
      * chunks - Text chunks for RAG (Retrieval Augmented Generation)
@@ -299,6 +377,8 @@ const documentSchema = new mongoose.Schema(
      * - chunkIndex: Position in document (for ordering)
      * - startPage: Where chunk starts (for citation)
      * - endPage: Where chunk ends
+     * - sectionPath: Headings the chunk is under ("Benefits > Leave")
+     * - embedding: Vector for semantic retrieval (see embedding.service.js)
      */
     chunks: [{
       text: {
@@ -317,8 +397,39 @@ const documentSchema = new mongoose.Schema(
         type: Number,
         default: null,
       },
+      sectionPath: {
+        type: String,
+        default: null,
+      },
+      embedding: {
+        type: [Number],
+        default: undefined,
+      },
     }],
     
+    /**
+     * embedding - Document-level vector (normalized mean of chunk vectors)
+     * 
+     * WHY?
+     * Semantic search first compares the query against these small vectors
+     * and only loads the chunks of the closest documents.
+     */
+    embedding: {
+      type: [Number],
+      default: undefined,
+    },
+    
+    /**
+     * embeddingModel - Which embedding provider produced the vectors
+     * 
+     * Vectors from different providers can't be compared, so retrieval
+     * only uses documents embedded with the currently active provider.
+     */
+    embeddingModel: {
+      type: String,
+      default: null,
+    },
+    
     // ==========================================================================
     // OWNERSHIP & ACCESS
     // ==========================================================================
@@ -475,7 +586,19 @@ const documentSchema = new mongoose.Schema(
   },
   {
     timestamps: true, // Adds createdAt and updatedAt
-    toJSON: { virtuals: true },
+    toJSON: {
+      virtuals: true,
+      // Vectors are internal to retrieval - never send them to clients
+      transform: (doc, ret) => {
+        delete ret.embedding;
+        if (Array.isArray(ret.chunks)) {
+          ret.chunks.forEach((chunk) => {
+            delete chunk.embedding;
+          });
+        }
+        return ret;
+      },
+    },
     toObject: { virtuals: true },
   }
 );
@@ -529,6 +652,9 @@ documentSchema.index({ organization: 1, status: 1 });
 documentSchema.index({ organization: 1, createdAt: -1 });
 documentSchema.index({ organization: 1, category: 1 });
 documentSchema.index({ organization: 1, department: 1 });
+documentSchema.index({ organization: 1, embeddingModel: 1 });
+// Typeahead: prefix lookups on suggestTerms (see suggestion.service.js)
+documentSchema.index({ organization: 1, status: 1, suggestTerms: 1 });
 
 // =============================================================================
 // VIRTUAL FIELDS
@@ -604,6 +730,40 @@ documentSchema.methods.archive = async function () {
 // STATIC METHODS
 // =============================================================================
 
+// Words of a title that get their own typeahead prefix
+const MAX_SUGGEST_WORDS = 12;
+
+/**
+ * buildSuggestTerms()
+ * 
+ * WHAT: The suggestTerms of a title and its tags
+ * 
+ * CALLED BY: pre-save hook, SuggestionService.backfillSuggestTerms()
+ * INPUT: title, tags
+ * OUTPUT: Array of lowercased strings (see suggestTerms)
+ */
+documentSchema.statics.buildSuggestTerms = function (title = '', tags = []) {
+  const words = title
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean)
+    .slice(0, MAX_SUGGEST_WORDS);
+
+  const terms = new Set();
+  words.forEach((word, index) => {
+    if (word.length > 1) {
+      terms.add(words.slice(index).join(' '));
+    }
+  });
+  tags.forEach((tag) => {
+    if (tag) terms.add(tag.toLowerCase());
+  });
+
+  return [...terms];
+};
+
 /**
  * searchDocuments()
  * 
@@ -663,6 +823,65 @@ documentSchema.statics.searchDocuments = async function (query, options = {}) {
     .select('-chunks'); // Exclude chunks for performance
 };
 
+/**
+ * findSemanticMatches()
+ * 
+ * WHAT: Finds documents whose chunks are semantically close to a query vector
+ * 
+ * HOW (two stages, to avoid loading every chunk in the organization):
+ * 1. Compare the query against each document-level vector (cheap, small)
+ * 2. For the closest documents, compare against every chunk vector and
+ *    keep documents whose best chunk clears `minSimilarity`
+ * 
+ * Only documents embedded with the same provider (queryEmbedding.model)
+ * are considered.
+ * 
+ * CALLED BY: findRelevantChunks(), search service (hybrid search)
+ * INPUT: filter (org/access/status conditions, no $text),
+ *        queryEmbedding { vector, model },
+ *        options { limit, minSimilarity, scanLimit }
+ * OUTPUT: Array of { documentId, similarity }, most similar first
+ */
+documentSchema.statics.findSemanticMatches = async function (filter, queryEmbedding, options = {}) {
+  const { limit = 10, minSimilarity = 0.25, scanLimit = 500 } = options;
+  
+  if (!queryEmbedding || !queryEmbedding.vector) {
+    return [];
+  }
+  
+  // Stage 1: document-level vectors
+  const embeddedDocuments = await this.find({ ...filter, embeddingModel: queryEmbedding.model })
+    .sort({ updatedAt: -1 })
+    .limit(scanLimit)
+    .select('embedding');
+  
+  const shortlist = embeddedDocuments
+    .map((doc) => ({
+      documentId: doc._id,
+      similarity: cosineSimilarity(queryEmbedding.vector, doc.embedding),
+    }))
+    .filter((match) => match.similarity > 0)
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, limit * 2);
+  
+  if (shortlist.length === 0) {
+    return [];
+  }
+  
+  // Stage 2: best chunk per shortlisted document
+  const documentsWithChunks = await this.find({ _id: { $in: shortlist.map((match) => match.documentId) } })
+    .select('chunks.embedding');
+  
+  return documentsWithChunks
+    .map((doc) => ({
+      documentId: doc._id,
+      similarity: Math.max(0, ...doc.chunks.map((chunk) => cosineSimilarity(queryEmbedding.vector, chunk.embedding))),
+    }))
+    .filter((match) => match.similarity >= minSimilarity)
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, limit);
+};
+
 /**
  * findRelevantChunks()
  * 
@@ -682,9 +901,24 @@ documentSchema.statics.searchDocuments = async function (query, options = {}) {
  * For AI question answering, we need to find the most
  * relevant pieces of documents, not whole documents.
  * 
+ * HOW?
+ * 1. The $text index picks the best matching candidate documents
+ * 2. EVERY chunk of those documents is scored against the query (BM25)
+ * 3. The best chunks across all candidates are returned, best first
+ * 
+ * So an answer on page 40 of a long PDF is found, not just page one.
+ * 
+ * HYBRID MODE (when a queryEmbedding is passed):
+ * Semantically similar documents are added to the candidates, every chunk
+ * is also ranked by vector similarity, and the lexical and semantic
+ * rankings are merged with Reciprocal Rank Fusion. This finds paraphrased
+ * questions that share no words with the document.
+ * 
  * CALLED BY: AI service during Q&A
- * INPUT: query string, options { organization, department, userId, userRole, limit }
- * OUTPUT: Array of relevant chunks with document info
+ * INPUT: query string, options { organization, department, userId, userRole,
+ *        limit (chunks to return), candidateLimit (documents to score),
+ *        queryEmbedding ({ vector, model }), minSimilarity }
+ * OUTPUT: Array of relevant chunks with document info and a `score`
  */
 documentSchema.statics.findRelevantChunks = async function (query, options = {}) {
   const { 
@@ -692,13 +926,15 @@ documentSchema.statics.findRelevantChunks = async function (query, options = {})
     department = null, 
     userId = null,
     userRole = 'employee',
-    limit = 5 
+    limit = 5,
+    candidateLimit = 10,
+    queryEmbedding = null,
+    minSimilarity = 0.25,
   } = options;
   
-  // First, find relevant documents - ALWAYS scope to organization
+  // Base filter - ALWAYS scope to organization
   const filter = {
     status: 'active',
-    $text: { $search: query },
   };
   
   // Organization scoping is critical for multi-tenancy
@@ -737,15 +973,37 @@ documentSchema.statics.findRelevantChunks = async function (query, options = {})
     filter.$or = accessConditions;
   }
   
-  const documents = await this.find(filter, { score: { $meta: 'textScore' } })
+  const chunkFields = 'title chunks fileName hash description tags category';
+  
+  // Lexical candidates from the text index
+  let documents = await this.find({ ...filter, $text: { $search: query } }, { score: { $meta: 'textScore' } })
     .sort({ score: { $meta: 'textScore' } })
-    .limit(limit)
-    .select('title chunks fileName hash description tags category');
+    .limit(candidateLimit)
+    .select(chunkFields);
   
-  // Extract and format chunks with document context
+  // Semantic candidates the text index missed
+  if (queryEmbedding) {
+    const semanticMatches = await this.findSemanticMatches(filter, queryEmbedding, {
+      limit: candidateLimit,
+      minSimilarity,
+    });
+    
+    const loadedIds = new Set(documents.map((doc) => doc._id.toString()));
+    const missingIds = semanticMatches
+      .map((match) => match.documentId)
+      .filter((id) => !loadedIds.has(id.toString()));
+    
+    if (missingIds.length > 0) {
+      const semanticDocuments = await this.find({ _id: { $in: missingIds } }).select(chunkFields);
+      documents = documents.concat(semanticDocuments);
+    }
+  }
+  
+  // Flatten ALL chunks with document context (documents stay in text-score order)
   const chunks = [];
+  const chunkVectors = [];
   for (const doc of documents) {
-    for (const chunk of doc.chunks.slice(0, 3)) { // Top 3 chunks per doc
+    for (const chunk of doc.chunks) {
       chunks.push({
         text: chunk.text,
         documentId: doc._id,
@@ -758,11 +1016,34 @@ documentSchema.statics.findRelevantChunks = async function (query, options = {})
         chunkIndex: chunk.chunkIndex,
         startPage: chunk.startPage,
         endPage: chunk.endPage,
+        sectionPath: chunk.sectionPath,
       });
+      chunkVectors.push(chunk.embedding);
+    }
+  }
+  
+  if (queryEmbedding) {
+    // Rank chunks both ways, then fuse the two rankings
+    const lexicalRanking = rankChunks(query, chunks.map((chunk, key) => ({ text: chunk.text, key })))
+      .filter((ranked) => ranked.score > 0)
+      .map((ranked) => ranked.key);
+    
+    const semanticRanking = chunkVectors
+      .map((vector, key) => ({ key, similarity: cosineSimilarity(queryEmbedding.vector, vector) }))
+      .filter((ranked) => ranked.similarity >= minSimilarity)
+      .sort((a, b) => b.similarity - a.similarity)
+      .map((ranked) => ranked.key);
+    
+    const fused = fuseRankings([lexicalRanking, semanticRanking]);
+    if (fused.length > 0) {
+      return fused
+        .slice(0, limit)
+        .map(({ key, score }) => ({ ...chunks[key], score }));
     }
   }
   
-  return chunks;
+  // Keep the best matching chunks across all candidate documents
+  return rankChunks(query, chunks, { limit });
 };
 
 // =============================================================================
@@ -782,6 +1063,11 @@ function generateHash() {
 }
 
 documentSchema.pre('save', async function (next) {
+  // Keep the typeahead terms in sync with title and tags
+  if (this.isNew || this.isModified('title') || this.isModified('tags')) {
+    this.suggestTerms = this.constructor.buildSuggestTerms(this.title, this.tags);
+  }
+
   // Only generate hash for new documents without a hash
   if (this.isNew && !this.hash) {
     let attempts = 0;
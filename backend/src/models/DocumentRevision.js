@@ -0,0 +1,152 @@
+/**
+ * =============================================================================
+ * DOCUMENT REVISION MODEL - EARLIER VERSIONS OF A DOCUMENT
+ * =============================================================================
+ *
+ * WHAT IS THIS FILE?
+ * A frozen copy of a document as it was before a new version replaced it:
+ * the file, the extracted text and the chunks.
+ *
+ * HOW VERSIONS WORK:
+ * The Document record always holds the CURRENT version, so its _id and
+ * hash never change and collections, links and citations keep pointing at
+ * it. Uploading a new version (or restoring an old one) first copies the
+ * current state into a revision:
+ *
+ *   Document (revision 3, current)
+ *   DocumentRevision 2  ← saved when revision 3 was uploaded
+ *   DocumentRevision 1  ← saved when revision 2 was uploaded
+ *
+ * IMMUTABLE:
+ * Revisions are history - once written they are never changed. Updates
+ * through save() or the query API are rejected.
+ *
+ * =============================================================================
+ */
+
+const mongoose = require('mongoose');
+
+const documentRevisionSchema = new mongoose.Schema(
+  {
+    // The document this is an earlier version of
+    document: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Document',
+      required: true,
+    },
+
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: true,
+    },
+
+    // 1, 2, 3, ... - the document's own `revision` counter at the time
+    revisionNumber: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+
+    // Free-text version label of that revision (e.g. '2024-01')
+    version: {
+      type: String,
+      default: '',
+    },
+
+    // What changed, as entered by the uploader
+    changeNote: {
+      type: String,
+      default: '',
+    },
+
+    // Who uploaded (or restored) this revision
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+
+    // When this revision became the current version
+    revisionCreatedAt: {
+      type: Date,
+      default: null,
+    },
+
+    // File of this revision - still on disk, served through signed URLs
+    fileName: { type: String, required: true },
+    fileType: { type: String, required: true },
+    fileSize: { type: Number, required: true },
+    filePath: { type: String, required: true },
+
+    // Extracted text, summary and chunks - restored as they were, without
+    // processing the file again
+    content: {
+      type: String,
+      default: '',
+    },
+    summary: {
+      type: String,
+      default: '',
+    },
+    chunks: [{
+      _id: false,
+      text: String,
+      chunkIndex: Number,
+      startPage: Number,
+      endPage: Number,
+      sectionPath: String,
+      embedding: {
+        type: [Number],
+        default: undefined,
+      },
+    }],
+    embedding: {
+      type: [Number],
+      default: undefined,
+    },
+    embeddingModel: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    toJSON: {
+      // Listing and download never need the heavy fields
+      transform: (doc, ret) => {
+        delete ret.embedding;
+        delete ret.chunks;
+        delete ret.filePath;
+        return ret;
+      },
+    },
+  }
+);
+
+// One revision per number per document; also the listing order
+documentRevisionSchema.index({ document: 1, revisionNumber: -1 }, { unique: true });
+
+/**
+ * IMMUTABILITY
+ *
+ * Only inserts are allowed. Any attempt to modify a stored revision is
+ * a bug, so it fails loudly.
+ */
+documentRevisionSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(new Error('Document revisions cannot be modified'));
+  }
+  next();
+});
+
+documentRevisionSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'],
+  function (next) {
+    next(new Error('Document revisions cannot be modified'));
+  }
+);
+
+const DocumentRevision = mongoose.model('DocumentRevision', documentRevisionSchema);
+
+module.exports = DocumentRevision;
@@ -0,0 +1,130 @@
+/**
+ * =============================================================================
+ * INVITATION MODEL - A PERSONAL LINK TO JOIN AN ORGANIZATION
+ * =============================================================================
+ *
+ * WHAT IS THIS FILE?
+ * An admin invites one email address. The invitation carries the role
+ * and department the new member gets, and a link with a random token:
+ *
+ *   https://app.example.com/signup/employee?invite=<token>
+ *
+ * WHY NOT THE SECRET KEY?
+ * The organization secret key is shared by everyone - once it is pasted
+ * into a chat, anyone who reads it can join. An invitation:
+ * - works for one email address only
+ * - works once (it is used up when the account is created)
+ * - expires (INVITATION_EXPIRES_DAYS, 7 days by default)
+ * - can be revoked, or resent with a new link
+ *
+ * Only the SHA-256 hash of the token is stored (like session refresh
+ * tokens) - a database leak doesn't hand out working links.
+ *
+ * =============================================================================
+ */
+
+const mongoose = require('mongoose');
+
+const invitationSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: true,
+    },
+
+    email: {
+      type: String,
+      required: [true, 'Email is required'],
+      lowercase: true,
+      trim: true,
+    },
+
+    // Role key in the organization (see Organization.roles)
+    orgRole: {
+      type: String,
+      required: true,
+    },
+
+    // Empty = the new member picks it when signing up
+    department: {
+      type: String,
+      default: '',
+      trim: true,
+    },
+
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+
+    /**
+     * tokenHash - SHA-256 of the token in the invitation link
+     *
+     * Resending replaces it, so older links stop working.
+     */
+    tokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+
+    // How often the link was (re)generated, and when last
+    sentCount: {
+      type: Number,
+      default: 1,
+    },
+    lastSentAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    // Set when the invitation is used
+    acceptedAt: {
+      type: Date,
+      default: null,
+    },
+    acceptedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Invitations list of an organization
+invitationSchema.index({ organization: 1, createdAt: -1 });
+// One open invitation per email
+invitationSchema.index({ organization: 1, email: 1 });
+// Signup looks the link up by its hash
+invitationSchema.index({ tokenHash: 1 }, { unique: true });
+
+/**
+ * status - 'pending', 'accepted', 'revoked' or 'expired'
+ */
+invitationSchema.virtual('status').get(function () {
+  if (this.acceptedAt) return 'accepted';
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt <= new Date()) return 'expired';
+  return 'pending';
+});
+
+const Invitation = mongoose.model('Invitation', invitationSchema);
+
+module.exports = Invitation;
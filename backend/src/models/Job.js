@@ -0,0 +1,118 @@
+/**
+ * =============================================================================
+ * JOB MODEL - PERSISTENT BACKGROUND WORK QUEUE
+ * =============================================================================
+ *
+ * WHAT IS THIS FILE?
+ * One record per unit of background work (process a document, summarize
+ * it, ...). Workers claim queued jobs from this collection, so work
+ * survives server restarts and failed jobs can be retried.
+ *
+ * LIFECYCLE:
+ *   queued  → running → completed
+ *                     ↘ queued (retry, after a backoff delay)
+ *                     ↘ dead   (out of attempts - the dead-letter state)
+ *
+ * Dead jobs stay in the collection until an admin retries them.
+ * Completed jobs are removed automatically after a week.
+ *
+ * =============================================================================
+ */
+
+const mongoose = require('mongoose');
+
+const COMPLETED_JOB_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+const jobSchema = new mongoose.Schema(
+  {
+    /**
+     * type - Which registered handler runs the job
+     * EXAMPLES: 'document.process', 'document.summarize'
+     */
+    type: {
+      type: String,
+      required: [true, 'Job type is required'],
+      trim: true,
+    },
+
+    /**
+     * payload - Handler input, e.g. { documentId }
+     */
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+
+    // Lets org admins see and retry their own organization's jobs
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      default: null,
+    },
+
+    status: {
+      type: String,
+      enum: ['queued', 'running', 'completed', 'dead'],
+      default: 'queued',
+    },
+
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+
+    maxAttempts: {
+      type: Number,
+      default: 5,
+      min: 1,
+    },
+
+    // Earliest time the job may run (pushed back after each failure)
+    runAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    // Which worker holds the job, and since when
+    lockedBy: {
+      type: String,
+      default: null,
+    },
+    lockedAt: {
+      type: Date,
+      default: null,
+    },
+
+    lastError: {
+      type: String,
+      default: null,
+    },
+
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Workers: next runnable job
+jobSchema.index({ status: 1, runAt: 1 });
+// Admin listing
+jobSchema.index({ organization: 1, status: 1, updatedAt: -1 });
+// Startup sweep: is there already a job for this document?
+jobSchema.index({ type: 1, 'payload.documentId': 1, status: 1 });
+// Clean up finished jobs
+jobSchema.index(
+  { completedAt: 1 },
+  {
+    expireAfterSeconds: COMPLETED_JOB_TTL_SECONDS,
+    partialFilterExpression: { status: 'completed' },
+  }
+);
+
+const Job = mongoose.model('Job', jobSchema);
+
+module.exports = Job;
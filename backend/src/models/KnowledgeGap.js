@@ -0,0 +1,113 @@
+/**
+ * =============================================================================
+ * KNOWLEDGE GAP MODEL - FOLLOW-UP STATE OF A CLUSTER OF FAILED QUERIES
+ * =============================================================================
+ *
+ * WHAT IS THIS FILE?
+ * The knowledge-gap report groups failed queries (nothing found, "not
+ * helpful" feedback, ...) into clusters of similar queries. The clusters
+ * themselves are computed from QueryLog every time the report is loaded.
+ *
+ * This model only stores what an admin decided about a cluster:
+ * - who owns it (who writes the missing document)
+ * - whether it is resolved, and by which document
+ *
+ * HOW DOES A RECORD FIND ITS CLUSTER AGAIN?
+ * Clusters are recomputed, so they have no id of their own. A record
+ * remembers the signatures (normalized query terms) of the queries in the
+ * cluster; a fresh cluster containing any of them belongs to the record.
+ * See knowledgeGap.service.js.
+ *
+ * =============================================================================
+ */
+
+const mongoose = require('mongoose');
+
+const knowledgeGapSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: true,
+    },
+
+    /**
+     * key - Id of the cluster the record was created for
+     * (a hash of its first signature)
+     */
+    key: {
+      type: String,
+      required: true,
+    },
+
+    /**
+     * label - The most frequent query of the cluster when it was saved
+     */
+    label: {
+      type: String,
+      trim: true,
+      maxlength: 2000,
+      required: true,
+    },
+
+    /**
+     * signatures - Normalized query terms of the cluster's queries
+     * EXAMPLE: ['polici vacation', 'day vacation']
+     */
+    signatures: [{
+      type: String,
+    }],
+
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+
+    status: {
+      type: String,
+      enum: {
+        values: ['open', 'resolved'],
+        message: 'Status must be open or resolved',
+      },
+      default: 'open',
+    },
+
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Note cannot exceed 1000 characters'],
+      default: '',
+    },
+
+    // Set when status becomes resolved
+    resolvedAt: {
+      type: Date,
+      default: null,
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+
+    /**
+     * resolvedDocument - The document that answers these queries (optional)
+     */
+    resolvedDocument: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Document',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+knowledgeGapSchema.index({ organization: 1, key: 1 }, { unique: true });
+knowledgeGapSchema.index({ organization: 1, signatures: 1 });
+
+const KnowledgeGap = mongoose.model('KnowledgeGap', knowledgeGapSchema);
+
+module.exports = KnowledgeGap;
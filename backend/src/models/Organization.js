@@ -20,7 +20,8 @@
  * 1. Admin creates organization (becomes owner)
  * 2. System generates a secret key for the organization
  * 3. Secret key is hashed before storage (like passwords)
- * 4. Employees use secret key to join the organization
+ * 4. Employees join with a personal invitation link (see Invitation
+ *    model) or, if the organization allows it, with the secret key
  * 5. Admin manages users, roles, and privileges
  * 
  * WHY SECRET KEYS?
@@ -382,10 +383,14 @@ const organizationSchema = new mongoose.Schema(
      */
     settings: {
       /**
-       * allowSelfRegistration - Can employees self-register?
+       * allowSelfRegistration - Can employees join with the secret key?
        * 
        * IF TRUE: Employees can sign up with org name + secret key
-       * IF FALSE: Admin must create user accounts manually
+       * IF FALSE: Only invited people (see Invitation model) and accounts
+       *           created by an admin can join
+       * 
+       * Invitations work either way - they are tied to one email address,
+       * unlike the shared key.
        */
       allowSelfRegistration: {
         type: Boolean,
@@ -394,12 +399,28 @@ const organizationSchema = new mongoose.Schema(
       
       /**
        * requireEmailVerification - Must verify email?
+       * 
+       * Members with an unverified email can't log in (or keep using
+       * their sessions) until they open the link emailed to them. The
+       * owner is exempt; SSO users count as verified.
        */
       requireEmailVerification: {
         type: Boolean,
         default: false,
       },
       
+      /**
+       * requireTwoFactor - Must members use an authenticator app?
+       * 
+       * Members without two-factor authentication set it up during their
+       * next password login. SSO logins rely on the identity provider's
+       * own multi-factor policy.
+       */
+      requireTwoFactor: {
+        type: Boolean,
+        default: false,
+      },
+      
       /**
        * maxUsers - Maximum users allowed
        * 
@@ -420,6 +441,152 @@ const organizationSchema = new mongoose.Schema(
         type: Number,
         default: 0, // 0 = unlimited
       },
+      
+      /**
+       * ai - Which LLM provider answers this organization's questions
+       * 
+       * provider: 'gemini', 'openai', 'mock' (null = server default, LLM_PROVIDER)
+       * model: Model name for that provider (null = provider default)
+       * 
+       * API keys are NOT stored here - they stay in server environment variables.
+       */
+      ai: {
+        provider: {
+          type: String,
+          default: null,
+          lowercase: true,
+          trim: true,
+        },
+        model: {
+          type: String,
+          default: null,
+          trim: true,
+        },
+      },
+      
+      /**
+       * chunking - How documents are split into passages for search and AI
+       * 
+       * chunkSize: Characters per chunk (null = server default, 1000)
+       * chunkOverlap: Characters repeated between consecutive chunks
+       *               (null = server default, 200)
+       * 
+       * Bigger chunks give the AI more context per passage; smaller ones
+       * give more precise citations. Changes apply to documents processed
+       * afterwards (new uploads and new versions).
+       */
+      chunking: {
+        chunkSize: {
+          type: Number,
+          default: null,
+          min: [200, 'Chunk size must be at least 200 characters'],
+          max: [4000, 'Chunk size cannot exceed 4000 characters'],
+        },
+        chunkOverlap: {
+          type: Number,
+          default: null,
+          min: [0, 'Chunk overlap cannot be negative'],
+          max: [1000, 'Chunk overlap cannot exceed 1000 characters'],
+        },
+      },
+    },
+    
+    // ==========================================================================
+    // SINGLE SIGN-ON (OpenID Connect)
+    // ==========================================================================
+    
+    /**
+     * sso - Sign in through the company's identity provider
+     * 
+     * FLOW (see sso.service.js):
+     * The login page sends the user to the provider (authorization code +
+     * PKCE); the provider sends them back with a code, which the server
+     * exchanges for an ID token. Users who don't exist yet are created
+     * on their first login with the organization's default role.
+     * 
+     * Not part of `settings`: the client secret must never come back
+     * through GET/PATCH /api/organizations/me.
+     */
+    sso: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      
+      // Issuer URL - discovery reads {issuer}/.well-known/openid-configuration
+      issuer: {
+        type: String,
+        default: '',
+        trim: true,
+      },
+      clientId: {
+        type: String,
+        default: '',
+        trim: true,
+      },
+      
+      // Encrypted (utils/secretBox.js) - never returned by queries
+      clientSecret: {
+        type: String,
+        default: '',
+        select: false,
+      },
+      
+      scopes: {
+        type: String,
+        default: 'openid email profile',
+        trim: true,
+      },
+      
+      /**
+       * claims - Which ID token / userinfo claims fill the user's fields
+       * 
+       * department and role are optional ('' = not taken from the provider).
+       * A role claim may be a string or a list (e.g. groups).
+       */
+      claims: {
+        email: { type: String, default: 'email', trim: true },
+        firstName: { type: String, default: 'given_name', trim: true },
+        lastName: { type: String, default: 'family_name', trim: true },
+        department: { type: String, default: '', trim: true },
+        role: { type: String, default: '', trim: true },
+      },
+      
+      /**
+       * roleMapping - Role claim value → organization role key
+       * EXAMPLE: { "kb-admins": "admin", "hr-team": "hr" }
+       * 
+       * Values that aren't mapped but equal a role key are used as is;
+       * anything else gets the default role.
+       */
+      roleMapping: {
+        type: Map,
+        of: String,
+        default: {},
+      },
+      
+      /**
+       * syncRoleOnLogin - Apply the role mapping on every login
+       * 
+       * Off: the mapped role is only used when the user is created.
+       * On: the role follows the provider at each login (never for the
+       * organization owner).
+       */
+      syncRoleOnLogin: {
+        type: Boolean,
+        default: false,
+      },
+      
+      /**
+       * passwordLoginDisabled - Members must sign in through SSO
+       * 
+       * The organization owner can still use their password, so a
+       * misconfigured provider can't lock everyone out.
+       */
+      passwordLoginDisabled: {
+        type: Boolean,
+        default: false,
+      },
     },
     
     // ==========================================================================
@@ -36,13 +36,14 @@
  */
 
 const mongoose = require('mongoose');
+const { escapeRegex } = require('../utils/escapeRegex');
 
 /**
  * queryLogSchema - Defines the structure of a QueryLog
  * 
  * FIELDS OVERVIEW:
  * - QUERY: query, queryType
- * - USER: user, userDepartment, userRole
+ * - USER: user, organization, userDepartment, userRole
  * - RESPONSE: response, citedDocuments, responseTime
  * - FEEDBACK: feedback, rating
  * - METADATA: ipAddress, userAgent, sessionId
@@ -118,6 +119,19 @@ const queryLogSchema = new mongoose.Schema(
       required: true,
     },
     
+    /**
+     * organization - The user's organization at query time
+     * 
+     * WHY?
+     * Analytics are per organization - an admin must only ever see
+     * the queries of their own organization.
+     */
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      default: null,
+    },
+    
     /**
      * userRole - User's role at time of query
      * 
@@ -166,6 +180,9 @@ const queryLogSchema = new mongoose.Schema(
       },
       documentTitle: String,
       chunkIndex: Number,
+      startPage: Number, // PDF pages of the passage (empty for other formats)
+      endPage: Number,
+      sectionPath: String, // Headings above the passage ("Benefits > Leave")
       excerpt: String, // The specific text that was cited
     }],
     
@@ -373,7 +390,7 @@ const queryLogSchema = new mongoose.Schema(
     status: {
       type: String,
       enum: {
-        values: ['success', 'error', 'timeout'],
+        values: ['success', 'error', 'timeout', 'aborted'],
         message: 'Invalid status',
       },
       default: 'success',
@@ -414,6 +431,9 @@ queryLogSchema.index({ createdAt: -1 });
 // Compound index for common analytics queries
 queryLogSchema.index({ queryType: 1, userDepartment: 1, createdAt: -1 });
 
+// Index for organization analytics (every analytics query is org-scoped)
+queryLogSchema.index({ organization: 1, createdAt: -1 });
+
 // =============================================================================
 // STATIC METHODS
 // =============================================================================
@@ -429,14 +449,17 @@ queryLogSchema.index({ queryType: 1, userDepartment: 1, createdAt: -1 });
  * - Average response time
  * - Feedback breakdown
  * 
- * CALLED BY: Analytics controller
- * INPUT: dateRange (optional)
+ * CALLED BY: AnalyticsService.getOverview()
+ * INPUT: dateRange (optional) { startDate, endDate, organizationId }
  * OUTPUT: Statistics object
  */
 queryLogSchema.statics.getQueryStats = async function (dateRange = {}) {
-  const { startDate, endDate } = dateRange;
+  const { startDate, endDate, organizationId } = dateRange;
   
   const matchStage = {};
+  if (organizationId) {
+    matchStage.organization = new mongoose.Types.ObjectId(organizationId);
+  }
   if (startDate || endDate) {
     matchStage.createdAt = {};
     if (startDate) matchStage.createdAt.$gte = new Date(startDate);
@@ -492,13 +515,26 @@ queryLogSchema.statics.getQueryStats = async function (dateRange = {}) {
  * - Identify knowledge gaps
  * - Optimize search
  * 
- * CALLED BY: Analytics controller
- * INPUT: limit (number of queries to return)
- * OUTPUT: Array of { query, count }
+ * CALLED BY: AnalyticsService.getTopQueries()
+ * INPUT: limit (number of queries to return),
+ *        options { organizationId, queryType, startDate, endDate }
+ * OUTPUT: Array of { query, count, lastSearched }
  */
-queryLogSchema.statics.getPopularQueries = async function (limit = 10) {
+queryLogSchema.statics.getPopularQueries = async function (limit = 10, options = {}) {
+  const { organizationId, queryType = 'search', startDate, endDate } = options;
+
+  const matchStage = { queryType };
+  if (organizationId) {
+    matchStage.organization = new mongoose.Types.ObjectId(organizationId);
+  }
+  if (startDate || endDate) {
+    matchStage.createdAt = {};
+    if (startDate) matchStage.createdAt.$gte = new Date(startDate);
+    if (endDate) matchStage.createdAt.$lte = new Date(endDate);
+  }
+
   return await this.aggregate([
-    { $match: { queryType: 'search' } },
+    { $match: matchStage },
     {
       $group: {
         _id: { $toLower: '$query' },
@@ -519,6 +555,70 @@ queryLogSchema.statics.getPopularQueries = async function (limit = 10) {
   ]);
 };
 
+/**
+ * getQueryCandidates()
+ * 
+ * WHAT: Queries of an organization that found something, with the
+ * documents they found
+ * 
+ * WHY THE DOCUMENTS?
+ * Popular searches and typeahead suggestions are shown to everyone in
+ * the organization. A query is only suggested to a user who can open
+ * at least one of its results - see SuggestionService.
+ * 
+ * CALLED BY: SuggestionService (popular searches, typeahead)
+ * INPUT: organizationId,
+ *        options { prefix, queryTypes, since, limit }
+ *        prefix: only queries starting with it (case-insensitive)
+ * OUTPUT: Array of { query, count, lastUsed, documentIds }
+ */
+queryLogSchema.statics.getQueryCandidates = async function (organizationId, options = {}) {
+  const { prefix = '', queryTypes = ['search', 'question'], since, limit = 50 } = options;
+
+  const matchStage = {
+    organization: new mongoose.Types.ObjectId(organizationId),
+    queryType: { $in: queryTypes },
+    status: 'success',
+    resultCount: { $gt: 0 },
+  };
+  if (since) {
+    matchStage.createdAt = { $gte: new Date(since) };
+  }
+  if (prefix) {
+    matchStage.query = { $regex: `^${escapeRegex(prefix)}`, $options: 'i' };
+  }
+
+  return await this.aggregate([
+    { $match: matchStage },
+    {
+      $group: {
+        _id: { $toLower: '$query' },
+        count: { $sum: 1 },
+        lastUsed: { $max: '$createdAt' },
+        results: { $push: '$searchResults.documentId' },
+        citations: { $push: '$citedDocuments.documentId' },
+      },
+    },
+    { $sort: { count: -1, lastUsed: -1 } },
+    { $limit: limit },
+    {
+      $project: {
+        _id: 0,
+        query: '$_id',
+        count: 1,
+        lastUsed: 1,
+        documentIds: {
+          $reduce: {
+            input: { $concatArrays: ['$results', '$citations'] },
+            initialValue: [],
+            in: { $setUnion: ['$$value', '$$this'] },
+          },
+        },
+      },
+    },
+  ]);
+};
+
 /**
  * getUserQueryHistory()
  * 
@@ -0,0 +1,124 @@
+/**
+ * =============================================================================
+ * SESSION MODEL - ONE RECORD PER SIGNED-IN DEVICE
+ * =============================================================================
+ *
+ * WHAT IS THIS FILE?
+ * Every login creates a session. The session holds the (hashed) refresh
+ * token of that device, and every access token carries the session id.
+ *
+ * WHY?
+ * A JWT can't be "un-issued" - it stays valid until it expires. With
+ * sessions:
+ * - access tokens are short-lived (minutes)
+ * - protect() rejects tokens whose session was revoked
+ * - refresh tokens are rotated on every use, so a stolen one stops
+ *   working as soon as the real device refreshes
+ * - users can see their devices and sign them out
+ *
+ * =============================================================================
+ */
+
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      default: null,
+    },
+
+    /**
+     * refreshTokenHash - SHA-256 of the current refresh token
+     *
+     * Only the hash is stored, like a password: a database leak doesn't
+     * hand out working tokens.
+     */
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+
+    /**
+     * previousTokenHash - The token that was replaced by the last rotation
+     *
+     * Seeing it again means either another tab refreshed at the same time
+     * (within a few seconds) or the token was stolen - see session.service.
+     */
+    previousTokenHash: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    rotatedAt: {
+      type: Date,
+      default: null,
+    },
+
+    // Where the session was created, shown in the sessions list
+    userAgent: {
+      type: String,
+      default: '',
+    },
+    device: {
+      type: String,
+      default: 'Unknown device',
+    },
+    ip: {
+      type: String,
+      default: '',
+    },
+
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    // Refreshing moves this forward - idle sessions expire
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+
+    /**
+     * revokedReason - Why the session ended
+     * EXAMPLES: 'logout', 'revoked', 'password_changed', 'password_reset', 'removed', 'token_reuse'
+     */
+    revokedReason: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Sessions list of a user
+sessionSchema.index({ user: 1, revokedAt: 1, lastUsedAt: -1 });
+// Expired sessions are removed automatically
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * isActive - Not revoked and not expired
+ */
+sessionSchema.virtual('isActive').get(function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
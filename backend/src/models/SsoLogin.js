@@ -0,0 +1,69 @@
+/**
+ * =============================================================================
+ * SSO LOGIN MODEL - A SIGN-IN WAITING FOR THE IDENTITY PROVIDER
+ * =============================================================================
+ *
+ * WHAT IS THIS FILE?
+ * Between sending the browser to the identity provider and getting it
+ * back with a code, the server remembers:
+ * - state: random value in the redirect - the callback must bring it
+ *   back, so a forged callback (CSRF) doesn't match any login
+ * - nonce: random value the provider puts in the ID token - stops a
+ *   token from another login being replayed
+ * - codeVerifier: the PKCE secret - only its hash goes to the provider,
+ *   so a stolen code is useless without it
+ *
+ * Each record is used once and expires after SSO_LOGIN_EXPIRES_MINUTES
+ * (10 by default).
+ *
+ * =============================================================================
+ */
+
+const mongoose = require('mongoose');
+
+const ssoLoginSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: true,
+    },
+
+    state: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    nonce: {
+      type: String,
+      required: true,
+    },
+
+    codeVerifier: {
+      type: String,
+      required: true,
+    },
+
+    // Where the callback must point (it is part of the token request)
+    redirectUri: {
+      type: String,
+      required: true,
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Unfinished logins are removed automatically
+ssoLoginSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const SsoLogin = mongoose.model('SsoLogin', ssoLoginSchema);
+
+module.exports = SsoLogin;
@@ -0,0 +1,97 @@
+/**
+ * =============================================================================
+ * UPLOAD BATCH MODEL - ONE BULK UPLOAD (MANY FILES OR ZIP ARCHIVES)
+ * =============================================================================
+ *
+ * WHAT IS THIS FILE?
+ * A bulk upload creates one document per file. This record remembers
+ * which files were part of the upload and what became of each:
+ * - the document created for it, or
+ * - why it was rejected (unsupported type, too large, ...)
+ *
+ * Processing state is NOT copied here - it lives on the documents and
+ * is read fresh by GET /api/documents/batches/:id (see
+ * batchUpload.service.js).
+ *
+ * =============================================================================
+ */
+
+const mongoose = require('mongoose');
+
+// Sub-schema for one file of the batch
+const batchItemSchema = new mongoose.Schema({
+  /**
+   * path - Where the file was: "HR/Policies/leave.pdf" (folder upload
+   * or inside a ZIP), or just the file name
+   */
+  path: {
+    type: String,
+    required: true,
+  },
+  fileSize: {
+    type: Number,
+    default: 0,
+  },
+
+  // Set when a document was created for the file
+  document: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    default: null,
+  },
+
+  // Set when the file was rejected
+  error: {
+    type: String,
+    default: null,
+  },
+}, { _id: false });
+
+const uploadBatchSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: true,
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+
+    /**
+     * folderMapping - What folder names became
+     * - 'none': Nothing
+     * - 'tags': Each folder name is a tag ("HR/Policies" → hr, policies)
+     * - 'collections': Each folder is a collection ("HR / Policies")
+     */
+    folderMapping: {
+      type: String,
+      enum: ['none', 'tags', 'collections'],
+      default: 'none',
+    },
+
+    items: [batchItemSchema],
+
+    // Collections created or filled from folders
+    collections: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Collection',
+    }],
+
+    // Problems that didn't reject a file (e.g. a collection couldn't be filled)
+    warnings: [{
+      type: String,
+    }],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+uploadBatchSchema.index({ organization: 1, uploadedBy: 1, createdAt: -1 });
+
+const UploadBatch = mongoose.model('UploadBatch', uploadBatchSchema);
+
+module.exports = UploadBatch;
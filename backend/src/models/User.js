@@ -301,6 +301,152 @@ const userSchema = new mongoose.Schema(
       default: null,
     },
     
+    // ----- EMAIL VERIFICATION -----
+    
+    /**
+     * emailVerified - The user opened a link sent to their email address
+     * 
+     * Organizations can require it (settings.requireEmailVerification):
+     * unverified members then can't log in until they click the link.
+     * SSO users count as verified - their provider vouches for the email.
+     */
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: {
+      type: Date,
+      default: null,
+    },
+    
+    /**
+     * emailVerification / passwordReset - Pending email links
+     * 
+     * - tokenHash: SHA-256 of the token in the link (the link itself is
+     *   only in the email)
+     * - expiresAt: The link stops working after this
+     * - sentAt: Last email sent - used to avoid sending a burst of emails
+     * 
+     * Both are cleared once the link is used.
+     */
+    emailVerification: {
+      tokenHash: {
+        type: String,
+        default: null,
+        select: false,
+      },
+      expiresAt: {
+        type: Date,
+        default: null,
+      },
+      sentAt: {
+        type: Date,
+        default: null,
+      },
+    },
+    passwordReset: {
+      tokenHash: {
+        type: String,
+        default: null,
+        select: false,
+      },
+      expiresAt: {
+        type: Date,
+        default: null,
+      },
+      sentAt: {
+        type: Date,
+        default: null,
+      },
+    },
+    
+    // ----- SERVICE ACCOUNTS -----
+    
+    /**
+     * accountType - A person, or a service account for API automation
+     * 
+     * Service accounts are created by an admin (Organization settings →
+     * Service accounts). They have a role like any member, but no real
+     * email and a random password nobody knows - they only work through
+     * API tokens (see ApiToken model). They aren't listed with the members.
+     */
+    accountType: {
+      type: String,
+      enum: ['user', 'service_account'],
+      default: 'user',
+    },
+    
+    // ----- SINGLE SIGN-ON -----
+    
+    /**
+     * authProvider - How the account was created
+     * 
+     * - 'password': Signup form, invitation or added by an admin
+     * - 'oidc': Created on first login through the organization's SSO
+     *   (its password is random and never shown - they sign in via SSO)
+     */
+    authProvider: {
+      type: String,
+      enum: ['password', 'oidc'],
+      default: 'password',
+    },
+    
+    /**
+     * ssoSubject - The identity provider's id for the user (`sub` claim)
+     * 
+     * Set on the first SSO login. Later logins match on it, so a changed
+     * email at the provider still finds the same account.
+     */
+    ssoSubject: {
+      type: String,
+      default: null,
+    },
+    
+    // ----- TWO-FACTOR AUTHENTICATION -----
+    
+    /**
+     * twoFactor - Authenticator app codes (TOTP) as a second login step
+     * 
+     * - enabled: Login asks for a code after the password
+     * - secret: Shared with the authenticator app (encrypted, see secretBox)
+     * - pendingSecret: Secret of a setup not yet confirmed with a code
+     * - recoveryCodes: SHA-256 hashes of the one-time recovery codes
+     * - lastUsedStep: Time step of the last accepted code - a code can't
+     *   be used twice
+     * 
+     * Everything but enabled/enabledAt is select: false.
+     */
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      enabledAt: {
+        type: Date,
+        default: null,
+      },
+      secret: {
+        type: String,
+        default: null,
+        select: false,
+      },
+      pendingSecret: {
+        type: String,
+        default: null,
+        select: false,
+      },
+      recoveryCodes: {
+        type: [String],
+        default: [],
+        select: false,
+      },
+      lastUsedStep: {
+        type: Number,
+        default: null,
+        select: false,
+      },
+    },
+    
     // ----- SECURITY FIELDS -----
     
     /**
@@ -380,6 +526,9 @@ userSchema.index({ role: 1 });
 userSchema.index({ isActive: 1 });
 userSchema.index({ organization: 1, orgRole: 1 }); // For org-scoped queries
 userSchema.index({ organization: 1, isActive: 1 }); // For listing org users
+userSchema.index({ organization: 1, ssoSubject: 1 }); // SSO logins
+userSchema.index({ 'emailVerification.tokenHash': 1 }, { sparse: true }); // Verification links
+userSchema.index({ 'passwordReset.tokenHash': 1 }, { sparse: true }); // Reset links
 
 // =============================================================================
 // VIRTUAL FIELDS
@@ -27,7 +27,16 @@ const User = require('./User');
 const Document = require('./Document');
 const Collection = require('./Collection');
 const DocumentLink = require('./DocumentLink');
+const DocumentRevision = require('./DocumentRevision');
 const QueryLog = require('./QueryLog');
+const Conversation = require('./Conversation');
+const Job = require('./Job');
+const Session = require('./Session');
+const KnowledgeGap = require('./KnowledgeGap');
+const UploadBatch = require('./UploadBatch');
+const Invitation = require('./Invitation');
+const SsoLogin = require('./SsoLogin');
+const ApiToken = require('./ApiToken');
 const { Organization, DEFAULT_ROLES, ALL_PRIVILEGES } = require('./Organization');
 
 module.exports = {
@@ -35,7 +44,16 @@ module.exports = {
   Document,
   Collection,
   DocumentLink,
+  DocumentRevision,
   QueryLog,
+  Conversation,
+  Job,
+  Session,
+  KnowledgeGap,
+  UploadBatch,
+  Invitation,
+  SsoLogin,
+  ApiToken,
   Organization,
   DEFAULT_ROLES,
   ALL_PRIVILEGES,
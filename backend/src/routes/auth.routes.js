@@ -28,26 +28,66 @@
  * 
  * ROUTES IN THIS FILE:
  * - POST /api/auth/register - Create new user
+ * - POST /api/auth/register/employee - Join with an invitation or the secret key
+ * - GET /api/auth/invitations/:token - Details of an invitation link
  * - POST /api/auth/login - Authenticate user
+ * - POST /api/auth/2fa/verify - Second login step (authenticator or recovery code)
+ * - POST /api/auth/2fa/setup/challenge - Set up 2FA during login (required by the org)
+ * - POST /api/auth/sso/start - Start a single sign-on login
+ * - POST /api/auth/sso/callback - Finish a single sign-on login
+ * - POST /api/auth/forgot-password - Email a password reset link
+ * - POST /api/auth/reset-password - Set a new password from the link
+ * - POST /api/auth/verify-email - Confirm an email address from the link
+ * - POST /api/auth/verify-email/resend - Email a new verification link
  * - GET /api/auth/profile - Get current user profile
  * - PATCH /api/auth/profile - Update profile
  * - POST /api/auth/change-password - Change password
- * - POST /api/auth/logout - Logout user
+ * - POST /api/auth/refresh - Exchange a refresh token for new tokens
+ * - POST /api/auth/logout - Logout user (revokes this session)
  * - GET /api/auth/verify - Verify token
+ * - GET /api/auth/2fa - Two-factor status
+ * - POST /api/auth/2fa/setup - Start setting up an authenticator app
+ * - POST /api/auth/2fa/enable - Confirm the app with a code, get recovery codes
+ * - POST /api/auth/2fa/disable - Turn two-factor authentication off
+ * - POST /api/auth/2fa/recovery-codes - New recovery codes
+ * - GET /api/auth/sessions - List signed-in devices
+ * - DELETE /api/auth/sessions/:id - Revoke one session
+ * - DELETE /api/auth/sessions - Sign out everywhere
+ * - GET /api/auth/tokens - List personal access tokens
+ * - POST /api/auth/tokens - Create a personal access token
+ * - DELETE /api/auth/tokens/:id - Revoke a personal access token
+ * 
+ * API TOKENS:
+ * Profile and verify accept API tokens. Everything that manages the
+ * account's credentials (password, 2FA, sessions, tokens) needs a
+ * signed-in user - denyApiTokens.
  * 
  * =============================================================================
  */
 
 const express = require('express');
 const authController = require('../controllers/auth.controller');
-const { protect } = require('../middlewares/auth');
+const { protect, denyApiTokens } = require('../middlewares/auth');
 const {
   validateRegistration,
   validateLogin,
   validatePasswordChange,
+  validateRefreshToken,
+  validateObjectId,
   validateUserUpdate,
   validateOrganizationSignup,
   validateEmployeeSignup,
+  validateInvitationToken,
+  validateSsoStart,
+  validateSsoCallback,
+  validateTwoFactorVerify,
+  validateTwoFactorChallenge,
+  validateTwoFactorCode,
+  validateTwoFactorDisable,
+  validateEmailLinkRequest,
+  validatePasswordReset,
+  validateEmailVerification,
+  validateApiTokenCreate,
   handleValidationErrors,
 } = require('../middlewares/validation');
 
@@ -104,12 +144,20 @@ router.post(
  * @access  Public
  * 
  * WHAT THIS DOES:
- * 1. Validates organization name and secret key
+ * 1. Accepts the invitation, or validates organization name and secret key
  * 2. Creates user as member of the organization
- * 3. Assigns default 'employee' role with basic privileges
+ * 3. Assigns the invitation's role (or the default 'employee' role)
  * 4. Returns token + user details
  * 
- * REQUEST BODY:
+ * REQUEST BODY (invitation link - the invitation decides the email):
+ * {
+ *   "invitationToken": "9f2e...",
+ *   "firstName": "Jane",
+ *   "lastName": "Smith",
+ *   "password": "Password123"
+ * }
+ * 
+ * REQUEST BODY (secret key, if the organization allows it):
  * {
  *   "organizationName": "Acme Corp",
  *   "secretKey": "ORG-XXXX-XXXX-XXXX-XXXX",
@@ -127,6 +175,20 @@ router.post(
   authController.registerEmployee
 );
 
+/**
+ * @route   GET /api/auth/invitations/:token
+ * @desc    Organization, email and role of an invitation link
+ * @access  Public (the token is the credential)
+ * 
+ * Used by the signup page to fill in the form before the account exists.
+ */
+router.get(
+  '/invitations/:token',
+  validateInvitationToken,
+  handleValidationErrors,
+  authController.getInvitation
+);
+
 /**
  * @route   POST /api/auth/register
  * @desc    Register a new user (legacy - requires organization context)
@@ -174,6 +236,10 @@ router.post(
  *   "email": "john@example.com",
  *   "password": "Password123"
  * }
+ * 
+ * NOTE: With two-factor authentication the response has no tokens but
+ * { twoFactorRequired, setupRequired, twoFactorToken } - continue with
+ * POST /2fa/verify.
  */
 router.post(
   '/login',
@@ -182,6 +248,177 @@ router.post(
   authController.login
 );
 
+/**
+ * @route   POST /api/auth/2fa/verify
+ * @desc    Second login step - get tokens with an authenticator or recovery code
+ * @access  Public (the challenge token from /login is the credential)
+ * 
+ * REQUEST BODY:
+ * {
+ *   "twoFactorToken": "eyJ...",
+ *   "code": "492039"            // or "recoveryCode": "3f9a1-c21b7"
+ * }
+ * 
+ * NOTE: Wrong codes count as failed login attempts (5 → locked 15 minutes).
+ */
+router.post(
+  '/2fa/verify',
+  validateTwoFactorVerify,
+  handleValidationErrors,
+  authController.verifyTwoFactor
+);
+
+/**
+ * @route   POST /api/auth/2fa/setup/challenge
+ * @desc    Set up an authenticator app during login (organization requires 2FA)
+ * @access  Public (the challenge token from /login is the credential)
+ * 
+ * RESPONSE: { secret, otpauthUrl, qrCode } - then POST /2fa/verify with a
+ * code from the app to finish setup and sign in
+ */
+router.post(
+  '/2fa/setup/challenge',
+  validateTwoFactorChallenge,
+  handleValidationErrors,
+  authController.startTwoFactorSetup
+);
+
+/**
+ * @route   POST /api/auth/sso/start
+ * @desc    Start a single sign-on login at the organization's identity provider
+ * @access  Public
+ * 
+ * REQUEST BODY:
+ * {
+ *   "organization": "Acme Corp"   // name or slug
+ * }
+ * 
+ * RESPONSE: { authorizationUrl } - the browser goes there to sign in
+ */
+router.post(
+  '/sso/start',
+  validateSsoStart,
+  handleValidationErrors,
+  authController.startSso
+);
+
+/**
+ * @route   POST /api/auth/sso/callback
+ * @desc    Finish a single sign-on login and get tokens
+ * @access  Public (the one-time state and code are the credential)
+ * 
+ * REQUEST BODY:
+ * {
+ *   "code": "...",    // from the provider's redirect
+ *   "state": "..."
+ * }
+ * 
+ * NOTE: The first login creates the account (organization's default
+ * role, or the role mapped from the provider's claims).
+ */
+router.post(
+  '/sso/callback',
+  validateSsoCallback,
+  handleValidationErrors,
+  authController.ssoCallback
+);
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a password reset link
+ * @access  Public
+ * 
+ * REQUEST BODY:
+ * {
+ *   "email": "jane@acme.com"
+ * }
+ * 
+ * NOTE: The answer is the same whether or not the email has an account.
+ */
+router.post(
+  '/forgot-password',
+  validateEmailLinkRequest,
+  handleValidationErrors,
+  authController.forgotPassword
+);
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password with the token from the reset link
+ * @access  Public (the one-time token is the credential)
+ * 
+ * REQUEST BODY:
+ * {
+ *   "token": "9f2e...",       // from the link
+ *   "password": "NewPass123"
+ * }
+ * 
+ * NOTE: Signs the account out everywhere - log in with the new password.
+ */
+router.post(
+  '/reset-password',
+  validatePasswordReset,
+  handleValidationErrors,
+  authController.resetPassword
+);
+
+/**
+ * @route   POST /api/auth/verify-email
+ * @desc    Confirm an email address with the token from the verification link
+ * @access  Public (the one-time token is the credential)
+ * 
+ * REQUEST BODY:
+ * {
+ *   "token": "9f2e..."
+ * }
+ */
+router.post(
+  '/verify-email',
+  validateEmailVerification,
+  handleValidationErrors,
+  authController.verifyEmail
+);
+
+/**
+ * @route   POST /api/auth/verify-email/resend
+ * @desc    Email a new verification link
+ * @access  Public (unverified users may not be able to log in)
+ * 
+ * REQUEST BODY:
+ * {
+ *   "email": "jane@acme.com"
+ * }
+ */
+router.post(
+  '/verify-email/resend',
+  validateEmailLinkRequest,
+  handleValidationErrors,
+  authController.resendVerification
+);
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new access + refresh token
+ * @access  Public (the refresh token is the credential)
+ * 
+ * WHY PUBLIC?
+ * It's called exactly when the access token has expired.
+ * 
+ * REQUEST BODY:
+ * {
+ *   "refreshToken": "65a1...c3.9f2e..."
+ * }
+ * 
+ * NOTE: Refresh tokens are single-use. Presenting one that was already
+ * exchanged revokes the whole session (it was probably stolen).
+ */
+router.post(
+  '/refresh',
+  validateRefreshToken,
+  handleValidationErrors,
+  authController.refreshToken
+);
+
 /**
  * =============================================================================
  * PROTECTED ROUTES (Authentication required)
@@ -241,11 +478,13 @@ router.patch(
  *   "confirmPassword": "NewPassword123"
  * }
  * 
- * NOTE: Returns a new token (old tokens become invalid)
+ * NOTE: Returns a new token (old tokens become invalid) and signs out
+ * every other session
  */
 router.post(
   '/change-password',
   protect,
+  denyApiTokens,
   validatePasswordChange,
   handleValidationErrors,
   authController.changePassword
@@ -256,10 +495,10 @@ router.post(
  * @desc    Log out current user
  * @access  Private
  * 
- * NOTE: With JWT, logout is mainly client-side (delete token).
- * This endpoint logs the event and can clear cookies if used.
+ * NOTE: Revokes the current session - its access and refresh tokens stop
+ * working immediately. The client should also delete them.
  */
-router.post('/logout', protect, authController.logout);
+router.post('/logout', protect, denyApiTokens, authController.logout);
 
 /**
  * @route   GET /api/auth/verify
@@ -272,6 +511,150 @@ router.post('/logout', protect, authController.logout);
  */
 router.get('/verify', protect, authController.verifyToken);
 
+/**
+ * @route   GET /api/auth/2fa
+ * @desc    Two-factor status (enabled, recovery codes left, required by the org)
+ * @access  Private
+ */
+router.get('/2fa', protect, denyApiTokens, authController.getTwoFactorStatus);
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start setting up an authenticator app
+ * @access  Private
+ * 
+ * RESPONSE: { secret, otpauthUrl, qrCode } - 2FA stays off until /2fa/enable
+ */
+router.post('/2fa/setup', protect, denyApiTokens, authController.setupTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Confirm the authenticator app with a code and turn 2FA on
+ * @access  Private
+ * 
+ * REQUEST BODY: { "code": "492039" }
+ * RESPONSE: { recoveryCodes } - shown only once
+ */
+router.post(
+  '/2fa/enable',
+  protect,
+  denyApiTokens,
+  validateTwoFactorCode,
+  handleValidationErrors,
+  authController.enableTwoFactor
+);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Turn two-factor authentication off
+ * @access  Private
+ * 
+ * REQUEST BODY: { "password": "...", "code": "492039" } (or "recoveryCode")
+ * 
+ * NOTE: Refused while the organization requires 2FA.
+ */
+router.post(
+  '/2fa/disable',
+  protect,
+  denyApiTokens,
+  validateTwoFactorDisable,
+  handleValidationErrors,
+  authController.disableTwoFactor
+);
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Replace the recovery codes (the old ones stop working)
+ * @access  Private
+ * 
+ * REQUEST BODY: { "code": "492039" }
+ */
+router.post(
+  '/2fa/recovery-codes',
+  protect,
+  denyApiTokens,
+  validateTwoFactorCode,
+  handleValidationErrors,
+  authController.regenerateRecoveryCodes
+);
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List the devices the user is signed in on
+ * @access  Private
+ * 
+ * RESPONSE: [{ id, device, ip, createdAt, lastUsedAt, expiresAt, current }]
+ */
+router.get('/sessions', protect, denyApiTokens, authController.getSessions);
+
+/**
+ * @route   DELETE /api/auth/sessions
+ * @desc    Sign out everywhere (this session included)
+ * @access  Private
+ */
+router.delete('/sessions', protect, denyApiTokens, authController.revokeAllSessions);
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Revoke one of the user's sessions
+ * @access  Private
+ */
+router.delete(
+  '/sessions/:id',
+  protect,
+  denyApiTokens,
+  validateObjectId('id'),
+  handleValidationErrors,
+  authController.revokeSession
+);
+
+/**
+ * @route   GET /api/auth/tokens
+ * @desc    List the user's personal access tokens
+ * @access  Private (signed-in users, not API tokens)
+ * 
+ * RESPONSE: [{ id, name, tokenHint, scopes, expiresAt, expired, lastUsedAt, lastUsedIp, createdAt }]
+ */
+router.get('/tokens', protect, denyApiTokens, authController.getApiTokens);
+
+/**
+ * @route   POST /api/auth/tokens
+ * @desc    Create a personal access token for scripts and integrations
+ * @access  Private (signed-in users, not API tokens)
+ * 
+ * REQUEST BODY:
+ * {
+ *   "name": "Nightly import",
+ *   "scopes": ["upload_documents", "view_documents"],   // Privileges the user has
+ *   "expiresInDays": 90                                   // Optional (default 90)
+ * }
+ * 
+ * RESPONSE: { token, apiToken } - the token is only returned here.
+ * Use it as "Authorization: Bearer aiksp_pat_..."
+ */
+router.post(
+  '/tokens',
+  protect,
+  denyApiTokens,
+  validateApiTokenCreate,
+  handleValidationErrors,
+  authController.createApiToken
+);
+
+/**
+ * @route   DELETE /api/auth/tokens/:id
+ * @desc    Revoke a personal access token
+ * @access  Private (signed-in users, not API tokens)
+ */
+router.delete(
+  '/tokens/:id',
+  protect,
+  denyApiTokens,
+  validateObjectId('id'),
+  handleValidationErrors,
+  authController.revokeApiToken
+);
+
 // =============================================================================
 // EXPORT ROUTER
 // =============================================================================
@@ -6,7 +6,7 @@
 
 const express = require('express');
 const collectionController = require('../controllers/collection.controller');
-const { protect } = require('../middlewares/auth');
+const { protect, requireScope } = require('../middlewares/auth');
 const { loadOrganization, requireOrgAdmin } = require('../middlewares/organization');
 const { validateObjectId, handleValidationErrors } = require('../middlewares/validation');
 
@@ -14,12 +14,14 @@ const router = express.Router();
 
 router.use(protect);
 router.use(loadOrganization);
+// API tokens: view_documents, plus edit_documents for changes
+router.use(requireScope('view_documents'));
 
 // List collections (admin sees all, employees see public + own)
 router.get('/', collectionController.listCollections);
 
 // Create collection
-router.post('/', collectionController.createCollection);
+router.post('/', requireScope('edit_documents'), collectionController.createCollection);
 
 // List pending requests (admin only)
 router.get('/requests', requireOrgAdmin, collectionController.listRequests);
@@ -43,6 +45,7 @@ router.get(
 // Add documents to collection
 router.post(
   '/:id/documents',
+  requireScope('edit_documents'),
   validateObjectId('id'),
   handleValidationErrors,
   collectionController.addDocuments
@@ -51,6 +54,7 @@ router.post(
 // Request public access (employee)
 router.post(
   '/:id/request-public',
+  requireScope('edit_documents'),
   validateObjectId('id'),
   handleValidationErrors,
   collectionController.requestPublic
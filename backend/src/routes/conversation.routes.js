@@ -0,0 +1,93 @@
+/**
+ * =============================================================================
+ * CONVERSATION ROUTES - API ENDPOINTS FOR MULTI-TURN Q&A
+ * =============================================================================
+ *
+ * ROUTES:
+ * GET    /api/conversations           - List my conversations
+ * POST   /api/conversations           - Start a conversation
+ * GET    /api/conversations/:id       - Get a conversation with its turns
+ * POST   /api/conversations/:id/turns - Ask the next question
+ * DELETE /api/conversations/:id       - Delete a conversation
+ *
+ * =============================================================================
+ */
+
+const express = require('express');
+const conversationController = require('../controllers/conversation.controller');
+const { protect, requireScope } = require('../middlewares/auth');
+const {
+  validateQuestion,
+  validateConversation,
+  validateObjectId,
+  handleValidationErrors,
+} = require('../middlewares/validation');
+
+const router = express.Router();
+
+// All conversation routes require authentication (API tokens: query_ai)
+router.use(protect);
+router.use(requireScope('query_ai'));
+
+/**
+ * @route   GET /api/conversations
+ * @desc    List the current user's conversations
+ * @access  Private
+ */
+router.get('/', conversationController.listConversations);
+
+/**
+ * @route   POST /api/conversations
+ * @desc    Start a conversation (optionally with its first question)
+ * @access  Private
+ */
+router.post(
+  '/',
+  validateConversation,
+  handleValidationErrors,
+  conversationController.createConversation
+);
+
+/**
+ * @route   GET /api/conversations/:id
+ * @desc    Get a conversation with all its turns
+ * @access  Private (owner only)
+ */
+router.get(
+  '/:id',
+  validateObjectId('id'),
+  handleValidationErrors,
+  conversationController.getConversation
+);
+
+/**
+ * @route   POST /api/conversations/:id/turns
+ * @desc    Ask a follow-up question in a conversation
+ * @access  Private (owner only)
+ *
+ * REQUEST BODY:
+ * {
+ *   "question": "And what about contractors?"
+ * }
+ */
+router.post(
+  '/:id/turns',
+  validateObjectId('id'),
+  validateQuestion,
+  handleValidationErrors,
+  conversationController.addTurn
+);
+
+/**
+ * @route   DELETE /api/conversations/:id
+ * @desc    Delete a conversation
+ * @access  Private (owner only)
+ */
+router.delete(
+  '/:id',
+  validateObjectId('id'),
+  handleValidationErrors,
+  conversationController.deleteConversation
+);
+
+module.exports = router;
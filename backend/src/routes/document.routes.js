@@ -5,33 +5,66 @@
  * 
  * ROUTES:
  * POST   /api/documents       - Upload document
+ * POST   /api/documents/batch - Bulk upload (many files, folders, ZIPs)
+ * GET    /api/documents/batches/:batchId - Bulk upload progress
  * GET    /api/documents       - List documents
  * GET    /api/documents/stats - Get statistics
  * GET    /api/documents/:id/status - Get document processing status
  * GET    /api/documents/:id   - Get single document
  * PATCH  /api/documents/:id   - Update document
  * DELETE /api/documents/:id   - Delete document
- * GET    /api/documents/:id/download - Download document file
+ * POST   /api/documents/:id/summary - Regenerate AI summary
+ * GET    /api/documents/:id/download - Get a signed download URL
+ * GET    /api/documents/:id/file - Download through a signed URL (no JWT)
+ * POST   /api/documents/:id/versions - Upload a new version
+ * GET    /api/documents/:id/revisions - Version history
+ * GET    /api/documents/:id/revisions/diff?from=&to= - Compare two revisions
+ * GET    /api/documents/:id/revisions/:revision/download - Signed URL for a revision
+ * POST   /api/documents/:id/revisions/:revision/restore - Restore a revision
  * 
  * =============================================================================
  */
 
 const express = require('express');
 const documentController = require('../controllers/document.controller');
-const { protect, restrictTo } = require('../middlewares/auth');
+const { protect, restrictTo, requireScope, denyApiTokens } = require('../middlewares/auth');
 const upload = require('../middlewares/upload');
 const {
   validateDocumentUpload,
   validateDocumentUpdate,
+  validateDocumentVersion,
+  validateDocumentBatch,
+  validateRevisionDiff,
   validateObjectId,
+  validateRevisionNumber,
   handleValidationErrors,
 } = require('../middlewares/validation');
 
 const router = express.Router();
 
-// All document routes require authentication
+/**
+ * @route   GET /api/documents/:id/file
+ * @desc    Serve a document file through a signed download URL
+ * @access  Signed URL (issued by GET /api/documents/:id/download)
+ * 
+ * NOTE: Registered BEFORE router.use(protect) - browsers open this link
+ * directly, so there is no Authorization header. The HMAC signature,
+ * expiry and user binding in the query string take its place.
+ */
+router.get(
+  '/:id/file',
+  validateObjectId('id'),
+  handleValidationErrors,
+  documentController.serveSignedFile
+);
+
+// All other document routes require authentication
 router.use(protect);
 
+// API tokens need view_documents here - and the write scope of each
+// upload / edit / delete route below
+router.use(requireScope('view_documents'));
+
 /**
  * @route   POST /api/documents
  * @desc    Upload a new document
@@ -46,12 +79,44 @@ router.use(protect);
  */
 router.post(
   '/',
+  requireScope('upload_documents'),
   upload.single('file'),
   validateDocumentUpload,
   handleValidationErrors,
   documentController.uploadDocument
 );
 
+/**
+ * @route   POST /api/documents/batch
+ * @desc    Upload many documents at once (files, a folder or ZIP archives)
+ * @access  Private
+ * 
+ * REQUEST: multipart/form-data with 'files' (repeated), metadata
+ * defaults, folderMapping and overrides (see validateDocumentBatch)
+ * 
+ * Unsupported files don't fail the request - the response lists them.
+ */
+router.post(
+  '/batch',
+  requireScope('upload_documents'),
+  upload.batchUpload.array('files'),
+  validateDocumentBatch,
+  handleValidationErrors,
+  documentController.uploadBatch
+);
+
+/**
+ * @route   GET /api/documents/batches/:batchId
+ * @desc    Processing state of every file of a bulk upload
+ * @access  Private (Uploader or Admin)
+ */
+router.get(
+  '/batches/:batchId',
+  validateObjectId('batchId'),
+  handleValidationErrors,
+  documentController.getBatchStatus
+);
+
 /**
  * @route   GET /api/documents
  * @desc    Get all documents (with filters and pagination)
@@ -77,9 +142,19 @@ router.get('/stats', documentController.getStats);
 /**
  * @route   POST /api/documents/generate-hashes
  * @desc    Generate hashes for documents without one (for linking feature)
- * @access  Private (Admin only)
+ * @access  Private (Admin only, not available to API tokens)
+ * 
+ * NOTE: Rewrites documents across the organization - the router-wide
+ * view_documents scope must not be enough for a token to start it.
  */
-router.post('/generate-hashes', documentController.generateHashes);
+router.post('/generate-hashes', denyApiTokens, documentController.generateHashes);
+
+/**
+ * @route   POST /api/documents/generate-embeddings
+ * @desc    Embed documents without vectors from the current provider (semantic search)
+ * @access  Private (Admin only, not available to API tokens)
+ */
+router.post('/generate-embeddings', denyApiTokens, documentController.generateEmbeddings);
 
 /**
  * @route   GET /api/documents/:id/status
@@ -112,6 +187,7 @@ router.get(
  */
 router.patch(
   '/:id',
+  requireScope('edit_documents'),
   validateObjectId('id'),
   validateDocumentUpdate,
   handleValidationErrors,
@@ -125,15 +201,33 @@ router.patch(
  */
 router.delete(
   '/:id',
+  requireScope('delete_documents'),
   validateObjectId('id'),
   handleValidationErrors,
   documentController.deleteDocument
 );
 
+/**
+ * @route   POST /api/documents/:id/summary
+ * @desc    Regenerate the AI summary (runs in the background)
+ * @access  Private (Owner or Admin)
+ */
+router.post(
+  '/:id/summary',
+  requireScope('edit_documents'),
+  validateObjectId('id'),
+  handleValidationErrors,
+  documentController.regenerateSummary
+);
+
 /**
  * @route   GET /api/documents/:id/download
- * @desc    Download document file
+ * @desc    Get a short-lived signed URL for the document file
  * @access  Private
+ * 
+ * QUERY PARAMS:
+ * - disposition: 'attachment' (save, default) or 'inline' (open in browser,
+ *   PDFs and images only - other files are always attachments)
  */
 router.get(
   '/:id/download',
@@ -142,4 +236,78 @@ router.get(
   documentController.downloadDocument
 );
 
+/**
+ * @route   POST /api/documents/:id/versions
+ * @desc    Upload a new version of a document (keeps its ID and links)
+ * @access  Private (Owner or Admin)
+ * 
+ * REQUEST: multipart/form-data with file, version (optional),
+ * changeNote (optional)
+ */
+router.post(
+  '/:id/versions',
+  requireScope('upload_documents'),
+  validateObjectId('id'),
+  upload.single('file'),
+  validateDocumentVersion,
+  handleValidationErrors,
+  documentController.uploadNewVersion
+);
+
+/**
+ * @route   GET /api/documents/:id/revisions
+ * @desc    Get the version history of a document
+ * @access  Private
+ */
+router.get(
+  '/:id/revisions',
+  validateObjectId('id'),
+  handleValidationErrors,
+  documentController.getRevisions
+);
+
+/**
+ * @route   GET /api/documents/:id/revisions/diff
+ * @desc    Compare the text of two revisions
+ * @access  Private
+ * 
+ * QUERY PARAMS:
+ * - from: Older revision number
+ * - to: Newer revision number
+ */
+router.get(
+  '/:id/revisions/diff',
+  validateObjectId('id'),
+  validateRevisionDiff,
+  handleValidationErrors,
+  documentController.diffRevisions
+);
+
+/**
+ * @route   GET /api/documents/:id/revisions/:revision/download
+ * @desc    Get a short-lived signed URL for a revision's file
+ * @access  Private
+ */
+router.get(
+  '/:id/revisions/:revision/download',
+  validateObjectId('id'),
+  validateRevisionNumber,
+  handleValidationErrors,
+  documentController.downloadRevision
+);
+
+/**
+ * @route   POST /api/documents/:id/revisions/:revision/restore
+ * @desc    Make an earlier revision the current version
+ * @access  Private (Owner or Admin)
+ */
+router.post(
+  '/:id/revisions/:revision/restore',
+  requireScope('edit_documents'),
+  validateObjectId('id'),
+  validateRevisionNumber,
+  handleValidationErrors,
+  documentController.restoreRevision
+);
+
 module.exports = router;
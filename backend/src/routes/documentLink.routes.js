@@ -7,13 +7,15 @@
 const express = require('express');
 const router = express.Router();
 const documentLinkController = require('../controllers/documentLink.controller');
-const { protect } = require('../middlewares/auth');
+const { protect, requireScope } = require('../middlewares/auth');
 
-// All routes require authentication
+// All routes require authentication (API tokens: view_documents, plus
+// edit_documents for changes)
 router.use(protect);
+router.use(requireScope('view_documents'));
 
 // Create a new link
-router.post('/', documentLinkController.createLink);
+router.post('/', requireScope('edit_documents'), documentLinkController.createLink);
 
 // Get links for a collection
 router.get('/collection/:collectionId', documentLinkController.getLinksForCollection);
@@ -25,12 +27,12 @@ router.get('/document/:documentId', documentLinkController.getLinksForDocument);
 router.get('/positions/:collectionId', documentLinkController.getDocumentPositions);
 
 // Update document position on canvas
-router.put('/position', documentLinkController.updateDocumentPosition);
+router.put('/position', requireScope('edit_documents'), documentLinkController.updateDocumentPosition);
 
 // Update link relation text
-router.put('/:id', documentLinkController.updateLinkText);
+router.put('/:id', requireScope('edit_documents'), documentLinkController.updateLinkText);
 
 // Delete a link
-router.delete('/:id', documentLinkController.deleteLink);
+router.delete('/:id', requireScope('edit_documents'), documentLinkController.deleteLink);
 
 module.exports = router;
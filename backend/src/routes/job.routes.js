@@ -0,0 +1,54 @@
+/**
+ * =============================================================================
+ * JOB ROUTES - API ENDPOINTS FOR THE BACKGROUND JOB QUEUE
+ * =============================================================================
+ *
+ * ROUTES:
+ * GET  /api/jobs           - List the organization's jobs
+ * POST /api/jobs/:id/retry - Retry a failed (dead) job
+ *
+ * =============================================================================
+ */
+
+const express = require('express');
+const jobController = require('../controllers/job.controller');
+const { protect } = require('../middlewares/auth');
+const { loadOrganization, requireOrgAdmin } = require('../middlewares/organization');
+const {
+  validateJobList,
+  validateObjectId,
+  handleValidationErrors,
+} = require('../middlewares/validation');
+
+const router = express.Router();
+
+// Job administration is for organization admins only
+router.use(protect);
+router.use(loadOrganization);
+router.use(requireOrgAdmin);
+
+/**
+ * @route   GET /api/jobs
+ * @desc    List background jobs (e.g. ?status=dead for failed ones)
+ * @access  Private (Org Admin)
+ */
+router.get(
+  '/',
+  validateJobList,
+  handleValidationErrors,
+  jobController.listJobs
+);
+
+/**
+ * @route   POST /api/jobs/:id/retry
+ * @desc    Queue a dead job again with fresh attempts
+ * @access  Private (Org Admin)
+ */
+router.post(
+  '/:id/retry',
+  validateObjectId('id'),
+  handleValidationErrors,
+  jobController.retryJob
+);
+
+module.exports = router;
@@ -13,11 +13,30 @@
  * PATCH  /api/organizations/me           - Update organization settings
  * POST   /api/organizations/rotate-key   - Rotate secret key
  * 
+ * SINGLE SIGN-ON (requires manage_organization, not available to API tokens):
+ * GET    /api/organizations/sso          - SSO settings
+ * PATCH  /api/organizations/sso          - Update SSO settings
+ * 
  * USER MANAGEMENT:
  * GET    /api/organizations/users        - List users
  * POST   /api/organizations/users        - Add user
  * PATCH  /api/organizations/users/:id    - Update user
  * DELETE /api/organizations/users/:id    - Remove user
+ * DELETE /api/organizations/users/:id/two-factor - Reset a user's 2FA
+ * 
+ * INVITATIONS (requires manage_users, not available to API tokens):
+ * GET    /api/organizations/invitations            - List invitations
+ * POST   /api/organizations/invitations            - Invite an email
+ * POST   /api/organizations/invitations/:id/resend - Email a new invitation link
+ * DELETE /api/organizations/invitations/:id        - Revoke invitation
+ * 
+ * SERVICE ACCOUNTS (requires manage_users, not available to API tokens):
+ * GET    /api/organizations/service-accounts                        - List with tokens
+ * POST   /api/organizations/service-accounts                        - Create
+ * PATCH  /api/organizations/service-accounts/:id                    - Rename / change role
+ * DELETE /api/organizations/service-accounts/:id                    - Delete (revokes tokens)
+ * POST   /api/organizations/service-accounts/:id/tokens             - Create a token
+ * DELETE /api/organizations/service-accounts/:id/tokens/:tokenId    - Revoke a token
  * 
  * ROLE MANAGEMENT:
  * GET    /api/organizations/roles        - List roles
@@ -26,18 +45,32 @@
  * DELETE /api/organizations/roles/:key   - Delete role
  * GET    /api/organizations/privileges   - List available privileges
  * 
+ * ANALYTICS (requires view_analytics):
+ * GET    /api/organizations/analytics/overview         - Totals, split, feedback, tokens
+ * GET    /api/organizations/analytics/volume           - Queries per day/week/month
+ * GET    /api/organizations/analytics/top-queries      - Most frequent queries
+ * GET    /api/organizations/analytics/zero-results     - Queries that found nothing
+ * GET    /api/organizations/analytics/cited-documents  - Most cited documents
+ * 
+ * KNOWLEDGE GAPS:
+ * GET    /api/organizations/knowledge-gaps       - Failed queries, clustered
+ * PATCH  /api/organizations/knowledge-gaps/:key  - Assign owner / resolve
+ * 
  * ACCESS CONTROL:
  * - All routes require authentication (protect)
  * - All routes require organization context (loadOrganization)
  * - Some routes require admin privileges
  * - Some routes require specific privileges
+ * - API tokens: requirePrivilege() checks the token's scopes;
+ *   credentials and identity settings (organization settings, secret key,
+ *   SSO, 2FA resets, invitations, service accounts) need a signed-in user
  * 
  * =============================================================================
  */
 
 const express = require('express');
 const organizationController = require('../controllers/organization.controller');
-const { protect } = require('../middlewares/auth');
+const { protect, denyApiTokens } = require('../middlewares/auth');
 const {
   loadOrganization,
   requireOrgAdmin,
@@ -46,9 +79,19 @@ const {
 } = require('../middlewares/organization');
 const {
   validateObjectId,
+  validateAnalyticsQuery,
+  validateKnowledgeGapQuery,
+  validateKnowledgeGapUpdate,
+  validateInvitation,
+  validateInvitationQuery,
+  validateSsoConfig,
+  validateServiceAccount,
+  validateServiceAccountUpdate,
+  validateApiTokenCreate,
   handleValidationErrors,
 } = require('../middlewares/validation');
 const { body } = require('express-validator');
+const { getAvailableProviders } = require('../services/llm.service');
 
 const router = express.Router();
 
@@ -83,10 +126,14 @@ router.get('/me', organizationController.getMyOrganization);
 /**
  * @route   PATCH /api/organizations/me
  * @desc    Update organization settings
- * @access  Private (Org Admin only)
+ * @access  Private (Org Admin only, not available to API tokens)
+ * 
+ * NOTE: Settings include sign-in rules (2FA, email verification,
+ * self-registration) - a token must not be able to relax them.
  */
 router.patch(
   '/me',
+  denyApiTokens,
   requirePrivilege('manage_organization'),
   [
     body('name')
@@ -97,6 +144,40 @@ router.patch(
       .optional()
       .isLength({ max: 500 })
       .withMessage('Description cannot exceed 500 characters'),
+    body('settings.ai.provider')
+      .optional({ values: 'null' })
+      .custom((value) => value === '' || getAvailableProviders().includes(value))
+      .withMessage(`AI provider must be one of: ${getAvailableProviders().join(', ')}`),
+    body('settings.ai.model')
+      .optional({ values: 'null' })
+      .isString()
+      .isLength({ max: 100 })
+      .withMessage('AI model name cannot exceed 100 characters'),
+    body('settings.allowSelfRegistration')
+      .optional()
+      .isBoolean()
+      .withMessage('allowSelfRegistration must be true or false')
+      .toBoolean(),
+    body('settings.requireTwoFactor')
+      .optional()
+      .isBoolean()
+      .withMessage('requireTwoFactor must be true or false')
+      .toBoolean(),
+    body('settings.requireEmailVerification')
+      .optional()
+      .isBoolean()
+      .withMessage('requireEmailVerification must be true or false')
+      .toBoolean(),
+    body('settings.chunking.chunkSize')
+      .optional({ values: 'null' })
+      .isInt({ min: 200, max: 4000 })
+      .withMessage('Chunk size must be between 200 and 4000 characters')
+      .toInt(),
+    body('settings.chunking.chunkOverlap')
+      .optional({ values: 'null' })
+      .isInt({ min: 0, max: 1000 })
+      .withMessage('Chunk overlap must be between 0 and 1000 characters')
+      .toInt(),
     handleValidationErrors,
   ],
   organizationController.updateMyOrganization
@@ -111,10 +192,47 @@ router.patch(
  */
 router.post(
   '/rotate-key',
+  denyApiTokens,
   requireOrgOwner,
   organizationController.rotateSecretKey
 );
 
+// =============================================================================
+// SINGLE SIGN-ON ROUTES
+// =============================================================================
+
+/**
+ * @route   GET /api/organizations/sso
+ * @desc    Get the organization's SSO settings (never the client secret)
+ * @access  Private (requires manage_organization, not available to API tokens)
+ * 
+ * NOTE: redirectUri is the URL to register at the identity provider.
+ */
+router.get(
+  '/sso',
+  denyApiTokens,
+  requirePrivilege('manage_organization'),
+  organizationController.getSsoSettings
+);
+
+/**
+ * @route   PATCH /api/organizations/sso
+ * @desc    Update the SSO settings (issuer, client, claim and role mapping)
+ * @access  Private (requires manage_organization, not available to API tokens)
+ * 
+ * NOTE: Enabling checks the issuer's discovery document right away.
+ * Whoever controls the identity provider can sign in as any member, so
+ * only a signed-in admin may change it.
+ */
+router.patch(
+  '/sso',
+  denyApiTokens,
+  requirePrivilege('manage_organization'),
+  validateSsoConfig,
+  handleValidationErrors,
+  organizationController.updateSsoSettings
+);
+
 // =============================================================================
 // USER MANAGEMENT ROUTES
 // =============================================================================
@@ -201,6 +319,187 @@ router.delete(
   organizationController.removeUser
 );
 
+/**
+ * @route   DELETE /api/organizations/users/:id/two-factor
+ * @desc    Reset a user's two-factor authentication (lost device)
+ * @access  Private (requires manage_users, not available to API tokens)
+ * 
+ * NOTE: The user signs in with their password again; if the organization
+ * requires 2FA they set up a new authenticator app at that login.
+ */
+router.delete(
+  '/users/:id/two-factor',
+  denyApiTokens,
+  requirePrivilege('manage_users'),
+  validateObjectId('id'),
+  handleValidationErrors,
+  organizationController.resetUserTwoFactor
+);
+
+// =============================================================================
+// INVITATION ROUTES
+// =============================================================================
+
+/**
+ * Invitation links let anyone holding them join the organization with a
+ * role - like other credentials, they need a signed-in user.
+ */
+const manageInvitations = [
+  denyApiTokens,
+  requirePrivilege('manage_users'),
+];
+
+/**
+ * @route   GET /api/organizations/invitations
+ * @desc    List invitations (optionally by status)
+ * @access  Private (requires manage_users, not available to API tokens)
+ */
+router.get(
+  '/invitations',
+  manageInvitations,
+  validateInvitationQuery,
+  handleValidationErrors,
+  organizationController.getInvitations
+);
+
+/**
+ * @route   POST /api/organizations/invitations
+ * @desc    Invite an email address with a role and department
+ * @access  Private (requires manage_users, not available to API tokens)
+ * 
+ * NOTE: The invitation link is emailed to the address, never returned.
+ */
+router.post(
+  '/invitations',
+  manageInvitations,
+  validateInvitation,
+  handleValidationErrors,
+  organizationController.createInvitation
+);
+
+/**
+ * @route   POST /api/organizations/invitations/:id/resend
+ * @desc    Email a new link for an invitation (the old one stops working)
+ * @access  Private (requires manage_users, not available to API tokens)
+ */
+router.post(
+  '/invitations/:id/resend',
+  manageInvitations,
+  validateObjectId('id'),
+  handleValidationErrors,
+  organizationController.resendInvitation
+);
+
+/**
+ * @route   DELETE /api/organizations/invitations/:id
+ * @desc    Revoke an invitation
+ * @access  Private (requires manage_users, not available to API tokens)
+ */
+router.delete(
+  '/invitations/:id',
+  manageInvitations,
+  validateObjectId('id'),
+  handleValidationErrors,
+  organizationController.revokeInvitation
+);
+
+// =============================================================================
+// SERVICE ACCOUNT ROUTES
+// =============================================================================
+
+/**
+ * Service accounts and their tokens are credentials: they need the
+ * manage_users privilege and a signed-in user (a token can't mint
+ * more tokens).
+ */
+const manageServiceAccounts = [
+  denyApiTokens,
+  requirePrivilege('manage_users'),
+];
+
+/**
+ * @route   GET /api/organizations/service-accounts
+ * @desc    List service accounts with their tokens
+ * @access  Private (requires manage_users)
+ */
+router.get(
+  '/service-accounts',
+  manageServiceAccounts,
+  organizationController.getServiceAccounts
+);
+
+/**
+ * @route   POST /api/organizations/service-accounts
+ * @desc    Create a service account (name + role)
+ * @access  Private (requires manage_users)
+ * 
+ * NOTE: The role limits which scopes its tokens can have.
+ */
+router.post(
+  '/service-accounts',
+  manageServiceAccounts,
+  validateServiceAccount,
+  handleValidationErrors,
+  organizationController.createServiceAccount
+);
+
+/**
+ * @route   PATCH /api/organizations/service-accounts/:id
+ * @desc    Rename a service account or change its role
+ * @access  Private (requires manage_users)
+ */
+router.patch(
+  '/service-accounts/:id',
+  manageServiceAccounts,
+  validateObjectId('id'),
+  validateServiceAccountUpdate,
+  handleValidationErrors,
+  organizationController.updateServiceAccount
+);
+
+/**
+ * @route   DELETE /api/organizations/service-accounts/:id
+ * @desc    Delete a service account and revoke its tokens
+ * @access  Private (requires manage_users)
+ */
+router.delete(
+  '/service-accounts/:id',
+  manageServiceAccounts,
+  validateObjectId('id'),
+  handleValidationErrors,
+  organizationController.deleteServiceAccount
+);
+
+/**
+ * @route   POST /api/organizations/service-accounts/:id/tokens
+ * @desc    Create a token for a service account
+ * @access  Private (requires manage_users)
+ * 
+ * NOTE: The response holds the token - shown only once.
+ */
+router.post(
+  '/service-accounts/:id/tokens',
+  manageServiceAccounts,
+  validateObjectId('id'),
+  validateApiTokenCreate,
+  handleValidationErrors,
+  organizationController.createServiceAccountToken
+);
+
+/**
+ * @route   DELETE /api/organizations/service-accounts/:id/tokens/:tokenId
+ * @desc    Revoke a service account token
+ * @access  Private (requires manage_users)
+ */
+router.delete(
+  '/service-accounts/:id/tokens/:tokenId',
+  manageServiceAccounts,
+  validateObjectId('id'),
+  validateObjectId('tokenId'),
+  handleValidationErrors,
+  organizationController.revokeServiceAccountToken
+);
+
 // =============================================================================
 // ROLE MANAGEMENT ROUTES
 // =============================================================================
@@ -275,6 +574,87 @@ router.delete(
  */
 router.get('/privileges', organizationController.getPrivileges);
 
+// =============================================================================
+// ANALYTICS ROUTES
+// =============================================================================
+
+/**
+ * Every analytics route needs the view_analytics privilege and accepts:
+ * - from, to: Date range (ISO 8601, default: last 30 days)
+ * - interval: day | week | month (volume only)
+ * - limit: Number of rows, 1-100 (lists only)
+ */
+const analytics = [
+  requirePrivilege('view_analytics'),
+  validateAnalyticsQuery,
+  handleValidationErrors,
+];
+
+/**
+ * @route   GET /api/organizations/analytics/overview
+ * @desc    Query totals, AI vs keyword split, response times, feedback, tokens
+ * @access  Private (requires view_analytics)
+ */
+router.get('/analytics/overview', analytics, organizationController.getAnalyticsOverview);
+
+/**
+ * @route   GET /api/organizations/analytics/volume
+ * @desc    Searches and questions per period
+ * @access  Private (requires view_analytics)
+ */
+router.get('/analytics/volume', analytics, organizationController.getAnalyticsVolume);
+
+/**
+ * @route   GET /api/organizations/analytics/top-queries
+ * @desc    Most frequent searches and questions
+ * @access  Private (requires view_analytics)
+ */
+router.get('/analytics/top-queries', analytics, organizationController.getAnalyticsTopQueries);
+
+/**
+ * @route   GET /api/organizations/analytics/zero-results
+ * @desc    Queries that returned no results
+ * @access  Private (requires view_analytics)
+ */
+router.get('/analytics/zero-results', analytics, organizationController.getAnalyticsZeroResults);
+
+/**
+ * @route   GET /api/organizations/analytics/cited-documents
+ * @desc    Documents cited most often in AI answers
+ * @access  Private (requires view_analytics)
+ */
+router.get('/analytics/cited-documents', analytics, organizationController.getAnalyticsCitedDocuments);
+
+// =============================================================================
+// KNOWLEDGE GAP ROUTES
+// =============================================================================
+
+/**
+ * @route   GET /api/organizations/knowledge-gaps
+ * @desc    Clusters of failed queries (nothing found, bad feedback, no answer)
+ * @access  Private (requires view_analytics)
+ */
+router.get(
+  '/knowledge-gaps',
+  requirePrivilege('view_analytics'),
+  validateKnowledgeGapQuery,
+  handleValidationErrors,
+  organizationController.getKnowledgeGaps
+);
+
+/**
+ * @route   PATCH /api/organizations/knowledge-gaps/:key
+ * @desc    Assign an owner, resolve or reopen a knowledge gap
+ * @access  Private (Org Admin only)
+ */
+router.patch(
+  '/knowledge-gaps/:key',
+  requireOrgAdmin,
+  validateKnowledgeGapUpdate,
+  handleValidationErrors,
+  organizationController.updateKnowledgeGap
+);
+
 // =============================================================================
 // EXPORTS
 // =============================================================================
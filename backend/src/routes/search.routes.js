@@ -6,9 +6,10 @@
  * ROUTES:
  * GET  /api/search            - Search documents
  * POST /api/search/ask        - Ask AI question
+ * POST /api/search/ask/stream - Ask AI question, answer streamed (SSE)
  * GET  /api/search/suggestions - Get search suggestions
  * GET  /api/search/recent     - Get user's recent searches
- * GET  /api/search/popular    - Get popular searches
+ * GET  /api/search/popular    - Popular searches in the organization
  * POST /api/search/feedback   - Submit answer feedback
  * POST /api/search/click      - Record search result click
  * 
@@ -17,7 +18,7 @@
 
 const express = require('express');
 const searchController = require('../controllers/search.controller');
-const { protect } = require('../middlewares/auth');
+const { protect, requireScope } = require('../middlewares/auth');
 const {
   validateSearch,
   validateQuestion,
@@ -27,8 +28,10 @@ const {
 
 const router = express.Router();
 
-// All search routes require authentication
+// All search routes require authentication (API tokens: view_documents,
+// plus query_ai for the AI routes)
 router.use(protect);
+router.use(requireScope('view_documents'));
 
 /**
  * @route   GET /api/search
@@ -61,14 +64,36 @@ router.get(
  */
 router.post(
   '/ask',
+  requireScope('query_ai'),
   validateQuestion,
   handleValidationErrors,
   searchController.askQuestion
 );
 
+/**
+ * @route   POST /api/search/ask/stream
+ * @desc    Ask AI question, answer streamed as Server-Sent Events
+ * @access  Private
+ * 
+ * REQUEST BODY:
+ * {
+ *   "question": "What is the vacation policy?"
+ * }
+ * 
+ * RESPONSE: text/event-stream with token, done, select_documents
+ * and error events
+ */
+router.post(
+  '/ask/stream',
+  requireScope('query_ai'),
+  validateQuestion,
+  handleValidationErrors,
+  searchController.askQuestionStream
+);
+
 /**
  * @route   GET /api/search/suggestions
- * @desc    Get search suggestions (autocomplete)
+ * @desc    Typeahead: past queries, titles and tags starting with ?q=
  * @access  Private
  */
 router.get('/suggestions', searchController.getSuggestions);
@@ -82,7 +107,7 @@ router.get('/recent', searchController.getRecentSearches);
 
 /**
  * @route   GET /api/search/popular
- * @desc    Get popular searches
+ * @desc    Popular searches of the organization (access-scoped)
  * @access  Private
  */
 router.get('/popular', searchController.getPopularSearches);
@@ -94,6 +119,7 @@ router.get('/popular', searchController.getPopularSearches);
  */
 router.post(
   '/feedback',
+  requireScope('query_ai'),
   validateFeedback,
   handleValidationErrors,
   searchController.submitFeedback
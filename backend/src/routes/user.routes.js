@@ -17,7 +17,7 @@
 
 const express = require('express');
 const userController = require('../controllers/user.controller');
-const { protect, restrictTo } = require('../middlewares/auth');
+const { protect, restrictTo, requireScope } = require('../middlewares/auth');
 const {
   validateAdminUserUpdate,
   validateObjectId,
@@ -27,8 +27,10 @@ const {
 const router = express.Router();
 
 // All user routes require authentication and admin role
+// (API tokens also need the manage_users scope)
 router.use(protect);
 router.use(restrictTo('admin', 'super_admin'));
+router.use(requireScope('manage_users'));
 
 /**
  * @route   GET /api/users
@@ -1,10 +1,11 @@
 /**
  * =============================================================================
- * AI SERVICE - GEMINI API INTEGRATION FOR KNOWLEDGE Q&A
+ * AI SERVICE - LLM INTEGRATION FOR KNOWLEDGE Q&A
  * =============================================================================
  * 
  * WHAT IS THIS FILE?
- * Handles all AI-related operations using Google's Gemini API:
+ * Handles all AI-related operations through the organization's LLM
+ * provider (Gemini, OpenAI-compatible or mock - see llm.service.js):
  * - Document summarization
  * - Question answering with citations
  * - Context-aware responses
@@ -25,8 +26,8 @@
  * 1. User asks: "What is the vacation policy?"
  * 2. We search for documents about vacation
  * 3. We find chunks mentioning vacation policy
- * 4. We send those chunks + question to Gemini
- * 5. Gemini generates answer based on chunks
+ * 4. We send those chunks + question to the LLM
+ * 5. The LLM generates an answer based on chunks
  * 6. We return answer + citations (which chunks were used)
  * 
  * PROMPT ENGINEERING:
@@ -39,159 +40,62 @@
  * =============================================================================
  */
 
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const { Document, QueryLog } = require('../models');
+const { Document, QueryLog, Organization } = require('../models');
 const { AppError } = require('../middlewares/errorHandler');
 const logger = require('../utils/logger');
-
-// Initialize Gemini client
-// This is done once when the module loads
-let genAI;
-let model;
-
-const getGeminiApiKey = () => {
-  const apiKeyRaw = process.env.GEMINI_API_KEY;
-  const apiKey = apiKeyRaw ? apiKeyRaw.trim() : '';
-
-  if (!apiKey) {
-    throw new AppError('Gemini API key is not configured.', 500);
-  }
-
-  if (apiKeyRaw && apiKeyRaw !== apiKey) {
-    logger.warn('GEMINI_API_KEY contains leading/trailing whitespace. It was trimmed.');
-  }
-
-  return apiKey;
-};
-
-const getGeminiModelName = () => {
-  const modelNameRaw = process.env.GEMINI_MODEL || 'gemini-2.0-flash';
-  const modelName = modelNameRaw.trim();
-
-  if (modelNameRaw !== modelName) {
-    logger.warn('GEMINI_MODEL contains leading/trailing whitespace. It was trimmed.');
-  }
-
-  return modelName;
-};
+const { rankChunks } = require('../utils/chunkRanker');
+const embeddingService = require('./embedding.service');
+const { getLLMProvider, LLM_ERROR_TYPES, estimateTokens } = require('./llm.service');
 
 /**
- * callGemini()
+ * resolveProvider()
+ * 
+ * WHAT: Returns the LLM provider configured for an organization
+ * 
+ * Organizations can pick a provider/model in settings.ai; otherwise the
+ * LLM_PROVIDER environment variable (default: gemini) is used.
  * 
- * REST call to Gemini API (v1beta) to match AI Studio curl behavior.
+ * CALLED BY: All AI functions before generating text
+ * INPUT: organizationId (may be null)
+ * OUTPUT: LLMProvider (see llm.service.js)
  */
-const callGemini = async (prompt, options = {}) => {
-  const apiKey = getGeminiApiKey();
-  const primaryModel = (options.modelName || getGeminiModelName()).trim();
-
-  // Try primary model first, then fall back to lighter models to avoid zero-quota errors
-  const fallbackModels = [
-    'gemini-1.5-flash',
-    'gemini-1.5-flash-8b',
-    'gemini-2.0-flash',
-  ];
-
-  const modelsToTry = Array.from(new Set([primaryModel, ...fallbackModels]));
-  let lastError;
-
-  for (const modelName of modelsToTry) {
-    const url = `https://generativelanguage.googleapis.com/v1beta/models/${modelName}:generateContent`;
-
-    logger.debug('Calling Gemini API', { model: modelName, promptLength: prompt.length });
+const resolveProvider = async (organizationId) => {
+  let aiSettings = null;
 
+  if (organizationId) {
     try {
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-goog-api-key': apiKey,
-        },
-        body: JSON.stringify({
-          contents: [
-            {
-              parts: [{ text: prompt }],
-            },
-          ],
-        }),
+      const organization = await Organization.findById(organizationId).select('settings.ai');
+      aiSettings = organization?.settings?.ai || null;
+    } catch (error) {
+      logger.warn('Failed to load organization AI settings; using default provider', {
+        organization: organizationId,
+        error: error.message,
       });
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        const error = new Error(`[Gemini REST Error]: ${response.status} ${response.statusText} - ${errorText}`);
-        error.status = response.status;
-        error.model = modelName;
-        throw error;
-      }
-
-      const data = await response.json();
-
-      // Check for blocked or empty responses
-      if (!data.candidates || data.candidates.length === 0) {
-        const error = new Error(`Gemini API returned no candidates for ${modelName}. The response may have been blocked or the model is unavailable.`);
-        error.status = 500;
-        error.model = modelName;
-        throw error;
-      }
-
-      // Check for safety filters or other issues
-      const candidate = data.candidates[0];
-      if (candidate.finishReason && !['STOP', 'MAX_TOKENS'].includes(candidate.finishReason)) {
-        const error = new Error(`Gemini candidate finished with reason: ${candidate.finishReason}`);
-        error.status = 500;
-        error.model = modelName;
-        throw error;
-      }
-
-      const text = candidate.content?.parts?.map((part) => part.text)?.join('') || '';
-      return { text, modelUsed: modelName };
-    } catch (err) {
-      lastError = err;
-
-      // If quota exhausted or model missing, try next fallback before failing
-      if (
-        err.status === 429 ||
-        err.status === 404 ||
-        (err.message && (err.message.includes('RESOURCE_EXHAUSTED') || err.message.includes('NOT_FOUND')))
-      ) {
-        logger.warn('Gemini model quota exhausted; trying fallback', {
-          model: modelName,
-          status: err.status,
-          message: err.message?.substring(0, 200),
-        });
-        continue;
-      }
-
-      // Non-quota errors: rethrow immediately
-      throw err;
     }
   }
 
-  // If all models failed, throw last error
-  throw lastError || new Error('Gemini API call failed for all models');
+  return getLLMProvider(aiSettings);
 };
 
 /**
- * initializeGemini()
- * 
- * WHAT: Initializes the Gemini API client
+ * resolveTokenUsage()
  * 
- * WHY LAZY INITIALIZATION?
- * - API key might not be set during testing
- * - Avoids errors on startup if key is missing
- * - Allows dynamic configuration
+ * WHAT: Token usage for a generation, for the query log
  * 
- * CALLED BY: All AI functions before making API calls
+ * Uses the counts reported by the provider, or counts/estimates them
+ * when the provider didn't report any.
  */
-const initializeGemini = () => {
-  if (!genAI) {
-    const apiKey = getGeminiApiKey();
-    const modelName = getGeminiModelName();
-    
-    genAI = new GoogleGenerativeAI(apiKey);
-    model = genAI.getGenerativeModel({ model: modelName });
+const resolveTokenUsage = async (provider, prompt, result) => {
+  if (result?.usage) {
+    return result.usage;
   }
-  
-  return model;
+
+  const [promptTokens, completionTokens] = await Promise.all([
+    provider.countTokens(prompt),
+    provider.countTokens(result?.text || ''),
+  ]);
+
+  return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
 };
 
 /**
@@ -204,7 +108,7 @@ const initializeGemini = () => {
 /**
  * QA_SYSTEM_PROMPT
  * 
- * This prompt tells Gemini how to answer questions.
+ * This prompt tells the LLM how to answer questions.
  * 
  * KEY RULES:
  * 1. ONLY use information from provided context
@@ -228,10 +132,29 @@ When citing sources, use this format:
 If multiple documents contain relevant information, cite all of them.
 If the question is unclear, ask for clarification.`;
 
+/**
+ * REWRITE_SYSTEM_PROMPT
+ * 
+ * Turns a follow-up ("and what about contractors?") into a question that
+ * can be searched on its own ("What is the vacation policy for contractors?").
+ */
+const REWRITE_SYSTEM_PROMPT = `You rewrite follow-up questions from a conversation about company documents.
+
+RULES:
+1. Rewrite the follow-up so it can be understood without the conversation
+2. Keep the meaning; resolve words like "it", "they", "that" and "what about"
+3. If the follow-up is already self-contained, return it unchanged
+4. Return ONLY the rewritten question on a single line`;
+
+/**
+ * MAX_HISTORY_TURNS - Previous turns considered for follow-up questions
+ */
+const MAX_HISTORY_TURNS = 3;
+
 /**
  * SUMMARY_SYSTEM_PROMPT
  * 
- * This prompt tells Gemini how to summarize documents.
+ * This prompt tells the LLM how to summarize documents.
  */
 const SUMMARY_SYSTEM_PROMPT = `You are an AI assistant that creates concise summaries of documents.
 
@@ -241,6 +164,45 @@ RULES:
 3. Use professional, clear language
 4. Do not add information not present in the document`;
 
+/**
+ * SECTION_SUMMARY_PROMPT
+ * 
+ * Used for the "map" step on long documents: each section is summarized
+ * on its own before the section summaries are combined.
+ */
+const SECTION_SUMMARY_PROMPT = `You are an AI assistant summarizing one section of a longer document.
+
+RULES:
+1. Summarize the section in 3-5 sentences
+2. Keep names, numbers, dates and rules that a reader would need
+3. Do not add information not present in the section`;
+
+/**
+ * SUMMARY_INPUT_LIMIT - Characters sent to the model per summary request
+ * MAX_REDUCE_ROUNDS - Upper bound on "reduce" rounds for one document
+ *   (a model whose summaries don't get shorter can't loop forever)
+ */
+const SUMMARY_INPUT_LIMIT = 30000;
+const MAX_REDUCE_ROUNDS = 3;
+
+// Summary errors that another attempt won't fix
+const PERMANENT_SUMMARY_ERRORS = [
+  LLM_ERROR_TYPES.AUTH,
+  LLM_ERROR_TYPES.FORBIDDEN,
+  LLM_ERROR_TYPES.NOT_FOUND,
+  LLM_ERROR_TYPES.BLOCKED,
+];
+
+/**
+ * formatPageRange()
+ * 
+ * WHAT: "p. 12" / "p. 12–13", or null when the chunk has no pages
+ */
+const formatPageRange = (startPage, endPage) => {
+  if (!startPage) return null;
+  return endPage && endPage !== startPage ? `p. ${startPage}–${endPage}` : `p. ${startPage}`;
+};
+
 /**
  * buildContextPrompt()
  * 
@@ -250,10 +212,10 @@ RULES:
  * 
  * FORMAT:
  * --- CONTEXT START ---
- * [Document: Policy Handbook]
+ * [Document: Policy Handbook, p. 12–13]
  * ...chunk text...
  * 
- * [Document: HR Guidelines]
+ * [Document: HR Guidelines, section: Benefits > Leave]
  * ...chunk text...
  * --- CONTEXT END ---
  * 
@@ -272,7 +234,11 @@ const buildContextPrompt = (chunks, options = {}) => {
   let context = '--- CONTEXT START ---\n\n';
 
   for (const chunk of chunks.slice(0, maxChunks)) {
-    context += `[Document: ${chunk.documentTitle}]\n`;
+    const location = [
+      formatPageRange(chunk.startPage, chunk.endPage),
+      chunk.sectionPath ? `section: ${chunk.sectionPath}` : null,
+    ].filter(Boolean);
+    context += `[Document: ${[chunk.documentTitle, ...location].join(', ')}]\n`;
     context += `${chunk.text.substring(0, maxChars)}${chunk.text.length > maxChars ? '...' : ''}\n\n`;
   }
 
@@ -374,12 +340,13 @@ const getCandidateDocuments = async (question, { organizationId, userRole, userD
   const candidates = await Document.find(filter, { score: { $meta: 'textScore' } })
     .sort({ score: { $meta: 'textScore' } })
     .limit(6)
-    .select('title description category tags fileName hash');
+    .select('title description summary category tags fileName hash');
 
   return candidates.map((doc) => ({
     documentId: doc._id,
     title: doc.title,
     description: doc.description,
+    summary: doc.summary,
     category: doc.category,
     tags: doc.tags || [],
     fileName: doc.fileName,
@@ -399,6 +366,11 @@ const buildCitationsFromChunks = (chunks) => (
     documentTags: chunk.documentTags,
     documentCategory: chunk.documentCategory,
     chunkIndex: chunk.chunkIndex,
+    // PDF pages the passage is on (null for other formats)
+    startPage: chunk.startPage ?? null,
+    endPage: chunk.endPage ?? null,
+    // Headings the passage is under (null for documents without headings)
+    sectionPath: chunk.sectionPath ?? null,
     excerpt: chunk.text.substring(0, 200) + (chunk.text.length > 200 ? '...' : ''),
     fileName: chunk.fileName,
     relevanceScore: 1 - (index * 0.1),
@@ -452,7 +424,7 @@ const parseJsonFromText = (text) => {
  * 
  * Uses AI to select the most relevant chunks/keywords and doc links.
  */
-const generateMindmapPlan = async (question, chunks) => {
+const generateMindmapPlan = async (question, chunks, provider) => {
   const chunkSnippets = chunks.slice(0, 12).map((chunk) => ({
     documentTitle: chunk.documentTitle,
     chunkIndex: chunk.chunkIndex,
@@ -478,7 +450,7 @@ Chunks:
 ${JSON.stringify(chunkSnippets, null, 2)}
 `;
 
-  const { text } = await callGemini(prompt);
+  const { text } = await provider.generate(prompt);
 
   return parseJsonFromText(text);
 };
@@ -624,6 +596,228 @@ const buildMindmapFromChunks = (question, chunks, options = {}) => {
   };
 };
 
+/**
+ * buildSelectDocumentsResponse()
+ * 
+ * WHAT: Response asking the user to pick 1-2 documents
+ * 
+ * Used when no LLM provider is available, so the user can still get
+ * excerpts from specific sources (see answerQuestionWithSelectedDocuments).
+ */
+const buildSelectDocumentsResponse = async (question, accessContext) => {
+  const candidates = await getCandidateDocuments(question, accessContext);
+
+  return {
+    mode: 'select_documents',
+    message: 'AI service is unavailable. Select 1-2 documents to answer from specific sources.',
+    candidates,
+  };
+};
+
+/**
+ * findChunksForQuestion()
+ * 
+ * WHAT: Retrieves the best chunks for a question (org-scoped, permission-filtered)
+ * 
+ * Retrieval failures are logged and yield no chunks - the LLM will then
+ * say that no information is available.
+ */
+const findChunksForQuestion = async (question, { organizationId, userRole, userDepartment, userId }) => {
+  logger.debug('Searching for relevant chunks with permission filtering', {
+    question: question.substring(0, 100),
+    organization: organizationId,
+    userRole: userRole,
+    department: userDepartment,
+  });
+
+  let chunks = [];
+  try {
+    // Query vector enables hybrid (keyword + semantic) retrieval
+    const queryEmbedding = await embeddingService.embedQuery(question);
+
+    chunks = await Document.findRelevantChunks(question, {
+      department: userDepartment,
+      organization: organizationId, // Organization scoping
+      userId: userId, // For private document access
+      userRole: userRole, // For permission-based filtering
+      limit: 8, // Best chunks across all candidate documents
+      queryEmbedding,
+      minSimilarity: embeddingService.getMinSimilarity(),
+    });
+  } catch (searchError) {
+    logger.warn('Failed to find relevant chunks', {
+      error: searchError.message,
+      organization: organizationId,
+    });
+  }
+
+  logger.debug('Found relevant chunks after permission filtering', {
+    question: question.substring(0, 100),
+    chunkCount: chunks.length,
+    organization: organizationId,
+    userRole: userRole,
+  });
+
+  return chunks;
+};
+
+/**
+ * formatHistory()
+ * 
+ * WHAT: Renders the last few conversation turns for a prompt
+ * 
+ * Answers are shortened - the model needs the topic, not the full text.
+ */
+const formatHistory = (history) => (
+  history
+    .slice(-MAX_HISTORY_TURNS)
+    .map((turn) => {
+      const answer = (turn.answer || '').substring(0, 300);
+      return `User: ${turn.question}\nAssistant: ${answer}`;
+    })
+    .join('\n\n')
+);
+
+/**
+ * rewriteFollowUpQuestion()
+ * 
+ * WHAT: Turns a follow-up question into a standalone one before retrieval
+ * 
+ * WHY?
+ * "and what about contractors?" shares no words with the documents that
+ * answer it. Retrieval needs the topic from the earlier turns.
+ * 
+ * FALLBACK:
+ * Without a usable provider, the previous question is prepended instead -
+ * crude, but it gives keyword and semantic search the missing topic.
+ * 
+ * CALLED BY: answerQuestion(), streamAnswer()
+ * INPUT: question, history [{ question, answer }], provider
+ * OUTPUT: standalone question (string)
+ */
+const rewriteFollowUpQuestion = async (question, history = [], provider = null) => {
+  const recentTurns = history.slice(-MAX_HISTORY_TURNS);
+  if (recentTurns.length === 0) {
+    return question;
+  }
+
+  const fallback = `${recentTurns[recentTurns.length - 1].question} ${question}`;
+  if (!provider || !provider.isConfigured()) {
+    return fallback;
+  }
+
+  const prompt = `${REWRITE_SYSTEM_PROMPT}
+
+--- CONVERSATION ---
+${formatHistory(recentTurns)}
+
+FOLLOW-UP QUESTION: ${question}
+
+STANDALONE QUESTION:`;
+
+  try {
+    const result = await provider.generate(prompt, { maxOutputTokens: 100, temperature: 0 });
+    const rewritten = (result.text || '')
+      .trim()
+      .split('\n')[0]
+      .replace(/^["']|["']$/g, '')
+      .trim();
+
+    if (!rewritten || rewritten.length > 500) {
+      return fallback;
+    }
+
+    logger.debug('Rewrote follow-up question', { question, rewritten });
+    return rewritten;
+  } catch (error) {
+    logger.warn('Failed to rewrite follow-up question', {
+      provider: provider.name,
+      error: error.message,
+    });
+    return fallback;
+  }
+};
+
+/**
+ * buildQuestionPrompt()
+ * 
+ * WHAT: Full Q&A prompt - system rules, context excerpts and the question
+ */
+const buildQuestionPrompt = (question, chunks, history = []) => {
+  const contextPrompt = buildContextPrompt(chunks, { maxChunks: 3, maxChars: 300 });
+  const conversationPrompt = history.length > 0
+    ? `\n--- CONVERSATION SO FAR ---\n${formatHistory(history)}\n`
+    : '';
+
+  const fullPrompt = `${QA_SYSTEM_PROMPT}
+${conversationPrompt}
+${contextPrompt}
+
+QUESTION: ${question}
+
+ANSWER:`;
+
+  logger.debug('Generated prompt', {
+    promptLength: fullPrompt.length,
+    chunkCount: chunks.length,
+  });
+
+  return fullPrompt;
+};
+
+/**
+ * buildExtractiveAnswer()
+ * 
+ * WHAT: Fallback "answer" made of the best excerpt per document
+ * 
+ * Used when the LLM is rate limited or unavailable - users still get
+ * the most relevant passages instead of an error.
+ */
+const buildExtractiveAnswer = (chunks, sourceLabel) => {
+  const grouped = chunks.reduce((acc, chunk) => {
+    acc[chunk.documentTitle] = acc[chunk.documentTitle] || [];
+    acc[chunk.documentTitle].push(chunk.text.substring(0, 200) + (chunk.text.length > 200 ? '...' : ''));
+    return acc;
+  }, {});
+
+  const excerpts = Object.entries(grouped)
+    .map(([title, texts]) => `• ${title}: "${texts[0]}"`)
+    .join('\n');
+
+  return excerpts
+    ? `Here are the most relevant excerpts from ${sourceLabel}:\n\n${excerpts}`
+    : "I couldn't find information about this in the available documents.";
+};
+
+/**
+ * buildAnswerMindmap()
+ * 
+ * WHAT: Mindmap for an answer - AI-guided when GEMINI_MINDMAP_PLAN=true,
+ * heuristic otherwise (or if the plan fails)
+ */
+const buildAnswerMindmap = async (question, chunks, provider) => {
+  let mindmapPlan = null;
+  if (process.env.GEMINI_MINDMAP_PLAN === 'true') {
+    try {
+      mindmapPlan = await generateMindmapPlan(question, chunks, provider);
+    } catch (planError) {
+      logger.warn('Failed to generate AI mindmap plan; using heuristic', {
+        error: planError.message,
+      });
+    }
+  }
+
+  return mindmapPlan
+    ? buildMindmapFromChunks(question, chunks, {
+        keywords: mindmapPlan.keywords || [],
+        chunkRefs: mindmapPlan.chunkRefs || [],
+        docLinks: mindmapPlan.docLinks || [],
+        maxChunks: 10,
+        maxKeywords: 16,
+      })
+    : buildMindmapFromChunks(question, chunks, { maxChunks: 10, maxKeywords: 16 });
+};
+
 /**
  * answerQuestion()
  * 
@@ -638,7 +832,7 @@ const buildMindmapFromChunks = (question, chunks, options = {}) => {
  * 2. Search for relevant document chunks (org-scoped)
  * 3. If no chunks found, return informative response
  * 4. Build prompt with context
- * 5. Call Gemini API
+ * 5. Call the organization's LLM provider
  * 6. Extract citations
  * 7. Log the query
  * 8. Return answer with citations
@@ -646,13 +840,26 @@ const buildMindmapFromChunks = (question, chunks, options = {}) => {
  * ERROR HANDLING:
  * - Returns user-friendly error messages
  * - Logs detailed errors for debugging
- * - Gracefully handles Gemini API errors (rate limits, etc)
+ * - Gracefully handles provider errors (rate limits, etc)
+ * 
+ * FOLLOW-UPS:
+ * Pass the earlier turns of a conversation as options.history. The
+ * question is rewritten into a standalone one for retrieval, and the
+ * turns are included in the prompt.
  * 
- * CALLED BY: SearchController.askQuestion()
- * INPUT: question, userId, userDepartment, userRole, organizationId
- * OUTPUT: { answer, citations, queryId }
+ * CALLED BY: SearchController.askQuestion(), ConversationService
+ * INPUT: question, userId, userDepartment, userRole, organizationId,
+ *        options { history }
+ * OUTPUT: { answer, citations, queryId, standaloneQuestion }
  */
-const answerQuestion = async (question, userId, userDepartment, userRole, organizationId) => {
+const answerQuestion = async (
+  question,
+  userId,
+  userDepartment,
+  userRole,
+  organizationId,
+  { history = [] } = {}
+) => {
   const startTime = Date.now();
 
   try {
@@ -665,125 +872,61 @@ const answerQuestion = async (question, userId, userDepartment, userRole, organi
       throw new AppError('Organization context is required.', 400);
     }
 
-    // Validate Gemini API key
-    try {
-      getGeminiApiKey();
-    } catch (initError) {
-      const candidates = await getCandidateDocuments(question, {
-        organizationId,
-        userRole,
-        userDepartment,
-        userId,
-      });
+    const accessContext = { organizationId, userRole, userDepartment, userId };
 
-      return {
-        mode: 'select_documents',
-        message: 'AI service is unavailable. Select 1-2 documents to answer from specific sources.',
-        candidates,
-      };
-    }
+    const provider = await resolveProvider(organizationId);
 
-    // Step 1: Find relevant chunks - scoped to organization and filtered by permissions
-    logger.debug('Searching for relevant chunks with permission filtering', {
-      question: question.substring(0, 100),
-      organization: organizationId,
-      userRole: userRole,
-      department: userDepartment,
-    });
+    // Follow-ups are searched as standalone questions
+    const standaloneQuestion = await rewriteFollowUpQuestion(question, history, provider);
 
-    let chunks = [];
-    try {
-      chunks = await Document.findRelevantChunks(question, {
-        department: userDepartment,
-        organization: organizationId, // Organization scoping
-        userId: userId, // For private document access
-        userRole: userRole, // For permission-based filtering
-        limit: 5, // Reduced to save tokens
-      });
-    } catch (searchError) {
-      logger.warn('Failed to find relevant chunks', {
-        error: searchError.message,
-        organization: organizationId,
-      });
-      // Continue with empty chunks - Gemini will indicate no information available
+    // Without a configured provider, let the user pick documents instead
+    if (!provider.isConfigured()) {
+      return buildSelectDocumentsResponse(standaloneQuestion, accessContext);
     }
 
-    logger.debug('Found relevant chunks after permission filtering', {
-      question: question.substring(0, 100),
-      chunkCount: chunks.length,
-      organization: organizationId,
-      userRole: userRole,
-    });
+    // Step 1: Find relevant chunks - scoped to organization and filtered by permissions
+    const chunks = await findChunksForQuestion(standaloneQuestion, accessContext);
 
     // Step 2: Build the prompt
-    const contextPrompt = buildContextPrompt(chunks, { maxChunks: 3, maxChars: 300 });
-
-    const fullPrompt = `${QA_SYSTEM_PROMPT}
+    const fullPrompt = buildQuestionPrompt(question, chunks, history.slice(-MAX_HISTORY_TURNS));
 
-${contextPrompt}
-
-QUESTION: ${question}
-
-ANSWER:`;
-
-    logger.debug('Generated prompt', {
-      promptLength: fullPrompt.length,
-      chunkCount: chunks.length,
-    });
-
-    // Step 3: Call Gemini API with error handling
+    // Step 3: Call the LLM provider with error handling
     let answer;
     let aiModelUsed;
+    let tokensUsed;
     try {
-      const result = await callGemini(fullPrompt);
+      const result = await provider.generate(fullPrompt);
       answer = result.text;
       aiModelUsed = result.modelUsed;
 
       if (!answer || answer.trim().length === 0) {
-        throw new AppError('Gemini API returned an empty response.', 500);
+        throw new AppError('The AI provider returned an empty response.', 500);
       }
-    } catch (geminiError) {
-      logger.error('Gemini API error', {
-        error: geminiError.message,
-        code: geminiError.code,
-        status: geminiError.status,
-      });
 
-      const message = geminiError.message || '';
-      if (message.includes('API_KEY_INVALID') || message.includes('API key not valid')) {
-        const candidates = await getCandidateDocuments(question, {
-          organizationId,
-          userRole,
-          userDepartment,
-          userId,
-        });
+      tokensUsed = await resolveTokenUsage(provider, fullPrompt, result);
+    } catch (llmError) {
+      const errorType = llmError instanceof AppError
+        ? LLM_ERROR_TYPES.SERVER
+        : provider.classifyError(llmError);
+
+      logger.error('LLM provider error', {
+        provider: provider.name,
+        errorType,
+        error: llmError.message,
+        status: llmError.status,
+      });
 
-        return {
-          mode: 'select_documents',
-          message: 'AI service is unavailable. Select 1-2 documents to answer from specific sources.',
-          candidates,
-        };
+      if (errorType === LLM_ERROR_TYPES.AUTH) {
+        return buildSelectDocumentsResponse(standaloneQuestion, accessContext);
       }
 
-      // Handle specific Gemini API errors with extractive fallback
-      if (geminiError.status === 429 || message.includes('429') || geminiError.status === 404 || message.includes('NOT_FOUND')) {
+      // Rate limits and missing models get an extractive fallback answer
+      if (errorType === LLM_ERROR_TYPES.RATE_LIMIT || errorType === LLM_ERROR_TYPES.NOT_FOUND) {
         const responseTime = Date.now() - startTime;
         const citations = buildCitationsFromChunks(chunks);
-        const mindmap = buildMindmapFromChunks(question, chunks, { maxChunks: 10, maxKeywords: 16 });
-
-        const grouped = chunks.reduce((acc, chunk) => {
-          acc[chunk.documentTitle] = acc[chunk.documentTitle] || [];
-          acc[chunk.documentTitle].push(chunk.text.substring(0, 200) + (chunk.text.length > 200 ? '...' : ''));
-          return acc;
-        }, {});
-
-        const excerpts = Object.entries(grouped)
-          .map(([title, texts]) => `• ${title}: "${texts[0]}"`)
-          .join('\n');
+        const mindmap = buildMindmapFromChunks(standaloneQuestion, chunks, { maxChunks: 10, maxKeywords: 16 });
 
-        const fallbackAnswer = excerpts
-          ? `Here are the most relevant excerpts from your documents:\n\n${excerpts}`
-          : "I couldn't find information about this in the available documents.";
+        const fallbackAnswer = buildExtractiveAnswer(chunks, 'your documents');
 
         let queryLog;
         try {
@@ -798,7 +941,7 @@ ANSWER:`;
             citedDocuments: citations,
             resultCount: chunks.length,
             responseTime,
-            aiModel: aiModelUsed || process.env.GEMINI_MODEL || 'gemini-2.0-flash',
+            aiModel: aiModelUsed || provider.model,
             status: 'success',
           });
         } catch (logError) {
@@ -811,18 +954,19 @@ ANSWER:`;
           mindmap,
           queryId: queryLog?._id,
           responseTime,
+          standaloneQuestion,
         };
       }
 
-      if (geminiError.status === 403 || message.includes('403')) {
+      if (errorType === LLM_ERROR_TYPES.FORBIDDEN) {
         throw new AppError('The AI service is not available. Please check your API key configuration.', 403);
       }
 
-      if (geminiError.status === 500 || message.includes('500')) {
+      if (errorType === LLM_ERROR_TYPES.SERVER || errorType === LLM_ERROR_TYPES.BLOCKED) {
         throw new AppError('The AI service encountered an error. Please try again.', 500);
       }
 
-      throw new AppError(`Failed to generate answer: ${geminiError.message}`, 500);
+      throw new AppError(`Failed to generate answer: ${llmError.message}`, 500);
     }
 
     // Calculate response time
@@ -832,26 +976,7 @@ ANSWER:`;
     const citations = buildCitationsFromChunks(chunks);
 
     // Step 4.5: Build AI-guided mindmap data for visualization
-    let mindmapPlan = null;
-    if (process.env.GEMINI_MINDMAP_PLAN === 'true') {
-      try {
-        mindmapPlan = await generateMindmapPlan(question, chunks);
-      } catch (planError) {
-        logger.warn('Failed to generate AI mindmap plan; using heuristic', {
-          error: planError.message,
-        });
-      }
-    }
-
-    const mindmap = mindmapPlan
-      ? buildMindmapFromChunks(question, chunks, {
-          keywords: mindmapPlan.keywords || [],
-          chunkRefs: mindmapPlan.chunkRefs || [],
-          docLinks: mindmapPlan.docLinks || [],
-          maxChunks: 10,
-          maxKeywords: 16,
-        })
-      : buildMindmapFromChunks(question, chunks, { maxChunks: 10, maxKeywords: 16 });
+    const mindmap = await buildAnswerMindmap(standaloneQuestion, chunks, provider);
 
     // Step 5: Log the query (include organization for analytics)
     let queryLog;
@@ -867,7 +992,8 @@ ANSWER:`;
         citedDocuments: citations,
         resultCount: chunks.length,
         responseTime,
-        aiModel: aiModelUsed || process.env.GEMINI_MODEL || 'gemini-2.5-flash',
+        aiModel: aiModelUsed || provider.model,
+        tokensUsed,
         status: 'success',
       });
     } catch (logError) {
@@ -893,6 +1019,7 @@ ANSWER:`;
       mindmap,
       queryId: queryLog?._id,
       responseTime,
+      standaloneQuestion,
     };
 
   } catch (error) {
@@ -930,6 +1057,161 @@ ANSWER:`;
   }
 };
 
+/**
+ * streamAnswer()
+ * 
+ * WHAT: Streaming variant of answerQuestion()
+ * 
+ * Same retrieval, prompt and fallbacks, but the answer text is handed to
+ * `onToken` piece by piece as the provider produces it, so the user sees
+ * the answer being written instead of waiting for the whole completion.
+ * 
+ * ABORTING:
+ * When `signal` fires (client disconnected) generation stops, and the
+ * partial answer is logged with status 'aborted'.
+ * 
+ * QUERY LOG:
+ * Written exactly once - when the stream completes, fails or is aborted.
+ * 
+ * CALLED BY: SearchController.askQuestionStream(), ConversationService
+ * INPUT: question, userId, userDepartment, userRole, organizationId,
+ *        { onToken(text), signal, history }
+ * OUTPUT: { answer, citations, mindmap, queryId, responseTime, aborted,
+ *         standaloneQuestion } or the select_documents response
+ */
+const streamAnswer = async (
+  question,
+  userId,
+  userDepartment,
+  userRole,
+  organizationId,
+  { onToken = () => {}, signal, history = [] } = {}
+) => {
+  const startTime = Date.now();
+
+  if (!question || typeof question !== 'string' || question.trim().length === 0) {
+    throw new AppError('Question cannot be empty.', 400);
+  }
+
+  if (!organizationId) {
+    throw new AppError('Organization context is required.', 400);
+  }
+
+  const accessContext = { organizationId, userRole, userDepartment, userId };
+
+  const provider = await resolveProvider(organizationId);
+
+  // Follow-ups are searched as standalone questions
+  const standaloneQuestion = await rewriteFollowUpQuestion(question, history, provider);
+
+  // Without a configured provider, let the user pick documents instead
+  if (!provider.isConfigured()) {
+    return buildSelectDocumentsResponse(standaloneQuestion, accessContext);
+  }
+
+  const chunks = await findChunksForQuestion(standaloneQuestion, accessContext);
+  const fullPrompt = buildQuestionPrompt(question, chunks, history.slice(-MAX_HISTORY_TURNS));
+
+  let answer = '';
+  let status = 'success';
+  let errorMessage;
+
+  try {
+    for await (const text of provider.stream(fullPrompt, { signal })) {
+      answer += text;
+      onToken(text);
+    }
+  } catch (llmError) {
+    if (signal?.aborted) {
+      status = 'aborted';
+    } else {
+      const errorType = provider.classifyError(llmError);
+
+      logger.error('LLM provider streaming error', {
+        provider: provider.name,
+        errorType,
+        error: llmError.message,
+        status: llmError.status,
+      });
+
+      // Fallbacks only make sense if nothing was streamed yet
+      if (!answer && errorType === LLM_ERROR_TYPES.AUTH) {
+        return buildSelectDocumentsResponse(standaloneQuestion, accessContext);
+      }
+
+      if (!answer && (errorType === LLM_ERROR_TYPES.RATE_LIMIT || errorType === LLM_ERROR_TYPES.NOT_FOUND)) {
+        answer = buildExtractiveAnswer(chunks, 'your documents');
+        onToken(answer);
+      } else {
+        status = 'error';
+        errorMessage = llmError.message;
+      }
+    }
+  }
+
+  if (signal?.aborted) {
+    status = 'aborted';
+  }
+
+  if (status === 'success' && answer.trim().length === 0) {
+    status = 'error';
+    errorMessage = 'The AI provider returned an empty response.';
+  }
+
+  const responseTime = Date.now() - startTime;
+  const citations = buildCitationsFromChunks(chunks);
+  const mindmap = status === 'success'
+    ? await buildAnswerMindmap(standaloneQuestion, chunks, provider)
+    : null;
+
+  // Streams report no usage, so estimate instead of extra API calls
+  const promptTokens = estimateTokens(fullPrompt);
+  const completionTokens = estimateTokens(answer);
+
+  let queryLog;
+  try {
+    queryLog = await QueryLog.logQuery({
+      query: question,
+      queryType: 'question',
+      user: userId,
+      userDepartment,
+      userRole,
+      organization: organizationId,
+      response: answer,
+      citedDocuments: citations,
+      resultCount: chunks.length,
+      responseTime,
+      aiModel: provider.model,
+      tokensUsed: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens },
+      status,
+      errorMessage,
+    });
+  } catch (logError) {
+    logger.warn('Failed to log streamed query', { error: logError.message });
+  }
+
+  if (status === 'error') {
+    throw new AppError('The AI service encountered an error. Please try again.', 500);
+  }
+
+  logger.info('AI question streamed', {
+    queryId: queryLog?._id,
+    status,
+    responseTime,
+    organization: organizationId,
+  });
+
+  return {
+    answer,
+    citations,
+    mindmap,
+    queryId: queryLog?._id,
+    responseTime,
+    aborted: status === 'aborted',
+    standaloneQuestion,
+  };
+};
+
 /**
  * answerQuestionWithSelectedDocuments()
  * 
@@ -980,11 +1262,11 @@ const answerQuestionWithSelectedDocuments = async (
   }
 
   // Build chunks from selected documents
-  const chunks = [];
+  const candidateChunks = [];
   documents.forEach((doc) => {
     if (doc.chunks && doc.chunks.length > 0) {
-      doc.chunks.slice(0, 3).forEach((chunk) => {
-        chunks.push({
+      doc.chunks.forEach((chunk) => {
+        candidateChunks.push({
           text: chunk.text,
           documentId: doc._id,
           documentTitle: doc.title,
@@ -996,10 +1278,11 @@ const answerQuestionWithSelectedDocuments = async (
           chunkIndex: chunk.chunkIndex,
           startPage: chunk.startPage,
           endPage: chunk.endPage,
+          sectionPath: chunk.sectionPath,
         });
       });
     } else if (doc.content) {
-      chunks.push({
+      candidateChunks.push({
         text: doc.content.substring(0, 1000),
         documentId: doc._id,
         documentTitle: doc.title,
@@ -1011,10 +1294,14 @@ const answerQuestionWithSelectedDocuments = async (
         chunkIndex: 0,
         startPage: null,
         endPage: null,
+        sectionPath: null,
       });
     }
   });
 
+  // Rank every chunk of the selected documents against the question
+  const chunks = rankChunks(question, candidateChunks, { limit: 6 });
+
   const contextPrompt = buildContextPrompt(chunks, { maxChunks: 4, maxChars: 350 });
   const fullPrompt = `${QA_SYSTEM_PROMPT}
 
@@ -1024,29 +1311,28 @@ QUESTION: ${question}
 
 ANSWER:`;
 
+  const provider = await resolveProvider(organizationId);
   let answer;
   let aiModelUsed;
+  let tokensUsed;
 
   try {
-    const result = await callGemini(fullPrompt);
+    const result = await provider.generate(fullPrompt);
     answer = result.text;
     aiModelUsed = result.modelUsed;
 
     if (!answer || answer.trim().length === 0) {
-      throw new AppError('Gemini API returned an empty response.', 500);
+      throw new AppError('The AI provider returned an empty response.', 500);
     }
-  } catch (geminiError) {
-    const grouped = chunks.reduce((acc, chunk) => {
-      acc[chunk.documentTitle] = acc[chunk.documentTitle] || [];
-      acc[chunk.documentTitle].push(chunk.text.substring(0, 200) + (chunk.text.length > 200 ? '...' : ''));
-      return acc;
-    }, {});
-
-    const excerpts = Object.entries(grouped)
-      .map(([title, texts]) => `• ${title}: "${texts[0]}"`)
-      .join('\n');
-
-    answer = `Here are the most relevant excerpts from your selected documents:\n\n${excerpts}`;
+
+    tokensUsed = await resolveTokenUsage(provider, fullPrompt, result);
+  } catch (llmError) {
+    logger.warn('LLM provider unavailable for selected documents; using excerpts', {
+      provider: provider.name,
+      error: llmError.message,
+    });
+
+    answer = buildExtractiveAnswer(chunks, 'your selected documents');
   }
 
   const citations = buildCitationsFromChunks(chunks);
@@ -1065,7 +1351,8 @@ ANSWER:`;
       citedDocuments: citations,
       resultCount: chunks.length,
       responseTime,
-      aiModel: aiModelUsed || process.env.GEMINI_MODEL || 'gemini-2.5-flash',
+      aiModel: aiModelUsed || provider.model,
+      tokensUsed,
       status: 'success',
     });
   } catch (logError) {
@@ -1080,90 +1367,129 @@ ANSWER:`;
   };
 };
 
+/**
+ * splitForSummary()
+ * 
+ * WHAT: Cuts text into sections of at most `limit` characters
+ * 
+ * Cuts at a paragraph or sentence break when there is one near the
+ * limit, so sections don't end mid-sentence.
+ */
+const splitForSummary = (text, limit) => {
+  const sections = [];
+  let start = 0;
+
+  while (start < text.length) {
+    let end = Math.min(start + limit, text.length);
+
+    if (end < text.length) {
+      const window = text.substring(start, end);
+      const breakAt = Math.max(window.lastIndexOf('\n\n'), window.lastIndexOf('. '));
+      if (breakAt > limit * 0.5) {
+        end = start + breakAt + 1;
+      }
+    }
+
+    sections.push(text.substring(start, end).trim());
+    start = end;
+  }
+
+  return sections.filter(Boolean);
+};
+
 /**
  * summarizeDocument()
  * 
  * WHAT: Generates an AI summary of a document
  * 
- * CALLED BY: DocumentService.processDocument()
- * INPUT: documentContent (full text)
- * OUTPUT: Summary string
+ * SHORT DOCUMENTS (up to SUMMARY_INPUT_LIMIT characters):
+ * One request with the whole text.
+ * 
+ * LONG DOCUMENTS - MAP-REDUCE:
+ * 1. Map: the text is split into sections and every section is summarized
+ * 2. Reduce: the section summaries are grouped into batches that fit one
+ *    request and each batch is summarized, until everything fits into
+ *    the final request. After MAX_REDUCE_ROUNDS rounds what's left is
+ *    cut to SUMMARY_INPUT_LIMIT.
+ * 
+ * ERRORS:
+ * By default a failed request is thrown, so the summary job retries it
+ * (errors no retry can fix, like invalid credentials, are marked
+ * `retryable = false`). With { optional: true } failures return null
+ * instead, for callers that can do without a summary.
+ * 
+ * CALLED BY: DocumentService.generateDocumentSummary()
+ * INPUT: documentContent (full text), organizationId (selects the provider),
+ *        options { optional }
+ * OUTPUT: Summary string, or null if no provider is available
  */
-const summarizeDocument = async (documentContent) => {
-  try {
-    getGeminiApiKey();
+const summarizeDocument = async (documentContent, organizationId = null, { optional = false } = {}) => {
+  let provider;
 
-    // Truncate content if too long (API has token limits)
-    const maxLength = 30000;
-    const content = documentContent.length > maxLength
-      ? documentContent.substring(0, maxLength) + '...[truncated]'
-      : documentContent;
+  try {
+    provider = await resolveProvider(organizationId);
+    if (!provider.isConfigured() || !documentContent || !documentContent.trim()) {
+      return null;
+    }
 
-    const prompt = `${SUMMARY_SYSTEM_PROMPT}
+    const summarize = async (systemPrompt, label, content) => {
+      const prompt = `${systemPrompt}
 
-DOCUMENT:
+${label}:
 ${content}
 
 SUMMARY:`;
 
-    const { text: summary } = await callGemini(prompt);
+      const { text } = await provider.generate(prompt);
+      return (text || '').trim();
+    };
 
-    return summary;
+    // Summarizes every batch of `text` that fits into one request
+    const summarizeInBatches = async (text) => {
+      const partials = [];
+      for (const batch of splitForSummary(text, SUMMARY_INPUT_LIMIT)) {
+        partials.push(await summarize(SECTION_SUMMARY_PROMPT, 'SECTION', batch));
+      }
+      return partials.filter(Boolean).join('\n\n');
+    };
 
-  } catch (error) {
-    logger.error('Document summarization failed', error);
-    return null; // Return null instead of throwing - summary is optional
-  }
-};
+    if (documentContent.length <= SUMMARY_INPUT_LIMIT) {
+      return await summarize(SUMMARY_SYSTEM_PROMPT, 'DOCUMENT', documentContent);
+    }
 
-/**
- * generateSuggestions()
- * 
- * WHAT: Generates search suggestions based on query
- * 
- * This can be used for autocomplete or "Did you mean?" features.
- * 
- * CALLED BY: SearchController.getSuggestions()
- * INPUT: partialQuery
- * OUTPUT: Array of suggestion strings
- */
-const generateSuggestions = async (partialQuery, userId, userDepartment) => {
-  try {
-    // For now, use simple document-based suggestions
-    // In production, you might use Gemini or an embeddings model
-    
-    const documents = await Document.find({
-      status: 'active',
-      $text: { $search: partialQuery },
-    })
-      .limit(5)
-      .select('title tags');
-
-    // Extract unique suggestions from titles and tags
-    const suggestions = new Set();
-
-    for (const doc of documents) {
-      // Add title words
-      const titleWords = doc.title.toLowerCase().split(' ');
-      titleWords.forEach((word) => {
-        if (word.length > 3 && word.includes(partialQuery.toLowerCase())) {
-          suggestions.add(word);
-        }
-      });
+    logger.debug('Summarizing long document section by section', {
+      length: documentContent.length,
+    });
 
-      // Add matching tags
-      doc.tags.forEach((tag) => {
-        if (tag.toLowerCase().includes(partialQuery.toLowerCase())) {
-          suggestions.add(tag);
-        }
+    // Map: summarize every section
+    let combined = await summarizeInBatches(documentContent);
+
+    // Reduce: combine section summaries until they fit into one request
+    for (let round = 1; round <= MAX_REDUCE_ROUNDS && combined.length > SUMMARY_INPUT_LIMIT; round++) {
+      combined = await summarizeInBatches(combined);
+    }
+
+    if (combined.length > SUMMARY_INPUT_LIMIT) {
+      logger.warn('Section summaries still too long after the last reduce round, truncating', {
+        length: combined.length,
+        rounds: MAX_REDUCE_ROUNDS,
       });
+      combined = splitForSummary(combined, SUMMARY_INPUT_LIMIT)[0];
     }
 
-    return Array.from(suggestions).slice(0, 5);
+    return await summarize(SUMMARY_SYSTEM_PROMPT, 'SECTION SUMMARIES', combined);
 
   } catch (error) {
-    logger.error('Suggestion generation failed', error);
-    return [];
+    logger.error('Document summarization failed', { error: error.message, status: error.status });
+
+    if (optional) {
+      return null;
+    }
+
+    if (provider && PERMANENT_SUMMARY_ERRORS.includes(provider.classifyError(error))) {
+      error.retryable = false;
+    }
+    throw error;
   }
 };
 
@@ -1172,7 +1498,9 @@ const generateSuggestions = async (partialQuery, userId, userDepartment) => {
 // =============================================================================
 module.exports = {
   answerQuestion,
+  streamAnswer,
+  rewriteFollowUpQuestion,
+  buildAccessFilter,
   answerQuestionWithSelectedDocuments,
   summarizeDocument,
-  generateSuggestions,
 };
@@ -0,0 +1,432 @@
+/**
+ * =============================================================================
+ * ANALYTICS SERVICE - ORGANIZATION USAGE REPORTS FROM THE QUERY LOG
+ * =============================================================================
+ *
+ * WHAT IS THIS FILE?
+ * Turns the QueryLog collection into the numbers behind the analytics page:
+ * - Overview: totals, AI vs keyword split, response times, feedback, tokens
+ * - Query volume over time (per day, week or month)
+ * - Top queries and queries that found nothing
+ * - Documents cited most often in AI answers
+ *
+ * ORGANIZATION SCOPING:
+ * Every function takes the organization id and filters on it first.
+ * Analytics never mix data from different organizations.
+ *
+ * DATE RANGE:
+ * All reports cover { startDate, endDate } (default: the last 30 days,
+ * at most two years).
+ * Periods are calendar days/weeks/months in UTC.
+ *
+ * =============================================================================
+ */
+
+const mongoose = require('mongoose');
+const { QueryLog } = require('../models');
+const { AppError } = require('../middlewares/errorHandler');
+
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 731; // Two years
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * $dateToString formats per interval - periodKey() below must produce
+ * the same strings so empty periods can be filled in
+ */
+const PERIOD_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m',
+};
+
+/**
+ * resolveRange()
+ *
+ * WHAT: Turns optional from/to query values into a date range
+ *
+ * INPUT: { from, to } (ISO dates, optional)
+ * OUTPUT: { startDate, endDate }
+ * THROWS: AppError 400 when from is after to or the range is too long
+ */
+const resolveRange = ({ from, to } = {}) => {
+  const endDate = to ? new Date(to) : new Date();
+  const startDate = from ? new Date(from) : new Date(endDate.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+
+  if (startDate > endDate) {
+    throw new AppError('The start date must be before the end date.', 400);
+  }
+
+  if (endDate - startDate > MAX_RANGE_DAYS * DAY_MS) {
+    throw new AppError('Analytics cover at most two years at a time.', 400);
+  }
+
+  return { startDate, endDate };
+};
+
+/**
+ * baseMatch()
+ *
+ * WHAT: The $match every report starts with (organization + date range)
+ */
+const baseMatch = (organizationId, { startDate, endDate }) => ({
+  organization: new mongoose.Types.ObjectId(organizationId),
+  createdAt: { $gte: startDate, $lte: endDate },
+});
+
+/**
+ * periodKey()
+ *
+ * WHAT: The period a date falls in, formatted like PERIOD_FORMATS
+ *
+ * EXAMPLES: '2024-03-07' (day), '2024-W10' (ISO week), '2024-03' (month)
+ */
+const periodKey = (date, interval) => {
+  const iso = date.toISOString();
+
+  if (interval === 'month') return iso.slice(0, 7);
+  if (interval === 'day') return iso.slice(0, 10);
+
+  // ISO week: the week belongs to the year of its Thursday
+  const thursday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  thursday.setUTCDate(thursday.getUTCDate() + 4 - (thursday.getUTCDay() || 7));
+  const yearStart = new Date(Date.UTC(thursday.getUTCFullYear(), 0, 1));
+  const week = Math.ceil(((thursday - yearStart) / DAY_MS + 1) / 7);
+
+  return `${thursday.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+};
+
+/**
+ * listPeriods()
+ *
+ * WHAT: Every period key between two dates, in order
+ *
+ * WHY?
+ * Days without queries don't appear in the aggregation, but the chart
+ * needs them as zeros.
+ */
+const listPeriods = (startDate, endDate, interval) => {
+  const keys = [];
+  const cursor = new Date(Date.UTC(startDate.getUTCFullYear(), startDate.getUTCMonth(), startDate.getUTCDate()));
+
+  while (cursor <= endDate) {
+    const key = periodKey(cursor, interval);
+    if (keys[keys.length - 1] !== key) {
+      keys.push(key);
+    }
+    cursor.setUTCDate(cursor.getUTCDate() + 1);
+  }
+
+  return keys;
+};
+
+/**
+ * getOverview()
+ *
+ * WHAT: Headline numbers for a date range
+ *
+ * BUILDS ON: QueryLog.getQueryStats() for the totals, plus one extra
+ * aggregation for what it doesn't cover (users, errors, zero-result
+ * queries, per-type response times, per-model token usage).
+ *
+ * CALLED BY: OrganizationController.getAnalyticsOverview()
+ * INPUT: organizationId, { from, to }
+ * OUTPUT: { range, totals, aiShare, avgResponseTime, feedback, tokens }
+ */
+const getOverview = async (organizationId, query = {}) => {
+  const range = resolveRange(query);
+
+  const [stats, [details], byModel] = await Promise.all([
+    QueryLog.getQueryStats({ ...range, organizationId }),
+    QueryLog.aggregate([
+      { $match: { ...baseMatch(organizationId, range), queryType: { $in: ['search', 'question'] } } },
+      {
+        $group: {
+          _id: null,
+          users: { $addToSet: '$user' },
+          errors: { $sum: { $cond: [{ $eq: ['$status', 'error'] }, 1, 0] } },
+          zeroResults: {
+            $sum: {
+              $cond: [{ $and: [{ $eq: ['$status', 'success'] }, { $eq: ['$resultCount', 0] }] }, 1, 0],
+            },
+          },
+          searchResponseTime: {
+            $avg: { $cond: [{ $eq: ['$queryType', 'search'] }, '$responseTime', null] },
+          },
+          questionResponseTime: {
+            $avg: { $cond: [{ $eq: ['$queryType', 'question'] }, '$responseTime', null] },
+          },
+          rated: { $sum: { $cond: [{ $ne: ['$rating', null] }, 1, 0] } },
+          avgRating: { $avg: '$rating' },
+          promptTokens: { $sum: '$tokensUsed.promptTokens' },
+          completionTokens: { $sum: '$tokensUsed.completionTokens' },
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          uniqueUsers: { $size: '$users' },
+          errors: 1,
+          zeroResults: 1,
+          searchResponseTime: 1,
+          questionResponseTime: 1,
+          rated: 1,
+          avgRating: 1,
+          promptTokens: 1,
+          completionTokens: 1,
+        },
+      },
+    ]),
+    QueryLog.aggregate([
+      { $match: { ...baseMatch(organizationId, range), queryType: 'question', aiModel: { $ne: null } } },
+      {
+        $group: {
+          _id: '$aiModel',
+          queries: { $sum: 1 },
+          tokens: { $sum: '$tokensUsed.totalTokens' },
+        },
+      },
+      { $sort: { tokens: -1 } },
+      { $project: { _id: 0, model: '$_id', queries: 1, tokens: 1 } },
+    ]),
+  ]);
+
+  const extra = details || {};
+  const typedQueries = stats.searchQueries + stats.questionQueries;
+  const feedbackGiven = stats.helpfulFeedback + stats.notHelpfulFeedback + stats.incorrectFeedback;
+  const round = (value) => (value == null ? null : Math.round(value));
+
+  return {
+    range: { from: range.startDate, to: range.endDate },
+    totals: {
+      queries: typedQueries,
+      searches: stats.searchQueries,
+      questions: stats.questionQueries,
+      uniqueUsers: extra.uniqueUsers || 0,
+      errors: extra.errors || 0,
+      zeroResults: extra.zeroResults || 0,
+    },
+    // Share of AI questions among all queries (0 - 1)
+    aiShare: typedQueries > 0 ? stats.questionQueries / typedQueries : 0,
+    avgResponseTime: {
+      overall: round(stats.avgResponseTime),
+      search: round(extra.searchResponseTime),
+      question: round(extra.questionResponseTime),
+    },
+    feedback: {
+      helpful: stats.helpfulFeedback,
+      notHelpful: stats.notHelpfulFeedback,
+      incorrect: stats.incorrectFeedback,
+      none: Math.max(0, stats.questionQueries - feedbackGiven),
+      rated: extra.rated || 0,
+      avgRating: extra.avgRating ? Math.round(extra.avgRating * 10) / 10 : null,
+    },
+    tokens: {
+      prompt: extra.promptTokens || 0,
+      completion: extra.completionTokens || 0,
+      total: stats.totalTokens,
+      byModel,
+    },
+  };
+};
+
+/**
+ * getQueryVolume()
+ *
+ * WHAT: Number of searches and questions per period
+ *
+ * CALLED BY: OrganizationController.getAnalyticsVolume()
+ * INPUT: organizationId, { from, to, interval: 'day' | 'week' | 'month' }
+ * OUTPUT: { interval, periods: [{ period, search, question, total, tokens, avgResponseTime }] }
+ */
+const getQueryVolume = async (organizationId, query = {}) => {
+  const range = resolveRange(query);
+  const interval = PERIOD_FORMATS[query.interval] ? query.interval : 'day';
+
+  const rows = await QueryLog.aggregate([
+    { $match: { ...baseMatch(organizationId, range), queryType: { $in: ['search', 'question'] } } },
+    {
+      $group: {
+        _id: {
+          period: { $dateToString: { format: PERIOD_FORMATS[interval], date: '$createdAt' } },
+          type: '$queryType',
+        },
+        count: { $sum: 1 },
+        tokens: { $sum: '$tokensUsed.totalTokens' },
+        responseTime: { $sum: { $ifNull: ['$responseTime', 0] } },
+        timed: { $sum: { $cond: [{ $ne: ['$responseTime', null] }, 1, 0] } },
+      },
+    },
+  ]);
+
+  const byPeriod = new Map(
+    listPeriods(range.startDate, range.endDate, interval).map((period) => [
+      period,
+      { period, search: 0, question: 0, total: 0, tokens: 0, responseTime: 0, timed: 0 },
+    ])
+  );
+
+  rows.forEach((row) => {
+    const entry = byPeriod.get(row._id.period);
+    if (!entry) return;
+    entry[row._id.type] += row.count;
+    entry.total += row.count;
+    entry.tokens += row.tokens;
+    entry.responseTime += row.responseTime;
+    entry.timed += row.timed;
+  });
+
+  return {
+    interval,
+    periods: [...byPeriod.values()].map(({ responseTime, timed, ...entry }) => ({
+      ...entry,
+      avgResponseTime: timed > 0 ? Math.round(responseTime / timed) : null,
+    })),
+  };
+};
+
+/**
+ * getTopQueries()
+ *
+ * WHAT: Most frequent searches and most frequent questions
+ *
+ * BUILDS ON: QueryLog.getPopularQueries()
+ *
+ * CALLED BY: OrganizationController.getAnalyticsTopQueries()
+ * INPUT: organizationId, { from, to, limit }
+ * OUTPUT: { searches: [{ query, count, lastSearched }], questions: [...] }
+ */
+const getTopQueries = async (organizationId, query = {}) => {
+  const range = resolveRange(query);
+  const limit = query.limit || 10;
+  const options = { organizationId, ...range };
+
+  const [searches, questions] = await Promise.all([
+    QueryLog.getPopularQueries(limit, { ...options, queryType: 'search' }),
+    QueryLog.getPopularQueries(limit, { ...options, queryType: 'question' }),
+  ]);
+
+  return { searches, questions };
+};
+
+/**
+ * getZeroResultQueries()
+ *
+ * WHAT: Queries that found nothing, most frequent first
+ *
+ * WHY?
+ * These are the clearest sign of missing documentation.
+ *
+ * CALLED BY: OrganizationController.getAnalyticsZeroResults()
+ * INPUT: organizationId, { from, to, limit }
+ * OUTPUT: [{ query, count, users, types, lastAsked }]
+ */
+const getZeroResultQueries = async (organizationId, query = {}) => {
+  const range = resolveRange(query);
+
+  return await QueryLog.aggregate([
+    {
+      $match: {
+        ...baseMatch(organizationId, range),
+        queryType: { $in: ['search', 'question'] },
+        status: 'success',
+        resultCount: 0,
+      },
+    },
+    {
+      $group: {
+        _id: { $toLower: '$query' },
+        count: { $sum: 1 },
+        users: { $addToSet: '$user' },
+        types: { $addToSet: '$queryType' },
+        lastAsked: { $max: '$createdAt' },
+      },
+    },
+    { $sort: { count: -1, lastAsked: -1 } },
+    { $limit: query.limit || 10 },
+    {
+      $project: {
+        _id: 0,
+        query: '$_id',
+        count: 1,
+        users: { $size: '$users' },
+        types: 1,
+        lastAsked: 1,
+      },
+    },
+  ]);
+};
+
+/**
+ * getMostCitedDocuments()
+ *
+ * WHAT: Documents that AI answers relied on most
+ *
+ * HOW:
+ * An answer can cite several chunks of the same document; that counts
+ * as one citation. Deleted documents are left out, and the current
+ * title is used (it may have been renamed since).
+ *
+ * CALLED BY: OrganizationController.getAnalyticsCitedDocuments()
+ * INPUT: organizationId, { from, to, limit }
+ * OUTPUT: [{ documentId, title, category, status, citations, lastCited }]
+ */
+const getMostCitedDocuments = async (organizationId, query = {}) => {
+  const range = resolveRange(query);
+
+  return await QueryLog.aggregate([
+    {
+      $match: {
+        ...baseMatch(organizationId, range),
+        queryType: 'question',
+        status: 'success',
+        'citedDocuments.0': { $exists: true },
+      },
+    },
+    { $unwind: '$citedDocuments' },
+    // One citation per answer and document
+    {
+      $group: {
+        _id: { log: '$_id', document: '$citedDocuments.documentId' },
+        createdAt: { $first: '$createdAt' },
+      },
+    },
+    {
+      $group: {
+        _id: '$_id.document',
+        citations: { $sum: 1 },
+        lastCited: { $max: '$createdAt' },
+      },
+    },
+    { $sort: { citations: -1, lastCited: -1 } },
+    { $limit: query.limit || 10 },
+    {
+      $lookup: {
+        from: 'documents',
+        localField: '_id',
+        foreignField: '_id',
+        as: 'document',
+      },
+    },
+    { $unwind: '$document' },
+    {
+      $project: {
+        _id: 0,
+        documentId: '$_id',
+        title: '$document.title',
+        category: '$document.category',
+        status: '$document.status',
+        citations: 1,
+        lastCited: 1,
+      },
+    },
+  ]);
+};
+
+module.exports = {
+  getOverview,
+  getQueryVolume,
+  getTopQueries,
+  getZeroResultQueries,
+  getMostCitedDocuments,
+};
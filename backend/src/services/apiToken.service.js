@@ -0,0 +1,284 @@
+/**
+ * =============================================================================
+ * API TOKEN SERVICE - PERSONAL ACCESS TOKENS FOR SCRIPTS AND INTEGRATIONS
+ * =============================================================================
+ *
+ * WHAT IS THIS FILE?
+ * Creates, checks and revokes API tokens (see models/ApiToken.js).
+ * Scripts send them like a login token:
+ *
+ *   Authorization: Bearer aiksp_pat_x7Kq...   (personal access token)
+ *   Authorization: Bearer aiksp_sat_M2pz...   (service account token)
+ *
+ * protect() recognises the "aiksp_" prefix and calls authenticate()
+ * instead of verifying a JWT.
+ *
+ * SCOPES:
+ * A token can only use the privileges it was given (its scopes), and
+ * only while its user still has them - a demoted user's tokens lose the
+ * privileges too. A token never acts as organization admin.
+ *
+ * SECURITY:
+ * - 32 random bytes; only the SHA-256 hash is stored
+ * - Every token expires (API_TOKEN_MAX_EXPIRES_DAYS, default 365)
+ * - Tokens can't create tokens, change passwords or manage sessions
+ *   (denyApiTokens middleware)
+ *
+ * =============================================================================
+ */
+
+const crypto = require('crypto');
+const { ApiToken, Organization, ALL_PRIVILEGES } = require('../models');
+const { AppError } = require('../middlewares/errorHandler');
+const logger = require('../utils/logger');
+const { hashToken } = require('../utils/linkToken');
+const { LAST_USED_RESOLUTION_MS } = require('./session.service');
+
+// Every API token starts with this - JWTs never do
+const API_TOKEN_PREFIX = 'aiksp_';
+const TOKEN_PREFIXES = {
+  personal: 'aiksp_pat_',
+  service_account: 'aiksp_sat_',
+};
+
+const DEFAULT_EXPIRES_DAYS = 90;
+const DEFAULT_MAX_EXPIRES_DAYS = 365;
+const MAX_ACTIVE_TOKENS = 25;
+
+const getMaxExpiresDays = () => {
+  const days = parseInt(process.env.API_TOKEN_MAX_EXPIRES_DAYS, 10);
+  return Number.isFinite(days) && days > 0 ? days : DEFAULT_MAX_EXPIRES_DAYS;
+};
+
+/**
+ * isApiToken() - Whether a bearer token is an API token (not a JWT)
+ */
+const isApiToken = (token) => typeof token === 'string' && token.startsWith(API_TOKEN_PREFIX);
+
+/**
+ * serializeToken()
+ *
+ * WHAT: What the token lists show (never the hash)
+ */
+const serializeToken = (apiToken) => ({
+  id: apiToken._id,
+  name: apiToken.name,
+  kind: apiToken.kind,
+  tokenHint: apiToken.tokenHint,
+  scopes: apiToken.scopes,
+  expiresAt: apiToken.expiresAt,
+  expired: apiToken.expiresAt <= new Date(),
+  lastUsedAt: apiToken.lastUsedAt,
+  lastUsedIp: apiToken.lastUsedIp,
+  createdAt: apiToken.createdAt,
+});
+
+/**
+ * createToken()
+ *
+ * WHAT: Creates a token for a user or service account
+ *
+ * FLOW:
+ * 1. Check the scopes: known privileges the user actually has
+ * 2. Check the expiry (1 to API_TOKEN_MAX_EXPIRES_DAYS days)
+ * 3. Generate the token and store its hash
+ *
+ * CALLED BY: createPersonalToken(), ServiceAccountService.createServiceAccountToken()
+ * INPUT: user, organization, { kind, name, scopes, expiresInDays, createdBy }
+ * OUTPUT: { token (shown once), apiToken (serialized) }
+ */
+const createToken = async (user, organization, { kind, name, scopes, expiresInDays, createdBy }) => {
+  const requestedScopes = [...new Set(scopes || [])];
+
+  if (requestedScopes.length === 0) {
+    throw new AppError('Choose at least one scope for the token.', 400);
+  }
+
+  const unknownScopes = requestedScopes.filter((scope) => !ALL_PRIVILEGES.includes(scope));
+  if (unknownScopes.length > 0) {
+    throw new AppError(`Invalid scopes: ${unknownScopes.join(', ')}`, 400);
+  }
+
+  const privileges = user.getAllPrivileges(organization);
+  const missingScopes = requestedScopes.filter((scope) => !privileges.includes(scope));
+  if (missingScopes.length > 0) {
+    throw new AppError(
+      `A token can't have privileges its account doesn't have: ${missingScopes.join(', ')}`,
+      400
+    );
+  }
+
+  const days = expiresInDays ?? DEFAULT_EXPIRES_DAYS;
+  const maxDays = getMaxExpiresDays();
+  if (!Number.isInteger(days) || days < 1 || days > maxDays) {
+    throw new AppError(`Tokens must expire within 1 to ${maxDays} days.`, 400);
+  }
+
+  const activeCount = await ApiToken.countDocuments({
+    user: user._id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+  if (activeCount >= MAX_ACTIVE_TOKENS) {
+    throw new AppError(`An account can have at most ${MAX_ACTIVE_TOKENS} active tokens. Revoke one first.`, 400);
+  }
+
+  const token = `${TOKEN_PREFIXES[kind]}${crypto.randomBytes(32).toString('base64url')}`;
+
+  const apiToken = await ApiToken.create({
+    name,
+    kind,
+    user: user._id,
+    organization: organization._id,
+    createdBy: createdBy || user._id,
+    tokenHash: hashToken(token),
+    tokenHint: `${token.substring(0, TOKEN_PREFIXES[kind].length + 4)}…`,
+    scopes: requestedScopes,
+    expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+  });
+
+  logger.info('API token created', { tokenId: apiToken._id, userId: user._id, kind, scopes: requestedScopes });
+
+  return { token, apiToken: serializeToken(apiToken) };
+};
+
+/**
+ * createPersonalToken()
+ *
+ * WHAT: A user creates a token that acts as themselves
+ *
+ * CALLED BY: AuthController.createApiToken()
+ * INPUT: user, { name, scopes, expiresInDays }
+ * OUTPUT: { token, apiToken }
+ */
+const createPersonalToken = async (user, data) => {
+  const organization = await Organization.findById(user.organization);
+
+  if (!organization) {
+    throw new AppError('Organization not found.', 404);
+  }
+
+  return createToken(user, organization, { ...data, kind: 'personal' });
+};
+
+/**
+ * listTokens()
+ *
+ * WHAT: A user's (or service account's) tokens that weren't revoked,
+ *       newest first. Expired ones are listed so the owner sees why a
+ *       script stopped working.
+ *
+ * CALLED BY: AuthController.getApiTokens(), ServiceAccountService
+ * INPUT: userId
+ * OUTPUT: [serialized token]
+ */
+const listTokens = async (userId) => {
+  const tokens = await ApiToken.find({ user: userId, revokedAt: null }).sort({ createdAt: -1 });
+  return tokens.map(serializeToken);
+};
+
+/**
+ * revokeToken()
+ *
+ * WHAT: Revokes one token of a user - it stops working at once
+ *
+ * CALLED BY: AuthController.revokeApiToken(), ServiceAccountService
+ * INPUT: tokenId, userId
+ */
+const revokeToken = async (tokenId, userId, reason = 'revoked') => {
+  const result = await ApiToken.updateOne(
+    { _id: tokenId, user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+  if (result.matchedCount === 0) {
+    throw new AppError('API token not found.', 404);
+  }
+
+  logger.info('API token revoked', { tokenId, userId, reason });
+};
+
+/**
+ * revokeAllTokens()
+ *
+ * WHAT: Revokes every token of a user
+ *
+ * CALLED BY: OrganizationService.removeUserFromOrganization(),
+ *            ServiceAccountService.deleteServiceAccount()
+ * INPUT: userId, { reason }
+ * OUTPUT: Number of revoked tokens
+ */
+const revokeAllTokens = async (userId, { reason = 'revoked' } = {}) => {
+  const result = await ApiToken.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+  logger.info('API tokens revoked', { userId, count: result.modifiedCount, reason });
+  return result.modifiedCount;
+};
+
+/**
+ * authenticate()
+ *
+ * WHAT: Looks up the token of a request
+ *
+ * CALLED BY: protect() middleware, for "aiksp_" bearer tokens
+ * INPUT: token, context { ip }
+ * OUTPUT: The ApiToken document, or null when unknown, revoked or expired
+ */
+const authenticate = async (token, { ip = '' } = {}) => {
+  const apiToken = await ApiToken.findOne({ tokenHash: hashToken(token) });
+
+  if (!apiToken || !apiToken.isActive) {
+    return null;
+  }
+
+  if (!apiToken.lastUsedAt || Date.now() - apiToken.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS) {
+    ApiToken.updateOne(
+      { _id: apiToken._id },
+      { $set: { lastUsedAt: new Date(), lastUsedIp: ip } }
+    ).catch((error) => {
+      logger.warn('Failed to update API token lastUsedAt', { tokenId: apiToken._id, error: error.message });
+    });
+  }
+
+  return apiToken;
+};
+
+/**
+ * getEffectiveScopes()
+ *
+ * WHAT: The privileges a request with this token may use right now
+ *
+ * The token's scopes, minus any privilege the user has lost since the
+ * token was created.
+ *
+ * CALLED BY: protect() middleware
+ * INPUT: apiToken, user (document)
+ * OUTPUT: Array of privilege strings
+ */
+const getEffectiveScopes = async (apiToken, user) => {
+  if (!user.organization || apiToken.organization.toString() !== user.organization.toString()) {
+    return [];
+  }
+
+  const organization = await Organization.findById(user.organization);
+  if (!organization) {
+    return [];
+  }
+
+  const privileges = user.getAllPrivileges(organization);
+  return apiToken.scopes.filter((scope) => privileges.includes(scope));
+};
+
+module.exports = {
+  isApiToken,
+  createToken,
+  createPersonalToken,
+  listTokens,
+  revokeToken,
+  revokeAllTokens,
+  authenticate,
+  getEffectiveScopes,
+};
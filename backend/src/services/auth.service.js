@@ -21,62 +21,40 @@
  * THIS SERVICE HANDLES:
  * - User registration
  * - User login (with brute force protection)
- * - JWT token generation
- * - Password operations
+ * - Token issuing (through sessions - see session.service.js)
+ * - Password operations (forgot/reset: see passwordReset.service.js)
+ * - Email verification on signup (see emailVerification.service.js)
  * 
  * =============================================================================
  */
 
-const jwt = require('jsonwebtoken');
 const { User, Organization } = require('../models');
 const { AppError } = require('../middlewares/errorHandler');
 const logger = require('../utils/logger');
 const organizationService = require('./organization.service');
-
-/**
- * signToken()
- * 
- * WHAT: Creates a JWT token for a user
- * 
- * JWT STRUCTURE:
- * {
- *   id: "user_id",        // Who this token belongs to
- *   iat: 1234567890,      // Issued at (automatic)
- *   exp: 1234567890       // Expires at (automatic from expiresIn)
- * }
- * 
- * SECURITY CONSIDERATIONS:
- * - Don't put sensitive data in JWT (it's base64, not encrypted)
- * - Keep secret key secure and long
- * - Use appropriate expiration
- * 
- * CALLED BY: register(), login()
- * INPUT: id - The user's MongoDB ObjectId
- * OUTPUT: Signed JWT string
- */
-const signToken = (id) => {
-  return jwt.sign(
-    { id }, // Payload - data stored in token
-    process.env.JWT_SECRET, // Secret key for signing
-    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' } // Expiration
-  );
-};
+const invitationService = require('./invitation.service');
+const sessionService = require('./session.service');
+const ssoService = require('./sso.service');
+const twoFactorService = require('./twoFactor.service');
+const emailVerificationService = require('./emailVerification.service');
 
 /**
  * createSendToken()
  * 
- * WHAT: Creates a token and formats the response
+ * WHAT: Starts a session and formats the response
  * 
  * WHY A HELPER?
- * Both register and login need to send a token.
+ * Both register and login need to send tokens.
  * This prevents code duplication.
  * 
  * CALLED BY: register(), login()
- * INPUT: user - The user document, statusCode - HTTP status to send
- * OUTPUT: Object with token and user data
+ * INPUT: user - The user document, statusCode - HTTP status to send,
+ *        context - { userAgent, ip } of the request (shown in the sessions list)
+ * OUTPUT: Object with token, refreshToken and user data
  */
-const createSendToken = (user, statusCode = 200) => {
-  const token = signToken(user._id);
+const createSendToken = async (user, statusCode = 200, context = {}) => {
+  const { token, refreshToken } = await sessionService.issueTokens(user, context);
+  const organization = user.organization ? await Organization.findById(user.organization) : null;
 
   // Remove sensitive data from user object
   const userResponse = {
@@ -90,12 +68,15 @@ const createSendToken = (user, statusCode = 200) => {
     department: user.department,
     avatar: user.avatar,
     isOrgAdmin: user.isOrgAdmin,
+    emailVerified: user.emailVerified,
+    privileges: user.getAllPrivileges(organization), // Drives what the UI shows
   };
 
   return {
     statusCode,
     data: {
       token,
+      refreshToken,
       user: userResponse,
     },
   };
@@ -114,8 +95,8 @@ const createSendToken = (user, statusCode = 200) => {
  * FLOW:
  * 1. Check if email already exists
  * 2. Create user (password is hashed by model hook)
- * 3. Generate JWT token
- * 4. Return token and user data
+ * 3. Start a session (access + refresh token)
+ * 4. Return tokens and user data
  * 
  * SECURITY:
  * - Passwords are hashed before storage (bcrypt, 12 rounds)
@@ -123,10 +104,10 @@ const createSendToken = (user, statusCode = 200) => {
  * - JWT is returned for immediate authentication
  * 
  * CALLED BY: AuthController.register()
- * INPUT: { firstName, lastName, email, password, department, organizationId }
- * OUTPUT: { statusCode, data: { token, user } }
+ * INPUT: { firstName, lastName, email, password, department, organizationId }, context
+ * OUTPUT: { statusCode, data: { token, refreshToken, user } }
  */
-const register = async ({ firstName, lastName, email, password, department, organizationId }) => {
+const register = async ({ firstName, lastName, email, password, department, organizationId }, context = {}) => {
   // Check if email already exists
   const existingUser = await User.findOne({ email: email.toLowerCase() });
   
@@ -165,8 +146,10 @@ const register = async ({ firstName, lastName, email, password, department, orga
 
   logger.info('New user registered', { userId: newUser._id, email: newUser.email, orgId: organizationId });
 
-  // Generate token and return response
-  return createSendToken(newUser, 201);
+  await emailVerificationService.sendVerificationEmailSafely(newUser, organization);
+
+  // Generate tokens and return response
+  return await createSendToken(newUser, 201, context);
 };
 
 /**
@@ -177,15 +160,16 @@ const register = async ({ firstName, lastName, email, password, department, orga
  * FLOW:
  * 1. Create organization with secret key
  * 2. Create admin user linked to organization
- * 3. Return org, user, and secret key (show once)
+ * 3. Email a verification link (the owner can sign in without it)
+ * 4. Return org, user, and secret key (show once)
  * 
  * USE CASE:
  * When a company wants to use the platform, their admin signs up here.
  * They get a secret key to share with employees.
  * 
  * CALLED BY: AuthController.registerOrganization()
- * INPUT: { organizationName, organizationDescription, firstName, lastName, email, password, department }
- * OUTPUT: { statusCode, data: { token, user, organization, secretKey } }
+ * INPUT: { organizationName, organizationDescription, firstName, lastName, email, password, department }, context
+ * OUTPUT: { statusCode, data: { token, refreshToken, user, organization, secretKey } }
  */
 const registerOrganization = async ({
   organizationName,
@@ -195,7 +179,7 @@ const registerOrganization = async ({
   email,
   password,
   department,
-}) => {
+}, context = {}) => {
   // Use organization service to create org + admin user
   const { organization, user, plainSecretKey } = await organizationService.createOrganization(
     {
@@ -217,13 +201,16 @@ const registerOrganization = async ({
     adminId: user._id,
   });
 
-  // Generate token
-  const token = signToken(user._id);
+  await emailVerificationService.sendVerificationEmailSafely(user, organization);
+
+  // Start a session
+  const { token, refreshToken } = await sessionService.issueTokens(user, context);
 
   return {
     statusCode: 201,
     data: {
       token,
+      refreshToken,
       user: {
         id: user._id,
         firstName: user.firstName,
@@ -234,6 +221,7 @@ const registerOrganization = async ({
         orgRole: user.orgRole,
         department: user.department,
         isOrgAdmin: user.isOrgAdmin,
+        emailVerified: user.emailVerified,
         privileges: user.getAllPrivileges(organization),
       },
       organization: {
@@ -253,21 +241,30 @@ const registerOrganization = async ({
  * 
  * WHAT: Registers an employee to an existing organization
  * 
+ * TWO WAYS TO JOIN:
+ * - invitationToken: From a personal invitation link. The invitation
+ *   decides the email, role and department.
+ * - organizationName + secretKey: The shared organization key, if the
+ *   organization still allows it. The user gets the default role.
+ * 
  * FLOW:
- * 1. Find organization by name
- * 2. Verify secret key
- * 3. Create user with default role
- * 4. Return token and user data
+ * 1. Accept the invitation, or find the organization and verify the key
+ * 2. Create the user
+ * 3. Email a verification link (not needed after an invitation - that
+ *    link already went to the same inbox)
+ * 4. Return token and user data - or, when the organization requires
+ *    verified emails, no token until the link is opened
  * 
  * USE CASE:
  * When an employee wants to join their company's platform.
- * They need the organization name and secret key from their admin.
  * 
  * CALLED BY: AuthController.registerEmployee()
- * INPUT: { organizationName, secretKey, firstName, lastName, email, password, department }
- * OUTPUT: { statusCode, data: { token, user, organization } }
+ * INPUT: { invitationToken, organizationName, secretKey, firstName, lastName, email, password, department }, context
+ * OUTPUT: { statusCode, data: { token, refreshToken, user, organization } }
+ *      or { statusCode, data: { verificationRequired, email, organization } }
  */
 const registerEmployee = async ({
+  invitationToken,
   organizationName,
   secretKey,
   firstName,
@@ -275,33 +272,53 @@ const registerEmployee = async ({
   email,
   password,
   department,
-}) => {
-  // Use organization service to join org
-  const { user, organization } = await organizationService.joinOrganization(
-    organizationName,
-    secretKey,
-    {
-      firstName,
-      lastName,
-      email,
-      password,
-      department,
-    }
-  );
+}, context = {}) => {
+  const userData = {
+    firstName,
+    lastName,
+    email,
+    password,
+    department,
+  };
+
+  const { user, organization } = invitationToken
+    ? await invitationService.acceptInvitation(invitationToken, userData)
+    : await organizationService.joinOrganization(organizationName, secretKey, userData);
 
   logger.info('Employee registered', {
     userId: user._id,
     email: user.email,
     orgId: organization._id,
+    invited: Boolean(invitationToken),
   });
 
-  // Generate token
-  const token = signToken(user._id);
+  if (!user.emailVerified) {
+    await emailVerificationService.sendVerificationEmailSafely(user, organization);
+  }
+
+  if (await emailVerificationService.isVerificationRequired(user)) {
+    return {
+      statusCode: 201,
+      data: {
+        verificationRequired: true,
+        email: user.email,
+        organization: {
+          id: organization._id,
+          name: organization.name,
+          slug: organization.slug,
+        },
+      },
+    };
+  }
+
+  // Start a session
+  const { token, refreshToken } = await sessionService.issueTokens(user, context);
 
   return {
     statusCode: 201,
     data: {
       token,
+      refreshToken,
       user: {
         id: user._id,
         firstName: user.firstName,
@@ -312,6 +329,7 @@ const registerEmployee = async ({
         orgRole: user.orgRole,
         department: user.department,
         isOrgAdmin: user.isOrgAdmin,
+        emailVerified: user.emailVerified,
         privileges: user.getAllPrivileges(organization),
       },
       organization: {
@@ -333,8 +351,12 @@ const registerEmployee = async ({
  * 2. Check if account is locked
  * 3. Verify password
  * 4. If wrong: increment login attempts
- * 5. If correct: reset login attempts, update lastLogin
- * 6. Generate and return JWT
+ * 5. If correct: check the organization still allows password login
+ *    (it may require single sign-on) and, if it requires verified
+ *    emails, that the user's email is verified
+ * 6. Two-factor authentication on (or required by the organization)?
+ *    Return a challenge instead of tokens - see loginWithTwoFactor()
+ * 7. Otherwise reset login attempts, start a session and return its tokens
  * 
  * BRUTE FORCE PROTECTION:
  * - Tracks failed login attempts
@@ -342,10 +364,11 @@ const registerEmployee = async ({
  * - Account unlocks after 15 minutes
  * 
  * CALLED BY: AuthController.login()
- * INPUT: { email, password }
- * OUTPUT: { statusCode, data: { token, user } }
+ * INPUT: { email, password }, context { userAgent, ip }
+ * OUTPUT: { statusCode, data: { token, refreshToken, user } }
+ *      or { statusCode, data: { twoFactorRequired, setupRequired, twoFactorToken } }
  */
-const login = async ({ email, password }) => {
+const login = async ({ email, password }, context = {}) => {
   // Find user and explicitly include password field
   const user = await User.findByEmail(email);
 
@@ -386,13 +409,134 @@ const login = async ({ email, password }) => {
     throw new AppError('Invalid email or password.', 401);
   }
 
+  // Organizations using SSO can turn password login off (the owner keeps it)
+  if (await ssoService.isPasswordLoginDisabled(user)) {
+    throw new AppError('Your organization signs in with single sign-on. Use "Sign in with SSO".', 403);
+  }
+
+  if (await emailVerificationService.isVerificationRequired(user)) {
+    throw new AppError(
+      'Please verify your email address first. Open the link we emailed you, or ask for a new one.',
+      403,
+      'EMAIL_NOT_VERIFIED'
+    );
+  }
+
+  // Second step: authenticator code. Login attempts are only reset once it
+  // passes, so wrong codes and wrong passwords share the same lockout.
+  if (user.twoFactor?.enabled || await twoFactorService.isRequired(user)) {
+    return {
+      statusCode: 200,
+      data: twoFactorService.createChallenge(user),
+    };
+  }
+
   // Login successful - reset attempts and update lastLogin
   await user.resetLoginAttempts();
 
   logger.info('User logged in', { userId: user._id, email: user.email });
 
-  // Generate token and return response
-  return createSendToken(user);
+  // Generate tokens and return response
+  return await createSendToken(user, 200, context);
+};
+
+/**
+ * loginWithTwoFactor()
+ * 
+ * WHAT: The second login step - checks the code and starts the session
+ * 
+ * FLOW:
+ * 1. Find the user of the challenge token (from login())
+ * 2. 2FA on: check the authenticator code or a recovery code
+ *    2FA required but not set up: the code confirms the new app
+ *    (startTwoFactorSetup() came first) and recovery codes are created
+ * 3. Wrong code: counts as a failed login attempt
+ * 4. Start a session and return its tokens
+ * 
+ * CALLED BY: AuthController.verifyTwoFactor()
+ * INPUT: { twoFactorToken, code, recoveryCode }, context { userAgent, ip }
+ * OUTPUT: { statusCode, data: { token, refreshToken, user, recoveryCodes? } }
+ */
+const loginWithTwoFactor = async ({ twoFactorToken, code, recoveryCode }, context = {}) => {
+  const user = await twoFactorService.resolveChallenge(twoFactorToken);
+
+  if (user.isLocked) {
+    const lockTime = Math.ceil((user.lockUntil - Date.now()) / 1000 / 60);
+    throw new AppError(
+      `Account is locked due to too many failed login attempts. Try again in ${lockTime} minutes.`,
+      423
+    );
+  }
+
+  let recoveryCodes = null;
+  try {
+    if (user.twoFactor.enabled) {
+      await twoFactorService.verifyLoginCode(user, { code, recoveryCode });
+    } else {
+      recoveryCodes = await twoFactorService.enableAtLogin(user, code);
+    }
+  } catch (error) {
+    if (error.statusCode === 401) {
+      await user.incrementLoginAttempts();
+    }
+    throw error;
+  }
+
+  await user.resetLoginAttempts();
+
+  logger.info('User logged in', { userId: user._id, email: user.email, twoFactor: true });
+
+  const result = await createSendToken(user, 200, context);
+  if (recoveryCodes) {
+    result.data.recoveryCodes = recoveryCodes;
+  }
+
+  return result;
+};
+
+/**
+ * startTwoFactorSetup()
+ * 
+ * WHAT: Authenticator setup during login, when the organization requires
+ *       2FA and the user hasn't set it up yet
+ * 
+ * CALLED BY: AuthController.startTwoFactorSetup()
+ * INPUT: twoFactorToken (from login())
+ * OUTPUT: { secret, otpauthUrl, qrCode }
+ */
+const startTwoFactorSetup = async (twoFactorToken) => {
+  const user = await twoFactorService.resolveChallenge(twoFactorToken);
+
+  return await twoFactorService.beginSetup(user);
+};
+
+/**
+ * loginWithSso()
+ * 
+ * WHAT: Finishes a single sign-on login and starts a session
+ * 
+ * The code/state exchange, ID token checks and user provisioning are
+ * done by SsoService.completeLogin() - from here on it's a normal login,
+ * including the authenticator code step: signing in through the
+ * identity provider replaces the password, not the second factor.
+ * 
+ * CALLED BY: AuthController.ssoCallback()
+ * INPUT: { code, state }, context { userAgent, ip }
+ * OUTPUT: { statusCode, data: { token, refreshToken, user } }, or
+ *         { statusCode, data: { twoFactorRequired, setupRequired, twoFactorToken } }
+ */
+const loginWithSso = async ({ code, state }, context = {}) => {
+  const user = await ssoService.completeLogin({ code, state });
+
+  // Same second step as login() - finished by loginWithTwoFactor()
+  if (user.twoFactor?.enabled || await twoFactorService.isRequired(user)) {
+    return {
+      statusCode: 200,
+      data: twoFactorService.createChallenge(user),
+    };
+  }
+
+  return await createSendToken(user, 200, context);
 };
 
 /**
@@ -404,18 +548,21 @@ const login = async ({ email, password }) => {
  * 1. Get user with current password
  * 2. Verify current password
  * 3. Update to new password (hashed by model hook)
- * 4. Generate new token (old tokens become invalid)
+ * 4. Sign out every other session
+ * 5. Generate a new access token for this session
  * 
  * SECURITY:
  * - Requires current password (not just being logged in)
- * - Invalidates all existing tokens (via passwordChangedAt)
- * - Returns new token for continued access
+ * - Invalidates all existing access tokens (via passwordChangedAt)
+ * - Revokes the refresh tokens of all other devices
+ * - Returns a new access token for continued access (the current
+ *   refresh token keeps working)
  * 
  * CALLED BY: AuthController.changePassword()
- * INPUT: userId, currentPassword, newPassword
- * OUTPUT: { statusCode, data: { token, user } }
+ * INPUT: userId, currentPassword, newPassword, currentSessionId
+ * OUTPUT: { statusCode, data: { token } }
  */
-const changePassword = async (userId, currentPassword, newPassword) => {
+const changePassword = async (userId, currentPassword, newPassword, currentSessionId) => {
   // Get user with password
   const user = await User.findById(userId).select('+password');
 
@@ -436,8 +583,19 @@ const changePassword = async (userId, currentPassword, newPassword) => {
 
   logger.info('User changed password', { userId: user._id });
 
-  // Generate new token (old ones are now invalid)
-  return createSendToken(user);
+  // Anyone else holding a session for this account is signed out
+  await sessionService.revokeAllSessions(user._id, {
+    except: currentSessionId,
+    reason: 'password_changed',
+  });
+
+  // New access token for this session (old ones are now invalid)
+  return {
+    statusCode: 200,
+    data: {
+      token: sessionService.signAccessToken(user._id, currentSessionId),
+    },
+  };
 };
 
 /**
@@ -456,6 +614,8 @@ const getProfile = async (userId) => {
     throw new AppError('User not found.', 404);
   }
 
+  const organization = user.organization ? await Organization.findById(user.organization) : null;
+
   return {
     id: user._id,
     firstName: user.firstName,
@@ -463,9 +623,13 @@ const getProfile = async (userId) => {
     fullName: user.fullName, // Virtual field
     email: user.email,
     role: user.role,
+    orgRole: user.orgRole,
+    isOrgAdmin: user.isOrgAdmin,
+    privileges: user.getAllPrivileges(organization),
     department: user.department,
     avatar: user.avatar,
     isActive: user.isActive,
+    emailVerified: user.emailVerified,
     lastLogin: user.lastLogin,
     createdAt: user.createdAt,
   };
@@ -534,6 +698,9 @@ module.exports = {
   registerOrganization,
   registerEmployee,
   login,
+  loginWithTwoFactor,
+  startTwoFactorSetup,
+  loginWithSso,
   changePassword,
   getProfile,
   updateProfile,
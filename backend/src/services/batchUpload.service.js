@@ -0,0 +1,475 @@
+/**
+ * =============================================================================
+ * BATCH UPLOAD SERVICE - MANY FILES, FOLDERS AND ZIP ARCHIVES AT ONCE
+ * =============================================================================
+ *
+ * WHAT IS THIS FILE?
+ * Bulk upload for onboarding a department: hundreds of files in one go,
+ * picked one by one, as a folder, or packed in ZIP archives.
+ *
+ * FLOW:
+ * 1. ZIP archives are unpacked (their folders are kept as paths)
+ * 2. Every file becomes a document through DocumentService.uploadDocument()
+ *    - same processing queue as a single upload
+ * 3. A file that can't be used (unsupported type, too large, ...) is
+ *    reported, and the rest of the batch carries on
+ * 4. Folder names can become tags or collections
+ * 5. An UploadBatch record remembers the files; GET /batches/:id reports
+ *    how their processing is going
+ *
+ * METADATA:
+ * - defaults: category, tags, description, department, accessLevel for
+ *   every file of the batch
+ * - overrides: per-file changes keyed by path,
+ *   { "HR/leave.pdf": { title: "Leave Policy", category: "policy" } }
+ * - titles default to the file name without extension
+ *
+ * =============================================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const JSZip = require('jszip');
+const { Collection, Document, UploadBatch } = require('../models');
+const { AppError } = require('../middlewares/errorHandler');
+const logger = require('../utils/logger');
+const { fileTypeFor, isArchive, MAX_FILE_SIZE, SUPPORTED_FORMATS } = require('../utils/fileTypes');
+const documentService = require('./document.service');
+const collectionService = require('./collection.service');
+
+/**
+ * LIMITS
+ *
+ * MAX_BATCH_DOCUMENTS - Documents created by one batch (archives included)
+ * MAX_EXTRACTED_SIZE - Bytes unpacked from the archives of one batch
+ *
+ * WHY?
+ * A small ZIP can unpack to gigabytes ("zip bomb"). Entries are counted
+ * while they are written and stop at these limits.
+ */
+const MAX_BATCH_DOCUMENTS = parseInt(process.env.MAX_BATCH_DOCUMENTS) || 1000;
+const MAX_EXTRACTED_SIZE = parseInt(process.env.MAX_EXTRACTED_SIZE) || 1024 * 1024 * 1024; // 1GB
+
+const FOLDER_MAPPINGS = ['none', 'tags', 'collections'];
+
+// Files that come along in archives but aren't documents
+const IGNORED_ENTRY = /(^|\/)(__MACOSX|\.[^/]*)(\/|$)|(^|\/)(Thumbs\.db|desktop\.ini)$/i;
+
+/**
+ * normalizePath()
+ *
+ * WHAT: "\\HR\\..\\Policies//leave.pdf" → "Policies/leave.pdf"
+ * Paths come from the client or from archives - never trust them.
+ */
+const normalizePath = (filePath) => {
+  const segments = [];
+  String(filePath || '').replace(/\\/g, '/').split('/').forEach((segment) => {
+    if (segment === '..') segments.pop();
+    else if (segment && segment !== '.') segments.push(segment);
+  });
+  return segments.join('/');
+};
+
+/**
+ * storedFileName()
+ *
+ * WHAT: Unique name for a file in the upload folder
+ * Same format as the upload middleware: timestamp-random-name.ext
+ */
+const storedFileName = (fileName) => {
+  const extension = path.extname(fileName);
+  const cleanName = path.basename(fileName, extension).replace(/[^a-zA-Z0-9]/g, '_');
+  const random = Math.random().toString(36).substring(2, 15);
+  return `${Date.now()}-${random}-${cleanName}${extension}`;
+};
+
+const removeFile = (filePath) => fs.promises.unlink(filePath).catch(() => {});
+
+/**
+ * extractArchive()
+ *
+ * WHAT: Unpacks a ZIP archive into the upload folder
+ *
+ * Every entry is checked like an uploaded file. Entries are streamed to
+ * disk and counted - an entry bigger than MAX_FILE_SIZE is rejected
+ * while it is written, not after.
+ *
+ * CALLED BY: createBatch()
+ * INPUT: archive (multer file), budget { documents, bytes } (shared by
+ *        the whole batch, decremented here)
+ * OUTPUT: { files: [{ path, file }], rejected: [{ path, error }] }
+ */
+const extractArchive = async (archive, budget) => {
+  const archiveName = normalizePath(archive.originalname);
+  const files = [];
+  const rejected = [];
+
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(await fs.promises.readFile(archive.path));
+  } catch (error) {
+    return { files, rejected: [{ path: archiveName, error: 'Not a valid ZIP archive.' }] };
+  }
+
+  const uploadPath = process.env.UPLOAD_PATH || './uploads';
+  const archiveFolder = path.posix.dirname(archiveName);
+
+  for (const entry of Object.values(zip.files)) {
+    if (entry.dir || IGNORED_ENTRY.test(entry.name)) continue;
+
+    // Files in an uploaded folder keep the folder: "HR/docs.zip" → "HR/..."
+    const entryPath = normalizePath(archiveFolder === '.' ? entry.name : `${archiveFolder}/${entry.name}`);
+    const fileType = fileTypeFor(entryPath);
+
+    if (isArchive(entryPath)) {
+      rejected.push({ path: entryPath, error: 'Archives inside archives are not unpacked.' });
+      continue;
+    }
+    if (!fileType) {
+      rejected.push({ path: entryPath, error: `File type not allowed. Supported types: ${SUPPORTED_FORMATS}.` });
+      continue;
+    }
+    if (budget.documents <= 0) {
+      rejected.push({ path: entryPath, error: `A batch can create at most ${MAX_BATCH_DOCUMENTS} documents.` });
+      continue;
+    }
+
+    const destination = path.join(uploadPath, storedFileName(path.posix.basename(entryPath)));
+    let size = 0;
+    const limiter = new Transform({
+      transform(chunk, encoding, callback) {
+        size += chunk.length;
+        if (size > MAX_FILE_SIZE) {
+          callback(new AppError(`File too large. Maximum size is ${Math.round(MAX_FILE_SIZE / (1024 * 1024))}MB.`, 400));
+        } else if (size > budget.bytes) {
+          callback(new AppError('The archives of this batch unpack to too much data.', 400));
+        } else {
+          callback(null, chunk);
+        }
+      },
+    });
+
+    try {
+      await pipeline(entry.nodeStream(), limiter, fs.createWriteStream(destination));
+    } catch (error) {
+      await removeFile(destination);
+      rejected.push({
+        path: entryPath,
+        error: error instanceof AppError ? error.message : 'Could not unpack the file.',
+      });
+      continue;
+    }
+
+    budget.bytes -= size;
+    budget.documents -= 1;
+    files.push({
+      path: entryPath,
+      file: {
+        originalname: path.posix.basename(entryPath),
+        mimetype: fileType,
+        size,
+        path: destination,
+      },
+    });
+  }
+
+  return { files, rejected };
+};
+
+/**
+ * titleFromFileName()
+ *
+ * WHAT: "leave_policy-2024.pdf" → "leave policy 2024"
+ */
+const titleFromFileName = (fileName) => (
+  path.basename(fileName, path.extname(fileName)).replace(/[_]+/g, ' ').trim().slice(0, 200) || fileName
+);
+
+/**
+ * folderOf()
+ *
+ * WHAT: Folder names of a path - "HR/Policies/leave.pdf" → ['HR', 'Policies']
+ */
+const folderOf = (filePath) => {
+  const folder = path.posix.dirname(filePath);
+  return folder === '.' ? [] : folder.split('/');
+};
+
+/**
+ * buildMetadata()
+ *
+ * WHAT: The metadata of one file: overrides > folder tags > defaults
+ *
+ * CALLED BY: createBatch()
+ * INPUT: filePath, options { defaults, overrides, folderMapping }, user
+ * OUTPUT: Metadata for DocumentService.uploadDocument()
+ */
+const buildMetadata = (filePath, options, user) => {
+  const { defaults = {}, overrides = {}, folderMapping } = options;
+  const override = overrides[filePath] || {};
+
+  const folderTags = folderMapping === 'tags'
+    ? folderOf(filePath).map((folder) => folder.trim().toLowerCase().slice(0, 50))
+    : [];
+  const tags = [...new Set([...(defaults.tags || []), ...folderTags, ...(override.tags || [])])]
+    .filter(Boolean);
+
+  return {
+    title: override.title || titleFromFileName(filePath),
+    description: override.description ?? defaults.description ?? '',
+    category: override.category || defaults.category,
+    tags,
+    department: defaults.department || user.department,
+    accessLevel: override.accessLevel || defaults.accessLevel,
+  };
+};
+
+/**
+ * fillCollections()
+ *
+ * WHAT: Puts the batch's documents into one collection per folder
+ *
+ * The collection is named after the folder path ("HR / Policies").
+ * The uploader's existing collection of that name is reused, so
+ * uploading more files of a folder later adds to the same collection.
+ *
+ * CALLED BY: createBatch()
+ * OUTPUT: { collections: [ids], warnings: [messages] }
+ */
+const fillCollections = async (items, user) => {
+  const folders = new Map();
+  items.filter((item) => item.document).forEach((item) => {
+    const folder = folderOf(item.path);
+    if (folder.length === 0) return;
+
+    const name = folder.join(' / ').slice(0, 100);
+    if (!folders.has(name)) folders.set(name, []);
+    folders.get(name).push(item.document);
+  });
+
+  const collections = [];
+  const warnings = [];
+
+  for (const [name, documentIds] of folders) {
+    try {
+      const existing = await Collection.findOne({
+        organization: user.organization,
+        createdBy: user._id,
+        name,
+      }).select('_id');
+
+      if (existing) {
+        await collectionService.addDocumentsToCollection(existing._id, documentIds, user.organization, user);
+        collections.push(existing._id);
+      } else {
+        const created = await collectionService.createCollection(
+          { name, description: 'Created by bulk upload', documentIds },
+          user.organization,
+          user
+        );
+        collections.push(created._id);
+      }
+    } catch (error) {
+      warnings.push(`Collection "${name}" could not be filled: ${error.message}`);
+    }
+  }
+
+  return { collections, warnings };
+};
+
+/**
+ * createBatch()
+ *
+ * WHAT: Uploads every file of a bulk upload
+ *
+ * PARTIAL FAILURE:
+ * Files are handled one by one. A file that fails is recorded with its
+ * reason (and removed from disk); the others are still uploaded. Only a
+ * batch without a single file is an error.
+ *
+ * CALLED BY: DocumentController.uploadBatch()
+ * INPUT: files (multer files, ZIPs included), rejectedFiles (skipped by
+ *        the upload middleware), options { defaults, overrides,
+ *        folderMapping }, user (req.user)
+ * OUTPUT: Batch status (see getBatchStatus)
+ */
+const createBatch = async (files, rejectedFiles, options, user) => {
+  if (files.length === 0 && rejectedFiles.length === 0) {
+    throw new AppError('Please upload at least one file.', 400);
+  }
+
+  const folderMapping = FOLDER_MAPPINGS.includes(options.folderMapping) ? options.folderMapping : 'none';
+  const budget = { documents: MAX_BATCH_DOCUMENTS, bytes: MAX_EXTRACTED_SIZE };
+  const items = rejectedFiles.map((rejected) => ({ path: normalizePath(rejected.path), error: rejected.error }));
+
+  // 1. Unpack archives, check sizes
+  const candidates = [];
+  for (const file of files) {
+    const filePath = normalizePath(file.originalname);
+
+    if (file.isArchive) {
+      const extracted = await extractArchive(file, budget);
+      await removeFile(file.path);
+      items.push(...extracted.rejected);
+      candidates.push(...extracted.files);
+      continue;
+    }
+
+    if (file.size > MAX_FILE_SIZE) {
+      await removeFile(file.path);
+      items.push({
+        path: filePath,
+        fileSize: file.size,
+        error: `File too large. Maximum size is ${Math.round(MAX_FILE_SIZE / (1024 * 1024))}MB.`,
+      });
+      continue;
+    }
+
+    if (budget.documents <= 0) {
+      await removeFile(file.path);
+      items.push({ path: filePath, error: `A batch can create at most ${MAX_BATCH_DOCUMENTS} documents.` });
+      continue;
+    }
+
+    budget.documents -= 1;
+    candidates.push({
+      path: filePath,
+      file: { ...file, originalname: path.posix.basename(filePath) },
+    });
+  }
+
+  // 2. One document per file
+  for (const candidate of candidates) {
+    try {
+      const document = await documentService.uploadDocument(
+        candidate.file,
+        buildMetadata(candidate.path, { ...options, folderMapping }, user),
+        user._id,
+        user.organization
+      );
+      items.push({ path: candidate.path, fileSize: candidate.file.size, document: document._id });
+    } catch (error) {
+      await removeFile(candidate.file.path);
+      items.push({ path: candidate.path, fileSize: candidate.file.size, error: error.message });
+    }
+  }
+
+  // 3. Folders → collections
+  const { collections, warnings } = folderMapping === 'collections'
+    ? await fillCollections(items, user)
+    : { collections: [], warnings: [] };
+
+  const batch = await UploadBatch.create({
+    organization: user.organization,
+    uploadedBy: user._id,
+    folderMapping,
+    items,
+    collections,
+    warnings,
+  });
+
+  logger.info('Bulk upload created', {
+    batchId: batch._id,
+    organization: user.organization,
+    uploaded: items.filter((item) => item.document).length,
+    rejected: items.filter((item) => item.error).length,
+  });
+
+  return buildBatchStatus(batch);
+};
+
+/**
+ * buildBatchStatus()
+ *
+ * WHAT: A batch with the current processing state of its documents
+ *
+ * ITEM STATES:
+ * - rejected: The file never became a document (see error)
+ * - processing / completed / failed: The document's processing
+ * - deleted: The document was deleted since
+ *
+ * BATCH STATE:
+ * - processing: Some documents are still processing
+ * - completed: Every file became a searchable document
+ * - completed_with_errors: Done, but some files were rejected or failed
+ */
+const buildBatchStatus = async (batch) => {
+  const documentIds = batch.items.filter((item) => item.document).map((item) => item.document);
+  const documents = await Document.find({ _id: { $in: documentIds } })
+    .select('title status processingError');
+  const byId = new Map(documents.map((document) => [document._id.toString(), document]));
+  const collections = await Collection.find({ _id: { $in: batch.collections } }).select('name');
+
+  const items = batch.items.map((item) => {
+    const document = item.document ? byId.get(item.document.toString()) : null;
+
+    let state = 'rejected';
+    if (item.document && !document) state = 'deleted';
+    else if (document) state = document.status === 'active' ? 'completed' : document.status;
+
+    return {
+      path: item.path,
+      fileSize: item.fileSize,
+      documentId: item.document,
+      title: document?.title || null,
+      state,
+      error: item.error || document?.processingError || null,
+    };
+  });
+
+  const counts = { total: items.length, completed: 0, processing: 0, failed: 0, rejected: 0, deleted: 0 };
+  items.forEach((item) => {
+    if (counts[item.state] !== undefined) counts[item.state] += 1;
+  });
+
+  let state = 'completed';
+  if (counts.processing > 0) state = 'processing';
+  else if (counts.failed > 0 || counts.rejected > 0) state = 'completed_with_errors';
+
+  return {
+    id: batch._id,
+    createdAt: batch.createdAt,
+    folderMapping: batch.folderMapping,
+    state,
+    counts,
+    items,
+    collections: collections.map((collection) => ({ id: collection._id, name: collection.name })),
+    warnings: batch.warnings,
+  };
+};
+
+/**
+ * getBatchStatus()
+ *
+ * WHAT: Progress of a bulk upload, for polling
+ *
+ * ORGANIZATION SCOPING:
+ * Only the uploader and organization admins can see a batch.
+ *
+ * CALLED BY: DocumentController.getBatchStatus()
+ * INPUT: batchId, user (req.user)
+ * OUTPUT: See buildBatchStatus()
+ */
+const getBatchStatus = async (batchId, user) => {
+  const batch = await UploadBatch.findOne({ _id: batchId, organization: user.organization });
+
+  if (!batch) {
+    throw new AppError('Upload batch not found.', 404);
+  }
+
+  const isUploader = batch.uploadedBy.toString() === user._id.toString();
+  const isAdmin = user.isOrgAdmin || user.role === 'admin' || user.role === 'super_admin';
+  if (!isUploader && !isAdmin) {
+    throw new AppError('You do not have permission to view this upload.', 403);
+  }
+
+  return buildBatchStatus(batch);
+};
+
+module.exports = {
+  createBatch,
+  getBatchStatus,
+  FOLDER_MAPPINGS,
+};
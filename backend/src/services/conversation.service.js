@@ -0,0 +1,316 @@
+/**
+ * =============================================================================
+ * CONVERSATION SERVICE - BUSINESS LOGIC FOR MULTI-TURN Q&A
+ * =============================================================================
+ *
+ * WHAT IS THIS FILE?
+ * Creates, lists, continues and deletes conversation threads. Answers come
+ * from the AI service; this service supplies the earlier turns so follow-up
+ * questions are understood, and stores the new turn.
+ *
+ * ACCESS:
+ * - Conversations are private to the user who started them, within their
+ *   organization.
+ * - Retrieval for every turn uses the same organization scoping and access
+ *   filters as a single question (buildAccessFilter).
+ * - Citations are re-checked when a conversation is read, so a document the
+ *   user lost access to (or that was deleted) disappears from old turns.
+ *
+ * =============================================================================
+ */
+
+const { Conversation, Document } = require('../models');
+const { AppError } = require('../middlewares/errorHandler');
+const logger = require('../utils/logger');
+const aiService = require('./ai.service');
+
+const TITLE_LENGTH = 80;
+
+/**
+ * getAccessContext()
+ *
+ * WHAT: The fields of req.user the AI service filters documents by
+ */
+const getAccessContext = (user) => ({
+  organizationId: user.organization,
+  userRole: user.role,
+  userDepartment: user.department,
+  userId: user._id,
+});
+
+/**
+ * buildTitle()
+ *
+ * WHAT: Uses the first question as the conversation title
+ */
+const buildTitle = (question) => {
+  const text = (question || '').trim();
+  if (!text) return 'New conversation';
+  return text.length > TITLE_LENGTH ? `${text.substring(0, TITLE_LENGTH - 3)}...` : text;
+};
+
+/**
+ * findOwnConversation()
+ *
+ * WHAT: Loads a conversation owned by the user, or throws 404
+ *
+ * Conversations of other users are reported as "not found" rather than
+ * "forbidden" so their ids can't be probed.
+ */
+const findOwnConversation = async (conversationId, user) => {
+  const conversation = await Conversation.findOne({
+    _id: conversationId,
+    organization: user.organization,
+    user: user._id,
+  });
+
+  if (!conversation) {
+    throw new AppError('Conversation not found.', 404);
+  }
+
+  return conversation;
+};
+
+/**
+ * filterCitations()
+ *
+ * WHAT: Removes citations to documents the user can no longer access
+ */
+const filterCitations = async (turns, user) => {
+  const citedIds = [
+    ...new Set(
+      turns.flatMap((turn) => (turn.citations || []).map((c) => c.documentId?.toString())).filter(Boolean)
+    ),
+  ];
+
+  if (citedIds.length === 0) {
+    return turns;
+  }
+
+  const accessible = await Document.find({
+    ...aiService.buildAccessFilter(getAccessContext(user)),
+    _id: { $in: citedIds },
+  }).distinct('_id');
+
+  const accessibleIds = new Set(accessible.map((id) => id.toString()));
+
+  return turns.map((turn) => ({
+    ...turn,
+    citations: (turn.citations || []).filter((c) => accessibleIds.has(c.documentId?.toString())),
+  }));
+};
+
+/**
+ * buildTurn()
+ *
+ * WHAT: Converts an AI service result into a stored turn
+ */
+const buildTurn = (question, result) => ({
+  question,
+  standaloneQuestion: result.standaloneQuestion,
+  answer: result.answer,
+  citations: (result.citations || []).map((citation) => ({
+    documentId: citation.documentId,
+    documentTitle: citation.documentTitle,
+    chunkIndex: citation.chunkIndex,
+    startPage: citation.startPage,
+    endPage: citation.endPage,
+    sectionPath: citation.sectionPath,
+    excerpt: citation.excerpt,
+  })),
+  queryLog: result.queryId || null,
+  createdAt: new Date(),
+});
+
+/**
+ * appendTurn()
+ *
+ * WHAT: Atomically adds a turn and bumps lastMessageAt
+ */
+const appendTurn = async (conversation, turn) => {
+  const updated = await Conversation.findOneAndUpdate(
+    { _id: conversation._id, user: conversation.user },
+    {
+      $push: { turns: turn },
+      $set: { lastMessageAt: turn.createdAt },
+    },
+    { new: true }
+  );
+
+  return updated.turns[updated.turns.length - 1];
+};
+
+/**
+ * ensureRoomForTurn()
+ */
+const ensureRoomForTurn = (conversation) => {
+  if (conversation.turns.length >= Conversation.MAX_TURNS) {
+    throw new AppError('This conversation is too long. Please start a new one.', 400);
+  }
+};
+
+/**
+ * listConversations()
+ *
+ * WHAT: The user's conversations, most recent first (no turn contents)
+ *
+ * CALLED BY: ConversationController.listConversations()
+ * OUTPUT: [{ _id, title, turnCount, lastMessageAt, createdAt }]
+ */
+const listConversations = async (user, { limit = 50 } = {}) => {
+  return await Conversation.aggregate([
+    { $match: { organization: user.organization, user: user._id } },
+    { $sort: { lastMessageAt: -1 } },
+    { $limit: limit },
+    {
+      $project: {
+        title: 1,
+        lastMessageAt: 1,
+        createdAt: 1,
+        turnCount: { $size: '$turns' },
+      },
+    },
+  ]);
+};
+
+/**
+ * getConversation()
+ *
+ * WHAT: A conversation with all its turns
+ *
+ * CALLED BY: ConversationController.getConversation()
+ */
+const getConversation = async (conversationId, user) => {
+  const conversation = await findOwnConversation(conversationId, user);
+  const data = conversation.toObject();
+
+  data.turns = await filterCitations(data.turns, user);
+  return data;
+};
+
+/**
+ * createConversation()
+ *
+ * WHAT: Starts a conversation, optionally answering its first question
+ *
+ * CALLED BY: ConversationController.createConversation()
+ * INPUT: { title, question }, user
+ * OUTPUT: { conversation, result } - result is the AI answer (or
+ *         select_documents response) when a question was given
+ */
+const createConversation = async ({ title, question } = {}, user) => {
+  const conversation = await Conversation.create({
+    title: title ? buildTitle(title) : buildTitle(question),
+    organization: user.organization,
+    user: user._id,
+    turns: [],
+  });
+
+  logger.info('Conversation created', {
+    conversationId: conversation._id,
+    orgId: user.organization,
+    userId: user._id,
+  });
+
+  if (!question) {
+    return { conversation: conversation.toObject(), result: null };
+  }
+
+  const result = await askInConversation(conversation._id, question, user);
+  return {
+    conversation: await getConversation(conversation._id, user),
+    result,
+  };
+};
+
+/**
+ * askInConversation()
+ *
+ * WHAT: Answers the next question of a conversation
+ *
+ * The earlier turns are passed to the AI service, which rewrites the
+ * question into a standalone one before retrieval.
+ *
+ * CALLED BY: ConversationController.addTurn(), createConversation()
+ * OUTPUT: AI answer plus { conversationId, turn }, or the
+ *         select_documents response (no turn is stored then)
+ */
+const askInConversation = async (conversationId, question, user) => {
+  const conversation = await findOwnConversation(conversationId, user);
+  ensureRoomForTurn(conversation);
+
+  const access = getAccessContext(user);
+  const result = await aiService.answerQuestion(
+    question,
+    access.userId,
+    access.userDepartment,
+    access.userRole,
+    access.organizationId,
+    { history: conversation.getHistory() }
+  );
+
+  if (result.mode === 'select_documents') {
+    return { ...result, conversationId: conversation._id };
+  }
+
+  const turn = await appendTurn(conversation, buildTurn(question, result));
+
+  return { ...result, conversationId: conversation._id, turn };
+};
+
+/**
+ * streamInConversation()
+ *
+ * WHAT: Streaming variant of askInConversation()
+ *
+ * An aborted answer is not stored - the user never saw it finish.
+ *
+ * CALLED BY: SearchController.askQuestionStream()
+ * INPUT: conversationId, question, user, { onToken, signal }
+ */
+const streamInConversation = async (conversationId, question, user, { onToken, signal } = {}) => {
+  const conversation = await findOwnConversation(conversationId, user);
+  ensureRoomForTurn(conversation);
+
+  const access = getAccessContext(user);
+  const result = await aiService.streamAnswer(
+    question,
+    access.userId,
+    access.userDepartment,
+    access.userRole,
+    access.organizationId,
+    { onToken, signal, history: conversation.getHistory() }
+  );
+
+  if (result.mode === 'select_documents' || result.aborted) {
+    return { ...result, conversationId: conversation._id };
+  }
+
+  const turn = await appendTurn(conversation, buildTurn(question, result));
+
+  return { ...result, conversationId: conversation._id, turn };
+};
+
+/**
+ * deleteConversation()
+ *
+ * CALLED BY: ConversationController.deleteConversation()
+ */
+const deleteConversation = async (conversationId, user) => {
+  const conversation = await findOwnConversation(conversationId, user);
+  await conversation.deleteOne();
+
+  logger.info('Conversation deleted', {
+    conversationId,
+    userId: user._id,
+  });
+};
+
+module.exports = {
+  listConversations,
+  getConversation,
+  createConversation,
+  askInConversation,
+  streamInConversation,
+  deleteConversation,
+};
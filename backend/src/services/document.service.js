@@ -15,9 +15,12 @@
  * 2. File is saved to disk
  * 3. Text is extracted from file
  * 4. Text is chunked for AI processing
- * 5. AI generates summary (optional, async)
- * 6. Document is saved to database
- * 7. Document is available for search
+ * 5. Document is saved to database
+ * 6. Document is available for search
+ * 7. AI generates summary (optional, in the background)
+ * 
+ * Steps 3-7 run as jobs on the persistent queue (job.service.js), so they
+ * survive server restarts and are retried when they fail.
  * 
  * =============================================================================
  */
@@ -26,9 +29,25 @@ const fs = require('fs').promises;
 const path = require('path');
 const pdfParse = require('pdf-parse');
 const mammoth = require('mammoth');
-const { Document, Organization, QueryLog } = require('../models');
+const { Document, DocumentRevision, Organization, QueryLog, Job, User } = require('../models');
 const { AppError } = require('../middlewares/errorHandler');
 const logger = require('../utils/logger');
+const { signDownload, verifyDownload } = require('../utils/signedUrl');
+const { diffLines } = require('../utils/textDiff');
+const { isInlineSafe } = require('../utils/fileTypes');
+const textExtractors = require('../utils/textExtractors');
+const { parseSections, formatSectionPath } = require('../utils/documentStructure');
+const embeddingService = require('./embedding.service');
+const aiService = require('./ai.service');
+const jobService = require('./job.service');
+
+/**
+ * JOB TYPES - Background work handled through the job queue
+ */
+const JOB_TYPES = {
+  PROCESS: 'document.process',     // Extract, chunk and embed
+  SUMMARIZE: 'document.summarize', // Generate the AI summary
+};
 
 /**
  * CHUNK_SIZE - Size of text chunks for AI processing
@@ -48,26 +67,72 @@ const logger = require('../utils/logger');
 const CHUNK_SIZE = 1000;
 const CHUNK_OVERLAP = 200;
 
+// Defaults for chunkText() / chunkRecords() / chunkSections(). Each
+// organization can override both (settings.chunking, see getChunkingOptions)
+const DEFAULT_CHUNKING = { chunkSize: CHUNK_SIZE, chunkOverlap: CHUNK_OVERLAP };
+
+// Separator between pages in the extracted text (same as pdf-parse)
+const PAGE_SEPARATOR = '\n\n';
+
+/**
+ * renderPdfPage()
+ * 
+ * WHAT: pdf-parse page renderer that also keeps each page's text
+ * 
+ * Same line-joining as pdf-parse's built-in renderer (a new line when
+ * the y position changes), which isn't exported - so it's repeated here.
+ */
+const renderPdfPage = (pages) => async (pageData) => {
+  const textContent = await pageData.getTextContent({
+    normalizeWhitespace: false,
+    disableCombineTextItems: false,
+  });
+
+  let lastY;
+  let text = '';
+  for (const item of textContent.items) {
+    text += lastY === item.transform[5] || !lastY ? item.str : `\n${item.str}`;
+    lastY = item.transform[5];
+  }
+
+  pages[pageData.pageNumber - 1] = text;
+  return text;
+};
+
 /**
  * extractTextFromPDF()
  * 
- * WHAT: Extracts text content from a PDF file
+ * WHAT: Extracts text content from a PDF file, page by page
  * 
  * HOW:
  * Uses pdf-parse library which:
  * 1. Reads the PDF buffer
- * 2. Extracts text from each page
- * 3. Returns combined text
+ * 2. Extracts text from each page (renderPdfPage keeps them apart)
+ * 3. We join the pages and remember where each one starts
  * 
- * CALLED BY: processDocument()
+ * WHY PAGE OFFSETS?
+ * chunkText() turns them into startPage / endPage per chunk, so
+ * citations can say "p. 12–13" and the viewer can open that page.
+ * 
+ * CALLED BY: extractTextFromFile()
  * INPUT: filePath - Path to PDF file
- * OUTPUT: Extracted text string
+ * OUTPUT: { text, pageOffsets } - pageOffsets[i] is where page i + 1 starts
  */
 const extractTextFromPDF = async (filePath) => {
   try {
     const dataBuffer = await fs.readFile(filePath);
-    const data = await pdfParse(dataBuffer);
-    return data.text;
+    const pages = [];
+    await pdfParse(dataBuffer, { pagerender: renderPdfPage(pages) });
+
+    const pageOffsets = [];
+    let text = '';
+    Array.from(pages, (page) => page || '').forEach((page, index) => {
+      if (index > 0) text += PAGE_SEPARATOR;
+      pageOffsets.push(text.length);
+      text += page;
+    });
+
+    return { text, pageOffsets };
   } catch (error) {
     logger.error('PDF extraction failed', error);
     throw new AppError('Failed to extract text from PDF.', 500);
@@ -83,7 +148,10 @@ const extractTextFromPDF = async (filePath) => {
  * Uses mammoth library which:
  * 1. Reads the .docx file
  * 2. Parses the XML structure
- * 3. Extracts plain text
+ * 3. Converts it to HTML (headings, lists and tables survive)
+ * 
+ * The HTML then becomes text with Markdown-style headings
+ * ("## Leave") so chunkSections() can follow the document's outline.
  * 
  * CALLED BY: processDocument()
  * INPUT: filePath - Path to Word document
@@ -91,14 +159,37 @@ const extractTextFromPDF = async (filePath) => {
  */
 const extractTextFromWord = async (filePath) => {
   try {
-    const result = await mammoth.extractRawText({ path: filePath });
-    return result.value;
+    const result = await mammoth.convertToHtml({ path: filePath });
+    return textExtractors.extractFromHTML(result.value).text;
   } catch (error) {
     logger.error('Word extraction failed', error);
     throw new AppError('Failed to extract text from Word document.', 500);
   }
 };
 
+/**
+ * readExtracted()
+ * 
+ * WHAT: Runs one of the utils/textExtractors on a file's contents
+ * 
+ * A file that can't be parsed (broken JSON, a .xlsx that isn't a zip)
+ * fails the upload like an unreadable PDF does.
+ * 
+ * CALLED BY: extractTextFromFile()
+ * INPUT: filePath, encoding ('utf-8', 'latin1' or null for a Buffer),
+ *        extractor, label (for the error message)
+ * OUTPUT: { text, pageOffsets, records }
+ */
+const readExtracted = async (filePath, encoding, extractor, label) => {
+  const contents = await fs.readFile(filePath, encoding);
+  try {
+    return await extractor(contents);
+  } catch (error) {
+    logger.error(`${label} extraction failed`, error);
+    throw new AppError(`Failed to extract text from ${label} file.`, 500);
+  }
+};
+
 /**
  * extractTextFromFile()
  * 
@@ -109,10 +200,18 @@ const extractTextFromWord = async (filePath) => {
  * - Word (.docx, .doc)
  * - Text (.txt)
  * - Markdown (.md)
+ * - HTML (.html, .htm) - navigation and scripts stripped
+ * - CSV (.csv) and Excel (.xlsx) - one record per row
+ * - PowerPoint (.pptx) - slides act as pages
+ * - RTF (.rtf)
+ * - JSON (.json)
+ * - Email (.eml) and mailboxes (.mbox) - one record per message
  * 
  * CALLED BY: processDocument()
  * INPUT: filePath, fileType (MIME type)
- * OUTPUT: Extracted text string
+ * OUTPUT: { text, pageOffsets, records } - pageOffsets is null for
+ *         formats without pages, records is set for formats made of
+ *         rows or messages (see chunkRecords)
  */
 const extractTextFromFile = async (filePath, fileType) => {
   switch (fileType) {
@@ -121,11 +220,36 @@ const extractTextFromFile = async (filePath, fileType) => {
     
     case 'application/vnd.openxmlformats-officedocument.wordprocessingml.document':
     case 'application/msword':
-      return await extractTextFromWord(filePath);
+      return { text: await extractTextFromWord(filePath), pageOffsets: null };
     
     case 'text/plain':
     case 'text/markdown':
-      return await fs.readFile(filePath, 'utf-8');
+      return { text: await fs.readFile(filePath, 'utf-8'), pageOffsets: null };
+    
+    case 'text/html':
+      return await readExtracted(filePath, 'utf-8', textExtractors.extractFromHTML, 'HTML');
+    
+    case 'text/csv':
+      return await readExtracted(filePath, 'utf-8', textExtractors.extractFromCSV, 'CSV');
+    
+    case 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet':
+      return await readExtracted(filePath, null, textExtractors.extractFromXLSX, 'Excel');
+    
+    case 'application/vnd.openxmlformats-officedocument.presentationml.presentation':
+      return await readExtracted(filePath, null, textExtractors.extractFromPPTX, 'PowerPoint');
+    
+    case 'application/rtf':
+      return await readExtracted(filePath, 'latin1', textExtractors.extractFromRTF, 'RTF');
+    
+    case 'application/json':
+      return await readExtracted(filePath, 'utf-8', textExtractors.extractFromJSON, 'JSON');
+    
+    // Emails declare their own charsets - read them byte for byte
+    case 'message/rfc822':
+      return await readExtracted(filePath, 'latin1', textExtractors.extractFromEmail, 'email');
+    
+    case 'application/mbox':
+      return await readExtracted(filePath, 'latin1', textExtractors.extractFromMbox, 'mailbox');
     
     default:
       throw new AppError(`Unsupported file type: ${fileType}`, 400);
@@ -148,24 +272,42 @@ const extractTextFromFile = async (filePath, fileType) => {
  * 3. Move forward by (CHUNK_SIZE - CHUNK_OVERLAP)
  * 4. Repeat until end of text
  * 
+ * (CHUNK_SIZE and CHUNK_OVERLAP are the defaults - options can
+ * override them per organization)
+ * 
  * EXAMPLE with CHUNK_SIZE=10, OVERLAP=3:
  * Text: "Hello World Example"
  * Chunk 1: "Hello Worl" (0-10)
  * Chunk 2: "orld Examp" (7-17) - overlaps with "orl"
  * Chunk 3: "xample"     (14-19)
  * 
- * CALLED BY: processDocument()
- * INPUT: text string
- * OUTPUT: Array of chunk objects { text, chunkIndex }
+ * PAGES:
+ * With pageOffsets (PDFs), each chunk also gets the pages its text
+ * starts and ends on - a chunk crossing a page break spans two pages.
+ * 
+ * CALLED BY: processDocument(), chunkRecords(), chunkSections()
+ * INPUT: text string, pageOffsets (optional, see extractTextFromPDF),
+ *        options { chunkSize, chunkOverlap }
+ * OUTPUT: Array of chunk objects { text, chunkIndex, startPage, endPage }
  */
-const chunkText = (text) => {
+const chunkText = (text, pageOffsets = null, options = DEFAULT_CHUNKING) => {
+  const { chunkSize, chunkOverlap } = options;
   const chunks = [];
   let start = 0;
   let chunkIndex = 0;
 
+  // Page number (1-based) of a character position
+  const pageAt = (offset) => {
+    let page = 0;
+    while (page + 1 < pageOffsets.length && pageOffsets[page + 1] <= offset) {
+      page += 1;
+    }
+    return page + 1;
+  };
+
   while (start < text.length) {
     // Get chunk of text
-    let end = start + CHUNK_SIZE;
+    let end = start + chunkSize;
     let chunk = text.slice(start, end);
 
     // Try to end at a sentence boundary
@@ -179,23 +321,31 @@ const chunkText = (text) => {
       const lastBreak = Math.max(lastPeriod, lastQuestion, lastExclaim, lastNewline);
       
       // If we found a good break point in the latter half of the chunk
-      if (lastBreak > CHUNK_SIZE / 2) {
+      if (lastBreak > chunkSize / 2) {
         chunk = text.slice(start, start + lastBreak + 1);
         end = start + lastBreak + 1;
       }
     }
 
+    // Pages of the trimmed text, not of surrounding whitespace
+    const firstChar = start + (chunk.length - chunk.trimStart().length);
+    const lastChar = start + chunk.trimEnd().length - 1;
+    const hasPages = Boolean(pageOffsets && pageOffsets.length > 0 && lastChar >= firstChar);
+
     chunks.push({
       text: chunk.trim(),
       chunkIndex,
+      startPage: hasPages ? pageAt(firstChar) : null,
+      endPage: hasPages ? pageAt(lastChar) : null,
     });
 
     chunkIndex++;
     // Move start forward, but overlap with previous chunk
-    start = end - CHUNK_OVERLAP;
+    const previousStart = start;
+    start = end >= text.length ? end : end - chunkOverlap;
     
     // Prevent infinite loop if overlap is too large
-    if (start <= chunks[chunks.length - 1]?.startIndex) {
+    if (start <= previousStart) {
       start = end;
     }
   }
@@ -203,6 +353,230 @@ const chunkText = (text) => {
   return chunks;
 };
 
+/**
+ * chunkRecords()
+ * 
+ * WHAT: Chunks formats made of records (spreadsheet rows, emails)
+ * 
+ * WHY NOT chunkText()?
+ * chunkText() cuts wherever 1000 characters end - in the middle of a row,
+ * separating values from the rest of their row. Here whole records are
+ * packed into a chunk until it's full, and every chunk starts with its
+ * label ("Sheet: Budget") so the AI knows where the rows come from.
+ * A new label (next sheet) always starts a new chunk.
+ * 
+ * A single record longer than a chunk (a long email) is split with
+ * chunkText().
+ * 
+ * CALLED BY: processDocument()
+ * INPUT: records [{ text, label }] from utils/textExtractors,
+ *        options { chunkSize, chunkOverlap }
+ * OUTPUT: Array of chunk objects { text, chunkIndex, startPage, endPage }
+ */
+const chunkRecords = (records, options = DEFAULT_CHUNKING) => {
+  const { chunkSize } = options;
+  const chunks = [];
+  let lines = [];
+  let length = 0;
+  let label = null;
+
+  const push = (text) => {
+    chunks.push({ text, chunkIndex: chunks.length, startPage: null, endPage: null });
+  };
+
+  const flush = () => {
+    if (lines.length > 0) {
+      push([label, ...lines].filter(Boolean).join('\n'));
+    }
+    lines = [];
+    length = 0;
+  };
+
+  records.forEach((record) => {
+    const labelLength = record.label ? record.label.length + 1 : 0;
+
+    if (record.label !== label || length + record.text.length + 1 > chunkSize - labelLength) {
+      flush();
+    }
+    label = record.label;
+
+    if (record.text.length + labelLength > chunkSize) {
+      chunkText(record.text, null, { ...options, chunkSize: chunkSize - labelLength }).forEach((piece) => {
+        push([label, piece.text].filter(Boolean).join('\n'));
+      });
+      return;
+    }
+
+    lines.push(record.text);
+    length += record.text.length + 1;
+  });
+  flush();
+
+  return chunks;
+};
+
+/**
+ * splitBlock()
+ * 
+ * WHAT: Splits one block that doesn't fit in a chunk
+ * 
+ * - Lists are split between items
+ * - Tables are split between rows, every piece starting with the
+ *   header row so the columns stay named
+ * - Paragraphs and code are split by chunkText()
+ * 
+ * CALLED BY: chunkSections()
+ * INPUT: block (see utils/documentStructure), options { chunkSize, chunkOverlap }
+ * OUTPUT: Array of strings, each at most chunkSize long
+ */
+const splitBlock = (block, options) => {
+  const { chunkSize } = options;
+
+  if (block.type === 'list' || block.type === 'table') {
+    const header = block.type === 'table' ? block.header : '';
+    const body = block.text.slice(header.length).replace(/^\n/, '');
+
+    // Items start at a list marker; continuation lines belong to their item
+    const units = block.type === 'list'
+      ? body.split(/\n(?=[ \t]*(?:[-*+•]|\d+[.)])[ \t]+)/)
+      : body.split('\n');
+
+    const pieces = [];
+    let piece = [];
+    let length = header.length;
+    units.forEach((unit) => {
+      if (piece.length > 0 && length + unit.length + 1 > chunkSize) {
+        pieces.push([header, ...piece].filter(Boolean).join('\n'));
+        piece = [];
+        length = header.length;
+      }
+      piece.push(unit);
+      length += unit.length + 1;
+    });
+    if (piece.length > 0) {
+      pieces.push([header, ...piece].filter(Boolean).join('\n'));
+    }
+
+    // A single huge item or row is still cut like text
+    return pieces.flatMap((text) => (
+      text.length > chunkSize ? chunkText(text, null, options).map((chunk) => chunk.text) : [text]
+    ));
+  }
+
+  return chunkText(block.text, null, options).map((chunk) => chunk.text);
+};
+
+/**
+ * chunkSections()
+ * 
+ * WHAT: Chunks text along its headings, lists and tables
+ * 
+ * WHY NOT chunkText()?
+ * chunkText() cuts every 1000 characters, so a chunk can start in one
+ * section and end in the next ("...parental leave is 16 weeks. ## Sick
+ * Leave Employees get...") and the headings are just text somewhere.
+ * 
+ * HOW:
+ * 1. parseSections() splits the text into sections (one per heading)
+ *    made of blocks (paragraphs, lists, tables, code)
+ * 2. Whole blocks are packed into chunks - a chunk never crosses into
+ *    the next section
+ * 3. Within a section, consecutive chunks overlap by their last block
+ *    when it is no longer than chunkOverlap
+ * 4. A block bigger than a chunk is split (see splitBlock)
+ * 
+ * Every chunk keeps its section path ("Benefits > Leave > Parental"),
+ * which the AI sees with the passage and citations show.
+ * 
+ * CALLED BY: processDocument()
+ * INPUT: text, options { chunkSize, chunkOverlap }
+ * OUTPUT: Array of chunk objects { text, chunkIndex, startPage, endPage, sectionPath }
+ */
+const chunkSections = (text, options = DEFAULT_CHUNKING) => {
+  const { chunkSize, chunkOverlap } = options;
+  const chunks = [];
+
+  parseSections(text).forEach((section) => {
+    const sectionPath = formatSectionPath(section.path);
+    let blocks = [];
+    let length = 0;
+
+    const push = (chunkTextValue) => {
+      chunks.push({
+        text: chunkTextValue,
+        chunkIndex: chunks.length,
+        startPage: null,
+        endPage: null,
+        sectionPath,
+      });
+    };
+
+    const flush = () => {
+      if (blocks.some((block) => block.type !== 'heading')) {
+        push(blocks.map((block) => block.text).join('\n\n'));
+      }
+      blocks = [];
+      length = 0;
+    };
+
+    section.blocks.forEach((block) => {
+      if (block.text.length > chunkSize) {
+        flush();
+        splitBlock(block, options).forEach(push);
+        return;
+      }
+
+      if (blocks.length > 0 && length + block.text.length + 2 > chunkSize) {
+        const last = blocks[blocks.length - 1];
+        flush();
+
+        // Repeat the previous block for context if it's short enough
+        if (last.type !== 'heading' && last.text.length <= chunkOverlap
+          && last.text.length + block.text.length + 2 <= chunkSize) {
+          blocks.push(last);
+          length = last.text.length + 2;
+        }
+      }
+
+      blocks.push(block);
+      length += block.text.length + 2;
+    });
+    flush();
+  });
+
+  return chunks;
+};
+
+/**
+ * resolveChunkingOptions()
+ * 
+ * WHAT: Fills the values an organization hasn't set (null) with the
+ * defaults
+ * 
+ * CALLED BY: getChunkingOptions(), OrganizationService.updateOrganization()
+ * INPUT: settings.chunking ({ chunkSize, chunkOverlap }, both optional)
+ * OUTPUT: { chunkSize, chunkOverlap }
+ */
+const resolveChunkingOptions = (chunking = {}) => ({
+  chunkSize: chunking.chunkSize || DEFAULT_CHUNKING.chunkSize,
+  chunkOverlap: chunking.chunkOverlap ?? DEFAULT_CHUNKING.chunkOverlap,
+});
+
+/**
+ * getChunkingOptions()
+ * 
+ * WHAT: The organization's chunk size and overlap (settings.chunking),
+ * or the defaults where it hasn't set them
+ * 
+ * CALLED BY: processDocument()
+ * INPUT: organizationId
+ * OUTPUT: { chunkSize, chunkOverlap }
+ */
+const getChunkingOptions = async (organizationId) => {
+  const organization = await Organization.findById(organizationId).select('settings.chunking').lean();
+  return resolveChunkingOptions(organization?.settings?.chunking || {});
+};
+
 /**
  * processDocument()
  * 
@@ -210,15 +584,22 @@ const chunkText = (text) => {
  * 
  * FLOW:
  * 1. Extract text from file
- * 2. Chunk the text
- * 3. Update document in database
- * 4. Set status to 'active'
+ * 2. Chunk the text (with the organization's chunk size and overlap)
+ * 3. Compute embeddings for the chunks (semantic retrieval)
+ * 4. Update document in database
+ * 5. Set status to 'active'
+ * 6. Queue the summary job
  * 
- * CALLED BY: uploadDocument()
- * INPUT: documentId
+ * RETRIES:
+ * While the job has attempts left, a failure only records the error and
+ * the document stays 'processing'. The final attempt (or an error that
+ * can't get better, like an unsupported file type) marks it 'failed'.
+ * 
+ * CALLED BY: The 'document.process' job handler
+ * INPUT: documentId, options { isFinalAttempt }
  * OUTPUT: Updated document
  */
-const processDocument = async (documentId) => {
+const processDocument = async (documentId, { isFinalAttempt = true } = {}) => {
   const document = await Document.findById(documentId);
   
   if (!document) {
@@ -227,10 +608,35 @@ const processDocument = async (documentId) => {
 
   try {
     // Extract text from file
-    const content = await extractTextFromFile(document.filePath, document.fileType);
+    const { text: content, pageOffsets, records } = await extractTextFromFile(document.filePath, document.fileType);
     
-    // Chunk the text
-    const chunks = chunkText(content);
+    // Chunk the text: PDF and slide chunks remember their pages, rows
+    // and emails are kept whole, everything else follows its headings
+    const chunking = await getChunkingOptions(document.organization);
+    let chunks;
+    if (records) {
+      chunks = chunkRecords(records, chunking);
+    } else if (pageOffsets) {
+      chunks = chunkText(content, pageOffsets, chunking);
+    } else {
+      chunks = chunkSections(content, chunking);
+    }
+    
+    // Embed the chunks - a failure here only disables semantic retrieval
+    // for this document, keyword search still works
+    try {
+      const embedded = await embeddingService.embedChunks(chunks);
+      if (embedded) {
+        chunks = embedded.chunks;
+        document.embedding = embedded.embedding;
+        document.embeddingModel = embedded.model;
+      }
+    } catch (embeddingError) {
+      logger.warn('Failed to embed document chunks', {
+        documentId: document._id,
+        error: embeddingError.message,
+      });
+    }
     
     // Update document
     document.content = content;
@@ -244,9 +650,24 @@ const processDocument = async (documentId) => {
       chunkCount: chunks.length,
     });
 
+    // Summarize in the background - the document is already searchable
+    try {
+      await jobService.enqueueJob(
+        JOB_TYPES.SUMMARIZE,
+        { documentId: document._id },
+        { organization: document.organization }
+      );
+    } catch (err) {
+      logger.error('Failed to queue document summary', {
+        documentId: document._id,
+        error: err.message,
+      });
+    }
+
     // Update organization statistics: increment documentCount
+    // (a new version of an existing document is not a new document)
     try {
-      const org = await Organization.findById(document.organization);
+      const org = document.revision > 1 ? null : await Organization.findById(document.organization);
       if (org) {
         const updatedOrg = await org.updateStats({
           documentCount: (org.stats && org.stats.documentCount ? org.stats.documentCount : 0) + 1,
@@ -265,13 +686,20 @@ const processDocument = async (documentId) => {
 
     return document;
   } catch (error) {
-    // Mark document as failed
-    document.status = 'failed';
+    // Mark document as failed once no retry can fix it
+    const isPermanent = error instanceof AppError && error.statusCode < 500;
+    if (isFinalAttempt || isPermanent) {
+      document.status = 'failed';
+    }
     document.processingError = error.message;
-    await document.save();
+    await Document.updateOne(
+      { _id: document._id },
+      { status: document.status, processingError: document.processingError }
+    );
     
     logger.error('Document processing failed', {
       documentId: document._id,
+      status: document.status,
       error: error.message,
     });
     
@@ -279,6 +707,103 @@ const processDocument = async (documentId) => {
   }
 };
 
+/**
+ * generateDocumentSummary()
+ * 
+ * WHAT: Generates and stores the AI summary of a processed document
+ * 
+ * A missing provider only marks the summary as failed - the document
+ * itself stays active and searchable. A failed generation throws, so the
+ * job queue retries it; once the job gives up, its onDead hook marks the
+ * summary as failed (see markSummaryFailed).
+ * 
+ * CALLED BY: The 'document.summarize' job handler
+ * INPUT: documentId
+ * OUTPUT: Updated document (summary fields)
+ */
+const generateDocumentSummary = async (documentId) => {
+  const document = await Document.findById(documentId).select('content organization status');
+
+  if (!document) {
+    throw new AppError('Document not found.', 404);
+  }
+
+  await Document.updateOne({ _id: documentId }, { summaryStatus: 'generating' });
+
+  const summary = await aiService.summarizeDocument(document.content, document.organization);
+
+  const update = summary
+    ? { summary, summaryStatus: 'completed', summaryUpdatedAt: new Date() }
+    : { summaryStatus: 'failed' };
+
+  const updated = await Document.findByIdAndUpdate(documentId, update, { new: true })
+    .select('summary summaryStatus summaryUpdatedAt');
+
+  logger.info('Document summary generated', {
+    documentId,
+    summaryStatus: update.summaryStatus,
+  });
+
+  return updated;
+};
+
+/**
+ * regenerateSummary()
+ * 
+ * WHAT: Starts a fresh summary for a document (e.g. after a provider change)
+ * 
+ * ORGANIZATION SCOPING:
+ * Only documents within the user's organization can be summarized.
+ * 
+ * Generation runs in the background; the client polls the document
+ * until summaryStatus is no longer 'generating'.
+ * 
+ * CALLED BY: DocumentController.regenerateSummary()
+ * OUTPUT: { summaryStatus }
+ */
+const regenerateSummary = async (documentId, userId, userRole, organizationId) => {
+  const document = await Document.findOne({
+    _id: documentId,
+    organization: organizationId,
+  }).select('uploadedBy status summaryStatus');
+
+  if (!document) {
+    throw new AppError('Document not found.', 404);
+  }
+
+  // Same permission as editing the document
+  const isOwner = document.uploadedBy.toString() === userId.toString();
+  const isAdmin = userRole === 'admin' || userRole === 'super_admin';
+
+  if (!isOwner && !isAdmin) {
+    throw new AppError('You do not have permission to update this document.', 403);
+  }
+
+  if (document.status !== 'active') {
+    throw new AppError('Only processed documents can be summarized.', 400);
+  }
+
+  if (document.summaryStatus === 'generating') {
+    throw new AppError('A summary is already being generated for this document.', 409);
+  }
+
+  document.summaryStatus = 'generating';
+  await document.save();
+
+  await jobService.enqueueJob(
+    JOB_TYPES.SUMMARIZE,
+    { documentId: document._id },
+    { organization: organizationId }
+  );
+
+  logger.info('Summary regeneration started', {
+    documentId: document._id,
+    requestedBy: userId,
+  });
+
+  return { summaryStatus: 'generating' };
+};
+
 /**
  * uploadDocument()
  * 
@@ -322,18 +847,111 @@ const uploadDocument = async (file, metadata, userId, organizationId) => {
     organization: organizationId,
   });
 
-  // Process document asynchronously
-  // We don't await this - it runs in the background
-  processDocument(document._id).catch((error) => {
-    logger.error('Background processing failed', {
+  // Process document in the background via the job queue
+  // If queueing fails the startup sweep picks the document up later
+  try {
+    await jobService.enqueueJob(
+      JOB_TYPES.PROCESS,
+      { documentId: document._id },
+      { organization: organizationId }
+    );
+  } catch (error) {
+    logger.error('Failed to queue document processing', {
       documentId: document._id,
       error: error.message,
     });
-  });
+  }
 
   return document;
 };
 
+/**
+ * requeueStuckDocuments()
+ * 
+ * WHAT: Startup sweep - queues documents stuck in 'processing'
+ * 
+ * Documents uploaded before the job queue existed, or whose job could
+ * not be queued, would otherwise stay 'processing' forever. Documents
+ * that already have a queued or running job are left alone.
+ *
+ * A document whose latest job is dead is marked 'failed' instead of
+ * getting another job - queueing it again would retry it on every
+ * restart. An admin can still retry the dead job.
+ * 
+ * CALLED BY: server.js at startup
+ * OUTPUT: Number of documents queued
+ */
+const requeueStuckDocuments = async () => {
+  const documents = await Document.find({ status: 'processing' }).select('_id organization');
+  let queued = 0;
+
+  for (const doc of documents) {
+    const latestJob = await Job.findOne({ type: JOB_TYPES.PROCESS, 'payload.documentId': doc._id })
+      .sort({ createdAt: -1 })
+      .select('status lastError');
+
+    if (latestJob?.status === 'dead') {
+      await markProcessingFailed({ documentId: doc._id }, latestJob);
+      continue;
+    }
+
+    if (!latestJob || latestJob.status === 'completed') {
+      await jobService.enqueueJob(
+        JOB_TYPES.PROCESS,
+        { documentId: doc._id },
+        { organization: doc.organization }
+      );
+      queued++;
+    }
+  }
+
+  if (queued > 0) {
+    logger.warn('Re-queued documents stuck in processing', { count: queued });
+  }
+
+  return queued;
+};
+
+// =============================================================================
+// JOB HANDLERS
+// =============================================================================
+
+/**
+ * markProcessingFailed() / markSummaryFailed()
+ *
+ * WHAT: onDead hooks - a dead job must not leave its document
+ * 'processing' (or its summary 'generating') forever
+ *
+ * processDocument() marks the document itself on its final attempt, but
+ * not when the worker died during it.
+ */
+const markProcessingFailed = async ({ documentId }, job) => {
+  await Document.updateOne(
+    { _id: documentId, status: 'processing' },
+    { status: 'failed', processingError: job.lastError || 'Processing did not finish' }
+  );
+};
+
+const markSummaryFailed = async ({ documentId }) => {
+  await Document.updateOne({ _id: documentId, summaryStatus: 'generating' }, { summaryStatus: 'failed' });
+};
+
+jobService.registerJobHandler(
+  JOB_TYPES.PROCESS,
+  async ({ documentId }, job) => {
+    await processDocument(documentId, { isFinalAttempt: job.attempts >= job.maxAttempts });
+  },
+  { onDead: markProcessingFailed }
+);
+
+jobService.registerJobHandler(
+  JOB_TYPES.SUMMARIZE,
+  async ({ documentId }) => {
+    await generateDocumentSummary(documentId);
+  },
+  { onDead: markSummaryFailed }
+);
+
 /**
  * getDocuments()
  * 
@@ -426,7 +1044,7 @@ const getDocuments = async (filters = {}, options = {}, userId, userRole, userDe
     .skip((page - 1) * limit)
     .limit(limit)
     .populate('uploadedBy', 'firstName lastName email')
-    .select('-content -chunks'); // Exclude large fields
+    .select('-content -chunks -embedding'); // Exclude large fields
 
   return {
     documents,
@@ -491,13 +1109,13 @@ const getDocumentById = async (documentId, userId, userRole, userDepartment, org
  * 
  * CALLED BY: DocumentController.getDocumentStatus()
  * INPUT: documentId, userId, userRole, userDepartment, organizationId
- * OUTPUT: { status, processingError, updatedAt }
+ * OUTPUT: { status, processingError, summaryStatus, updatedAt }
  */
 const getDocumentStatus = async (documentId, userId, userRole, userDepartment, organizationId) => {
   const document = await Document.findOne({
     _id: documentId,
     organization: organizationId,
-  }).select('status processingError updatedAt uploadedBy accessLevel department');
+  }).select('status processingError summaryStatus updatedAt uploadedBy accessLevel department');
 
   if (!document) {
     throw new AppError('Document not found.', 404);
@@ -517,10 +1135,537 @@ const getDocumentStatus = async (documentId, userId, userRole, userDepartment, o
   return {
     status: document.status,
     processingError: document.processingError || null,
+    summaryStatus: document.summaryStatus,
     updatedAt: document.updatedAt,
   };
 };
 
+/**
+ * canAccessDocument()
+ *
+ * WHAT: The view permission check shared by the download link functions
+ */
+const canAccessDocument = (document, userId, userRole, userDepartment) => {
+  const uploaderId = document.uploadedBy?._id || document.uploadedBy;
+  const isOwner = uploaderId?.toString() === userId.toString();
+  const isAdmin = userRole === 'admin' || userRole === 'super_admin';
+  const isPublic = document.accessLevel === 'public';
+  const isDepartmentAccess =
+    document.accessLevel === 'department' &&
+    document.department === userDepartment;
+
+  return isOwner || isAdmin || isPublic || isDepartmentAccess;
+};
+
+/**
+ * createDownloadLink()
+ *
+ * WHAT: Issues a short-lived signed URL for a document's file
+ *
+ * The usual organization and access checks run here; the link itself is
+ * bound to the requesting user and expires after DOWNLOAD_URL_TTL_SECONDS.
+ *
+ * Only PDFs and images can be opened inline (see isInlineSafe in
+ * utils/fileTypes.js) - other files always get an attachment link.
+ *
+ * CALLED BY: DocumentController.downloadDocument(), downloadRevision()
+ * INPUT: documentId, userId, userRole, userDepartment, organizationId,
+ *        { disposition: 'attachment' | 'inline', revision (earlier version) }
+ * OUTPUT: { url, expiresAt, fileName }
+ */
+const createDownloadLink = async (
+  documentId,
+  userId,
+  userRole,
+  userDepartment,
+  organizationId,
+  { disposition = 'attachment', revision = null } = {}
+) => {
+  const document = await Document.findOne({
+    _id: documentId,
+    organization: organizationId,
+  }).select('fileName fileType uploadedBy accessLevel department revision');
+
+  if (!document) {
+    throw new AppError('Document not found.', 404);
+  }
+
+  if (!canAccessDocument(document, userId, userRole, userDepartment)) {
+    throw new AppError('You do not have permission to view this document.', 403);
+  }
+
+  // The current revision is the document's own file
+  let fileName = document.fileName;
+  let fileType = document.fileType;
+  let signedRevision = null;
+
+  if (revision && revision !== document.revision) {
+    const stored = await DocumentRevision.findOne({
+      document: document._id,
+      revisionNumber: revision,
+    }).select('fileName fileType');
+
+    if (!stored) {
+      throw new AppError('Revision not found.', 404);
+    }
+
+    fileName = stored.fileName;
+    fileType = stored.fileType;
+    signedRevision = revision;
+  }
+
+  const { query, expiresAt } = signDownload({
+    documentId: document._id,
+    revision: signedRevision,
+    userId,
+    disposition: isInlineSafe(fileType) ? disposition : 'attachment',
+  });
+
+  return {
+    url: `/api/documents/${document._id}/file?${query}`,
+    expiresAt,
+    fileName,
+  };
+};
+
+/**
+ * getSignedDownload()
+ *
+ * WHAT: Resolves a signed download link to the file it grants
+ *
+ * Besides the signature, the bound user is loaded again: a link stops
+ * working as soon as the user is deactivated or loses access to the
+ * document, even before it expires.
+ *
+ * CALLED BY: DocumentController.serveSignedFile()
+ * INPUT: documentId, query { revision, user, expires, disposition, signature }
+ * OUTPUT: { document, file: { filePath, fileName, fileType }, disposition }
+ */
+const getSignedDownload = async (documentId, query) => {
+  const { userId, revision, disposition } = verifyDownload({ documentId, ...query });
+
+  const user = await User.findById(userId).select('role department organization isActive');
+
+  if (!user || !user.isActive) {
+    throw new AppError('Invalid download link.', 403);
+  }
+
+  const document = await Document.findOne({
+    _id: documentId,
+    organization: user.organization,
+  });
+
+  if (!document) {
+    throw new AppError('Document not found.', 404);
+  }
+
+  if (!canAccessDocument(document, user._id, user.role, user.department)) {
+    throw new AppError('You do not have permission to view this document.', 403);
+  }
+
+  let file = document;
+
+  if (revision) {
+    file = await DocumentRevision.findOne({
+      document: document._id,
+      revisionNumber: revision,
+    }).select('fileName fileType filePath');
+
+    if (!file) {
+      throw new AppError('Revision not found.', 404);
+    }
+  }
+
+  return {
+    document,
+    file: { filePath: file.filePath, fileName: file.fileName, fileType: file.fileType },
+    disposition,
+  };
+};
+
+// =============================================================================
+// VERSIONS - new uploads of the same document, history, restore and diff
+// =============================================================================
+
+/**
+ * findDocumentForEdit()
+ *
+ * WHAT: Loads a document the user may change (owner or admin), or throws
+ */
+const findDocumentForEdit = async (documentId, userId, userRole, organizationId) => {
+  const document = await Document.findOne({
+    _id: documentId,
+    organization: organizationId,
+  });
+
+  if (!document) {
+    throw new AppError('Document not found.', 404);
+  }
+
+  const isOwner = document.uploadedBy.toString() === userId.toString();
+  const isAdmin = userRole === 'admin' || userRole === 'super_admin';
+
+  if (!isOwner && !isAdmin) {
+    throw new AppError('You do not have permission to update this document.', 403);
+  }
+
+  if (document.status === 'processing') {
+    throw new AppError('This document is still being processed. Please try again shortly.', 409);
+  }
+
+  if (document.status === 'archived') {
+    throw new AppError('Archived documents cannot be changed.', 400);
+  }
+
+  return document;
+};
+
+/**
+ * findDocumentForView()
+ *
+ * WHAT: Loads a document the user may read, or throws
+ */
+const findDocumentForView = async (documentId, userId, userRole, userDepartment, organizationId, fields) => {
+  const document = await Document.findOne({
+    _id: documentId,
+    organization: organizationId,
+  }).select(`uploadedBy accessLevel department revision ${fields}`);
+
+  if (!document) {
+    throw new AppError('Document not found.', 404);
+  }
+
+  if (!canAccessDocument(document, userId, userRole, userDepartment)) {
+    throw new AppError('You do not have permission to view this document.', 403);
+  }
+
+  return document;
+};
+
+/**
+ * saveRevision()
+ *
+ * WHAT: Freezes the current state of a document as a DocumentRevision
+ *
+ * The unique (document, revisionNumber) index makes this the point where
+ * two simultaneous uploads collide - the second one gets a 409.
+ */
+const saveRevision = async (document) => {
+  try {
+    return await DocumentRevision.create({
+      document: document._id,
+      organization: document.organization,
+      revisionNumber: document.revision,
+      version: document.version,
+      changeNote: document.revisionNote,
+      uploadedBy: document.revisionUploadedBy || document.uploadedBy,
+      revisionCreatedAt: document.revisionCreatedAt || document.createdAt,
+      fileName: document.fileName,
+      fileType: document.fileType,
+      fileSize: document.fileSize,
+      filePath: document.filePath,
+      content: document.content,
+      summary: document.summary,
+      chunks: document.chunks.map((chunk) => ({
+        text: chunk.text,
+        chunkIndex: chunk.chunkIndex,
+        startPage: chunk.startPage,
+        endPage: chunk.endPage,
+        sectionPath: chunk.sectionPath,
+        embedding: chunk.embedding,
+      })),
+      embedding: document.embedding,
+      embeddingModel: document.embeddingModel,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new AppError('This document was changed at the same time. Please reload and try again.', 409);
+    }
+    throw error;
+  }
+};
+
+/**
+ * replaceCurrentRevision()
+ *
+ * WHAT: Writes the next revision onto the document record
+ *
+ * Conditional on the revision number read earlier, so a concurrent change
+ * can't be overwritten silently.
+ */
+const replaceCurrentRevision = async (document, update, unset = {}) => {
+  const updated = await Document.findOneAndUpdate(
+    { _id: document._id, revision: document.revision },
+    {
+      $set: { ...update, revision: document.revision + 1, revisionCreatedAt: new Date() },
+      ...(Object.keys(unset).length > 0 && { $unset: unset }),
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw new AppError('This document was changed at the same time. Please reload and try again.', 409);
+  }
+
+  return updated;
+};
+
+/**
+ * uploadNewVersion()
+ *
+ * WHAT: Replaces a document's file with a revised one
+ *
+ * The document keeps its _id and hash, so collections, links and old
+ * citations still point at it. The previous file, text and chunks are
+ * saved as a revision, then the new file goes through the normal
+ * processing job.
+ *
+ * CALLED BY: DocumentController.uploadNewVersion()
+ * INPUT: documentId, file (multer), { version, changeNote }, userId, userRole, organizationId
+ * OUTPUT: Updated document (status 'processing')
+ */
+const uploadNewVersion = async (documentId, file, metadata, userId, userRole, organizationId) => {
+  let document;
+
+  try {
+    document = await findDocumentForEdit(documentId, userId, userRole, organizationId);
+    await saveRevision(document);
+
+    document = await replaceCurrentRevision(
+      document,
+      {
+        fileName: file.originalname,
+        fileType: file.mimetype,
+        fileSize: file.size,
+        filePath: file.path,
+        version: metadata.version || document.version,
+        revisionNote: metadata.changeNote || '',
+        revisionUploadedBy: userId,
+        content: '',
+        chunks: [],
+        summary: '',
+        summaryStatus: 'pending',
+        embeddingModel: null,
+        status: 'processing',
+        processingError: null,
+      },
+      { embedding: 1 }
+    );
+  } catch (error) {
+    // Nothing refers to the uploaded file yet
+    await fs.unlink(file.path).catch(() => {});
+    throw error;
+  }
+
+  logger.info('New document version uploaded', {
+    documentId: document._id,
+    revision: document.revision,
+    uploadedBy: userId,
+  });
+
+  try {
+    await jobService.enqueueJob(
+      JOB_TYPES.PROCESS,
+      { documentId: document._id },
+      { organization: organizationId }
+    );
+  } catch (error) {
+    logger.error('Failed to queue document processing', {
+      documentId: document._id,
+      error: error.message,
+    });
+  }
+
+  return document;
+};
+
+/**
+ * listRevisions()
+ *
+ * WHAT: Version history of a document, newest first
+ *
+ * The first entry is the current version (isCurrent: true), read from
+ * the document itself.
+ *
+ * CALLED BY: DocumentController.getRevisions()
+ * OUTPUT: [{ revisionNumber, version, changeNote, fileName, fileSize,
+ *            uploadedBy, createdAt, isCurrent }]
+ */
+const listRevisions = async (documentId, userId, userRole, userDepartment, organizationId) => {
+  const document = await findDocumentForView(
+    documentId,
+    userId,
+    userRole,
+    userDepartment,
+    organizationId,
+    'version revisionNote revisionUploadedBy revisionCreatedAt fileName fileType fileSize status createdAt'
+  );
+
+  await document.populate([
+    { path: 'uploadedBy', select: 'firstName lastName' },
+    { path: 'revisionUploadedBy', select: 'firstName lastName' },
+  ]);
+
+  const revisions = await DocumentRevision.find({ document: document._id })
+    .sort({ revisionNumber: -1 })
+    .select('revisionNumber version changeNote uploadedBy revisionCreatedAt fileName fileType fileSize createdAt')
+    .populate('uploadedBy', 'firstName lastName');
+
+  const current = {
+    revisionNumber: document.revision,
+    version: document.version,
+    changeNote: document.revisionNote,
+    uploadedBy: document.revisionUploadedBy || document.uploadedBy,
+    createdAt: document.revisionCreatedAt || document.createdAt,
+    fileName: document.fileName,
+    fileType: document.fileType,
+    fileSize: document.fileSize,
+    status: document.status,
+    isCurrent: true,
+  };
+
+  return [
+    current,
+    ...revisions.map((revision) => ({
+      revisionNumber: revision.revisionNumber,
+      version: revision.version,
+      changeNote: revision.changeNote,
+      uploadedBy: revision.uploadedBy,
+      createdAt: revision.revisionCreatedAt || revision.createdAt,
+      fileName: revision.fileName,
+      fileType: revision.fileType,
+      fileSize: revision.fileSize,
+      isCurrent: false,
+    })),
+  ];
+};
+
+/**
+ * restoreRevision()
+ *
+ * WHAT: Makes an earlier revision the current version again
+ *
+ * Restoring never deletes history: the current state is saved as a
+ * revision first, and the restored one becomes a NEW revision number
+ * (3 → restore 1 → 4, with 4 identical to 1). The stored text and chunks
+ * are reused, so the document is searchable again immediately.
+ *
+ * CALLED BY: DocumentController.restoreRevision()
+ * OUTPUT: Updated document
+ */
+const restoreRevision = async (documentId, revisionNumber, userId, userRole, organizationId) => {
+  const document = await findDocumentForEdit(documentId, userId, userRole, organizationId);
+
+  if (revisionNumber === document.revision) {
+    throw new AppError('This revision is already the current version.', 400);
+  }
+
+  const revision = await DocumentRevision.findOne({
+    document: document._id,
+    revisionNumber,
+  });
+
+  if (!revision) {
+    throw new AppError('Revision not found.', 404);
+  }
+
+  await saveRevision(document);
+
+  const updated = await replaceCurrentRevision(
+    document,
+    {
+      fileName: revision.fileName,
+      fileType: revision.fileType,
+      fileSize: revision.fileSize,
+      filePath: revision.filePath,
+      version: revision.version,
+      revisionNote: `Restored from revision ${revisionNumber}`,
+      revisionUploadedBy: userId,
+      content: revision.content,
+      chunks: revision.chunks.map((chunk) => chunk.toObject()),
+      summary: revision.summary,
+      summaryStatus: revision.summary ? 'completed' : 'pending',
+      embeddingModel: revision.embeddingModel,
+      ...(revision.embedding?.length && { embedding: revision.embedding }),
+      status: 'active',
+      processingError: null,
+    },
+    revision.embedding?.length ? {} : { embedding: 1 }
+  );
+
+  if (!revision.summary) {
+    try {
+      await jobService.enqueueJob(
+        JOB_TYPES.SUMMARIZE,
+        { documentId: updated._id },
+        { organization: organizationId }
+      );
+    } catch (error) {
+      logger.error('Failed to queue document summary', {
+        documentId: updated._id,
+        error: error.message,
+      });
+    }
+  }
+
+  logger.info('Document revision restored', {
+    documentId: updated._id,
+    restoredRevision: revisionNumber,
+    revision: updated.revision,
+    restoredBy: userId,
+  });
+
+  return updated;
+};
+
+/**
+ * diffRevisions()
+ *
+ * WHAT: Line-by-line diff of the extracted text of two revisions
+ *
+ * Either side may be the current version. See utils/textDiff.js for the
+ * hunk format.
+ *
+ * CALLED BY: DocumentController.diffRevisions()
+ * INPUT: documentId, from, to (revision numbers), user access fields
+ * OUTPUT: { from, to, hunks, stats, approximate }
+ */
+const diffRevisions = async (documentId, from, to, userId, userRole, userDepartment, organizationId) => {
+  const document = await findDocumentForView(
+    documentId,
+    userId,
+    userRole,
+    userDepartment,
+    organizationId,
+    'content'
+  );
+
+  const getContent = async (revisionNumber) => {
+    if (revisionNumber === document.revision) {
+      return document.content;
+    }
+
+    const revision = await DocumentRevision.findOne({
+      document: document._id,
+      revisionNumber,
+    }).select('content');
+
+    if (!revision) {
+      throw new AppError(`Revision ${revisionNumber} not found.`, 404);
+    }
+
+    return revision.content;
+  };
+
+  const [oldContent, newContent] = await Promise.all([getContent(from), getContent(to)]);
+
+  return {
+    from,
+    to,
+    ...diffLines(oldContent, newContent),
+  };
+};
+
 /**
  * updateDocument()
  * 
@@ -766,6 +1911,58 @@ const generateMissingHashes = async () => {
   return { updated: documentsWithoutHash.length };
 };
 
+/**
+ * generateMissingEmbeddings()
+ * 
+ * WHAT: Embeds active documents that have no vectors from the current provider
+ * 
+ * WHY: Documents processed before embeddings were enabled (or with another
+ * provider) are invisible to semantic retrieval until they are re-embedded.
+ * 
+ * CALLED BY: DocumentController.generateEmbeddings()
+ * INPUT: organizationId
+ * OUTPUT: { total, updated, failed }
+ */
+const generateMissingEmbeddings = async (organizationId) => {
+  const provider = embeddingService.getEmbeddingProvider();
+  if (!provider) {
+    throw new AppError('Embeddings are disabled (EMBEDDING_PROVIDER=none).', 400);
+  }
+
+  const documents = await Document.find({
+    organization: organizationId,
+    status: 'active',
+    embeddingModel: { $ne: provider.name },
+  }).select('chunks embedding embeddingModel');
+
+  logger.info(`Found ${documents.length} documents without ${provider.name} embeddings`, {
+    organization: organizationId,
+  });
+
+  let updated = 0;
+  let failed = 0;
+
+  for (const doc of documents) {
+    try {
+      const embedded = await embeddingService.embedChunks(
+        doc.chunks.map((chunk) => chunk.toObject())
+      );
+      if (!embedded) continue;
+
+      doc.chunks = embedded.chunks;
+      doc.embedding = embedded.embedding;
+      doc.embeddingModel = embedded.model;
+      await doc.save();
+      updated++;
+    } catch (error) {
+      failed++;
+      logger.warn('Failed to embed document', { documentId: doc._id, error: error.message });
+    }
+  }
+
+  return { total: documents.length, updated, failed };
+};
+
 // =============================================================================
 // EXPORTS
 // =============================================================================
@@ -775,10 +1972,24 @@ module.exports = {
   getDocuments,
   getDocumentById,
   getDocumentStatus,
+  createDownloadLink,
+  getSignedDownload,
+  uploadNewVersion,
+  listRevisions,
+  restoreRevision,
+  diffRevisions,
   updateDocument,
   deleteDocument,
   getDocumentStats,
   extractTextFromFile,
   chunkText,
+  chunkRecords,
+  chunkSections,
+  resolveChunkingOptions,
   generateMissingHashes,
+  generateMissingEmbeddings,
+  generateDocumentSummary,
+  regenerateSummary,
+  requeueStuckDocuments,
+  JOB_TYPES,
 };
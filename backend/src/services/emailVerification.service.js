@@ -0,0 +1,183 @@
+/**
+ * =============================================================================
+ * EMAIL VERIFICATION SERVICE - CONFIRMING EMAIL ADDRESSES
+ * =============================================================================
+ *
+ * WHAT IS THIS FILE?
+ * New accounts get an email with a link. Opening it proves the address
+ * belongs to the user (user.emailVerified).
+ *
+ * FLOW:
+ *
+ *   signup ──→ sendVerificationEmail() ──→ email with
+ *                                          {FRONTEND_URL}/verify-email?token=...
+ *                                                   │
+ *   VerifyEmailPage ──→ POST /api/auth/verify-email ─┘──→ verifyEmail()
+ *
+ * ENFORCEMENT (settings.requireEmailVerification):
+ * When the organization requires it, unverified members can't log in
+ * (AuthService.login) and their sessions stop working (protect
+ * middleware) until they verify. The organization owner is exempt, so
+ * turning the setting on can't lock out the only admin.
+ *
+ * =============================================================================
+ */
+
+const { User, Organization } = require('../models');
+const { AppError } = require('../middlewares/errorHandler');
+const logger = require('../utils/logger');
+const { createLinkToken, hashToken, buildFrontendUrl } = require('../utils/linkToken');
+const mailService = require('./mail.service');
+
+// How long a verification link works
+const EMAIL_VERIFICATION_EXPIRES_HOURS = parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS) || 48;
+
+// At most one email per address per minute
+const RESEND_INTERVAL_MS = 60 * 1000;
+
+/**
+ * markVerified()
+ *
+ * WHAT: Marks the user's email as verified (the caller saves the user)
+ *
+ * CALLED BY: verifyEmail(), PasswordResetService (the reset link went to
+ *            the same inbox), InvitationService (so did the invitation),
+ *            SsoService (the provider vouches for it)
+ */
+const markVerified = (user) => {
+  if (user.emailVerified) return;
+
+  user.emailVerified = true;
+  user.emailVerifiedAt = new Date();
+  user.emailVerification = { tokenHash: null, expiresAt: null, sentAt: null };
+};
+
+/**
+ * isVerificationRequired()
+ *
+ * WHAT: Whether the user must verify their email before using the app
+ *
+ * CALLED BY: AuthService.login(), AuthService.registerEmployee(), protect
+ * OUTPUT: true when the organization requires verification, the email
+ *         isn't verified and the user isn't the organization owner
+ */
+const isVerificationRequired = async (user) => {
+  if (user.emailVerified || !user.organization) return false;
+
+  const organization = await Organization.findById(user.organization).select('owner settings.requireEmailVerification');
+  if (!organization?.settings?.requireEmailVerification) return false;
+
+  return organization.owner?.toString() !== user._id.toString();
+};
+
+/**
+ * sendVerificationEmail()
+ *
+ * WHAT: Creates a new link (the previous one stops working) and emails it
+ *
+ * CALLED BY: AuthService.registerOrganization/registerEmployee(), resendVerification()
+ * INPUT: user (document), organization (optional - for its name in the email)
+ */
+const sendVerificationEmail = async (user, organization = null) => {
+  const { token, tokenHash, expiresAt } = createLinkToken(EMAIL_VERIFICATION_EXPIRES_HOURS * 60 * 60 * 1000);
+
+  user.emailVerification = { tokenHash, expiresAt, sentAt: new Date() };
+  await user.save({ validateBeforeSave: false });
+
+  await mailService.sendTemplate('emailVerification', user.email, {
+    firstName: user.firstName,
+    link: buildFrontendUrl('/verify-email', { token }),
+    expiresInHours: EMAIL_VERIFICATION_EXPIRES_HOURS,
+    organizationName: organization?.name,
+  });
+
+  logger.info('Verification email sent', { userId: user._id });
+};
+
+/**
+ * sendVerificationEmailSafely()
+ *
+ * WHAT: sendVerificationEmail() for signups - a mail server problem is
+ *       logged instead of failing the signup (the user can ask for a new
+ *       email from the login page)
+ */
+const sendVerificationEmailSafely = async (user, organization = null) => {
+  try {
+    await sendVerificationEmail(user, organization);
+  } catch (error) {
+    logger.error('Failed to send verification email', { userId: user._id, error: error.message });
+  }
+};
+
+/**
+ * verifyEmail()
+ *
+ * WHAT: Redeems a verification link
+ *
+ * The token is cleared in the same update that checks it, so a link
+ * works once.
+ *
+ * CALLED BY: AuthController.verifyEmail()
+ * INPUT: token (from the link)
+ * OUTPUT: { email }
+ */
+const verifyEmail = async (token) => {
+  const user = await User.findOneAndUpdate(
+    {
+      'emailVerification.tokenHash': hashToken(token),
+      'emailVerification.expiresAt': { $gt: new Date() },
+    },
+    {
+      $set: {
+        emailVerified: true,
+        emailVerifiedAt: new Date(),
+        emailVerification: { tokenHash: null, expiresAt: null, sentAt: null },
+      },
+    },
+    { new: true }
+  );
+
+  if (!user) {
+    throw new AppError('This verification link is invalid or has expired. Sign in to get a new one.', 400);
+  }
+
+  logger.info('Email verified', { userId: user._id });
+
+  return { email: user.email };
+};
+
+/**
+ * resendVerification()
+ *
+ * WHAT: Sends a new verification link to an unverified address
+ *
+ * The response is the same whether or not the address has an account,
+ * so this can't be used to find out who is registered.
+ *
+ * CALLED BY: AuthController.resendVerification()
+ * INPUT: email
+ */
+const resendVerification = async (email) => {
+  const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+
+  if (!user || !user.isActive || user.emailVerified) {
+    return;
+  }
+
+  const lastSentAt = user.emailVerification?.sentAt;
+  if (lastSentAt && Date.now() - lastSentAt.getTime() < RESEND_INTERVAL_MS) {
+    return;
+  }
+
+  const organization = user.organization ? await Organization.findById(user.organization).select('name') : null;
+  await sendVerificationEmailSafely(user, organization);
+};
+
+module.exports = {
+  markVerified,
+  isVerificationRequired,
+  sendVerificationEmail,
+  sendVerificationEmailSafely,
+  verifyEmail,
+  resendVerification,
+};
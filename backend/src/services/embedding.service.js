@@ -0,0 +1,264 @@
+/**
+ * =============================================================================
+ * EMBEDDING SERVICE - VECTOR REPRESENTATIONS FOR SEMANTIC RETRIEVAL
+ * =============================================================================
+ *
+ * WHAT IS THIS FILE?
+ * Turns text into fixed-length numeric vectors ("embeddings") so we can find
+ * chunks that are SIMILAR to a question, not only chunks that share its words.
+ *
+ * WHY?
+ * The MongoDB $text index is purely lexical: a question worded differently
+ * from the document ("time off rules" vs "leave policy") finds nothing.
+ * Comparing vectors lets us rank by closeness instead of exact terms, and
+ * hybrid retrieval combines both signals.
+ *
+ * PLUGGABLE PROVIDERS:
+ * A provider is an object { name, dimensions, embed(texts) => vectors }.
+ * The active provider is chosen with EMBEDDING_PROVIDER:
+ * - 'local' (default): deterministic hashed n-gram vectors, no network needed
+ * - 'none': embeddings disabled, retrieval is lexical only
+ * - anything registered with registerEmbeddingProvider()
+ *
+ * The provider `name` is stored on each document (embeddingModel), so vectors
+ * from different providers are never compared with each other.
+ *
+ * =============================================================================
+ */
+
+const logger = require('../utils/logger');
+const { tokenize } = require('../utils/chunkRanker');
+
+const DEFAULT_DIMENSIONS = 256;
+
+/**
+ * fnv1a()
+ *
+ * WHAT: Fast, deterministic 32-bit string hash (FNV-1a)
+ * WHY: The local provider maps every feature to a vector slot by hash,
+ * so the same text always produces the same vector on every machine.
+ */
+const fnv1a = (value) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * normalizeVector()
+ *
+ * WHAT: Scales a vector to unit length (L2 norm = 1)
+ * WHY: With unit vectors the cosine similarity is just the dot product
+ */
+const normalizeVector = (vector) => {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  if (!norm) return vector;
+  return vector.map((value) => value / norm);
+};
+
+/**
+ * createLocalProvider()
+ *
+ * WHAT: Hashed n-gram embedding provider ("feature hashing")
+ *
+ * HOW:
+ * Every word (minus stopwords) and every character trigram of every word is
+ * hashed into one of `dimensions` slots. Word features carry more weight than trigrams.
+ * Trigrams make related word forms ("reimburse", "reimbursement") land
+ * close together even though they are different words.
+ *
+ * It is not a language model - it knows nothing about synonyms - but it is
+ * free, offline and fully deterministic, which also makes it usable in tests.
+ */
+const createLocalProvider = ({ dimensions = DEFAULT_DIMENSIONS } = {}) => {
+  const addFeature = (vector, feature, weight) => {
+    const hash = fnv1a(feature);
+    // Use one bit of the hash as a sign so collisions tend to cancel out
+    const sign = hash & 0x80000000 ? -1 : 1;
+    vector[hash % dimensions] += sign * weight;
+  };
+
+  const embedOne = (text) => {
+    const vector = new Array(dimensions).fill(0);
+    const words = tokenize(text);
+
+    for (const word of words) {
+      addFeature(vector, `w:${word}`, 1);
+
+      const padded = `#${word}#`;
+      for (let i = 0; i <= padded.length - 3; i++) {
+        addFeature(vector, `c:${padded.substring(i, i + 3)}`, 0.5);
+      }
+    }
+
+    return normalizeVector(vector);
+  };
+
+  return {
+    name: `local-hash-${dimensions}`,
+    dimensions,
+    embed: async (texts) => texts.map(embedOne),
+  };
+};
+
+/**
+ * Provider factories by name. Each factory receives { dimensions }.
+ */
+const providerFactories = {
+  local: createLocalProvider,
+};
+
+let activeProvider;
+
+/**
+ * registerEmbeddingProvider()
+ *
+ * WHAT: Registers an additional provider factory (e.g. a hosted model)
+ *
+ * CALLED BY: Application setup code
+ * INPUT: name (string), factory ({ dimensions }) => provider
+ */
+const registerEmbeddingProvider = (name, factory) => {
+  providerFactories[name] = factory;
+  activeProvider = undefined;
+};
+
+/**
+ * getEmbeddingProvider()
+ *
+ * WHAT: Returns the configured provider, or null if embeddings are disabled
+ *
+ * CALLED BY: Document processing, search and AI services
+ * OUTPUT: provider object or null
+ */
+const getEmbeddingProvider = () => {
+  if (activeProvider !== undefined) {
+    return activeProvider;
+  }
+
+  const providerName = (process.env.EMBEDDING_PROVIDER || 'local').toLowerCase();
+
+  if (providerName === 'none') {
+    activeProvider = null;
+    return activeProvider;
+  }
+
+  const factory = providerFactories[providerName];
+  if (!factory) {
+    logger.warn('Unknown embedding provider, semantic retrieval disabled', { provider: providerName });
+    activeProvider = null;
+    return activeProvider;
+  }
+
+  activeProvider = factory({
+    dimensions: parseInt(process.env.EMBEDDING_DIMENSIONS, 10) || DEFAULT_DIMENSIONS,
+  });
+
+  return activeProvider;
+};
+
+/**
+ * isEmbeddingEnabled()
+ */
+const isEmbeddingEnabled = () => getEmbeddingProvider() !== null;
+
+/**
+ * embedQuery()
+ *
+ * WHAT: Embeds a single search query or question
+ *
+ * CALLED BY: Search service, AI service
+ * INPUT: text
+ * OUTPUT: { vector, model } or null when embeddings are disabled or fail
+ */
+const embedQuery = async (text) => {
+  const provider = getEmbeddingProvider();
+  if (!provider || !text) return null;
+
+  try {
+    const [vector] = await provider.embed([text]);
+    return { vector, model: provider.name };
+  } catch (error) {
+    logger.warn('Failed to embed query', { error: error.message, provider: provider.name });
+    return null;
+  }
+};
+
+/**
+ * embedChunks()
+ *
+ * WHAT: Computes a vector for every chunk plus a document-level vector
+ *
+ * The document vector is the normalized mean of its chunk vectors. Search
+ * scans these small document vectors first and only loads the chunks of
+ * the closest documents.
+ *
+ * CALLED BY: DocumentService.processDocument()
+ * INPUT: chunks (array of { text, ... })
+ * OUTPUT: { chunks (with embedding), embedding, model } or null if disabled
+ */
+const embedChunks = async (chunks) => {
+  const provider = getEmbeddingProvider();
+  if (!provider || !chunks || chunks.length === 0) return null;
+
+  const vectors = await provider.embed(chunks.map((chunk) => chunk.text));
+
+  const centroid = new Array(provider.dimensions).fill(0);
+  vectors.forEach((vector) => {
+    vector.forEach((value, i) => {
+      centroid[i] += value;
+    });
+  });
+
+  return {
+    chunks: chunks.map((chunk, i) => ({ ...chunk, embedding: vectors[i] })),
+    embedding: normalizeVector(centroid),
+    model: provider.name,
+  };
+};
+
+/**
+ * cosineSimilarity()
+ *
+ * WHAT: Similarity between two vectors, from -1 (opposite) to 1 (identical)
+ */
+const cosineSimilarity = (a, b) => {
+  if (!a || !b || a.length === 0 || a.length !== b.length) return 0;
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  if (!normA || !normB) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+};
+
+/**
+ * getMinSimilarity()
+ *
+ * WHAT: Cosine threshold below which a vector-only match is ignored
+ * WHY: Every text is somewhat similar to every other text; without a floor
+ * hybrid search would return the whole knowledge base for any query.
+ */
+const getMinSimilarity = () => {
+  const value = parseFloat(process.env.EMBEDDING_MIN_SIMILARITY);
+  return Number.isFinite(value) ? value : 0.25;
+};
+
+module.exports = {
+  registerEmbeddingProvider,
+  getEmbeddingProvider,
+  isEmbeddingEnabled,
+  embedQuery,
+  embedChunks,
+  cosineSimilarity,
+  getMinSimilarity,
+};
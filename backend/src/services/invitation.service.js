@@ -0,0 +1,441 @@
+/**
+ * =============================================================================
+ * INVITATION SERVICE - INVITE MEMBERS BY EMAIL
+ * =============================================================================
+ *
+ * WHAT IS THIS FILE?
+ * Business logic for invitations (see models/Invitation.js):
+ * - Admins invite an email with a role and department
+ * - Admins list, resend (new link) and revoke invitations
+ * - The invited person opens the link and creates their account
+ *
+ * THE LINK:
+ * {FRONTEND_URL}/signup/employee?invite=<token>
+ *
+ * The token is random (32 bytes) and only its hash is stored. The link
+ * is emailed to the invited address (see the 'invitation' email
+ * template) and never shown to the admin, so whoever opens it has
+ * access to that mailbox - which is why an accepted invitation counts
+ * as a verified email.
+ *
+ * =============================================================================
+ */
+
+const { Invitation, Organization, User } = require('../models');
+const { AppError } = require('../middlewares/errorHandler');
+const logger = require('../utils/logger');
+const { createLinkToken, hashToken, buildFrontendUrl } = require('../utils/linkToken');
+const emailVerificationService = require('./emailVerification.service');
+const mailService = require('./mail.service');
+
+// How long a link works
+const INVITATION_EXPIRES_DAYS = parseInt(process.env.INVITATION_EXPIRES_DAYS) || 7;
+
+const INVITATION_STATUSES = ['pending', 'accepted', 'revoked', 'expired'];
+
+const INVALID_LINK_MESSAGE = 'This invitation link is invalid or has expired. Ask your administrator for a new one.';
+
+/**
+ * newLinkToken()
+ *
+ * WHAT: A fresh token with its hash and expiry date
+ * OUTPUT: { token, tokenHash, expiresAt }
+ */
+const newLinkToken = () => createLinkToken(INVITATION_EXPIRES_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * buildInvitationLink() - The signup page URL for a token
+ */
+const buildInvitationLink = (token) => buildFrontendUrl('/signup/employee', { invite: token });
+
+/**
+ * sendInvitationEmail()
+ *
+ * WHAT: Emails the link of an invitation to the invited address
+ *
+ * A mail server problem fails the request: the admin has no other way
+ * to get the link to the person. The invitation itself is kept, so it
+ * can be resent once mail works again.
+ *
+ * INPUT: invitation, organization, token, inviterId
+ */
+const sendInvitationEmail = async (invitation, organization, token, inviterId) => {
+  const inviter = await User.findById(inviterId).select('firstName lastName');
+  const role = organization.getRole(invitation.orgRole);
+
+  try {
+    await mailService.sendTemplate('invitation', invitation.email, {
+      organizationName: organization.name,
+      inviterName: inviter ? `${inviter.firstName} ${inviter.lastName}`.trim() : null,
+      roleName: role ? role.name : invitation.orgRole,
+      link: buildInvitationLink(token),
+      expiresInDays: INVITATION_EXPIRES_DAYS,
+    });
+  } catch (error) {
+    logger.error('Failed to send invitation email', { invitationId: invitation._id, error: error.message });
+    throw new AppError('The invitation email could not be sent. Try resending it later.', 502);
+  }
+
+  logger.info('Invitation email sent', { invitationId: invitation._id });
+};
+
+/**
+ * formatInvitation()
+ *
+ * WHAT: What the admin UI sees of an invitation (never the token hash)
+ */
+const formatInvitation = (invitation) => ({
+  id: invitation._id,
+  email: invitation.email,
+  orgRole: invitation.orgRole,
+  department: invitation.department,
+  status: invitation.status,
+  expiresAt: invitation.expiresAt,
+  sentCount: invitation.sentCount,
+  lastSentAt: invitation.lastSentAt,
+  acceptedAt: invitation.acceptedAt,
+  revokedAt: invitation.revokedAt,
+  invitedBy: invitation.invitedBy,
+  acceptedBy: invitation.acceptedBy,
+  createdAt: invitation.createdAt,
+});
+
+/**
+ * statusQuery() - MongoDB conditions for one invitation status
+ */
+const statusQuery = (status) => {
+  const now = new Date();
+  switch (status) {
+    case 'pending':
+      return { acceptedAt: null, revokedAt: null, expiresAt: { $gt: now } };
+    case 'accepted':
+      return { acceptedAt: { $ne: null } };
+    case 'revoked':
+      return { acceptedAt: null, revokedAt: { $ne: null } };
+    case 'expired':
+      return { acceptedAt: null, revokedAt: null, expiresAt: { $lte: now } };
+    default:
+      return {};
+  }
+};
+
+/**
+ * findOrganizationInvitation() - An invitation of the organization, or 404
+ */
+const findOrganizationInvitation = async (orgId, invitationId) => {
+  const invitation = await Invitation.findOne({ _id: invitationId, organization: orgId });
+
+  if (!invitation) {
+    throw new AppError('Invitation not found.', 404);
+  }
+
+  return invitation;
+};
+
+// =============================================================================
+// ADMIN OPERATIONS
+// =============================================================================
+
+/**
+ * createInvitation()
+ *
+ * WHAT: Invites one email address to the organization
+ *
+ * RULES:
+ * - The email must not belong to an account yet
+ * - One open invitation per email (resend it instead)
+ * - The role must exist in the organization (default: the org's default role)
+ *
+ * The link is emailed to the invited address (see sendInvitationEmail).
+ *
+ * CALLED BY: OrganizationController.createInvitation()
+ * INPUT: orgId, { email, orgRole, department }, inviterId
+ * OUTPUT: The invitation
+ */
+const createInvitation = async (orgId, { email, orgRole, department }, inviterId) => {
+  const organization = await Organization.findById(orgId);
+
+  if (!organization) {
+    throw new AppError('Organization not found.', 404);
+  }
+
+  const normalizedEmail = email.toLowerCase().trim();
+
+  const existingUser = await User.findOne({ email: normalizedEmail });
+  if (existingUser) {
+    throw new AppError('A user with this email already exists.', 400);
+  }
+
+  const openInvitation = await Invitation.findOne({
+    organization: orgId,
+    email: normalizedEmail,
+    ...statusQuery('pending'),
+  });
+  if (openInvitation) {
+    throw new AppError('This email already has a pending invitation. Resend it instead.', 400);
+  }
+
+  const roleKey = orgRole || organization.defaultRole;
+  if (!organization.getRole(roleKey)) {
+    throw new AppError('Invalid role specified.', 400);
+  }
+
+  const { token, tokenHash, expiresAt } = newLinkToken();
+
+  const invitation = await Invitation.create({
+    organization: orgId,
+    email: normalizedEmail,
+    orgRole: roleKey,
+    department: department || '',
+    invitedBy: inviterId,
+    tokenHash,
+    expiresAt,
+  });
+
+  logger.info('Invitation created', {
+    invitationId: invitation._id,
+    orgId,
+    invitedBy: inviterId,
+    role: roleKey,
+  });
+
+  await sendInvitationEmail(invitation, organization, token, inviterId);
+
+  return formatInvitation(invitation);
+};
+
+/**
+ * listInvitations()
+ *
+ * WHAT: The organization's invitations, newest first
+ *
+ * CALLED BY: OrganizationController.getInvitations()
+ * INPUT: orgId, { status } (optional: pending, accepted, revoked, expired)
+ * OUTPUT: Array of invitations (see formatInvitation)
+ */
+const listInvitations = async (orgId, { status } = {}) => {
+  const invitations = await Invitation.find({ organization: orgId, ...statusQuery(status) })
+    .populate('invitedBy', 'firstName lastName email')
+    .populate('acceptedBy', 'firstName lastName email')
+    .sort({ createdAt: -1 })
+    .limit(500);
+
+  return invitations.map(formatInvitation);
+};
+
+/**
+ * resendInvitation()
+ *
+ * WHAT: Emails a new link for an invitation
+ *
+ * The old link stops working and the expiry starts over. Expired
+ * invitations can be resent; accepted and revoked ones can't.
+ *
+ * CALLED BY: OrganizationController.resendInvitation()
+ * INPUT: orgId, invitationId, userId (who resent it)
+ * OUTPUT: The invitation
+ */
+const resendInvitation = async (orgId, invitationId, userId) => {
+  const invitation = await findOrganizationInvitation(orgId, invitationId);
+
+  if (invitation.acceptedAt) {
+    throw new AppError('This invitation has already been accepted.', 400);
+  }
+  if (invitation.revokedAt) {
+    throw new AppError('This invitation was revoked. Create a new invitation instead.', 400);
+  }
+
+  const organization = await Organization.findById(orgId);
+  if (!organization) {
+    throw new AppError('Organization not found.', 404);
+  }
+
+  const { token, tokenHash, expiresAt } = newLinkToken();
+  invitation.tokenHash = tokenHash;
+  invitation.expiresAt = expiresAt;
+  invitation.sentCount += 1;
+  invitation.lastSentAt = new Date();
+  await invitation.save();
+
+  logger.info('Invitation resent', {
+    invitationId: invitation._id,
+    orgId,
+    resentBy: userId,
+  });
+
+  await sendInvitationEmail(invitation, organization, token, userId);
+
+  return formatInvitation(invitation);
+};
+
+/**
+ * revokeInvitation()
+ *
+ * WHAT: Stops an invitation link from working
+ *
+ * CALLED BY: OrganizationController.revokeInvitation()
+ * INPUT: orgId, invitationId, userId (who revoked it)
+ * OUTPUT: The revoked invitation
+ */
+const revokeInvitation = async (orgId, invitationId, userId) => {
+  const invitation = await findOrganizationInvitation(orgId, invitationId);
+
+  if (invitation.acceptedAt) {
+    throw new AppError('This invitation has already been accepted.', 400);
+  }
+
+  if (!invitation.revokedAt) {
+    invitation.revokedAt = new Date();
+    await invitation.save();
+
+    logger.info('Invitation revoked', {
+      invitationId: invitation._id,
+      orgId,
+      revokedBy: userId,
+    });
+  }
+
+  return formatInvitation(invitation);
+};
+
+// =============================================================================
+// SIGNUP WITH AN INVITATION
+// =============================================================================
+
+/**
+ * getInvitationByToken()
+ *
+ * WHAT: What the signup page shows for an invitation link
+ *
+ * WHY?
+ * The page fills in the email and shows which organization and role
+ * the person is joining before they choose a password.
+ *
+ * CALLED BY: AuthController.getInvitation()
+ * INPUT: token (from the link)
+ * OUTPUT: { email, department, orgRole, roleName, organization: { name }, expiresAt }
+ */
+const getInvitationByToken = async (token) => {
+  const invitation = await Invitation.findOne({
+    tokenHash: hashToken(token),
+    ...statusQuery('pending'),
+  }).populate('organization', 'name isActive roles');
+
+  if (!invitation || !invitation.organization?.isActive) {
+    throw new AppError(INVALID_LINK_MESSAGE, 404);
+  }
+
+  const role = invitation.organization.getRole(invitation.orgRole);
+
+  return {
+    email: invitation.email,
+    department: invitation.department,
+    orgRole: invitation.orgRole,
+    roleName: role ? role.name : invitation.orgRole,
+    organization: { name: invitation.organization.name },
+    expiresAt: invitation.expiresAt,
+  };
+};
+
+/**
+ * acceptInvitation()
+ *
+ * WHAT: Creates the account of an invited person
+ *
+ * FLOW:
+ * 1. Claim the invitation - one atomic update, so the same link can't
+ *    create two accounts even when submitted twice at once
+ * 2. Check the organization (active, user limit) and the email
+ * 3. Create the user with the invitation's email, role and department
+ * 4. If anything fails, release the invitation so the link still works
+ *
+ * The email always comes from the invitation - the link can't be used
+ * to create an account for a different address. The link was only
+ * emailed to that address, so opening it verifies the email.
+ *
+ * CALLED BY: AuthService.registerEmployee()
+ * INPUT: token, userData { firstName, lastName, password, department }
+ * OUTPUT: { user, organization }
+ */
+const acceptInvitation = async (token, userData) => {
+  const invitation = await Invitation.findOneAndUpdate(
+    { tokenHash: hashToken(token), ...statusQuery('pending') },
+    { acceptedAt: new Date() },
+    { new: true }
+  );
+
+  if (!invitation) {
+    throw new AppError(INVALID_LINK_MESSAGE, 400);
+  }
+
+  try {
+    const organization = await Organization.findById(invitation.organization);
+
+    if (!organization || !organization.isActive) {
+      throw new AppError('This organization is not accepting new members.', 403);
+    }
+
+    const maxUsers = organization.settings?.maxUsers ?? 0;
+    const userCount = organization.stats?.userCount ?? 0;
+    if (maxUsers > 0 && userCount >= maxUsers) {
+      throw new AppError('Organization has reached maximum user limit.', 403);
+    }
+
+    const existingUser = await User.findOne({ email: invitation.email });
+    if (existingUser) {
+      throw new AppError('A user with this email already exists.', 400);
+    }
+
+    // The role may have been deleted since the invitation was sent
+    const orgRole = organization.getRole(invitation.orgRole)
+      ? invitation.orgRole
+      : organization.defaultRole;
+
+    const user = new User({
+      firstName: userData.firstName,
+      lastName: userData.lastName,
+      email: invitation.email,
+      password: userData.password,
+      department: invitation.department || userData.department || 'General',
+      organization: organization._id,
+      orgRole,
+      privileges: [],
+      isOrgAdmin: false,
+    });
+    emailVerificationService.markVerified(user);
+    await user.save();
+
+    invitation.acceptedBy = user._id;
+    await invitation.save();
+
+    await organization.updateStats({
+      userCount: userCount + 1,
+    });
+
+    logger.info('Invitation accepted', {
+      invitationId: invitation._id,
+      userId: user._id,
+      orgId: organization._id,
+      role: orgRole,
+    });
+
+    return { user, organization };
+  } catch (error) {
+    await Invitation.updateOne({ _id: invitation._id }, { acceptedAt: null });
+    throw error;
+  }
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  INVITATION_STATUSES,
+  createInvitation,
+  listInvitations,
+  resendInvitation,
+  revokeInvitation,
+  getInvitationByToken,
+  acceptInvitation,
+};
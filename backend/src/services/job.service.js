@@ -0,0 +1,447 @@
+/**
+ * =============================================================================
+ * JOB SERVICE - MONGO-BACKED BACKGROUND JOB QUEUE
+ * =============================================================================
+ *
+ * WHAT IS THIS FILE?
+ * A small persistent job queue on top of the Job collection:
+ * - enqueueJob(): add work
+ * - startWorker(): poll for work and run it, a few jobs at a time
+ * - retries with exponential backoff, then a dead-letter state
+ * - admin helpers to list and retry jobs
+ *
+ * WHY NOT JUST CALL THE FUNCTION IN THE BACKGROUND?
+ * An in-process promise is lost when the server restarts, and nothing
+ * retries it when it fails. A job record survives both.
+ *
+ * HANDLERS:
+ * Other services register what a job type does:
+ *   registerJobHandler('document.process', async (payload, job) => { ... });
+ * A handler succeeds by returning and fails by throwing. Throw an error
+ * with `retryable = false` (or an AppError with a 4xx status) to skip
+ * the remaining attempts.
+ *
+ * An optional `onDead(payload, job)` runs once a job of that type gives
+ * up - after its last attempt, or when its worker died on the last one -
+ * so the service can mark what the job was working on as failed:
+ *   registerJobHandler('document.process', run, { onDead: markFailed });
+ *
+ * LOCKS:
+ * A running job is locked by its worker. The worker refreshes lockedAt
+ * while the handler runs, so only a job whose worker is really gone
+ * looks abandoned. The outcome is only written while the worker still
+ * holds the lock - a recovered job belongs to whoever runs it next.
+ *
+ * CONFIGURATION (environment):
+ * - JOB_CONCURRENCY: jobs run at the same time per server (default 2)
+ * - JOB_POLL_INTERVAL_MS: how often an idle worker checks for work (2000)
+ * - JOB_RETRY_BASE_MS: first retry delay, doubled on every attempt (5000)
+ * - JOB_LOCK_TIMEOUT_MS: a running job whose lock wasn't refreshed for
+ *   this long is considered abandoned and queued again (600000 =
+ *   10 minutes)
+ *
+ * =============================================================================
+ */
+
+const os = require('os');
+const { Job } = require('../models');
+const { AppError } = require('../middlewares/errorHandler');
+const logger = require('../utils/logger');
+const { escapeRegex } = require('../utils/escapeRegex');
+
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+const ABANDONED_ERROR = 'Worker stopped before the job finished';
+
+const readNumber = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+// type -> { run, onDead }
+const handlers = new Map();
+
+// Identifies this process in lockedBy, e.g. "api-1:4121"
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+/**
+ * registerJobHandler()
+ *
+ * WHAT: Declares the function that runs jobs of a given type
+ *
+ * CALLED BY: Services at load time (e.g. document.service)
+ * INPUT: type (string), handler (payload, job) => Promise,
+ *        options { onDead: (payload, job) => Promise }
+ */
+const registerJobHandler = (type, handler, { onDead = null } = {}) => {
+  handlers.set(type, { run: handler, onDead });
+};
+
+/**
+ * enqueueJob()
+ *
+ * WHAT: Adds a job to the queue
+ *
+ * CALLED BY: DocumentService (upload, summary regeneration, startup sweep)
+ * INPUT: type, payload, options { organization, maxAttempts, runAt }
+ * OUTPUT: Created job
+ */
+const enqueueJob = async (type, payload = {}, options = {}) => {
+  const job = await Job.create({
+    type,
+    payload,
+    organization: options.organization || null,
+    maxAttempts: options.maxAttempts || 5,
+    runAt: options.runAt || new Date(),
+  });
+
+  logger.debug('Job enqueued', { jobId: job._id, type });
+  return job;
+};
+
+/**
+ * getRetryDelay()
+ *
+ * WHAT: Exponential backoff - base, 2x base, 4x base, ... capped at 1 hour
+ */
+const getRetryDelay = (attempts) => {
+  const base = readNumber('JOB_RETRY_BASE_MS', 5000);
+  return Math.min(base * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_DELAY_MS);
+};
+
+const getLockTimeout = () => readNumber('JOB_LOCK_TIMEOUT_MS', 10 * 60 * 1000);
+
+/**
+ * isRetryable()
+ *
+ * WHAT: Whether another attempt could succeed
+ * WHY: "Unsupported file type" will fail the same way every time
+ */
+const isRetryable = (error) => {
+  if (error.retryable === false) return false;
+  if (error instanceof AppError && error.statusCode < 500) return false;
+  return true;
+};
+
+/**
+ * claimNextJob()
+ *
+ * WHAT: Atomically takes the oldest runnable job
+ *
+ * findOneAndUpdate guarantees that two workers (even on different
+ * servers) never claim the same job.
+ */
+const claimNextJob = async () => {
+  const now = new Date();
+
+  return await Job.findOneAndUpdate(
+    {
+      status: 'queued',
+      runAt: { $lte: now },
+      type: { $in: Array.from(handlers.keys()) },
+    },
+    {
+      $set: { status: 'running', lockedBy: WORKER_ID, lockedAt: now },
+      $inc: { attempts: 1 },
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+/**
+ * notifyDead()
+ *
+ * WHAT: Runs the onDead hook of a job that gave up
+ *
+ * A failing hook is only logged - the job is dead either way.
+ */
+const notifyDead = async (job) => {
+  const onDead = handlers.get(job.type)?.onDead;
+  if (!onDead) return;
+
+  try {
+    await onDead(job.payload || {}, job);
+  } catch (error) {
+    logger.error('Job onDead handler failed', { jobId: job._id, type: job.type, error: error.message });
+  }
+};
+
+/**
+ * runJob()
+ *
+ * WHAT: Runs one claimed job and records the outcome
+ *
+ * Every claim increments `attempts`, so { lockedBy, attempts } identifies
+ * this run: if recovery re-queued the job (and maybe another worker
+ * claimed it) the heartbeat and the final update match nothing.
+ */
+const runJob = async (job) => {
+  const { run } = handlers.get(job.type);
+  const ownLock = { _id: job._id, status: 'running', lockedBy: WORKER_ID, attempts: job.attempts };
+
+  // Heartbeat - keep the lock fresh while the handler runs
+  const heartbeat = setInterval(() => {
+    Job.updateOne(ownLock, { $set: { lockedAt: new Date() } }).catch((error) => {
+      logger.warn('Failed to refresh job lock', { jobId: job._id, error: error.message });
+    });
+  }, Math.max(Math.floor(getLockTimeout() / 4), 1000));
+  heartbeat.unref();
+
+  const lockLost = () => {
+    logger.warn('Job lock lost before the job finished, outcome discarded', { jobId: job._id, type: job.type });
+  };
+
+  try {
+    await run(job.payload || {}, job);
+    clearInterval(heartbeat);
+
+    const { matchedCount } = await Job.updateOne(
+      ownLock,
+      {
+        $set: {
+          status: 'completed',
+          completedAt: new Date(),
+          lockedBy: null,
+          lockedAt: null,
+          lastError: null,
+        },
+      }
+    );
+
+    if (matchedCount === 0) {
+      lockLost();
+      return;
+    }
+
+    logger.info('Job completed', { jobId: job._id, type: job.type, attempts: job.attempts });
+  } catch (error) {
+    clearInterval(heartbeat);
+
+    const giveUp = job.attempts >= job.maxAttempts || !isRetryable(error);
+    const update = {
+      status: giveUp ? 'dead' : 'queued',
+      lockedBy: null,
+      lockedAt: null,
+      lastError: error.message,
+    };
+
+    if (!giveUp) {
+      update.runAt = new Date(Date.now() + getRetryDelay(job.attempts));
+    }
+
+    const { matchedCount } = await Job.updateOne(ownLock, { $set: update });
+
+    if (matchedCount === 0) {
+      lockLost();
+      return;
+    }
+
+    logger[giveUp ? 'error' : 'warn'](giveUp ? 'Job failed permanently' : 'Job failed, will retry', {
+      jobId: job._id,
+      type: job.type,
+      attempts: job.attempts,
+      error: error.message,
+      retryAt: update.runAt,
+    });
+
+    if (giveUp) {
+      job.lastError = error.message;
+      await notifyDead(job);
+    }
+  }
+};
+
+/**
+ * recoverAbandonedJobs()
+ *
+ * WHAT: Queues 'running' jobs whose worker is gone
+ *
+ * - Jobs locked by an earlier process on this same host are recovered
+ *   right away (that process was restarted, it won't finish them).
+ * - Jobs whose lock wasn't refreshed for JOB_LOCK_TIMEOUT_MS are
+ *   recovered on any host (a live worker refreshes it, see runJob()).
+ *
+ * The interrupted run counts as an attempt, so a job that crashes the
+ * server every time still ends up dead - and its onDead hook runs.
+ *
+ * CALLED BY: startWorker() at startup and periodically
+ * OUTPUT: Number of recovered jobs
+ */
+const recoverAbandonedJobs = async ({ atStartup = false } = {}) => {
+  const conditions = [{ lockedAt: { $lt: new Date(Date.now() - getLockTimeout()) } }];
+
+  if (atStartup) {
+    const hostPrefix = `${os.hostname()}:`;
+    conditions.push({
+      lockedBy: { $regex: `^${escapeRegex(hostPrefix)}`, $ne: WORKER_ID },
+    });
+  }
+
+  const abandoned = await Job.find({ status: 'running', $or: conditions })
+    .select('type payload organization attempts maxAttempts lockedBy lockedAt');
+
+  for (const job of abandoned) {
+    const giveUp = job.attempts >= job.maxAttempts;
+    // Only if nobody touched the job since we looked at it
+    const { matchedCount } = await Job.updateOne(
+      { _id: job._id, status: 'running', lockedBy: job.lockedBy, lockedAt: job.lockedAt },
+      {
+        $set: {
+          status: giveUp ? 'dead' : 'queued',
+          runAt: new Date(),
+          lockedBy: null,
+          lockedAt: null,
+          lastError: ABANDONED_ERROR,
+        },
+      }
+    );
+
+    if (giveUp && matchedCount > 0) {
+      job.lastError = ABANDONED_ERROR;
+      await notifyDead(job);
+    }
+  }
+
+  if (abandoned.length > 0) {
+    logger.warn('Recovered abandoned jobs', { count: abandoned.length });
+  }
+
+  return abandoned.length;
+};
+
+/**
+ * startWorker()
+ *
+ * WHAT: Starts the polling loop that runs queued jobs
+ *
+ * At most `concurrency` jobs run at once. When the queue is empty the
+ * worker sleeps for `pollInterval` before looking again.
+ *
+ * CALLED BY: server.js after the database connection is up
+ * OUTPUT: { stop } - stop() resolves once running jobs have finished
+ */
+const startWorker = ({
+  concurrency = readNumber('JOB_CONCURRENCY', 2),
+  pollInterval = readNumber('JOB_POLL_INTERVAL_MS', 2000),
+} = {}) => {
+  const running = new Set();
+  let stopped = false;
+  let timer = null;
+  let lastRecovery = 0;
+
+  const schedule = (delay) => {
+    if (stopped) return;
+    clearTimeout(timer);
+    timer = setTimeout(tick, delay);
+  };
+
+  const tick = async () => {
+    try {
+      // Periodically pick up jobs whose worker died
+      if (Date.now() - lastRecovery > pollInterval * 30) {
+        lastRecovery = Date.now();
+        await recoverAbandonedJobs();
+      }
+
+      while (!stopped && running.size < concurrency) {
+        const job = await claimNextJob();
+        if (!job) break;
+
+        const promise = runJob(job).finally(() => {
+          running.delete(promise);
+          schedule(0); // A slot is free - look for more work
+        });
+        running.add(promise);
+      }
+    } catch (error) {
+      logger.error('Job worker error', { error: error.message });
+    }
+
+    schedule(pollInterval);
+  };
+
+  recoverAbandonedJobs({ atStartup: true })
+    .catch((error) => logger.error('Failed to recover jobs at startup', { error: error.message }))
+    .finally(() => {
+      lastRecovery = Date.now();
+      schedule(0);
+    });
+
+  logger.info('Job worker started', { workerId: WORKER_ID, concurrency });
+
+  return {
+    stop: async () => {
+      stopped = true;
+      clearTimeout(timer);
+      await Promise.allSettled(Array.from(running));
+      logger.info('Job worker stopped', { workerId: WORKER_ID });
+    },
+  };
+};
+
+/**
+ * listJobs()
+ *
+ * WHAT: Jobs of an organization, newest first (admin view)
+ *
+ * CALLED BY: JobController.listJobs()
+ * INPUT: organizationId, { status, type, page, limit }
+ * OUTPUT: { jobs, total, page, pages }
+ */
+const listJobs = async (organizationId, { status, type, page = 1, limit = 20 } = {}) => {
+  const filter = { organization: organizationId };
+  if (status) filter.status = status;
+  if (type) filter.type = type;
+
+  const [jobs, total] = await Promise.all([
+    Job.find(filter)
+      .sort({ updatedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select('-__v'),
+    Job.countDocuments(filter),
+  ]);
+
+  return {
+    jobs,
+    total,
+    page,
+    pages: Math.ceil(total / limit),
+  };
+};
+
+/**
+ * retryJob()
+ *
+ * WHAT: Puts a dead job back in the queue with fresh attempts
+ *
+ * CALLED BY: JobController.retryJob()
+ */
+const retryJob = async (jobId, organizationId) => {
+  const job = await Job.findOne({ _id: jobId, organization: organizationId });
+
+  if (!job) {
+    throw new AppError('Job not found.', 404);
+  }
+
+  if (job.status !== 'dead') {
+    throw new AppError('Only failed jobs can be retried.', 400);
+  }
+
+  job.status = 'queued';
+  job.attempts = 0;
+  job.runAt = new Date();
+  job.lastError = null;
+  await job.save();
+
+  logger.info('Job queued for retry', { jobId: job._id, type: job.type });
+  return job;
+};
+
+module.exports = {
+  registerJobHandler,
+  enqueueJob,
+  startWorker,
+  recoverAbandonedJobs,
+  listJobs,
+  retryJob,
+};
@@ -0,0 +1,438 @@
+/**
+ * =============================================================================
+ * KNOWLEDGE GAP SERVICE - WHAT EMPLOYEES ASK THAT THE DOCUMENTS DON'T ANSWER
+ * =============================================================================
+ *
+ * WHAT IS THIS FILE?
+ * Builds the knowledge-gap report from the query log:
+ * 1. Collect failed queries of the organization
+ * 2. Group similar queries into clusters
+ * 3. Rank clusters by how often they failed and how many departments
+ *    they affect
+ * 4. Attach what admins decided (owner, resolved) from KnowledgeGap
+ *
+ * WHAT COUNTS AS A FAILED QUERY?
+ * - A search or question that returned nothing (resultCount: 0)
+ * - An answer rated "not helpful" or "incorrect"
+ * - An answer where the AI said it couldn't find the information
+ *   (the phrase QA_SYSTEM_PROMPT in ai.service.js asks for)
+ *
+ * CLUSTERING:
+ * Each query is reduced to a signature: its significant words, lightly
+ * stemmed and sorted ("Vacation policies?" → "polici vacation").
+ * Queries with the same signature are the same question; signatures whose
+ * words overlap enough (Jaccard ≥ CLUSTER_SIMILARITY) join the cluster of
+ * the most frequent one. Simple, but it needs no AI calls and handles the
+ * typical "vacation days" / "how many vacation days" variations.
+ *
+ * =============================================================================
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { QueryLog, KnowledgeGap, User, Document } = require('../models');
+const { AppError } = require('../middlewares/errorHandler');
+const logger = require('../utils/logger');
+
+const DEFAULT_RANGE_DAYS = 90;
+const MAX_RANGE_DAYS = 731; // Two years, like the analytics reports
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Minimum word overlap for two signatures to share a cluster
+const CLUSTER_SIMILARITY = 0.5;
+// Distinct (query, department) rows read from the log - bounds the work per report
+const MAX_FAILED_ROWS = 5000;
+// Example queries returned per cluster
+const SAMPLE_QUERIES = 5;
+
+/**
+ * The AI is told to answer exactly "I couldn't find information about this
+ * in the available documents." - models don't always copy it verbatim.
+ */
+const NO_ANSWER_PATTERN = "couldn['’]t find (any )?information";
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'of', 'to', 'in', 'on', 'at', 'for', 'by',
+  'with', 'about', 'from', 'is', 'are', 'was', 'were', 'be', 'been', 'do',
+  'does', 'did', 'can', 'could', 'should', 'would', 'will', 'i', 'we', 'you',
+  'my', 'our', 'your', 'me', 'us', 'it', 'its', 'this', 'that', 'there',
+  'what', 'which', 'who', 'whom', 'how', 'when', 'where', 'why', 'much',
+  'many', 'any', 'some', 'get', 'have', 'has', 'please', 'tell', 'find',
+  'show', 'need', 'know', 'if', 'as', 'not', 'no',
+]);
+
+/**
+ * stem()
+ *
+ * WHAT: Strips common English endings so "policies" and "policy" match
+ *
+ * Deliberately crude - both forms only need to end up the same,
+ * not as a real word.
+ */
+const stem = (word) => {
+  if (word.length > 4) {
+    if (word.endsWith('ies')) return `${word.slice(0, -3)}i`;
+    if (word.endsWith('y')) return `${word.slice(0, -1)}i`;
+    if (word.endsWith('ing') && word.length > 5) return word.slice(0, -3);
+    if (word.endsWith('ed') && word.length > 5) return word.slice(0, -2);
+    if (/(ss|sh|ch|x)es$/.test(word)) return word.slice(0, -2);
+  }
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+};
+
+/**
+ * signatureOf()
+ *
+ * WHAT: Normalized, order-independent form of a query
+ *
+ * EXAMPLE: "How many vacation days do I get?" → "day vacation"
+ * Queries made only of stop words keep their lowercased text.
+ */
+const signatureOf = (query) => {
+  const normalized = query.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+  const terms = [...new Set(
+    normalized
+      .split(' ')
+      .filter((word) => word.length > 1 && !STOP_WORDS.has(word))
+      .map(stem)
+  )].sort();
+
+  return terms.length > 0 ? terms.join(' ') : normalized;
+};
+
+const clusterKey = (signature) => crypto.createHash('sha1').update(signature).digest('hex').slice(0, 16);
+
+const jaccard = (a, b) => {
+  let shared = 0;
+  a.forEach((term) => {
+    if (b.has(term)) shared += 1;
+  });
+  return shared / (a.size + b.size - shared);
+};
+
+/**
+ * resolveRange()
+ *
+ * WHAT: Turns optional from/to query values into a date range
+ * (default: the last 90 days - gaps build up slower than traffic)
+ */
+const resolveRange = ({ from, to } = {}) => {
+  const endDate = to ? new Date(to) : new Date();
+  const startDate = from ? new Date(from) : new Date(endDate.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+
+  if (startDate > endDate) {
+    throw new AppError('The start date must be before the end date.', 400);
+  }
+
+  if (endDate - startDate > MAX_RANGE_DAYS * DAY_MS) {
+    throw new AppError('The report covers at most two years at a time.', 400);
+  }
+
+  return { startDate, endDate };
+};
+
+/**
+ * getFailedQueries()
+ *
+ * WHAT: Failed queries grouped by text and department
+ *
+ * OUTPUT: [{ query, department, count, users, noResults, notHelpful,
+ *            incorrect, noAnswer, firstAsked, lastAsked }]
+ */
+const getFailedQueries = async (organizationId, { startDate, endDate }) => {
+  const noAnswer = {
+    $and: [
+      { $eq: ['$queryType', 'question'] },
+      { $regexMatch: { input: { $ifNull: ['$response', ''] }, regex: NO_ANSWER_PATTERN, options: 'i' } },
+    ],
+  };
+
+  return await QueryLog.aggregate([
+    {
+      $match: {
+        organization: new mongoose.Types.ObjectId(organizationId),
+        createdAt: { $gte: startDate, $lte: endDate },
+        queryType: { $in: ['search', 'question'] },
+        status: 'success',
+        $or: [
+          { resultCount: 0 },
+          { feedback: { $in: ['not_helpful', 'incorrect'] } },
+          { queryType: 'question', response: { $regex: NO_ANSWER_PATTERN, $options: 'i' } },
+        ],
+      },
+    },
+    {
+      $group: {
+        _id: { query: { $toLower: '$query' }, department: '$userDepartment' },
+        count: { $sum: 1 },
+        users: { $addToSet: '$user' },
+        noResults: { $sum: { $cond: [{ $eq: ['$resultCount', 0] }, 1, 0] } },
+        notHelpful: { $sum: { $cond: [{ $eq: ['$feedback', 'not_helpful'] }, 1, 0] } },
+        incorrect: { $sum: { $cond: [{ $eq: ['$feedback', 'incorrect'] }, 1, 0] } },
+        noAnswer: { $sum: { $cond: [noAnswer, 1, 0] } },
+        firstAsked: { $min: '$createdAt' },
+        lastAsked: { $max: '$createdAt' },
+      },
+    },
+    { $sort: { count: -1 } },
+    { $limit: MAX_FAILED_ROWS },
+  ]);
+};
+
+/**
+ * buildClusters()
+ *
+ * WHAT: Groups failed-query rows into clusters of similar queries
+ *
+ * HOW:
+ * 1. Merge rows with the same signature
+ * 2. Most frequent signature first: join the first cluster whose seed is
+ *    similar enough, otherwise start a new cluster
+ *
+ * OUTPUT: Unranked clusters with plain counters (users as a Set)
+ */
+const buildClusters = (rows) => {
+  const bySignature = new Map();
+
+  rows.forEach((row) => {
+    const signature = signatureOf(row._id.query);
+    let group = bySignature.get(signature);
+
+    if (!group) {
+      group = {
+        signature,
+        terms: new Set(signature.split(' ')),
+        count: 0,
+        queries: new Map(),
+        departments: new Map(),
+        users: new Set(),
+        reasons: { noResults: 0, notHelpful: 0, incorrect: 0, noAnswer: 0 },
+        firstAsked: row.firstAsked,
+        lastAsked: row.lastAsked,
+      };
+      bySignature.set(signature, group);
+    }
+
+    const department = row._id.department || 'unknown';
+    group.count += row.count;
+    group.queries.set(row._id.query, (group.queries.get(row._id.query) || 0) + row.count);
+    group.departments.set(department, (group.departments.get(department) || 0) + row.count);
+    row.users.forEach((user) => group.users.add(user.toString()));
+    Object.keys(group.reasons).forEach((reason) => {
+      group.reasons[reason] += row[reason];
+    });
+    if (row.firstAsked < group.firstAsked) group.firstAsked = row.firstAsked;
+    if (row.lastAsked > group.lastAsked) group.lastAsked = row.lastAsked;
+  });
+
+  const clusters = [];
+
+  [...bySignature.values()]
+    .sort((a, b) => b.count - a.count)
+    .forEach((group) => {
+      const cluster = clusters.find((candidate) => jaccard(candidate.seedTerms, group.terms) >= CLUSTER_SIMILARITY);
+
+      if (!cluster) {
+        clusters.push({
+          key: clusterKey(group.signature),
+          seedTerms: group.terms,
+          signatures: [group.signature],
+          count: group.count,
+          queries: new Map(group.queries),
+          departments: new Map(group.departments),
+          users: new Set(group.users),
+          reasons: { ...group.reasons },
+          firstAsked: group.firstAsked,
+          lastAsked: group.lastAsked,
+        });
+        return;
+      }
+
+      cluster.signatures.push(group.signature);
+      cluster.count += group.count;
+      group.queries.forEach((count, query) => cluster.queries.set(query, (cluster.queries.get(query) || 0) + count));
+      group.departments.forEach((count, name) => cluster.departments.set(name, (cluster.departments.get(name) || 0) + count));
+      group.users.forEach((user) => cluster.users.add(user));
+      Object.keys(cluster.reasons).forEach((reason) => {
+        cluster.reasons[reason] += group.reasons[reason];
+      });
+      if (group.firstAsked < cluster.firstAsked) cluster.firstAsked = group.firstAsked;
+      if (group.lastAsked > cluster.lastAsked) cluster.lastAsked = group.lastAsked;
+    });
+
+  return clusters;
+};
+
+/**
+ * findRecord()
+ *
+ * WHAT: The saved KnowledgeGap that belongs to a cluster, if any
+ *
+ * Matches the cluster key first, then any shared signature
+ * (the cluster may have a different seed than when it was saved).
+ */
+const findRecord = (cluster, records) => {
+  return records.find((record) => record.key === cluster.key)
+    || records.find((record) => record.signatures.some((signature) => cluster.signatures.includes(signature)));
+};
+
+const formatUser = (user) => (user ? {
+  id: user._id,
+  name: `${user.firstName} ${user.lastName}`.trim(),
+  email: user.email,
+} : null);
+
+/**
+ * getKnowledgeGaps()
+ *
+ * WHAT: The knowledge-gap report of an organization
+ *
+ * RANKING:
+ * Most failed queries first; on a tie, the cluster that affects more
+ * departments first (a gap the whole company hits beats a niche one).
+ *
+ * RESOLVED CLUSTERS:
+ * Stay in the report (status filter). recurring: true means the queries
+ * kept failing after the cluster was marked resolved.
+ *
+ * CALLED BY: OrganizationController.getKnowledgeGaps()
+ * INPUT: organizationId, { from, to, status: 'open' | 'resolved' | 'all', limit }
+ * OUTPUT: { range, total, gaps: [{ key, label, count, users, departments,
+ *           reasons, queries, signatures, firstAsked, lastAsked, status,
+ *           owner, note, resolvedAt, resolvedBy, resolvedDocument, recurring }] }
+ */
+const getKnowledgeGaps = async (organizationId, query = {}) => {
+  const range = resolveRange(query);
+  const status = query.status || 'open';
+  const limit = query.limit || 25;
+
+  const [rows, records] = await Promise.all([
+    getFailedQueries(organizationId, range),
+    KnowledgeGap.find({ organization: organizationId })
+      .populate('owner', 'firstName lastName email')
+      .populate('resolvedBy', 'firstName lastName email')
+      .populate('resolvedDocument', 'title'),
+  ]);
+
+  const gaps = buildClusters(rows)
+    .map((cluster) => {
+      const record = findRecord(cluster, records);
+      const queries = [...cluster.queries.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .map(([text, count]) => ({ query: text, count }));
+
+      return {
+        key: record ? record.key : cluster.key,
+        label: queries[0].query,
+        count: cluster.count,
+        users: cluster.users.size,
+        departments: [...cluster.departments.entries()]
+          .sort((a, b) => b[1] - a[1])
+          .map(([name, count]) => ({ name, count })),
+        reasons: cluster.reasons,
+        queries: queries.slice(0, SAMPLE_QUERIES),
+        totalQueries: queries.length,
+        signatures: cluster.signatures,
+        firstAsked: cluster.firstAsked,
+        lastAsked: cluster.lastAsked,
+        status: record ? record.status : 'open',
+        owner: formatUser(record?.owner),
+        note: record?.note || '',
+        resolvedAt: record?.resolvedAt || null,
+        resolvedBy: formatUser(record?.resolvedBy),
+        resolvedDocument: record?.resolvedDocument
+          ? { id: record.resolvedDocument._id, title: record.resolvedDocument.title }
+          : null,
+        recurring: record?.status === 'resolved' && cluster.lastAsked > record.resolvedAt,
+      };
+    })
+    .filter((gap) => status === 'all' || gap.status === status)
+    .sort((a, b) => b.count - a.count || b.departments.length - a.departments.length);
+
+  return {
+    range: { from: range.startDate, to: range.endDate },
+    total: gaps.length,
+    gaps: gaps.slice(0, limit),
+  };
+};
+
+/**
+ * updateKnowledgeGap()
+ *
+ * WHAT: Assigns an owner, resolves or reopens a cluster
+ *
+ * The record is created on the first update. The client sends the
+ * cluster's label and signatures from the report; new signatures are
+ * added, so the record keeps matching as the cluster grows.
+ *
+ * CALLED BY: OrganizationController.updateKnowledgeGap()
+ * INPUT: organizationId, key, updates { label, signatures, ownerId,
+ *        status, documentId, note }, userId (who made the change)
+ * OUTPUT: The saved record
+ * THROWS: AppError 400 for owners/documents outside the organization
+ */
+const updateKnowledgeGap = async (organizationId, key, updates, userId) => {
+  const { label, signatures = [], ownerId, status, documentId, note } = updates;
+
+  let gap = await KnowledgeGap.findOne({ organization: organizationId, key });
+
+  if (!gap) {
+    if (!label || signatures.length === 0) {
+      throw new AppError('Knowledge gap not found. Reload the report and try again.', 404);
+    }
+    gap = new KnowledgeGap({ organization: organizationId, key, label, signatures: [] });
+  }
+
+  signatures.forEach((signature) => {
+    if (!gap.signatures.includes(signature)) gap.signatures.push(signature);
+  });
+  if (label) gap.label = label;
+
+  if (ownerId !== undefined) {
+    if (ownerId) {
+      const owner = await User.findOne({ _id: ownerId, organization: organizationId, isActive: true });
+      if (!owner) {
+        throw new AppError('The owner must be an active member of your organization.', 400);
+      }
+    }
+    gap.owner = ownerId || null;
+  }
+
+  if (documentId !== undefined) {
+    if (documentId) {
+      const document = await Document.findOne({ _id: documentId, organization: organizationId });
+      if (!document) {
+        throw new AppError('Document not found in your organization.', 400);
+      }
+    }
+    gap.resolvedDocument = documentId || null;
+  }
+
+  if (note !== undefined) {
+    gap.note = note;
+  }
+
+  if (status && status !== gap.status) {
+    gap.status = status;
+    gap.resolvedAt = status === 'resolved' ? new Date() : null;
+    gap.resolvedBy = status === 'resolved' ? userId : null;
+    if (status === 'open' && documentId === undefined) {
+      gap.resolvedDocument = null;
+    }
+  }
+
+  await gap.save();
+
+  logger.info('Knowledge gap updated', { organizationId, key, status: gap.status, userId });
+
+  return await KnowledgeGap.findById(gap._id)
+    .populate('owner', 'firstName lastName email')
+    .populate('resolvedBy', 'firstName lastName email')
+    .populate('resolvedDocument', 'title');
+};
+
+module.exports = {
+  getKnowledgeGaps,
+  updateKnowledgeGap,
+};
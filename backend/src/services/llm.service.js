@@ -0,0 +1,570 @@
+/**
+ * =============================================================================
+ * LLM SERVICE - PLUGGABLE LANGUAGE MODEL PROVIDERS
+ * =============================================================================
+ *
+ * WHAT IS THIS FILE?
+ * One interface in front of every language model backend we can talk to.
+ * The AI service only ever calls a provider - it never knows whether the
+ * answer came from Gemini, an OpenAI-compatible server or the mock.
+ *
+ * THE LLMProvider INTERFACE:
+ * {
+ *   name: 'gemini' | 'openai' | 'mock' | ...,
+ *   model: default model name,
+ *   isConfigured(): boolean             - are credentials/URL present?
+ *   generate(prompt, options)           - { text, modelUsed, usage }
+ *   stream(prompt, options)             - async iterable of text deltas
+ *                                         (options.signal aborts it)
+ *   countTokens(text)                   - Promise<number>
+ *   classifyError(error)                - one of LLM_ERROR_TYPES
+ * }
+ *
+ * AVAILABLE PROVIDERS:
+ * - gemini: Google Gemini REST API (GEMINI_API_KEY, GEMINI_MODEL)
+ * - openai: Any OpenAI-compatible /chat/completions endpoint, including
+ *           local Ollama / vLLM / LM Studio servers
+ *           (OPENAI_BASE_URL, OPENAI_API_KEY, OPENAI_MODEL)
+ * - mock:   Deterministic offline provider for development and tests
+ *
+ * HOW A PROVIDER IS CHOSEN:
+ * 1. Organization setting settings.ai.provider (and settings.ai.model)
+ * 2. LLM_PROVIDER environment variable
+ * 3. 'gemini' (the original behaviour)
+ *
+ * =============================================================================
+ */
+
+const logger = require('../utils/logger');
+
+/**
+ * LLM_ERROR_TYPES - Provider-independent error categories
+ *
+ * The AI service decides what to do (fallback, select documents, fail)
+ * based on these categories instead of parsing provider messages.
+ */
+const LLM_ERROR_TYPES = {
+  AUTH: 'auth',               // Missing or invalid credentials
+  FORBIDDEN: 'forbidden',     // Credentials valid but not allowed
+  RATE_LIMIT: 'rate_limit',   // Quota exhausted / too many requests
+  NOT_FOUND: 'not_found',     // Model or endpoint doesn't exist
+  BLOCKED: 'blocked',         // Response withheld (safety filters etc.)
+  SERVER: 'server',           // Provider-side failure
+  UNKNOWN: 'unknown',
+};
+
+/**
+ * createLLMError()
+ *
+ * WHAT: Builds an Error carrying the HTTP status and model that failed
+ */
+const createLLMError = (message, status, modelName) => {
+  const error = new Error(message);
+  error.status = status;
+  error.model = modelName;
+  return error;
+};
+
+/**
+ * classifyHttpError()
+ *
+ * WHAT: Shared status-code based classification used by HTTP providers
+ */
+const classifyHttpError = (error) => {
+  const status = error?.status;
+  const message = error?.message || '';
+
+  if (status === 401 || message.includes('API key not valid') || message.includes('API_KEY_INVALID')) {
+    return LLM_ERROR_TYPES.AUTH;
+  }
+  if (status === 403 || message.includes('PERMISSION_DENIED')) return LLM_ERROR_TYPES.FORBIDDEN;
+  if (status === 429 || message.includes('RESOURCE_EXHAUSTED')) return LLM_ERROR_TYPES.RATE_LIMIT;
+  if (status === 404 || message.includes('NOT_FOUND')) return LLM_ERROR_TYPES.NOT_FOUND;
+  if (error?.blocked) return LLM_ERROR_TYPES.BLOCKED;
+  if (status >= 500) return LLM_ERROR_TYPES.SERVER;
+  return LLM_ERROR_TYPES.UNKNOWN;
+};
+
+/**
+ * estimateTokens()
+ *
+ * WHAT: Rough token estimate (~4 characters per token for English text)
+ * WHY: Used when a provider has no token counting endpoint or it fails
+ */
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+/**
+ * readServerSentEvents()
+ *
+ * WHAT: Parses a fetch() response body as Server-Sent Events
+ *
+ * Both Gemini (alt=sse) and OpenAI (stream: true) stream their output as
+ * lines of "data: {...}" separated by blank lines.
+ *
+ * OUTPUT: async iterable of the `data` payload strings
+ */
+async function* readServerSentEvents(response) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const bytes of response.body) {
+    buffer += decoder.decode(bytes, { stream: true });
+
+    let boundary = buffer.indexOf('\n');
+    while (boundary !== -1) {
+      const line = buffer.slice(0, boundary).trim();
+      buffer = buffer.slice(boundary + 1);
+
+      if (line.startsWith('data:')) {
+        yield line.slice(5).trim();
+      }
+
+      boundary = buffer.indexOf('\n');
+    }
+  }
+
+  const rest = buffer.trim();
+  if (rest.startsWith('data:')) {
+    yield rest.slice(5).trim();
+  }
+}
+
+// =============================================================================
+// GEMINI PROVIDER
+// =============================================================================
+
+/**
+ * createGeminiProvider()
+ *
+ * WHAT: Google Gemini over REST (v1beta), matching AI Studio curl behaviour
+ *
+ * FALLBACK MODELS:
+ * When the requested model is out of quota or missing, the next model from
+ * GEMINI_FALLBACK_MODELS is tried (comma separated, set to '' to disable).
+ */
+const createGeminiProvider = ({ model } = {}) => {
+  const baseUrl = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+  const getApiKey = () => {
+    const apiKeyRaw = process.env.GEMINI_API_KEY;
+    const apiKey = apiKeyRaw ? apiKeyRaw.trim() : '';
+
+    if (apiKeyRaw && apiKeyRaw !== apiKey) {
+      logger.warn('GEMINI_API_KEY contains leading/trailing whitespace. It was trimmed.');
+    }
+
+    return apiKey;
+  };
+
+  const defaultModel = (model || process.env.GEMINI_MODEL || 'gemini-2.0-flash').trim();
+
+  const getFallbackModels = () => {
+    const configured = process.env.GEMINI_FALLBACK_MODELS;
+    const list = configured !== undefined
+      ? configured
+      : 'gemini-1.5-flash,gemini-1.5-flash-8b,gemini-2.0-flash';
+
+    return list.split(',').map((name) => name.trim()).filter(Boolean);
+  };
+
+  const request = async (modelName, action, body, signal) => {
+    const apiKey = getApiKey();
+    if (!apiKey) {
+      throw createLLMError('Gemini API key is not configured.', 401, modelName);
+    }
+
+    const response = await fetch(`${baseUrl}/${modelName}:${action}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-goog-api-key': apiKey,
+      },
+      body: JSON.stringify(body),
+      signal,
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw createLLMError(
+        `[Gemini REST Error]: ${response.status} ${response.statusText} - ${errorText}`,
+        response.status,
+        modelName
+      );
+    }
+
+    return response;
+  };
+
+  const buildBody = (prompt, options) => ({
+    contents: [{ parts: [{ text: prompt }] }],
+    ...(options.maxOutputTokens || options.temperature !== undefined
+      ? {
+          generationConfig: {
+            ...(options.maxOutputTokens ? { maxOutputTokens: options.maxOutputTokens } : {}),
+            ...(options.temperature !== undefined ? { temperature: options.temperature } : {}),
+          },
+        }
+      : {}),
+  });
+
+  const extractText = (data, modelName) => {
+    // Check for blocked or empty responses
+    if (!data.candidates || data.candidates.length === 0) {
+      const error = createLLMError(
+        `Gemini API returned no candidates for ${modelName}. The response may have been blocked or the model is unavailable.`,
+        500,
+        modelName
+      );
+      error.blocked = Boolean(data.promptFeedback?.blockReason);
+      throw error;
+    }
+
+    // Check for safety filters or other issues
+    const candidate = data.candidates[0];
+    if (candidate.finishReason && !['STOP', 'MAX_TOKENS'].includes(candidate.finishReason)) {
+      const error = createLLMError(`Gemini candidate finished with reason: ${candidate.finishReason}`, 500, modelName);
+      error.blocked = candidate.finishReason === 'SAFETY';
+      throw error;
+    }
+
+    return candidate.content?.parts?.map((part) => part.text)?.join('') || '';
+  };
+
+  const provider = {
+    name: 'gemini',
+    model: defaultModel,
+
+    isConfigured: () => Boolean(getApiKey()),
+
+    classifyError: classifyHttpError,
+
+    /**
+     * generate() - tries the primary model, then the fallbacks on
+     * rate-limit / not-found errors
+     */
+    generate: async (prompt, options = {}) => {
+      const primaryModel = (options.model || defaultModel).trim();
+      const modelsToTry = Array.from(new Set([primaryModel, ...getFallbackModels()]));
+      let lastError;
+
+      for (const modelName of modelsToTry) {
+        logger.debug('Calling Gemini API', { model: modelName, promptLength: prompt.length });
+
+        try {
+          const response = await request(modelName, 'generateContent', buildBody(prompt, options));
+          const data = await response.json();
+          const text = extractText(data, modelName);
+
+          const usage = data.usageMetadata
+            ? {
+                promptTokens: data.usageMetadata.promptTokenCount || 0,
+                completionTokens: data.usageMetadata.candidatesTokenCount || 0,
+                totalTokens: data.usageMetadata.totalTokenCount || 0,
+              }
+            : null;
+
+          return { text, modelUsed: modelName, usage };
+        } catch (err) {
+          lastError = err;
+          const type = classifyHttpError(err);
+
+          // If quota exhausted or model missing, try next fallback before failing
+          if (type === LLM_ERROR_TYPES.RATE_LIMIT || type === LLM_ERROR_TYPES.NOT_FOUND) {
+            logger.warn('Gemini model unavailable; trying fallback', {
+              model: modelName,
+              status: err.status,
+              message: err.message?.substring(0, 200),
+            });
+            continue;
+          }
+
+          // Other errors: rethrow immediately
+          throw err;
+        }
+      }
+
+      // If all models failed, throw last error
+      throw lastError || new Error('Gemini API call failed for all models');
+    },
+
+    /**
+     * stream() - streamGenerateContent with alt=sse (no model fallback
+     * once text has started flowing)
+     */
+    stream: async function* (prompt, options = {}) {
+      const modelName = (options.model || defaultModel).trim();
+      const response = await request(
+        modelName,
+        'streamGenerateContent?alt=sse',
+        buildBody(prompt, options),
+        options.signal
+      );
+
+      for await (const payload of readServerSentEvents(response)) {
+        if (!payload) continue;
+        const text = extractText(JSON.parse(payload), modelName);
+        if (text) yield text;
+      }
+    },
+
+    countTokens: async (text) => {
+      try {
+        const response = await request(defaultModel, 'countTokens', {
+          contents: [{ parts: [{ text }] }],
+        });
+        const data = await response.json();
+        return data.totalTokens ?? estimateTokens(text);
+      } catch (error) {
+        return estimateTokens(text);
+      }
+    },
+  };
+
+  return provider;
+};
+
+// =============================================================================
+// OPENAI-COMPATIBLE PROVIDER
+// =============================================================================
+
+/**
+ * createOpenAIProvider()
+ *
+ * WHAT: Talks to any server implementing POST {baseUrl}/chat/completions
+ *
+ * EXAMPLES:
+ * - OpenAI:  OPENAI_BASE_URL=https://api.openai.com/v1, OPENAI_API_KEY=sk-...
+ * - Ollama:  OPENAI_BASE_URL=http://localhost:11434/v1, no key needed
+ */
+const createOpenAIProvider = ({ model } = {}) => {
+  const baseUrl = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+  const apiKey = (process.env.OPENAI_API_KEY || '').trim();
+  const defaultModel = (model || process.env.OPENAI_MODEL || 'gpt-4o-mini').trim();
+  const isOfficialApi = baseUrl.includes('api.openai.com');
+
+  const request = async (body, signal) => {
+    const response = await fetch(`${baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+      },
+      body: JSON.stringify(body),
+      signal,
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw createLLMError(
+        `[OpenAI-compatible Error]: ${response.status} ${response.statusText} - ${errorText}`,
+        response.status,
+        body.model
+      );
+    }
+
+    return response;
+  };
+
+  const buildBody = (prompt, options, stream) => ({
+    model: (options.model || defaultModel).trim(),
+    messages: [{ role: 'user', content: prompt }],
+    stream,
+    ...(options.maxOutputTokens ? { max_tokens: options.maxOutputTokens } : {}),
+    ...(options.temperature !== undefined ? { temperature: options.temperature } : {}),
+  });
+
+  return {
+    name: 'openai',
+    model: defaultModel,
+
+    // Local servers usually need no key; the hosted API always does
+    isConfigured: () => !isOfficialApi || Boolean(apiKey),
+
+    classifyError: (error) => {
+      if (error?.cause?.code === 'ECONNREFUSED') return LLM_ERROR_TYPES.SERVER;
+      return classifyHttpError(error);
+    },
+
+    generate: async (prompt, options = {}) => {
+      const body = buildBody(prompt, options, false);
+      logger.debug('Calling OpenAI-compatible API', { model: body.model, promptLength: prompt.length });
+
+      const response = await request(body);
+      const data = await response.json();
+      const choice = data.choices?.[0];
+
+      if (choice?.finish_reason === 'content_filter') {
+        const error = createLLMError('Response was blocked by the content filter.', 500, body.model);
+        error.blocked = true;
+        throw error;
+      }
+
+      return {
+        text: choice?.message?.content || '',
+        modelUsed: data.model || body.model,
+        usage: data.usage
+          ? {
+              promptTokens: data.usage.prompt_tokens || 0,
+              completionTokens: data.usage.completion_tokens || 0,
+              totalTokens: data.usage.total_tokens || 0,
+            }
+          : null,
+      };
+    },
+
+    stream: async function* (prompt, options = {}) {
+      const response = await request(buildBody(prompt, options, true), options.signal);
+
+      for await (const payload of readServerSentEvents(response)) {
+        if (!payload || payload === '[DONE]') continue;
+        const text = JSON.parse(payload).choices?.[0]?.delta?.content;
+        if (text) yield text;
+      }
+    },
+
+    // No standard token counting endpoint across compatible servers
+    countTokens: async (text) => estimateTokens(text),
+  };
+};
+
+// =============================================================================
+// MOCK PROVIDER
+// =============================================================================
+
+/**
+ * createMockProvider()
+ *
+ * WHAT: Deterministic provider that never leaves the process
+ *
+ * The same prompt always produces the same answer: the first sentence of
+ * the first context excerpt, cited like a real answer. Set MOCK_LLM_RESPONSE
+ * to force a fixed response instead.
+ */
+const createMockProvider = ({ model } = {}) => {
+  const defaultModel = model || 'mock-1';
+
+  const respond = (prompt) => {
+    if (process.env.MOCK_LLM_RESPONSE) {
+      return process.env.MOCK_LLM_RESPONSE;
+    }
+
+    // Prompts that ask for JSON (e.g. mindmap plans) get an empty plan
+    if (prompt.includes('Return ONLY valid JSON')) {
+      return '{"keywords": [], "chunkRefs": [], "docLinks": []}';
+    }
+
+    // Summaries: the first two sentences of the text to summarize
+    const summaryInput = prompt.match(/\n(?:DOCUMENT|SECTION|SECTION SUMMARIES):\n([\s\S]*)\n\nSUMMARY:$/);
+    if (summaryInput) {
+      return summaryInput[1].trim().split(/(?<=[.!?])\s+/).slice(0, 2).join(' ');
+    }
+
+    // Follow-up rewriting: return the follow-up unchanged
+    const followUp = prompt.match(/FOLLOW-UP QUESTION: (.*)\n/);
+    if (followUp) {
+      return followUp[1].trim();
+    }
+
+    const excerpt = prompt.match(/\[Document: ([^\]]+)\]\n([\s\S]*?)(?:\n\n|$)/);
+    if (!excerpt) {
+      return "I couldn't find information about this in the available documents.";
+    }
+
+    const firstSentence = excerpt[2].split(/(?<=[.!?])\s/)[0].trim();
+    return `${firstSentence} [Source: ${excerpt[1]}]`;
+  };
+
+  return {
+    name: 'mock',
+    model: defaultModel,
+    isConfigured: () => true,
+    classifyError: classifyHttpError,
+
+    generate: async (prompt) => {
+      const text = respond(prompt);
+      const promptTokens = estimateTokens(prompt);
+      const completionTokens = estimateTokens(text);
+
+      return {
+        text,
+        modelUsed: defaultModel,
+        usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens },
+      };
+    },
+
+    stream: async function* (prompt, options = {}) {
+      // Word-by-word, keeping the whitespace so the pieces join back exactly
+      for (const piece of respond(prompt).match(/\S+\s*/g) || []) {
+        if (options.signal?.aborted) return;
+        yield piece;
+      }
+    },
+
+    countTokens: async (text) => estimateTokens(text),
+  };
+};
+
+// =============================================================================
+// PROVIDER REGISTRY
+// =============================================================================
+
+/**
+ * Provider factories by name. Each factory receives { model }.
+ */
+const providerFactories = {
+  gemini: createGeminiProvider,
+  openai: createOpenAIProvider,
+  mock: createMockProvider,
+};
+
+/**
+ * registerLLMProvider()
+ *
+ * WHAT: Registers an additional provider factory
+ *
+ * CALLED BY: Application setup code
+ * INPUT: name (string), factory ({ model }) => provider
+ */
+const registerLLMProvider = (name, factory) => {
+  providerFactories[name] = factory;
+};
+
+/**
+ * getAvailableProviders()
+ *
+ * WHAT: Names of all registered providers (for settings validation/UI)
+ */
+const getAvailableProviders = () => Object.keys(providerFactories);
+
+/**
+ * getLLMProvider()
+ *
+ * WHAT: Returns the provider for an organization
+ *
+ * CALLED BY: AI service
+ * INPUT: aiSettings - the organization's settings.ai ({ provider, model }),
+ *        may be empty
+ * OUTPUT: LLMProvider
+ */
+const getLLMProvider = (aiSettings = {}) => {
+  const requested = (aiSettings?.provider || process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+  let factory = providerFactories[requested];
+
+  if (!factory) {
+    logger.warn('Unknown LLM provider, falling back to gemini', { provider: requested });
+    factory = providerFactories.gemini;
+  }
+
+  // An org-level model only applies to the provider it was chosen for
+  const model = aiSettings?.provider ? aiSettings.model : process.env.LLM_MODEL;
+
+  return factory({ model: model || undefined });
+};
+
+module.exports = {
+  LLM_ERROR_TYPES,
+  getLLMProvider,
+  registerLLMProvider,
+  getAvailableProviders,
+  estimateTokens,
+};
@@ -0,0 +1,155 @@
+/**
+ * =============================================================================
+ * MAIL SERVICE - SENDING EMAILS
+ * =============================================================================
+ *
+ * WHAT IS THIS FILE?
+ * The one place that sends emails. Other services call sendTemplate()
+ * with a template name (see utils/emailTemplates.js) and don't care how
+ * the email leaves the server.
+ *
+ * TRANSPORTS (MAIL_TRANSPORT):
+ * - smtp: A real mail server (SMTP_HOST, SMTP_PORT, SMTP_USER, ...)
+ * - file: Writes each email as an .eml file to MAIL_OUTBOX_DIR instead
+ *   of sending it - for local development and tests. Open the file in a
+ *   mail client, or copy the link out of it.
+ *
+ * Without MAIL_TRANSPORT, SMTP is used when SMTP_HOST is set, the outbox
+ * otherwise - a fresh checkout never emails real people by accident.
+ *
+ * =============================================================================
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const logger = require('../utils/logger');
+const { renderTemplate } = require('../utils/emailTemplates');
+
+const MAIL_TRANSPORTS = ['smtp', 'file'];
+
+const MAIL_FROM = process.env.MAIL_FROM || 'AIKSP <no-reply@localhost>';
+
+/**
+ * getTransportName() - 'smtp' or 'file' (see TRANSPORTS above)
+ */
+const getTransportName = () => {
+  const configured = (process.env.MAIL_TRANSPORT || '').trim().toLowerCase();
+
+  if (MAIL_TRANSPORTS.includes(configured)) {
+    return configured;
+  }
+  if (configured) {
+    logger.warn(`Unknown MAIL_TRANSPORT "${configured}" - using the file outbox`);
+    return 'file';
+  }
+
+  return process.env.SMTP_HOST ? 'smtp' : 'file';
+};
+
+// Created on first use (nodemailer keeps SMTP connections in the transporter)
+let transporter = null;
+
+/**
+ * getTransporter()
+ *
+ * WHAT: The nodemailer transporter for the configured transport
+ *
+ * The file transport uses nodemailer's stream transport: the complete
+ * message (headers, text and HTML parts) is built but not sent, and
+ * deliver() writes it to the outbox.
+ */
+const getTransporter = () => {
+  if (transporter) return transporter;
+
+  if (getTransportName() === 'smtp') {
+    const port = parseInt(process.env.SMTP_PORT) || 587;
+
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined,
+    });
+  } else {
+    transporter = nodemailer.createTransport({
+      streamTransport: true,
+      buffer: true,
+      newline: 'unix',
+    });
+  }
+
+  return transporter;
+};
+
+/**
+ * writeToOutbox()
+ *
+ * WHAT: Saves a built message as <time>-<random>.eml in MAIL_OUTBOX_DIR
+ *
+ * OUTPUT: The file path
+ */
+const writeToOutbox = async (message) => {
+  const outboxDir = path.resolve(process.env.MAIL_OUTBOX_DIR || './outbox');
+  await fs.mkdir(outboxDir, { recursive: true });
+
+  const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`;
+  const filePath = path.join(outboxDir, fileName);
+  await fs.writeFile(filePath, message);
+
+  return filePath;
+};
+
+/**
+ * sendMail()
+ *
+ * WHAT: Sends one email through the configured transport
+ *
+ * Errors (mail server down, bad credentials) are thrown - callers decide
+ * whether a failed email should fail their request.
+ *
+ * INPUT: { to, subject, text, html }
+ * OUTPUT: { messageId, transport, file? }
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  const transport = getTransportName();
+  const info = await getTransporter().sendMail({
+    from: MAIL_FROM,
+    to,
+    subject,
+    text,
+    html,
+  });
+
+  if (transport === 'file') {
+    const file = await writeToOutbox(info.message);
+    logger.info('Email written to outbox', { to, subject, file });
+    return { messageId: info.messageId, transport, file };
+  }
+
+  logger.info('Email sent', { to, subject, messageId: info.messageId });
+  return { messageId: info.messageId, transport };
+};
+
+/**
+ * sendTemplate()
+ *
+ * WHAT: Renders a template and sends it
+ *
+ * CALLED BY: PasswordResetService, EmailVerificationService, InvitationService
+ * INPUT: name ('passwordReset'), to (email address), data (template data)
+ * OUTPUT: See sendMail()
+ */
+const sendTemplate = async (name, to, data) => {
+  const { subject, text, html } = renderTemplate(name, data);
+
+  return await sendMail({ to, subject, text, html });
+};
+
+module.exports = {
+  sendMail,
+  sendTemplate,
+};
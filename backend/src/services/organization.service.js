@@ -25,6 +25,9 @@
 const { Organization, User, ALL_PRIVILEGES } = require('../models');
 const { AppError } = require('../middlewares/errorHandler');
 const logger = require('../utils/logger');
+const sessionService = require('./session.service');
+const apiTokenService = require('./apiToken.service');
+const { resolveChunkingOptions } = require('./document.service');
 const bcrypt = require('bcryptjs');
 
 // =============================================================================
@@ -134,6 +137,11 @@ const getOrganizationById = async (orgId) => {
  * - settings
  * - defaultRole
  * 
+ * CHUNKING:
+ * The overlap must stay below half the chunk size. That's checked on
+ * the values that will be in effect - the stored ones, the patch and
+ * the defaults for whatever is null - since a patch may change only one.
+ * 
  * CALLED BY: Organization controller
  * INPUT: orgId, updates
  * OUTPUT: Updated organization
@@ -158,8 +166,28 @@ const updateOrganization = async (orgId, updates) => {
   allowedUpdates.forEach(field => {
     if (updates[field] !== undefined) {
       if (field === 'settings') {
-        // Merge settings
-        organization.settings = { ...organization.settings, ...updates.settings };
+        // Merge settings (toObject: spreading the document path drops nested values like ai)
+        const currentSettings = organization.toObject().settings;
+        organization.settings = { ...currentSettings, ...updates.settings };
+
+        if (updates.settings.chunking) {
+          const chunking = { ...currentSettings.chunking, ...updates.settings.chunking };
+          const { chunkSize, chunkOverlap } = resolveChunkingOptions(chunking);
+
+          if (chunkOverlap >= chunkSize / 2) {
+            throw new AppError(
+              `Chunk overlap must be less than half the chunk size (${chunkOverlap} of ${chunkSize} characters).`,
+              400
+            );
+          }
+
+          organization.settings.chunking = chunking;
+        }
+
+        // '' means "use the server default provider"
+        if (updates.settings.ai && !updates.settings.ai.provider) {
+          organization.settings.ai = { provider: null, model: null };
+        }
       } else {
         organization[field] = updates[field];
       }
@@ -291,10 +319,12 @@ const addUserToOrganization = async (orgId, userData, creatorId) => {
  * 
  * FLOW:
  * 1. Find organization by name
- * 2. Verify secret key
- * 3. Check self-registration is allowed
+ * 2. Check secret-key signup is allowed (settings.allowSelfRegistration)
+ * 3. Verify secret key
  * 4. Create user with default role
  * 
+ * Invited people join through InvitationService.acceptInvitation() instead.
+ * 
  * CALLED BY: Employee signup flow
  * INPUT: orgName, secretKey, userData
  * OUTPUT: Created user and organization
@@ -315,7 +345,7 @@ const joinOrganization = async (orgName, secretKey, userData) => {
 
   // Check if self-registration is allowed
   if (!allowSelfRegistration) {
-    throw new AppError('This organization does not allow self-registration. Please contact your administrator.', 403);
+    throw new AppError('This organization only accepts invited members. Ask your administrator for an invitation.', 403);
   }
 
   // Verify secret key
@@ -393,8 +423,8 @@ const getOrganizationUsers = async (orgId, options = {}) => {
     isActive = null,
   } = options;
 
-  // Build query
-  const query = { organization: orgId };
+  // Build query (service accounts have their own list)
+  const query = { organization: orgId, accountType: { $ne: 'service_account' } };
 
   // Search by name or email
   if (search) {
@@ -458,6 +488,12 @@ const getOrganizationUsers = async (orgId, options = {}) => {
  * - Cannot modify org owner's admin status
  * - Cannot change organization
  * 
+ * SESSIONS:
+ * Deactivating a user or changing their role, privileges or admin status
+ * signs them out everywhere, so they continue with their new access.
+ * Deactivating also revokes their API tokens (other tokens lose any
+ * privilege the user no longer has on their own).
+ * 
  * CALLED BY: Admin dashboard
  * INPUT: orgId, userId, updates, updaterId
  * OUTPUT: Updated user
@@ -472,6 +508,7 @@ const updateOrganizationUser = async (orgId, userId, updates, updaterId) => {
   const user = await User.findOne({
     _id: userId,
     organization: orgId,
+    accountType: { $ne: 'service_account' },
   });
 
   if (!user) {
@@ -511,6 +548,10 @@ const updateOrganizationUser = async (orgId, userId, updates, updaterId) => {
     }
   });
 
+  const accessChanged = ['orgRole', 'privileges', 'isOrgAdmin', 'isActive']
+    .some(field => user.isModified(field));
+  const deactivated = user.isModified('isActive') && !user.isActive;
+
   // Handle admin list in organization
   if (updates.isOrgAdmin !== undefined) {
     if (updates.isOrgAdmin) {
@@ -530,6 +571,14 @@ const updateOrganizationUser = async (orgId, userId, updates, updaterId) => {
 
   await user.save();
 
+  if (accessChanged) {
+    await sessionService.revokeAllSessions(user._id, { reason: 'access_changed' });
+  }
+
+  if (deactivated) {
+    await apiTokenService.revokeAllTokens(user._id, { reason: 'deactivated' });
+  }
+
   logger.info('Organization user updated', {
     userId: user._id,
     orgId: organization._id,
@@ -546,6 +595,8 @@ const updateOrganizationUser = async (orgId, userId, updates, updaterId) => {
  * WHAT: Removes (deactivates) a user from an organization
  * 
  * NOTE: We don't delete users, we deactivate them for audit purposes.
+ * All of the user's sessions and API tokens are revoked, so they are
+ * signed out at once.
  * 
  * RESTRICTIONS:
  * - Cannot remove organization owner
@@ -575,6 +626,7 @@ const removeUserFromOrganization = async (orgId, userId, removerId) => {
   const user = await User.findOne({
     _id: userId,
     organization: orgId,
+    accountType: { $ne: 'service_account' },
   });
 
   if (!user) {
@@ -586,6 +638,10 @@ const removeUserFromOrganization = async (orgId, userId, removerId) => {
   user.isOrgAdmin = false;
   await user.save();
 
+  // Sign the user out on every device right away
+  await sessionService.revokeAllSessions(user._id, { reason: 'removed' });
+  await apiTokenService.revokeAllTokens(user._id, { reason: 'removed' });
+
   // Remove from admins list
   organization.admins = organization.admins.filter(
     id => id.toString() !== user._id.toString()
@@ -0,0 +1,129 @@
+/**
+ * =============================================================================
+ * PASSWORD RESET SERVICE - "FORGOT PASSWORD?"
+ * =============================================================================
+ *
+ * WHAT IS THIS FILE?
+ * Lets users who forgot their password set a new one through a link sent
+ * to their email address.
+ *
+ * FLOW:
+ *
+ *   ForgotPasswordPage ──→ POST /api/auth/forgot-password ──→ requestPasswordReset()
+ *                                                                 │
+ *                   email with {FRONTEND_URL}/reset-password?token=...
+ *                                                                 │
+ *   ResetPasswordPage ──→ POST /api/auth/reset-password ──→ resetPassword()
+ *
+ * SECURITY:
+ * - The same answer whether or not the email has an account
+ * - Only the token's hash is stored; the link works once and expires
+ *   (PASSWORD_RESET_EXPIRES_MINUTES, default 60)
+ * - A reset signs the user out everywhere and unlocks the account
+ * - Two-factor authentication still applies at the next login
+ *
+ * =============================================================================
+ */
+
+const { User } = require('../models');
+const { AppError } = require('../middlewares/errorHandler');
+const logger = require('../utils/logger');
+const { createLinkToken, hashToken, buildFrontendUrl } = require('../utils/linkToken');
+const mailService = require('./mail.service');
+const sessionService = require('./session.service');
+const emailVerificationService = require('./emailVerification.service');
+
+// How long a reset link works
+const PASSWORD_RESET_EXPIRES_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60;
+
+// At most one email per address per minute
+const RESEND_INTERVAL_MS = 60 * 1000;
+
+/**
+ * requestPasswordReset()
+ *
+ * WHAT: Emails a reset link, if the address belongs to an active account
+ *
+ * Nothing is thrown for unknown addresses or a failing mail server - the
+ * caller always answers "if an account exists, we sent an email".
+ *
+ * CALLED BY: AuthController.forgotPassword()
+ * INPUT: email
+ */
+const requestPasswordReset = async (email) => {
+  const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+
+  // Service accounts have no mailbox and no usable password
+  if (!user || !user.isActive || user.accountType === 'service_account') {
+    logger.info('Password reset requested for unknown or inactive account');
+    return;
+  }
+
+  const lastSentAt = user.passwordReset?.sentAt;
+  if (lastSentAt && Date.now() - lastSentAt.getTime() < RESEND_INTERVAL_MS) {
+    return;
+  }
+
+  const { token, tokenHash, expiresAt } = createLinkToken(PASSWORD_RESET_EXPIRES_MINUTES * 60 * 1000);
+
+  user.passwordReset = { tokenHash, expiresAt, sentAt: new Date() };
+  await user.save({ validateBeforeSave: false });
+
+  try {
+    await mailService.sendTemplate('passwordReset', user.email, {
+      firstName: user.firstName,
+      link: buildFrontendUrl('/reset-password', { token }),
+      expiresInMinutes: PASSWORD_RESET_EXPIRES_MINUTES,
+    });
+
+    logger.info('Password reset email sent', { userId: user._id });
+  } catch (error) {
+    logger.error('Failed to send password reset email', { userId: user._id, error: error.message });
+  }
+};
+
+/**
+ * resetPassword()
+ *
+ * WHAT: Redeems a reset link and sets the new password
+ *
+ * FLOW:
+ * 1. Find the user of the token and clear it in one update (works once)
+ * 2. Set the password (hashed by the model hook; passwordChangedAt
+ *    invalidates existing access tokens)
+ * 3. Unlock the account and mark the email verified - the link proves
+ *    the user reads that inbox
+ * 4. Revoke every session
+ *
+ * CALLED BY: AuthController.resetPassword()
+ * INPUT: token (from the link), newPassword
+ */
+const resetPassword = async (token, newPassword) => {
+  const user = await User.findOneAndUpdate(
+    {
+      'passwordReset.tokenHash': hashToken(token),
+      'passwordReset.expiresAt': { $gt: new Date() },
+    },
+    { $set: { passwordReset: { tokenHash: null, expiresAt: null, sentAt: null } } },
+    { new: true }
+  );
+
+  if (!user || !user.isActive) {
+    throw new AppError('This password reset link is invalid or has expired. Please request a new one.', 400);
+  }
+
+  user.password = newPassword;
+  user.loginAttempts = 0;
+  user.lockUntil = null;
+  emailVerificationService.markVerified(user);
+  await user.save();
+
+  await sessionService.revokeAllSessions(user._id, { reason: 'password_reset' });
+
+  logger.info('Password reset', { userId: user._id });
+};
+
+module.exports = {
+  requestPasswordReset,
+  resetPassword,
+};
@@ -6,7 +6,9 @@
  * WHAT IS THIS FILE?
  * Handles search operations:
  * - Full-text search across documents
- * - Filtered search (by category, department)
+ * - Filtered search (category, department, tags, file type, uploader,
+ *   access level, upload date, collection)
+ * - Facet counts for the filter sidebar
  * - Search result ranking
  * 
  * ORGANIZATION SCOPING:
@@ -15,9 +17,25 @@
  * 
  * SEARCH TYPES:
  * 1. KEYWORD SEARCH: Find documents containing specific words
- * 2. SEMANTIC SEARCH: Find documents about a concept (future enhancement)
+ * 2. SEMANTIC SEARCH: Find documents about a concept (embedding vectors)
  * 3. FILTERED SEARCH: Combine text search with filters
  * 
+ * FACETS:
+ * Next to the results, every filter dimension gets counts ("policy (12)").
+ * Counts are computed under the caller's access filter, so they never
+ * reveal documents the user can't open. A dimension's count ignores that
+ * dimension's own filter - picking "policy" doesn't zero "procedure",
+ * it shows how many procedures there are with all *other* filters applied.
+ * 
+ * QUERY SYNTAX:
+ * Phrases, -negation, OR groups and field:value prefixes are parsed by
+ * utils/searchQuery.js and compiled here (compileSearchQuery) into a
+ * MongoDB $text string plus ordinary conditions.
+ * 
+ * HYBRID SEARCH:
+ * When embeddings are enabled, keyword and semantic results are merged
+ * with Reciprocal Rank Fusion (see utils/chunkRanker.js).
+ * 
  * MONGODB TEXT SEARCH:
  * MongoDB has built-in text search capabilities:
  * - Text indexes for efficient searching
@@ -28,9 +46,432 @@
  * =============================================================================
  */
 
-const { Document, QueryLog } = require('../models');
+const mongoose = require('mongoose');
+const { Document, QueryLog, Collection, User } = require('../models');
 const { AppError } = require('../middlewares/errorHandler');
 const logger = require('../utils/logger');
+const embeddingService = require('./embedding.service');
+const { buildAccessFilter } = require('./ai.service');
+const { fuseRankings } = require('../utils/chunkRanker');
+const { buildSnippets } = require('../utils/snippets');
+const { parseSearchQuery, topLevelClauses, isTextTerm } = require('../utils/searchQuery');
+const { escapeRegex } = require('../utils/escapeRegex');
+
+/**
+ * How many lexical / semantic candidates feed hybrid ranking.
+ * Results beyond this are not paginated in hybrid mode.
+ */
+const HYBRID_CANDIDATE_LIMIT = 100;
+
+// Highlighted passages returned per result
+const SNIPPETS_PER_DOCUMENT = 2;
+
+// Values returned per facet (the most frequent ones)
+const FACET_VALUE_LIMIT = 20;
+
+// Upload-date facet: label → days back from now
+const UPLOADED_WITHIN_DAYS = {
+  '7d': 7,
+  '30d': 30,
+  '365d': 365,
+};
+
+/**
+ * withConditions()
+ * 
+ * WHAT: Adds conditions to a filter under $and
+ * (filters may already use $or / $and for access control)
+ */
+const withConditions = (filter, conditions) => (
+  conditions.length > 0 ? { ...filter, $and: [...(filter.$and || []), ...conditions] } : filter
+);
+
+/**
+ * textCondition()
+ * 
+ * WHAT: A word or phrase as a regular condition on title/description/content
+ * 
+ * WHY NOT $text?
+ * MongoDB allows one $text per query and none inside $nor, so words
+ * under OR / NOT groups are matched with a regex instead.
+ */
+const textCondition = ({ value, phrase }) => {
+  const pattern = phrase
+    ? escapeRegex(value).replace(/\s+/g, '\\s+')
+    : `\\b${escapeRegex(value)}`;
+  const regex = new RegExp(pattern, 'i');
+
+  return { $or: [{ title: regex }, { description: regex }, { content: regex }] };
+};
+
+/**
+ * uploaderIds()
+ * 
+ * WHAT: Users of the organization matching uploader:<value>
+ * "me", an email address, "Jane", or "Jane Doe"
+ */
+const uploaderIds = async (value, { organizationId, userId }) => {
+  if (value.toLowerCase() === 'me') {
+    return [userId];
+  }
+
+  let match;
+  if (value.includes('@')) {
+    match = { email: value.toLowerCase() };
+  } else {
+    const [first, ...rest] = value.trim().split(/\s+/);
+    match = rest.length > 0
+      ? {
+        firstName: new RegExp(`^${escapeRegex(first)}`, 'i'),
+        lastName: new RegExp(`^${escapeRegex(rest.join(' '))}`, 'i'),
+      }
+      : {
+        $or: [
+          { firstName: new RegExp(`^${escapeRegex(first)}`, 'i') },
+          { lastName: new RegExp(`^${escapeRegex(first)}`, 'i') },
+        ],
+      };
+  }
+
+  return User.find({ organization: organizationId, ...match }).distinct('_id');
+};
+
+/**
+ * toCondition()
+ * 
+ * WHAT: A query tree node → MongoDB condition
+ */
+const toCondition = async (node, context) => {
+  switch (node.type) {
+    case 'and':
+      return { $and: await Promise.all(node.children.map((child) => toCondition(child, context))) };
+    case 'or':
+      return { $or: await Promise.all(node.children.map((child) => toCondition(child, context))) };
+    case 'not':
+      return { $nor: [await toCondition(node.child, context)] };
+    default:
+      break;
+  }
+
+  switch (node.field) {
+    case 'title':
+      return { title: new RegExp(escapeRegex(node.value), 'i') };
+    case 'tag':
+      return { tags: node.value.toLowerCase() };
+    case 'category':
+      return { category: node.value };
+    case 'department':
+      return { department: new RegExp(`^${escapeRegex(node.value)}$`, 'i') };
+    case 'uploader':
+      return { uploadedBy: { $in: await uploaderIds(node.value, context) } };
+    case 'date':
+      return {
+        createdAt: {
+          ...(node.range.from && { $gte: node.range.from }),
+          ...(node.range.to && { $lt: node.range.to }),
+        },
+      };
+    default:
+      return textCondition(node);
+  }
+};
+
+/**
+ * highlightTermsOf()
+ * 
+ * WHAT: Words worth highlighting in snippets - positive words, phrases
+ * and title:/tag: values (nothing under NOT)
+ */
+const highlightTermsOf = (node) => {
+  if (!node || node.type === 'not') return [];
+  if (node.children) return node.children.flatMap(highlightTermsOf);
+  return !node.field || ['title', 'tag'].includes(node.field) ? [node.value] : [];
+};
+
+/**
+ * compileSearchQuery()
+ * 
+ * WHAT: Turns the search box text into what MongoDB understands
+ * 
+ * HOW:
+ * Top-level plain words, phrases and negated words go into one $text
+ * search ("vacation policy \"carry over\" -draft"), so relevance ranking
+ * works as before. Everything else (fields, OR / NOT groups) becomes
+ * ordinary conditions.
+ * 
+ * INPUT: query (string), context { organizationId, userId }
+ * OUTPUT: {
+ *   text,             // $text search string, null when there are no words
+ *   rankingText,      // Plain words + phrases (semantic ranking)
+ *   conditions,       // Always applied
+ *   strictConditions, // Phrases / negations as regexes, for results that
+ *                     // don't come from $text (hybrid semantic matches)
+ *   highlightText,    // Terms to mark in snippets
+ * }
+ * THROWS: AppError 400 for malformed queries
+ */
+const compileSearchQuery = async (query, context) => {
+  const tree = parseSearchQuery(query);
+
+  const words = [];
+  const phrases = [];
+  const negations = [];
+  const conditions = [];
+
+  for (const node of topLevelClauses(tree)) {
+    if (isTextTerm(node)) {
+      (node.phrase ? phrases : words).push(node.value);
+    } else if (node.type === 'not' && isTextTerm(node.child)) {
+      negations.push(node.child);
+    } else {
+      conditions.push(await toCondition(node, context));
+    }
+  }
+
+  const quote = (text) => `"${text}"`;
+  const hasText = words.length > 0 || phrases.length > 0;
+  const negationConditions = negations.map((node) => ({ $nor: [textCondition(node)] }));
+
+  // $text can't be negation-only - use regex conditions instead
+  if (!hasText) {
+    conditions.push(...negationConditions);
+  }
+
+  return {
+    text: hasText
+      ? [
+        ...words,
+        ...phrases.map(quote),
+        ...negations.map((node) => `-${node.phrase ? quote(node.value) : node.value}`),
+      ].join(' ')
+      : null,
+    rankingText: [...words, ...phrases].join(' '),
+    conditions,
+    strictConditions: hasText
+      ? [...phrases.map((value) => textCondition({ value, phrase: true })), ...negationConditions]
+      : [],
+    highlightText: highlightTermsOf(tree).join(' '),
+  };
+};
+
+/**
+ * buildFilterClauses()
+ * 
+ * WHAT: One Mongo condition per active filter dimension
+ * 
+ * WHY KEYED BY DIMENSION?
+ * Facet counts for a dimension apply every clause except its own
+ * (see buildFacets).
+ * 
+ * INPUT: filters { category[], department[], tags[], fileType[],
+ *        accessLevel[], uploadedBy, uploadedWithin, dateFrom, dateTo,
+ *        collection }, organizationId, userId
+ * OUTPUT: { [dimension]: condition }
+ * THROWS: AppError 404 when the collection isn't visible to the user
+ */
+const buildFilterClauses = async (filters, organizationId, userId) => {
+  const clauses = {};
+  const inList = (values) => ({ $in: values });
+
+  if (filters.category?.length) clauses.category = { category: inList(filters.category) };
+  if (filters.department?.length) clauses.department = { department: inList(filters.department) };
+  if (filters.fileType?.length) clauses.fileType = { fileType: inList(filters.fileType) };
+  if (filters.accessLevel?.length) clauses.accessLevel = { accessLevel: inList(filters.accessLevel) };
+
+  // Tags narrow: a document must have all selected tags
+  if (filters.tags?.length) {
+    clauses.tags = { tags: { $all: filters.tags.map((tag) => tag.toLowerCase()) } };
+  }
+
+  // Aggregations don't cast ids - convert here
+  if (filters.uploadedBy) {
+    clauses.uploadedBy = { uploadedBy: new mongoose.Types.ObjectId(filters.uploadedBy) };
+  }
+
+  const from = filters.uploadedWithin
+    ? new Date(Date.now() - UPLOADED_WITHIN_DAYS[filters.uploadedWithin] * 24 * 60 * 60 * 1000)
+    : filters.dateFrom && new Date(filters.dateFrom);
+  const to = filters.dateTo && new Date(filters.dateTo);
+  if (from || to) {
+    clauses.uploaded = {
+      createdAt: {
+        ...(from && { $gte: from }),
+        ...(to && { $lte: to }),
+      },
+    };
+  }
+
+  if (filters.collection) {
+    const collection = await Collection.findOne({
+      _id: filters.collection,
+      organization: organizationId,
+      $or: [{ isPublic: true }, { createdBy: userId }],
+    }).select('documents');
+
+    if (!collection) {
+      throw new AppError('Collection not found.', 404);
+    }
+    clauses.collection = { _id: { $in: collection.documents } };
+  }
+
+  return clauses;
+};
+
+/**
+ * combineClauses()
+ * 
+ * WHAT: All clauses except one dimension, as a single condition
+ */
+const combineClauses = (clauses, exceptDimension = null) => {
+  const conditions = Object.entries(clauses)
+    .filter(([dimension]) => dimension !== exceptDimension)
+    .map(([, condition]) => condition);
+
+  return conditions.length > 0 ? { $and: conditions } : {};
+};
+
+/**
+ * buildFacets()
+ * 
+ * WHAT: Counts per value for every filter dimension, in one aggregation
+ * 
+ * INPUT: universe (the $match of every document the query finds, access
+ *        filter included), clauses (buildFilterClauses), organizationId, userId
+ * OUTPUT: { category, department, tags, fileType, accessLevel, uploadedBy,
+ *           collection, uploaded } - each [{ value, count, label? }]
+ */
+const buildFacets = async (universe, clauses, organizationId, userId) => {
+  const countBy = (dimension, field, { unwind = false, limit = FACET_VALUE_LIMIT } = {}) => [
+    { $match: combineClauses(clauses, dimension) },
+    ...(unwind ? [{ $unwind: `$${field}` }] : []),
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: limit },
+  ];
+
+  const visibleCollections = await Collection.find({
+    organization: organizationId,
+    $or: [{ isPublic: true }, { createdBy: userId }],
+  }).distinct('_id');
+
+  const now = Date.now();
+  const withinDays = (days) => ({
+    $sum: { $cond: [{ $gte: ['$createdAt', new Date(now - days * 24 * 60 * 60 * 1000)] }, 1, 0] },
+  });
+
+  const [result] = await Document.aggregate([
+    { $match: universe },
+    {
+      $facet: {
+        category: countBy('category', 'category'),
+        department: countBy('department', 'department'),
+        tags: countBy('tags', 'tags', { unwind: true }),
+        fileType: countBy('fileType', 'fileType'),
+        accessLevel: countBy('accessLevel', 'accessLevel'),
+        uploadedBy: [
+          ...countBy('uploadedBy', 'uploadedBy', { limit: 10 }),
+          { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+          { $unwind: '$user' },
+          {
+            $project: {
+              count: 1,
+              label: { $concat: ['$user.firstName', ' ', '$user.lastName'] },
+            },
+          },
+        ],
+        collection: [
+          { $match: combineClauses(clauses, 'collection') },
+          { $lookup: { from: 'collections', localField: '_id', foreignField: 'documents', as: 'collection' } },
+          { $unwind: '$collection' },
+          { $match: { 'collection._id': { $in: visibleCollections } } },
+          { $group: { _id: '$collection._id', label: { $first: '$collection.name' }, count: { $sum: 1 } } },
+          { $sort: { count: -1, label: 1 } },
+          { $limit: FACET_VALUE_LIMIT },
+        ],
+        uploaded: [
+          { $match: combineClauses(clauses, 'uploaded') },
+          {
+            $group: {
+              _id: null,
+              ...Object.fromEntries(
+                Object.entries(UPLOADED_WITHIN_DAYS).map(([key, days]) => [key, withinDays(days)])
+              ),
+            },
+          },
+        ],
+      },
+    },
+  ]);
+
+  const format = (rows) => rows
+    .filter((row) => row._id !== null && row._id !== undefined && row._id !== '')
+    .map((row) => ({
+      value: row._id,
+      count: row.count,
+      ...(row.label && { label: row.label }),
+    }));
+
+  const uploaded = result.uploaded[0] || {};
+
+  return {
+    category: format(result.category),
+    department: format(result.department),
+    tags: format(result.tags),
+    fileType: format(result.fileType),
+    accessLevel: format(result.accessLevel),
+    uploadedBy: format(result.uploadedBy),
+    collection: format(result.collection),
+    uploaded: Object.keys(UPLOADED_WITHIN_DAYS).map((key) => ({ value: key, count: uploaded[key] || 0 })),
+  };
+};
+
+/**
+ * attachSnippets()
+ * 
+ * WHAT: Adds `snippets` (utils/snippets.js) to each result document
+ * 
+ * WHY A SEPARATE QUERY?
+ * Results are loaded without chunks - ten documents' worth of text is
+ * only read here, for the page being returned.
+ * 
+ * Semantic hits may not contain any query word; for those the chunk
+ * closest to the query vector is shown instead (without highlights).
+ * 
+ * INPUT: query, documents (Mongoose documents), queryEmbedding (or null)
+ * OUTPUT: Plain result objects with `snippets`
+ */
+const attachSnippets = async (query, documents, queryEmbedding) => {
+  if (documents.length === 0) {
+    return [];
+  }
+
+  const chunkFields = ['text', 'chunkIndex', 'startPage', 'endPage', 'sectionPath', ...(queryEmbedding ? ['embedding'] : [])];
+  const withChunks = await Document.find({ _id: { $in: documents.map((doc) => doc._id) } })
+    .select(chunkFields.map((field) => `chunks.${field}`).join(' '))
+    .lean();
+  const chunksById = new Map(withChunks.map((doc) => [doc._id.toString(), doc.chunks || []]));
+
+  return documents.map((doc) => {
+    const chunks = chunksById.get(doc._id.toString()) || [];
+
+    let fallbackChunk = null;
+    if (queryEmbedding && chunks.length > 0) {
+      fallbackChunk = chunks.reduce((best, chunk) => (
+        embeddingService.cosineSimilarity(queryEmbedding.vector, chunk.embedding)
+          > embeddingService.cosineSimilarity(queryEmbedding.vector, best.embedding) ? chunk : best
+      ));
+    }
+
+    return {
+      ...doc.toJSON(),
+      snippets: buildSnippets(
+        query,
+        chunks.map(({ embedding, ...chunk }) => chunk),
+        { limit: SNIPPETS_PER_DOCUMENT, fallbackChunk }
+      ),
+    };
+  });
+};
 
 /**
  * searchDocuments()
@@ -47,9 +488,15 @@ const logger = require('../utils/logger');
  * 3. Results are scored by relevance ($meta: 'textScore')
  * 4. Results are sorted by score (most relevant first)
  * 
+ * HYBRID MODE (default when embeddings are enabled, `hybrid: false` to opt out):
+ * Up to HYBRID_CANDIDATE_LIMIT keyword matches and semantic matches are
+ * fused into one ranking, filtered, then paginated. Documents that never
+ * mention the query words but are about the same thing are included.
+ * 
  * CALLED BY: SearchController.search()
- * INPUT: query, filters, options, userId, userDepartment, userRole, organizationId
- * OUTPUT: { documents, total, page, pages }
+ * INPUT: query, filters (see buildFilterClauses), options { page, limit, hybrid },
+ *        userId, userDepartment, userRole, organizationId
+ * OUTPUT: { documents (each with `snippets`), total, page, pages, queryId, facets }
  */
 const searchDocuments = async (query, filters = {}, options = {}, userId, userDepartment, userRole, organizationId) => {
   const startTime = Date.now();
@@ -57,51 +504,87 @@ const searchDocuments = async (query, filters = {}, options = {}, userId, userDe
   const {
     page = 1,
     limit = 10,
-    category = null,
-    department = null,
-  } = { ...filters, ...options };
+    hybrid = embeddingService.isEmbeddingEnabled(),
+  } = options;
 
   try {
-    // Build the search query - ALWAYS scope to organization first
-    const searchQuery = {
-      status: 'active',
-      organization: organizationId, // Organization scoping - critical for multi-tenancy
-      $text: { $search: query },
-    };
+    // Organization + access control - results AND facet counts stay inside it
+    const accessFilter = buildAccessFilter({ organizationId, userRole, userDepartment, userId });
+    const clauses = await buildFilterClauses(filters, organizationId, userId);
+    const filterConditions = Object.values(clauses);
 
-    // Apply category filter
-    if (category) {
-      searchQuery.category = category;
-    }
+    // Search box syntax: $text words + field / OR / NOT conditions
+    const compiled = await compileSearchQuery(query, { organizationId, userId });
+    const base = withConditions(accessFilter, compiled.conditions);
 
-    // Apply department filter
-    if (department) {
-      searchQuery.department = department;
-    }
+    // Field-only queries ("category:finance") have nothing to rank by meaning
+    const queryEmbedding = hybrid && compiled.text ? await embeddingService.embedQuery(compiled.rankingText) : null;
 
-    // Access control within organization
-    // Users can only see documents they have access to
-    if (userRole !== 'admin' && userRole !== 'super_admin') {
-      searchQuery.$or = [
-        { accessLevel: 'public' },
-        { accessLevel: 'department', department: userDepartment },
-        { uploadedBy: userId },
-      ];
-    }
+    let total;
+    let documents;
+    let universe;
+
+    if (queryEmbedding) {
+      // Hybrid: fuse keyword ranking with semantic ranking. Filters narrow
+      // the fused candidates, so facet counts and results agree.
+      const [lexicalMatches, semanticMatches] = await Promise.all([
+        Document.find({ ...base, $text: { $search: compiled.text } }, { score: { $meta: 'textScore' } })
+          .sort({ score: { $meta: 'textScore' } })
+          .limit(HYBRID_CANDIDATE_LIMIT)
+          .select('_id'),
+        // Phrases and -words aren't enforced by vectors - add them as conditions
+        Document.findSemanticMatches(withConditions(base, compiled.strictConditions), queryEmbedding, {
+          limit: HYBRID_CANDIDATE_LIMIT,
+          minSimilarity: embeddingService.getMinSimilarity(),
+        }),
+      ]);
+
+      const fused = fuseRankings([
+        lexicalMatches.map((doc) => doc._id.toString()),
+        semanticMatches.map((match) => match.documentId.toString()),
+      ]).map((entry) => entry.key);
 
-    // Count total matching documents
-    const total = await Document.countDocuments(searchQuery);
+      universe = {
+        ...withConditions(base, compiled.strictConditions),
+        _id: { $in: fused.map((id) => new mongoose.Types.ObjectId(id)) },
+      };
 
-    // Execute search with relevance scoring
-    const documents = await Document.find(
-      searchQuery,
-      { score: { $meta: 'textScore' } } // Include relevance score
-    )
-      .sort({ score: { $meta: 'textScore' } }) // Sort by relevance
-      .skip((page - 1) * limit)
-      .limit(limit)
-      .populate('uploadedBy', 'firstName lastName email')
-      .select('-content -chunks'); // Exclude large fields
+      const matching = filterConditions.length > 0
+        ? new Set((await Document.find(withConditions(universe, filterConditions)).distinct('_id')).map(String))
+        : null;
+      const ranked = matching ? fused.filter((id) => matching.has(id)) : fused;
+
+      total = ranked.length;
+      const pageIds = ranked.slice((page - 1) * limit, page * limit);
+
+      const pageDocuments = await Document.find({ _id: { $in: pageIds } })
+        .populate('uploadedBy', 'firstName lastName email')
+        .select('-content -chunks -embedding'); // Exclude large fields
+
+      // $in doesn't preserve order - restore the fused ranking
+      const byId = new Map(pageDocuments.map((doc) => [doc._id.toString(), doc]));
+      documents = pageIds.map((id) => byId.get(id)).filter(Boolean);
+    } else {
+      universe = compiled.text ? { ...base, $text: { $search: compiled.text } } : base;
+      const searchQuery = withConditions(universe, filterConditions);
+
+      // Count total matching documents
+      total = await Document.countDocuments(searchQuery);
+
+      // Execute search with relevance scoring (newest first without words to rank by)
+      documents = await Document.find(
+        searchQuery,
+        compiled.text ? { score: { $meta: 'textScore' } } : {} // Include relevance score
+      )
+        .sort(compiled.text ? { score: { $meta: 'textScore' } } : { createdAt: -1 }) // Sort by relevance
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('uploadedBy', 'firstName lastName email')
+        .select('-content -chunks -embedding'); // Exclude large fields
+    }
+
+    const facets = await buildFacets(universe, clauses, organizationId, userId);
+    const results = await attachSnippets(compiled.highlightText, documents, queryEmbedding);
 
     // Calculate response time
     const responseTime = Date.now() - startTime;
@@ -130,20 +613,27 @@ const searchDocuments = async (query, filters = {}, options = {}, userId, userDe
 
     logger.info('Search completed', {
       query,
+      mode: queryEmbedding ? 'hybrid' : 'keyword',
       resultCount: total,
       responseTime,
       organization: organizationId,
     });
 
     return {
-      documents,
+      documents: results,
       total,
       page,
       pages: Math.ceil(total / limit),
       queryId: queryLog._id,
+      facets,
     };
 
   } catch (error) {
+    // Bad input (e.g. unknown collection) is the caller's problem, not a failed search
+    if (error instanceof AppError) {
+      throw error;
+    }
+
     logger.error('Search failed', error);
 
     // Log the failed search
@@ -203,22 +693,6 @@ const getRecentSearches = async (userId, limit = 10) => {
   return uniqueSearches;
 };
 
-/**
- * getPopularSearches()
- * 
- * WHAT: Gets the most popular search queries
- * 
- * WHY?
- * - Show trending topics
- * - Help users discover content
- * - Inspire search ideas
- * 
- * CALLED BY: SearchController.getPopularSearches()
- */
-const getPopularSearches = async (limit = 10) => {
-  return await QueryLog.getPopularQueries(limit);
-};
-
 /**
  * recordSearchClick()
  * 
@@ -270,7 +744,6 @@ const submitFeedback = async (queryId, feedback, rating = null, comment = null)
 module.exports = {
   searchDocuments,
   getRecentSearches,
-  getPopularSearches,
   recordSearchClick,
   submitFeedback,
 };
@@ -0,0 +1,237 @@
+/**
+ * =============================================================================
+ * SERVICE ACCOUNT SERVICE - NON-HUMAN ACCOUNTS FOR INTEGRATIONS
+ * =============================================================================
+ *
+ * WHAT IS THIS FILE?
+ * Organization-level accounts for integrations, so scripts don't have to
+ * run as (and break with) a real person's account.
+ *
+ * A service account is a user record with accountType 'service_account':
+ * - it has a role, like any member, which limits what its tokens can do
+ * - it has no real email and a random password - it can't sign in, it
+ *   only works through its API tokens (aiksp_sat_...)
+ * - it isn't listed with the members and doesn't count towards maxUsers
+ *
+ * Managed by admins with the manage_users privilege
+ * (Organization settings → Service accounts).
+ *
+ * =============================================================================
+ */
+
+const crypto = require('crypto');
+const { User, Organization } = require('../models');
+const { AppError } = require('../middlewares/errorHandler');
+const logger = require('../utils/logger');
+const apiTokenService = require('./apiToken.service');
+
+const SERVICE_ACCOUNT_LAST_NAME = 'Service Account';
+
+/**
+ * findServiceAccount()
+ *
+ * WHAT: An active service account of the organization (404 otherwise)
+ */
+const findServiceAccount = async (orgId, serviceAccountId) => {
+  const serviceAccount = await User.findOne({
+    _id: serviceAccountId,
+    organization: orgId,
+    accountType: 'service_account',
+    isActive: true,
+  });
+
+  if (!serviceAccount) {
+    throw new AppError('Service account not found.', 404);
+  }
+
+  return serviceAccount;
+};
+
+/**
+ * serializeServiceAccount()
+ *
+ * WHAT: What the service accounts list shows
+ */
+const serializeServiceAccount = (serviceAccount, tokens = []) => ({
+  id: serviceAccount._id,
+  name: serviceAccount.firstName,
+  orgRole: serviceAccount.orgRole,
+  createdAt: serviceAccount.createdAt,
+  tokens,
+});
+
+/**
+ * loadOrganization() - The organization, or 404
+ */
+const loadOrganization = async (orgId) => {
+  const organization = await Organization.findById(orgId);
+
+  if (!organization) {
+    throw new AppError('Organization not found.', 404);
+  }
+
+  return organization;
+};
+
+/**
+ * listServiceAccounts()
+ *
+ * WHAT: The organization's service accounts with their tokens
+ *
+ * CALLED BY: OrganizationController.getServiceAccounts()
+ * INPUT: orgId
+ * OUTPUT: [{ id, name, orgRole, createdAt, tokens }]
+ */
+const listServiceAccounts = async (orgId) => {
+  const serviceAccounts = await User.find({
+    organization: orgId,
+    accountType: 'service_account',
+    isActive: true,
+  }).sort({ createdAt: -1 });
+
+  return Promise.all(serviceAccounts.map(async (serviceAccount) =>
+    serializeServiceAccount(serviceAccount, await apiTokenService.listTokens(serviceAccount._id))
+  ));
+};
+
+/**
+ * createServiceAccount()
+ *
+ * WHAT: Creates a service account
+ *
+ * The email address is made up (sa-<random>@<org id>.svc) - it only
+ * exists because every user needs one; no email is ever sent to it.
+ *
+ * CALLED BY: OrganizationController.createServiceAccount()
+ * INPUT: orgId, { name, orgRole }, creatorId
+ * OUTPUT: Serialized service account
+ */
+const createServiceAccount = async (orgId, { name, orgRole }, creatorId) => {
+  const organization = await loadOrganization(orgId);
+
+  const roleKey = orgRole || organization.defaultRole;
+  if (!organization.getRole(roleKey)) {
+    throw new AppError('Invalid role specified.', 400);
+  }
+
+  const serviceAccount = await User.create({
+    firstName: name,
+    lastName: SERVICE_ACCOUNT_LAST_NAME,
+    email: `sa-${crypto.randomBytes(6).toString('hex')}@${organization._id}.svc`,
+    password: crypto.randomBytes(32).toString('hex'),
+    accountType: 'service_account',
+    organization: organization._id,
+    orgRole: roleKey,
+    isOrgAdmin: false,
+    emailVerified: true,
+  });
+
+  logger.info('Service account created', {
+    serviceAccountId: serviceAccount._id,
+    orgId: organization._id,
+    createdBy: creatorId,
+    role: roleKey,
+  });
+
+  return serializeServiceAccount(serviceAccount);
+};
+
+/**
+ * updateServiceAccount()
+ *
+ * WHAT: Renames a service account or changes its role
+ *
+ * Its tokens keep working; from now on they can only use scopes the new
+ * role allows.
+ *
+ * CALLED BY: OrganizationController.updateServiceAccount()
+ * INPUT: orgId, serviceAccountId, { name, orgRole }
+ * OUTPUT: Serialized service account
+ */
+const updateServiceAccount = async (orgId, serviceAccountId, { name, orgRole }) => {
+  const organization = await loadOrganization(orgId);
+  const serviceAccount = await findServiceAccount(orgId, serviceAccountId);
+
+  if (orgRole !== undefined) {
+    if (!organization.getRole(orgRole)) {
+      throw new AppError('Invalid role specified.', 400);
+    }
+    serviceAccount.orgRole = orgRole;
+  }
+
+  if (name !== undefined) {
+    serviceAccount.firstName = name;
+  }
+
+  await serviceAccount.save();
+
+  logger.info('Service account updated', { serviceAccountId: serviceAccount._id, orgId });
+
+  return serializeServiceAccount(serviceAccount, await apiTokenService.listTokens(serviceAccount._id));
+};
+
+/**
+ * deleteServiceAccount()
+ *
+ * WHAT: Deactivates a service account and revokes all of its tokens
+ *
+ * Like members, service accounts are deactivated rather than deleted -
+ * documents they uploaded still show who uploaded them.
+ *
+ * CALLED BY: OrganizationController.deleteServiceAccount()
+ * INPUT: orgId, serviceAccountId, removerId
+ */
+const deleteServiceAccount = async (orgId, serviceAccountId, removerId) => {
+  const serviceAccount = await findServiceAccount(orgId, serviceAccountId);
+
+  serviceAccount.isActive = false;
+  await serviceAccount.save();
+
+  await apiTokenService.revokeAllTokens(serviceAccount._id, { reason: 'service_account_deleted' });
+
+  logger.info('Service account deleted', { serviceAccountId: serviceAccount._id, orgId, deletedBy: removerId });
+};
+
+/**
+ * createServiceAccountToken()
+ *
+ * WHAT: Creates a token for a service account
+ *
+ * The scopes must be privileges of the service account's role.
+ *
+ * CALLED BY: OrganizationController.createServiceAccountToken()
+ * INPUT: orgId, serviceAccountId, { name, scopes, expiresInDays }, creatorId
+ * OUTPUT: { token (shown once), apiToken }
+ */
+const createServiceAccountToken = async (orgId, serviceAccountId, data, creatorId) => {
+  const organization = await loadOrganization(orgId);
+  const serviceAccount = await findServiceAccount(orgId, serviceAccountId);
+
+  return apiTokenService.createToken(serviceAccount, organization, {
+    ...data,
+    kind: 'service_account',
+    createdBy: creatorId,
+  });
+};
+
+/**
+ * revokeServiceAccountToken()
+ *
+ * WHAT: Revokes one token of a service account
+ *
+ * CALLED BY: OrganizationController.revokeServiceAccountToken()
+ * INPUT: orgId, serviceAccountId, tokenId
+ */
+const revokeServiceAccountToken = async (orgId, serviceAccountId, tokenId) => {
+  const serviceAccount = await findServiceAccount(orgId, serviceAccountId);
+  await apiTokenService.revokeToken(tokenId, serviceAccount._id);
+};
+
+module.exports = {
+  listServiceAccounts,
+  createServiceAccount,
+  updateServiceAccount,
+  deleteServiceAccount,
+  createServiceAccountToken,
+  revokeServiceAccountToken,
+};
@@ -0,0 +1,331 @@
+/**
+ * =============================================================================
+ * SESSION SERVICE - ACCESS TOKENS, REFRESH TOKENS AND REVOCATION
+ * =============================================================================
+ *
+ * WHAT IS THIS FILE?
+ * Everything about staying logged in:
+ * - issueTokens(): creates a session and its first token pair (login)
+ * - refreshSession(): trades a refresh token for a new pair (rotation)
+ * - verifySession(): used by protect() on every request
+ * - list / revoke sessions ("sign out everywhere")
+ *
+ * TOKENS:
+ * - Access token: a JWT { id, sid } valid for JWT_EXPIRES_IN (15 minutes).
+ *   Sent as "Authorization: Bearer ..." like before.
+ * - Refresh token: "<sessionId>.<random>" valid for REFRESH_TOKEN_EXPIRES_DAYS
+ *   (30) since it was last used. Only its SHA-256 hash is stored.
+ *
+ * ROTATION AND REUSE DETECTION:
+ * Every refresh replaces the refresh token. If a replaced token shows up
+ * again, somebody kept a copy - the whole session is revoked. A short
+ * grace period (REFRESH_REUSE_GRACE_MS) covers two browser tabs refreshing
+ * at the same moment: the slower one is turned away without revoking.
+ *
+ * =============================================================================
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Session, User } = require('../models');
+const { AppError } = require('../middlewares/errorHandler');
+const logger = require('../utils/logger');
+const { hashToken } = require('../utils/linkToken');
+
+const DEFAULT_REFRESH_TOKEN_DAYS = 30;
+const REFRESH_REUSE_GRACE_MS = 10 * 1000;
+// lastUsedAt is only written when it is older than this (saves a write per request)
+const LAST_USED_RESOLUTION_MS = 5 * 60 * 1000;
+
+const SESSION_ENDED_MESSAGE = 'Your session has expired. Please log in again.';
+
+const getRefreshTokenTtlMs = () => {
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS, 10);
+  return (Number.isFinite(days) && days > 0 ? days : DEFAULT_REFRESH_TOKEN_DAYS) * 24 * 60 * 60 * 1000;
+};
+
+const generateRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(32).toString('hex')}`;
+
+/**
+ * describeDevice()
+ *
+ * WHAT: A readable device name from a User-Agent header
+ *
+ * EXAMPLE: "Chrome on Windows", "Safari on iOS"
+ * Good enough for users to recognise their own devices - not a full
+ * User-Agent parser.
+ */
+const describeDevice = (userAgent = '') => {
+  if (!userAgent) return 'Unknown device';
+
+  const browsers = [
+    [/Edg\//, 'Edge'],
+    [/OPR\/|Opera/, 'Opera'],
+    [/Firefox\//, 'Firefox'],
+    [/Chrome\//, 'Chrome'],
+    [/Safari\//, 'Safari'],
+    [/curl\//, 'curl'],
+  ];
+  const systems = [
+    [/iPhone|iPad|iPod/, 'iOS'],
+    [/Android/, 'Android'],
+    [/Windows/, 'Windows'],
+    [/Mac OS X|Macintosh/, 'macOS'],
+    [/Linux/, 'Linux'],
+  ];
+
+  const browser = browsers.find(([pattern]) => pattern.test(userAgent))?.[1] || 'Unknown browser';
+  const system = systems.find(([pattern]) => pattern.test(userAgent))?.[1];
+
+  return system ? `${browser} on ${system}` : browser;
+};
+
+/**
+ * signAccessToken()
+ *
+ * WHAT: Creates the short-lived JWT for a session
+ *
+ * The session id (sid) lets protect() reject the token as soon as the
+ * session is revoked, without waiting for it to expire.
+ */
+const signAccessToken = (userId, sessionId) => {
+  return jwt.sign(
+    { id: userId, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
+  );
+};
+
+/**
+ * issueTokens()
+ *
+ * WHAT: Starts a session for a user and returns its first token pair
+ *
+ * CALLED BY: AuthService (login and all registration flows)
+ * INPUT: user, context { userAgent, ip }
+ * OUTPUT: { token, refreshToken, sessionId }
+ */
+const issueTokens = async (user, { userAgent = '', ip = '' } = {}) => {
+  const sessionId = new Session()._id;
+  const refreshToken = generateRefreshToken(sessionId);
+
+  await Session.create({
+    _id: sessionId,
+    user: user._id,
+    organization: user.organization || null,
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent: userAgent.substring(0, 500),
+    device: describeDevice(userAgent),
+    ip,
+    lastUsedAt: new Date(),
+    expiresAt: new Date(Date.now() + getRefreshTokenTtlMs()),
+  });
+
+  logger.info('Session started', { userId: user._id, sessionId });
+
+  return {
+    token: signAccessToken(user._id, sessionId),
+    refreshToken,
+    sessionId,
+  };
+};
+
+/**
+ * refreshSession()
+ *
+ * WHAT: Exchanges a refresh token for a new access + refresh token
+ *
+ * CALLED BY: AuthController.refreshToken()
+ * INPUT: refreshToken, context { ip }
+ * OUTPUT: { token, refreshToken }
+ * THROWS: AppError 401 when the token is unknown, replaced, revoked or expired
+ */
+const refreshSession = async (refreshToken, { ip = '' } = {}) => {
+  const [sessionId] = String(refreshToken || '').split('.');
+
+  if (!sessionId || !/^[a-f0-9]{24}$/.test(sessionId)) {
+    throw new AppError(SESSION_ENDED_MESSAGE, 401);
+  }
+
+  const session = await Session.findById(sessionId).select('+refreshTokenHash +previousTokenHash');
+
+  if (!session || !session.isActive) {
+    throw new AppError(SESSION_ENDED_MESSAGE, 401);
+  }
+
+  const presentedHash = hashToken(refreshToken);
+
+  if (presentedHash !== session.refreshTokenHash) {
+    const isPrevious = presentedHash === session.previousTokenHash;
+    const withinGrace = session.rotatedAt && Date.now() - session.rotatedAt.getTime() < REFRESH_REUSE_GRACE_MS;
+
+    if (isPrevious && !withinGrace) {
+      // A replaced token came back - assume it was stolen
+      await revokeSessionRecord(session._id, 'token_reuse');
+      logger.warn('Refresh token reuse detected, session revoked', {
+        sessionId: session._id,
+        userId: session.user,
+        ip,
+      });
+    }
+
+    throw new AppError(SESSION_ENDED_MESSAGE, 401);
+  }
+
+  const user = await User.findById(session.user).select('isActive');
+
+  if (!user || !user.isActive) {
+    await revokeSessionRecord(session._id, 'removed');
+    throw new AppError(SESSION_ENDED_MESSAGE, 401);
+  }
+
+  const nextToken = generateRefreshToken(session._id);
+  const now = new Date();
+
+  // Conditional on the current hash: of two simultaneous refreshes only
+  // one can win
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextToken),
+        previousTokenHash: presentedHash,
+        rotatedAt: now,
+        lastUsedAt: now,
+        expiresAt: new Date(now.getTime() + getRefreshTokenTtlMs()),
+        ...(ip && { ip }),
+      },
+    }
+  );
+
+  if (!rotated) {
+    throw new AppError(SESSION_ENDED_MESSAGE, 401);
+  }
+
+  return {
+    token: signAccessToken(session.user, session._id),
+    refreshToken: nextToken,
+  };
+};
+
+/**
+ * verifySession()
+ *
+ * WHAT: Checks that the session of an access token is still active
+ *
+ * CALLED BY: protect() middleware, on every authenticated request
+ * INPUT: sessionId (the token's sid), userId (the token's id)
+ * OUTPUT: true / false
+ */
+const verifySession = async (sessionId, userId) => {
+  const session = await Session.findById(sessionId).select('user revokedAt expiresAt lastUsedAt');
+
+  if (!session || !session.isActive || session.user.toString() !== userId.toString()) {
+    return false;
+  }
+
+  if (Date.now() - session.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS) {
+    Session.updateOne({ _id: session._id }, { $set: { lastUsedAt: new Date() } }).catch((error) => {
+      logger.warn('Failed to update session lastUsedAt', { sessionId, error: error.message });
+    });
+  }
+
+  return true;
+};
+
+/**
+ * revokeSessionRecord()
+ *
+ * WHAT: Marks one session as revoked (no ownership check)
+ */
+const revokeSessionRecord = async (sessionId, reason) => {
+  await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+/**
+ * listSessions()
+ *
+ * WHAT: The user's active sessions, most recently used first
+ *
+ * CALLED BY: AuthController.getSessions()
+ * INPUT: userId, currentSessionId (flagged as current: true)
+ * OUTPUT: [{ id, device, ip, createdAt, lastUsedAt, expiresAt, current }]
+ */
+const listSessions = async (userId, currentSessionId) => {
+  const sessions = await Session.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastUsedAt: -1 });
+
+  return sessions.map((session) => ({
+    id: session._id,
+    device: session.device,
+    ip: session.ip,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    expiresAt: session.expiresAt,
+    current: session._id.toString() === String(currentSessionId),
+  }));
+};
+
+/**
+ * revokeSession()
+ *
+ * WHAT: Signs out one of the user's own sessions
+ *
+ * CALLED BY: AuthController.revokeSession(), logout()
+ * INPUT: sessionId, userId, reason
+ */
+const revokeSession = async (sessionId, userId, reason = 'revoked') => {
+  const result = await Session.updateOne(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+  if (result.matchedCount === 0) {
+    throw new AppError('Session not found.', 404);
+  }
+
+  logger.info('Session revoked', { sessionId, userId, reason });
+};
+
+/**
+ * revokeAllSessions()
+ *
+ * WHAT: Signs out every session of a user, optionally keeping one
+ *
+ * CALLED BY: AuthController.revokeAllSessions() ("sign out everywhere"),
+ *            AuthService.changePassword(),
+ *            OrganizationService.removeUserFromOrganization()
+ * INPUT: userId, { except (session id to keep), reason }
+ * OUTPUT: Number of revoked sessions
+ */
+const revokeAllSessions = async (userId, { except = null, reason = 'revoked' } = {}) => {
+  const filter = { user: userId, revokedAt: null };
+  if (except) {
+    filter._id = { $ne: except };
+  }
+
+  const result = await Session.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedReason: reason },
+  });
+
+  logger.info('Sessions revoked', { userId, count: result.modifiedCount, reason });
+  return result.modifiedCount;
+};
+
+module.exports = {
+  issueTokens,
+  signAccessToken,
+  refreshSession,
+  verifySession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+  describeDevice,
+  LAST_USED_RESOLUTION_MS,
+};
@@ -0,0 +1,714 @@
+/**
+ * =============================================================================
+ * SSO SERVICE - OPENID CONNECT SINGLE SIGN-ON PER ORGANIZATION
+ * =============================================================================
+ *
+ * WHAT IS THIS FILE?
+ * Lets an organization's members sign in through the company's identity
+ * provider (Okta, Azure AD / Entra ID, Google Workspace, Keycloak, ...)
+ * instead of keeping another password here.
+ *
+ * THE FLOW (authorization code + PKCE):
+ *
+ *   Login page          Backend                        Identity provider
+ *   ----------          -------                        -----------------
+ *   "Sign in with SSO" → startLogin()
+ *                        state, nonce, PKCE verifier
+ *                        saved (SsoLogin)
+ *                      ← authorization URL
+ *   browser goes to the provider ───────────────────→  user signs in
+ *   /sso/callback?code&state  ←────────────────────── redirect back
+ *   POST code + state  → completeLogin()
+ *                        code + verifier  ──────────→  token endpoint
+ *                        ID token         ←──────────
+ *                        verify signature (JWKS), issuer,
+ *                        audience, expiry and nonce
+ *                        find or create the user
+ *                      ← our own session tokens (AuthService)
+ *
+ * PROVISIONING:
+ * The first login creates the user ("just in time") with the
+ * organization's default role - or the role mapped from a claim.
+ * Later logins find the user by the provider's subject id (`sub`), and
+ * only change the role when the organization turned on syncRoleOnLogin.
+ *
+ * An existing password account is linked by email only when the
+ * provider says the email is verified - and never the owner's account.
+ *
+ * The provider's endpoints come from its discovery document
+ * ({issuer}/.well-known/openid-configuration), cached for a few minutes.
+ *
+ * =============================================================================
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Organization, SsoLogin, User } = require('../models');
+const { AppError } = require('../middlewares/errorHandler');
+const logger = require('../utils/logger');
+const { encryptSecret, decryptSecret } = require('../utils/secretBox');
+const { escapeRegex } = require('../utils/escapeRegex');
+const emailVerificationService = require('./emailVerification.service');
+
+// How long the user has to finish signing in at the provider
+const SSO_LOGIN_EXPIRES_MINUTES = parseInt(process.env.SSO_LOGIN_EXPIRES_MINUTES) || 10;
+
+// Discovery documents and signing keys are cached this long
+const METADATA_CACHE_MS = 10 * 60 * 1000;
+
+// Requests to the provider give up after this long
+const PROVIDER_TIMEOUT_MS = 10000;
+
+// ID token signature algorithms we accept (never "none")
+const ASYMMETRIC_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+const SYMMETRIC_ALGORITHMS = ['HS256', 'HS384', 'HS512'];
+
+const discoveryCache = new Map(); // issuer → { config, expiresAt }
+const jwksCache = new Map(); // jwks_uri → { keys, expiresAt }
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+const normalizeIssuer = (issuer) => String(issuer || '').trim().replace(/\/+$/, '');
+
+const randomToken = () => crypto.randomBytes(32).toString('base64url');
+
+/**
+ * getRedirectUri()
+ *
+ * WHAT: Where the provider sends the browser back to
+ *
+ * It's the frontend's /sso/callback page (the SPA keeps its tokens in
+ * the browser). Admins register this URL at their provider.
+ */
+const getRedirectUri = () => {
+  const frontendUrl = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/+$/, '');
+  return `${frontendUrl}/sso/callback`;
+};
+
+/**
+ * fetchJson()
+ *
+ * WHAT: Calls the identity provider and parses the JSON answer
+ *
+ * Errors become AppError 502 with the provider's error description,
+ * so admins see what went wrong with their configuration.
+ */
+const fetchJson = async (url, options = {}) => {
+  let response;
+  try {
+    response = await fetch(url, { ...options, signal: AbortSignal.timeout(PROVIDER_TIMEOUT_MS) });
+  } catch (error) {
+    throw new AppError(`The identity provider could not be reached (${url}).`, 502);
+  }
+
+  const body = await response.json().catch(() => null);
+
+  if (!response.ok) {
+    const detail = body?.error_description || body?.error || `HTTP ${response.status}`;
+    throw new AppError(`The identity provider rejected the request: ${detail}`, 502);
+  }
+  if (!body || typeof body !== 'object') {
+    throw new AppError('The identity provider sent an invalid response.', 502);
+  }
+
+  return body;
+};
+
+/**
+ * discover()
+ *
+ * WHAT: The provider's endpoints, from its discovery document
+ *
+ * INPUT: issuer URL
+ * OUTPUT: { issuer, authorization_endpoint, token_endpoint, jwks_uri, userinfo_endpoint?, ... }
+ */
+const discover = async (issuer) => {
+  const normalized = normalizeIssuer(issuer);
+  const cached = discoveryCache.get(normalized);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.config;
+  }
+
+  const config = await fetchJson(`${normalized}/.well-known/openid-configuration`);
+
+  if (!config.authorization_endpoint || !config.token_endpoint || !config.jwks_uri) {
+    throw new AppError('The identity provider\'s discovery document is incomplete.', 502);
+  }
+  // The document must describe the issuer we asked for (ID tokens are checked against it)
+  if (normalizeIssuer(config.issuer) !== normalized) {
+    throw new AppError(`The identity provider says its issuer is "${config.issuer}", not "${issuer}".`, 502);
+  }
+
+  discoveryCache.set(normalized, { config, expiresAt: Date.now() + METADATA_CACHE_MS });
+  return config;
+};
+
+/**
+ * getSigningKey()
+ *
+ * WHAT: The public key that signed an ID token, from the provider's JWKS
+ *
+ * Providers rotate keys - an unknown key id refreshes the cached set once.
+ */
+const getSigningKey = async (jwksUri, kid) => {
+  const findKey = (keys) => keys.find((key) => (kid ? key.kid === kid : key.use !== 'enc'));
+
+  const cached = jwksCache.get(jwksUri);
+  let key = cached && cached.expiresAt > Date.now() ? findKey(cached.keys) : null;
+
+  if (!key) {
+    const { keys = [] } = await fetchJson(jwksUri);
+    jwksCache.set(jwksUri, { keys, expiresAt: Date.now() + METADATA_CACHE_MS });
+    key = findKey(keys);
+  }
+
+  if (!key) {
+    throw new AppError('The ID token was signed with an unknown key.', 401);
+  }
+
+  return crypto.createPublicKey({ key, format: 'jwk' });
+};
+
+/**
+ * claimValue()
+ *
+ * WHAT: A claim by name, dotted paths allowed ("realm_access.roles")
+ */
+const claimValue = (claims, path) => {
+  if (!path) return undefined;
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), claims);
+};
+
+/**
+ * nameOr() - A claim usable as a name (2-50 characters), or the fallback
+ */
+const nameOr = (value, fallback) => {
+  const name = typeof value === 'string' ? value.trim().slice(0, 50) : '';
+  return name.length >= 2 ? name : fallback;
+};
+
+/**
+ * findSsoOrganization()
+ *
+ * WHAT: The active organization with SSO set up, by name or slug
+ */
+const findSsoOrganization = async (identifier) => {
+  const organization = await Organization.findBySlug(identifier)
+    || await Organization.findByName(escapeRegex(identifier));
+
+  if (!organization) {
+    throw new AppError('Organization not found.', 404);
+  }
+  if (!organization.sso?.enabled) {
+    throw new AppError('Single sign-on is not set up for this organization.', 400);
+  }
+
+  return organization;
+};
+
+// =============================================================================
+// LOGIN FLOW
+// =============================================================================
+
+/**
+ * startLogin()
+ *
+ * WHAT: Starts an SSO sign-in - returns the provider URL to go to
+ *
+ * FLOW:
+ * 1. Find the organization and its provider endpoints
+ * 2. Create state, nonce and the PKCE verifier; save them (SsoLogin)
+ * 3. Build the authorization URL with the PKCE challenge (S256)
+ *
+ * CALLED BY: AuthController.startSso()
+ * INPUT: organization (name or slug)
+ * OUTPUT: { authorizationUrl, organization: { name } }
+ */
+const startLogin = async (organizationIdentifier) => {
+  const organization = await findSsoOrganization(organizationIdentifier);
+  const config = await discover(organization.sso.issuer);
+
+  const state = randomToken();
+  const nonce = randomToken();
+  const codeVerifier = randomToken();
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+  const redirectUri = getRedirectUri();
+
+  await SsoLogin.create({
+    organization: organization._id,
+    state,
+    nonce,
+    codeVerifier,
+    redirectUri,
+    expiresAt: new Date(Date.now() + SSO_LOGIN_EXPIRES_MINUTES * 60 * 1000),
+  });
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: organization.sso.clientId,
+    redirect_uri: redirectUri,
+    scope: organization.sso.scopes || 'openid email profile',
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256',
+  });
+
+  const separator = config.authorization_endpoint.includes('?') ? '&' : '?';
+
+  return {
+    authorizationUrl: `${config.authorization_endpoint}${separator}${params}`,
+    organization: { name: organization.name },
+  };
+};
+
+/**
+ * exchangeCode()
+ *
+ * WHAT: Trades the authorization code (+ PKCE verifier) for tokens
+ *
+ * CLIENT AUTHENTICATION:
+ * HTTP Basic (the OIDC default) unless the provider only lists
+ * client_secret_post.
+ */
+const exchangeCode = async (config, sso, code, login) => {
+  const clientSecret = sso.clientSecret ? decryptSecret(sso.clientSecret) : '';
+  const methods = config.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+  const useBasic = Boolean(clientSecret) && methods.includes('client_secret_basic');
+
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: login.redirectUri,
+    code_verifier: login.codeVerifier,
+    client_id: sso.clientId,
+  });
+  const headers = {
+    'Content-Type': 'application/x-www-form-urlencoded',
+    Accept: 'application/json',
+  };
+
+  if (useBasic) {
+    const credentials = `${encodeURIComponent(sso.clientId)}:${encodeURIComponent(clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  } else if (clientSecret) {
+    body.set('client_secret', clientSecret);
+  }
+
+  const tokens = await fetchJson(config.token_endpoint, { method: 'POST', headers, body });
+
+  if (!tokens.id_token) {
+    throw new AppError('The identity provider did not return an ID token. Is the "openid" scope set?', 502);
+  }
+
+  return { tokens, clientSecret };
+};
+
+/**
+ * verifyIdToken()
+ *
+ * WHAT: Checks the ID token and returns its claims
+ *
+ * CHECKS:
+ * - Signature: provider key from JWKS (or the client secret for HS*)
+ * - iss = the provider, aud includes our client id, not expired
+ * - nonce = the one saved when the login started
+ */
+const verifyIdToken = async (idToken, config, clientId, clientSecret, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  const algorithm = decoded?.header?.alg;
+
+  let key;
+  if (ASYMMETRIC_ALGORITHMS.includes(algorithm)) {
+    key = await getSigningKey(config.jwks_uri, decoded.header.kid);
+  } else if (SYMMETRIC_ALGORITHMS.includes(algorithm) && clientSecret) {
+    key = clientSecret;
+  } else {
+    throw new AppError(`ID token algorithm "${algorithm}" is not supported.`, 401);
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: [algorithm],
+      issuer: config.issuer,
+      audience: clientId,
+      clockTolerance: 60,
+    });
+  } catch (error) {
+    throw new AppError(`The ID token is not valid: ${error.message}`, 401);
+  }
+
+  if (claims.nonce !== nonce) {
+    throw new AppError('The ID token does not belong to this sign-in.', 401);
+  }
+  if (!claims.sub) {
+    throw new AppError('The ID token has no subject.', 401);
+  }
+
+  return claims;
+};
+
+/**
+ * fetchUserInfo()
+ *
+ * WHAT: Extra claims from the userinfo endpoint
+ *
+ * Some providers keep the ID token small and put profile claims
+ * (department, groups) only here. Failures are logged, not fatal.
+ */
+const fetchUserInfo = async (config, accessToken, subject) => {
+  if (!config.userinfo_endpoint || !accessToken) return {};
+
+  try {
+    const userInfo = await fetchJson(config.userinfo_endpoint, {
+      headers: { Authorization: `Bearer ${accessToken}`, Accept: 'application/json' },
+    });
+    // Must describe the same user as the ID token
+    return userInfo.sub === subject ? userInfo : {};
+  } catch (error) {
+    logger.warn('SSO userinfo request failed', { error: error.message });
+    return {};
+  }
+};
+
+/**
+ * resolveRole()
+ *
+ * WHAT: The organization role for the role claim, or null
+ *
+ * ORDER: roleMapping entry → value equal to a role key → null
+ * (null = default role for new users, unchanged for existing ones)
+ */
+const resolveRole = (organization, claims) => {
+  const value = claimValue(claims, organization.sso.claims?.role);
+  if (value == null) return null;
+
+  const values = (Array.isArray(value) ? value : [value]).map(String);
+  const mapping = organization.sso.roleMapping || new Map();
+
+  const mapped = values
+    .map((candidate) => mapping.get(candidate))
+    .find((roleKey) => roleKey && organization.getRole(roleKey));
+  if (mapped) return mapped;
+
+  return values.find((candidate) => organization.getRole(candidate)) || null;
+};
+
+/**
+ * provisionUser()
+ *
+ * WHAT: Finds or creates the user for verified SSO claims
+ *
+ * FLOW:
+ * 1. Match on the subject id, then on email (linking an existing
+ *    password account on its first SSO login)
+ * 2. Existing user: keep the department in sync; the role only with
+ *    syncRoleOnLogin (never the owner's)
+ * 3. New user: create with the mapped (or default) role and a random
+ *    password they never see
+ *
+ * LINKING BY EMAIL:
+ * Whoever controls the provider could otherwise take over any account
+ * by sending its email address. So linking needs email_verified: true
+ * (a missing claim is not enough), the account must not be linked to
+ * another subject already, and the organization owner's account is
+ * never linked.
+ *
+ * INPUT: organization (with sso), claims (ID token + userinfo)
+ * OUTPUT: User document
+ */
+const provisionUser = async (organization, claims) => {
+  const mapping = organization.sso.claims || {};
+  const email = String(claimValue(claims, mapping.email || 'email') || '').trim().toLowerCase();
+
+  if (!email) {
+    throw new AppError('The identity provider did not send an email address.', 400);
+  }
+  if (claims.email_verified === false) {
+    throw new AppError('Your email address is not verified at the identity provider.', 403);
+  }
+
+  const departmentClaim = claimValue(claims, mapping.department);
+  const department = Array.isArray(departmentClaim) ? departmentClaim[0] : departmentClaim;
+  const orgRole = resolveRole(organization, claims);
+
+  const isOwner = (candidate) => organization.owner?.toString() === candidate._id.toString();
+
+  let user = await User.findOne({ organization: organization._id, ssoSubject: claims.sub });
+  if (!user) {
+    user = await User.findOne({ email });
+    if (user && user.organization?.toString() !== organization._id.toString()) {
+      throw new AppError('This email address belongs to an account in another organization.', 403);
+    }
+
+    if (user) {
+      if (isOwner(user)) {
+        throw new AppError('The organization owner signs in with their password.', 403);
+      }
+      if (user.ssoSubject) {
+        throw new AppError('This account is already linked to another identity provider account.', 403);
+      }
+      if (claims.email_verified !== true) {
+        throw new AppError(
+          'Your identity provider did not confirm your email address, so it can\'t be linked to your existing account.',
+          403
+        );
+      }
+    }
+  }
+
+  if (user) {
+    if (!user.isActive) {
+      throw new AppError('Your account has been deactivated. Please contact support.', 401);
+    }
+
+    user.ssoSubject = claims.sub;
+    if (department) user.department = String(department).slice(0, 50);
+    if (orgRole && organization.sso.syncRoleOnLogin && !isOwner(user)) {
+      user.orgRole = orgRole;
+    }
+    user.lastLogin = new Date();
+    emailVerificationService.markVerified(user);
+    await user.save();
+
+    return user;
+  }
+
+  const maxUsers = organization.settings?.maxUsers ?? 0;
+  const userCount = organization.stats?.userCount ?? 0;
+  if (maxUsers > 0 && userCount >= maxUsers) {
+    throw new AppError('Organization has reached maximum user limit.', 403);
+  }
+
+  const [givenName, ...otherNames] = String(claims.name || '').trim().split(/\s+/);
+  const emailName = email.split('@')[0];
+
+  user = await User.create({
+    firstName: nameOr(claimValue(claims, mapping.firstName) || givenName, nameOr(emailName, 'SSO')),
+    lastName: nameOr(claimValue(claims, mapping.lastName) || otherNames.join(' '), 'User'),
+    email,
+    password: crypto.randomBytes(32).toString('hex'),
+    department: department ? String(department).slice(0, 50) : 'General',
+    organization: organization._id,
+    orgRole: orgRole || organization.defaultRole,
+    privileges: [],
+    isOrgAdmin: false,
+    authProvider: 'oidc',
+    ssoSubject: claims.sub,
+    emailVerified: true,
+    emailVerifiedAt: new Date(),
+    lastLogin: new Date(),
+  });
+
+  await organization.updateStats({
+    userCount: userCount + 1,
+  });
+
+  logger.info('User provisioned through SSO', {
+    userId: user._id,
+    orgId: organization._id,
+    role: user.orgRole,
+  });
+
+  return user;
+};
+
+/**
+ * completeLogin()
+ *
+ * WHAT: Finishes an SSO sign-in from the callback's code and state
+ *
+ * FLOW:
+ * 1. Take (and delete) the saved login for the state - each works once
+ * 2. Exchange the code with the PKCE verifier
+ * 3. Verify the ID token, add userinfo claims
+ * 4. Find or create the user
+ *
+ * CALLED BY: AuthService.loginWithSso()
+ * INPUT: { code, state }
+ * OUTPUT: User document
+ */
+const completeLogin = async ({ code, state }) => {
+  const login = await SsoLogin.findOneAndDelete({ state, expiresAt: { $gt: new Date() } });
+
+  if (!login) {
+    throw new AppError('This sign-in has expired or was already used. Please start again.', 400);
+  }
+
+  const organization = await Organization.findById(login.organization).select('+sso.clientSecret');
+
+  if (!organization || !organization.isActive || !organization.sso?.enabled) {
+    throw new AppError('Single sign-on is not set up for this organization.', 400);
+  }
+
+  const config = await discover(organization.sso.issuer);
+  const { tokens, clientSecret } = await exchangeCode(config, organization.sso, code, login);
+  const idClaims = await verifyIdToken(
+    tokens.id_token,
+    config,
+    organization.sso.clientId,
+    clientSecret,
+    login.nonce
+  );
+  const userInfo = await fetchUserInfo(config, tokens.access_token, idClaims.sub);
+
+  const user = await provisionUser(organization, { ...userInfo, ...idClaims });
+
+  logger.info('User logged in through SSO', { userId: user._id, orgId: organization._id });
+
+  return user;
+};
+
+// =============================================================================
+// ADMIN CONFIGURATION
+// =============================================================================
+
+/**
+ * formatSsoSettings()
+ *
+ * WHAT: The SSO settings as the admin UI sees them (no client secret)
+ */
+const formatSsoSettings = (organization, hasClientSecret) => {
+  const sso = organization.sso || {};
+  return {
+    enabled: Boolean(sso.enabled),
+    issuer: sso.issuer || '',
+    clientId: sso.clientId || '',
+    hasClientSecret,
+    scopes: sso.scopes || 'openid email profile',
+    claims: {
+      email: sso.claims?.email || 'email',
+      firstName: sso.claims?.firstName || 'given_name',
+      lastName: sso.claims?.lastName || 'family_name',
+      department: sso.claims?.department || '',
+      role: sso.claims?.role || '',
+    },
+    roleMapping: Object.fromEntries(sso.roleMapping || []),
+    syncRoleOnLogin: Boolean(sso.syncRoleOnLogin),
+    passwordLoginDisabled: Boolean(sso.passwordLoginDisabled),
+    redirectUri: getRedirectUri(),
+  };
+};
+
+/**
+ * getSsoSettings()
+ *
+ * CALLED BY: OrganizationController.getSsoSettings()
+ * INPUT: orgId
+ * OUTPUT: See formatSsoSettings()
+ */
+const getSsoSettings = async (orgId) => {
+  const organization = await Organization.findById(orgId).select('+sso.clientSecret');
+
+  if (!organization) {
+    throw new AppError('Organization not found.', 404);
+  }
+
+  return formatSsoSettings(organization, Boolean(organization.sso?.clientSecret));
+};
+
+/**
+ * updateSsoSettings()
+ *
+ * WHAT: Saves the organization's SSO configuration
+ *
+ * RULES:
+ * - clientSecret is write-only: '' or missing keeps the stored one
+ * - Enabling needs an issuer and client id, and the issuer's discovery
+ *   document must load - mistakes show up now, not at the next login
+ * - Roles in roleMapping must exist
+ * - Password login can only be disabled while SSO is enabled
+ *
+ * CALLED BY: OrganizationController.updateSsoSettings()
+ * INPUT: orgId, updates, userId (who changed it)
+ * OUTPUT: See formatSsoSettings()
+ */
+const updateSsoSettings = async (orgId, updates, userId) => {
+  const organization = await Organization.findById(orgId).select('+sso.clientSecret');
+
+  if (!organization) {
+    throw new AppError('Organization not found.', 404);
+  }
+
+  const sso = organization.sso;
+
+  ['enabled', 'issuer', 'clientId', 'scopes', 'syncRoleOnLogin', 'passwordLoginDisabled'].forEach((field) => {
+    if (updates[field] !== undefined) {
+      sso[field] = field === 'issuer' ? normalizeIssuer(updates[field]) : updates[field];
+    }
+  });
+
+  if (updates.claims) {
+    Object.entries(updates.claims).forEach(([field, claim]) => {
+      sso.claims[field] = claim;
+    });
+  }
+
+  if (updates.roleMapping) {
+    const invalidRoles = Object.values(updates.roleMapping).filter((roleKey) => !organization.getRole(roleKey));
+    if (invalidRoles.length > 0) {
+      throw new AppError(`Unknown roles in role mapping: ${invalidRoles.join(', ')}`, 400);
+    }
+    sso.roleMapping = new Map(Object.entries(updates.roleMapping));
+  }
+
+  if (updates.clientSecret) {
+    sso.clientSecret = encryptSecret(updates.clientSecret);
+  }
+
+  if (sso.enabled) {
+    if (!sso.issuer || !sso.clientId) {
+      throw new AppError('An issuer URL and a client ID are required to enable single sign-on.', 400);
+    }
+    // Throws with the provider's problem if the issuer is wrong
+    discoveryCache.delete(sso.issuer);
+    await discover(sso.issuer);
+  } else if (sso.passwordLoginDisabled) {
+    throw new AppError('Password login can only be turned off while single sign-on is enabled.', 400);
+  }
+
+  await organization.save();
+
+  logger.info('SSO settings updated', {
+    orgId: organization._id,
+    updatedBy: userId,
+    enabled: sso.enabled,
+    passwordLoginDisabled: sso.passwordLoginDisabled,
+  });
+
+  return formatSsoSettings(organization, Boolean(sso.clientSecret));
+};
+
+/**
+ * isPasswordLoginDisabled()
+ *
+ * WHAT: Whether a user must sign in through SSO
+ *
+ * The organization owner always keeps password login (break-glass
+ * access when the provider is misconfigured or down).
+ *
+ * CALLED BY: AuthService.login()
+ */
+const isPasswordLoginDisabled = async (user) => {
+  if (!user.organization) return false;
+
+  const organization = await Organization.findById(user.organization).select('owner sso.enabled sso.passwordLoginDisabled');
+  if (!organization?.sso?.enabled || !organization.sso.passwordLoginDisabled) return false;
+
+  return organization.owner?.toString() !== user._id.toString();
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  startLogin,
+  completeLogin,
+  getSsoSettings,
+  updateSsoSettings,
+  isPasswordLoginDisabled,
+};
@@ -0,0 +1,248 @@
+/**
+ * =============================================================================
+ * SUGGESTION SERVICE - POPULAR SEARCHES AND SEARCH-AS-YOU-TYPE
+ * =============================================================================
+ *
+ * WHAT IS THIS FILE?
+ * - getPopularSearches(): what colleagues search for most
+ * - getSuggestions(): typeahead while the user types
+ *
+ * SCOPING (both functions):
+ * - Organization: only queries and documents of the caller's organization
+ * - Document access: titles and tags only come from documents the caller
+ *   may open (ai.service buildAccessFilter), and a query is only suggested
+ *   if at least one document it found is one of those. Otherwise a query
+ *   like "layoff plan q3" would leak the existence of a private document.
+ *
+ * TYPEAHEAD SOURCES:
+ * - Past queries of the organization starting with the typed text
+ * - Document titles containing a word starting with it (suggestTerms index)
+ * - Tags starting with it
+ *
+ * RANKING:
+ * score = log2(1 + frequency) × recency × (1.5 if the text itself starts
+ * with the typed text, not only a later word)
+ * - frequency: times asked (query), views (title), documents (tag)
+ * - recency: halves every RECENCY_HALF_LIFE_DAYS since last use/update
+ *
+ * =============================================================================
+ */
+
+const { Document, QueryLog } = require('../models');
+const { buildAccessFilter } = require('./ai.service');
+const logger = require('../utils/logger');
+const { escapeRegex } = require('../utils/escapeRegex');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Queries older than this are not suggested any more
+const QUERY_HISTORY_DAYS = 90;
+const RECENCY_HALF_LIFE_DAYS = 30;
+// Candidates read per source before ranking
+const CANDIDATE_LIMIT = 50;
+const DEFAULT_SUGGESTION_LIMIT = 8;
+// Documents updated per write during the suggestTerms backfill
+const BACKFILL_BATCH_SIZE = 500;
+
+/**
+ * accessFilterFor()
+ *
+ * WHAT: The document filter for a caller { userId, userRole, userDepartment, organizationId }
+ */
+const accessFilterFor = (context) => buildAccessFilter({
+  organizationId: context.organizationId,
+  userRole: context.userRole,
+  userDepartment: context.userDepartment,
+  userId: context.userId,
+});
+
+/**
+ * keepAccessibleQueries()
+ *
+ * WHAT: Drops queries whose results the caller can't open
+ *
+ * INPUT: candidates from QueryLog.getQueryCandidates(), caller context
+ * OUTPUT: The candidates with at least one accessible document
+ */
+const keepAccessibleQueries = async (candidates, context) => {
+  const documentIds = [...new Set(
+    candidates.flatMap((candidate) => candidate.documentIds.map((id) => id.toString()))
+  )];
+
+  if (documentIds.length === 0) {
+    return [];
+  }
+
+  const accessible = new Set(
+    (await Document.distinct('_id', { ...accessFilterFor(context), _id: { $in: documentIds } }))
+      .map((id) => id.toString())
+  );
+
+  return candidates.filter((candidate) =>
+    candidate.documentIds.some((id) => accessible.has(id.toString()))
+  );
+};
+
+const recency = (date) => {
+  const ageDays = Math.max(0, (Date.now() - new Date(date).getTime()) / DAY_MS);
+  return 0.5 ** (ageDays / RECENCY_HALF_LIFE_DAYS);
+};
+
+const score = ({ frequency, lastUsed, text }, prefix) => {
+  const leading = text.toLowerCase().startsWith(prefix) ? 1.5 : 1;
+  return Math.log2(1 + frequency) * recency(lastUsed) * leading;
+};
+
+/**
+ * getPopularSearches()
+ *
+ * WHAT: The organization's most frequent searches (last 90 days)
+ *
+ * CALLED BY: SearchController.getPopularSearches()
+ * INPUT: context { userId, userRole, userDepartment, organizationId }, limit
+ * OUTPUT: Array of { query, count, lastSearched }
+ */
+const getPopularSearches = async (context, limit = 10) => {
+  // Read extra candidates: some are dropped by the access check
+  const candidates = await QueryLog.getQueryCandidates(context.organizationId, {
+    queryTypes: ['search'],
+    since: new Date(Date.now() - QUERY_HISTORY_DAYS * DAY_MS),
+    limit: limit * 3,
+  });
+
+  const accessible = await keepAccessibleQueries(candidates, context);
+
+  return accessible.slice(0, limit).map((candidate) => ({
+    query: candidate.query,
+    count: candidate.count,
+    lastSearched: candidate.lastUsed,
+  }));
+};
+
+/**
+ * getSuggestions()
+ *
+ * WHAT: Typeahead suggestions for what the user has typed so far
+ *
+ * CALLED BY: SearchController.getSuggestions()
+ * INPUT: partialQuery, context { userId, userRole, userDepartment, organizationId }, limit
+ * OUTPUT: Array of { text, type: 'query' | 'document' | 'tag', documentId? }
+ */
+const getSuggestions = async (partialQuery, context, limit = DEFAULT_SUGGESTION_LIMIT) => {
+  const prefix = partialQuery.trim().toLowerCase().replace(/\s+/g, ' ');
+
+  if (prefix.length < 2) {
+    return [];
+  }
+
+  const [queries, documents] = await Promise.all([
+    QueryLog.getQueryCandidates(context.organizationId, {
+      prefix,
+      since: new Date(Date.now() - QUERY_HISTORY_DAYS * DAY_MS),
+      limit: CANDIDATE_LIMIT,
+    }),
+    Document.find({
+      ...accessFilterFor(context),
+      suggestTerms: { $regex: `^${escapeRegex(prefix)}` },
+    })
+      .sort({ viewCount: -1, updatedAt: -1 })
+      .limit(CANDIDATE_LIMIT)
+      .select('title tags viewCount updatedAt'),
+  ]);
+
+  const candidates = [];
+
+  (await keepAccessibleQueries(queries, context)).forEach((query) => {
+    candidates.push({ text: query.query, type: 'query', frequency: query.count, lastUsed: query.lastUsed });
+  });
+
+  const tags = new Map();
+  documents.forEach((document) => {
+    candidates.push({
+      text: document.title,
+      type: 'document',
+      documentId: document._id,
+      frequency: 1 + (document.viewCount || 0),
+      lastUsed: document.updatedAt,
+    });
+
+    document.tags
+      .filter((tag) => tag.startsWith(prefix))
+      .forEach((tag) => {
+        const entry = tags.get(tag) || { text: tag, type: 'tag', frequency: 0, lastUsed: document.updatedAt };
+        entry.frequency += 1;
+        if (document.updatedAt > entry.lastUsed) entry.lastUsed = document.updatedAt;
+        tags.set(tag, entry);
+      });
+  });
+  candidates.push(...tags.values());
+
+  // Same text from several sources: keep the best-scored one
+  const best = new Map();
+  candidates.forEach((candidate) => {
+    const ranked = { ...candidate, score: score(candidate, prefix) };
+    const key = candidate.text.toLowerCase();
+    if (!best.has(key) || best.get(key).score < ranked.score) {
+      best.set(key, ranked);
+    }
+  });
+
+  return [...best.values()]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ text, type, documentId }) => ({
+      text,
+      type,
+      ...(documentId && { documentId }),
+    }));
+};
+
+/**
+ * backfillSuggestTerms()
+ *
+ * WHAT: Fills suggestTerms for documents saved before typeahead existed
+ *
+ * New and edited documents get them from the Document pre-save hook;
+ * this catches up the rest once. Cheap when there is nothing to do.
+ *
+ * CALLED BY: server.js on startup
+ * OUTPUT: Number of updated documents
+ */
+const backfillSuggestTerms = async () => {
+  const cursor = Document.find({ suggestTerms: { $exists: false } }).select('title tags').lean().cursor();
+
+  let updated = 0;
+  let batch = [];
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+    await Document.bulkWrite(batch, { ordered: false });
+    updated += batch.length;
+    batch = [];
+  };
+
+  for await (const document of cursor) {
+    batch.push({
+      updateOne: {
+        filter: { _id: document._id },
+        update: { $set: { suggestTerms: Document.buildSuggestTerms(document.title, document.tags) } },
+      },
+    });
+    if (batch.length >= BACKFILL_BATCH_SIZE) {
+      await flush();
+    }
+  }
+  await flush();
+
+  if (updated > 0) {
+    logger.info('Typeahead terms backfilled', { documents: updated });
+  }
+
+  return updated;
+};
+
+module.exports = {
+  getPopularSearches,
+  getSuggestions,
+  backfillSuggestTerms,
+};
@@ -0,0 +1,494 @@
+/**
+ * =============================================================================
+ * TWO-FACTOR SERVICE - AUTHENTICATOR APP CODES AND RECOVERY CODES
+ * =============================================================================
+ *
+ * WHAT IS THIS FILE?
+ * A password alone protects accounts that can read HR and legal documents.
+ * Two-factor authentication (2FA) adds a second step: a 6-digit code from
+ * an authenticator app (TOTP, see utils/totp.js).
+ *
+ * SETUP:
+ * 1. beginSetup(): new secret → QR code / otpauth:// URI for the app
+ * 2. activate(): the user types a code from the app - proves the app
+ *    has the secret - and gets 10 one-time recovery codes (shown once)
+ *
+ * LOGIN (see AuthService.login):
+ *
+ *   password OK ──→ 2FA on? ──no──→ session tokens
+ *                      │yes
+ *                      ▼
+ *              challenge token (5 minutes, no access)
+ *                      │
+ *   code / recovery code ──→ verifyLoginCode() ──→ session tokens
+ *
+ * Organizations can require 2FA (settings.requireTwoFactor): members
+ * without it set it up with the challenge token during their next login.
+ *
+ * SECURITY:
+ * - Secrets are encrypted at rest (utils/secretBox.js)
+ * - Recovery codes are stored as SHA-256 hashes and removed when used
+ * - A code's time step is remembered - the same code works once
+ * - Wrong codes count as failed logins (5 → account locked 15 minutes)
+ *
+ * =============================================================================
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const { User, Organization } = require('../models');
+const { AppError } = require('../middlewares/errorHandler');
+const logger = require('../utils/logger');
+const totp = require('../utils/totp');
+const { encryptSecret, decryptSecret } = require('../utils/secretBox');
+
+// Name shown in authenticator apps
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'AIKSP';
+
+const RECOVERY_CODE_COUNT = 10;
+
+// How long the user has to enter the code after the password
+const CHALLENGE_EXPIRES_IN = '5m';
+const CHALLENGE_PURPOSE = 'two_factor';
+
+// The select: false fields of user.twoFactor
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * normalizeRecoveryCode() - Case, spaces and dashes don't matter
+ */
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[\s-]/g, '');
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+/**
+ * generateRecoveryCodes()
+ *
+ * OUTPUT: { codes: ['3f9a1-c21b7', ...] (show once), hashes (store) }
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+/**
+ * loadUser() - User with the 2FA secrets selected
+ */
+const loadUser = async (userId) => {
+  const user = await User.findById(userId).select(SECRET_FIELDS);
+
+  if (!user) {
+    throw new AppError('User not found.', 404);
+  }
+
+  return user;
+};
+
+/**
+ * checkCode()
+ *
+ * WHAT: Verifies an authenticator code against the user's secret
+ *
+ * On success the code's step is recorded on the user (saved by the
+ * caller), so the same code can't be replayed.
+ *
+ * OUTPUT: true / false
+ */
+const checkCode = (user, secretField, code) => {
+  const encrypted = user.twoFactor[secretField];
+  if (!encrypted) return false;
+
+  const step = totp.verifyCode(decryptSecret(encrypted), code, {
+    afterStep: user.twoFactor.lastUsedStep,
+  });
+  if (step === null) return false;
+
+  user.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+/**
+ * useRecoveryCode()
+ *
+ * WHAT: Spends a recovery code (atomically - it works once, even when
+ *       two requests race)
+ *
+ * OUTPUT: true if the code was valid and is now used up
+ */
+const useRecoveryCode = async (user, recoveryCode) => {
+  const hash = hashRecoveryCode(recoveryCode);
+
+  const result = await User.updateOne(
+    { _id: user._id, 'twoFactor.recoveryCodes': hash },
+    { $pull: { 'twoFactor.recoveryCodes': hash } }
+  );
+  if (result.modifiedCount !== 1) return false;
+
+  user.twoFactor.recoveryCodes = user.twoFactor.recoveryCodes.filter((stored) => stored !== hash);
+  logger.info('2FA recovery code used', {
+    userId: user._id,
+    remaining: user.twoFactor.recoveryCodes.length,
+  });
+  return true;
+};
+
+// =============================================================================
+// LOGIN CHALLENGE
+// =============================================================================
+
+/**
+ * isRequired()
+ *
+ * WHAT: Whether the user's organization requires two-factor authentication
+ */
+const isRequired = async (user) => {
+  if (!user.organization) return false;
+
+  const organization = await Organization.findById(user.organization).select('settings.requireTwoFactor');
+  return Boolean(organization?.settings?.requireTwoFactor);
+};
+
+/**
+ * createChallenge()
+ *
+ * WHAT: The second login step, after a correct password
+ *
+ * The challenge token is a short JWT with a purpose claim and no session
+ * id - the protect middleware never accepts it as an access token.
+ *
+ * CALLED BY: AuthService.login(), AuthService.loginWithSso()
+ * OUTPUT: { twoFactorRequired: true, setupRequired, twoFactorToken }
+ */
+const createChallenge = (user) => ({
+  twoFactorRequired: true,
+  setupRequired: !user.twoFactor?.enabled,
+  twoFactorToken: jwt.sign(
+    { id: user._id, purpose: CHALLENGE_PURPOSE },
+    process.env.JWT_SECRET,
+    { expiresIn: CHALLENGE_EXPIRES_IN }
+  ),
+});
+
+/**
+ * resolveChallenge()
+ *
+ * WHAT: The user a challenge token belongs to
+ *
+ * THROWS: 401 when the token is invalid, expired, or older than the
+ *         user's last password change
+ */
+const resolveChallenge = async (twoFactorToken) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(twoFactorToken, process.env.JWT_SECRET);
+  } catch (error) {
+    decoded = null;
+  }
+
+  if (!decoded || decoded.purpose !== CHALLENGE_PURPOSE) {
+    throw new AppError('Your sign-in has expired. Please sign in again.', 401);
+  }
+
+  const user = await User.findById(decoded.id).select(SECRET_FIELDS);
+
+  if (!user || !user.isActive || user.changedPasswordAfter(decoded.iat)) {
+    throw new AppError('Your sign-in has expired. Please sign in again.', 401);
+  }
+
+  return user;
+};
+
+/**
+ * verifyLoginCode()
+ *
+ * WHAT: Checks the second login step for a user with 2FA on
+ *
+ * INPUT: user (from resolveChallenge), { code } or { recoveryCode }
+ * THROWS: 401 on a wrong code
+ */
+const verifyLoginCode = async (user, { code, recoveryCode }) => {
+  if (recoveryCode) {
+    if (await useRecoveryCode(user, recoveryCode)) return;
+    throw new AppError('Invalid recovery code.', 401);
+  }
+
+  if (!checkCode(user, 'secret', code)) {
+    throw new AppError('Invalid authentication code.', 401);
+  }
+
+  await user.save();
+};
+
+// =============================================================================
+// SETUP
+// =============================================================================
+
+/**
+ * beginSetup()
+ *
+ * WHAT: Starts (or restarts) setting up an authenticator app
+ *
+ * The new secret stays pending until activate() confirms a code - an
+ * abandoned setup never locks anyone out.
+ *
+ * CALLED BY: TwoFactor endpoints (signed in, or with a challenge token
+ *            when the organization requires 2FA)
+ * INPUT: user (with SECRET_FIELDS)
+ * OUTPUT: { secret, otpauthUrl, qrCode (PNG data URL) }
+ */
+const beginSetup = async (user) => {
+  if (user.twoFactor.enabled) {
+    throw new AppError('Two-factor authentication is already on.', 400);
+  }
+
+  const secret = totp.generateSecret();
+  const otpauthUrl = totp.buildOtpauthUrl({
+    secret,
+    issuer: TWO_FACTOR_ISSUER,
+    account: user.email,
+  });
+
+  user.twoFactor.pendingSecret = encryptSecret(secret);
+  await user.save();
+
+  return {
+    secret,
+    otpauthUrl,
+    qrCode: await QRCode.toDataURL(otpauthUrl, { margin: 1, width: 200 }),
+  };
+};
+
+/**
+ * activate()
+ *
+ * WHAT: Turns 2FA on after a code from the app proves the setup worked
+ *
+ * INPUT: user (with SECRET_FIELDS), code
+ * OUTPUT: recoveryCodes (plain - show them once), or null on a wrong code
+ * THROWS: 400 when already on or without a pending setup
+ */
+const activate = async (user, code) => {
+  if (user.twoFactor.enabled) {
+    throw new AppError('Two-factor authentication is already on.', 400);
+  }
+  if (!user.twoFactor.pendingSecret) {
+    throw new AppError('Set up your authenticator app first.', 400);
+  }
+  if (!checkCode(user, 'pendingSecret', code)) {
+    return null;
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = null;
+  user.twoFactor.recoveryCodes = hashes;
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  await user.save();
+
+  logger.info('2FA enabled', { userId: user._id });
+
+  return codes;
+};
+
+const WRONG_SETUP_CODE = 'Invalid authentication code. Check the time on your device and try again.';
+
+/**
+ * enableAtLogin()
+ *
+ * WHAT: Finishes the setup required by the organization, during login
+ *
+ * THROWS: 401 on a wrong code (a failed login attempt)
+ */
+const enableAtLogin = async (user, code) => {
+  const recoveryCodes = await activate(user, code);
+  if (!recoveryCodes) {
+    throw new AppError(WRONG_SETUP_CODE, 401);
+  }
+  return recoveryCodes;
+};
+
+// =============================================================================
+// SIGNED-IN MANAGEMENT
+// =============================================================================
+
+/**
+ * getStatus()
+ *
+ * CALLED BY: AuthController.getTwoFactorStatus()
+ * OUTPUT: { enabled, enabledAt, recoveryCodesLeft, required }
+ */
+const getStatus = async (userId) => {
+  const user = await loadUser(userId);
+
+  return {
+    enabled: user.twoFactor.enabled,
+    enabledAt: user.twoFactor.enabledAt,
+    recoveryCodesLeft: user.twoFactor.enabled ? user.twoFactor.recoveryCodes.length : 0,
+    required: await isRequired(user),
+  };
+};
+
+/**
+ * startSetup() - beginSetup() for the signed-in user
+ */
+const startSetup = async (userId) => beginSetup(await loadUser(userId));
+
+/**
+ * confirmSetup()
+ *
+ * WHAT: Turns 2FA on for the signed-in user
+ *
+ * NOTE: Mistakes in these signed-in requests are 400s - a 401 would
+ * make the frontend treat the session as expired.
+ *
+ * OUTPUT: recoveryCodes (plain - show them once)
+ */
+const confirmSetup = async (userId, code) => {
+  const recoveryCodes = await activate(await loadUser(userId), code);
+  if (!recoveryCodes) {
+    throw new AppError(WRONG_SETUP_CODE, 400);
+  }
+  return recoveryCodes;
+};
+
+/**
+ * regenerateRecoveryCodes()
+ *
+ * WHAT: New recovery codes (the old ones stop working)
+ *
+ * INPUT: userId, code (current authenticator code)
+ * OUTPUT: recoveryCodes (plain - show them once)
+ */
+const regenerateRecoveryCodes = async (userId, code) => {
+  const user = await loadUser(userId);
+
+  if (!user.twoFactor.enabled) {
+    throw new AppError('Two-factor authentication is off.', 400);
+  }
+  if (!checkCode(user, 'secret', code)) {
+    throw new AppError('Invalid authentication code.', 400);
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  user.twoFactor.recoveryCodes = hashes;
+  await user.save();
+
+  logger.info('2FA recovery codes regenerated', { userId: user._id });
+
+  return codes;
+};
+
+/**
+ * clearTwoFactor() - Back to password-only
+ */
+const clearTwoFactor = (user) => {
+  user.twoFactor.enabled = false;
+  user.twoFactor.enabledAt = null;
+  user.twoFactor.secret = null;
+  user.twoFactor.pendingSecret = null;
+  user.twoFactor.recoveryCodes = [];
+  user.twoFactor.lastUsedStep = null;
+};
+
+/**
+ * disable()
+ *
+ * WHAT: Turns 2FA off - needs the password and a code (or recovery code)
+ *
+ * Not allowed while the organization requires 2FA.
+ *
+ * INPUT: userId, { password, code, recoveryCode }
+ */
+const disable = async (userId, { password, code, recoveryCode }) => {
+  const user = await User.findById(userId).select(`+password ${SECRET_FIELDS}`);
+
+  if (!user) {
+    throw new AppError('User not found.', 404);
+  }
+  if (!user.twoFactor.enabled) {
+    throw new AppError('Two-factor authentication is already off.', 400);
+  }
+  if (await isRequired(user)) {
+    throw new AppError('Your organization requires two-factor authentication.', 403);
+  }
+  if (!(await user.comparePassword(password))) {
+    throw new AppError('Password is incorrect.', 400);
+  }
+
+  const verified = recoveryCode
+    ? await useRecoveryCode(user, recoveryCode)
+    : checkCode(user, 'secret', code);
+  if (!verified) {
+    throw new AppError(recoveryCode ? 'Invalid recovery code.' : 'Invalid authentication code.', 400);
+  }
+
+  clearTwoFactor(user);
+  await user.save();
+
+  logger.info('2FA disabled', { userId: user._id });
+};
+
+/**
+ * resetForUser()
+ *
+ * WHAT: An admin turns off 2FA for a member who lost their device
+ *
+ * The member signs in with their password again (and sets up a new
+ * app at login if the organization requires 2FA). Only the owner can
+ * reset the owner's 2FA.
+ *
+ * CALLED BY: OrganizationController.resetUserTwoFactor()
+ * INPUT: orgId, userId (member), adminId
+ */
+const resetForUser = async (orgId, userId, adminId) => {
+  const user = await User.findOne({ _id: userId, organization: orgId }).select(SECRET_FIELDS);
+
+  if (!user) {
+    throw new AppError('User not found in this organization.', 404);
+  }
+
+  const organization = await Organization.findById(orgId).select('owner');
+  const isOwner = (id) => organization?.owner?.toString() === id.toString();
+  if (isOwner(user._id) && !isOwner(adminId)) {
+    throw new AppError('Only the organization owner can reset their own two-factor authentication.', 403);
+  }
+
+  if (!user.twoFactor.enabled && !user.twoFactor.pendingSecret) {
+    throw new AppError('This user does not use two-factor authentication.', 400);
+  }
+
+  clearTwoFactor(user);
+  await user.save();
+
+  logger.info('2FA reset by admin', { userId: user._id, resetBy: adminId, orgId });
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  isRequired,
+  createChallenge,
+  resolveChallenge,
+  verifyLoginCode,
+  beginSetup,
+  enableAtLogin,
+  getStatus,
+  startSetup,
+  confirmSetup,
+  regenerateRecoveryCodes,
+  disable,
+  resetForUser,
+};
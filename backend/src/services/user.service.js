@@ -12,6 +12,7 @@
 const { User } = require('../models');
 const { AppError } = require('../middlewares/errorHandler');
 const logger = require('../utils/logger');
+const sessionService = require('./session.service');
 
 /**
  * getAllUsers()
@@ -100,8 +101,15 @@ const updateUser = async (userId, updateData, adminRole) => {
     }
   }
 
+  // A new role or deactivation applies from the next sign-in
+  const accessChanged = user.isModified('role') || user.isModified('isActive');
+
   await user.save();
 
+  if (accessChanged) {
+    await sessionService.revokeAllSessions(user._id, { reason: 'access_changed' });
+  }
+
   logger.info('User updated by admin', {
     updatedUserId: userId,
   });
@@ -129,6 +137,8 @@ const deleteUser = async (userId, adminRole) => {
   user.isActive = false;
   await user.save();
 
+  await sessionService.revokeAllSessions(user._id, { reason: 'removed' });
+
   logger.info('User deactivated', { userId });
 
   return { message: 'User deactivated successfully' };
@@ -0,0 +1,168 @@
+/**
+ * =============================================================================
+ * CHUNK RANKER - QUERY-AWARE SCORING OF DOCUMENT CHUNKS
+ * =============================================================================
+ *
+ * WHAT IS THIS FILE?
+ * A small BM25 implementation that scores document chunks against a query.
+ *
+ * WHY DO WE NEED IT?
+ * MongoDB's $text index tells us WHICH documents match a query, but not
+ * WHERE inside the document the match is. For long documents (80-page
+ * policy PDFs) the answer is rarely in the first few chunks, so we score
+ * every chunk of the candidate documents and keep the best ones.
+ *
+ * BM25 IN ONE PARAGRAPH:
+ * Each query term contributes  idf * (tf * (k1 + 1)) / (tf + k1 * (1 - b + b * len / avgLen))
+ * - tf: how often the term appears in the chunk
+ * - idf: how rare the term is across all candidate chunks
+ * - len / avgLen: long chunks are penalised so they don't win by size alone
+ * - k1, b: standard tuning constants (1.2 and 0.75)
+ *
+ * USAGE:
+ * const { rankChunks } = require('../utils/chunkRanker');
+ * const best = rankChunks('vacation carry over', chunks, { limit: 5 });
+ *
+ * Also home to fuseRankings(), which merges lexical and semantic rankings
+ * for hybrid retrieval.
+ *
+ * =============================================================================
+ */
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+/**
+ * Common English words that carry no meaning for ranking.
+ * Kept short on purpose - the $text index already handled stemming
+ * when picking the candidate documents.
+ */
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'but', 'if', 'of', 'to', 'in', 'on', 'at', 'by', 'for', 'with',
+  'from', 'into', 'about', 'as', 'is', 'are', 'was', 'were', 'be', 'been', 'it', 'its', 'this',
+  'that', 'these', 'those', 'do', 'does', 'did', 'can', 'could', 'should', 'would', 'will', 'may',
+  'what', 'which', 'who', 'whom', 'when', 'where', 'why', 'how', 'i', 'we', 'you', 'our', 'your',
+  'my', 'me', 'us', 'they', 'them', 'their', 'there', 'here', 'not', 'no', 'any', 'all', 'so',
+]);
+
+/**
+ * tokenize()
+ *
+ * WHAT: Splits text into lowercase terms, dropping punctuation and stopwords
+ *
+ * A very light plural strip ("policies" -> "policy", "documents" -> "document")
+ * lets simple plural/singular variants match each other.
+ *
+ * CALLED BY: rankChunks()
+ * INPUT: text (string)
+ * OUTPUT: Array of terms
+ */
+const tokenize = (text) => {
+  if (!text) return [];
+
+  return text
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter((term) => term.length > 1 && !STOPWORDS.has(term))
+    .map((term) => (term.length > 3 ? term.replace(/ies$/, 'y').replace(/([^s])s$/, '$1') : term));
+};
+
+/**
+ * rankChunks()
+ *
+ * WHAT: Scores chunks against a query with BM25 and returns the best ones
+ *
+ * Chunks from ALL candidate documents are scored together, so a highly
+ * relevant chunk from the second document can beat a weak chunk from
+ * the first. Ties (including chunks that don't mention any query term)
+ * keep their original order, which preserves the document text-score
+ * order the caller passed in.
+ *
+ * CALLED BY: Document.findRelevantChunks(), AI service
+ * INPUT: query (string), chunks (array of objects with a `text` field),
+ *        options { limit, k1, b }
+ * OUTPUT: Array of the top chunks, each with an added `score` field
+ */
+const rankChunks = (query, chunks, options = {}) => {
+  const { limit = chunks ? chunks.length : 0, k1 = BM25_K1, b = BM25_B } = options;
+
+  if (!chunks || chunks.length === 0) {
+    return [];
+  }
+
+  const queryTerms = [...new Set(tokenize(query))];
+  const chunkTerms = chunks.map((chunk) => tokenize(chunk.text));
+  const totalLength = chunkTerms.reduce((sum, terms) => sum + terms.length, 0);
+  const avgLength = totalLength / chunks.length || 1;
+
+  // Document frequency: in how many chunks does each query term appear?
+  const documentFrequency = new Map();
+  for (const terms of chunkTerms) {
+    const seen = new Set(terms);
+    for (const term of queryTerms) {
+      if (seen.has(term)) {
+        documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+      }
+    }
+  }
+
+  const scored = chunks.map((chunk, position) => {
+    const terms = chunkTerms[position];
+    const termFrequency = new Map();
+    terms.forEach((term) => termFrequency.set(term, (termFrequency.get(term) || 0) + 1));
+
+    let score = 0;
+    for (const term of queryTerms) {
+      const tf = termFrequency.get(term) || 0;
+      if (tf === 0) continue;
+
+      const df = documentFrequency.get(term) || 0;
+      const idf = Math.log(1 + (chunks.length - df + 0.5) / (df + 0.5));
+      score += idf * ((tf * (k1 + 1)) / (tf + k1 * (1 - b + (b * terms.length) / avgLength)));
+    }
+
+    return { chunk, score, position };
+  });
+
+  return scored
+    .sort((left, right) => (right.score - left.score) || (left.position - right.position))
+    .slice(0, limit)
+    .map(({ chunk, score }) => ({ ...chunk, score }));
+};
+
+/**
+ * fuseRankings()
+ *
+ * WHAT: Combines several ranked lists into one (Reciprocal Rank Fusion)
+ *
+ * WHY RRF?
+ * BM25 scores and cosine similarities live on different scales, so they
+ * can't simply be added together. RRF only looks at positions: an item
+ * earns 1 / (k + rank) from every list it appears in. Items near the top
+ * of BOTH lists win, and items found by only one signal still show up.
+ *
+ * CALLED BY: Hybrid retrieval (Document.findRelevantChunks, search service)
+ * INPUT: lists (array of arrays of keys, best first), options { k }
+ * OUTPUT: Array of { key, score }, best first
+ */
+const fuseRankings = (lists, options = {}) => {
+  const { k = 60 } = options;
+  const scores = new Map();
+
+  lists.forEach((list) => {
+    list.forEach((key, index) => {
+      scores.set(key, (scores.get(key) || 0) + 1 / (k + index + 1));
+    });
+  });
+
+  return Array.from(scores.entries())
+    .map(([key, score]) => ({ key, score }))
+    .sort((left, right) => right.score - left.score);
+};
+
+module.exports = {
+  tokenize,
+  rankChunks,
+  fuseRankings,
+};
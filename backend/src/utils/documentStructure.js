@@ -0,0 +1,190 @@
+/**
+ * =============================================================================
+ * DOCUMENT STRUCTURE - SECTIONS AND BLOCKS OF A HEADED DOCUMENT
+ * =============================================================================
+ *
+ * WHAT IS THIS FILE?
+ * Reads the structure of extracted text so chunking can follow it
+ * (see chunkSections in document.service.js).
+ *
+ * Markdown files, Word documents and HTML pages all come out of
+ * extraction with Markdown-style headings ("## Leave"), list items
+ * ("- ...") and table rows ("a | b"), so one parser serves them all.
+ *
+ * OUTPUT:
+ * [
+ *   {
+ *     path: ['Benefits', 'Leave', 'Parental'],   // Headings above the section
+ *     blocks: [
+ *       { type: 'heading', text: '### Parental' },
+ *       { type: 'paragraph', text: '...' },
+ *       { type: 'list', text: '- ...\n- ...' },
+ *       { type: 'table', text: 'a | b\n1 | 2', header: 'a | b' },
+ *       { type: 'code', text: '```\n...\n```' },
+ *     ],
+ *   },
+ * ]
+ *
+ * A section runs from one heading to the next. Text before the first
+ * heading is a section with an empty path.
+ *
+ * =============================================================================
+ */
+
+const HEADING = /^(#{1,6})[ \t]+(.+?)[ \t]*#*[ \t]*$/;
+const SETEXT_UNDERLINE = /^[ \t]*(=+|-+)[ \t]*$/;
+const LIST_ITEM = /^[ \t]*(?:[-*+•]|\d+[.)])[ \t]+/;
+const TABLE_ROW = /\|/;
+const TABLE_SEPARATOR = /^[ \t]*\|?[ \t]*:?-{3,}:?[ \t]*(\|[ \t]*:?-{3,}:?[ \t]*)*\|?[ \t]*$/;
+const FENCE = /^[ \t]*(```|~~~)/;
+
+/**
+ * SECTION_PATH_SEPARATOR - Joins headings: "Benefits > Leave > Parental"
+ */
+const SECTION_PATH_SEPARATOR = ' > ';
+
+/**
+ * blockType()
+ *
+ * WHAT: What a group of lines (between blank lines) is
+ */
+const blockType = (lines) => {
+  if (lines.every((line) => TABLE_ROW.test(line)) && lines.length > 1) return 'table';
+  if (LIST_ITEM.test(lines[0])) return 'list';
+  return 'paragraph';
+};
+
+/**
+ * parseSections()
+ *
+ * WHAT: Splits text into sections (by heading) made of blocks
+ *
+ * HOW:
+ * 1. Lines inside ``` fences are one code block - a "#" in there is
+ *    a comment, not a heading
+ * 2. "# Title" headings (and "Title" underlined with === or ---) start
+ *    a new section; the heading stack gives the section's path
+ * 3. Other lines are grouped into blocks at blank lines; consecutive
+ *    list blocks (a list with blank lines between items) are merged
+ *
+ * CALLED BY: DocumentService.chunkSections()
+ * INPUT: text (string)
+ * OUTPUT: Array of { path, blocks } (see top of file)
+ */
+const parseSections = (text) => {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  const sections = [];
+  const headings = []; // [{ level, title }]
+  let section = { path: [], blocks: [] };
+  let paragraph = [];
+
+  const addBlock = (block) => {
+    const previous = section.blocks[section.blocks.length - 1];
+    if (block.type === 'list' && previous?.type === 'list') {
+      previous.text += `\n${block.text}`;
+      return;
+    }
+    section.blocks.push(block);
+  };
+
+  const flushParagraph = () => {
+    if (paragraph.length === 0) return;
+
+    const type = blockType(paragraph);
+    const block = { type, text: paragraph.join('\n') };
+    if (type === 'table') {
+      // The header row (and the |---| line) is repeated when a table is split
+      const headerLines = TABLE_SEPARATOR.test(paragraph[1] || '') ? 2 : 1;
+      block.header = paragraph.slice(0, headerLines).join('\n');
+    }
+    addBlock(block);
+    paragraph = [];
+  };
+
+  const startSection = (level, title, headingLine) => {
+    flushParagraph();
+    if (section.blocks.length > 0) {
+      sections.push(section);
+    }
+
+    while (headings.length > 0 && headings[headings.length - 1].level >= level) {
+      headings.pop();
+    }
+    headings.push({ level, title });
+
+    section = {
+      path: headings.map((heading) => heading.title),
+      blocks: [{ type: 'heading', text: headingLine }],
+    };
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (FENCE.test(line)) {
+      flushParagraph();
+      const fence = FENCE.exec(line)[1];
+      const code = [line];
+      i += 1;
+      while (i < lines.length) {
+        code.push(lines[i]);
+        if (lines[i].trim().startsWith(fence)) break;
+        i += 1;
+      }
+      addBlock({ type: 'code', text: code.join('\n') });
+      continue;
+    }
+
+    const heading = HEADING.exec(line.trim());
+    if (heading) {
+      startSection(heading[1].length, heading[2].trim(), line.trim());
+      continue;
+    }
+
+    // "Title\n=====" is a level 1 heading, "Title\n-----" level 2
+    const next = lines[i + 1];
+    if (
+      paragraph.length === 0 && line.trim() && next !== undefined
+      && SETEXT_UNDERLINE.test(next) && !LIST_ITEM.test(line) && !TABLE_ROW.test(line)
+    ) {
+      const level = next.trim()[0] === '=' ? 1 : 2;
+      startSection(level, line.trim(), `${'#'.repeat(level)} ${line.trim()}`);
+      i += 1;
+      continue;
+    }
+
+    if (!line.trim()) {
+      flushParagraph();
+      continue;
+    }
+
+    // A list right after a paragraph line (no blank line between) is its own block
+    if (LIST_ITEM.test(line) && paragraph.length > 0 && blockType(paragraph) === 'paragraph') {
+      flushParagraph();
+    }
+
+    paragraph.push(line);
+  }
+
+  flushParagraph();
+  if (section.blocks.length > 0) {
+    sections.push(section);
+  }
+
+  // A heading directly followed by a sub-heading has no text of its own
+  return sections.filter((candidate) => candidate.blocks.some((block) => block.type !== 'heading'));
+};
+
+/**
+ * formatSectionPath()
+ *
+ * WHAT: ['Benefits', 'Leave'] → "Benefits > Leave" (null for no headings)
+ */
+const formatSectionPath = (path) => (
+  path && path.length > 0 ? path.join(SECTION_PATH_SEPARATOR) : null
+);
+
+module.exports = {
+  parseSections,
+  formatSectionPath,
+};
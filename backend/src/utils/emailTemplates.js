@@ -0,0 +1,147 @@
+/**
+ * =============================================================================
+ * EMAIL TEMPLATES - THE EMAILS THE PLATFORM SENDS
+ * =============================================================================
+ *
+ * WHAT IS THIS FILE?
+ * Each template turns some data into { subject, text, html }. Every email
+ * has a plain-text part (some clients and filters prefer it) and an HTML
+ * part with the same content.
+ *
+ * TEMPLATES:
+ * - passwordReset: "Reset your password" link
+ * - emailVerification: "Verify your email address" link
+ * - invitation: "You're invited to join <organization>" link
+ *
+ * USAGE (through the mail service):
+ * await mailService.sendTemplate('passwordReset', user.email, { firstName, link, expiresInMinutes });
+ *
+ * =============================================================================
+ */
+
+const PRODUCT_NAME = 'AIKSP';
+
+/**
+ * escapeHtml() - Makes user-provided values safe to put in the HTML part
+ */
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * layout()
+ *
+ * WHAT: Wraps the body of an email: greeting, one button, a footer note
+ *
+ * INPUT: { firstName, paragraphs, action: { label, link }, footer }
+ * OUTPUT: { text, html }
+ */
+const layout = ({ firstName, paragraphs, action, footer }) => {
+  const greeting = firstName ? `Hi ${firstName},` : 'Hi,';
+
+  const text = [
+    greeting,
+    ...paragraphs,
+    `${action.label}: ${action.link}`,
+    footer,
+    `- ${PRODUCT_NAME}`,
+  ].join('\n\n');
+
+  const html = `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:24px;background:#f3f4f6;font-family:Arial,Helvetica,sans-serif;color:#111827;">
+    <div style="max-width:480px;margin:0 auto;background:#ffffff;border-radius:8px;padding:32px;">
+      <p style="margin:0 0 16px;">${escapeHtml(greeting)}</p>
+      ${paragraphs.map((paragraph) => `<p style="margin:0 0 16px;line-height:1.5;">${escapeHtml(paragraph)}</p>`).join('\n      ')}
+      <p style="margin:24px 0;">
+        <a href="${escapeHtml(action.link)}" style="display:inline-block;padding:12px 20px;background:#2563eb;color:#ffffff;text-decoration:none;border-radius:6px;">${escapeHtml(action.label)}</a>
+      </p>
+      <p style="margin:0 0 16px;font-size:13px;color:#6b7280;line-height:1.5;">${escapeHtml(footer)}</p>
+      <p style="margin:0;font-size:12px;color:#9ca3af;word-break:break-all;">${escapeHtml(action.link)}</p>
+    </div>
+  </body>
+</html>
+`;
+
+  return { text, html };
+};
+
+const templates = {
+  /**
+   * passwordReset
+   * DATA: { firstName, link, expiresInMinutes }
+   */
+  passwordReset: ({ firstName, link, expiresInMinutes }) => ({
+    subject: `Reset your ${PRODUCT_NAME} password`,
+    ...layout({
+      firstName,
+      paragraphs: [
+        `Someone asked to reset the password of your ${PRODUCT_NAME} account.`,
+        `The link below works once and expires in ${expiresInMinutes} minutes.`,
+      ],
+      action: { label: 'Reset password', link },
+      footer: 'If you didn\'t ask for this, ignore this email - your password stays the same.',
+    }),
+  }),
+
+  /**
+   * emailVerification
+   * DATA: { firstName, link, expiresInHours, organizationName }
+   */
+  emailVerification: ({ firstName, link, expiresInHours, organizationName }) => ({
+    subject: `Verify your email address for ${PRODUCT_NAME}`,
+    ...layout({
+      firstName,
+      paragraphs: [
+        organizationName
+          ? `Please confirm this is your email address to finish setting up your ${organizationName} account.`
+          : 'Please confirm this is your email address to finish setting up your account.',
+        `The link expires in ${expiresInHours} hours.`,
+      ],
+      action: { label: 'Verify email address', link },
+      footer: 'If you didn\'t create an account, you can ignore this email.',
+    }),
+  }),
+
+  /**
+   * invitation
+   * DATA: { organizationName, inviterName, roleName, link, expiresInDays }
+   */
+  invitation: ({ organizationName, inviterName, roleName, link, expiresInDays }) => ({
+    subject: `You're invited to join ${organizationName} on ${PRODUCT_NAME}`,
+    ...layout({
+      paragraphs: [
+        inviterName
+          ? `${inviterName} invited you to join ${organizationName} on ${PRODUCT_NAME} as ${roleName}.`
+          : `You're invited to join ${organizationName} on ${PRODUCT_NAME} as ${roleName}.`,
+        `Open the link to choose your name and password. It works once and expires in ${expiresInDays} days.`,
+      ],
+      action: { label: 'Accept invitation', link },
+      footer: 'If you weren\'t expecting this invitation, you can ignore this email.',
+    }),
+  }),
+};
+
+/**
+ * renderTemplate()
+ *
+ * INPUT: name ('passwordReset'), data
+ * OUTPUT: { subject, text, html }
+ */
+const renderTemplate = (name, data = {}) => {
+  const template = templates[name];
+
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  return template(data);
+};
+
+module.exports = {
+  renderTemplate,
+  escapeHtml,
+};
@@ -0,0 +1,25 @@
+/**
+ * =============================================================================
+ * ESCAPE REGEX - USER TEXT INSIDE REGULAR EXPRESSIONS
+ * =============================================================================
+ *
+ * WHAT IS THIS FILE?
+ * Search prefixes, names and filters typed by users end up in MongoDB
+ * $regex queries. Escaping them makes "c++" or "(draft)" match literally
+ * instead of being read as a pattern (or failing to compile).
+ *
+ * USAGE:
+ * const { escapeRegex } = require('../utils/escapeRegex');
+ * Document.find({ title: new RegExp(escapeRegex(text), 'i') });
+ *
+ * =============================================================================
+ */
+
+/**
+ * escapeRegex() - the text with every regex special character escaped
+ */
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = {
+  escapeRegex,
+};
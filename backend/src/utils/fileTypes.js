@@ -0,0 +1,155 @@
+/**
+ * =============================================================================
+ * FILE TYPES - WHICH FILES CAN BE UPLOADED, AND AS WHAT
+ * =============================================================================
+ *
+ * WHAT IS THIS FILE?
+ * The supported document formats in one place. Used by the upload
+ * middleware (files posted by the browser) and by bulk upload (files
+ * found inside ZIP archives).
+ *
+ * The MIME type decides which extractor reads the file (see
+ * extractTextFromFile in document.service.js).
+ *
+ * =============================================================================
+ */
+
+const path = require('path');
+
+/**
+ * ALLOWED FILE TYPES
+ *
+ * MIME types for supported document formats:
+ * - PDF: application/pdf
+ * - Word 2007+: application/vnd.openxmlformats-officedocument.wordprocessingml.document
+ * - Word legacy: application/msword
+ * - Text: text/plain
+ * - Markdown: text/markdown
+ * - HTML: text/html
+ * - CSV: text/csv
+ * - Excel 2007+: application/vnd.openxmlformats-officedocument.spreadsheetml.sheet
+ * - PowerPoint 2007+: application/vnd.openxmlformats-officedocument.presentationml.presentation
+ * - RTF: application/rtf
+ * - JSON: application/json
+ * - Email: message/rfc822
+ * - Mailbox: application/mbox
+ */
+const ALLOWED_TYPES = [
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'text/plain',
+  'text/markdown',
+  'text/html',
+  'text/csv',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'application/rtf',
+  'application/json',
+  'message/rfc822',
+  'application/mbox',
+];
+
+/**
+ * EXTENSION TYPES
+ *
+ * The MIME type for each supported file extension.
+ *
+ * WHY?
+ * Browsers don't agree on MIME types: a .csv arrives as
+ * "application/vnd.ms-excel" on Windows, a .md or .mbox often as
+ * "application/octet-stream". The extension decides, so the stored
+ * fileType always picks the right extractor.
+ */
+const EXTENSION_TYPES = {
+  '.pdf': 'application/pdf',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.txt': 'text/plain',
+  '.md': 'text/markdown',
+  '.markdown': 'text/markdown',
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.csv': 'text/csv',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  '.rtf': 'application/rtf',
+  '.json': 'application/json',
+  '.eml': 'message/rfc822',
+  '.mbox': 'application/mbox',
+};
+
+/**
+ * MAX_FILE_SIZE - Largest document accepted, in bytes (10MB default)
+ */
+const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024;
+
+/**
+ * ARCHIVE TYPES - ZIP archives, accepted by bulk upload only
+ */
+const ARCHIVE_TYPES = ['application/zip', 'application/x-zip-compressed'];
+
+/**
+ * INLINE TYPES - Files that may be opened in the browser
+ *
+ * WHY SO FEW?
+ * A file opened inline is served from our own origin. An uploaded HTML
+ * file (or anything a browser might treat as HTML) could then run
+ * scripts with access to the signed-in user's tokens. PDFs and images
+ * can't, so only they are shown inline - everything else is downloaded.
+ */
+const INLINE_TYPES = [
+  'application/pdf',
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+];
+
+// For error messages
+const SUPPORTED_FORMATS = 'PDF, Word, Excel, PowerPoint, CSV, HTML, RTF, JSON, email and text files';
+
+/**
+ * fileTypeFor()
+ *
+ * WHAT: The MIME type a file is stored and processed as
+ *
+ * INPUT: fileName, reportedType (MIME type sent by the browser, optional)
+ * OUTPUT: A type from ALLOWED_TYPES, or null when the file isn't supported
+ */
+const fileTypeFor = (fileName, reportedType = null) => {
+  const extension = path.extname(fileName || '').toLowerCase();
+  if (EXTENSION_TYPES[extension]) {
+    return EXTENSION_TYPES[extension];
+  }
+
+  // No known extension - trust the browser for the supported types
+  return ALLOWED_TYPES.includes(reportedType) ? reportedType : null;
+};
+
+/**
+ * isInlineSafe()
+ *
+ * WHAT: Whether a stored file may be served with "Content-Disposition: inline"
+ */
+const isInlineSafe = (fileType) => INLINE_TYPES.includes(fileType);
+
+/**
+ * isArchive()
+ *
+ * WHAT: Whether an uploaded file is a ZIP archive (bulk upload unpacks it)
+ */
+const isArchive = (fileName, reportedType = null) => (
+  path.extname(fileName || '').toLowerCase() === '.zip' || ARCHIVE_TYPES.includes(reportedType)
+);
+
+module.exports = {
+  ALLOWED_TYPES,
+  EXTENSION_TYPES,
+  INLINE_TYPES,
+  MAX_FILE_SIZE,
+  SUPPORTED_FORMATS,
+  fileTypeFor,
+  isInlineSafe,
+  isArchive,
+};
@@ -0,0 +1,65 @@
+/**
+ * =============================================================================
+ * LINK TOKENS - ONE-TIME TOKENS FOR LINKS SENT TO USERS
+ * =============================================================================
+ *
+ * WHAT IS THIS FILE?
+ * Invitation, password reset and email verification links all carry a
+ * random token. Only the token's SHA-256 hash is stored, so someone who
+ * can read the database still can't use a pending link.
+ *
+ * USAGE:
+ * const { createLinkToken, hashToken, buildFrontendUrl } = require('../utils/linkToken');
+ * const { token, tokenHash, expiresAt } = createLinkToken(60 * 60 * 1000);
+ * const link = buildFrontendUrl('/reset-password', { token });
+ * // later: User.findOne({ 'passwordReset.tokenHash': hashToken(req.body.token) })
+ *
+ * =============================================================================
+ */
+
+const crypto = require('crypto');
+
+/**
+ * hashToken() - SHA-256 of a token (what the database stores)
+ *
+ * Also used for refresh tokens (SessionService) and API tokens
+ * (ApiTokenService) - they are random too, so a plain hash is enough.
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * createLinkToken()
+ *
+ * WHAT: A fresh random token (32 bytes) with its hash and expiry date
+ *
+ * INPUT: ttlMs - How long the link works
+ * OUTPUT: { token, tokenHash, expiresAt }
+ */
+const createLinkToken = (ttlMs) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  return {
+    token,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs),
+  };
+};
+
+/**
+ * buildFrontendUrl()
+ *
+ * WHAT: A URL of the web app (FRONTEND_URL) with query parameters
+ *
+ * INPUT: path ('/reset-password'), params ({ token })
+ * OUTPUT: 'http://localhost:3000/reset-password?token=...'
+ */
+const buildFrontendUrl = (path, params = {}) => {
+  const frontendUrl = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/+$/, '');
+  const query = new URLSearchParams(params).toString();
+  return `${frontendUrl}${path}${query ? `?${query}` : ''}`;
+};
+
+module.exports = {
+  hashToken,
+  createLinkToken,
+  buildFrontendUrl,
+};
@@ -0,0 +1,365 @@
+/**
+ * =============================================================================
+ * SEARCH QUERY - ADVANCED SEARCH SYNTAX
+ * =============================================================================
+ *
+ * WHAT IS THIS FILE?
+ * Parses what the user typed in the search box into a small tree, e.g.
+ *
+ *   title:"expense policy" AND category:finance -draft tag:travel
+ *
+ * SYNTAX:
+ * - vacation policy        Plain words rank results (any word matches,
+ *                          documents with more of them come first)
+ * - "carry over"           Exact phrase - required
+ * - -draft, NOT draft      Must not contain
+ * - a OR b, (a OR b) c     Either side; parentheses group
+ * - AND                    Both sides (also the default between clauses)
+ * - field:value            title:, tag:, category:, department:,
+ *                          uploader: (name, email or "me"), date:
+ * - date:2024, date:2024-05, date:2024-05-01
+ *   date:>2024-01, date:<=2024-06-30, date:2024-01..2024-03
+ *
+ * Operators are only recognised in CAPITALS, so "salt and pepper" is
+ * still three words. A prefix that isn't a known field ("error:") is
+ * searched as plain text.
+ *
+ * TREE NODES:
+ * { type: 'term', value, phrase, field? }
+ * { type: 'and' | 'or', children: [...] }
+ * { type: 'not', child }
+ *
+ * Malformed queries throw AppError 400 with a message that says what is
+ * wrong - parseSearchQuery() runs in validateSearch, so the user sees it
+ * before anything is searched.
+ *
+ * =============================================================================
+ */
+
+const { AppError } = require('../middlewares/errorHandler');
+
+const FIELDS = ['title', 'tag', 'category', 'department', 'uploader', 'date'];
+
+const CATEGORIES = ['policy', 'procedure', 'technical', 'hr', 'finance', 'legal', 'training', 'marketing', 'product', 'other'];
+
+const OPERATORS = ['AND', 'OR', 'NOT'];
+
+// Guards against pathological input - q is capped at 500 characters anyway
+const MAX_CLAUSES = 30;
+const MAX_DEPTH = 5;
+
+const syntaxError = (message) => new AppError(`Invalid search query: ${message}`, 400);
+
+// =============================================================================
+// DATES
+// =============================================================================
+
+const DATE_PATTERN = /^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/;
+
+/**
+ * periodOf()
+ *
+ * WHAT: "2024" / "2024-05" / "2024-05-01" → { start, end } (end exclusive, UTC)
+ */
+const periodOf = (text) => {
+  const match = DATE_PATTERN.exec(text);
+  if (!match) return null;
+
+  const [, year, month, day] = match;
+  const start = new Date(Date.UTC(Number(year), month ? Number(month) - 1 : 0, day ? Number(day) : 1));
+
+  // Rejects 2024-13 and 2024-02-31 (Date.UTC would roll them over)
+  if ((month && start.getUTCMonth() !== Number(month) - 1) || (day && start.getUTCDate() !== Number(day))) {
+    return null;
+  }
+
+  const end = new Date(start);
+  if (day) end.setUTCDate(end.getUTCDate() + 1);
+  else if (month) end.setUTCMonth(end.getUTCMonth() + 1);
+  else end.setUTCFullYear(end.getUTCFullYear() + 1);
+
+  return { start, end };
+};
+
+/**
+ * parseDateValue()
+ *
+ * WHAT: The value of date: → { from?, to? } (to exclusive)
+ */
+const parseDateValue = (value) => {
+  const invalid = () => syntaxError(
+    `"date:${value}" is not a date. Use YYYY, YYYY-MM or YYYY-MM-DD, optionally with >, >=, <, <= or a range like 2024-01..2024-03.`
+  );
+
+  if (value.includes('..')) {
+    const [fromText, toText] = value.split('..');
+    const from = fromText ? periodOf(fromText) : null;
+    const to = toText ? periodOf(toText) : null;
+    if ((fromText && !from) || (toText && !to) || (!from && !to)) throw invalid();
+    if (from && to && from.start >= to.end) {
+      throw syntaxError(`"date:${value}" ends before it starts.`);
+    }
+    return { ...(from && { from: from.start }), ...(to && { to: to.end }) };
+  }
+
+  const [, operator = '', dateText] = /^(>=|<=|>|<)?(.*)$/.exec(value);
+  const period = periodOf(dateText);
+  if (!period) throw invalid();
+
+  switch (operator) {
+    case '>': return { from: period.end };
+    case '>=': return { from: period.start };
+    case '<': return { to: period.start };
+    case '<=': return { to: period.end };
+    default: return { from: period.start, to: period.end };
+  }
+};
+
+// =============================================================================
+// TOKENIZER
+// =============================================================================
+
+/**
+ * tokenize()
+ *
+ * WHAT: Splits the query into tokens
+ * OUTPUT: Array of { kind: 'term' | 'operator' | '(' | ')', ... }
+ *         - term: { value, phrase, field?, negated }
+ *         - '(': { negated } (for -( ... ))
+ */
+const tokenize = (input) => {
+  const tokens = [];
+  let position = 0;
+
+  const readPhrase = () => {
+    const close = input.indexOf('"', position + 1);
+    if (close === -1) {
+      throw syntaxError('a quote (") is never closed.');
+    }
+    const phrase = input.slice(position + 1, close).trim();
+    position = close + 1;
+    return phrase;
+  };
+
+  while (position < input.length) {
+    const char = input[position];
+
+    if (/\s/.test(char)) {
+      position += 1;
+      continue;
+    }
+
+    // A leading "-" negates the next term or group ("covid-19" is left alone)
+    let negated = false;
+    if (char === '-' && position + 1 < input.length && !/\s/.test(input[position + 1])) {
+      negated = true;
+      position += 1;
+    }
+
+    const current = input[position];
+
+    if (current === '(') {
+      tokens.push({ kind: '(', negated });
+      position += 1;
+    } else if (current === ')') {
+      tokens.push({ kind: ')' });
+      position += 1;
+    } else if (current === '"') {
+      const phrase = readPhrase();
+      if (phrase) {
+        tokens.push({ kind: 'term', value: phrase, phrase: true, negated });
+      }
+    } else {
+      const start = position;
+      while (position < input.length && !/[\s()"]/.test(input[position])) {
+        position += 1;
+      }
+      const word = input.slice(start, position);
+      const fieldMatch = /^([a-z]+):(.*)$/i.exec(word);
+      const field = fieldMatch && FIELDS.includes(fieldMatch[1].toLowerCase()) ? fieldMatch[1].toLowerCase() : null;
+
+      if (field) {
+        let value = fieldMatch[2];
+        let phrase = false;
+        // title:"expense policy"
+        if (!value && input[position] === '"') {
+          value = readPhrase();
+          phrase = true;
+        }
+        if (!value) {
+          throw syntaxError(`"${field}:" needs a value, e.g. ${field === 'date' ? 'date:2024-05' : `${field}:"some value"`}.`);
+        }
+        tokens.push({ kind: 'term', field, value, phrase, negated });
+      } else if (!negated && OPERATORS.includes(word)) {
+        tokens.push({ kind: 'operator', value: word });
+      } else {
+        tokens.push({ kind: 'term', value: word, phrase: false, negated });
+      }
+    }
+  }
+
+  return tokens;
+};
+
+// =============================================================================
+// PARSER
+// =============================================================================
+
+/**
+ * toTerm()
+ *
+ * WHAT: Term token → tree node, checking field values
+ */
+const toTerm = (token) => {
+  const node = { type: 'term', value: token.value, phrase: token.phrase };
+
+  if (token.field) {
+    node.field = token.field;
+
+    if (token.field === 'category') {
+      node.value = token.value.toLowerCase();
+      if (!CATEGORIES.includes(node.value)) {
+        throw syntaxError(`unknown category "${token.value}". Use one of: ${CATEGORIES.join(', ')}.`);
+      }
+    }
+
+    if (token.field === 'date') {
+      node.range = parseDateValue(token.value);
+    }
+  }
+
+  return token.negated ? { type: 'not', child: node } : node;
+};
+
+/**
+ * parseSearchQuery()
+ *
+ * WHAT: Query text → tree (see top of file)
+ *
+ * GRAMMAR:
+ *   or    := and (OR and)*
+ *   and   := unary ([AND] unary)*
+ *   unary := NOT unary | primary
+ *   primary := term | ( or )
+ *
+ * CALLED BY: validateSearch, SearchService.searchDocuments()
+ * INPUT: query (string)
+ * OUTPUT: Tree, or null for an empty query
+ * THROWS: AppError 400 for malformed queries
+ */
+const parseSearchQuery = (query) => {
+  const tokens = tokenize(query || '');
+  let index = 0;
+  let clauses = 0;
+
+  if (tokens.length === 0) {
+    return null;
+  }
+
+  const peek = () => tokens[index];
+  const isOperator = (token, value) => token?.kind === 'operator' && token.value === value;
+
+  const combine = (type, children) => (children.length === 1 ? children[0] : { type, children });
+
+  let parseOr;
+
+  const parseUnary = (depth) => {
+    const token = peek();
+
+    if (!token) {
+      throw syntaxError('the query ends with an operator. Remove the trailing AND / OR / NOT.');
+    }
+
+    if (isOperator(token, 'NOT')) {
+      index += 1;
+      return { type: 'not', child: parseUnary(depth) };
+    }
+
+    if (token.kind === 'operator') {
+      throw syntaxError(`"${token.value}" needs something on both sides.`);
+    }
+
+    if (token.kind === ')') {
+      throw syntaxError('")" has no matching "(".');
+    }
+
+    if (token.kind === '(') {
+      if (depth >= MAX_DEPTH) {
+        throw syntaxError(`parentheses can be nested at most ${MAX_DEPTH} deep.`);
+      }
+      index += 1;
+      if (peek()?.kind === ')') {
+        throw syntaxError('"()" is empty.');
+      }
+      const group = parseOr(depth + 1);
+      if (peek()?.kind !== ')') {
+        throw syntaxError('"(" is never closed.');
+      }
+      index += 1;
+      return token.negated ? { type: 'not', child: group } : group;
+    }
+
+    index += 1;
+    clauses += 1;
+    if (clauses > MAX_CLAUSES) {
+      throw syntaxError(`use at most ${MAX_CLAUSES} terms.`);
+    }
+    return toTerm(token);
+  };
+
+  const parseAnd = (depth) => {
+    const children = [parseUnary(depth)];
+
+    while (index < tokens.length) {
+      const token = peek();
+      if (token.kind === ')' || isOperator(token, 'OR')) break;
+      if (isOperator(token, 'AND')) index += 1;
+      children.push(parseUnary(depth));
+    }
+
+    return combine('and', children);
+  };
+
+  parseOr = (depth) => {
+    const children = [parseAnd(depth)];
+
+    while (isOperator(peek(), 'OR')) {
+      index += 1;
+      children.push(parseAnd(depth));
+    }
+
+    return combine('or', children);
+  };
+
+  const tree = parseOr(0);
+
+  if (index < tokens.length) {
+    // Only a stray ")" stops parsing early
+    throw syntaxError('")" has no matching "(".');
+  }
+
+  return tree;
+};
+
+/**
+ * topLevelClauses()
+ *
+ * WHAT: The clauses joined by AND at the top of the tree
+ */
+const topLevelClauses = (tree) => {
+  if (!tree) return [];
+  return tree.type === 'and' ? tree.children : [tree];
+};
+
+/**
+ * isTextTerm()
+ *
+ * WHAT: A term without field prefix
+ */
+const isTextTerm = (node) => node.type === 'term' && !node.field;
+
+module.exports = {
+  parseSearchQuery,
+  topLevelClauses,
+  isTextTerm,
+};
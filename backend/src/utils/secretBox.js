@@ -0,0 +1,87 @@
+/**
+ * =============================================================================
+ * SECRET BOX - ENCRYPT CREDENTIALS STORED IN THE DATABASE
+ * =============================================================================
+ *
+ * WHAT IS THIS FILE?
+ * Encrypts secrets we must be able to read back (unlike passwords, which
+ * are only compared), e.g. an organization's SSO client secret.
+ *
+ * HOW:
+ * AES-256-GCM with a random IV per value. The stored string is
+ *
+ *   v1:<iv>:<auth tag>:<ciphertext>   (base64 parts)
+ *
+ * GCM's auth tag makes tampering with the stored value fail loudly.
+ *
+ * CONFIGURATION (environment):
+ * - SECRET_ENCRYPTION_KEY: any long random string (falls back to JWT_SECRET)
+ *   Changing it makes stored secrets unreadable - they must be entered again.
+ *
+ * USAGE:
+ * const { encryptSecret, decryptSecret } = require('../utils/secretBox');
+ * organization.sso.clientSecret = encryptSecret(plain);
+ * const plain = decryptSecret(organization.sso.clientSecret);
+ *
+ * =============================================================================
+ */
+
+const crypto = require('crypto');
+const { AppError } = require('../middlewares/errorHandler');
+
+const VERSION = 'v1';
+
+/**
+ * getKey() - 32-byte key derived from the configured secret
+ */
+const getKey = () => {
+  const secret = process.env.SECRET_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new AppError('Secret encryption is not configured.', 500);
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+};
+
+/**
+ * encryptSecret()
+ *
+ * INPUT: plain (string)
+ * OUTPUT: The encrypted string to store
+ */
+const encryptSecret = (plain) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(String(plain), 'utf8'), cipher.final()]);
+
+  return [VERSION, iv, cipher.getAuthTag(), encrypted]
+    .map((part) => (Buffer.isBuffer(part) ? part.toString('base64') : part))
+    .join(':');
+};
+
+/**
+ * decryptSecret()
+ *
+ * INPUT: stored (string from encryptSecret)
+ * OUTPUT: The plain secret
+ * THROWS: AppError 500 when the value can't be decrypted (wrong key, tampered)
+ */
+const decryptSecret = (stored) => {
+  const [version, iv, tag, encrypted] = String(stored).split(':');
+
+  try {
+    if (version !== VERSION) {
+      throw new Error(`Unknown secret format: ${version}`);
+    }
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(encrypted, 'base64')), decipher.final()]).toString('utf8');
+  } catch (error) {
+    throw new AppError('A stored secret could not be decrypted. Enter it again.', 500);
+  }
+};
+
+module.exports = {
+  encryptSecret,
+  decryptSecret,
+};
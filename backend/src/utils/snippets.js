@@ -0,0 +1,160 @@
+/**
+ * =============================================================================
+ * SNIPPETS - "WHY DID THIS DOCUMENT MATCH?"
+ * =============================================================================
+ *
+ * WHAT IS THIS FILE?
+ * Cuts short passages out of the best-matching chunks of a document and
+ * marks where the query terms are, for the search results list.
+ *
+ * SNIPPET SHAPE:
+ * {
+ *   text: "...employees may carry over up to five vacation days...",
+ *   highlights: [[31, 39], ...],   // [start, end) offsets into text
+ *   chunkIndex: 12,                // Jump target on the document page
+ *   startPage: 4, endPage: 4,      // null for formats without pages
+ *   sectionPath: "Benefits > Leave", // null for documents without headings
+ *   truncatedStart: true,          // Text was cut before / after
+ *   truncatedEnd: true,
+ * }
+ *
+ * Offsets instead of HTML: the client decides how to mark them, and
+ * document text never has to be escaped into markup on the server.
+ *
+ * MATCHING:
+ * A word is highlighted when it normalizes (chunkRanker tokenize) to a
+ * query term, so "policies" is marked for the query "policy".
+ *
+ * =============================================================================
+ */
+
+const { tokenize, rankChunks } = require('./chunkRanker');
+
+// Characters per snippet (before snapping to word boundaries)
+const SNIPPET_LENGTH = 240;
+// Context kept before the first highlighted word
+const LEAD_CONTEXT = 60;
+
+const WORD_PATTERN = /[A-Za-z0-9]+/g;
+
+/**
+ * findHighlights()
+ *
+ * WHAT: Offsets of the words in text that match a query term
+ *
+ * INPUT: text, queryTerms (Set from tokenize())
+ * OUTPUT: Array of [start, end), in order
+ */
+const findHighlights = (text, queryTerms) => {
+  const highlights = [];
+
+  for (const match of text.matchAll(WORD_PATTERN)) {
+    const [term] = tokenize(match[0]);
+    if (term && queryTerms.has(term)) {
+      highlights.push([match.index, match.index + match[0].length]);
+    }
+  }
+
+  return highlights;
+};
+
+/**
+ * pickWindow()
+ *
+ * WHAT: The SNIPPET_LENGTH stretch of text with the most distinct query terms
+ *
+ * Each highlight is tried as the window's first match - a passage that
+ * mentions "vacation" AND "carry" beats one repeating "vacation" only.
+ */
+const pickWindow = (text, highlights) => {
+  let best = { start: 0, terms: 0 };
+
+  highlights.forEach(([start]) => {
+    const terms = new Set(
+      highlights
+        .filter(([from, to]) => from >= start && to <= start + SNIPPET_LENGTH)
+        .map(([from, to]) => text.slice(from, to).toLowerCase())
+    );
+    if (terms.size > best.terms) {
+      best = { start, terms: terms.size };
+    }
+  });
+
+  // Some context before the first match, starting at a word
+  let windowStart = Math.max(0, best.start - LEAD_CONTEXT);
+  if (windowStart > 0) {
+    const space = text.indexOf(' ', windowStart);
+    windowStart = space === -1 || space >= best.start ? best.start : space + 1;
+  }
+
+  // End at a word boundary
+  let windowEnd = Math.min(text.length, windowStart + SNIPPET_LENGTH);
+  if (windowEnd < text.length) {
+    const space = text.lastIndexOf(' ', windowEnd);
+    if (space > windowStart) windowEnd = space;
+  }
+
+  return { windowStart, windowEnd };
+};
+
+/**
+ * toSnippet()
+ *
+ * WHAT: Snippet for one chunk (the chunk start when nothing matches)
+ */
+const toSnippet = (chunk, queryTerms) => {
+  // Chunks keep PDF line breaks - collapse them for a one-paragraph preview
+  const text = chunk.text.replace(/\s+/g, ' ').trim();
+  const highlights = findHighlights(text, queryTerms);
+  const { windowStart, windowEnd } = highlights.length > 0
+    ? pickWindow(text, highlights)
+    : { windowStart: 0, windowEnd: Math.min(text.length, SNIPPET_LENGTH) };
+
+  return {
+    text: text.slice(windowStart, windowEnd),
+    highlights: highlights
+      .filter(([start, end]) => start >= windowStart && end <= windowEnd)
+      .map(([start, end]) => [start - windowStart, end - windowStart]),
+    chunkIndex: chunk.chunkIndex,
+    startPage: chunk.startPage ?? null,
+    endPage: chunk.endPage ?? null,
+    sectionPath: chunk.sectionPath ?? null,
+    truncatedStart: windowStart > 0,
+    truncatedEnd: windowEnd < text.length,
+  };
+};
+
+/**
+ * buildSnippets()
+ *
+ * WHAT: Snippets from the chunks of ONE document that best match the query
+ *
+ * CALLED BY: SearchService.searchDocuments()
+ * INPUT: query, chunks [{ text, chunkIndex, startPage, endPage }],
+ *        options { limit, fallbackChunk }
+ *        - fallbackChunk: shown when no chunk contains a query term
+ *          (semantic hits), without highlights
+ * OUTPUT: Array of snippets (see top of file), best first
+ */
+const buildSnippets = (query, chunks, options = {}) => {
+  const { limit = 2, fallbackChunk = null } = options;
+  const queryTerms = new Set(tokenize(query));
+
+  if (!chunks || chunks.length === 0) {
+    return [];
+  }
+
+  const matching = rankChunks(query, chunks)
+    .filter((chunk) => chunk.score > 0)
+    .slice(0, limit);
+
+  if (matching.length === 0) {
+    return fallbackChunk ? [toSnippet(fallbackChunk, queryTerms)] : [];
+  }
+
+  return matching.map((chunk) => toSnippet(chunk, queryTerms));
+};
+
+module.exports = {
+  buildSnippets,
+};
@@ -0,0 +1,255 @@
+/**
+ * =============================================================================
+ * TEXT DIFF - LINE-BY-LINE COMPARISON OF TWO TEXTS
+ * =============================================================================
+ *
+ * WHAT IS THIS FILE?
+ * A small implementation of Myers' diff algorithm (the one behind
+ * `git diff`), used to compare the extracted text of two document
+ * revisions.
+ *
+ * OUTPUT FORMAT:
+ * A list of hunks, in document order:
+ *   { type: 'equal',   oldStart: 1,  newStart: 1,  lines: [...] }
+ *   { type: 'removed', oldStart: 4,  newStart: 4,  lines: [...] }
+ *   { type: 'added',   oldStart: 5,  newStart: 4,  lines: [...] }
+ *   { type: 'skipped', oldStart: 9,  newStart: 8,  count: 120 }
+ * Line numbers start at 1. Long unchanged stretches are collapsed into a
+ * 'skipped' hunk with a few lines of context on either side.
+ *
+ * LIMITS:
+ * Myers runs in O((N + M) * D) time, D being the number of changed lines.
+ * When two texts differ in more than MAX_EDITS lines the middle part is
+ * reported as removed-then-added (still correct, just less precise) and
+ * the result is flagged `approximate`.
+ *
+ * USAGE:
+ * const { diffLines } = require('../utils/textDiff');
+ * const { hunks, stats } = diffLines(oldContent, newContent);
+ *
+ * =============================================================================
+ */
+
+const MAX_EDITS = 2000;
+const CONTEXT_LINES = 3;
+
+const splitLines = (text) => {
+  if (!text) return [];
+  return text.replace(/\r\n?/g, '\n').split('\n');
+};
+
+/**
+ * myers()
+ *
+ * WHAT: Shortest edit script between two arrays of lines
+ *
+ * Explores edit distance d = 0, 1, 2, ... and records, for every
+ * diagonal k = x - y, the furthest x it can reach. A copy of the
+ * frontier is kept per step so the path can be walked back afterwards.
+ *
+ * OUTPUT: Array of { type: 'equal' | 'removed' | 'added', line }
+ *         or null when more than maxEdits changes are needed
+ */
+const myers = (a, b, maxEdits) => {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+  let found = false;
+
+  for (let d = 0; d <= Math.min(max, maxEdits); d++) {
+    // Frontier before this step, diagonals -(d + 1) .. d + 1
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1] // Move down: insert b[y]
+        : v[offset + k - 1] + 1; // Move right: delete a[x]
+      let y = x - k;
+
+      // Follow the diagonal while lines match
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+
+    if (found) break;
+  }
+
+  if (!found) return null;
+
+  // Walk back from (n, m) to (0, 0)
+  const ops = [];
+  let x = n;
+  let y = m;
+
+  for (let d = trace.length - 1; d > 0; d--) {
+    const frontier = trace[d];
+    const at = (k) => frontier[k + d + 1];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: 'equal', line: a[x - 1] });
+      x--;
+      y--;
+    }
+
+    if (x === prevX) {
+      ops.push({ type: 'added', line: b[y - 1] });
+      y--;
+    } else {
+      ops.push({ type: 'removed', line: a[x - 1] });
+      x--;
+    }
+  }
+
+  while (x > 0 && y > 0) {
+    ops.push({ type: 'equal', line: a[x - 1] });
+    x--;
+    y--;
+  }
+
+  return ops.reverse();
+};
+
+/**
+ * toHunks()
+ *
+ * WHAT: Groups consecutive operations of the same type and numbers them
+ */
+const toHunks = (ops) => {
+  const hunks = [];
+  let oldLine = 1;
+  let newLine = 1;
+
+  for (const op of ops) {
+    let hunk = hunks[hunks.length - 1];
+    if (!hunk || hunk.type !== op.type) {
+      hunk = { type: op.type, oldStart: oldLine, newStart: newLine, lines: [] };
+      hunks.push(hunk);
+    }
+    hunk.lines.push(op.line);
+
+    if (op.type !== 'added') oldLine++;
+    if (op.type !== 'removed') newLine++;
+  }
+
+  return hunks;
+};
+
+/**
+ * collapseUnchanged()
+ *
+ * WHAT: Replaces the middle of long unchanged stretches with a 'skipped' hunk
+ */
+const collapseUnchanged = (hunks, context) => {
+  const result = [];
+
+  hunks.forEach((hunk, index) => {
+    const keepBefore = index > 0 ? context : 0; // Context after the previous change
+    const keepAfter = index < hunks.length - 1 ? context : 0; // Context before the next one
+
+    const skipped = hunk.lines.length - keepBefore - keepAfter;
+
+    // Hiding just a line or two saves nothing
+    if (hunk.type !== 'equal' || skipped <= context) {
+      result.push(hunk);
+      return;
+    }
+
+    if (keepBefore > 0) {
+      result.push({ ...hunk, lines: hunk.lines.slice(0, keepBefore) });
+    }
+    result.push({
+      type: 'skipped',
+      oldStart: hunk.oldStart + keepBefore,
+      newStart: hunk.newStart + keepBefore,
+      count: skipped,
+    });
+    if (keepAfter > 0) {
+      result.push({
+        type: 'equal',
+        oldStart: hunk.oldStart + keepBefore + skipped,
+        newStart: hunk.newStart + keepBefore + skipped,
+        lines: hunk.lines.slice(-keepAfter),
+      });
+    }
+  });
+
+  return result;
+};
+
+/**
+ * diffLines()
+ *
+ * WHAT: Compares two texts line by line
+ *
+ * Common leading and trailing lines are matched up front, so a small
+ * edit in a long document only runs the algorithm on the changed middle.
+ *
+ * CALLED BY: DocumentService.diffRevisions()
+ * INPUT: oldText, newText, options { context, maxEdits }
+ * OUTPUT: { hunks, stats: { added, removed }, approximate }
+ */
+const diffLines = (oldText, newText, { context = CONTEXT_LINES, maxEdits = MAX_EDITS } = {}) => {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const middleA = a.slice(start, endA);
+  const middleB = b.slice(start, endB);
+  let middle = myers(middleA, middleB, maxEdits);
+  const approximate = middle === null;
+
+  if (approximate) {
+    middle = [
+      ...middleA.map((line) => ({ type: 'removed', line })),
+      ...middleB.map((line) => ({ type: 'added', line })),
+    ];
+  }
+
+  const ops = [
+    ...a.slice(0, start).map((line) => ({ type: 'equal', line })),
+    ...middle,
+    ...a.slice(endA).map((line) => ({ type: 'equal', line })),
+  ];
+
+  const stats = {
+    added: ops.filter((op) => op.type === 'added').length,
+    removed: ops.filter((op) => op.type === 'removed').length,
+  };
+
+  return {
+    hunks: collapseUnchanged(toHunks(ops), context),
+    stats,
+    approximate,
+  };
+};
+
+module.exports = {
+  diffLines,
+};
@@ -0,0 +1,738 @@
+/**
+ * =============================================================================
+ * TEXT EXTRACTORS - HTML, SPREADSHEETS, SLIDES, RTF, JSON AND EMAIL
+ * =============================================================================
+ *
+ * WHAT IS THIS FILE?
+ * Turns the "other" upload formats into plain text for chunking and
+ * search. PDF and Word stay in document.service.js (pdf-parse, mammoth).
+ *
+ * EVERY EXTRACTOR RETURNS:
+ * {
+ *   text,         // Plain text, stored as document.content
+ *   pageOffsets,  // PPTX: where each slide starts (slides act as pages)
+ *   records,      // CSV / XLSX / mbox: atomic units [{ text, label }]
+ * }
+ * Records are never cut in half by chunking - a spreadsheet row stays
+ * together with its column names, an email stays one message
+ * (see chunkRecords in document.service.js).
+ *
+ * FORMAT NOTES:
+ * - HTML: <nav>, <header>, <footer>, <aside>, scripts and forms are
+ *   dropped; <main> / <article> win when present. Headings become
+ *   "# Heading" lines.
+ * - CSV / XLSX: each row becomes "Column: value; Column: value" using the
+ *   first row as header.
+ * - PPTX: slide text in presentation order, plus speaker notes.
+ * - RTF: control words and font / colour / style tables are dropped.
+ * - JSON: one "path.to.key: value" line per value.
+ * - EML / MBOX: Subject, From, To, Date and the text body (HTML bodies
+ *   are converted; attachments are listed by name only).
+ *
+ * =============================================================================
+ */
+
+const JSZip = require('jszip');
+const { escapeRegex } = require('./escapeRegex');
+
+// =============================================================================
+// SHARED HELPERS
+// =============================================================================
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  ndash: '–', mdash: '—', hellip: '…', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+  bull: '•', middot: '·', copy: '©', reg: '®', trade: '™', euro: '€',
+};
+
+/**
+ * decodeEntities()
+ *
+ * WHAT: &amp; &#39; &#x2014; ... → characters (HTML and XML)
+ */
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+  if (name[0] === '#') {
+    const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+    return Number.isFinite(code) && code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+  }
+  return NAMED_ENTITIES[name.toLowerCase()] ?? entity;
+});
+
+/**
+ * tidyText()
+ *
+ * WHAT: Trims lines and collapses runs of blank lines and spaces
+ */
+const tidyText = (text) => text
+  .replace(/\r\n?/g, '\n')
+  .split('\n')
+  .map((line) => line.replace(/[ \t ]+/g, ' ').trim())
+  .join('\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+/**
+ * decodeBytes()
+ *
+ * WHAT: Bytes → string in the given charset (falls back to UTF-8)
+ */
+const decodeBytes = (buffer, charset = 'utf-8') => {
+  try {
+    return new TextDecoder(charset.toLowerCase()).decode(buffer);
+  } catch {
+    return new TextDecoder('utf-8').decode(buffer);
+  }
+};
+
+/**
+ * recordsToText()
+ *
+ * WHAT: The document text for a list of records (label shown once per group)
+ */
+const recordsToText = (records) => {
+  const lines = [];
+  let label = null;
+
+  records.forEach((record) => {
+    if (record.label && record.label !== label) {
+      if (lines.length > 0) lines.push('');
+      lines.push(record.label);
+    }
+    label = record.label;
+    lines.push(record.text);
+  });
+
+  return lines.join('\n');
+};
+
+/**
+ * rowsToRecords()
+ *
+ * WHAT: Table rows → "Column: value; Column: value" records
+ *
+ * The first non-empty row is the header. Columns without a header name
+ * are called "Column 3"; empty cells are left out.
+ */
+const rowsToRecords = (rows, label = null) => {
+  const nonEmpty = rows.filter((row) => row.some((cell) => String(cell ?? '').trim() !== ''));
+  if (nonEmpty.length === 0) return [];
+
+  const [header, ...body] = nonEmpty;
+  const names = header.map((name, index) => String(name ?? '').trim() || `Column ${index + 1}`);
+
+  // A header-only table still says something (the columns)
+  if (body.length === 0) {
+    return [{ text: names.join('; '), label }];
+  }
+
+  return body.map((row) => ({
+    text: row
+      .map((cell, index) => [names[index] || `Column ${index + 1}`, String(cell ?? '').trim()])
+      .filter(([, value]) => value !== '')
+      .map(([name, value]) => `${name}: ${value}`)
+      .join('; '),
+    label,
+  })).filter((record) => record.text);
+};
+
+// =============================================================================
+// HTML
+// =============================================================================
+
+// Never content
+const HIDDEN_ELEMENTS = ['script', 'style', 'noscript', 'template', 'svg', 'iframe', 'head', 'object'];
+// Site chrome around the content
+const BOILERPLATE_ELEMENTS = ['nav', 'header', 'footer', 'aside', 'form', 'button', 'menu'];
+
+const BLOCK_ELEMENTS = [
+  'p', 'div', 'section', 'article', 'main', 'blockquote', 'pre', 'table', 'tr', 'ul', 'ol',
+  'dl', 'dt', 'dd', 'figure', 'figcaption', 'hr', 'address', 'details', 'summary',
+];
+
+const removeElements = (html, names) => names.reduce(
+  (result, name) => result.replace(new RegExp(`<${name}\\b[^>]*>[\\s\\S]*?<\\/${name}\\s*>`, 'gi'), ' '),
+  html
+);
+
+/**
+ * extractFromHTML()
+ *
+ * WHAT: Readable text of an HTML page without navigation and scripts
+ * INPUT: html (string)
+ */
+const extractFromHTML = (html) => {
+  let body = html.replace(/<!--[\s\S]*?-->/g, ' ');
+  body = removeElements(body, HIDDEN_ELEMENTS);
+
+  // Prefer the page's main content when it is marked up
+  const main = /<(main|article)\b[^>]*>([\s\S]*)<\/\1\s*>/i.exec(body);
+  if (main) {
+    body = main[2];
+  }
+
+  body = removeElements(body, BOILERPLATE_ELEMENTS);
+
+  const text = body
+    .replace(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1\s*>/gi, (match, level, inner) => `\n\n${'#'.repeat(Number(level))} ${inner.replace(/<[^>]+>/g, ' ').trim()}\n`)
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(/<(td|th)\b[^>]*>/gi, ' | ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(new RegExp(`<\\/?(${BLOCK_ELEMENTS.join('|')})\\b[^>]*>`, 'gi'), '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/^\s*\|\s*/gm, '');
+
+  return { text: tidyText(decodeEntities(text)), pageOffsets: null, records: null };
+};
+
+// =============================================================================
+// CSV
+// =============================================================================
+
+/**
+ * parseCSV()
+ *
+ * WHAT: CSV text → rows (quoted fields, "" escapes, newlines in quotes)
+ * The delimiter (, ; or tab) is guessed from the first line.
+ */
+const parseCSV = (input) => {
+  const text = input.replace(/^﻿/, '');
+  const firstLine = text.slice(0, text.indexOf('\n') === -1 ? text.length : text.indexOf('\n'));
+  const delimiter = [',', ';', '\t']
+    .map((candidate) => [candidate, firstLine.split(candidate).length])
+    .sort((a, b) => b[1] - a[1])[0][0];
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+/**
+ * extractFromCSV()
+ *
+ * INPUT: csv (string)
+ */
+const extractFromCSV = (csv) => {
+  const records = rowsToRecords(parseCSV(csv));
+  return { text: recordsToText(records), pageOffsets: null, records };
+};
+
+// =============================================================================
+// XLSX / PPTX (zipped XML)
+// =============================================================================
+
+/**
+ * xmlTexts()
+ *
+ * WHAT: Contents of every <tag>...</tag> in an XML string, decoded
+ */
+const xmlTexts = (xml, tag) => {
+  const pattern = new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)<\\/${tag}>`, 'g');
+  return [...xml.matchAll(pattern)].map((match) => decodeEntities(match[1]));
+};
+
+/**
+ * readRelationships()
+ *
+ * WHAT: A .rels file → Map of relationship id → target path
+ */
+const readRelationships = async (zip, relsPath, baseDir) => {
+  const file = zip.file(relsPath);
+  if (!file) return new Map();
+
+  const xml = await file.async('string');
+  return new Map(
+    [...xml.matchAll(/<Relationship\b[^>]*>/g)].map(([element]) => {
+      const id = /\bId="([^"]+)"/.exec(element)?.[1];
+      const target = /\bTarget="([^"]+)"/.exec(element)?.[1] || '';
+      // Targets are relative to the part, or absolute from the package root
+      const resolved = target.startsWith('/') ? target.slice(1) : `${baseDir}/${target}`.replace(/[^/]+\/\.\.\//g, '');
+      return [id, resolved];
+    })
+  );
+};
+
+/**
+ * columnIndex()
+ *
+ * WHAT: Cell reference → zero-based column ("C7" → 2, "AA1" → 26)
+ */
+const columnIndex = (reference) => {
+  const letters = /^[A-Z]+/.exec(reference || '')?.[0] || '';
+  return [...letters].reduce((index, letter) => index * 26 + (letter.charCodeAt(0) - 64), 0) - 1;
+};
+
+/**
+ * extractFromXLSX()
+ *
+ * WHAT: Every sheet's rows as records, labelled "Sheet: <name>"
+ * Values are what Excel last calculated (formulas aren't re-evaluated).
+ *
+ * INPUT: buffer (file contents)
+ */
+const extractFromXLSX = async (buffer) => {
+  const zip = await JSZip.loadAsync(buffer);
+
+  const workbook = await zip.file('xl/workbook.xml')?.async('string');
+  if (!workbook) {
+    throw new Error('Not an Excel workbook (xl/workbook.xml missing)');
+  }
+
+  const sharedStringsXml = await zip.file('xl/sharedStrings.xml')?.async('string');
+  // Rich text is split into runs - a shared string is all of its <t> parts
+  const sharedStrings = sharedStringsXml
+    ? xmlTexts(sharedStringsXml, 'si').map((item) => xmlTexts(item, 't').join(''))
+    : [];
+
+  const relationships = await readRelationships(zip, 'xl/_rels/workbook.xml.rels', 'xl');
+  const records = [];
+
+  for (const [sheetElement] of workbook.matchAll(/<sheet\b[^>]*>/g)) {
+    const name = decodeEntities(/\bname="([^"]*)"/.exec(sheetElement)?.[1] || 'Sheet');
+    const relationshipId = /\br:id="([^"]+)"/.exec(sheetElement)?.[1];
+    const sheetXml = await zip.file(relationships.get(relationshipId) || '')?.async('string');
+    if (!sheetXml) continue;
+
+    const rows = [...sheetXml.matchAll(/<row\b[^>]*>([\s\S]*?)<\/row>/g)].map(([, rowXml]) => {
+      const row = [];
+      for (const [, attributes, inner] of rowXml.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+        const type = /\bt="([^"]+)"/.exec(attributes)?.[1];
+        const index = columnIndex(/\br="([^"]+)"/.exec(attributes)?.[1]);
+        const raw = xmlTexts(inner || '', 'v')[0];
+
+        let value;
+        if (type === 's') value = sharedStrings[Number(raw)];
+        else if (type === 'inlineStr') value = xmlTexts(inner || '', 't').join('');
+        else if (type === 'b') value = raw === '1' ? 'TRUE' : 'FALSE';
+        else value = raw;
+
+        row[index >= 0 ? index : row.length] = value ?? '';
+      }
+      return Array.from(row, (cell) => cell ?? '');
+    });
+
+    records.push(...rowsToRecords(rows, `Sheet: ${name}`));
+  }
+
+  return { text: recordsToText(records), pageOffsets: null, records };
+};
+
+/**
+ * slideText()
+ *
+ * WHAT: Paragraphs of a slide (or notes) XML, one per line
+ */
+const slideText = (xml) => xmlTexts(xml, 'a:p')
+  .map((paragraph) => xmlTexts(paragraph, 'a:t').join(''))
+  .filter((line) => line.trim())
+  .join('\n');
+
+/**
+ * extractFromPPTX()
+ *
+ * WHAT: Slide text in presentation order; each slide is a "page", so
+ * citations can point at it
+ *
+ * INPUT: buffer (file contents)
+ */
+const extractFromPPTX = async (buffer) => {
+  const zip = await JSZip.loadAsync(buffer);
+
+  const presentation = await zip.file('ppt/presentation.xml')?.async('string');
+  if (!presentation) {
+    throw new Error('Not a PowerPoint presentation (ppt/presentation.xml missing)');
+  }
+
+  const relationships = await readRelationships(zip, 'ppt/_rels/presentation.xml.rels', 'ppt');
+  const slidePaths = [...presentation.matchAll(/<p:sldId\b[^>]*\br:id="([^"]+)"/g)]
+    .map(([, id]) => relationships.get(id))
+    .filter(Boolean);
+
+  const slides = [];
+  for (const [index, slidePath] of slidePaths.entries()) {
+    const xml = await zip.file(slidePath)?.async('string');
+    if (!xml) continue;
+
+    const lines = [`Slide ${index + 1}`, slideText(xml)];
+
+    // Speaker notes often carry what the slide only hints at
+    const slideDir = slidePath.slice(0, slidePath.lastIndexOf('/'));
+    const slideName = slidePath.slice(slidePath.lastIndexOf('/') + 1);
+    const slideRelationships = await readRelationships(zip, `${slideDir}/_rels/${slideName}.rels`, slideDir);
+    const notesPath = [...slideRelationships.values()].find((target) => /notesSlide\d*\.xml$/.test(target));
+    const notesXml = notesPath && await zip.file(notesPath)?.async('string');
+    const notes = notesXml ? slideText(notesXml) : '';
+    if (notes) {
+      lines.push(`Notes: ${notes}`);
+    }
+
+    slides.push(lines.filter(Boolean).join('\n'));
+  }
+
+  const pageOffsets = [];
+  let text = '';
+  slides.forEach((slide, index) => {
+    if (index > 0) text += '\n\n';
+    pageOffsets.push(text.length);
+    text += slide;
+  });
+
+  return { text, pageOffsets, records: null };
+};
+
+// =============================================================================
+// RTF
+// =============================================================================
+
+// Groups that hold formatting tables or binary data, not text
+const RTF_SKIPPED_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'listtable', 'listoverridetable',
+  'rsidtbl', 'generator', 'xmlnstbl', 'themedata', 'colorschememapping', 'datastore', 'latentstyles',
+  'header', 'headerl', 'headerr', 'headerf', 'footer', 'footerl', 'footerr', 'footerf', 'fldinst',
+  'filetbl', 'revtbl', 'bkmkstart', 'bkmkend', 'pgdsctbl', 'mmathPr',
+]);
+
+const RTF_CHARACTERS = {
+  par: '\n', line: '\n', sect: '\n\n', page: '\n\n', row: '\n', cell: ' | ', tab: '\t',
+  emdash: '—', endash: '–', bullet: '•', lquote: '‘', rquote: '’', ldblquote: '“', rdblquote: '”',
+  emspace: ' ', enspace: ' ', qmspace: ' ',
+};
+
+/**
+ * extractFromRTF()
+ *
+ * WHAT: Plain text of an RTF document
+ *
+ * HOW:
+ * A single pass over the input with a stack of groups ({ ... }).
+ * Control words either produce characters (\par, \'e9, 舒), switch a group
+ * off (\fonttbl, \* destinations) or are formatting and ignored.
+ *
+ * INPUT: rtf (string, read as latin1 so \'hh bytes survive)
+ */
+const extractFromRTF = (rtf) => {
+  const windows1252 = new TextDecoder('windows-1252');
+  const stack = [];
+  let skip = false;
+  let unicodeSkip = 1; // Fallback characters after \uN (\ucN)
+  let pendingSkip = 0;
+  let output = '';
+
+  const emit = (text) => {
+    if (skip) return;
+    if (pendingSkip > 0) {
+      pendingSkip -= 1;
+      return;
+    }
+    output += text;
+  };
+
+  for (let i = 0; i < rtf.length; i++) {
+    const char = rtf[i];
+
+    if (char === '{') {
+      stack.push({ skip, unicodeSkip });
+      continue;
+    }
+    if (char === '}') {
+      ({ skip, unicodeSkip } = stack.pop() || { skip: false, unicodeSkip: 1 });
+      continue;
+    }
+    if (char === '\r' || char === '\n') {
+      continue;
+    }
+    if (char !== '\\') {
+      emit(char);
+      continue;
+    }
+
+    const next = rtf[i + 1];
+
+    // Control symbols
+    if (next === '\'') {
+      emit(windows1252.decode(Buffer.from([parseInt(rtf.slice(i + 2, i + 4), 16) || 0x3f])));
+      i += 3;
+      continue;
+    }
+    if (next === '\\' || next === '{' || next === '}') {
+      emit(next);
+      i += 1;
+      continue;
+    }
+    if (next === '~') {
+      emit(' ');
+      i += 1;
+      continue;
+    }
+    if (next === '*') {
+      // {\*\destination ...} - unknown to us, skip the group
+      skip = true;
+      i += 1;
+      continue;
+    }
+    if (next === '\n' || next === '\r') {
+      emit('\n');
+      i += 1;
+      continue;
+    }
+
+    const match = /^([a-zA-Z]+)(-?\d+)? ?/.exec(rtf.slice(i + 1, i + 40));
+    if (!match) {
+      i += 1; // \- \_ \| and other rare symbols
+      continue;
+    }
+    i += match[0].length;
+
+    const [, word, parameter] = match;
+    if (RTF_SKIPPED_DESTINATIONS.has(word)) {
+      skip = true;
+    } else if (word === 'uc') {
+      unicodeSkip = Number(parameter) || 0;
+    } else if (word === 'u') {
+      const code = Number(parameter);
+      emit(String.fromCharCode(code < 0 ? code + 65536 : code));
+      if (!skip) pendingSkip = unicodeSkip;
+    } else if (RTF_CHARACTERS[word]) {
+      emit(RTF_CHARACTERS[word]);
+    }
+  }
+
+  return { text: tidyText(output), pageOffsets: null, records: null };
+};
+
+// =============================================================================
+// JSON
+// =============================================================================
+
+/**
+ * extractFromJSON()
+ *
+ * WHAT: One line per value - "policies[2].title: Travel policy"
+ * Key paths keep values understandable out of context (in a chunk).
+ *
+ * INPUT: json (string)
+ */
+const extractFromJSON = (json) => {
+  const data = JSON.parse(json.replace(/^﻿/, ''));
+  const lines = [];
+
+  const walk = (value, path) => {
+    if (Array.isArray(value)) {
+      value.forEach((item, index) => walk(item, `${path}[${index}]`));
+    } else if (value && typeof value === 'object') {
+      Object.entries(value).forEach(([key, item]) => walk(item, path ? `${path}.${key}` : key));
+    } else if (value !== null && value !== '') {
+      lines.push(path ? `${path}: ${value}` : String(value));
+    }
+  };
+  walk(data, '');
+
+  return { text: lines.join('\n'), pageOffsets: null, records: null };
+};
+
+// =============================================================================
+// EMAIL (.eml, .mbox)
+// =============================================================================
+
+/**
+ * decodeQuotedPrintable()
+ *
+ * WHAT: Quoted-printable → bytes ("=C3=A9" → é in UTF-8, "=\n" joins lines)
+ */
+const decodeQuotedPrintable = (text) => {
+  const joined = text.replace(/=\r?\n/g, '');
+  const bytes = [];
+  for (let i = 0; i < joined.length; i++) {
+    if (joined[i] === '=' && /^[0-9A-F]{2}$/i.test(joined.slice(i + 1, i + 3))) {
+      bytes.push(parseInt(joined.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else {
+      bytes.push(joined.charCodeAt(i) & 0xff);
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * decodeHeader()
+ *
+ * WHAT: RFC 2047 encoded words - "=?UTF-8?B?SGVsbG8=?=" → "Hello"
+ */
+const decodeHeader = (value) => decodeBytes(Buffer.from(value, 'latin1'))
+  .replace(/=\?([^?]+)\?([BQ])\?([^?]*)\?=\s*(?==\?)/gi, '=?$1?$2?$3?=')
+  .replace(/=\?([^?]+)\?([BQ])\?([^?]*)\?=/gi, (match, charset, encoding, encoded) => {
+    const bytes = encoding.toUpperCase() === 'B'
+      ? Buffer.from(encoded, 'base64')
+      : decodeQuotedPrintable(encoded.replace(/_/g, ' '));
+    return decodeBytes(bytes, charset);
+  });
+
+/**
+ * parseHeaders()
+ *
+ * WHAT: Header block → Map of lowercase name → value (folded lines joined)
+ */
+const parseHeaders = (block) => {
+  const headers = new Map();
+  block.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/).forEach((line) => {
+    const colon = line.indexOf(':');
+    if (colon > 0) {
+      const name = line.slice(0, colon).trim().toLowerCase();
+      if (!headers.has(name)) headers.set(name, line.slice(colon + 1).trim());
+    }
+  });
+  return headers;
+};
+
+const headerParameter = (value, name) => (
+  new RegExp(`${name}\\*?=(?:"([^"]*)"|([^;\\s]*))`, 'i').exec(value || '')?.slice(1).find(Boolean) || null
+);
+
+/**
+ * parseMimePart()
+ *
+ * WHAT: A message or MIME part → { text, html, attachments }
+ * Nested multiparts are walked; the first text/plain and text/html win.
+ *
+ * INPUT: raw part (latin1 string - one character per byte)
+ */
+const parseMimePart = (raw) => {
+  const split = raw.search(/\r?\n\r?\n/);
+  const headerBlock = split === -1 ? raw : raw.slice(0, split);
+  const body = split === -1 ? '' : raw.slice(split).replace(/^\r?\n\r?\n/, '');
+  const headers = parseHeaders(headerBlock);
+
+  const contentType = (headers.get('content-type') || 'text/plain').toLowerCase();
+  const disposition = headers.get('content-disposition') || '';
+  const result = { headers, text: null, html: null, attachments: [] };
+
+  if (contentType.startsWith('multipart/')) {
+    const boundary = headerParameter(headers.get('content-type'), 'boundary');
+    if (!boundary) return result;
+
+    const parts = body.split(new RegExp(`\\r?\\n?--${escapeRegex(boundary)}(?:--)?[ \\t]*\\r?\\n?`));
+    parts.slice(1).filter((part) => part.trim()).forEach((part) => {
+      const child = parseMimePart(part);
+      result.text = result.text ?? child.text;
+      result.html = result.html ?? child.html;
+      result.attachments.push(...child.attachments);
+    });
+    return result;
+  }
+
+  const fileName = headerParameter(disposition, 'filename') || headerParameter(headers.get('content-type'), 'name');
+  if (/^attachment/i.test(disposition) || (fileName && !contentType.startsWith('text/'))) {
+    result.attachments.push(decodeHeader(fileName || 'unnamed'));
+    return result;
+  }
+
+  const encoding = (headers.get('content-transfer-encoding') || '').toLowerCase();
+  const bytes = encoding === 'base64'
+    ? Buffer.from(body.replace(/\s+/g, ''), 'base64')
+    : encoding === 'quoted-printable'
+      ? decodeQuotedPrintable(body)
+      : Buffer.from(body, 'latin1');
+  const decoded = decodeBytes(bytes, headerParameter(headers.get('content-type'), 'charset') || 'utf-8');
+
+  if (contentType.startsWith('text/html')) result.html = decoded;
+  else if (contentType.startsWith('text/')) result.text = decoded;
+
+  return result;
+};
+
+/**
+ * messageToText()
+ *
+ * WHAT: One email as readable text (key headers, body, attachment names)
+ */
+const messageToText = (raw) => {
+  const message = parseMimePart(raw);
+  const lines = ['subject', 'from', 'to', 'cc', 'date']
+    .filter((name) => message.headers.get(name))
+    .map((name) => `${name[0].toUpperCase()}${name.slice(1)}: ${decodeHeader(message.headers.get(name))}`);
+
+  const body = message.text ?? (message.html ? extractFromHTML(message.html).text : '');
+  lines.push('', tidyText(body));
+
+  if (message.attachments.length > 0) {
+    lines.push('', `Attachments: ${message.attachments.join(', ')}`);
+  }
+
+  return {
+    subject: decodeHeader(message.headers.get('subject') || '(no subject)'),
+    text: lines.join('\n').trim(),
+  };
+};
+
+/**
+ * extractFromEmail()
+ *
+ * INPUT: raw message (latin1 string)
+ */
+const extractFromEmail = (raw) => ({ text: messageToText(raw).text, pageOffsets: null, records: null });
+
+/**
+ * extractFromMbox()
+ *
+ * WHAT: Every message of a mailbox as one record
+ * Messages start with a "From " line; ">From " inside bodies is unescaped.
+ *
+ * INPUT: raw mailbox (latin1 string)
+ */
+const extractFromMbox = (raw) => {
+  const records = raw
+    .split(/^From .*\r?\n/m)
+    .filter((message) => message.trim())
+    .map((message) => {
+      const { subject, text } = messageToText(message.replace(/^>(>*From )/gm, '$1'));
+      return { text, label: `Email: ${subject}` };
+    });
+
+  return { text: recordsToText(records), pageOffsets: null, records };
+};
+
+module.exports = {
+  extractFromHTML,
+  extractFromCSV,
+  extractFromXLSX,
+  extractFromPPTX,
+  extractFromRTF,
+  extractFromJSON,
+  extractFromEmail,
+  extractFromMbox,
+};
@@ -0,0 +1,171 @@
+/**
+ * =============================================================================
+ * TOTP - TIME-BASED ONE-TIME PASSWORDS (RFC 6238)
+ * =============================================================================
+ *
+ * WHAT IS THIS FILE?
+ * The 6-digit codes of authenticator apps (Google Authenticator, Authy,
+ * 1Password, Microsoft Authenticator, ...).
+ *
+ * HOW IT WORKS:
+ * The server and the app share a random secret. Every 30 seconds both
+ * compute HMAC-SHA1(secret, number of 30-second steps since 1970) and
+ * shorten it to 6 digits. Same secret + same time = same code.
+ *
+ *   secret ──┐
+ *            ├─→ HMAC-SHA1 ─→ dynamic truncation ─→ "492039"
+ *   step ────┘
+ *
+ * The secret reaches the app once, through an otpauth:// URI (usually
+ * shown as a QR code). Secrets are base32 - the alphabet apps expect.
+ *
+ * USAGE:
+ * const totp = require('../utils/totp');
+ * const secret = totp.generateSecret();
+ * const url = totp.buildOtpauthUrl({ secret, issuer: 'AIKSP', account: 'jane@acme.com' });
+ * const step = totp.verifyCode(secret, '492039'); // matching step or null
+ *
+ * =============================================================================
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+/**
+ * base32Encode() / base32Decode() - RFC 4648 base32, no padding
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (text) => {
+  const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * generateSecret()
+ *
+ * OUTPUT: A new base32 secret (160 bits, the RFC 4226 recommendation)
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * currentStep() - Number of 30-second steps since the Unix epoch
+ */
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+/**
+ * generateCode()
+ *
+ * WHAT: The code for a secret at a time step (HOTP of the step)
+ *
+ * INPUT: secret (base32), step (number)
+ * OUTPUT: "012345"
+ */
+const generateCode = (secret, step = currentStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+
+  // Dynamic truncation: 4 bytes at the offset given by the last nibble
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * verifyCode()
+ *
+ * WHAT: Checks a code, allowing one step of clock drift either way
+ *
+ * REPLAY PROTECTION:
+ * Pass the step of the last accepted code as afterStep - codes from that
+ * step or earlier are refused, so an observed code can't be used again.
+ *
+ * INPUT: secret (base32), code (string), { afterStep, window }
+ * OUTPUT: The matching step (store it as the new afterStep), or null
+ */
+const verifyCode = (secret, code, { afterStep = null, window = 1 } = {}) => {
+  const candidate = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(candidate)) {
+    return null;
+  }
+
+  const now = currentStep();
+  for (let step = now - window; step <= now + window; step++) {
+    if (afterStep != null && step <= afterStep) continue;
+
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * buildOtpauthUrl()
+ *
+ * WHAT: The provisioning URI authenticator apps import (as a QR code)
+ *
+ * FORMAT: otpauth://totp/Issuer:account?secret=...&issuer=Issuer&...
+ */
+const buildOtpauthUrl = ({ secret, issuer, account }) => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+
+  return `otpauth://totp/${label}?${params}`;
+};
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpauthUrl,
+};
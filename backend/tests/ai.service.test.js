@@ -0,0 +1,112 @@
+/**
+ * AI service - document summaries
+ *
+ * Long documents are summarized section by section (map) and the
+ * section summaries are combined in batches (reduce). Every section is
+ * read, the reduce step can't loop forever, and failures reach the job
+ * queue so it can retry them.
+ */
+
+process.env.LLM_PROVIDER = 'summary-stub';
+
+jest.mock('../src/utils/logger');
+
+const { registerLLMProvider, LLM_ERROR_TYPES } = require('../src/services/llm.service');
+const aiService = require('../src/services/ai.service');
+
+const SUMMARY_INPUT_LIMIT = 30000;
+
+// The stub answers every request with `respond(prompt)` and records the prompts
+let respond;
+let prompts;
+
+registerLLMProvider('summary-stub', () => ({
+  name: 'summary-stub',
+  model: 'stub',
+  isConfigured: () => true,
+  generate: async (prompt) => {
+    prompts.push(prompt);
+    return { text: await respond(prompt) };
+  },
+  classifyError: (error) => error.type || LLM_ERROR_TYPES.UNKNOWN,
+}));
+
+// "Section N." paragraphs, `count` of them, about 1000 characters each
+const buildDocument = (count) => Array.from(
+  { length: count },
+  (_, i) => `Section ${i + 1}. ${'Lorem ipsum dolor sit amet. '.repeat(35)}`
+).join('\n\n');
+
+// The text a prompt asks the model to summarize
+const contentOf = (prompt) => prompt.split(/\n(?:DOCUMENT|SECTION|SECTION SUMMARIES):\n/)[1].replace(/\n\nSUMMARY:$/, '');
+
+beforeEach(() => {
+  prompts = [];
+  respond = () => 'A short summary.';
+});
+
+describe('summarizeDocument()', () => {
+  test('summarizes a short document in one request', async () => {
+    const summary = await aiService.summarizeDocument('Leave policy: 25 days a year.');
+
+    expect(summary).toBe('A short summary.');
+    expect(prompts).toHaveLength(1);
+  });
+
+  test('reads every section of a long document', async () => {
+    const document = buildDocument(700); // ~700k characters, more than 20 requests
+
+    await aiService.summarizeDocument(document);
+
+    const mapped = prompts.slice(0, -1).map(contentOf).join('\n\n');
+    for (const n of [1, 350, 699, 700]) {
+      expect(mapped).toContain(`Section ${n}.`);
+    }
+    expect(prompts.length).toBeGreaterThan(20);
+    expect(prompts.at(-1)).toContain('SECTION SUMMARIES:');
+  });
+
+  test('batches the reduce step when the section summaries are too long', async () => {
+    // Every section summary is 2000 characters: 40 of them need two batches
+    respond = (prompt) => (prompt.includes('SECTION SUMMARIES:') ? 'Final.' : `${'Summary text. '.repeat(142)}`);
+
+    const summary = await aiService.summarizeDocument(buildDocument(1200));
+
+    expect(summary).toBe('Final.');
+    prompts.forEach((prompt) => expect(contentOf(prompt).length).toBeLessThanOrEqual(SUMMARY_INPUT_LIMIT));
+  });
+
+  test('stops reducing after a few rounds when summaries never get shorter', async () => {
+    // The model "summarizes" by repeating its input
+    respond = (prompt) => contentOf(prompt);
+
+    await aiService.summarizeDocument(buildDocument(40));
+
+    const finalPrompt = prompts.at(-1);
+    expect(finalPrompt).toContain('SECTION SUMMARIES:');
+    expect(contentOf(finalPrompt).length).toBeLessThanOrEqual(SUMMARY_INPUT_LIMIT);
+    // Map (2 requests) + 3 reduce rounds (2 each) + final
+    expect(prompts.length).toBeLessThanOrEqual(9);
+  });
+
+  test('throws provider errors so the job can retry', async () => {
+    respond = () => { throw Object.assign(new Error('Service unavailable'), { type: LLM_ERROR_TYPES.SERVER }); };
+
+    const error = await aiService.summarizeDocument('Leave policy.').catch((err) => err);
+
+    expect(error.message).toBe('Service unavailable');
+    expect(error.retryable).toBeUndefined();
+  });
+
+  test('marks errors no retry can fix as not retryable', async () => {
+    respond = () => { throw Object.assign(new Error('API key not valid'), { type: LLM_ERROR_TYPES.AUTH }); };
+
+    await expect(aiService.summarizeDocument('Leave policy.')).rejects.toMatchObject({ retryable: false });
+  });
+
+  test('returns null on errors for optional callers', async () => {
+    respond = () => { throw new Error('Service unavailable'); };
+
+    await expect(aiService.summarizeDocument('Leave policy.', null, { optional: true })).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Auth service - single sign-on and two-factor authentication
+ *
+ * Signing in through the identity provider replaces the password, not
+ * the authenticator code.
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+jest.mock('../src/utils/logger');
+
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { User, Organization } = require('../src/models');
+const authService = require('../src/services/auth.service');
+const ssoService = require('../src/services/sso.service');
+const sessionService = require('../src/services/session.service');
+const twoFactorService = require('../src/services/twoFactor.service');
+
+const buildUser = (fields = {}) => new User({
+  firstName: 'Jane',
+  lastName: 'Doe',
+  email: 'jane@acme.test',
+  organization: new mongoose.Types.ObjectId(),
+  orgRole: 'employee',
+  ...fields,
+});
+
+beforeEach(() => {
+  jest.spyOn(sessionService, 'issueTokens').mockResolvedValue({ token: 'access', refreshToken: 'refresh' });
+  jest.spyOn(Organization, 'findById').mockImplementation(() => ({
+    select: async () => ({ settings: { requireTwoFactor: false } }),
+  }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('loginWithSso()', () => {
+  test('asks for the authenticator code when 2FA is on', async () => {
+    const user = buildUser({ twoFactor: { enabled: true } });
+    jest.spyOn(ssoService, 'completeLogin').mockResolvedValue(user);
+
+    const result = await authService.loginWithSso({ code: 'code', state: 'state' });
+
+    expect(result.data.twoFactorRequired).toBe(true);
+    expect(result.data.setupRequired).toBe(false);
+    expect(result.data.token).toBeUndefined();
+    expect(jwt.verify(result.data.twoFactorToken, process.env.JWT_SECRET).id).toBe(user._id.toString());
+    expect(sessionService.issueTokens).not.toHaveBeenCalled();
+  });
+
+  test('asks for 2FA setup when the organization requires it', async () => {
+    jest.spyOn(ssoService, 'completeLogin').mockResolvedValue(buildUser());
+    jest.spyOn(twoFactorService, 'isRequired').mockResolvedValue(true);
+
+    const result = await authService.loginWithSso({ code: 'code', state: 'state' });
+
+    expect(result.data).toMatchObject({ twoFactorRequired: true, setupRequired: true });
+    expect(sessionService.issueTokens).not.toHaveBeenCalled();
+  });
+
+  test('starts a session right away without 2FA', async () => {
+    jest.spyOn(ssoService, 'completeLogin').mockResolvedValue(buildUser());
+    jest.spyOn(twoFactorService, 'isRequired').mockResolvedValue(false);
+    jest.spyOn(Organization, 'findById').mockResolvedValue(null);
+
+    const result = await authService.loginWithSso({ code: 'code', state: 'state' });
+
+    expect(result.data.token).toBe('access');
+    expect(result.data.twoFactorRequired).toBeUndefined();
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Chunk ranker - BM25 scoring of document chunks
+ *
+ * Repeating a term helps less and less, long chunks don't win by size
+ * alone, and equal scores keep the order the caller passed in (the
+ * documents' text-score order).
+ */
+
+const { tokenize, rankChunks } = require('../src/utils/chunkRanker');
+
+// A chunk of `length` terms, `count` of which are `term`
+const chunkWith = (term, count, length, id = `${term}-${count}-${length}`) => ({
+  id,
+  text: [...Array(count).fill(term), ...Array(length - count).fill('filler')].join(' '),
+});
+
+const scoreOf = (ranked, id) => ranked.find((chunk) => chunk.id === id).score;
+
+describe('tokenize()', () => {
+  test('lowercases and drops punctuation, stopwords and single characters', () => {
+    expect(tokenize('What is the Leave-Policy for a new hire?')).toEqual(['leave', 'policy', 'new', 'hire']);
+  });
+
+  test('strips simple plurals so singular and plural match', () => {
+    expect(tokenize('policies documents class bus')).toEqual(['policy', 'document', 'class', 'bus']);
+  });
+
+  test('returns no terms for empty text', () => {
+    expect(tokenize('')).toEqual([]);
+    expect(tokenize(null)).toEqual([]);
+  });
+});
+
+describe('rankChunks()', () => {
+  test('saturates term frequency - each repetition adds less', () => {
+    const chunks = [1, 2, 10, 20].map((count) => chunkWith('vacation', count, 40, `tf-${count}`));
+    chunks.push({ id: 'other', text: 'expense report travel' });
+
+    const ranked = rankChunks('vacation', chunks);
+    const [one, two, ten, twenty] = ['tf-1', 'tf-2', 'tf-10', 'tf-20'].map((id) => scoreOf(ranked, id));
+
+    expect(ranked.map((chunk) => chunk.id)).toEqual(['tf-20', 'tf-10', 'tf-2', 'tf-1', 'other']);
+    expect(two - one).toBeGreaterThan(twenty - ten);
+    // BM25 can't go past idf * (k1 + 1), however often the term repeats
+    const df = 4;
+    const idf = Math.log(1 + (chunks.length - df + 0.5) / (df + 0.5));
+    expect(twenty).toBeLessThan(idf * (1.2 + 1));
+  });
+
+  test('ranks a short chunk above a long one with the same matches', () => {
+    const chunks = [chunkWith('carryover', 1, 200, 'long'), chunkWith('carryover', 1, 10, 'short')];
+
+    const ranked = rankChunks('carryover', chunks);
+
+    expect(ranked.map((chunk) => chunk.id)).toEqual(['short', 'long']);
+    expect(scoreOf(ranked, 'short')).toBeGreaterThan(scoreOf(ranked, 'long'));
+  });
+
+  test('ignores chunk length when b is 0', () => {
+    const chunks = [chunkWith('carryover', 1, 200, 'long'), chunkWith('carryover', 1, 10, 'short')];
+
+    const ranked = rankChunks('carryover', chunks, { b: 0 });
+
+    expect(scoreOf(ranked, 'long')).toBeCloseTo(scoreOf(ranked, 'short'), 10);
+  });
+
+  test.each([
+    ['an empty query', ''],
+    ['a query of stopwords only', 'what is the'],
+  ])('scores every chunk 0 for %s and keeps the input order', (description, query) => {
+    const chunks = [{ id: 'a', text: 'Leave policy' }, { id: 'b', text: 'Expense policy' }, { id: 'c', text: 'Travel' }];
+
+    const ranked = rankChunks(query, chunks, { limit: 2 });
+
+    expect(ranked).toEqual([
+      { id: 'a', text: 'Leave policy', score: 0 },
+      { id: 'b', text: 'Expense policy', score: 0 },
+    ]);
+  });
+
+  test('breaks ties by input position, after the score', () => {
+    const chunks = [
+      { id: 'no-match', text: 'Cafeteria menu' },
+      { id: 'first-tie', text: 'Parental leave rules' },
+      { id: 'best', text: 'Parental leave: parental leave policy' },
+      { id: 'second-tie', text: 'Parental leave rules' },
+    ];
+
+    const ranked = rankChunks('parental leave', chunks);
+
+    expect(ranked.map((chunk) => chunk.id)).toEqual(['best', 'first-tie', 'second-tie', 'no-match']);
+    expect(scoreOf(ranked, 'first-tie')).toBe(scoreOf(ranked, 'second-tie'));
+  });
+
+  test('returns nothing without chunks', () => {
+    expect(rankChunks('leave', [])).toEqual([]);
+    expect(rankChunks('leave', null)).toEqual([]);
+  });
+});
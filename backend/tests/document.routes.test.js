@@ -0,0 +1,93 @@
+/**
+ * Document routes - API tokens of admins
+ *
+ * A token only acts with its scopes: the admin role of the user who
+ * created it doesn't come along, and organization-wide rewrites are
+ * closed to tokens altogether.
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+jest.mock('../src/utils/logger');
+
+const express = require('express');
+const mongoose = require('mongoose');
+const { User } = require('../src/models');
+const apiTokenService = require('../src/services/apiToken.service');
+const documentService = require('../src/services/document.service');
+const emailVerificationService = require('../src/services/emailVerification.service');
+const errorHandler = require('../src/middlewares/errorHandler');
+const { protect, restrictTo } = require('../src/middlewares/auth');
+const documentRoutes = require('../src/routes/document.routes');
+
+const orgId = new mongoose.Types.ObjectId();
+const userId = new mongoose.Types.ObjectId();
+
+let server;
+let baseUrl;
+
+beforeAll((done) => {
+  jest.spyOn(apiTokenService, 'authenticate').mockResolvedValue({
+    _id: new mongoose.Types.ObjectId(),
+    user: userId,
+    organization: orgId,
+    scopes: ['view_documents'],
+  });
+  jest.spyOn(apiTokenService, 'getEffectiveScopes').mockResolvedValue(['view_documents']);
+  jest.spyOn(emailVerificationService, 'isVerificationRequired').mockResolvedValue(false);
+  jest.spyOn(User, 'findById').mockImplementation(async () => new User({
+    _id: userId,
+    firstName: 'Platform',
+    lastName: 'Admin',
+    email: 'admin@example.com',
+    organization: orgId,
+    role: 'admin',
+    orgRole: 'admin',
+    isOrgAdmin: true,
+    isActive: true,
+  }));
+  jest.spyOn(documentService, 'generateMissingHashes').mockResolvedValue({ updated: 0 });
+  jest.spyOn(documentService, 'generateMissingEmbeddings').mockResolvedValue({ updated: 0 });
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/documents', documentRoutes);
+  app.get('/api/admin-only', protect, restrictTo('admin'), (req, res) => res.json({ success: true }));
+  app.use(errorHandler);
+
+  server = app.listen(0, () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+    done();
+  });
+});
+
+afterAll((done) => {
+  jest.restoreAllMocks();
+  server.close(done);
+});
+
+const request = (method, path) => fetch(`${baseUrl}${path}`, {
+  method,
+  headers: { Authorization: 'Bearer aiksp_pat_testtoken' },
+});
+
+describe("an admin's view_documents token", () => {
+  test.each([
+    ['/documents/generate-hashes'],
+    ['/documents/generate-embeddings'],
+  ])('gets 403 on POST %s', async (path) => {
+    const response = await request('POST', path);
+    const json = await response.json();
+
+    expect(response.status).toBe(403);
+    expect(json.message).toMatch(/API tokens can't be used/);
+    expect(documentService.generateMissingHashes).not.toHaveBeenCalled();
+    expect(documentService.generateMissingEmbeddings).not.toHaveBeenCalled();
+  });
+
+  test("doesn't pass restrictTo('admin')", async () => {
+    const response = await request('GET', '/admin-only');
+
+    expect(response.status).toBe(403);
+  });
+});
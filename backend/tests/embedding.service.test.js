@@ -0,0 +1,145 @@
+/**
+ * Embedding service - the local hashed n-gram provider
+ *
+ * The local provider needs no network, so the same text must give the
+ * same vector everywhere, and related texts must end up closer than
+ * unrelated ones.
+ */
+
+jest.mock('../src/utils/logger');
+
+const ENV_KEYS = ['EMBEDDING_PROVIDER', 'EMBEDDING_DIMENSIONS'];
+const savedEnv = {};
+
+// A fresh copy of the service - it caches the provider chosen from the env
+const loadService = (env = {}) => {
+  ENV_KEYS.forEach((key) => {
+    if (env[key] === undefined) delete process.env[key];
+    else process.env[key] = env[key];
+  });
+
+  let service;
+  jest.isolateModules(() => {
+    service = require('../src/services/embedding.service');
+  });
+  return service;
+};
+
+const norm = (vector) => Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+
+beforeAll(() => {
+  ENV_KEYS.forEach((key) => { savedEnv[key] = process.env[key]; });
+});
+
+afterAll(() => {
+  ENV_KEYS.forEach((key) => {
+    if (savedEnv[key] === undefined) delete process.env[key];
+    else process.env[key] = savedEnv[key];
+  });
+});
+
+describe('local provider', () => {
+  test('is the default provider', () => {
+    const service = loadService();
+
+    expect(service.isEmbeddingEnabled()).toBe(true);
+    expect(service.getEmbeddingProvider().name).toBe('local-hash-256');
+  });
+
+  test('gives the same vector for the same text, also after a restart', async () => {
+    const first = await loadService().embedQuery('Annual leave policy for new employees');
+    const second = await loadService().embedQuery('Annual leave policy for new employees');
+
+    expect(second).toEqual(first);
+    expect(first.model).toBe('local-hash-256');
+  });
+
+  test('does not depend on the machine - stored vectors stay comparable', async () => {
+    const service = loadService({ EMBEDDING_DIMENSIONS: '16' });
+
+    const [vector] = await service.getEmbeddingProvider().embed(['leave policy']);
+
+    expect(vector.map((value) => Number(value.toFixed(4)))).toEqual([
+      0, -0.3333, 0, 0, -0.6667, 0, 0.3333, 0, 0, 0, -0.3333, 0, -0.3333, 0, 0.3333, 0,
+    ]);
+  });
+
+  test('returns unit vectors with the configured number of dimensions', async () => {
+    const service = loadService({ EMBEDDING_DIMENSIONS: '64' });
+    const provider = service.getEmbeddingProvider();
+
+    const [vector] = await provider.embed(['Expense reimbursement for travel']);
+
+    expect(provider.dimensions).toBe(64);
+    expect(provider.name).toBe('local-hash-64');
+    expect(vector).toHaveLength(64);
+    expect(norm(vector)).toBeCloseTo(1, 10);
+  });
+
+  test('ranks related texts above unrelated ones', async () => {
+    const service = loadService();
+    const [query, related, unrelated] = await service.getEmbeddingProvider().embed([
+      'how do I get my travel expenses reimbursed',
+      'Travel expense reimbursement: submit receipts within 30 days',
+      'The cafeteria menu changes every Monday',
+    ]);
+
+    const relatedScore = service.cosineSimilarity(query, related);
+    const unrelatedScore = service.cosineSimilarity(query, unrelated);
+
+    expect(relatedScore).toBeGreaterThan(unrelatedScore);
+    expect(relatedScore).toBeGreaterThan(service.getMinSimilarity());
+    expect(unrelatedScore).toBeLessThan(service.getMinSimilarity());
+  });
+
+  test('puts word forms closer together than different words', async () => {
+    const service = loadService();
+    const [reimburse, reimbursement, vacation] = await service.getEmbeddingProvider().embed([
+      'reimburse',
+      'reimbursement',
+      'vacation',
+    ]);
+
+    expect(service.cosineSimilarity(reimburse, reimbursement))
+      .toBeGreaterThan(service.cosineSimilarity(reimburse, vacation));
+  });
+});
+
+describe('embedChunks()', () => {
+  test('embeds every chunk and adds a normalized document vector', async () => {
+    const service = loadService();
+    const chunks = [{ text: 'Leave policy', index: 0 }, { text: 'Sick leave rules', index: 1 }];
+
+    const result = await service.embedChunks(chunks);
+
+    expect(result.model).toBe('local-hash-256');
+    expect(result.chunks.map((chunk) => chunk.index)).toEqual([0, 1]);
+    result.chunks.forEach((chunk) => expect(chunk.embedding).toHaveLength(256));
+    expect(norm(result.embedding)).toBeCloseTo(1, 10);
+    // The document vector is close to both of its chunks
+    result.chunks.forEach((chunk) => {
+      expect(service.cosineSimilarity(result.embedding, chunk.embedding)).toBeGreaterThan(0.5);
+    });
+  });
+});
+
+describe('provider "none"', () => {
+  test('disables embeddings', async () => {
+    const service = loadService({ EMBEDDING_PROVIDER: 'none' });
+
+    expect(service.isEmbeddingEnabled()).toBe(false);
+    await expect(service.embedQuery('leave policy')).resolves.toBeNull();
+    await expect(service.embedChunks([{ text: 'Leave policy' }])).resolves.toBeNull();
+  });
+});
+
+describe('cosineSimilarity()', () => {
+  test('handles identical, opposite and mismatched vectors', () => {
+    const { cosineSimilarity } = loadService();
+
+    expect(cosineSimilarity([1, 2, 3], [1, 2, 3])).toBeCloseTo(1, 10);
+    expect(cosineSimilarity([1, 0], [-1, 0])).toBeCloseTo(-1, 10);
+    expect(cosineSimilarity([1, 0], [1, 0, 0])).toBe(0);
+    expect(cosineSimilarity([0, 0], [1, 0])).toBe(0);
+  });
+});
@@ -0,0 +1,23 @@
+/**
+ * escapeRegex - user text matches literally inside a regular expression
+ */
+
+const { escapeRegex } = require('../src/utils/escapeRegex');
+
+describe('escapeRegex()', () => {
+  test.each([
+    ['c++'],
+    ['(draft) v1.2'],
+    ['[Q3] $revenue ^up | down?'],
+    ['path\\to\\file {x}'],
+  ])('matches %s literally', (text) => {
+    const pattern = new RegExp(`^${escapeRegex(text)}$`);
+
+    expect(pattern.test(text)).toBe(true);
+    expect(pattern.test(`${text}x`)).toBe(false);
+  });
+
+  test('leaves plain text alone', () => {
+    expect(escapeRegex('Travel Policy 2024')).toBe('Travel Policy 2024');
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Invitation service - sending and accepting invitations
+ *
+ * The invitation link is only ever emailed to the invited address, so
+ * the account it creates starts out with a verified email.
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+jest.mock('../src/utils/logger');
+
+const mongoose = require('mongoose');
+const { Invitation, Organization, User } = require('../src/models');
+const invitationService = require('../src/services/invitation.service');
+const authService = require('../src/services/auth.service');
+const emailVerificationService = require('../src/services/emailVerification.service');
+const mailService = require('../src/services/mail.service');
+const sessionService = require('../src/services/session.service');
+
+const organization = {
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Acme',
+  slug: 'acme',
+  isActive: true,
+  defaultRole: 'employee',
+  settings: { maxUsers: 0 },
+  stats: { userCount: 1 },
+  getRole: () => ({ key: 'editor', name: 'Editor' }),
+  getRolePrivileges: () => ['view_documents'],
+  updateStats: jest.fn(),
+};
+
+beforeEach(() => {
+  jest.spyOn(Invitation, 'findOneAndUpdate').mockResolvedValue({
+    _id: new mongoose.Types.ObjectId(),
+    email: 'new.hire@acme.test',
+    organization: organization._id,
+    orgRole: 'editor',
+    department: 'Finance',
+    save: jest.fn(),
+  });
+  jest.spyOn(Organization, 'findById').mockResolvedValue(organization);
+  jest.spyOn(User, 'findOne').mockResolvedValue(null);
+  jest.spyOn(User.prototype, 'save').mockImplementation(function save() {
+    return Promise.resolve(this);
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const userData = { firstName: 'New', lastName: 'Hire', password: 'Secret123!' };
+
+describe('createInvitation() and resendInvitation()', () => {
+  const inviterId = new mongoose.Types.ObjectId();
+  let sendTemplate;
+
+  beforeEach(() => {
+    sendTemplate = jest.spyOn(mailService, 'sendTemplate').mockResolvedValue({ transport: 'file' });
+    jest.spyOn(Invitation, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Invitation, 'create').mockImplementation(async (data) => new Invitation(data));
+    jest.spyOn(User, 'findById').mockReturnValue({
+      select: jest.fn().mockResolvedValue({ firstName: 'Ada', lastName: 'Admin' }),
+    });
+  });
+
+  test('emails the link to the invited address instead of returning it', async () => {
+    const result = await invitationService.createInvitation(
+      organization._id,
+      { email: 'New.Hire@acme.test', orgRole: 'editor' },
+      inviterId
+    );
+
+    expect(result.email).toBe('new.hire@acme.test');
+    expect(result).not.toHaveProperty('link');
+    expect(JSON.stringify(result)).not.toMatch(/invite=/);
+    expect(sendTemplate).toHaveBeenCalledWith('invitation', 'new.hire@acme.test', expect.objectContaining({
+      organizationName: 'Acme',
+      inviterName: 'Ada Admin',
+      roleName: 'Editor',
+      link: expect.stringMatching(/\/signup\/employee\?invite=[0-9a-f]{64}$/),
+    }));
+  });
+
+  test('emails a new link when resending', async () => {
+    const invitation = new Invitation({
+      organization: organization._id,
+      email: 'new.hire@acme.test',
+      orgRole: 'editor',
+      invitedBy: inviterId,
+      tokenHash: 'old-hash',
+      expiresAt: new Date(Date.now() - 1000),
+    });
+    jest.spyOn(invitation, 'save').mockResolvedValue(invitation);
+    Invitation.findOne.mockResolvedValue(invitation);
+
+    const result = await invitationService.resendInvitation(organization._id, invitation._id, inviterId);
+
+    expect(result.sentCount).toBe(2);
+    expect(invitation.tokenHash).not.toBe('old-hash');
+    expect(sendTemplate).toHaveBeenCalledWith('invitation', 'new.hire@acme.test', expect.objectContaining({
+      link: expect.stringContaining('invite='),
+    }));
+  });
+
+  test('fails the request when the email cannot be sent', async () => {
+    sendTemplate.mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+    await expect(
+      invitationService.createInvitation(organization._id, { email: 'new.hire@acme.test' }, inviterId)
+    ).rejects.toMatchObject({ statusCode: 502, message: expect.stringMatching(/could not be sent/) });
+  });
+});
+
+describe('acceptInvitation()', () => {
+  test('creates the user with a verified email', async () => {
+    const { user } = await invitationService.acceptInvitation('token', userData);
+
+    expect(user.email).toBe('new.hire@acme.test');
+    expect(user.orgRole).toBe('editor');
+    expect(user.emailVerified).toBe(true);
+    expect(user.emailVerifiedAt).toBeInstanceOf(Date);
+    expect(User.prototype.save).toHaveBeenCalled();
+  });
+});
+
+describe('registerEmployee() with an invitation', () => {
+  test('sends no verification email and starts a session', async () => {
+    const send = jest.spyOn(emailVerificationService, 'sendVerificationEmailSafely').mockResolvedValue();
+    jest.spyOn(sessionService, 'issueTokens').mockResolvedValue({ token: 'access', refreshToken: 'refresh' });
+
+    const result = await authService.registerEmployee({ invitationToken: 'token', ...userData });
+
+    expect(send).not.toHaveBeenCalled();
+    expect(result.data.verificationRequired).toBeUndefined();
+    expect(result.data.token).toBe('access');
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Job service - locks, abandoned jobs and dead jobs
+ *
+ * A worker keeps the lock of a long job fresh, only writes the outcome
+ * while it still holds the lock, and a job that dies takes its document
+ * out of 'processing'.
+ */
+
+process.env.JOB_LOCK_TIMEOUT_MS = '4000';
+
+jest.mock('../src/utils/logger');
+
+const mongoose = require('mongoose');
+const { Job, Document } = require('../src/models');
+const jobService = require('../src/services/job.service');
+const documentService = require('../src/services/document.service');
+
+const buildJob = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  type: 'test.job',
+  payload: { documentId: 'doc-1' },
+  attempts: 1,
+  maxAttempts: 3,
+  lockedBy: 'other-host:1',
+  lockedAt: new Date(0),
+  ...fields,
+});
+
+const findReturning = (jobs) => () => ({ select: async () => jobs });
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('recoverAbandonedJobs()', () => {
+  const onDead = jest.fn();
+
+  beforeAll(() => {
+    jobService.registerJobHandler('test.job', async () => {}, { onDead });
+  });
+
+  beforeEach(() => {
+    onDead.mockReset();
+  });
+
+  test('re-queues a job with attempts left', async () => {
+    jest.spyOn(Job, 'find').mockImplementation(findReturning([buildJob()]));
+    const update = jest.spyOn(Job, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+
+    await expect(jobService.recoverAbandonedJobs()).resolves.toBe(1);
+
+    expect(update.mock.calls[0][1].$set.status).toBe('queued');
+    expect(onDead).not.toHaveBeenCalled();
+  });
+
+  test('runs onDead when the interrupted run was the last attempt', async () => {
+    const job = buildJob({ attempts: 3 });
+    jest.spyOn(Job, 'find').mockImplementation(findReturning([job]));
+    const update = jest.spyOn(Job, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+
+    await jobService.recoverAbandonedJobs();
+
+    expect(update.mock.calls[0][0]).toMatchObject({ lockedBy: job.lockedBy, lockedAt: job.lockedAt });
+    expect(update.mock.calls[0][1].$set.status).toBe('dead');
+    expect(onDead).toHaveBeenCalledWith(job.payload, expect.objectContaining({ lastError: expect.any(String) }));
+  });
+
+  test('leaves a job alone whose lock was refreshed in the meantime', async () => {
+    jest.spyOn(Job, 'find').mockImplementation(findReturning([buildJob({ attempts: 3 })]));
+    jest.spyOn(Job, 'updateOne').mockResolvedValue({ matchedCount: 0 });
+
+    await jobService.recoverAbandonedJobs();
+
+    expect(onDead).not.toHaveBeenCalled();
+  });
+});
+
+describe('running a job', () => {
+  // Runs one claimed job on a worker and returns the worker
+  const runOnWorker = async (job) => {
+    jest.spyOn(Job, 'find').mockImplementation(findReturning([]));
+    jest.spyOn(Job, 'findOneAndUpdate').mockResolvedValueOnce(job).mockResolvedValue(null);
+
+    const worker = jobService.startWorker({ concurrency: 1, pollInterval: 60 * 1000 });
+    await jest.advanceTimersByTimeAsync(0);
+    return worker;
+  };
+
+  test('refreshes the lock while the handler runs', async () => {
+    jest.useFakeTimers();
+    let finish;
+    jobService.registerJobHandler('test.slow', () => new Promise((resolve) => { finish = resolve; }));
+    const update = jest.spyOn(Job, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+    const job = buildJob({ type: 'test.slow' });
+
+    const worker = await runOnWorker(job);
+    await jest.advanceTimersByTimeAsync(2500);
+
+    const heartbeats = update.mock.calls.filter(([, change]) => change.$set.lockedAt instanceof Date);
+    expect(heartbeats).toHaveLength(2);
+    expect(heartbeats[0][0]).toMatchObject({ _id: job._id, status: 'running', attempts: job.attempts });
+
+    finish();
+    await worker.stop();
+    expect(update.mock.calls.at(-1)[1].$set.status).toBe('completed');
+  });
+
+  test('discards the outcome when the lock was lost', async () => {
+    jest.useFakeTimers();
+    const onDead = jest.fn();
+    jobService.registerJobHandler('test.failing', async () => { throw new Error('boom'); }, { onDead });
+    jest.spyOn(Job, 'updateOne').mockResolvedValue({ matchedCount: 0 });
+
+    const worker = await runOnWorker(buildJob({ type: 'test.failing', attempts: 3 }));
+    await worker.stop();
+
+    expect(onDead).not.toHaveBeenCalled();
+  });
+
+  test('runs onDead after the last failed attempt', async () => {
+    jest.useFakeTimers();
+    const onDead = jest.fn();
+    jobService.registerJobHandler('test.failing', async () => { throw new Error('boom'); }, { onDead });
+    jest.spyOn(Job, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+    const job = buildJob({ type: 'test.failing', attempts: 3 });
+
+    const worker = await runOnWorker(job);
+    await worker.stop();
+
+    expect(onDead).toHaveBeenCalledWith(job.payload, expect.objectContaining({ lastError: 'boom' }));
+  });
+});
+
+describe('requeueStuckDocuments()', () => {
+  const latestJob = (job) => () => ({ sort: () => ({ select: async () => job }) });
+
+  beforeEach(() => {
+    jest.spyOn(Document, 'find').mockReturnValue({
+      select: async () => [{ _id: 'doc-1', organization: 'org-1' }],
+    });
+  });
+
+  test('marks the document failed instead of re-queueing when its job is dead', async () => {
+    jest.spyOn(Job, 'findOne').mockImplementation(latestJob({ status: 'dead', lastError: 'boom' }));
+    const enqueue = jest.spyOn(jobService, 'enqueueJob').mockResolvedValue({});
+    const update = jest.spyOn(Document, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+
+    await expect(documentService.requeueStuckDocuments()).resolves.toBe(0);
+
+    expect(enqueue).not.toHaveBeenCalled();
+    expect(update).toHaveBeenCalledWith(
+      { _id: 'doc-1', status: 'processing' },
+      { status: 'failed', processingError: 'boom' }
+    );
+  });
+
+  test.each([
+    ['no job', 1, null],
+    ['a completed job', 1, { status: 'completed' }],
+    ['a queued job', 0, { status: 'queued' }],
+    ['a running job', 0, { status: 'running' }],
+  ])('with %s queues %d document(s)', async (_label, expected, job) => {
+    jest.spyOn(Job, 'findOne').mockImplementation(latestJob(job));
+    const enqueue = jest.spyOn(jobService, 'enqueueJob').mockResolvedValue({});
+
+    await expect(documentService.requeueStuckDocuments()).resolves.toBe(expected);
+    expect(enqueue).toHaveBeenCalledTimes(expected);
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Organization routes - API tokens
+ *
+ * Identity and credential settings must need a signed-in user: a bearer
+ * "aiksp_" token gets 403 on them, even with every scope.
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+jest.mock('../src/utils/logger');
+
+const express = require('express');
+const mongoose = require('mongoose');
+const { User, Organization, ALL_PRIVILEGES } = require('../src/models');
+const apiTokenService = require('../src/services/apiToken.service');
+const emailVerificationService = require('../src/services/emailVerification.service');
+const errorHandler = require('../src/middlewares/errorHandler');
+const organizationRoutes = require('../src/routes/organization.routes');
+
+const orgId = new mongoose.Types.ObjectId();
+const userId = new mongoose.Types.ObjectId();
+const memberId = new mongoose.Types.ObjectId().toString();
+
+let server;
+let baseUrl;
+
+beforeAll((done) => {
+  jest.spyOn(apiTokenService, 'authenticate').mockResolvedValue({
+    _id: new mongoose.Types.ObjectId(),
+    user: userId,
+    organization: orgId,
+    scopes: ALL_PRIVILEGES,
+  });
+  jest.spyOn(apiTokenService, 'getEffectiveScopes').mockResolvedValue(ALL_PRIVILEGES);
+  jest.spyOn(emailVerificationService, 'isVerificationRequired').mockResolvedValue(false);
+  jest.spyOn(User, 'findById').mockImplementation(async () => new User({
+    _id: userId,
+    firstName: 'Token',
+    lastName: 'Owner',
+    email: 'owner@example.com',
+    organization: orgId,
+    orgRole: 'admin',
+    isOrgAdmin: true,
+    isActive: true,
+  }));
+  jest.spyOn(Organization, 'findById').mockImplementation(async () => new Organization({
+    _id: orgId,
+    name: 'Acme',
+    owner: userId,
+    isActive: true,
+  }));
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/organizations', organizationRoutes);
+  app.use(errorHandler);
+
+  server = app.listen(0, () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/organizations`;
+    done();
+  });
+});
+
+afterAll((done) => {
+  jest.restoreAllMocks();
+  server.close(done);
+});
+
+const request = (method, path, body) => fetch(`${baseUrl}${path}`, {
+  method,
+  headers: {
+    Authorization: 'Bearer aiksp_pat_testtoken',
+    'Content-Type': 'application/json',
+  },
+  body: body ? JSON.stringify(body) : undefined,
+});
+
+describe('routes closed to API tokens', () => {
+  test.each([
+    ['PATCH', '/me', { settings: { requireTwoFactor: false } }],
+    ['POST', '/rotate-key', null],
+    ['GET', '/sso', null],
+    ['PATCH', '/sso', { enabled: true, issuer: 'https://idp.attacker.example' }],
+    ['DELETE', `/users/${memberId}/two-factor`, null],
+    ['GET', '/invitations', null],
+    ['POST', '/invitations', { email: 'new@example.com' }],
+    ['POST', `/invitations/${memberId}/resend`, null],
+    ['DELETE', `/invitations/${memberId}`, null],
+    ['GET', '/service-accounts', null],
+    ['POST', '/service-accounts', { name: 'Importer' }],
+  ])('%s %s returns 403', async (method, path, body) => {
+    const response = await request(method, path, body);
+    const json = await response.json();
+
+    expect(response.status).toBe(403);
+    expect(json.message).toMatch(/API tokens can't be used/);
+  });
+});
+
+describe('routes open to API tokens', () => {
+  test('GET /privileges works with a token', async () => {
+    const response = await request('GET', '/privileges');
+
+    expect(response.status).toBe(200);
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Organization service - chunking settings
+ *
+ * The overlap limit is checked against the chunk size that will be in
+ * effect, not only the one in the request.
+ */
+
+jest.mock('../src/utils/logger');
+
+const { Organization } = require('../src/models');
+const organizationService = require('../src/services/organization.service');
+
+const mockOrganization = (chunking) => {
+  const organization = new Organization({ name: 'Acme', settings: { chunking } });
+  jest.spyOn(organization, 'save').mockResolvedValue(organization);
+  jest.spyOn(Organization, 'findById').mockResolvedValue(organization);
+  return organization;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('updateOrganization() chunking', () => {
+  test('checks an overlap-only change against the stored chunk size', async () => {
+    mockOrganization({ chunkSize: 400, chunkOverlap: 100 });
+
+    await expect(
+      organizationService.updateOrganization('org-1', { settings: { chunking: { chunkOverlap: 300 } } })
+    ).rejects.toMatchObject({ statusCode: 400, message: expect.stringMatching(/less than half the chunk size/) });
+  });
+
+  test('checks a size-only change against the stored overlap', async () => {
+    mockOrganization({ chunkSize: 2000, chunkOverlap: 600 });
+
+    await expect(
+      organizationService.updateOrganization('org-1', { settings: { chunking: { chunkSize: 1000 } } })
+    ).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('checks against the default overlap when none is set', async () => {
+    mockOrganization({ chunkSize: null, chunkOverlap: null });
+
+    await expect(
+      organizationService.updateOrganization('org-1', { settings: { chunking: { chunkSize: 300 } } })
+    ).rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('200 of 300') });
+  });
+
+  test('keeps the stored chunk size when only the overlap changes', async () => {
+    const organization = mockOrganization({ chunkSize: 2000, chunkOverlap: 200 });
+
+    await organizationService.updateOrganization('org-1', { settings: { chunking: { chunkOverlap: 500 } } });
+
+    expect(organization.settings.chunking.toObject()).toEqual({ chunkSize: 2000, chunkOverlap: 500 });
+    expect(organization.save).toHaveBeenCalled();
+  });
+
+  test('lets null go back to the defaults', async () => {
+    const organization = mockOrganization({ chunkSize: 2000, chunkOverlap: 600 });
+
+    await organizationService.updateOrganization('org-1', {
+      settings: { chunking: { chunkSize: null, chunkOverlap: null } },
+    });
+
+    expect(organization.settings.chunking.toObject()).toEqual({ chunkSize: null, chunkOverlap: null });
+  });
+});
@@ -0,0 +1,407 @@
+/**
+ * SSO service - OpenID Connect login against a stub identity provider
+ *
+ * The stub runs on localhost and serves discovery, JWKS, the token
+ * endpoint (checking the PKCE verifier) and userinfo. The database is
+ * replaced by in-memory stubs of the models.
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.FRONTEND_URL = 'http://app.test';
+
+jest.mock('../src/utils/logger');
+
+const http = require('http');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { Organization, SsoLogin, User, DEFAULT_ROLES } = require('../src/models');
+const { encryptSecret } = require('../src/utils/secretBox');
+const ssoService = require('../src/services/sso.service');
+
+const CLIENT_ID = 'aiksp-client';
+const CLIENT_SECRET = 'client-secret';
+
+// =============================================================================
+// STUB IDENTITY PROVIDER
+// =============================================================================
+
+const signingKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const otherKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+const idp = {
+  server: null,
+  issuer: '',
+  codes: new Map(), // code → { challenge, nonce, redirectUri, clientId }
+  claims: {}, // extra ID token claims for the next login
+  tokenOptions: {}, // { key, audience, nonce } overrides for the next ID token
+  tokenRequests: [],
+
+  /**
+   * The user signs in at the provider: returns the code it redirects back with
+   */
+  authorize(authorizationUrl) {
+    const params = new URL(authorizationUrl).searchParams;
+    const code = crypto.randomBytes(8).toString('hex');
+    this.codes.set(code, {
+      challenge: params.get('code_challenge'),
+      nonce: params.get('nonce'),
+      redirectUri: params.get('redirect_uri'),
+      clientId: params.get('client_id'),
+    });
+    return { code, state: params.get('state') };
+  },
+};
+
+const readBody = (req) => new Promise((resolve) => {
+  let data = '';
+  req.on('data', (chunk) => { data += chunk; });
+  req.on('end', () => resolve(data));
+});
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const handleToken = async (req, res) => {
+  const body = new URLSearchParams(await readBody(req));
+  idp.tokenRequests.push({ headers: req.headers, body });
+
+  const [clientId, clientSecret] = Buffer.from((req.headers.authorization || '').replace(/^Basic /, ''), 'base64')
+    .toString()
+    .split(':')
+    .map(decodeURIComponent);
+  if (clientId !== CLIENT_ID || clientSecret !== CLIENT_SECRET) {
+    return sendJson(res, 401, { error: 'invalid_client' });
+  }
+
+  const grant = idp.codes.get(body.get('code'));
+  idp.codes.delete(body.get('code'));
+  const challenge = crypto.createHash('sha256').update(body.get('code_verifier') || '').digest('base64url');
+
+  if (!grant || grant.challenge !== challenge || grant.redirectUri !== body.get('redirect_uri')) {
+    return sendJson(res, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+  }
+
+  const { key = signingKey.privateKey, audience = CLIENT_ID, nonce = grant.nonce } = idp.tokenOptions;
+  const idToken = jwt.sign(
+    { nonce, email: 'jane@acme.test', email_verified: true, name: 'Jane Doe', ...idp.claims },
+    key,
+    { algorithm: 'RS256', keyid: 'key-1', issuer: idp.issuer, audience, subject: idp.claims.sub || 'idp-user-1', expiresIn: 300 }
+  );
+
+  return sendJson(res, 200, { id_token: idToken, access_token: 'access-token', token_type: 'Bearer' });
+};
+
+const startIdp = () => new Promise((resolve) => {
+  idp.server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, idp.issuer);
+
+    if (pathname === '/.well-known/openid-configuration') {
+      return sendJson(res, 200, {
+        issuer: idp.issuer,
+        authorization_endpoint: `${idp.issuer}/authorize`,
+        token_endpoint: `${idp.issuer}/token`,
+        jwks_uri: `${idp.issuer}/jwks`,
+        userinfo_endpoint: `${idp.issuer}/userinfo`,
+      });
+    }
+    if (pathname === '/wrong-issuer/.well-known/openid-configuration') {
+      return sendJson(res, 200, {
+        issuer: 'https://someone-else.test',
+        authorization_endpoint: `${idp.issuer}/authorize`,
+        token_endpoint: `${idp.issuer}/token`,
+        jwks_uri: `${idp.issuer}/jwks`,
+      });
+    }
+    if (pathname === '/jwks') {
+      return sendJson(res, 200, {
+        keys: [{ ...signingKey.publicKey.export({ format: 'jwk' }), kid: 'key-1', use: 'sig', alg: 'RS256' }],
+      });
+    }
+    if (pathname === '/token' && req.method === 'POST') {
+      return handleToken(req, res);
+    }
+    if (pathname === '/userinfo') {
+      return sendJson(res, 200, { sub: idp.claims.sub || 'idp-user-1', department: 'Engineering' });
+    }
+
+    return sendJson(res, 404, { error: 'not_found' });
+  });
+
+  idp.server.listen(0, '127.0.0.1', () => {
+    idp.issuer = `http://127.0.0.1:${idp.server.address().port}`;
+    resolve();
+  });
+});
+
+// =============================================================================
+// IN-MEMORY MODELS
+// =============================================================================
+
+const ownerId = new mongoose.Types.ObjectId();
+let organization;
+let users;
+let logins;
+
+const buildOrganization = (sso = {}) => {
+  const org = new Organization({
+    name: 'Acme',
+    slug: 'acme',
+    owner: ownerId,
+    isActive: true,
+    roles: Object.entries(DEFAULT_ROLES).map(([key, role]) => ({ key, ...role })),
+    sso: {
+      enabled: true,
+      issuer: idp.issuer,
+      clientId: CLIENT_ID,
+      clientSecret: encryptSecret(CLIENT_SECRET),
+      claims: { role: 'groups', department: 'department' },
+      roleMapping: { 'kb-admins': 'admin', 'hr-team': 'hr' },
+      ...sso,
+    },
+  });
+  org.save = jest.fn().mockResolvedValue(org);
+  return org;
+};
+
+const addUser = (fields) => {
+  const user = new User({
+    firstName: 'Existing',
+    lastName: 'User',
+    email: 'jane@acme.test',
+    password: 'Password123',
+    organization: organization._id,
+    orgRole: 'employee',
+    isActive: true,
+    ...fields,
+  });
+  users.push(user);
+  return user;
+};
+
+const matches = (doc, query) => Object.entries(query).every(([field, value]) => (
+  String(doc[field]) === String(value)
+));
+
+beforeAll(async () => {
+  await startIdp();
+
+  jest.spyOn(Organization, 'findBySlug').mockImplementation(async () => organization);
+  jest.spyOn(Organization, 'findByName').mockImplementation(async () => null);
+  jest.spyOn(Organization, 'findById').mockImplementation(() => ({
+    select: async () => organization,
+  }));
+  jest.spyOn(SsoLogin, 'create').mockImplementation(async (data) => {
+    logins.push(data);
+    return data;
+  });
+  jest.spyOn(SsoLogin, 'findOneAndDelete').mockImplementation(async ({ state }) => {
+    const index = logins.findIndex((login) => login.state === state && login.expiresAt > new Date());
+    return index === -1 ? null : logins.splice(index, 1)[0];
+  });
+  jest.spyOn(User, 'findOne').mockImplementation(async (query) => users.find((user) => matches(user, query)) || null);
+  jest.spyOn(User, 'create').mockImplementation(async (data) => addUser(data));
+  jest.spyOn(User.prototype, 'save').mockImplementation(async function save() { return this; });
+});
+
+afterAll((done) => {
+  jest.restoreAllMocks();
+  idp.server.close(done);
+});
+
+beforeEach(() => {
+  users = [];
+  logins = [];
+  idp.claims = {};
+  idp.tokenOptions = {};
+  idp.tokenRequests = [];
+  organization = buildOrganization();
+});
+
+/**
+ * A whole sign-in: start, sign in at the provider, come back with the code
+ */
+const signIn = async () => {
+  const { authorizationUrl } = await ssoService.startLogin('acme');
+  const { code, state } = idp.authorize(authorizationUrl);
+  return ssoService.completeLogin({ code, state });
+};
+
+// =============================================================================
+// TESTS
+// =============================================================================
+
+describe('discovery and the authorization request', () => {
+  test('sends the browser to the discovered endpoint with state, nonce and a S256 PKCE challenge', async () => {
+    const { authorizationUrl } = await ssoService.startLogin('acme');
+    const url = new URL(authorizationUrl);
+    const [login] = logins;
+
+    expect(`${url.origin}${url.pathname}`).toBe(`${idp.issuer}/authorize`);
+    expect(url.searchParams.get('client_id')).toBe(CLIENT_ID);
+    expect(url.searchParams.get('redirect_uri')).toBe('http://app.test/sso/callback');
+    expect(url.searchParams.get('state')).toBe(login.state);
+    expect(url.searchParams.get('nonce')).toBe(login.nonce);
+    expect(url.searchParams.get('code_challenge_method')).toBe('S256');
+    expect(url.searchParams.get('code_challenge')).toBe(
+      crypto.createHash('sha256').update(login.codeVerifier).digest('base64url')
+    );
+    expect(authorizationUrl).not.toContain(login.codeVerifier);
+  });
+
+  test('rejects a discovery document for another issuer', async () => {
+    organization = buildOrganization({ issuer: `${idp.issuer}/wrong-issuer` });
+
+    await expect(ssoService.startLogin('acme')).rejects.toMatchObject({ statusCode: 502 });
+  });
+});
+
+describe('code exchange and state', () => {
+  test('sends the PKCE verifier and client credentials to the token endpoint', async () => {
+    await signIn();
+
+    const [{ headers, body }] = idp.tokenRequests;
+    expect(body.get('grant_type')).toBe('authorization_code');
+    expect(body.get('code_verifier')).toBeTruthy();
+    expect(headers.authorization).toMatch(/^Basic /);
+  });
+
+  test('fails when the PKCE verifier does not match the challenge', async () => {
+    const { authorizationUrl } = await ssoService.startLogin('acme');
+    const { code, state } = idp.authorize(authorizationUrl);
+    logins[0].codeVerifier = 'tampered-verifier';
+
+    await expect(ssoService.completeLogin({ code, state })).rejects.toMatchObject({
+      statusCode: 502,
+      message: expect.stringContaining('PKCE'),
+    });
+  });
+
+  test('a state works only once', async () => {
+    const { authorizationUrl } = await ssoService.startLogin('acme');
+    const { code, state } = idp.authorize(authorizationUrl);
+
+    await ssoService.completeLogin({ code, state });
+    await expect(ssoService.completeLogin({ code, state })).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('rejects an unknown state', async () => {
+    await expect(ssoService.completeLogin({ code: 'x', state: 'unknown' })).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('ID token checks', () => {
+  test('rejects a token signed with a key that is not in the JWKS', async () => {
+    idp.tokenOptions = { key: otherKey.privateKey };
+
+    await expect(signIn()).rejects.toMatchObject({ statusCode: 401, message: expect.stringContaining('not valid') });
+  });
+
+  test('rejects a token for another client (aud)', async () => {
+    idp.tokenOptions = { audience: 'someone-else' };
+
+    await expect(signIn()).rejects.toMatchObject({ statusCode: 401, message: expect.stringContaining('audience') });
+  });
+
+  test('rejects a token with another nonce', async () => {
+    idp.tokenOptions = { nonce: 'replayed-nonce' };
+
+    await expect(signIn()).rejects.toMatchObject({ statusCode: 401, message: expect.stringContaining('sign-in') });
+  });
+});
+
+describe('just-in-time provisioning', () => {
+  test('creates the user with the mapped role, userinfo claims and a verified email', async () => {
+    idp.claims = { groups: ['staff', 'hr-team'] };
+
+    const user = await signIn();
+
+    expect(users).toHaveLength(1);
+    expect(user.email).toBe('jane@acme.test');
+    expect(user.firstName).toBe('Jane');
+    expect(user.orgRole).toBe('hr');
+    expect(user.department).toBe('Engineering');
+    expect(user.ssoSubject).toBe('idp-user-1');
+    expect(user.authProvider).toBe('oidc');
+    expect(user.emailVerified).toBe(true);
+    expect(organization.save).toHaveBeenCalled();
+  });
+
+  test('uses the default role without a mapped claim', async () => {
+    const user = await signIn();
+
+    expect(user.orgRole).toBe('employee');
+  });
+
+  test('rejects an email the provider marks as unverified', async () => {
+    idp.claims = { email_verified: false };
+
+    await expect(signIn()).rejects.toMatchObject({ statusCode: 403 });
+    expect(users).toHaveLength(0);
+  });
+});
+
+describe('linking existing accounts', () => {
+  test('links an account by email when the provider confirms the email', async () => {
+    const existing = addUser({});
+
+    const user = await signIn();
+
+    expect(user).toBe(existing);
+    expect(user.ssoSubject).toBe('idp-user-1');
+  });
+
+  test('does not link when email_verified is missing', async () => {
+    const existing = addUser({});
+    idp.claims = { email_verified: undefined };
+
+    await expect(signIn()).rejects.toMatchObject({ statusCode: 403 });
+    expect(existing.ssoSubject).toBeFalsy();
+  });
+
+  test('never links the organization owner', async () => {
+    const owner = addUser({ _id: ownerId, orgRole: 'admin', isOrgAdmin: true });
+
+    await expect(signIn()).rejects.toMatchObject({ statusCode: 403 });
+    expect(owner.ssoSubject).toBeFalsy();
+  });
+
+  test('does not link an account already linked to another subject', async () => {
+    addUser({ ssoSubject: 'idp-user-other' });
+
+    await expect(signIn()).rejects.toMatchObject({ statusCode: 403 });
+  });
+});
+
+describe('roles on later logins', () => {
+  test('keeps the role by default', async () => {
+    const existing = addUser({ orgRole: 'admin', ssoSubject: 'idp-user-1' });
+    idp.claims = { groups: ['hr-team'] };
+
+    await signIn();
+
+    expect(existing.orgRole).toBe('admin');
+  });
+
+  test('follows the provider with syncRoleOnLogin', async () => {
+    organization = buildOrganization({ syncRoleOnLogin: true });
+    const existing = addUser({ orgRole: 'employee', ssoSubject: 'idp-user-1' });
+    idp.claims = { groups: ['kb-admins'] };
+
+    await signIn();
+
+    expect(existing.orgRole).toBe('admin');
+  });
+
+  test('never changes the owner\'s role', async () => {
+    organization = buildOrganization({ syncRoleOnLogin: true });
+    const owner = addUser({ _id: ownerId, orgRole: 'admin', ssoSubject: 'idp-user-1' });
+    idp.claims = { groups: ['hr-team'] };
+
+    await signIn();
+
+    expect(owner.orgRole).toBe('admin');
+  });
+});
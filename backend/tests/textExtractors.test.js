@@ -0,0 +1,144 @@
+/**
+ * Text extractors - one fixture per format
+ *
+ * The fixtures are read the way document.service reads uploads: HTML, CSV
+ * and JSON as UTF-8, RTF and email as latin1, Excel and PowerPoint as a
+ * buffer.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  extractFromHTML,
+  extractFromCSV,
+  extractFromRTF,
+  extractFromJSON,
+  extractFromEmail,
+  extractFromMbox,
+  extractFromXLSX,
+  extractFromPPTX,
+} = require('../src/utils/textExtractors');
+
+const fixture = (name, encoding) =>
+  fs.readFileSync(path.join(__dirname, 'fixtures', 'extractors', name), encoding);
+
+describe('extractFromHTML()', () => {
+  const { text } = extractFromHTML(fixture('page.html', 'utf-8'));
+
+  test('keeps the main content with headings and list items', () => {
+    expect(text).toContain('# Travel Policy');
+    expect(text).toContain('## Per Diem');
+    expect(text).toContain('Book flights at least 14 days in advance & keep receipts.');
+    expect(text).toContain('- Meals: €60 per day');
+  });
+
+  test('drops scripts, styles and page chrome', () => {
+    expect(text).not.toMatch(/trackPageView|font-family|Acme Intranet|Home|Expense Policy|Acme Corp/);
+  });
+});
+
+describe('extractFromCSV()', () => {
+  const { text, records } = extractFromCSV(fixture('employees.csv', 'utf-8'));
+
+  test('turns every row into "Column: value" pairs', () => {
+    expect(records).toHaveLength(3);
+    expect(records[0].text).toBe('Name: Jane Doe; Department: Engineering; Start Date: 2021-03-01');
+    expect(text.split('\n')).toHaveLength(3);
+  });
+
+  test('keeps commas and escaped quotes inside quoted fields', () => {
+    expect(records[1].text).toContain('Name: Smith, John;');
+    expect(records[2].text).toContain('Department: Sales "EMEA"');
+  });
+});
+
+describe('extractFromRTF()', () => {
+  const { text } = extractFromRTF(fixture('memo.rtf', 'latin1'));
+
+  test('keeps the paragraphs and decodes escaped characters', () => {
+    expect(text).toBe(
+      'Security Memo\nAll laptops must use disk encryption.\nContact the café desk – not IT – for badges.'
+    );
+  });
+
+  test('drops the font table, color table and generator groups', () => {
+    expect(text).not.toMatch(/Helvetica|Riched20|\\/);
+  });
+});
+
+describe('extractFromJSON()', () => {
+  test('writes one "path.to.key: value" line per leaf', () => {
+    const { text } = extractFromJSON(fixture('config.json', 'utf-8'));
+
+    expect(text.split('\n')).toEqual([
+      'service: search',
+      'limits.maxResults: 50',
+      'limits.timeoutMs: 3000',
+      'owners[0]: platform-team',
+      'owners[1]: search-team',
+      'enabled: true',
+    ]);
+  });
+});
+
+describe('extractFromEmail()', () => {
+  const { text } = extractFromEmail(fixture('message.eml', 'latin1'));
+
+  test('decodes the headers and the quoted-printable body', () => {
+    expect(text).toContain('Subject: Q3 planning – agenda');
+    expect(text).toContain('From: Jane Doe <jane@acme.test>');
+    expect(text).toContain('the planning meeting is on Thursday in room 4.');
+  });
+
+  test('lists attachments by name without their content', () => {
+    expect(text).toMatch(/Attachments: agenda\.pdf$/);
+    expect(text).not.toContain('JVBERi0');
+  });
+});
+
+describe('extractFromMbox()', () => {
+  const { records } = extractFromMbox(fixture('mailbox.mbox', 'latin1'));
+
+  test('makes one record per message, labelled with its subject', () => {
+    expect(records.map((record) => record.label)).toEqual([
+      'Email: Office closed',
+      'Email: Re: Office closed',
+    ]);
+    expect(records[0].text).toContain('The office is closed on Friday.');
+  });
+
+  test('unescapes ">From " lines in the body', () => {
+    expect(records[1].text).toContain('\nFrom now on I work remotely on Fridays.');
+  });
+});
+
+describe('extractFromXLSX()', () => {
+  test('turns every row into "Column: value" pairs labelled with the sheet', async () => {
+    const { text, records } = await extractFromXLSX(fixture('budget.xlsx'));
+
+    expect(records).toEqual([
+      { text: 'Item: Cloud hosting; Cost: 1200; Approved: TRUE', label: 'Sheet: Budget' },
+      { text: 'Item: Laptops; Cost: 1000; Approved: FALSE', label: 'Sheet: Budget' },
+      { text: 'Project: Search relevance', label: 'Sheet: R&D' },
+    ]);
+    expect(text).toContain('Sheet: Budget\n');
+    expect(text).toContain('Sheet: R&D\n');
+  });
+});
+
+describe('extractFromPPTX()', () => {
+  test('keeps the presentation order and marks where each slide starts', async () => {
+    const { text, pageOffsets } = await extractFromPPTX(fixture('deck.pptx'));
+
+    expect(pageOffsets).toHaveLength(2);
+    expect(text.slice(pageOffsets[0], pageOffsets[1])).toMatch(/^Slide 1\nQuarterly Review\nRevenue up 12% & churn down/);
+    expect(text.slice(pageOffsets[1])).toMatch(/^Slide 2\nNext Steps\nHire two engineers/);
+  });
+
+  test('adds the speaker notes to their slide', async () => {
+    const { text, pageOffsets } = await extractFromPPTX(fixture('deck.pptx'));
+
+    expect(text.slice(pageOffsets[1])).toContain('Notes: Mention the hiring freeze ends in May');
+    expect(text.slice(0, pageOffsets[1])).not.toContain('Notes:');
+  });
+});
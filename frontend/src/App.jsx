@@ -37,6 +37,10 @@ import LoginPage from './pages/LoginPage';
 import RegisterPage from './pages/RegisterPage';
 import OrgSignupPage from './pages/OrgSignupPage';
 import EmployeeSignupPage from './pages/EmployeeSignupPage';
+import SsoCallbackPage from './pages/SsoCallbackPage';
+import ForgotPasswordPage from './pages/ForgotPasswordPage';
+import ResetPasswordPage from './pages/ResetPasswordPage';
+import VerifyEmailPage from './pages/VerifyEmailPage';
 import DashboardPage from './pages/DashboardPage';
 import DocumentsPage from './pages/DocumentsPage';
 import DocumentDetailPage from './pages/DocumentDetailPage';
@@ -45,6 +49,8 @@ import UploadPage from './pages/UploadPage';
 import SearchPage from './pages/SearchPage';
 import ProfilePage from './pages/ProfilePage';
 import OrgAdminPage from './pages/OrgAdminPage';
+import AnalyticsPage from './pages/AnalyticsPage';
+import KnowledgeGapsPage from './pages/KnowledgeGapsPage';
 
 /**
  * App Component
@@ -68,6 +74,14 @@ function App() {
           <Route path="/signup/organization" element={<OrgSignupPage />} />
           <Route path="/signup/employee" element={<EmployeeSignupPage />} />
 
+          {/* Single sign-on: the identity provider redirects here */}
+          <Route path="/sso/callback" element={<SsoCallbackPage />} />
+
+          {/* Links from emails */}
+          <Route path="/forgot-password" element={<ForgotPasswordPage />} />
+          <Route path="/reset-password" element={<ResetPasswordPage />} />
+          <Route path="/verify-email" element={<VerifyEmailPage />} />
+
           {/* Protected Routes - Authentication required */}
           {/* Each protected route wraps its page in Layout */}
           <Route
@@ -140,6 +154,26 @@ function App() {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="/analytics"
+            element={
+              <ProtectedRoute>
+                <Layout>
+                  <AnalyticsPage />
+                </Layout>
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/analytics/knowledge-gaps"
+            element={
+              <ProtectedRoute>
+                <Layout>
+                  <KnowledgeGapsPage />
+                </Layout>
+              </ProtectedRoute>
+            }
+          />
           <Route
             path="/admin"
             element={
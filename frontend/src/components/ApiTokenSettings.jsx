@@ -0,0 +1,89 @@
+/**
+ * =============================================================================
+ * API TOKEN SETTINGS - PERSONAL ACCESS TOKENS ON THE PROFILE PAGE
+ * =============================================================================
+ *
+ * WHAT IS THIS FILE?
+ * The "API Tokens" card of the profile page. A personal access token lets
+ * a script call the API as this user, limited to the scopes picked here.
+ *
+ * Only the user's own privileges can be picked - a token never gets more
+ * than its user has (and loses privileges when the user does).
+ *
+ * =============================================================================
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { AlertCircle } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+import api from '../services/api';
+import ApiTokens from './ApiTokens';
+
+function ApiTokenSettings() {
+  const { user } = useAuth();
+  const [tokens, setTokens] = useState([]);
+  const [privileges, setPrivileges] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchTokens = useCallback(async () => {
+    try {
+      const response = await api.get('/auth/tokens');
+      setTokens(response.data);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load API tokens');
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchTokens();
+  }, [fetchTokens]);
+
+  // Names and descriptions of the privileges the user has
+  useEffect(() => {
+    const fetchPrivileges = async () => {
+      try {
+        const response = await api.get('/organizations/privileges');
+        const own = user?.privileges || [];
+        setPrivileges(response.data.filter((privilege) => own.includes(privilege.key)));
+      } catch {
+        setPrivileges((user?.privileges || []).map((key) => ({ key, name: key, description: '' })));
+      }
+    };
+
+    fetchPrivileges();
+  }, [user?.privileges]);
+
+  return (
+    <div className="bg-white rounded-xl border border-gray-200 p-6">
+      <div className="mb-6">
+        <h2 className="text-lg font-medium text-gray-900">API Tokens</h2>
+        <p className="mt-1 text-sm text-gray-500">
+          Tokens let scripts and integrations use the API as you, with only the scopes you choose.
+        </p>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg flex items-center">
+          <AlertCircle className="h-4 w-4 text-red-500 mr-2" />
+          <p className="text-sm text-red-700">{error}</p>
+        </div>
+      )}
+
+      {isLoading ? (
+        <div className="h-12 bg-gray-100 rounded-lg animate-pulse" />
+      ) : (
+        <ApiTokens
+          tokens={tokens}
+          privileges={privileges}
+          endpoint="/auth/tokens"
+          onChange={fetchTokens}
+        />
+      )}
+    </div>
+  );
+}
+
+export default ApiTokenSettings;
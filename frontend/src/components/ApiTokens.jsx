@@ -0,0 +1,290 @@
+/**
+ * =============================================================================
+ * API TOKENS - CREATE, LIST AND REVOKE TOKENS FOR SCRIPTS
+ * =============================================================================
+ *
+ * WHAT IS THIS FILE?
+ * The token list and "new token" form shared by the profile page
+ * (personal access tokens) and the service accounts tab (service account
+ * tokens). Both APIs look the same:
+ *
+ *   POST   <endpoint>       { name, scopes, expiresInDays } → { token, apiToken }
+ *   DELETE <endpoint>/:id
+ *
+ * The token itself is shown once, right after it is created - the server
+ * only keeps a hash of it.
+ *
+ * PROPS:
+ * - tokens: the tokens to list (loaded by the parent)
+ * - privileges: scopes that can be picked ([{ key, name, description }])
+ * - endpoint: '/auth/tokens' or '/organizations/service-accounts/:id/tokens'
+ * - onChange: called after a token was created or revoked
+ *
+ * =============================================================================
+ */
+
+import { useState } from 'react';
+import { AlertCircle, Check, Copy, KeyRound, Plus, XCircle } from 'lucide-react';
+import api from '../services/api';
+
+const EXPIRY_OPTIONS = [
+  { days: 7, label: '7 days' },
+  { days: 30, label: '30 days' },
+  { days: 90, label: '90 days' },
+  { days: 180, label: '180 days' },
+  { days: 365, label: '1 year' }
+];
+
+const EMPTY_FORM = { name: '', expiresInDays: 90, scopes: [] };
+
+const errorMessage = (err, fallback) =>
+  err.response?.data?.errors?.[0]?.message || err.response?.data?.message || fallback;
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString() : 'Never');
+
+function ApiTokens({ tokens, privileges, endpoint, onChange }) {
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [isCreating, setIsCreating] = useState(false);
+  const [revokingId, setRevokingId] = useState(null);
+  const [error, setError] = useState('');
+
+  // The last created token (shown once)
+  const [newToken, setNewToken] = useState(null); // { name, token }
+  const [tokenCopied, setTokenCopied] = useState(false);
+
+  const privilegeName = (key) => privileges.find((privilege) => privilege.key === key)?.name || key;
+
+  const toggleScope = (key) => {
+    setForm((prev) => ({
+      ...prev,
+      scopes: prev.scopes.includes(key)
+        ? prev.scopes.filter((scope) => scope !== key)
+        : [...prev.scopes, key]
+    }));
+  };
+
+  /**
+   * Create a token
+   */
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    if (form.scopes.length === 0) {
+      setError('Choose at least one scope for the token.');
+      return;
+    }
+
+    try {
+      setIsCreating(true);
+      setError('');
+
+      const response = await api.post(endpoint, {
+        name: form.name.trim(),
+        scopes: form.scopes,
+        expiresInDays: Number(form.expiresInDays)
+      });
+
+      if (response.success) {
+        setNewToken({ name: response.data.apiToken.name, token: response.data.token });
+        setTokenCopied(false);
+        setForm(EMPTY_FORM);
+        setShowForm(false);
+        onChange?.();
+      }
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to create the token. Please try again.'));
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  /**
+   * Revoke a token - scripts using it stop working at once
+   */
+  const handleRevoke = async (token) => {
+    if (!window.confirm(`Revoke the token "${token.name}"? Anything using it will stop working.`)) {
+      return;
+    }
+
+    try {
+      setRevokingId(token.id);
+      setError('');
+      await api.delete(`${endpoint}/${token.id}`);
+      onChange?.();
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to revoke the token.'));
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  const copyToken = async () => {
+    try {
+      await navigator.clipboard.writeText(newToken.token);
+      setTokenCopied(true);
+      setTimeout(() => setTokenCopied(false), 2000);
+    } catch {
+      setError('Could not copy the token - select it and copy it manually.');
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      {error && (
+        <div className="p-3 bg-red-50 border border-red-200 rounded-lg flex items-center">
+          <AlertCircle className="h-4 w-4 text-red-500 mr-2 flex-shrink-0" />
+          <p className="text-sm text-red-700">{error}</p>
+        </div>
+      )}
+
+      {/* The token that was just created */}
+      {newToken && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4">
+          <p className="text-sm text-yellow-800 mb-2">
+            <strong>Token "{newToken.name}".</strong> Copy it now - it won't be shown again.
+          </p>
+          <div className="bg-white border border-yellow-300 rounded-md p-3 flex items-center justify-between">
+            <code className="text-sm font-mono text-gray-900 break-all">{newToken.token}</code>
+            <button
+              onClick={copyToken}
+              className="ml-4 p-2 text-yellow-600 hover:text-yellow-800 hover:bg-yellow-100 rounded-md transition-colors flex-shrink-0"
+              title="Copy token"
+            >
+              {tokenCopied ? <Check className="h-5 w-5 text-green-600" /> : <Copy className="h-5 w-5" />}
+            </button>
+          </div>
+          <p className="mt-2 text-xs text-yellow-800">
+            Send it as <code className="font-mono">Authorization: Bearer &lt;token&gt;</code>
+          </p>
+        </div>
+      )}
+
+      {/* Token list */}
+      {tokens.length === 0 ? (
+        <p className="text-sm text-gray-500">No tokens yet.</p>
+      ) : (
+        <ul className="divide-y divide-gray-100">
+          {tokens.map((token) => (
+            <li key={token.id} className="py-3 flex items-start justify-between gap-4">
+              <div className="flex items-start min-w-0">
+                <KeyRound className="h-5 w-5 text-gray-400 mr-3 mt-0.5 flex-shrink-0" />
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-gray-900">
+                    {token.name}
+                    <code className="ml-2 text-xs font-mono text-gray-500">{token.tokenHint}</code>
+                    {token.expired && (
+                      <span className="ml-2 px-2 py-0.5 text-xs font-medium rounded-full bg-gray-100 text-gray-600">
+                        Expired
+                      </span>
+                    )}
+                  </p>
+                  <div className="mt-1 flex flex-wrap gap-1">
+                    {token.scopes.map((scope) => (
+                      <span key={scope} className="px-2 py-0.5 text-xs rounded bg-primary-50 text-primary-700">
+                        {privilegeName(scope)}
+                      </span>
+                    ))}
+                  </div>
+                  <p className="mt-1 text-xs text-gray-500">
+                    Created {formatDate(token.createdAt)}
+                    {' · '}Last used {formatDate(token.lastUsedAt)}
+                    {' · '}{token.expired ? 'Expired' : 'Expires'} {formatDate(token.expiresAt)}
+                  </p>
+                </div>
+              </div>
+              <button
+                onClick={() => handleRevoke(token)}
+                disabled={revokingId === token.id}
+                className="text-red-600 hover:text-red-900 flex-shrink-0"
+                title="Revoke"
+              >
+                <XCircle className="h-5 w-5" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* New token form */}
+      {showForm ? (
+        <form onSubmit={handleCreate} className="border border-gray-200 rounded-lg p-4 space-y-4">
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div>
+              <label htmlFor={`${endpoint}-name`} className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+              <input
+                id={`${endpoint}-name`}
+                type="text"
+                required
+                maxLength={100}
+                value={form.name}
+                onChange={(e) => setForm((prev) => ({ ...prev, name: e.target.value }))}
+                placeholder="e.g. Nightly import script"
+                className="input"
+              />
+            </div>
+            <div>
+              <label htmlFor={`${endpoint}-expiry`} className="block text-sm font-medium text-gray-700 mb-1">Expires in</label>
+              <select
+                id={`${endpoint}-expiry`}
+                value={form.expiresInDays}
+                onChange={(e) => setForm((prev) => ({ ...prev, expiresInDays: e.target.value }))}
+                className="input"
+              >
+                {EXPIRY_OPTIONS.map((option) => (
+                  <option key={option.days} value={option.days}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div>
+            <p className="block text-sm font-medium text-gray-700 mb-2">Scopes</p>
+            {privileges.length === 0 ? (
+              <p className="text-sm text-gray-500">There are no privileges to give a token.</p>
+            ) : (
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                {privileges.map((privilege) => (
+                  <label key={privilege.key} className="flex items-start text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={form.scopes.includes(privilege.key)}
+                      onChange={() => toggleScope(privilege.key)}
+                      className="mt-0.5 mr-2 h-4 w-4 text-primary-600 border-gray-300 rounded"
+                    />
+                    <span>
+                      {privilege.name}
+                      {privilege.description && (
+                        <span className="block text-xs text-gray-500">{privilege.description}</span>
+                      )}
+                    </span>
+                  </label>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div className="flex gap-2">
+            <button type="submit" disabled={isCreating} className="btn btn-primary">
+              {isCreating ? 'Creating...' : 'Create Token'}
+            </button>
+            <button
+              type="button"
+              onClick={() => { setShowForm(false); setForm(EMPTY_FORM); setError(''); }}
+              className="btn btn-secondary"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : (
+        <button onClick={() => setShowForm(true)} className="btn btn-secondary text-sm">
+          <Plus className="h-4 w-4 mr-2" />
+          New Token
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default ApiTokens;
@@ -0,0 +1,551 @@
+/**
+ * =============================================================================
+ * BULK UPLOAD - MANY FILES, A FOLDER OR ZIP ARCHIVES AT ONCE
+ * =============================================================================
+ *
+ * WHAT IS THIS FILE?
+ * The "Bulk upload" mode of the upload page, for onboarding a whole
+ * department's documents.
+ *
+ * FLOW:
+ * 1. Pick files, a folder, or drop them (folders included) - ZIP
+ *    archives are unpacked on the server
+ * 2. Set defaults for every file (category, tags, access) and what
+ *    folder names become (tags or collections)
+ * 3. Optionally change the title or category of single files
+ * 4. POST /api/documents/batch, then poll GET /api/documents/batches/:id
+ *    until every file is processed
+ *
+ * Files the server can't use are listed with the reason - the rest of
+ * the batch is uploaded anyway.
+ *
+ * =============================================================================
+ */
+
+import { useState, useRef, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  AlertCircle,
+  Archive,
+  CheckCircle,
+  Cloud,
+  FileText,
+  FolderOpen,
+  Loader2,
+  Upload,
+  X,
+  XCircle
+} from 'lucide-react';
+import api from '../services/api';
+
+const CATEGORIES = [
+  { value: 'policy', label: 'Policy' },
+  { value: 'procedure', label: 'Procedure' },
+  { value: 'technical', label: 'Technical' },
+  { value: 'hr', label: 'HR' },
+  { value: 'finance', label: 'Finance' },
+  { value: 'legal', label: 'Legal' },
+  { value: 'training', label: 'Training' },
+  { value: 'marketing', label: 'Marketing' },
+  { value: 'product', label: 'Product' },
+  { value: 'other', label: 'Other' }
+];
+
+const EMPTY_DEFAULTS = {
+  category: '',
+  tags: '',
+  accessLevel: 'public',
+  folderMapping: 'none'
+};
+
+const POLL_INTERVAL = 3000;
+
+const ITEM_STATES = {
+  completed: { label: 'Ready', className: 'text-green-700 bg-green-50' },
+  processing: { label: 'Processing', className: 'text-yellow-700 bg-yellow-50' },
+  failed: { label: 'Failed', className: 'text-red-700 bg-red-50' },
+  rejected: { label: 'Rejected', className: 'text-red-700 bg-red-50' },
+  deleted: { label: 'Deleted', className: 'text-gray-600 bg-gray-100' }
+};
+
+const isZip = (path) => path.toLowerCase().endsWith('.zip');
+
+/**
+ * defaultTitle - The title the server gives a file: its name without
+ * extension ("HR/leave_policy.pdf" → "leave policy")
+ */
+const defaultTitle = (path) => path
+  .split('/')
+  .pop()
+  .replace(/\.[^.]+$/, '')
+  .replace(/_+/g, ' ')
+  .trim();
+
+/**
+ * readDroppedEntry - Files of a dropped file or folder, with their paths
+ */
+const readDroppedEntry = async (entry) => {
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    return [{ file, path: entry.fullPath.replace(/^\//, '') }];
+  }
+
+  const reader = entry.createReader();
+  const children = [];
+  // readEntries returns at most 100 entries per call
+  for (;;) {
+    const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    if (batch.length === 0) break;
+    children.push(...batch);
+  }
+
+  const nested = await Promise.all(children.map(readDroppedEntry));
+  return nested.flat();
+};
+
+function BulkUpload() {
+  const fileInputRef = useRef(null);
+  const folderInputRef = useRef(null);
+
+  const [entries, setEntries] = useState([]); // [{ file, path, title, category }]
+  const [defaults, setDefaults] = useState(EMPTY_DEFAULTS);
+  const [isDragging, setIsDragging] = useState(false);
+  const [isUploading, setIsUploading] = useState(false);
+  const [uploadProgress, setUploadProgress] = useState(0);
+  const [error, setError] = useState(null);
+  const [batch, setBatch] = useState(null);
+
+  // Folder picking isn't a standard attribute - set it directly
+  useEffect(() => {
+    folderInputRef.current?.setAttribute('webkitdirectory', '');
+  }, []);
+
+  // Poll the batch until every document is processed
+  useEffect(() => {
+    if (!batch || batch.state !== 'processing') return undefined;
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await api.get(`/documents/batches/${batch.id}`);
+        if (response.success) {
+          setBatch(response.data);
+        }
+      } catch {
+        // Keep the last known state; the next render schedules another try
+        setBatch((previous) => ({ ...previous }));
+      }
+    }, POLL_INTERVAL);
+
+    return () => clearTimeout(timer);
+  }, [batch]);
+
+  const addFiles = (files) => {
+    setError(null);
+    setEntries((previous) => {
+      const known = new Set(previous.map((entry) => entry.path));
+      const added = files
+        .filter(({ path }) => !known.has(path))
+        .map(({ file, path }) => ({ file, path, title: '', category: '' }));
+      return [...previous, ...added];
+    });
+  };
+
+  const handleSelect = (e) => {
+    addFiles(Array.from(e.target.files).map((file) => ({
+      file,
+      path: file.webkitRelativePath || file.name
+    })));
+    e.target.value = '';
+  };
+
+  const handleDrop = async (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+
+    const droppedEntries = Array.from(e.dataTransfer.items || [])
+      .map((item) => item.webkitGetAsEntry?.())
+      .filter(Boolean);
+
+    if (droppedEntries.length === 0) {
+      addFiles(Array.from(e.dataTransfer.files).map((file) => ({ file, path: file.name })));
+      return;
+    }
+
+    try {
+      const files = await Promise.all(droppedEntries.map(readDroppedEntry));
+      addFiles(files.flat());
+    } catch {
+      setError('Some of the dropped files could not be read.');
+    }
+  };
+
+  const updateEntry = (path, changes) => {
+    setEntries((previous) => previous.map((entry) => (
+      entry.path === path ? { ...entry, ...changes } : entry
+    )));
+  };
+
+  const removeEntry = (path) => {
+    setEntries((previous) => previous.filter((entry) => entry.path !== path));
+  };
+
+  const handleDefaultChange = (e) => {
+    const { name, value } = e.target;
+    setDefaults((previous) => ({ ...previous, [name]: value }));
+  };
+
+  const reset = () => {
+    setEntries([]);
+    setDefaults(EMPTY_DEFAULTS);
+    setBatch(null);
+    setUploadProgress(0);
+    setError(null);
+  };
+
+  const handleUpload = async () => {
+    if (entries.length === 0) {
+      setError('Please choose some files or a folder to upload.');
+      return;
+    }
+
+    setIsUploading(true);
+    setUploadProgress(0);
+    setError(null);
+
+    try {
+      const formData = new FormData();
+      Object.entries(defaults).forEach(([name, value]) => {
+        if (value.trim()) formData.append(name, value.trim());
+      });
+
+      // Only what differs from the defaults
+      const overrides = {};
+      entries.forEach((entry) => {
+        const override = {};
+        if (entry.title.trim()) override.title = entry.title.trim();
+        if (entry.category) override.category = entry.category;
+        if (Object.keys(override).length > 0) overrides[entry.path] = override;
+      });
+      if (Object.keys(overrides).length > 0) {
+        formData.append('overrides', JSON.stringify(overrides));
+      }
+
+      // The file name carries the folder: "HR/Policies/leave.pdf"
+      entries.forEach((entry) => formData.append('files', entry.file, entry.path));
+
+      const response = await api.upload('/documents/batch', formData, {
+        timeout: 0, // Big folders take longer than the default timeout
+        onUploadProgress: (progressEvent) => {
+          setUploadProgress(Math.round((progressEvent.loaded * 100) / progressEvent.total));
+        }
+      });
+
+      setBatch(response.data);
+    } catch (err) {
+      setError(
+        err.response?.data?.errors?.[0]?.message
+        || err.response?.data?.message
+        || 'Failed to upload the files. Please try again.'
+      );
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  // Results of an upload
+  if (batch) {
+    const { counts } = batch;
+    const problems = batch.items.filter((item) => item.state === 'rejected' || item.state === 'failed');
+
+    return (
+      <div className="space-y-6">
+        <div className="bg-white rounded-xl border border-gray-200 p-6">
+          <div className="flex items-center mb-4">
+            {batch.state === 'processing' ? (
+              <Loader2 className="h-6 w-6 mr-3 text-primary-600 animate-spin" />
+            ) : batch.state === 'completed' ? (
+              <CheckCircle className="h-6 w-6 mr-3 text-green-500" />
+            ) : (
+              <AlertCircle className="h-6 w-6 mr-3 text-yellow-500" />
+            )}
+            <h2 className="text-lg font-medium text-gray-900">
+              {batch.state === 'processing' && 'Processing your documents...'}
+              {batch.state === 'completed' && 'All documents are ready'}
+              {batch.state === 'completed_with_errors' && 'Upload finished with some problems'}
+            </h2>
+          </div>
+
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 text-center">
+            <div className="p-3 bg-gray-50 rounded-lg">
+              <p className="text-2xl font-bold text-gray-900">{counts.total}</p>
+              <p className="text-xs text-gray-500">Files</p>
+            </div>
+            <div className="p-3 bg-green-50 rounded-lg">
+              <p className="text-2xl font-bold text-green-700">{counts.completed}</p>
+              <p className="text-xs text-gray-500">Ready</p>
+            </div>
+            <div className="p-3 bg-yellow-50 rounded-lg">
+              <p className="text-2xl font-bold text-yellow-700">{counts.processing}</p>
+              <p className="text-xs text-gray-500">Processing</p>
+            </div>
+            <div className="p-3 bg-red-50 rounded-lg">
+              <p className="text-2xl font-bold text-red-700">{counts.failed + counts.rejected}</p>
+              <p className="text-xs text-gray-500">Failed or rejected</p>
+            </div>
+          </div>
+
+          {batch.collections?.length > 0 && (
+            <p className="mt-4 text-sm text-gray-600">
+              Folders were added to collections:{' '}
+              {batch.collections.map((collection, index) => (
+                <span key={collection.id}>
+                  {index > 0 && ', '}
+                  <Link to={`/collections/${collection.id}`} className="text-primary-600 hover:text-primary-500">
+                    {collection.name}
+                  </Link>
+                </span>
+              ))}
+            </p>
+          )}
+          {batch.warnings?.map((warning) => (
+            <p key={warning} className="mt-2 text-sm text-yellow-700">{warning}</p>
+          ))}
+        </div>
+
+        {problems.length > 0 && (
+          <div className="bg-white rounded-xl border border-red-200 p-6">
+            <h3 className="text-sm font-medium text-gray-900 mb-3">Files that need attention</h3>
+            <ul className="space-y-2">
+              {problems.map((item) => (
+                <li key={item.path} className="flex items-start text-sm">
+                  <XCircle className="h-4 w-4 mr-2 mt-0.5 text-red-500 flex-shrink-0" />
+                  <div className="min-w-0">
+                    <p className="font-medium text-gray-900 truncate">{item.path}</p>
+                    <p className="text-red-700">{item.error || 'Processing failed.'}</p>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        <div className="bg-white rounded-xl border border-gray-200 divide-y divide-gray-100">
+          {batch.items.map((item) => {
+            const state = ITEM_STATES[item.state] || ITEM_STATES.processing;
+            return (
+              <div key={item.path} className="flex items-center justify-between px-4 py-2 text-sm">
+                {item.documentId && item.state !== 'deleted' ? (
+                  <Link to={`/documents/${item.documentId}`} className="truncate text-gray-900 hover:text-primary-600">
+                    {item.path}
+                  </Link>
+                ) : (
+                  <span className="truncate text-gray-500">{item.path}</span>
+                )}
+                <span className={`ml-3 flex-shrink-0 px-2 py-0.5 rounded text-xs font-medium ${state.className}`}>
+                  {state.label}
+                </span>
+              </div>
+            );
+          })}
+        </div>
+
+        <div className="flex justify-end gap-3">
+          <button onClick={reset} className="btn btn-secondary">
+            Upload More
+          </button>
+          <Link to="/documents" className="btn btn-primary">
+            Go to Documents
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {error && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg flex items-start">
+          <AlertCircle className="h-5 w-5 text-red-500 mr-3 mt-0.5 flex-shrink-0" />
+          <p className="text-sm text-red-700">{error}</p>
+        </div>
+      )}
+
+      {/* Drop zone */}
+      <div
+        onDragOver={(e) => {
+          e.preventDefault();
+          setIsDragging(true);
+        }}
+        onDragLeave={(e) => {
+          e.preventDefault();
+          setIsDragging(false);
+        }}
+        onDrop={handleDrop}
+        className={`border-2 border-dashed rounded-xl p-8 text-center transition-colors duration-200 ${
+          isDragging ? 'border-primary-500 bg-primary-50' : 'border-gray-300 bg-gray-50 hover:border-gray-400'
+        }`}
+      >
+        <input ref={fileInputRef} type="file" multiple onChange={handleSelect} className="hidden" id="bulk-files" />
+        <input ref={folderInputRef} type="file" multiple onChange={handleSelect} className="hidden" id="bulk-folder" />
+
+        <Cloud className="h-12 w-12 mx-auto text-gray-400 mb-4" />
+        <div className="flex flex-wrap justify-center gap-3">
+          <label
+            htmlFor="bulk-files"
+            className="inline-flex items-center px-4 py-2 text-sm font-medium text-primary-600 bg-white border border-primary-300 rounded-lg cursor-pointer hover:bg-primary-50"
+          >
+            <Upload className="h-4 w-4 mr-2" />
+            Choose files
+          </label>
+          <label
+            htmlFor="bulk-folder"
+            className="inline-flex items-center px-4 py-2 text-sm font-medium text-primary-600 bg-white border border-primary-300 rounded-lg cursor-pointer hover:bg-primary-50"
+          >
+            <FolderOpen className="h-4 w-4 mr-2" />
+            Choose a folder
+          </label>
+        </div>
+        <p className="mt-2 text-sm text-gray-500">or drag and drop files and folders here</p>
+        <p className="mt-4 text-xs text-gray-400">
+          ZIP archives are unpacked. Folders are kept and can become tags or collections. Max 10MB per document.
+        </p>
+      </div>
+
+      {/* Defaults for every file */}
+      <div className="bg-white rounded-xl border border-gray-200 p-6 space-y-4">
+        <h2 className="text-lg font-medium text-gray-900">Defaults for every file</h2>
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <div>
+            <label htmlFor="bulk-category" className="block text-sm font-medium text-gray-700 mb-1">Category</label>
+            <select id="bulk-category" name="category" value={defaults.category} onChange={handleDefaultChange} className="input">
+              <option value="">Other</option>
+              {CATEGORIES.filter((category) => category.value !== 'other').map((category) => (
+                <option key={category.value} value={category.value}>{category.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="bulk-access" className="block text-sm font-medium text-gray-700 mb-1">Access</label>
+            <select id="bulk-access" name="accessLevel" value={defaults.accessLevel} onChange={handleDefaultChange} className="input">
+              <option value="public">Everyone in the organization</option>
+              <option value="department">My department</option>
+              <option value="private">Only me</option>
+            </select>
+          </div>
+          <div>
+            <label htmlFor="bulk-tags" className="block text-sm font-medium text-gray-700 mb-1">Tags</label>
+            <input
+              id="bulk-tags"
+              name="tags"
+              value={defaults.tags}
+              onChange={handleDefaultChange}
+              className="input"
+              placeholder="Tags separated by commas"
+            />
+          </div>
+          <div>
+            <label htmlFor="bulk-folders" className="block text-sm font-medium text-gray-700 mb-1">Folders become</label>
+            <select id="bulk-folders" name="folderMapping" value={defaults.folderMapping} onChange={handleDefaultChange} className="input">
+              <option value="none">Nothing</option>
+              <option value="tags">Tags (HR/Policies → hr, policies)</option>
+              <option value="collections">Collections (one per folder)</option>
+            </select>
+          </div>
+        </div>
+      </div>
+
+      {/* Selected files */}
+      {entries.length > 0 && (
+        <div className="bg-white rounded-xl border border-gray-200">
+          <div className="flex items-center justify-between px-4 py-3 border-b border-gray-100">
+            <h2 className="text-sm font-medium text-gray-900">
+              {entries.length} file{entries.length === 1 ? '' : 's'} selected
+            </h2>
+            <button type="button" onClick={() => setEntries([])} className="text-sm text-gray-500 hover:text-gray-900">
+              Clear
+            </button>
+          </div>
+          <div className="max-h-96 overflow-y-auto divide-y divide-gray-100">
+            {entries.map((entry) => (
+              <div key={entry.path} className="flex items-center gap-3 px-4 py-2">
+                {isZip(entry.path) ? (
+                  <Archive className="h-4 w-4 text-gray-400 flex-shrink-0" />
+                ) : (
+                  <FileText className="h-4 w-4 text-gray-400 flex-shrink-0" />
+                )}
+                <span className="w-1/3 truncate text-sm text-gray-700" title={entry.path}>{entry.path}</span>
+                {isZip(entry.path) ? (
+                  <span className="flex-1 text-xs text-gray-500">Unpacked on upload</span>
+                ) : (
+                  <>
+                    <input
+                      value={entry.title}
+                      onChange={(e) => updateEntry(entry.path, { title: e.target.value })}
+                      placeholder={defaultTitle(entry.path)}
+                      className="input flex-1 py-1 text-sm"
+                      aria-label={`Title of ${entry.path}`}
+                    />
+                    <select
+                      value={entry.category}
+                      onChange={(e) => updateEntry(entry.path, { category: e.target.value })}
+                      className="input w-36 py-1 text-sm"
+                      aria-label={`Category of ${entry.path}`}
+                    >
+                      <option value="">Default</option>
+                      {CATEGORIES.map((category) => (
+                        <option key={category.value} value={category.value}>{category.label}</option>
+                      ))}
+                    </select>
+                  </>
+                )}
+                <button
+                  type="button"
+                  onClick={() => removeEntry(entry.path)}
+                  className="p-1 rounded text-gray-400 hover:text-gray-900 hover:bg-gray-100"
+                  title="Remove"
+                >
+                  <X className="h-4 w-4" />
+                </button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {isUploading && (
+        <div className="space-y-2">
+          <div className="flex justify-between text-sm">
+            <span className="text-gray-600">Uploading...</span>
+            <span className="font-medium text-gray-900">{uploadProgress}%</span>
+          </div>
+          <div className="w-full bg-gray-200 rounded-full h-2">
+            <div className="bg-primary-600 h-2 rounded-full transition-all duration-300" style={{ width: `${uploadProgress}%` }} />
+          </div>
+        </div>
+      )}
+
+      <div className="flex justify-end">
+        <button
+          type="button"
+          onClick={handleUpload}
+          disabled={isUploading || entries.length === 0}
+          className="btn btn-primary"
+        >
+          {isUploading ? (
+            <>
+              <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+              Uploading...
+            </>
+          ) : (
+            <>
+              <Upload className="h-4 w-4 mr-2" />
+              Upload {entries.length > 0 ? `${entries.length} file${entries.length === 1 ? '' : 's'}` : 'files'}
+            </>
+          )}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default BulkUpload;
@@ -0,0 +1,77 @@
+/**
+ * =============================================================================
+ * CONVERSATION SIDEBAR - AI Q&A THREAD LIST
+ * =============================================================================
+ *
+ * WHAT IS THIS FILE?
+ * The list of the user's AI conversations shown next to the Ask AI page.
+ * Picking a conversation reopens it so follow-up questions build on the
+ * earlier turns; "New conversation" starts a fresh thread.
+ *
+ * =============================================================================
+ */
+
+import { MessageSquare, Plus, Trash2 } from 'lucide-react';
+
+function ConversationSidebar({ conversations, activeId, isLoading, onSelect, onNew, onDelete }) {
+  return (
+    <aside className="lg:w-64 lg:flex-shrink-0 mb-6 lg:mb-0">
+      <div className="bg-white rounded-xl border border-gray-200 shadow-sm">
+        <div className="p-3 border-b border-gray-200">
+          <button
+            onClick={onNew}
+            className="btn btn-secondary w-full flex items-center justify-center"
+          >
+            <Plus className="h-4 w-4 mr-2" />
+            New conversation
+          </button>
+        </div>
+
+        <div className="max-h-[28rem] overflow-y-auto p-2">
+          {isLoading && conversations.length === 0 && (
+            <p className="px-2 py-3 text-xs text-gray-500">Loading conversations...</p>
+          )}
+
+          {!isLoading && conversations.length === 0 && (
+            <p className="px-2 py-3 text-xs text-gray-500">
+              No conversations yet. Ask a question to start one.
+            </p>
+          )}
+
+          {conversations.map((conversation) => (
+            <div
+              key={conversation._id}
+              className={`group flex items-start gap-2 rounded-lg px-2 py-2 cursor-pointer transition-colors ${
+                conversation._id === activeId
+                  ? 'bg-primary-50 text-primary-700'
+                  : 'text-gray-700 hover:bg-gray-50'
+              }`}
+              onClick={() => onSelect(conversation._id)}
+            >
+              <MessageSquare className="h-4 w-4 mt-0.5 flex-shrink-0" />
+              <div className="min-w-0 flex-1">
+                <p className="text-sm font-medium truncate">{conversation.title}</p>
+                <p className="text-xs text-gray-500">
+                  {conversation.turnCount} {conversation.turnCount === 1 ? 'question' : 'questions'} ·{' '}
+                  {new Date(conversation.lastMessageAt).toLocaleDateString()}
+                </p>
+              </div>
+              <button
+                onClick={(e) => {
+                  e.stopPropagation();
+                  onDelete(conversation._id);
+                }}
+                className="opacity-0 group-hover:opacity-100 text-gray-400 hover:text-red-600 transition-opacity"
+                title="Delete conversation"
+              >
+                <Trash2 className="h-4 w-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+      </div>
+    </aside>
+  );
+}
+
+export default ConversationSidebar;
@@ -0,0 +1,115 @@
+/**
+ * =============================================================================
+ * DOCUMENT PASSAGE - ONE CHUNK OF A DOCUMENT, WITH THE QUERY MARKED
+ * =============================================================================
+ *
+ * WHAT IS THIS FILE?
+ * The "matched passage" panel on the document page. Search result
+ * snippets link to /documents/:id?chunk=12&q=vacation - this panel shows
+ * chunk 12 with "vacation" highlighted, and lets the reader step to the
+ * neighbouring passages.
+ *
+ * PROPS:
+ * - chunks: The document's chunks [{ text, chunkIndex, startPage, endPage, sectionPath }]
+ * - chunkIndex: Passage to show
+ * - query: Terms to highlight
+ * - onNavigate(chunkIndex): Show another passage
+ * - onOpenPage(page): Optional - show the page in the PDF viewer
+ * - onClose(): Hide the panel
+ *
+ * =============================================================================
+ */
+
+import { useEffect, useRef } from 'react';
+import { ChevronLeft, ChevronRight, FileText, Search, X } from 'lucide-react';
+import HighlightedText, { findQueryHighlights } from './HighlightedText';
+
+/**
+ * passageLocation - "p. 12", "p. 12–13", "Benefits > Leave" (section
+ * headings), both, or "Passage 4" when the document has neither
+ */
+export const passageLocation = ({ chunkIndex, startPage, endPage, sectionPath }) => {
+  const parts = [];
+  if (startPage) {
+    parts.push(endPage && endPage !== startPage ? `p. ${startPage}–${endPage}` : `p. ${startPage}`);
+  }
+  if (sectionPath) {
+    parts.push(sectionPath);
+  }
+  return parts.length > 0 ? parts.join(' · ') : `Passage ${chunkIndex + 1}`;
+};
+
+function DocumentPassage({ chunks, chunkIndex, query, onNavigate, onOpenPage, onClose }) {
+  const panelRef = useRef(null);
+
+  const ordered = [...chunks].sort((a, b) => a.chunkIndex - b.chunkIndex);
+  const position = ordered.findIndex((chunk) => chunk.chunkIndex === chunkIndex);
+  const chunk = ordered[position];
+
+  // Bring the passage into view when arriving from a search result
+  useEffect(() => {
+    panelRef.current?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }, [chunkIndex]);
+
+  if (!chunk) {
+    return null;
+  }
+
+  const previous = ordered[position - 1];
+  const next = ordered[position + 1];
+
+  return (
+    <div ref={panelRef} className="bg-white border border-yellow-200 rounded-lg p-6">
+      <div className="flex items-center justify-between mb-3">
+        <span className="flex items-center text-sm font-medium text-gray-900">
+          <Search className="h-4 w-4 mr-2 text-yellow-600" />
+          Matched passage
+          <span className="ml-2 text-xs font-normal text-gray-500">{passageLocation(chunk)}</span>
+        </span>
+        <div className="flex items-center gap-1">
+          {onOpenPage && chunk.startPage && (
+            <button
+              type="button"
+              onClick={() => onOpenPage(chunk.startPage)}
+              className="flex items-center mr-2 text-xs font-medium text-primary-600 hover:text-primary-500"
+            >
+              <FileText className="h-3 w-3 mr-1" />
+              Show in PDF
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={() => onNavigate(previous.chunkIndex)}
+            disabled={!previous}
+            className="p-1 rounded text-gray-500 hover:text-gray-900 hover:bg-gray-100 disabled:opacity-30"
+            title="Previous passage"
+          >
+            <ChevronLeft className="h-4 w-4" />
+          </button>
+          <button
+            type="button"
+            onClick={() => onNavigate(next.chunkIndex)}
+            disabled={!next}
+            className="p-1 rounded text-gray-500 hover:text-gray-900 hover:bg-gray-100 disabled:opacity-30"
+            title="Next passage"
+          >
+            <ChevronRight className="h-4 w-4" />
+          </button>
+          <button
+            type="button"
+            onClick={onClose}
+            className="p-1 rounded text-gray-500 hover:text-gray-900 hover:bg-gray-100"
+            title="Close"
+          >
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+      </div>
+      <p className="text-sm text-gray-700 leading-relaxed whitespace-pre-line">
+        <HighlightedText text={chunk.text} highlights={findQueryHighlights(chunk.text, query)} />
+      </p>
+    </div>
+  );
+}
+
+export default DocumentPassage;
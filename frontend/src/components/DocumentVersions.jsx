@@ -0,0 +1,357 @@
+/**
+ * =============================================================================
+ * DOCUMENT VERSIONS - VERSION HISTORY, RESTORE AND DIFF
+ * =============================================================================
+ *
+ * WHAT IS THIS FILE?
+ * The "Version history" card of the document detail page:
+ * - upload a revised file as a new version of the same document
+ * - list earlier revisions, download or restore them
+ * - compare the text of any two revisions
+ *
+ * =============================================================================
+ */
+
+import { useEffect, useState } from 'react';
+import api from '../services/api';
+import { History, Upload, Download, RotateCcw, GitCompare, X } from 'lucide-react';
+
+const formatFileSize = (bytes) => {
+  if (!bytes) return 'Unknown';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const DIFF_LINE_STYLES = {
+  equal: 'text-gray-700',
+  removed: 'bg-red-50 text-red-800',
+  added: 'bg-green-50 text-green-800',
+};
+
+const DIFF_LINE_PREFIX = { equal: ' ', removed: '-', added: '+' };
+
+/**
+ * DiffView - Renders the hunks returned by GET /revisions/diff
+ */
+function DiffView({ diff, onClose }) {
+  const hasChanges = diff.stats.added > 0 || diff.stats.removed > 0;
+
+  return (
+    <div className="mt-4 border border-gray-200 rounded-lg overflow-hidden">
+      <div className="flex items-center justify-between px-3 py-2 bg-gray-50 border-b border-gray-200 text-xs">
+        <span className="font-medium text-gray-700">
+          Revision {diff.from} → Revision {diff.to}
+          <span className="ml-2 text-green-700">+{diff.stats.added}</span>
+          <span className="ml-1 text-red-700">−{diff.stats.removed}</span>
+          {diff.approximate && (
+            <span className="ml-2 text-gray-500">(large change, shown as a whole)</span>
+          )}
+        </span>
+        <button onClick={onClose} className="text-gray-400 hover:text-gray-600" title="Close diff">
+          <X className="h-4 w-4" />
+        </button>
+      </div>
+
+      {!hasChanges ? (
+        <p className="px-3 py-4 text-sm text-gray-500">The text of these revisions is identical.</p>
+      ) : (
+        <div className="max-h-[32rem] overflow-auto font-mono text-xs">
+          {diff.hunks.map((hunk, index) => {
+            if (hunk.type === 'skipped') {
+              return (
+                <div key={index} className="px-3 py-1 bg-blue-50 text-blue-700">
+                  ⋯ {hunk.count} unchanged {hunk.count === 1 ? 'line' : 'lines'}
+                </div>
+              );
+            }
+
+            return hunk.lines.map((line, lineIndex) => (
+              <div key={`${index}-${lineIndex}`} className={`flex ${DIFF_LINE_STYLES[hunk.type]}`}>
+                <span className="w-10 flex-shrink-0 px-1 text-right text-gray-400 select-none">
+                  {hunk.type !== 'added' ? hunk.oldStart + lineIndex : ''}
+                </span>
+                <span className="w-10 flex-shrink-0 px-1 text-right text-gray-400 select-none">
+                  {hunk.type !== 'removed' ? hunk.newStart + lineIndex : ''}
+                </span>
+                <span className="w-4 flex-shrink-0 text-center select-none">{DIFF_LINE_PREFIX[hunk.type]}</span>
+                <span className="whitespace-pre-wrap break-all pr-3">{line || ' '}</span>
+              </div>
+            ));
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function DocumentVersions({ documentId, currentRevision, documentStatus, canEdit, onChanged, onError }) {
+  const [revisions, setRevisions] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [showUpload, setShowUpload] = useState(false);
+  const [newVersion, setNewVersion] = useState({ file: null, version: '', changeNote: '' });
+  const [isUploading, setIsUploading] = useState(false);
+  const [busyRevision, setBusyRevision] = useState(null);
+  const [compare, setCompare] = useState({ from: '', to: '' });
+  const [diff, setDiff] = useState(null);
+  const [isComparing, setIsComparing] = useState(false);
+
+  useEffect(() => {
+    const fetchRevisions = async () => {
+      try {
+        setIsLoading(true);
+        const response = await api.get(`/documents/${documentId}/revisions`);
+        const list = response.data?.revisions || [];
+        setRevisions(list);
+        // Default comparison: previous revision → current
+        setCompare({
+          from: list[1] ? String(list[1].revisionNumber) : '',
+          to: list[0] ? String(list[0].revisionNumber) : '',
+        });
+      } catch (err) {
+        setRevisions([]);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    if (documentId) {
+      fetchRevisions();
+    }
+  }, [documentId, currentRevision, documentStatus]);
+
+  const handleUpload = async (e) => {
+    e.preventDefault();
+    if (!newVersion.file) return;
+
+    const formData = new FormData();
+    formData.append('file', newVersion.file);
+    if (newVersion.version) formData.append('version', newVersion.version);
+    if (newVersion.changeNote) formData.append('changeNote', newVersion.changeNote);
+
+    try {
+      setIsUploading(true);
+      onError('');
+      await api.upload(`/documents/${documentId}/versions`, formData);
+      setShowUpload(false);
+      setNewVersion({ file: null, version: '', changeNote: '' });
+      setDiff(null);
+      onChanged();
+    } catch (err) {
+      onError(err.response?.data?.message || 'Failed to upload the new version.');
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  const handleDownload = async (revision) => {
+    const endpoint = revision.isCurrent
+      ? `/documents/${documentId}/download`
+      : `/documents/${documentId}/revisions/${revision.revisionNumber}/download`;
+
+    try {
+      setBusyRevision(revision.revisionNumber);
+      const url = await api.download(endpoint);
+      const link = window.document.createElement('a');
+      link.href = url;
+      link.download = revision.fileName || 'document';
+      window.document.body.appendChild(link);
+      link.click();
+      link.remove();
+    } catch (err) {
+      onError(err.response?.data?.message || 'Failed to download this revision.');
+    } finally {
+      setBusyRevision(null);
+    }
+  };
+
+  const handleRestore = async (revision) => {
+    if (!window.confirm(`Restore revision ${revision.revisionNumber}? The current version stays in the history.`)) {
+      return;
+    }
+
+    try {
+      setBusyRevision(revision.revisionNumber);
+      onError('');
+      await api.post(`/documents/${documentId}/revisions/${revision.revisionNumber}/restore`);
+      setDiff(null);
+      onChanged();
+    } catch (err) {
+      onError(err.response?.data?.message || 'Failed to restore this revision.');
+    } finally {
+      setBusyRevision(null);
+    }
+  };
+
+  const handleCompare = async () => {
+    if (!compare.from || !compare.to || compare.from === compare.to) return;
+
+    try {
+      setIsComparing(true);
+      onError('');
+      const response = await api.get(`/documents/${documentId}/revisions/diff`, {
+        from: compare.from,
+        to: compare.to,
+      });
+      setDiff(response.data);
+    } catch (err) {
+      onError(err.response?.data?.message || 'Failed to compare revisions.');
+    } finally {
+      setIsComparing(false);
+    }
+  };
+
+  const isProcessing = documentStatus === 'processing';
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg p-6">
+      <div className="flex items-center justify-between">
+        <h2 className="flex items-center text-lg font-semibold text-gray-900">
+          <History className="h-5 w-5 mr-2 text-gray-500" />
+          Version history
+        </h2>
+        {canEdit && (
+          <button
+            onClick={() => setShowUpload((prev) => !prev)}
+            disabled={isProcessing}
+            className="btn btn-secondary text-sm"
+            title={isProcessing ? 'Wait until the current version is processed' : undefined}
+          >
+            <Upload className="h-4 w-4 mr-2" />
+            Upload new version
+          </button>
+        )}
+      </div>
+
+      {showUpload && (
+        <form onSubmit={handleUpload} className="mt-4 p-4 rounded-lg border border-gray-200 bg-gray-50 space-y-3">
+          <input
+            type="file"
+            accept=".pdf,.doc,.docx,.txt,.md,.html,.htm,.csv,.xlsx,.pptx,.rtf,.json,.eml,.mbox"
+            onChange={(e) => setNewVersion((prev) => ({ ...prev, file: e.target.files?.[0] || null }))}
+            className="block w-full text-sm text-gray-700"
+          />
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+            <input
+              type="text"
+              value={newVersion.version}
+              onChange={(e) => setNewVersion((prev) => ({ ...prev, version: e.target.value }))}
+              placeholder="Version label (e.g. 2.1)"
+              maxLength={50}
+              className="input"
+            />
+            <input
+              type="text"
+              value={newVersion.changeNote}
+              onChange={(e) => setNewVersion((prev) => ({ ...prev, changeNote: e.target.value }))}
+              placeholder="What changed?"
+              maxLength={500}
+              className="input sm:col-span-2"
+            />
+          </div>
+          <div className="flex justify-end gap-2">
+            <button type="button" onClick={() => setShowUpload(false)} className="btn btn-secondary text-sm">
+              Cancel
+            </button>
+            <button type="submit" disabled={!newVersion.file || isUploading} className="btn btn-primary text-sm">
+              {isUploading ? 'Uploading...' : 'Upload'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {isLoading && revisions.length === 0 ? (
+        <p className="mt-4 text-sm text-gray-500">Loading versions...</p>
+      ) : (
+        <ul className="mt-4 divide-y divide-gray-100">
+          {revisions.map((revision) => (
+            <li key={revision.revisionNumber} className="py-3 flex items-start justify-between gap-4">
+              <div className="min-w-0">
+                <p className="text-sm font-medium text-gray-900">
+                  Revision {revision.revisionNumber}
+                  {revision.version && <span className="ml-2 text-gray-500">v{revision.version}</span>}
+                  {revision.isCurrent && (
+                    <span className="ml-2 inline-flex px-2 py-0.5 rounded-full text-xs bg-primary-100 text-primary-700">
+                      Current
+                    </span>
+                  )}
+                </p>
+                <p className="text-xs text-gray-500 truncate">
+                  {revision.fileName} · {formatFileSize(revision.fileSize)} ·{' '}
+                  {revision.uploadedBy ? `${revision.uploadedBy.firstName} ${revision.uploadedBy.lastName} · ` : ''}
+                  {revision.createdAt ? new Date(revision.createdAt).toLocaleString() : '—'}
+                </p>
+                {revision.changeNote && (
+                  <p className="mt-1 text-xs text-gray-600">{revision.changeNote}</p>
+                )}
+              </div>
+              <div className="flex items-center gap-2 flex-shrink-0">
+                <button
+                  onClick={() => handleDownload(revision)}
+                  disabled={busyRevision === revision.revisionNumber}
+                  className="text-gray-500 hover:text-primary-600 disabled:opacity-50"
+                  title="Download this revision"
+                >
+                  <Download className="h-4 w-4" />
+                </button>
+                {canEdit && !revision.isCurrent && (
+                  <button
+                    onClick={() => handleRestore(revision)}
+                    disabled={busyRevision === revision.revisionNumber || isProcessing}
+                    className="text-gray-500 hover:text-primary-600 disabled:opacity-50"
+                    title="Restore this revision"
+                  >
+                    <RotateCcw className="h-4 w-4" />
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {revisions.length > 1 && (
+        <div className="mt-4 pt-4 border-t border-gray-100">
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            <GitCompare className="h-4 w-4 text-gray-500" />
+            <span className="text-gray-700">Compare</span>
+            <select
+              value={compare.from}
+              onChange={(e) => setCompare((prev) => ({ ...prev, from: e.target.value }))}
+              className="input w-auto py-1"
+            >
+              {revisions.map((revision) => (
+                <option key={revision.revisionNumber} value={revision.revisionNumber}>
+                  Revision {revision.revisionNumber}
+                </option>
+              ))}
+            </select>
+            <span className="text-gray-500">with</span>
+            <select
+              value={compare.to}
+              onChange={(e) => setCompare((prev) => ({ ...prev, to: e.target.value }))}
+              className="input w-auto py-1"
+            >
+              {revisions.map((revision) => (
+                <option key={revision.revisionNumber} value={revision.revisionNumber}>
+                  Revision {revision.revisionNumber}
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={handleCompare}
+              disabled={isComparing || !compare.from || compare.from === compare.to}
+              className="btn btn-secondary text-sm py-1"
+            >
+              {isComparing ? 'Comparing...' : 'Show changes'}
+            </button>
+          </div>
+
+          {diff && <DiffView diff={diff} onClose={() => setDiff(null)} />}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DocumentVersions;
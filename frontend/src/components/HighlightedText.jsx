@@ -0,0 +1,71 @@
+/**
+ * =============================================================================
+ * HIGHLIGHTED TEXT - TEXT WITH MARKED QUERY TERMS
+ * =============================================================================
+ *
+ * WHAT IS THIS FILE?
+ * Renders text with some ranges wrapped in <mark>. Used for search result
+ * snippets and for the matched passage on the document page.
+ *
+ * USAGE:
+ *   <HighlightedText text={snippet.text} highlights={snippet.highlights} />
+ *   <HighlightedText text={chunk.text} highlights={findQueryHighlights(chunk.text, q)} />
+ *
+ * highlights: [[start, end], ...] offsets into text (end exclusive), as
+ * returned by GET /api/search. Plain React text nodes - no HTML injection.
+ *
+ * =============================================================================
+ */
+
+// Words that are never highlighted (same idea as the server's stopwords)
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'of', 'to', 'in', 'on', 'at', 'by', 'for', 'with',
+  'is', 'are', 'was', 'be', 'it', 'this', 'that', 'what', 'how', 'do', 'does', 'can',
+]);
+
+// Same light plural strip as the server, so "policies" matches "policy"
+const normalize = (word) => {
+  const lower = word.toLowerCase();
+  return lower.length > 3 ? lower.replace(/ies$/, 'y').replace(/([^s])s$/, '$1') : lower;
+};
+
+/**
+ * findQueryHighlights - Offsets of the words in text matching a query
+ * For pages that have the text but not server-computed offsets
+ */
+export const findQueryHighlights = (text, query) => {
+  if (!text || !query) return [];
+
+  const terms = new Set(
+    (query.match(/[A-Za-z0-9]+/g) || [])
+      .filter((word) => word.length > 1 && !STOPWORDS.has(word.toLowerCase()))
+      .map(normalize)
+  );
+
+  return [...text.matchAll(/[A-Za-z0-9]+/g)]
+    .filter((match) => terms.has(normalize(match[0])))
+    .map((match) => [match.index, match.index + match[0].length]);
+};
+
+function HighlightedText({ text, highlights = [], className = '' }) {
+  const parts = [];
+  let position = 0;
+
+  highlights.forEach(([start, end]) => {
+    if (start < position) return; // Overlapping range - already marked
+    if (start > position) {
+      parts.push(text.slice(position, start));
+    }
+    parts.push(
+      <mark key={start} className="bg-yellow-100 text-gray-900 rounded px-0.5">
+        {text.slice(start, end)}
+      </mark>
+    );
+    position = end;
+  });
+  parts.push(text.slice(position));
+
+  return <span className={className}>{parts}</span>;
+}
+
+export default HighlightedText;
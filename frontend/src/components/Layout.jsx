@@ -41,7 +41,8 @@ import {
   Settings,
   Shield,
   Brain,
-  BookOpen
+  BookOpen,
+  BarChart3
 } from 'lucide-react';
 
 /**
@@ -73,6 +74,7 @@ function Layout({ children }) {
   const canUpload = usePrivilege('upload_documents');
   const canViewDocuments = usePrivilege('view_documents');
   const canQueryAI = usePrivilege('query_ai');
+  const canViewAnalytics = usePrivilege('view_analytics');
   const isOrgAdmin = useIsOrgAdmin();
 
   /**
@@ -113,6 +115,13 @@ function Layout({ children }) {
       description: 'Upload new documents',
       show: canUpload
     },
+    { 
+      name: 'Analytics', 
+      href: '/analytics', 
+      icon: BarChart3,
+      description: 'Search and AI usage',
+      show: canViewAnalytics
+    },
     { 
       name: 'Admin', 
       href: '/admin', 
@@ -0,0 +1,301 @@
+/**
+ * =============================================================================
+ * ORG INVITATIONS - INVITE MEMBERS BY EMAIL
+ * =============================================================================
+ *
+ * WHAT IS THIS FILE?
+ * The "Invitations" tab of the organization admin page.
+ *
+ * FEATURES:
+ * - Invite an email with a role and (optional) department
+ * - The invitation link is emailed to the invited address - admins never
+ *   see it (the server only keeps a hash of it)
+ * - List invitations with their status, resend or revoke them
+ *
+ * The invited person opens /signup/employee?invite=... and only picks
+ * a name and password.
+ *
+ * =============================================================================
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import {
+  AlertCircle,
+  CheckCircle,
+  Mail,
+  RefreshCcw,
+  Send,
+  XCircle
+} from 'lucide-react';
+import api from '../services/api';
+
+const STATUS_STYLES = {
+  pending: 'bg-blue-100 text-blue-800',
+  accepted: 'bg-green-100 text-green-800',
+  expired: 'bg-gray-100 text-gray-800',
+  revoked: 'bg-red-100 text-red-800'
+};
+
+const EMPTY_FORM = { email: '', orgRole: '', department: '' };
+
+function OrgInvitations({ roles }) {
+  const [invitations, setInvitations] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [isSending, setIsSending] = useState(false);
+  const [error, setError] = useState(null);
+  const [successMessage, setSuccessMessage] = useState('');
+
+  const fetchInvitations = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const response = await api.get('/organizations/invitations', statusFilter ? { status: statusFilter } : {});
+      if (response.success) {
+        setInvitations(response.data);
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load invitations.');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [statusFilter]);
+
+  useEffect(() => {
+    fetchInvitations();
+  }, [fetchInvitations]);
+
+  /**
+   * Invite an email address
+   */
+  const handleInvite = async (e) => {
+    e.preventDefault();
+
+    try {
+      setIsSending(true);
+      setError(null);
+      setSuccessMessage('');
+
+      const response = await api.post('/organizations/invitations', {
+        email: form.email.trim(),
+        orgRole: form.orgRole || undefined,
+        department: form.department.trim()
+      });
+
+      if (response.success) {
+        setSuccessMessage(response.message);
+        setForm(EMPTY_FORM);
+        fetchInvitations();
+      }
+    } catch (err) {
+      setError(
+        err.response?.data?.errors?.[0]?.message
+        || err.response?.data?.message
+        || 'Failed to create the invitation. Please try again.'
+      );
+      // The invitation may exist even if its email couldn't be sent
+      fetchInvitations();
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  /**
+   * Email a new link for an invitation (the old one stops working)
+   */
+  const handleResend = async (invitation) => {
+    try {
+      setError(null);
+      const response = await api.post(`/organizations/invitations/${invitation.id}/resend`);
+
+      if (response.success) {
+        setSuccessMessage(response.message);
+        fetchInvitations();
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to resend the invitation.');
+    }
+  };
+
+  /**
+   * Revoke an invitation
+   */
+  const handleRevoke = async (invitation) => {
+    if (!window.confirm(`Revoke the invitation for ${invitation.email}? The link will stop working.`)) {
+      return;
+    }
+
+    try {
+      setError(null);
+      const response = await api.delete(`/organizations/invitations/${invitation.id}`);
+
+      if (response.success) {
+        setSuccessMessage('Invitation revoked.');
+        fetchInvitations();
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to revoke the invitation.');
+    }
+  };
+
+  const roleName = (key) => roles.find((role) => role.key === key)?.name || key;
+
+  return (
+    <div className="space-y-6">
+      {error && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg flex items-start">
+          <AlertCircle className="h-5 w-5 text-red-500 mr-3 mt-0.5 flex-shrink-0" />
+          <p className="text-sm text-red-700">{error}</p>
+        </div>
+      )}
+
+      {successMessage && (
+        <div className="p-4 bg-green-50 border border-green-200 rounded-lg flex items-start">
+          <CheckCircle className="h-5 w-5 text-green-500 mr-3 mt-0.5 flex-shrink-0" />
+          <p className="text-sm text-green-700">{successMessage}</p>
+        </div>
+      )}
+
+      {/* Invite form */}
+      <form onSubmit={handleInvite} className="bg-white shadow-sm border border-gray-200 rounded-lg p-6">
+        <h3 className="text-lg font-medium text-gray-900 mb-4">
+          <Mail className="inline h-5 w-5 mr-2" />
+          Invite a Member
+        </h3>
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-4">
+          <div>
+            <label htmlFor="invite-email" className="block text-sm font-medium text-gray-700 mb-1">Email</label>
+            <input
+              id="invite-email"
+              type="email"
+              required
+              value={form.email}
+              onChange={(e) => setForm((prev) => ({ ...prev, email: e.target.value }))}
+              placeholder="jane@company.com"
+              className="input"
+            />
+          </div>
+          <div>
+            <label htmlFor="invite-role" className="block text-sm font-medium text-gray-700 mb-1">Role</label>
+            <select
+              id="invite-role"
+              value={form.orgRole}
+              onChange={(e) => setForm((prev) => ({ ...prev, orgRole: e.target.value }))}
+              className="input"
+            >
+              <option value="">Default role</option>
+              {roles.map((role) => (
+                <option key={role.key} value={role.key}>{role.name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="invite-department" className="block text-sm font-medium text-gray-700 mb-1">
+              Department <span className="text-gray-400 font-normal">(optional)</span>
+            </label>
+            <input
+              id="invite-department"
+              type="text"
+              value={form.department}
+              onChange={(e) => setForm((prev) => ({ ...prev, department: e.target.value }))}
+              placeholder="Chosen by the member"
+              className="input"
+            />
+          </div>
+        </div>
+        <button type="submit" disabled={isSending} className="btn btn-primary">
+          <Send className="h-4 w-4 mr-2" />
+          {isSending ? 'Sending...' : 'Send Invitation'}
+        </button>
+      </form>
+
+      {/* Invitations list */}
+      <div>
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-lg font-medium text-gray-900">
+            Invitations ({invitations.length})
+          </h2>
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            className="text-sm border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+          >
+            <option value="">All</option>
+            <option value="pending">Pending</option>
+            <option value="accepted">Accepted</option>
+            <option value="expired">Expired</option>
+            <option value="revoked">Revoked</option>
+          </select>
+        </div>
+
+        <div className="bg-white shadow-sm border border-gray-200 rounded-lg overflow-hidden">
+          {isLoading ? (
+            <p className="p-6 text-sm text-gray-500">Loading invitations...</p>
+          ) : invitations.length === 0 ? (
+            <p className="p-6 text-sm text-gray-500">No invitations yet.</p>
+          ) : (
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Email</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Role</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Expires</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {invitations.map((invitation) => (
+                  <tr key={invitation.id} className="hover:bg-gray-50">
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="text-sm font-medium text-gray-900">{invitation.email}</div>
+                      <div className="text-xs text-gray-500">
+                        Invited by {invitation.invitedBy?.firstName} {invitation.invitedBy?.lastName}
+                        {invitation.department && ` · ${invitation.department}`}
+                      </div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                      {roleName(invitation.orgRole)}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`px-2 py-1 text-xs rounded-full capitalize ${STATUS_STYLES[invitation.status]}`}>
+                        {invitation.status}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {invitation.status === 'accepted'
+                        ? `Joined ${new Date(invitation.acceptedAt).toLocaleDateString()}`
+                        : new Date(invitation.expiresAt).toLocaleDateString()}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                      {(invitation.status === 'pending' || invitation.status === 'expired') && (
+                        <div className="flex justify-end gap-3">
+                          <button
+                            onClick={() => handleResend(invitation)}
+                            className="text-primary-600 hover:text-primary-900"
+                            title="Email a new link (the old one stops working)"
+                          >
+                            <RefreshCcw className="h-5 w-5" />
+                          </button>
+                          <button
+                            onClick={() => handleRevoke(invitation)}
+                            className="text-red-600 hover:text-red-900"
+                            title="Revoke"
+                          >
+                            <XCircle className="h-5 w-5" />
+                          </button>
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default OrgInvitations;
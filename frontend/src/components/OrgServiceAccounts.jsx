@@ -0,0 +1,286 @@
+/**
+ * =============================================================================
+ * ORG SERVICE ACCOUNTS - ACCOUNTS FOR INTEGRATIONS
+ * =============================================================================
+ *
+ * WHAT IS THIS FILE?
+ * The "Service Accounts" tab of the organization admin page.
+ *
+ * A service account is an organization-level account for a script or
+ * integration, so it doesn't stop working when the person who set it up
+ * leaves. It can't sign in - it only works through its API tokens.
+ *
+ * FEATURES:
+ * - Create a service account with a name and a role
+ * - Rename it or change its role (its tokens lose scopes the new role
+ *   doesn't have)
+ * - Create tokens with scopes from its role, revoke them
+ * - Delete it (all of its tokens stop working)
+ *
+ * =============================================================================
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { AlertCircle, Bot, CheckCircle, Edit2, Plus, Trash2 } from 'lucide-react';
+import api from '../services/api';
+import ApiTokens from './ApiTokens';
+
+const EMPTY_FORM = { name: '', orgRole: '' };
+
+const errorMessage = (err, fallback) =>
+  err.response?.data?.errors?.[0]?.message || err.response?.data?.message || fallback;
+
+function OrgServiceAccounts({ roles, availablePrivileges }) {
+  const [serviceAccounts, setServiceAccounts] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [isCreating, setIsCreating] = useState(false);
+  const [error, setError] = useState(null);
+  const [successMessage, setSuccessMessage] = useState('');
+
+  // Rename
+  const [editingId, setEditingId] = useState(null);
+  const [editName, setEditName] = useState('');
+
+  const fetchServiceAccounts = useCallback(async () => {
+    try {
+      const response = await api.get('/organizations/service-accounts');
+      if (response.success) {
+        setServiceAccounts(response.data);
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load service accounts.');
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchServiceAccounts();
+  }, [fetchServiceAccounts]);
+
+  /**
+   * Create a service account
+   */
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    try {
+      setIsCreating(true);
+      setError(null);
+      setSuccessMessage('');
+
+      const response = await api.post('/organizations/service-accounts', {
+        name: form.name.trim(),
+        orgRole: form.orgRole || undefined
+      });
+
+      if (response.success) {
+        setSuccessMessage(response.message);
+        setForm(EMPTY_FORM);
+        fetchServiceAccounts();
+      }
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to create the service account. Please try again.'));
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  /**
+   * Rename a service account or change its role
+   */
+  const handleUpdate = async (serviceAccount, updates) => {
+    try {
+      setError(null);
+      setSuccessMessage('');
+
+      const response = await api.patch(`/organizations/service-accounts/${serviceAccount.id}`, updates);
+
+      if (response.success) {
+        setSuccessMessage(response.message);
+        setEditingId(null);
+        fetchServiceAccounts();
+      }
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to update the service account.'));
+    }
+  };
+
+  /**
+   * Delete a service account
+   */
+  const handleDelete = async (serviceAccount) => {
+    if (!window.confirm(`Delete the service account "${serviceAccount.name}"? All of its tokens will stop working.`)) {
+      return;
+    }
+
+    try {
+      setError(null);
+      const response = await api.delete(`/organizations/service-accounts/${serviceAccount.id}`);
+
+      if (response.success) {
+        setSuccessMessage(response.message);
+        fetchServiceAccounts();
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to delete the service account.');
+    }
+  };
+
+  // A service account's tokens can only have privileges of its role
+  const rolePrivileges = (roleKey) => {
+    const keys = roles.find((role) => role.key === roleKey)?.privileges || [];
+    return availablePrivileges.filter((privilege) => keys.includes(privilege.key));
+  };
+
+  return (
+    <div className="space-y-6">
+      {error && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg flex items-start">
+          <AlertCircle className="h-5 w-5 text-red-500 mr-3 mt-0.5 flex-shrink-0" />
+          <p className="text-sm text-red-700">{error}</p>
+        </div>
+      )}
+
+      {successMessage && (
+        <div className="p-4 bg-green-50 border border-green-200 rounded-lg flex items-start">
+          <CheckCircle className="h-5 w-5 text-green-500 mr-3 mt-0.5 flex-shrink-0" />
+          <p className="text-sm text-green-700">{successMessage}</p>
+        </div>
+      )}
+
+      {/* Create form */}
+      <form onSubmit={handleCreate} className="bg-white shadow-sm border border-gray-200 rounded-lg p-6">
+        <h3 className="text-lg font-medium text-gray-900 mb-1">
+          <Bot className="inline h-5 w-5 mr-2" />
+          New Service Account
+        </h3>
+        <p className="text-sm text-gray-500 mb-4">
+          For scripts and integrations. Service accounts can't sign in and don't count towards the member limit.
+        </p>
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-4">
+          <div>
+            <label htmlFor="sa-name" className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+            <input
+              id="sa-name"
+              type="text"
+              required
+              maxLength={50}
+              value={form.name}
+              onChange={(e) => setForm((prev) => ({ ...prev, name: e.target.value }))}
+              placeholder="e.g. Confluence Sync"
+              className="input"
+            />
+          </div>
+          <div>
+            <label htmlFor="sa-role" className="block text-sm font-medium text-gray-700 mb-1">Role</label>
+            <select
+              id="sa-role"
+              value={form.orgRole}
+              onChange={(e) => setForm((prev) => ({ ...prev, orgRole: e.target.value }))}
+              className="input"
+            >
+              <option value="">Default role</option>
+              {roles.map((role) => (
+                <option key={role.key} value={role.key}>{role.name}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+        <button type="submit" disabled={isCreating} className="btn btn-primary">
+          <Plus className="h-4 w-4 mr-2" />
+          {isCreating ? 'Creating...' : 'Create Service Account'}
+        </button>
+      </form>
+
+      {/* Service accounts */}
+      <div>
+        <h2 className="text-lg font-medium text-gray-900 mb-4">
+          Service Accounts ({serviceAccounts.length})
+        </h2>
+
+        {isLoading ? (
+          <p className="text-sm text-gray-500">Loading service accounts...</p>
+        ) : serviceAccounts.length === 0 ? (
+          <div className="bg-white shadow-sm border border-gray-200 rounded-lg p-6">
+            <p className="text-sm text-gray-500">No service accounts yet.</p>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {serviceAccounts.map((serviceAccount) => (
+              <div key={serviceAccount.id} className="bg-white shadow-sm border border-gray-200 rounded-lg p-6">
+                <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+                  {editingId === serviceAccount.id ? (
+                    <form
+                      onSubmit={(e) => {
+                        e.preventDefault();
+                        handleUpdate(serviceAccount, { name: editName.trim() });
+                      }}
+                      className="flex items-center gap-2"
+                    >
+                      <input
+                        type="text"
+                        required
+                        maxLength={50}
+                        autoFocus
+                        value={editName}
+                        onChange={(e) => setEditName(e.target.value)}
+                        className="input"
+                      />
+                      <button type="submit" className="btn btn-primary text-sm">Save</button>
+                      <button type="button" onClick={() => setEditingId(null)} className="btn btn-secondary text-sm">
+                        Cancel
+                      </button>
+                    </form>
+                  ) : (
+                    <div className="flex items-center">
+                      <Bot className="h-5 w-5 text-gray-500 mr-2" />
+                      <h3 className="text-base font-medium text-gray-900">{serviceAccount.name}</h3>
+                      <button
+                        onClick={() => { setEditingId(serviceAccount.id); setEditName(serviceAccount.name); }}
+                        className="ml-2 text-gray-400 hover:text-gray-600"
+                        title="Rename"
+                      >
+                        <Edit2 className="h-4 w-4" />
+                      </button>
+                    </div>
+                  )}
+
+                  <div className="flex items-center gap-3">
+                    <select
+                      value={serviceAccount.orgRole}
+                      onChange={(e) => handleUpdate(serviceAccount, { orgRole: e.target.value })}
+                      className="text-sm border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+                      title="Role"
+                    >
+                      {roles.map((role) => (
+                        <option key={role.key} value={role.key}>{role.name}</option>
+                      ))}
+                    </select>
+                    <button
+                      onClick={() => handleDelete(serviceAccount)}
+                      className="text-red-600 hover:text-red-900"
+                      title="Delete service account"
+                    >
+                      <Trash2 className="h-5 w-5" />
+                    </button>
+                  </div>
+                </div>
+
+                <ApiTokens
+                  tokens={serviceAccount.tokens}
+                  privileges={rolePrivileges(serviceAccount.orgRole)}
+                  endpoint={`/organizations/service-accounts/${serviceAccount.id}/tokens`}
+                  onChange={fetchServiceAccounts}
+                />
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default OrgServiceAccounts;
@@ -0,0 +1,355 @@
+/**
+ * =============================================================================
+ * ORG SSO SETTINGS - SINGLE SIGN-ON CONFIGURATION
+ * =============================================================================
+ *
+ * WHAT IS THIS FILE?
+ * The "Single Sign-On" card of the organization admin page's settings tab.
+ *
+ * SETUP AT THE IDENTITY PROVIDER (Okta, Entra ID, Google, Keycloak, ...):
+ * 1. Create an OpenID Connect web application
+ * 2. Register the redirect URI shown in this card
+ * 3. Copy the issuer URL, client ID and client secret here
+ *
+ * FEATURES:
+ * - Issuer, client ID/secret (the secret is write-only) and scopes
+ * - Which claims hold the email, names, department and role
+ * - Role mapping: claim value (e.g. a group) → organization role
+ * - Turn password login off for everyone but the owner
+ *
+ * =============================================================================
+ */
+
+import { useState, useEffect } from 'react';
+import { AlertCircle, Check, CheckCircle, Copy, KeyRound, Plus, Trash2 } from 'lucide-react';
+import api from '../services/api';
+
+const CLAIM_FIELDS = [
+  { key: 'email', label: 'Email', placeholder: 'email' },
+  { key: 'firstName', label: 'First name', placeholder: 'given_name' },
+  { key: 'lastName', label: 'Last name', placeholder: 'family_name' },
+  { key: 'department', label: 'Department', placeholder: 'Not used' },
+  { key: 'role', label: 'Role', placeholder: 'Not used (e.g. groups)' }
+];
+
+function OrgSsoSettings({ roles }) {
+  const [settings, setSettings] = useState(null);
+  const [clientSecret, setClientSecret] = useState('');
+  const [roleMapping, setRoleMapping] = useState([]); // [{ value, role }]
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [successMessage, setSuccessMessage] = useState('');
+  const [uriCopied, setUriCopied] = useState(false);
+
+  const applySettings = (data) => {
+    setSettings(data);
+    setRoleMapping(Object.entries(data.roleMapping || {}).map(([value, role]) => ({ value, role })));
+    setClientSecret('');
+  };
+
+  useEffect(() => {
+    const fetchSettings = async () => {
+      try {
+        const response = await api.get('/organizations/sso');
+        if (response.success) {
+          applySettings(response.data);
+        }
+      } catch (err) {
+        setError(err.response?.data?.message || 'Failed to load single sign-on settings.');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchSettings();
+  }, []);
+
+  const updateField = (field, value) => {
+    setSettings((prev) => ({ ...prev, [field]: value }));
+    setSuccessMessage('');
+  };
+
+  const updateClaim = (field, value) => {
+    setSettings((prev) => ({ ...prev, claims: { ...prev.claims, [field]: value } }));
+    setSuccessMessage('');
+  };
+
+  const updateMapping = (index, field, value) => {
+    setRoleMapping((prev) => prev.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+  };
+
+  /**
+   * Save the settings
+   *
+   * Enabling SSO makes the server load the issuer's discovery document,
+   * so a wrong issuer URL is reported here rather than at the next login.
+   */
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    try {
+      setIsSaving(true);
+      setError(null);
+      setSuccessMessage('');
+
+      const response = await api.patch('/organizations/sso', {
+        enabled: settings.enabled,
+        issuer: settings.issuer.trim(),
+        clientId: settings.clientId.trim(),
+        ...(clientSecret ? { clientSecret } : {}),
+        scopes: settings.scopes.trim(),
+        claims: settings.claims,
+        roleMapping: Object.fromEntries(
+          roleMapping
+            .filter((row) => row.value.trim() && row.role)
+            .map((row) => [row.value.trim(), row.role])
+        ),
+        syncRoleOnLogin: settings.syncRoleOnLogin,
+        passwordLoginDisabled: settings.enabled && settings.passwordLoginDisabled
+      });
+
+      if (response.success) {
+        applySettings(response.data);
+        setSuccessMessage(response.message || 'Single sign-on settings saved.');
+      }
+    } catch (err) {
+      setError(
+        err.response?.data?.errors?.[0]?.message
+        || err.response?.data?.message
+        || 'Failed to save single sign-on settings.'
+      );
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const copyRedirectUri = async () => {
+    try {
+      await navigator.clipboard.writeText(settings.redirectUri);
+      setUriCopied(true);
+      setTimeout(() => setUriCopied(false), 2000);
+    } catch {
+      setError('Could not copy the URL - select it and copy it manually.');
+    }
+  };
+
+  return (
+    <div className="bg-white shadow-sm border border-gray-200 rounded-lg p-6">
+      <h3 className="text-lg font-medium text-gray-900 mb-4">
+        <KeyRound className="inline h-5 w-5 mr-2" />
+        Single Sign-On (OpenID Connect)
+      </h3>
+      <p className="text-sm text-gray-600 mb-4">
+        Let members sign in with your company&apos;s identity provider. New members get an
+        account on their first sign-in, with the default role or the role mapped below.
+      </p>
+
+      {error && (
+        <div className="mb-4 p-4 bg-red-50 border border-red-200 rounded-lg flex items-start">
+          <AlertCircle className="h-5 w-5 text-red-500 mr-3 mt-0.5 flex-shrink-0" />
+          <p className="text-sm text-red-700">{error}</p>
+        </div>
+      )}
+
+      {successMessage && (
+        <div className="mb-4 p-4 bg-green-50 border border-green-200 rounded-lg flex items-start">
+          <CheckCircle className="h-5 w-5 text-green-500 mr-3 mt-0.5 flex-shrink-0" />
+          <p className="text-sm text-green-700">{successMessage}</p>
+        </div>
+      )}
+
+      {isLoading ? (
+        <p className="text-sm text-gray-500">Loading...</p>
+      ) : settings && (
+        <form onSubmit={handleSave} className="space-y-5">
+          {/* Redirect URI to register at the provider */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Redirect URI</label>
+            <div className="bg-gray-50 border border-gray-200 rounded-md p-3 flex items-center justify-between">
+              <code className="text-sm font-mono text-gray-900 break-all">{settings.redirectUri}</code>
+              <button
+                type="button"
+                onClick={copyRedirectUri}
+                className="ml-4 p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-md transition-colors flex-shrink-0"
+                title="Copy redirect URI"
+              >
+                {uriCopied ? <Check className="h-5 w-5 text-green-600" /> : <Copy className="h-5 w-5" />}
+              </button>
+            </div>
+            <p className="mt-1 text-xs text-gray-500">Register this URL in your identity provider&apos;s application.</p>
+          </div>
+
+          {/* Provider */}
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div className="sm:col-span-2">
+              <label htmlFor="sso-issuer" className="block text-sm font-medium text-gray-700 mb-1">Issuer URL</label>
+              <input
+                id="sso-issuer"
+                type="url"
+                value={settings.issuer}
+                onChange={(e) => updateField('issuer', e.target.value)}
+                placeholder="https://login.example.com"
+                className="input"
+              />
+            </div>
+            <div>
+              <label htmlFor="sso-client-id" className="block text-sm font-medium text-gray-700 mb-1">Client ID</label>
+              <input
+                id="sso-client-id"
+                type="text"
+                value={settings.clientId}
+                onChange={(e) => updateField('clientId', e.target.value)}
+                className="input"
+              />
+            </div>
+            <div>
+              <label htmlFor="sso-client-secret" className="block text-sm font-medium text-gray-700 mb-1">Client secret</label>
+              <input
+                id="sso-client-secret"
+                type="password"
+                autoComplete="new-password"
+                value={clientSecret}
+                onChange={(e) => setClientSecret(e.target.value)}
+                placeholder={settings.hasClientSecret ? 'Saved - leave empty to keep' : 'Not set'}
+                className="input"
+              />
+            </div>
+            <div className="sm:col-span-2">
+              <label htmlFor="sso-scopes" className="block text-sm font-medium text-gray-700 mb-1">Scopes</label>
+              <input
+                id="sso-scopes"
+                type="text"
+                value={settings.scopes}
+                onChange={(e) => updateField('scopes', e.target.value)}
+                className="input"
+              />
+            </div>
+          </div>
+
+          {/* Claim mapping */}
+          <div>
+            <h4 className="text-sm font-medium text-gray-900 mb-2">Claims</h4>
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+              {CLAIM_FIELDS.map((field) => (
+                <div key={field.key}>
+                  <label htmlFor={`sso-claim-${field.key}`} className="block text-xs font-medium text-gray-600 mb-1">
+                    {field.label}
+                  </label>
+                  <input
+                    id={`sso-claim-${field.key}`}
+                    type="text"
+                    value={settings.claims[field.key]}
+                    onChange={(e) => updateClaim(field.key, e.target.value)}
+                    placeholder={field.placeholder}
+                    className="input"
+                  />
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {/* Role mapping */}
+          <div>
+            <h4 className="text-sm font-medium text-gray-900 mb-1">Role mapping</h4>
+            <p className="text-xs text-gray-500 mb-2">
+              Values of the role claim (e.g. a group name) and the role they give. Values
+              matching a role key are used directly; anything else gets the default role.
+            </p>
+            <div className="space-y-2">
+              {roleMapping.map((row, index) => (
+                <div key={index} className="flex items-center gap-2">
+                  <input
+                    type="text"
+                    value={row.value}
+                    onChange={(e) => updateMapping(index, 'value', e.target.value)}
+                    placeholder="Claim value"
+                    className="input"
+                  />
+                  <select
+                    value={row.role}
+                    onChange={(e) => updateMapping(index, 'role', e.target.value)}
+                    className="input"
+                  >
+                    <option value="">Select role</option>
+                    {roles.map((role) => (
+                      <option key={role.key} value={role.key}>{role.name}</option>
+                    ))}
+                  </select>
+                  <button
+                    type="button"
+                    onClick={() => setRoleMapping((prev) => prev.filter((_, i) => i !== index))}
+                    className="p-2 text-red-600 hover:text-red-900 flex-shrink-0"
+                    title="Remove"
+                  >
+                    <Trash2 className="h-5 w-5" />
+                  </button>
+                </div>
+              ))}
+            </div>
+            <button
+              type="button"
+              onClick={() => setRoleMapping((prev) => [...prev, { value: '', role: '' }])}
+              className="mt-2 inline-flex items-center text-sm text-primary-600 hover:text-primary-800"
+            >
+              <Plus className="h-4 w-4 mr-1" />
+              Add mapping
+            </button>
+          </div>
+
+          <label className="flex items-center justify-between gap-4 p-3 bg-gray-50 rounded-lg">
+            <span>
+              <span className="block text-sm font-medium text-gray-900">Update roles at every login</span>
+              <span className="block text-xs text-gray-500">
+                Off: the role mapping only sets the role of new members. On: roles follow the identity
+                provider at each login. The organization owner's role never changes.
+              </span>
+            </span>
+            <input
+              type="checkbox"
+              checked={settings.syncRoleOnLogin}
+              onChange={(e) => updateField('syncRoleOnLogin', e.target.checked)}
+              className="h-5 w-5 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+            />
+          </label>
+
+          {/* Switches */}
+          <label className="flex items-center justify-between gap-4 p-3 bg-gray-50 rounded-lg">
+            <span>
+              <span className="block text-sm font-medium text-gray-900">Enable single sign-on</span>
+              <span className="block text-xs text-gray-500">Shows &quot;Sign in with SSO&quot; for your organization.</span>
+            </span>
+            <input
+              type="checkbox"
+              checked={settings.enabled}
+              onChange={(e) => updateField('enabled', e.target.checked)}
+              className="h-5 w-5 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+            />
+          </label>
+
+          <label className="flex items-center justify-between gap-4 p-3 bg-gray-50 rounded-lg">
+            <span>
+              <span className="block text-sm font-medium text-gray-900">Disable password login</span>
+              <span className="block text-xs text-gray-500">
+                Members must use single sign-on. The organization owner can still use a password.
+              </span>
+            </span>
+            <input
+              type="checkbox"
+              checked={settings.enabled && settings.passwordLoginDisabled}
+              onChange={(e) => updateField('passwordLoginDisabled', e.target.checked)}
+              disabled={!settings.enabled}
+              className="h-5 w-5 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+            />
+          </label>
+
+          <button type="submit" disabled={isSaving} className="btn btn-primary">
+            {isSaving ? 'Saving...' : 'Save SSO Settings'}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default OrgSsoSettings;
@@ -0,0 +1,106 @@
+/**
+ * =============================================================================
+ * PDF VIEWER - EMBEDDED PDF OPENED AT A PAGE
+ * =============================================================================
+ *
+ * WHAT IS THIS FILE?
+ * Shows a PDF document inside the document page, opened at a given page.
+ * Citations ("p. 12–13") and search snippets link to
+ * /documents/:id?page=12, which opens this viewer.
+ *
+ * HOW:
+ * The browser's own PDF viewer in an iframe. It understands "#page=12"
+ * at the end of the URL. The file comes from a short-lived signed URL
+ * (api.download), so a fresh one is requested whenever the page changes.
+ *
+ * PROPS:
+ * - documentId: Document to show
+ * - page: Page number (1-based)
+ * - onClose(): Hide the viewer
+ *
+ * =============================================================================
+ */
+
+import { useEffect, useRef, useState } from 'react';
+import { AlertCircle, ExternalLink, FileText, X } from 'lucide-react';
+import api from '../services/api';
+
+function PdfViewer({ documentId, page, onClose }) {
+  const [url, setUrl] = useState(null);
+  const [error, setError] = useState('');
+  const panelRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    setUrl(null);
+    setError('');
+    api.download(`/documents/${documentId}/download`, 'inline')
+      .then((signedUrl) => {
+        if (!cancelled) setUrl(signedUrl);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.response?.data?.message || 'Failed to open the PDF.');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [documentId, page]);
+
+  useEffect(() => {
+    panelRef.current?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }, []);
+
+  const pageUrl = url ? `${url}#page=${page}` : null;
+
+  return (
+    <div ref={panelRef} className="bg-white border border-gray-200 rounded-lg overflow-hidden">
+      <div className="flex items-center justify-between px-4 py-3 border-b border-gray-100">
+        <span className="flex items-center text-sm font-medium text-gray-900">
+          <FileText className="h-4 w-4 mr-2 text-gray-400" />
+          Page {page}
+        </span>
+        <div className="flex items-center gap-1">
+          {pageUrl && (
+            <a
+              href={pageUrl}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="p-1 rounded text-gray-500 hover:text-gray-900 hover:bg-gray-100"
+              title="Open in a new tab"
+            >
+              <ExternalLink className="h-4 w-4" />
+            </a>
+          )}
+          <button
+            type="button"
+            onClick={onClose}
+            className="p-1 rounded text-gray-500 hover:text-gray-900 hover:bg-gray-100"
+            title="Close viewer"
+          >
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+      </div>
+
+      {error ? (
+        <div className="p-4 flex items-start">
+          <AlertCircle className="h-5 w-5 text-red-500 mr-3 mt-0.5" />
+          <p className="text-sm text-red-700">{error}</p>
+        </div>
+      ) : pageUrl ? (
+        <iframe
+          key={pageUrl}
+          src={pageUrl}
+          title={`PDF page ${page}`}
+          className="w-full h-[75vh] bg-gray-100"
+        />
+      ) : (
+        <div className="h-[75vh] animate-pulse bg-gray-100" />
+      )}
+    </div>
+  );
+}
+
+export default PdfViewer;
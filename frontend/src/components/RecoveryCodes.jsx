@@ -0,0 +1,72 @@
+/**
+ * =============================================================================
+ * RECOVERY CODES - SHOW TWO-FACTOR RECOVERY CODES ONCE
+ * =============================================================================
+ *
+ * WHAT IS THIS FILE?
+ * Lists the one-time recovery codes created when two-factor
+ * authentication is turned on (or the codes are regenerated).
+ *
+ * Each code signs in once without the authenticator app. The server only
+ * keeps hashes - this is the only time the user sees them, so they can
+ * copy or download them.
+ *
+ * USED BY: TwoFactorSettings (ProfilePage), TwoFactorChallenge (LoginPage)
+ *
+ * =============================================================================
+ */
+
+import { useState } from 'react';
+import { Check, Copy, Download, LifeBuoy } from 'lucide-react';
+
+function RecoveryCodes({ codes }) {
+  const [copied, setCopied] = useState(false);
+
+  const text = codes.join('\n');
+
+  const copyCodes = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch {
+      // Clipboard blocked - the codes stay selectable
+    }
+  };
+
+  const downloadCodes = () => {
+    const url = URL.createObjectURL(new Blob([`${text}\n`], { type: 'text/plain' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'aiksp-recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4">
+      <p className="text-sm text-yellow-800 mb-3">
+        <LifeBuoy className="inline h-4 w-4 mr-1" />
+        <strong>Save your recovery codes.</strong> Each one signs you in once if you lose your
+        authenticator app. They won&apos;t be shown again.
+      </p>
+      <div className="bg-white border border-yellow-300 rounded-md p-3 grid grid-cols-2 gap-2 mb-3">
+        {codes.map((code) => (
+          <code key={code} className="text-sm font-mono text-gray-900">{code}</code>
+        ))}
+      </div>
+      <div className="flex gap-2">
+        <button type="button" onClick={copyCodes} className="btn btn-secondary">
+          {copied ? <Check className="h-4 w-4 mr-2 text-green-600" /> : <Copy className="h-4 w-4 mr-2" />}
+          {copied ? 'Copied' : 'Copy'}
+        </button>
+        <button type="button" onClick={downloadCodes} className="btn btn-secondary">
+          <Download className="h-4 w-4 mr-2" />
+          Download
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default RecoveryCodes;
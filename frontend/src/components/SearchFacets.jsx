@@ -0,0 +1,180 @@
+/**
+ * =============================================================================
+ * SEARCH FACETS - FILTER SIDEBAR WITH COUNTS
+ * =============================================================================
+ *
+ * WHAT IS THIS FILE?
+ * The filter sidebar next to search results. Every dimension lists its
+ * values with the number of matching documents, as returned by
+ * GET /api/search (data.facets).
+ *
+ * HOW COUNTS BEHAVE:
+ * A dimension's counts apply all *other* selected filters, so ticking
+ * "Policy" still shows how many procedures there are - ticking both
+ * shows policies OR procedures. Tags are the exception: documents must
+ * have every ticked tag.
+ *
+ * PROPS:
+ * - facets: { category: [{ value, count, label? }], ... }
+ * - selected: { category: [], tags: [], ..., uploadedBy: '', uploaded: '' }
+ * - onToggle(dimension, value): Tick / untick a value
+ * - onClear(): Remove all filters
+ *
+ * =============================================================================
+ */
+
+import { useState } from 'react';
+import { X } from 'lucide-react';
+
+// Sidebar sections, in display order
+// multiple: several values can be ticked (OR), otherwise picking replaces
+const DIMENSIONS = [
+  { key: 'category', title: 'Category', multiple: true },
+  { key: 'fileType', title: 'File type', multiple: true },
+  { key: 'tags', title: 'Tags', multiple: true },
+  { key: 'department', title: 'Department', multiple: true },
+  { key: 'accessLevel', title: 'Access', multiple: true },
+  { key: 'uploadedBy', title: 'Uploaded by', multiple: false },
+  { key: 'collection', title: 'Collection', multiple: false },
+  { key: 'uploaded', title: 'Uploaded', multiple: false },
+];
+
+const VALUE_LABELS = {
+  fileType: {
+    'application/pdf': 'PDF',
+    'application/msword': 'Word (.doc)',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'Word',
+    'text/plain': 'Text',
+    'text/markdown': 'Markdown',
+    'text/html': 'HTML',
+    'text/csv': 'CSV',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'Excel',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'PowerPoint',
+    'application/rtf': 'RTF',
+    'application/json': 'JSON',
+    'message/rfc822': 'Email',
+    'application/mbox': 'Mailbox',
+  },
+  accessLevel: {
+    public: 'Everyone',
+    department: 'Department',
+    private: 'Only me',
+  },
+  uploaded: {
+    '7d': 'Past week',
+    '30d': 'Past month',
+    '365d': 'Past year',
+  },
+};
+
+// Values shown before "Show more"
+const COLLAPSED_COUNT = 6;
+
+const labelFor = (dimension, item) =>
+  item.label || VALUE_LABELS[dimension]?.[item.value] || item.value;
+
+/**
+ * isSelected - Works for list (multiple) and single-value dimensions
+ */
+const isSelected = (selected, dimension, value) => {
+  const current = selected[dimension];
+  return Array.isArray(current) ? current.includes(value) : current === value;
+};
+
+/**
+ * hasAnySelection - Whether any filter is active
+ */
+export const hasAnySelection = (selected) =>
+  Object.values(selected).some((value) => (Array.isArray(value) ? value.length > 0 : Boolean(value)));
+
+function FacetSection({ dimension, title, multiple, items, selected, onToggle }) {
+  const [expanded, setExpanded] = useState(false);
+
+  // Ticked values stay visible even when they have no matches any more
+  const selectedValues = [].concat(selected[dimension] || []);
+  const missing = selectedValues
+    .filter((value) => !items.some((item) => String(item.value) === String(value)))
+    .map((value) => ({ value, count: 0 }));
+  const all = [...items, ...missing];
+
+  if (all.length === 0) return null;
+
+  const visible = expanded ? all : all.slice(0, COLLAPSED_COUNT);
+
+  return (
+    <div className="py-4 border-b border-gray-100 last:border-b-0">
+      <h3 className="text-xs font-semibold text-gray-500 uppercase tracking-wide mb-2">{title}</h3>
+      <ul className="space-y-1">
+        {visible.map((item) => {
+          const checked = isSelected(selected, dimension, String(item.value));
+
+          return (
+            <li key={item.value}>
+              <label className="flex items-center text-sm text-gray-700 cursor-pointer hover:text-gray-900">
+                <input
+                  type={multiple ? 'checkbox' : 'radio'}
+                  name={`facet-${dimension}`}
+                  checked={checked}
+                  onChange={() => onToggle(dimension, String(item.value))}
+                  // A ticked radio can't be unticked with onChange - allow it with a click
+                  onClick={() => {
+                    if (!multiple && checked) onToggle(dimension, String(item.value));
+                  }}
+                  className="h-4 w-4 mr-2 text-primary-600 border-gray-300 rounded focus:ring-primary-500"
+                />
+                <span className="truncate">{labelFor(dimension, item)}</span>
+                <span className={`ml-auto pl-2 text-xs ${item.count === 0 ? 'text-gray-300' : 'text-gray-400'}`}>
+                  {item.count}
+                </span>
+              </label>
+            </li>
+          );
+        })}
+      </ul>
+      {all.length > COLLAPSED_COUNT && (
+        <button
+          type="button"
+          onClick={() => setExpanded(!expanded)}
+          className="mt-2 text-xs font-medium text-primary-600 hover:text-primary-500"
+        >
+          {expanded ? 'Show less' : `Show ${all.length - COLLAPSED_COUNT} more`}
+        </button>
+      )}
+    </div>
+  );
+}
+
+function SearchFacets({ facets, selected, onToggle, onClear }) {
+  if (!facets) return null;
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 px-4">
+      <div className="flex items-center justify-between pt-4">
+        <h2 className="text-sm font-medium text-gray-900">Filters</h2>
+        {hasAnySelection(selected) && (
+          <button
+            type="button"
+            onClick={onClear}
+            className="flex items-center text-xs text-gray-500 hover:text-gray-700"
+          >
+            <X className="h-3 w-3 mr-1" />
+            Clear all
+          </button>
+        )}
+      </div>
+      {DIMENSIONS.map(({ key, title, multiple }) => (
+        <FacetSection
+          key={key}
+          dimension={key}
+          title={title}
+          multiple={multiple}
+          items={(facets[key] || []).filter((item) => item.count > 0 || isSelected(selected, key, String(item.value)))}
+          selected={selected}
+          onToggle={onToggle}
+        />
+      ))}
+    </div>
+  );
+}
+
+export default SearchFacets;
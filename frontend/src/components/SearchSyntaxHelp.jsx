@@ -0,0 +1,96 @@
+/**
+ * =============================================================================
+ * SEARCH SYNTAX HELP - POPOVER EXPLAINING ADVANCED SEARCH
+ * =============================================================================
+ *
+ * WHAT IS THIS FILE?
+ * A "Search syntax" button next to the search box. Opens a popover with
+ * the operators understood by GET /api/search (see the backend's
+ * utils/searchQuery.js). Clicking an example puts it in the search box.
+ *
+ * PROPS:
+ * - onExample(query): Called with the clicked example
+ *
+ * =============================================================================
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { HelpCircle } from 'lucide-react';
+
+const EXAMPLES = [
+  { syntax: 'vacation policy', description: 'Any of the words, best matches first' },
+  { syntax: '"carry over"', description: 'Exact phrase' },
+  { syntax: 'expenses -draft', description: 'Exclude a word (or NOT draft)' },
+  { syntax: 'travel OR mileage', description: 'Either word' },
+  { syntax: '(tag:travel OR tag:expenses) receipts', description: 'Group with parentheses' },
+  { syntax: 'title:"expense policy"', description: 'Words in the title' },
+  { syntax: 'category:finance', description: 'Category (policy, hr, finance, ...)' },
+  { syntax: 'tag:travel', description: 'Documents with a tag' },
+  { syntax: 'department:engineering', description: 'Department' },
+  { syntax: 'uploader:me', description: 'Uploaded by you, a name or an email' },
+  { syntax: 'date:2024-01..2024-03', description: 'Uploaded in a period (also date:2024, date:>2024-06)' },
+];
+
+function SearchSyntaxHelp({ onExample }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  // Close when clicking anywhere else
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    const handleClick = (e) => {
+      if (!containerRef.current?.contains(e.target)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [isOpen]);
+
+  return (
+    <div ref={containerRef} className="relative">
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        className="flex items-center text-sm text-gray-600 hover:text-gray-900"
+        aria-expanded={isOpen}
+      >
+        <HelpCircle className="h-4 w-4 mr-1" />
+        Search syntax
+      </button>
+
+      {isOpen && (
+        <div className="absolute left-0 mt-2 w-[28rem] max-w-[90vw] bg-white border border-gray-200 rounded-xl shadow-lg z-50">
+          <div className="p-3 border-b border-gray-100 text-xs font-semibold text-gray-500 uppercase tracking-wide">
+            Advanced search
+          </div>
+          <ul className="p-2">
+            {EXAMPLES.map((example) => (
+              <li key={example.syntax}>
+                <button
+                  type="button"
+                  onClick={() => {
+                    onExample(example.syntax);
+                    setIsOpen(false);
+                  }}
+                  className="w-full flex items-baseline gap-3 px-2 py-1.5 rounded text-left hover:bg-gray-50"
+                >
+                  <code className="flex-shrink-0 text-xs text-primary-700 bg-primary-50 rounded px-1.5 py-0.5">
+                    {example.syntax}
+                  </code>
+                  <span className="text-xs text-gray-500">{example.description}</span>
+                </button>
+              </li>
+            ))}
+          </ul>
+          <p className="px-4 pb-3 text-xs text-gray-400">
+            AND, OR and NOT must be written in capitals. Phrases and field filters must all match; plain words rank the results.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SearchSyntaxHelp;
@@ -0,0 +1,183 @@
+/**
+ * =============================================================================
+ * TWO-FACTOR CHALLENGE - SECOND LOGIN STEP
+ * =============================================================================
+ *
+ * WHAT IS THIS FILE?
+ * Shown by the login page after a correct password (and by the SSO
+ * callback page after a single sign-on) when the account uses two-factor
+ * authentication.
+ *
+ * TWO CASES:
+ * - 2FA on: enter the 6-digit code from the authenticator app, or one of
+ *   the recovery codes
+ * - Organization requires 2FA, not set up yet: scan the QR code, enter a
+ *   code from the app, then save the recovery codes
+ *
+ * PROPS:
+ * - challenge: { twoFactorToken, setupRequired } from login() or loginWithSso()
+ * - onComplete: Called once signed in (and recovery codes were seen)
+ * - onCancel: Back to the password form
+ *
+ * =============================================================================
+ */
+
+import { useState, useEffect } from 'react';
+import { AlertCircle, ArrowRight, ShieldCheck } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+import api from '../services/api';
+import RecoveryCodes from './RecoveryCodes';
+
+function TwoFactorChallenge({ challenge, onComplete, onCancel }) {
+  const { verifyTwoFactor } = useAuth();
+
+  const [code, setCode] = useState('');
+  const [useRecovery, setUseRecovery] = useState(false);
+  const [error, setError] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // Setup required by the organization
+  const [setup, setSetup] = useState(null); // { secret, otpauthUrl, qrCode }
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+
+  useEffect(() => {
+    if (!challenge.setupRequired) return;
+
+    const fetchSetup = async () => {
+      try {
+        const response = await api.post('/auth/2fa/setup/challenge', {
+          twoFactorToken: challenge.twoFactorToken
+        });
+        if (response.success) {
+          setSetup(response.data);
+        }
+      } catch (err) {
+        setError(err.response?.data?.message || 'Could not start the authenticator setup. Please sign in again.');
+      }
+    };
+
+    fetchSetup();
+  }, [challenge]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    const value = code.trim();
+    if (!value) {
+      setError(useRecovery ? 'Please enter a recovery code' : 'Please enter the 6-digit code');
+      return;
+    }
+
+    setIsSubmitting(true);
+
+    const result = await verifyTwoFactor(
+      challenge.twoFactorToken,
+      useRecovery ? { recoveryCode: value } : { code: value }
+    );
+
+    setIsSubmitting(false);
+
+    if (!result.success) {
+      setError(result.error || 'Verification failed. Please try again.');
+      setCode('');
+      return;
+    }
+
+    // Just set up: show the recovery codes before leaving
+    if (result.recoveryCodes) {
+      setRecoveryCodes(result.recoveryCodes);
+      return;
+    }
+
+    onComplete();
+  };
+
+  if (recoveryCodes) {
+    return (
+      <div className="space-y-6">
+        <RecoveryCodes codes={recoveryCodes} />
+        <button type="button" onClick={onComplete} className="btn btn-primary w-full group">
+          Continue
+          <ArrowRight className="ml-2 h-4 w-4 group-hover:translate-x-1 transition-transform" />
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <form className="space-y-6" onSubmit={handleSubmit}>
+      <div className="flex items-start">
+        <ShieldCheck className="h-6 w-6 text-primary-600 mr-3 flex-shrink-0" />
+        <p className="text-sm text-gray-700">
+          {challenge.setupRequired
+            ? 'Your organization requires two-factor authentication. Scan the QR code with an authenticator app, then enter the code it shows.'
+            : useRecovery
+              ? 'Enter one of your recovery codes.'
+              : 'Enter the 6-digit code from your authenticator app.'}
+        </p>
+      </div>
+
+      {error && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg flex items-start">
+          <AlertCircle className="h-5 w-5 text-red-500 mr-3 mt-0.5 flex-shrink-0" />
+          <p className="text-sm text-red-700">{error}</p>
+        </div>
+      )}
+
+      {setup && (
+        <div className="text-center">
+          <img src={setup.qrCode} alt="QR code for your authenticator app" className="mx-auto h-48 w-48" />
+          <p className="mt-2 text-xs text-gray-500">Can&apos;t scan? Enter this key in the app:</p>
+          <code className="text-sm font-mono text-gray-900 break-all">{setup.secret}</code>
+        </div>
+      )}
+
+      <div>
+        <label htmlFor="two-factor-code" className="block text-sm font-medium text-gray-700">
+          {useRecovery ? 'Recovery code' : 'Authentication code'}
+        </label>
+        <input
+          id="two-factor-code"
+          type="text"
+          inputMode={useRecovery ? 'text' : 'numeric'}
+          autoComplete="one-time-code"
+          autoFocus
+          maxLength={useRecovery ? 11 : 6}
+          value={code}
+          onChange={(e) => {
+            setCode(e.target.value);
+            if (error) setError('');
+          }}
+          className="input mt-1 text-center tracking-widest font-mono"
+          placeholder={useRecovery ? 'xxxxx-xxxxx' : '123456'}
+        />
+      </div>
+
+      <button type="submit" disabled={isSubmitting || (challenge.setupRequired && !setup)} className="btn btn-primary w-full">
+        {isSubmitting ? 'Verifying...' : 'Verify'}
+      </button>
+
+      <div className="flex justify-between text-sm">
+        <button type="button" onClick={onCancel} className="font-medium text-gray-600 hover:text-gray-500">
+          Back
+        </button>
+        {!challenge.setupRequired && (
+          <button
+            type="button"
+            onClick={() => {
+              setUseRecovery(!useRecovery);
+              setCode('');
+              setError('');
+            }}
+            className="font-medium text-primary-600 hover:text-primary-500"
+          >
+            {useRecovery ? 'Use authenticator app' : 'Use a recovery code'}
+          </button>
+        )}
+      </div>
+    </form>
+  );
+}
+
+export default TwoFactorChallenge;
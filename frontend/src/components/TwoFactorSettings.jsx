@@ -0,0 +1,255 @@
+/**
+ * =============================================================================
+ * TWO-FACTOR SETTINGS - AUTHENTICATOR APP ON THE PROFILE PAGE
+ * =============================================================================
+ *
+ * WHAT IS THIS FILE?
+ * The "Two-Factor Authentication" card of the profile page.
+ *
+ * FLOWS:
+ * - Turn on: scan the QR code → enter a code from the app → save the
+ *   recovery codes
+ * - New recovery codes: enter a code → the old ones stop working
+ * - Turn off: password + code (not possible when the organization
+ *   requires 2FA)
+ *
+ * =============================================================================
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { AlertCircle, CheckCircle, ShieldCheck, ShieldOff, Smartphone } from 'lucide-react';
+import api from '../services/api';
+import RecoveryCodes from './RecoveryCodes';
+
+const errorMessage = (err, fallback) =>
+  err.response?.data?.errors?.[0]?.message || err.response?.data?.message || fallback;
+
+function TwoFactorSettings() {
+  const [status, setStatus] = useState(null); // { enabled, enabledAt, recoveryCodesLeft, required }
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  // Which form is open: null | 'setup' | 'regenerate' | 'disable'
+  const [mode, setMode] = useState(null);
+  const [setup, setSetup] = useState(null); // { secret, otpauthUrl, qrCode }
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const fetchStatus = useCallback(async () => {
+    try {
+      const response = await api.get('/auth/2fa');
+      setStatus(response.data);
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to load two-factor settings'));
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchStatus();
+  }, [fetchStatus]);
+
+  const openForm = (nextMode) => {
+    setMode(nextMode);
+    setCode('');
+    setPassword('');
+    setError('');
+    setSuccess('');
+    setRecoveryCodes(null);
+  };
+
+  const closeForm = () => {
+    setMode(null);
+    setSetup(null);
+    setCode('');
+    setPassword('');
+  };
+
+  const handleStartSetup = async () => {
+    openForm('setup');
+    try {
+      const response = await api.post('/auth/2fa/setup');
+      setSetup(response.data);
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to start the setup'));
+      setMode(null);
+    }
+  };
+
+  /**
+   * Submit the open form
+   *
+   * All three need a current code from the app; turning 2FA off also
+   * asks for the password.
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setIsSubmitting(true);
+
+    try {
+      let response;
+      if (mode === 'setup') {
+        response = await api.post('/auth/2fa/enable', { code: code.trim() });
+      } else if (mode === 'regenerate') {
+        response = await api.post('/auth/2fa/recovery-codes', { code: code.trim() });
+      } else {
+        response = await api.post('/auth/2fa/disable', { password, code: code.trim() });
+      }
+
+      setSuccess(response.message);
+      setRecoveryCodes(response.data?.recoveryCodes || null);
+      closeForm();
+      fetchStatus();
+    } catch (err) {
+      setError(errorMessage(err, 'Verification failed'));
+      setCode('');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-xl border border-gray-200 p-6">
+      <div className="flex items-center justify-between mb-6">
+        <h2 className="text-lg font-medium text-gray-900">Two-Factor Authentication</h2>
+        {status && (
+          <span className={`px-2 py-0.5 text-xs font-medium rounded-full ${
+            status.enabled ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-600'
+          }`}>
+            {status.enabled ? 'On' : 'Off'}
+          </span>
+        )}
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg flex items-center">
+          <AlertCircle className="h-4 w-4 text-red-500 mr-2" />
+          <p className="text-sm text-red-700">{error}</p>
+        </div>
+      )}
+
+      {success && (
+        <div className="mb-4 p-3 bg-green-50 border border-green-200 rounded-lg flex items-center">
+          <CheckCircle className="h-4 w-4 text-green-500 mr-2" />
+          <p className="text-sm text-green-700">{success}</p>
+        </div>
+      )}
+
+      {recoveryCodes && (
+        <div className="mb-4">
+          <RecoveryCodes codes={recoveryCodes} />
+        </div>
+      )}
+
+      {isLoading ? (
+        <div className="h-12 bg-gray-100 rounded-lg animate-pulse" />
+      ) : status && (
+        <>
+          {!mode && (
+            <div className="space-y-4">
+              <p className="text-sm text-gray-600">
+                {status.enabled
+                  ? `Sign-ins ask for a code from your authenticator app. ${status.recoveryCodesLeft} recovery code${status.recoveryCodesLeft === 1 ? '' : 's'} left.`
+                  : 'Add a second step to sign-in: a 6-digit code from an authenticator app such as Google Authenticator, Authy or 1Password.'}
+              </p>
+              {status.required && (
+                <p className="text-xs text-gray-500">Your organization requires two-factor authentication.</p>
+              )}
+
+              {status.enabled ? (
+                <div className="flex gap-2">
+                  <button onClick={() => openForm('regenerate')} className="btn btn-secondary">
+                    New recovery codes
+                  </button>
+                  {!status.required && (
+                    <button onClick={() => openForm('disable')} className="btn btn-secondary text-red-600">
+                      <ShieldOff className="h-4 w-4 mr-2" />
+                      Turn off
+                    </button>
+                  )}
+                </div>
+              ) : (
+                <button onClick={handleStartSetup} className="btn btn-primary">
+                  <ShieldCheck className="h-4 w-4 mr-2" />
+                  Turn on
+                </button>
+              )}
+            </div>
+          )}
+
+          {mode && (
+            <form onSubmit={handleSubmit} className="space-y-4">
+              {mode === 'setup' && (
+                setup ? (
+                  <div className="flex flex-col sm:flex-row items-center gap-4">
+                    <img src={setup.qrCode} alt="QR code for your authenticator app" className="h-40 w-40" />
+                    <div className="text-sm text-gray-600">
+                      <p className="flex items-center mb-2">
+                        <Smartphone className="h-4 w-4 mr-2" />
+                        Scan the QR code with your authenticator app.
+                      </p>
+                      <p className="text-xs text-gray-500">Can&apos;t scan? Enter this key:</p>
+                      <code className="text-sm font-mono text-gray-900 break-all">{setup.secret}</code>
+                    </div>
+                  </div>
+                ) : (
+                  <div className="h-40 bg-gray-100 rounded-lg animate-pulse" />
+                )
+              )}
+
+              {mode === 'disable' && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Password</label>
+                  <input
+                    type="password"
+                    autoComplete="current-password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    className="input"
+                    placeholder="Enter your password"
+                  />
+                </div>
+              )}
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Authentication code</label>
+                <input
+                  type="text"
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  maxLength={6}
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  className="input font-mono tracking-widest"
+                  placeholder="123456"
+                />
+              </div>
+
+              <div className="flex gap-2">
+                <button
+                  type="submit"
+                  disabled={isSubmitting || code.trim().length !== 6 || (mode === 'setup' && !setup) || (mode === 'disable' && !password)}
+                  className="btn btn-primary"
+                >
+                  {isSubmitting
+                    ? 'Verifying...'
+                    : mode === 'setup' ? 'Turn on' : mode === 'regenerate' ? 'Create codes' : 'Turn off'}
+                </button>
+                <button type="button" onClick={closeForm} className="btn btn-secondary">
+                  Cancel
+                </button>
+              </div>
+            </form>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default TwoFactorSettings;
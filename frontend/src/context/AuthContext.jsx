@@ -13,10 +13,12 @@
  * 
  * WHAT THIS CONTEXT PROVIDES:
  * - user: Current user object (or null if not logged in)
- * - token: JWT token (or null)
+ * - token: JWT access token (or null) - renewed silently by api.js
  * - isLoading: Loading state during auth checks
  * - isAuthenticated: Boolean for auth status
- * - login: Function to log in
+ * - login / verifyTwoFactor: Functions to log in (password, then the
+ *   authenticator code if two-factor authentication is on)
+ * - startSso / loginWithSso: Functions to start and finish a single sign-on login
  * - logout: Function to log out
  * - register: Function to register
  * 
@@ -53,8 +55,12 @@ const AuthContext = createContext(null);
  * - HttpOnly cookie: More secure, but needs backend changes
  */
 const TOKEN_KEY = 'aiksp_token';
+const REFRESH_TOKEN_KEY = 'aiksp_refresh_token';
 const USER_KEY = 'aiksp_user';
 
+// Page to return to after a single sign-on login (survives the provider round-trip)
+const SSO_REDIRECT_KEY = 'aiksp_sso_redirect';
+
 /**
  * AuthProvider Component
  * 
@@ -107,27 +113,31 @@ export function AuthProvider({ children }) {
       try {
         // Get stored token
         const storedToken = localStorage.getItem(TOKEN_KEY);
+        const storedRefreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
         const storedUser = localStorage.getItem(USER_KEY);
 
         if (storedToken && storedUser) {
-          // Set token in API service
+          // Set tokens in API service
           api.setToken(storedToken);
+          api.setRefreshToken(storedRefreshToken);
           
-          // Verify token is still valid
+          // Verify token is still valid (an expired one is refreshed by api.js)
           try {
             const response = await api.get('/auth/verify');
             
             if (response.success) {
-              setToken(storedToken);
+              setToken(localStorage.getItem(TOKEN_KEY));
               setUser(response.data);
             } else {
               // Token invalid, clear storage
               localStorage.removeItem(TOKEN_KEY);
+              localStorage.removeItem(REFRESH_TOKEN_KEY);
               localStorage.removeItem(USER_KEY);
             }
           } catch {
             // Token verification failed, clear storage
             localStorage.removeItem(TOKEN_KEY);
+            localStorage.removeItem(REFRESH_TOKEN_KEY);
             localStorage.removeItem(USER_KEY);
           }
         }
@@ -141,6 +151,12 @@ export function AuthProvider({ children }) {
     initializeAuth();
   }, []);
 
+  /**
+   * useEffect - Keeps the token state in sync with silent refreshes
+   * done by the API service
+   */
+  useEffect(() => api.onTokenRefreshed(setToken), []);
+
   // ---- AUTH FUNCTIONS ----
 
   /**
@@ -150,23 +166,32 @@ export function AuthProvider({ children }) {
    * 
    * CALLED BY: LoginPage form submission
    * INPUT: email (string), password (string)
-   * OUTPUT: User object on success, throws error on failure
+   * OUTPUT: { success, user }, or { success, twoFactorRequired, challenge }
+   *         when a code is needed (see verifyTwoFactor)
    */
   const login = useCallback(async (email, password) => {
     setError(null);
     
     try {
       const response = await api.post('/auth/login', { email, password });
+
+      // Two-factor authentication: no tokens yet, ask for the code
+      if (response.success && response.data.twoFactorRequired) {
+        const { twoFactorToken, setupRequired } = response.data;
+        return { success: true, twoFactorRequired: true, challenge: { twoFactorToken, setupRequired } };
+      }
       
       if (response.success) {
-        const { token: newToken, user: userData } = response.data;
+        const { token: newToken, refreshToken: newRefreshToken, user: userData } = response.data;
 
         // Store in localStorage
         localStorage.setItem(TOKEN_KEY, newToken);
+        localStorage.setItem(REFRESH_TOKEN_KEY, newRefreshToken);
         localStorage.setItem(USER_KEY, JSON.stringify(userData));
 
         // Set in API service
         api.setToken(newToken);
+        api.setRefreshToken(newRefreshToken);
 
         // Update state
         setToken(newToken);
@@ -179,6 +204,151 @@ export function AuthProvider({ children }) {
     } catch (err) {
       const message = err.response?.data?.message || err.message || 'Login failed';
       setError(message);
+      // code: e.g. EMAIL_NOT_VERIFIED - the login page offers a new link
+      return { success: false, error: message, code: err.response?.data?.code };
+    }
+  }, []);
+
+  /**
+   * verifyTwoFactor()
+   * 
+   * WHAT: Second login step - authenticator code or recovery code
+   * 
+   * CALLED BY: TwoFactorChallenge (LoginPage)
+   * INPUT: twoFactorToken (from login), { code } or { recoveryCode }
+   * OUTPUT: { success, user, recoveryCodes? } - recoveryCodes when this
+   *         step finished a setup required by the organization
+   */
+  const verifyTwoFactor = useCallback(async (twoFactorToken, { code, recoveryCode }) => {
+    setError(null);
+
+    try {
+      const response = await api.post('/auth/2fa/verify', { twoFactorToken, code, recoveryCode });
+
+      if (response.success) {
+        const { token: newToken, refreshToken: newRefreshToken, user: userData, recoveryCodes } = response.data;
+
+        // Store in localStorage
+        localStorage.setItem(TOKEN_KEY, newToken);
+        localStorage.setItem(REFRESH_TOKEN_KEY, newRefreshToken);
+        localStorage.setItem(USER_KEY, JSON.stringify(userData));
+
+        // Set in API service
+        api.setToken(newToken);
+        api.setRefreshToken(newRefreshToken);
+
+        // Update state
+        setToken(newToken);
+        setUser(userData);
+
+        return { success: true, user: userData, recoveryCodes };
+      }
+
+      return { success: false, error: response.message || 'Verification failed' };
+    } catch (err) {
+      const message = err.response?.data?.errors?.[0]?.message
+        || err.response?.data?.message
+        || err.message
+        || 'Verification failed';
+      setError(message);
+      return { success: false, error: message, status: err.response?.status };
+    }
+  }, []);
+
+  /**
+   * startSso()
+   * 
+   * WHAT: Starts a single sign-on login
+   * 
+   * Gets the identity provider's sign-in URL and sends the browser there.
+   * 
+   * CALLED BY: LoginPage "Sign in with SSO"
+   * INPUT: organization (name or slug), redirectTo (page after login)
+   * OUTPUT: Only returns on failure: { success: false, error }
+   */
+  const startSso = useCallback(async (organization, redirectTo = '/dashboard') => {
+    setError(null);
+
+    try {
+      const response = await api.post('/auth/sso/start', { organization });
+
+      if (response.success) {
+        sessionStorage.setItem(SSO_REDIRECT_KEY, redirectTo);
+        window.location.assign(response.data.authorizationUrl);
+        return { success: true };
+      }
+
+      return { success: false, error: response.message || 'Single sign-on could not be started' };
+    } catch (err) {
+      const message = err.response?.data?.errors?.[0]?.message
+        || err.response?.data?.message
+        || err.message
+        || 'Single sign-on could not be started';
+      setError(message);
+      return { success: false, error: message };
+    }
+  }, []);
+
+  /**
+   * loginWithSso()
+   * 
+   * WHAT: Finishes a single sign-on login
+   * 
+   * The identity provider sent the browser back to /sso/callback with a
+   * code and state - the backend exchanges them for our tokens.
+   * 
+   * CALLED BY: SsoCallbackPage
+   * INPUT: code (string), state (string)
+   * OUTPUT: { success, user, redirectTo }, { success, twoFactorRequired,
+   *         challenge, redirectTo } when a code is needed (see
+   *         verifyTwoFactor), or { success: false, error }
+   */
+  const loginWithSso = useCallback(async (code, state) => {
+    setError(null);
+
+    try {
+      const response = await api.post('/auth/sso/callback', { code, state });
+
+      // Two-factor authentication: no tokens yet, ask for the code
+      if (response.success && response.data.twoFactorRequired) {
+        const { twoFactorToken, setupRequired } = response.data;
+        const redirectTo = sessionStorage.getItem(SSO_REDIRECT_KEY) || '/dashboard';
+        sessionStorage.removeItem(SSO_REDIRECT_KEY);
+
+        return {
+          success: true,
+          twoFactorRequired: true,
+          challenge: { twoFactorToken, setupRequired },
+          redirectTo
+        };
+      }
+
+      if (response.success) {
+        const { token: newToken, refreshToken: newRefreshToken, user: userData } = response.data;
+
+        // Store in localStorage
+        localStorage.setItem(TOKEN_KEY, newToken);
+        localStorage.setItem(REFRESH_TOKEN_KEY, newRefreshToken);
+        localStorage.setItem(USER_KEY, JSON.stringify(userData));
+
+        // Set in API service
+        api.setToken(newToken);
+        api.setRefreshToken(newRefreshToken);
+
+        // Update state
+        setToken(newToken);
+        setUser(userData);
+
+        const redirectTo = sessionStorage.getItem(SSO_REDIRECT_KEY) || '/dashboard';
+        sessionStorage.removeItem(SSO_REDIRECT_KEY);
+
+        return { success: true, user: userData, redirectTo };
+      }
+
+      return { success: false, error: response.message || 'Single sign-on failed' };
+    } catch (err) {
+      const message = err.response?.data?.message || err.message || 'Single sign-on failed';
+      setError(message);
       return { success: false, error: message };
     }
   }, []);
@@ -199,14 +369,16 @@ export function AuthProvider({ children }) {
       const response = await api.post('/auth/register', userData);
       
       if (response.success) {
-        const { token: newToken, user: newUser } = response.data;
+        const { token: newToken, refreshToken: newRefreshToken, user: newUser } = response.data;
         
         // Store in localStorage
         localStorage.setItem(TOKEN_KEY, newToken);
+        localStorage.setItem(REFRESH_TOKEN_KEY, newRefreshToken);
         localStorage.setItem(USER_KEY, JSON.stringify(newUser));
         
         // Set in API service
         api.setToken(newToken);
+        api.setRefreshToken(newRefreshToken);
         
         // Update state
         setToken(newToken);
@@ -241,14 +413,16 @@ export function AuthProvider({ children }) {
       const response = await api.post('/auth/register/organization', userData);
       
       if (response.success) {
-        const { token: newToken, user: newUser, secretKey } = response.data;
+        const { token: newToken, refreshToken: newRefreshToken, user: newUser, secretKey } = response.data;
         
         // Store in localStorage
         localStorage.setItem(TOKEN_KEY, newToken);
+        localStorage.setItem(REFRESH_TOKEN_KEY, newRefreshToken);
         localStorage.setItem(USER_KEY, JSON.stringify(newUser));
         
         // Set in API service
         api.setToken(newToken);
+        api.setRefreshToken(newRefreshToken);
         
         // Update state
         setToken(newToken);
@@ -273,23 +447,31 @@ export function AuthProvider({ children }) {
    * 
    * CALLED BY: EmployeeSignupPage form submission
    * INPUT: { organizationName, secretKey, firstName, lastName, email, password, department }
-   * OUTPUT: { success, user } on success
+   * OUTPUT: { success, user } on success, or { success, verificationRequired, email }
+   *         when the organization requires a verified email before signing in
    */
   const registerEmployee = useCallback(async (userData) => {
     setError(null);
     
     try {
       const response = await api.post('/auth/register/employee', userData);
+
+      // Account created, but no tokens until the email is verified
+      if (response.success && response.data.verificationRequired) {
+        return { success: true, verificationRequired: true, email: response.data.email };
+      }
       
       if (response.success) {
-        const { token: newToken, user: newUser } = response.data;
+        const { token: newToken, refreshToken: newRefreshToken, user: newUser } = response.data;
         
         // Store in localStorage
         localStorage.setItem(TOKEN_KEY, newToken);
+        localStorage.setItem(REFRESH_TOKEN_KEY, newRefreshToken);
         localStorage.setItem(USER_KEY, JSON.stringify(newUser));
         
         // Set in API service
         api.setToken(newToken);
+        api.setRefreshToken(newRefreshToken);
         
         // Update state
         setToken(newToken);
@@ -311,17 +493,23 @@ export function AuthProvider({ children }) {
    * 
    * WHAT: Logs out the current user
    * 
-   * CALLED BY: Navbar logout button, session expiry
+   * CALLED BY: Navbar logout button, session expiry,
+   *            ProfilePage "Sign out everywhere" ({ everywhere: true })
    */
-  const logout = useCallback(async () => {
+  const logout = useCallback(async ({ everywhere = false } = {}) => {
     try {
-      // Call backend logout (optional, for logging)
-      await api.post('/auth/logout');
+      // Revoke the session on the backend (or every session)
+      if (everywhere) {
+        await api.delete('/auth/sessions');
+      } else {
+        await api.post('/auth/logout');
+      }
     } catch {
       // Ignore errors - we're logging out anyway
     } finally {
       // Clear localStorage
       localStorage.removeItem(TOKEN_KEY);
+      localStorage.removeItem(REFRESH_TOKEN_KEY);
       localStorage.removeItem(USER_KEY);
       
       // Clear API token
@@ -345,7 +533,8 @@ export function AuthProvider({ children }) {
       const response = await api.patch('/auth/profile', updates);
       
       if (response.success) {
-        const updatedUser = response.data;
+        // Merge: the profile response doesn't carry privileges / isOrgAdmin
+        const updatedUser = { ...user, ...response.data };
         
         // Update localStorage
         localStorage.setItem(USER_KEY, JSON.stringify(updatedUser));
@@ -361,6 +550,26 @@ export function AuthProvider({ children }) {
       const message = err.response?.data?.message || err.message || 'Update failed';
       throw new Error(message);
     }
+  }, [user]);
+
+  /**
+   * refreshUser()
+   * 
+   * WHAT: Reloads the signed-in user from the server
+   * 
+   * CALLED BY: VerifyEmailPage (emailVerified changed in another tab)
+   */
+  const refreshUser = useCallback(async () => {
+    try {
+      const response = await api.get('/auth/verify');
+
+      if (response.success) {
+        localStorage.setItem(USER_KEY, JSON.stringify(response.data));
+        setUser(response.data);
+      }
+    } catch {
+      // Keep the current user - api.js handles ended sessions
+    }
   }, []);
 
   // ---- DERIVED VALUES ----
@@ -384,11 +593,15 @@ export function AuthProvider({ children }) {
     isAuthenticated,
     error,
     login,
+    verifyTwoFactor,
+    startSso,
+    loginWithSso,
     register,
     registerOrganization,
     registerEmployee,
     logout,
     updateProfile,
+    refreshUser,
   };
 
   // ---- RENDER ----
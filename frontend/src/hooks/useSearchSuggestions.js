@@ -0,0 +1,118 @@
+/**
+ * =============================================================================
+ * USE SEARCH SUGGESTIONS HOOK - TYPEAHEAD FOR THE SEARCH BOX
+ * =============================================================================
+ *
+ * WHAT IS THIS FILE?
+ * Fetches suggestions from GET /api/search/suggestions while the user
+ * types and handles keyboard navigation of the dropdown.
+ *
+ * USAGE:
+ *   const typeahead = useSearchSuggestions(query, { onSelect });
+ *   <input onKeyDown={typeahead.handleKeyDown} onBlur={typeahead.close} />
+ *   {typeahead.isOpen && typeahead.suggestions.map(...)}
+ *
+ * SUGGESTION SHAPE:
+ * { text, type: 'query' | 'document' | 'tag', documentId? }
+ *
+ * =============================================================================
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import api from '../services/api';
+
+// Wait this long after the last keystroke before asking the server
+const DEBOUNCE_MS = 200;
+const MIN_LENGTH = 2;
+
+export function useSearchSuggestions(query, { onSelect, enabled = true } = {}) {
+  const [suggestions, setSuggestions] = useState([]);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [isOpen, setIsOpen] = useState(false);
+
+  // Ignores responses to older keystrokes
+  const requestIdRef = useRef(0);
+  // Picking a suggestion puts its text in the box - don't open the dropdown for it
+  const pickedTextRef = useRef(null);
+
+  useEffect(() => {
+    const picked = pickedTextRef.current;
+    pickedTextRef.current = null;
+    if (picked === query) {
+      return undefined;
+    }
+
+    const text = query.trim();
+    if (!enabled || text.length < MIN_LENGTH) {
+      setSuggestions([]);
+      setIsOpen(false);
+      return undefined;
+    }
+
+    const requestId = ++requestIdRef.current;
+    const timer = setTimeout(async () => {
+      try {
+        const response = await api.get('/search/suggestions', { q: text });
+        if (requestId !== requestIdRef.current) return;
+
+        setSuggestions(response.data || []);
+        setActiveIndex(-1);
+        setIsOpen((response.data || []).length > 0);
+      } catch {
+        // Typeahead is optional - searching still works without it
+        if (requestId === requestIdRef.current) {
+          setSuggestions([]);
+          setIsOpen(false);
+        }
+      }
+    }, DEBOUNCE_MS);
+
+    return () => clearTimeout(timer);
+  }, [query, enabled]);
+
+  const close = useCallback(() => {
+    requestIdRef.current += 1;
+    setIsOpen(false);
+    setActiveIndex(-1);
+  }, []);
+
+  const select = useCallback((suggestion) => {
+    pickedTextRef.current = suggestion.text;
+    close();
+    onSelect?.(suggestion);
+  }, [close, onSelect]);
+
+  /**
+   * Arrow keys move through the list, Enter picks, Escape closes.
+   * Enter without a highlighted suggestion submits the form as usual.
+   */
+  const handleKeyDown = useCallback((e) => {
+    if (!isOpen || suggestions.length === 0) return;
+
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex((index) => (index + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex((index) => (index <= 0 ? suggestions.length - 1 : index - 1));
+    } else if (e.key === 'Enter' && activeIndex >= 0) {
+      e.preventDefault();
+      select(suggestions[activeIndex]);
+    } else if (e.key === 'Escape') {
+      close();
+    } else if (e.key === 'Enter') {
+      close();
+    }
+  }, [isOpen, suggestions, activeIndex, select, close]);
+
+  return {
+    suggestions,
+    activeIndex,
+    isOpen,
+    handleKeyDown,
+    select,
+    close,
+  };
+}
+
+export default useSearchSuggestions;
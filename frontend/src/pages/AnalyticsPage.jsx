@@ -0,0 +1,482 @@
+/**
+ * =============================================================================
+ * ANALYTICS PAGE - HOW THE ORGANIZATION USES SEARCH AND AI
+ * =============================================================================
+ *
+ * WHAT IS THIS FILE?
+ * Charts and tables built from the query log of the organization:
+ * - Headline numbers (queries, AI share, response time, users, tokens)
+ * - Query volume over time (searches vs AI questions)
+ * - AI answer feedback and token usage per model
+ * - Top queries, queries that found nothing, most cited documents
+ *
+ * ACCESS:
+ * Requires the view_analytics privilege (org admins always have it).
+ * The backend enforces this too - see /api/organizations/analytics/*.
+ *
+ * CHARTS:
+ * Plain Tailwind bars, no chart library - the data is small (at most a
+ * few hundred points) and this keeps the bundle lean.
+ *
+ * =============================================================================
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { Link, Navigate } from 'react-router-dom';
+import api from '../services/api';
+import { usePrivilege } from '../hooks/usePrivilege';
+import {
+  BarChart3,
+  Search,
+  Brain,
+  Clock,
+  Users,
+  Zap,
+  AlertCircle,
+  RefreshCcw,
+  SearchX,
+  FileText,
+  ThumbsUp,
+  Lightbulb
+} from 'lucide-react';
+
+// Date range presets (days)
+const RANGES = [
+  { label: '7 days', days: 7, interval: 'day' },
+  { label: '30 days', days: 30, interval: 'day' },
+  { label: '90 days', days: 90, interval: 'week' },
+  { label: '12 months', days: 365, interval: 'month' },
+];
+
+const formatNumber = (value) => (value ?? 0).toLocaleString();
+
+const formatDuration = (ms) => {
+  if (ms == null) return '—';
+  return ms >= 1000 ? `${(ms / 1000).toFixed(1)} s` : `${ms} ms`;
+};
+
+const formatPercent = (ratio) => `${Math.round((ratio || 0) * 100)}%`;
+
+/**
+ * Card - White panel with a title, shared by every section
+ */
+function Card({ title, subtitle, children, className = '' }) {
+  return (
+    <div className={`bg-white rounded-xl border border-gray-200 p-6 ${className}`}>
+      <div className="mb-4">
+        <h2 className="text-lg font-medium text-gray-900">{title}</h2>
+        {subtitle && <p className="text-sm text-gray-500">{subtitle}</p>}
+      </div>
+      {children}
+    </div>
+  );
+}
+
+/**
+ * StatCard - One headline number
+ */
+function StatCard({ icon: Icon, label, value, hint, color }) {
+  return (
+    <div className="bg-white rounded-xl border border-gray-200 p-5">
+      <div className={`inline-flex p-2 rounded-lg ${color}`}>
+        <Icon className="h-5 w-5" />
+      </div>
+      <p className="mt-3 text-sm text-gray-500">{label}</p>
+      <p className="text-2xl font-bold text-gray-900">{value}</p>
+      {hint && <p className="mt-1 text-xs text-gray-400">{hint}</p>}
+    </div>
+  );
+}
+
+/**
+ * VolumeChart - Stacked columns: keyword searches + AI questions per period
+ */
+function VolumeChart({ periods }) {
+  const max = Math.max(1, ...periods.map(p => p.total));
+
+  if (periods.every(p => p.total === 0)) {
+    return <p className="text-sm text-gray-500 py-12 text-center">No queries in this period.</p>;
+  }
+
+  return (
+    <div>
+      <div className="flex items-end gap-1 h-48">
+        {periods.map(period => (
+          <div
+            key={period.period}
+            className="flex-1 flex flex-col justify-end h-full group relative"
+            title={`${period.period}: ${period.search} searches, ${period.question} questions`}
+          >
+            <div
+              className="bg-violet-500 rounded-t-sm"
+              style={{ height: `${(period.question / max) * 100}%` }}
+            />
+            <div
+              className={`bg-blue-400 ${period.question === 0 ? 'rounded-t-sm' : ''}`}
+              style={{ height: `${(period.search / max) * 100}%` }}
+            />
+          </div>
+        ))}
+      </div>
+      <div className="flex justify-between mt-2 text-xs text-gray-400">
+        <span>{periods[0]?.period}</span>
+        <span>{periods[periods.length - 1]?.period}</span>
+      </div>
+      <div className="flex gap-4 mt-3 text-xs text-gray-600">
+        <span className="flex items-center"><span className="h-3 w-3 bg-blue-400 rounded-sm mr-1.5" />Keyword search</span>
+        <span className="flex items-center"><span className="h-3 w-3 bg-violet-500 rounded-sm mr-1.5" />AI question</span>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * SplitBar - One horizontal bar divided into proportional segments
+ */
+function SplitBar({ segments }) {
+  const total = segments.reduce((sum, s) => sum + s.value, 0);
+
+  return (
+    <div>
+      <div className="flex h-4 rounded-full overflow-hidden bg-gray-100">
+        {total > 0 && segments.map(segment => (
+          <div
+            key={segment.label}
+            className={segment.color}
+            style={{ width: `${(segment.value / total) * 100}%` }}
+            title={`${segment.label}: ${segment.value}`}
+          />
+        ))}
+      </div>
+      <div className="mt-3 grid grid-cols-2 gap-2 text-sm">
+        {segments.map(segment => (
+          <div key={segment.label} className="flex items-center text-gray-600">
+            <span className={`h-3 w-3 rounded-sm mr-2 ${segment.color}`} />
+            {segment.label}
+            <span className="ml-auto font-medium text-gray-900">{formatNumber(segment.value)}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * BarList - Ranked rows with a bar proportional to the value
+ */
+function BarList({ items, empty, color = 'bg-primary-100' }) {
+  if (items.length === 0) {
+    return <p className="text-sm text-gray-500">{empty}</p>;
+  }
+
+  const max = Math.max(1, ...items.map(item => item.value));
+
+  return (
+    <ul className="space-y-2">
+      {items.map(item => (
+        <li key={item.key} className="relative">
+          <div
+            className={`absolute inset-y-0 left-0 rounded ${color}`}
+            style={{ width: `${(item.value / max) * 100}%` }}
+          />
+          <div className="relative flex items-center justify-between px-2 py-1.5 text-sm">
+            <span className="truncate text-gray-800 mr-4">{item.label}</span>
+            <span className="font-medium text-gray-900">{formatNumber(item.value)}</span>
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+function AnalyticsPage() {
+  const canViewAnalytics = usePrivilege('view_analytics');
+
+  const [range, setRange] = useState(RANGES[1]);
+  const [data, setData] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  /**
+   * Fetch every report for the selected range in parallel
+   */
+  const fetchAnalytics = useCallback(async () => {
+    setIsLoading(true);
+    setError('');
+
+    const to = new Date();
+    const from = new Date(to.getTime() - range.days * 24 * 60 * 60 * 1000);
+    const params = { from: from.toISOString(), to: to.toISOString() };
+
+    try {
+      const [overview, volume, topQueries, zeroResults, citedDocuments] = await Promise.all([
+        api.get('/organizations/analytics/overview', params),
+        api.get('/organizations/analytics/volume', { ...params, interval: range.interval }),
+        api.get('/organizations/analytics/top-queries', params),
+        api.get('/organizations/analytics/zero-results', params),
+        api.get('/organizations/analytics/cited-documents', params),
+      ]);
+
+      setData({
+        overview: overview.data,
+        volume: volume.data,
+        topQueries: topQueries.data,
+        zeroResults: zeroResults.data,
+        citedDocuments: citedDocuments.data,
+      });
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load analytics');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [range]);
+
+  useEffect(() => {
+    if (canViewAnalytics) {
+      fetchAnalytics();
+    }
+  }, [canViewAnalytics, fetchAnalytics]);
+
+  if (!canViewAnalytics) {
+    return <Navigate to="/dashboard" replace />;
+  }
+
+  const overview = data?.overview;
+
+  return (
+    <div className="max-w-6xl mx-auto space-y-6">
+      {/* Page Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+            <BarChart3 className="h-6 w-6 mr-2 text-primary-600" />
+            Analytics
+          </h1>
+          <p className="mt-1 text-sm text-gray-500">
+            How your organization searches and uses the AI assistant
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <Link to="/analytics/knowledge-gaps" className="btn btn-secondary">
+            <Lightbulb className="h-4 w-4 mr-1.5" />
+            Knowledge gaps
+          </Link>
+          <div className="inline-flex rounded-lg border border-gray-200 bg-white p-1">
+            {RANGES.map(option => (
+              <button
+                key={option.label}
+                onClick={() => setRange(option)}
+                className={`px-3 py-1.5 text-sm rounded-md ${
+                  range.label === option.label
+                    ? 'bg-primary-600 text-white'
+                    : 'text-gray-600 hover:bg-gray-100'
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+          <button
+            onClick={fetchAnalytics}
+            disabled={isLoading}
+            className="btn btn-secondary"
+            title="Refresh"
+          >
+            <RefreshCcw className={`h-4 w-4 ${isLoading ? 'animate-spin' : ''}`} />
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="p-3 bg-red-50 border border-red-200 rounded-lg flex items-center">
+          <AlertCircle className="h-4 w-4 text-red-500 mr-2" />
+          <p className="text-sm text-red-700">{error}</p>
+        </div>
+      )}
+
+      {isLoading && !data ? (
+        <div className="grid grid-cols-2 lg:grid-cols-5 gap-4 animate-pulse">
+          {[1, 2, 3, 4, 5].map(i => (
+            <div key={i} className="h-32 bg-gray-100 rounded-xl" />
+          ))}
+        </div>
+      ) : overview && (
+        <>
+          {/* Headline numbers */}
+          <div className="grid grid-cols-2 lg:grid-cols-5 gap-4">
+            <StatCard
+              icon={Search}
+              label="Queries"
+              value={formatNumber(overview.totals.queries)}
+              hint={`${formatNumber(overview.totals.errors)} failed`}
+              color="bg-blue-50 text-blue-600"
+            />
+            <StatCard
+              icon={Brain}
+              label="AI share"
+              value={formatPercent(overview.aiShare)}
+              hint={`${formatNumber(overview.totals.questions)} questions`}
+              color="bg-violet-50 text-violet-600"
+            />
+            <StatCard
+              icon={Clock}
+              label="Avg response time"
+              value={formatDuration(overview.avgResponseTime.overall)}
+              hint={`Search ${formatDuration(overview.avgResponseTime.search)} · AI ${formatDuration(overview.avgResponseTime.question)}`}
+              color="bg-amber-50 text-amber-600"
+            />
+            <StatCard
+              icon={Users}
+              label="Active users"
+              value={formatNumber(overview.totals.uniqueUsers)}
+              color="bg-emerald-50 text-emerald-600"
+            />
+            <StatCard
+              icon={Zap}
+              label="Tokens used"
+              value={formatNumber(overview.tokens.total)}
+              hint={`${formatNumber(overview.tokens.prompt)} in · ${formatNumber(overview.tokens.completion)} out`}
+              color="bg-pink-50 text-pink-600"
+            />
+          </div>
+
+          {/* Volume over time */}
+          <Card
+            title="Query volume"
+            subtitle={`Per ${data.volume.interval}, keyword searches and AI questions`}
+          >
+            <VolumeChart periods={data.volume.periods} />
+          </Card>
+
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            <Card title="Search vs AI">
+              <SplitBar
+                segments={[
+                  { label: 'Keyword', value: overview.totals.searches, color: 'bg-blue-400' },
+                  { label: 'AI', value: overview.totals.questions, color: 'bg-violet-500' },
+                ]}
+              />
+            </Card>
+
+            <Card
+              title="Answer feedback"
+              subtitle={overview.feedback.avgRating ? `Average rating ${overview.feedback.avgRating} / 5` : null}
+            >
+              <SplitBar
+                segments={[
+                  { label: 'Helpful', value: overview.feedback.helpful, color: 'bg-emerald-500' },
+                  { label: 'Not helpful', value: overview.feedback.notHelpful, color: 'bg-amber-400' },
+                  { label: 'Incorrect', value: overview.feedback.incorrect, color: 'bg-red-500' },
+                  { label: 'No feedback', value: overview.feedback.none, color: 'bg-gray-200' },
+                ]}
+              />
+            </Card>
+
+            <Card title="Tokens by model">
+              <BarList
+                items={overview.tokens.byModel.map(model => ({
+                  key: model.model,
+                  label: `${model.model} (${formatNumber(model.queries)})`,
+                  value: model.tokens,
+                }))}
+                empty="No AI questions yet."
+                color="bg-pink-100"
+              />
+            </Card>
+          </div>
+
+          {/* Top queries */}
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <Card title="Top searches">
+              <BarList
+                items={data.topQueries.searches.map(item => ({
+                  key: item.query,
+                  label: item.query,
+                  value: item.count,
+                }))}
+                empty="No searches yet."
+                color="bg-blue-50"
+              />
+            </Card>
+            <Card title="Top AI questions">
+              <BarList
+                items={data.topQueries.questions.map(item => ({
+                  key: item.query,
+                  label: item.query,
+                  value: item.count,
+                }))}
+                empty="No questions yet."
+                color="bg-violet-50"
+              />
+            </Card>
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            {/* Content gaps */}
+            <Card
+              title="Queries with no results"
+              subtitle={
+                <>
+                  What people look for but can't find ·{' '}
+                  <Link to="/analytics/knowledge-gaps" className="text-primary-600 hover:text-primary-500">
+                    See knowledge gaps
+                  </Link>
+                </>
+              }
+            >
+              {data.zeroResults.length === 0 ? (
+                <p className="text-sm text-gray-500 flex items-center">
+                  <ThumbsUp className="h-4 w-4 mr-2 text-emerald-500" />
+                  Every query found something.
+                </p>
+              ) : (
+                <ul className="divide-y divide-gray-100">
+                  {data.zeroResults.map(item => (
+                    <li key={item.query} className="py-2 flex items-center justify-between text-sm">
+                      <span className="flex items-center min-w-0 mr-4">
+                        <SearchX className="h-4 w-4 mr-2 text-gray-400 flex-shrink-0" />
+                        <span className="truncate text-gray-800">{item.query}</span>
+                      </span>
+                      <span className="text-gray-500 whitespace-nowrap">
+                        {formatNumber(item.count)}× · {item.users} user{item.users === 1 ? '' : 's'}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </Card>
+
+            {/* Most cited */}
+            <Card
+              title="Most cited documents"
+              subtitle="Sources AI answers relied on most"
+            >
+              {data.citedDocuments.length === 0 ? (
+                <p className="text-sm text-gray-500">No citations yet.</p>
+              ) : (
+                <ul className="divide-y divide-gray-100">
+                  {data.citedDocuments.map(doc => (
+                    <li key={doc.documentId} className="py-2 flex items-center justify-between text-sm">
+                      <Link
+                        to={`/documents/${doc.documentId}`}
+                        className="flex items-center min-w-0 mr-4 text-primary-600 hover:text-primary-500"
+                      >
+                        <FileText className="h-4 w-4 mr-2 flex-shrink-0" />
+                        <span className="truncate">{doc.title}</span>
+                      </Link>
+                      <span className="text-gray-500 whitespace-nowrap">
+                        {formatNumber(doc.citations)} answer{doc.citations === 1 ? '' : 's'}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </Card>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default AnalyticsPage;
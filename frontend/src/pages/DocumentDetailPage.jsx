@@ -5,9 +5,12 @@
  */
 
 import { useEffect, useState } from 'react';
-import { Link, useParams, useNavigate } from 'react-router-dom';
+import { Link, useParams, useNavigate, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import api from '../services/api';
+import DocumentVersions from '../components/DocumentVersions';
+import DocumentPassage from '../components/DocumentPassage';
+import PdfViewer from '../components/PdfViewer';
 import {
   ArrowLeft,
   Download,
@@ -16,12 +19,36 @@ import {
   Clock,
   Tag,
   User,
-  Link2
+  Link2,
+  Sparkles,
+  RefreshCcw
 } from 'lucide-react';
 
+// File types the browser may open (the server sends everything else as a
+// download - an uploaded HTML page must never run on our origin)
+const INLINE_TYPES = ['application/pdf', 'image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
 function DocumentDetailPage() {
   const { id } = useParams();
   const navigate = useNavigate();
+  // Search result snippets and citations link here with
+  // ?chunk=<index>&q=<query> (passage) and ?page=<n> (PDF viewer)
+  const [searchParams, setSearchParams] = useSearchParams();
+  const passageIndex = searchParams.get('chunk') !== null ? Number(searchParams.get('chunk')) : null;
+  const passageQuery = searchParams.get('q') || '';
+  const viewerPage = Number(searchParams.get('page')) || null;
+
+  /**
+   * Change some URL parameters, keeping the others (null removes one)
+   */
+  const updateParams = (changes) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value === null || value === undefined) next.delete(key);
+      else next.set(key, String(value));
+    });
+    setSearchParams(next, { replace: true });
+  };
   const { user } = useAuth();
 
   const [doc, setDoc] = useState(null);
@@ -32,6 +59,21 @@ function DocumentDetailPage() {
   const [documentLinks, setDocumentLinks] = useState([]);
   const [isLinksLoading, setIsLinksLoading] = useState(false);
   const [showLinksPopover, setShowLinksPopover] = useState(false);
+  const [isRegenerating, setIsRegenerating] = useState(false);
+
+  /**
+   * Reload the document after a new version is uploaded or restored
+   */
+  const reloadDocument = async () => {
+    try {
+      const response = await api.get(`/documents/${id}`);
+      if (response.success && response.data) {
+        setDoc(response.data);
+      }
+    } catch (err) {
+      setError('Failed to load document.');
+    }
+  };
 
   useEffect(() => {
     const fetchDocument = async () => {
@@ -74,22 +116,85 @@ function DocumentDetailPage() {
     }
   }, [id]);
 
+  /**
+   * Poll while a summary is being generated, then show the result
+   */
+  useEffect(() => {
+    if (doc?.summaryStatus !== 'generating') return undefined;
+
+    const timer = setInterval(async () => {
+      try {
+        const status = await api.get(`/documents/${id}/status`);
+        if (status.data?.summaryStatus && status.data.summaryStatus !== 'generating') {
+          const response = await api.get(`/documents/${id}`);
+          if (response.success && response.data) {
+            setDoc(response.data);
+          }
+        }
+      } catch (err) {
+        // Keep polling - a single failed request shouldn't stop it
+      }
+    }, 3000);
+
+    return () => clearInterval(timer);
+  }, [doc?.summaryStatus, id]);
+
+  /**
+   * Poll while a new version is being processed
+   */
+  useEffect(() => {
+    if (doc?.status !== 'processing') return undefined;
+
+    const timer = setInterval(async () => {
+      try {
+        const status = await api.get(`/documents/${id}/status`);
+        if (status.data?.status && status.data.status !== 'processing') {
+          const response = await api.get(`/documents/${id}`);
+          if (response.success && response.data) {
+            setDoc(response.data);
+          }
+        }
+      } catch (err) {
+        // Keep polling - a single failed request shouldn't stop it
+      }
+    }, 3000);
+
+    return () => clearInterval(timer);
+  }, [doc?.status, id]);
+
+  const canEdit = user?.role === 'admin' ||
+    user?.role === 'super_admin' ||
+    doc?.uploadedBy?._id === user?.id;
+
+  const handleRegenerateSummary = async () => {
+    if (!doc?._id) return;
+
+    try {
+      setIsRegenerating(true);
+      setError('');
+      await api.post(`/documents/${doc._id}/summary`);
+      setDoc((prev) => ({ ...prev, summaryStatus: 'generating' }));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to regenerate summary.');
+    } finally {
+      setIsRegenerating(false);
+    }
+  };
+
   const handleDownload = async () => {
     if (!doc?._id) return;
 
     try {
       setIsDownloading(true);
-      const blob = await api.download(`/documents/${doc._id}/download`);
-      const url = window.URL.createObjectURL(blob);
+      const url = await api.download(`/documents/${doc._id}/download`);
       const link = window.document.createElement('a');
       link.href = url;
       link.download = doc.fileName || doc.title || 'document';
       window.document.body.appendChild(link);
       link.click();
       link.remove();
-      window.URL.revokeObjectURL(url);
     } catch (err) {
-      setError('Failed to download document.');
+      setError(err.response?.data?.message || 'Failed to download document.');
     } finally {
       setIsDownloading(false);
     }
@@ -98,19 +203,41 @@ function DocumentDetailPage() {
   const handleView = async () => {
     if (!doc?._id) return;
 
+    // Open the tab right away - browsers block window.open() after an await
+    const preview = window.open('', '_blank');
+
     try {
       setIsViewing(true);
-      const blob = await api.download(`/documents/${doc._id}/download`);
-      const url = window.URL.createObjectURL(blob);
-      window.open(url, '_blank', 'noopener,noreferrer');
-      setTimeout(() => window.URL.revokeObjectURL(url), 1000 * 30);
+      const url = await api.download(`/documents/${doc._id}/download`, 'inline');
+      if (preview) {
+        preview.opener = null;
+        preview.location.href = url;
+      } else {
+        window.open(url, '_blank', 'noopener,noreferrer');
+      }
     } catch (err) {
-      setError('Failed to open document preview.');
+      preview?.close();
+      setError(err.response?.data?.message || 'Failed to open document preview.');
     } finally {
       setIsViewing(false);
     }
   };
 
+  const isPdf = doc?.fileType === 'application/pdf';
+  // Only these open in the browser - other files are always downloaded
+  const canView = INLINE_TYPES.includes(doc?.fileType);
+
+  /**
+   * Step to another passage - an open PDF viewer follows along
+   */
+  const handlePassageNavigate = (chunkIndex) => {
+    const chunk = doc.chunks.find((item) => item.chunkIndex === chunkIndex);
+    updateParams({
+      chunk: chunkIndex,
+      ...(viewerPage && chunk?.startPage && { page: chunk.startPage }),
+    });
+  };
+
   const outgoingLinks = documentLinks.filter(l => String(l.sourceDocument?._id) === String(doc?._id));
   const incomingLinks = documentLinks.filter(l => String(l.targetDocument?._id) === String(doc?._id));
 
@@ -243,14 +370,16 @@ function DocumentDetailPage() {
                 </div>
               )}
             </div>
-            <button
-              onClick={handleView}
-              disabled={isViewing}
-              className="btn btn-secondary"
-            >
-              <FileText className="h-4 w-4 mr-2" />
-              {isViewing ? 'Opening...' : 'View'}
-            </button>
+            {canView && (
+              <button
+                onClick={handleView}
+                disabled={isViewing}
+                className="btn btn-secondary"
+              >
+                <FileText className="h-4 w-4 mr-2" />
+                {isViewing ? 'Opening...' : 'View'}
+              </button>
+            )}
             <button
               onClick={handleDownload}
               disabled={isDownloading}
@@ -266,6 +395,40 @@ function DocumentDetailPage() {
           <p className="mt-4 text-gray-700">{doc.description}</p>
         )}
 
+        {doc.status === 'active' && (
+          <div className="mt-4 p-4 rounded-lg border border-primary-100 bg-primary-50">
+            <div className="flex items-center justify-between">
+              <span className="flex items-center text-sm font-medium text-primary-700">
+                <Sparkles className="h-4 w-4 mr-2" />
+                AI Summary
+              </span>
+              {canEdit && (
+                <button
+                  onClick={handleRegenerateSummary}
+                  disabled={isRegenerating || doc.summaryStatus === 'generating'}
+                  className="inline-flex items-center text-xs text-primary-600 hover:text-primary-800 disabled:opacity-50"
+                >
+                  <RefreshCcw className={`h-3 w-3 mr-1 ${doc.summaryStatus === 'generating' ? 'animate-spin' : ''}`} />
+                  {doc.summaryStatus === 'generating'
+                    ? 'Generating...'
+                    : doc.summary ? 'Regenerate' : 'Generate'}
+                </button>
+              )}
+            </div>
+            {doc.summaryStatus === 'generating' && !doc.summary ? (
+              <p className="mt-2 text-sm text-gray-500">Generating summary...</p>
+            ) : doc.summary ? (
+              <p className="mt-2 text-sm text-gray-700 whitespace-pre-line">{doc.summary}</p>
+            ) : (
+              <p className="mt-2 text-sm text-gray-500">
+                {doc.summaryStatus === 'failed'
+                  ? 'The summary could not be generated.'
+                  : 'No summary is available for this document yet.'}
+              </p>
+            )}
+          </div>
+        )}
+
         {doc.status && doc.status !== 'active' && (
           <div className="mt-4 inline-flex items-center px-2.5 py-1 rounded-full text-xs bg-yellow-100 text-yellow-800">
             {doc.status}
@@ -275,8 +438,39 @@ function DocumentDetailPage() {
         <div className="mt-6 flex items-center text-sm text-gray-500">
           <FileText className="h-4 w-4 mr-2" />
           {doc.fileName || 'Document'}
+          {doc.revision > 1 && (
+            <span className="ml-2 text-gray-400">· Revision {doc.revision}</span>
+          )}
         </div>
       </div>
+
+      {passageIndex !== null && doc.chunks?.length > 0 && (
+        <DocumentPassage
+          chunks={doc.chunks}
+          chunkIndex={passageIndex}
+          query={passageQuery}
+          onNavigate={handlePassageNavigate}
+          onOpenPage={isPdf ? (page) => updateParams({ page }) : undefined}
+          onClose={() => updateParams({ chunk: null, q: null })}
+        />
+      )}
+
+      {isPdf && viewerPage && (
+        <PdfViewer
+          documentId={doc._id}
+          page={viewerPage}
+          onClose={() => updateParams({ page: null })}
+        />
+      )}
+
+      <DocumentVersions
+        documentId={doc._id}
+        currentRevision={doc.revision}
+        documentStatus={doc.status}
+        canEdit={canEdit}
+        onChanged={reloadDocument}
+        onError={setError}
+      />
     </div>
   );
 }
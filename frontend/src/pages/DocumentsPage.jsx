@@ -336,6 +336,8 @@ function DocumentsPage() {
    */
   const getFileIcon = (mimeType) => {
     if (mimeType?.includes('pdf')) return { icon: FileText, color: 'text-red-500', bg: 'bg-red-50' };
+    if (mimeType?.includes('spreadsheet') || mimeType === 'text/csv') return { icon: FileText, color: 'text-green-600', bg: 'bg-green-50' };
+    if (mimeType?.includes('presentation')) return { icon: FileText, color: 'text-orange-500', bg: 'bg-orange-50' };
     if (mimeType?.includes('word') || mimeType?.includes('document')) return { icon: FileText, color: 'text-blue-500', bg: 'bg-blue-50' };
     if (mimeType?.includes('text')) return { icon: FileText, color: 'text-gray-500', bg: 'bg-gray-50' };
     return { icon: FileText, color: 'text-primary-500', bg: 'bg-primary-50' };
@@ -5,9 +5,14 @@
  * 
  * WHAT IS THIS FILE?
  * The signup page for employees to join an existing organization.
- * Employees need the organization name and secret key from their admin.
  * 
- * FLOW:
+ * TWO WAYS IN:
+ * - Invitation link (/signup/employee?invite=...): the page loads the
+ *   invitation and shows the organization, email and role. The employee
+ *   only picks a name and password.
+ * - Organization name + secret key, if the organization allows it
+ * 
+ * FLOW (secret key):
  * 1. Employee gets organization name and secret key from admin
  * 2. Employee fills in the form with:
  *    - Organization name
@@ -16,7 +21,9 @@
  * 3. On success:
  *    - Employee account is created
  *    - Employee is added to the organization with 'employee' role
- *    - Employee can immediately access the platform
+ *    - Employee can immediately access the platform - unless the
+ *      organization requires a verified email: then the page asks them
+ *      to open the link emailed to them first
  * 
  * SECRET KEY VALIDATION:
  * - Format: ORG-XXXX-XXXX-XXXX-XXXX
@@ -27,8 +34,9 @@
  */
 
 import { useState, useEffect } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import api from '../services/api';
 import { 
   Brain, 
   Mail, 
@@ -41,7 +49,8 @@ import {
   Check,
   X,
   Building2,
-  Key
+  Key,
+  Shield
 } from 'lucide-react';
 
 function EmployeeSignupPage() {
@@ -69,9 +78,54 @@ function EmployeeSignupPage() {
   const [showConfirmPassword, setShowConfirmPassword] = useState(false);
   const [acceptedTerms, setAcceptedTerms] = useState(false);
 
+  // Set when the organization requires email verification before signing in
+  const [verificationSentTo, setVerificationSentTo] = useState('');
+
   // Hooks
   const { registerEmployee, isAuthenticated } = useAuth();
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+
+  // Invitation link (?invite=...)
+  const inviteToken = searchParams.get('invite');
+  const [invitation, setInvitation] = useState(null);
+  const [inviteError, setInviteError] = useState('');
+  const [isLoadingInvite, setIsLoadingInvite] = useState(Boolean(inviteToken));
+
+  /**
+   * Load the invitation - it decides the organization, email and role
+   */
+  useEffect(() => {
+    setInvitation(null);
+    setInviteError('');
+
+    if (!inviteToken) {
+      setIsLoadingInvite(false);
+      return;
+    }
+
+    const loadInvitation = async () => {
+      try {
+        setIsLoadingInvite(true);
+        const response = await api.get(`/auth/invitations/${inviteToken}`);
+
+        if (response.success) {
+          setInvitation(response.data);
+          setFormData(prev => ({
+            ...prev,
+            email: response.data.email,
+            department: response.data.department || prev.department
+          }));
+        }
+      } catch (err) {
+        setInviteError(err.response?.data?.message || 'This invitation link is invalid or has expired.');
+      } finally {
+        setIsLoadingInvite(false);
+      }
+    };
+
+    loadInvitation();
+  }, [inviteToken]);
 
   // Redirect if already logged in
   useEffect(() => {
@@ -228,8 +282,10 @@ function EmployeeSignupPage() {
     e.preventDefault();
     setError('');
 
-    // Validate all fields
-    const requiredFields = ['organizationName', 'secretKey', 'firstName', 'lastName', 'email', 'password', 'confirmPassword'];
+    // Validate all fields (an invitation already names the organization and email)
+    const requiredFields = invitation
+      ? ['firstName', 'lastName', 'password', 'confirmPassword']
+      : ['organizationName', 'secretKey', 'firstName', 'lastName', 'email', 'password', 'confirmPassword'];
     let isValid = true;
     
     requiredFields.forEach(name => {
@@ -255,6 +311,31 @@ function EmployeeSignupPage() {
 
     setIsSubmitting(true);
 
+    if (invitation) {
+      try {
+        const result = await registerEmployee({
+          invitationToken: inviteToken,
+          firstName: formData.firstName.trim(),
+          lastName: formData.lastName.trim(),
+          department: formData.department.trim(),
+          password: formData.password
+        });
+
+        if (result.verificationRequired) {
+          setVerificationSentTo(result.email);
+        } else if (result.success) {
+          navigate('/dashboard', { replace: true });
+        } else {
+          setError(result.error || 'Registration failed. Please ask your administrator for a new invitation.');
+        }
+      } catch (err) {
+        setError('An unexpected error occurred. Please try again.');
+      } finally {
+        setIsSubmitting(false);
+      }
+      return;
+    }
+
     try {
       // Normalize secret key before sending: remove all non-alphanumeric, format properly
       let rawKey = (formData.secretKey || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
@@ -277,7 +358,9 @@ function EmployeeSignupPage() {
         password: formData.password
       });
 
-      if (result.success) {
+      if (result.verificationRequired) {
+        setVerificationSentTo(result.email);
+      } else if (result.success) {
         navigate('/dashboard', { replace: true });
       } else {
         setError(result.error || 'Registration failed. Please check your organization name and secret key.');
@@ -319,7 +402,9 @@ function EmployeeSignupPage() {
           Join an Organization
         </h2>
         <p className="mt-2 text-center text-sm text-gray-600">
-          Enter your organization details and secret key
+          {invitation
+            ? `You've been invited to join ${invitation.organization.name}`
+            : 'Enter your organization details and secret key'}
         </p>
       </div>
 
@@ -334,15 +419,62 @@ function EmployeeSignupPage() {
             </div>
           )}
 
+          {isLoadingInvite ? (
+            <div className="flex items-center justify-center py-12">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+            </div>
+          ) : verificationSentTo ? (
+            <div className="text-center">
+              <Mail className="mx-auto h-12 w-12 text-primary-600" />
+              <h3 className="mt-4 text-lg font-medium text-gray-900">Check your email</h3>
+              <p className="mt-2 text-sm text-gray-600">
+                Your account is ready. We sent a verification link to <strong>{verificationSentTo}</strong> -
+                open it, then sign in.
+              </p>
+              <Link to="/login" className="btn btn-primary w-full mt-6">
+                Go to sign in
+              </Link>
+            </div>
+          ) : inviteError ? (
+            <div className="text-center">
+              <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg flex items-start text-left">
+                <AlertCircle className="h-5 w-5 text-red-500 mr-3 mt-0.5 flex-shrink-0" />
+                <p className="text-sm text-red-700">{inviteError}</p>
+              </div>
+              <Link to="/signup/employee" className="text-sm text-primary-600 hover:text-primary-500 font-medium">
+                Join with the organization secret key instead
+              </Link>
+            </div>
+          ) : (
+          <>
           {/* Help text */}
-          <div className="mb-6 p-4 bg-blue-50 border border-blue-200 rounded-lg">
-            <p className="text-sm text-blue-700">
-              <strong>Need the secret key?</strong> Ask your organization admin for the organization name and secret key to join.
-            </p>
-          </div>
+          {invitation ? (
+            <div className="mb-6 p-4 bg-blue-50 border border-blue-200 rounded-lg">
+              <div className="flex items-center text-sm text-blue-800 mb-1">
+                <Building2 className="h-4 w-4 mr-2" />
+                <strong>{invitation.organization.name}</strong>
+              </div>
+              <div className="flex items-center text-sm text-blue-700">
+                <Shield className="h-4 w-4 mr-2" />
+                Role: {invitation.roleName}
+                {invitation.department && ` · ${invitation.department}`}
+              </div>
+              <p className="mt-2 text-xs text-blue-600">
+                This link works once and expires on {new Date(invitation.expiresAt).toLocaleDateString()}.
+              </p>
+            </div>
+          ) : (
+            <div className="mb-6 p-4 bg-blue-50 border border-blue-200 rounded-lg">
+              <p className="text-sm text-blue-700">
+                <strong>Need the secret key?</strong> Ask your organization admin for the organization name and secret key to join,
+                or for a personal invitation link.
+              </p>
+            </div>
+          )}
 
           <form className="space-y-5" onSubmit={handleSubmit}>
             {/* Organization Section */}
+            {!invitation && (
             <div className="pb-4 border-b border-gray-200">
               <h3 className="text-lg font-medium text-gray-900 mb-4">
                 Organization Details
@@ -411,6 +543,7 @@ function EmployeeSignupPage() {
                 )}
               </div>
             </div>
+            )}
 
             {/* Personal Details Section */}
             <div>
@@ -486,7 +619,8 @@ function EmployeeSignupPage() {
                     value={formData.email}
                     onChange={handleChange}
                     onBlur={handleBlur}
-                    className={`input pl-10 ${fieldErrors.email ? 'border-red-300 focus:ring-red-500 focus:border-red-500' : ''}`}
+                    readOnly={Boolean(invitation)}
+                    className={`input pl-10 ${invitation ? 'bg-gray-50 text-gray-600' : ''} ${fieldErrors.email ? 'border-red-300 focus:ring-red-500 focus:border-red-500' : ''}`}
                     placeholder="you@company.com"
                   />
                 </div>
@@ -506,7 +640,8 @@ function EmployeeSignupPage() {
                   type="text"
                   value={formData.department}
                   onChange={handleChange}
-                  className="input mt-1"
+                  readOnly={Boolean(invitation?.department)}
+                  className={`input mt-1 ${invitation?.department ? 'bg-gray-50 text-gray-600' : ''}`}
                   placeholder="e.g., Engineering, Sales, HR"
                 />
               </div>
@@ -642,6 +777,8 @@ function EmployeeSignupPage() {
               )}
             </button>
           </form>
+          </>
+          )}
 
           {/* Links */}
           <div className="mt-6 text-center text-sm">
@@ -0,0 +1,130 @@
+/**
+ * =============================================================================
+ * FORGOT PASSWORD PAGE - REQUEST A RESET LINK
+ * =============================================================================
+ *
+ * WHAT IS THIS FILE?
+ * Reached from "Forgot password?" on the login page. The user enters
+ * their email and gets a link to /reset-password (ResetPasswordPage).
+ *
+ * The page always says an email is on its way - the server doesn't
+ * reveal which addresses have an account.
+ *
+ * =============================================================================
+ */
+
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../services/api';
+import { Brain, Mail, AlertCircle, CheckCircle } from 'lucide-react';
+
+function ForgotPasswordPage() {
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(email.trim())) {
+      setError('Please enter a valid email address');
+      return;
+    }
+
+    setIsSubmitting(true);
+
+    try {
+      const response = await api.post('/auth/forgot-password', { email: email.trim() });
+      setMessage(response.message);
+    } catch (err) {
+      setError(
+        err.response?.data?.errors?.[0]?.message
+        || err.response?.data?.message
+        || 'Something went wrong. Please try again.'
+      );
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex flex-col justify-center py-12 sm:px-6 lg:px-8 bg-gradient-to-br from-gray-50 to-gray-100">
+      <div className="sm:mx-auto sm:w-full sm:max-w-md">
+        <div className="flex justify-center">
+          <Brain className="h-12 w-12 text-primary-600" />
+        </div>
+        <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+          Reset your password
+        </h2>
+        <p className="mt-2 text-center text-sm text-gray-600">
+          We&apos;ll email you a link to choose a new one
+        </p>
+      </div>
+
+      <div className="mt-8 sm:mx-auto sm:w-full sm:max-w-md">
+        <div className="bg-white py-8 px-4 shadow-xl shadow-gray-200/50 sm:rounded-lg sm:px-10 border border-gray-100">
+          {message ? (
+            <>
+              <div className="mb-6 p-4 bg-green-50 border border-green-200 rounded-lg flex items-start">
+                <CheckCircle className="h-5 w-5 text-green-500 mr-3 mt-0.5 flex-shrink-0" />
+                <p className="text-sm text-green-700">{message}</p>
+              </div>
+              <Link to="/login" className="btn btn-primary w-full">
+                Back to sign in
+              </Link>
+            </>
+          ) : (
+            <form className="space-y-6" onSubmit={handleSubmit}>
+              {error && (
+                <div className="p-4 bg-red-50 border border-red-200 rounded-lg flex items-start">
+                  <AlertCircle className="h-5 w-5 text-red-500 mr-3 mt-0.5 flex-shrink-0" />
+                  <p className="text-sm text-red-700">{error}</p>
+                </div>
+              )}
+
+              <div>
+                <label htmlFor="email" className="block text-sm font-medium text-gray-700">
+                  Email address
+                </label>
+                <div className="mt-1 relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <Mail className="h-5 w-5 text-gray-400" />
+                  </div>
+                  <input
+                    id="email"
+                    type="email"
+                    autoComplete="email"
+                    autoFocus
+                    required
+                    value={email}
+                    onChange={(e) => {
+                      setEmail(e.target.value);
+                      if (error) setError('');
+                    }}
+                    className="input pl-10"
+                    placeholder="you@company.com"
+                  />
+                </div>
+              </div>
+
+              <button type="submit" disabled={isSubmitting} className="btn btn-primary w-full">
+                {isSubmitting ? 'Sending...' : 'Send reset link'}
+              </button>
+
+              <p className="text-center text-sm">
+                <Link to="/login" className="font-medium text-primary-600 hover:text-primary-500">
+                  Back to sign in
+                </Link>
+              </p>
+            </form>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ForgotPasswordPage;
@@ -0,0 +1,440 @@
+/**
+ * =============================================================================
+ * KNOWLEDGE GAPS PAGE - WHAT THE DOCUMENTS DON'T ANSWER YET
+ * =============================================================================
+ *
+ * WHAT IS THIS FILE?
+ * The knowledge-gap report: failed queries grouped into clusters of
+ * similar queries, ranked by how often they failed and how many
+ * departments hit them.
+ *
+ * A query failed when it found nothing, its answer was rated "not helpful"
+ * or "incorrect", or the AI said it couldn't find the information.
+ *
+ * WORKFLOW (org admins):
+ * 1. Assign a cluster to an owner (who writes the missing document)
+ * 2. Once the document is uploaded, mark the cluster resolved and link it
+ * 3. A resolved cluster that keeps failing is flagged as recurring
+ *
+ * ACCESS:
+ * Viewing requires view_analytics; assigning and resolving is for org
+ * admins (enforced by the backend as well).
+ *
+ * =============================================================================
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { Link, Navigate } from 'react-router-dom';
+import api from '../services/api';
+import { usePrivilege, useIsOrgAdmin } from '../hooks/usePrivilege';
+import {
+  Lightbulb,
+  AlertCircle,
+  AlertTriangle,
+  CheckCircle,
+  RotateCcw,
+  Users,
+  FileText,
+  ArrowLeft,
+  Loader2
+} from 'lucide-react';
+
+const STATUS_TABS = [
+  { value: 'open', label: 'Open' },
+  { value: 'resolved', label: 'Resolved' },
+  { value: 'all', label: 'All' },
+];
+
+const RANGES = [
+  { label: '30 days', days: 30 },
+  { label: '90 days', days: 90 },
+  { label: '12 months', days: 365 },
+];
+
+const REASON_LABELS = {
+  noResults: 'No results',
+  noAnswer: 'AI had no answer',
+  notHelpful: 'Not helpful',
+  incorrect: 'Incorrect',
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString();
+
+/**
+ * ResolveForm - Picks the document that closes the gap
+ */
+function ResolveForm({ documents, onSubmit, onCancel, isSaving }) {
+  const [documentId, setDocumentId] = useState('');
+  const [note, setNote] = useState('');
+
+  return (
+    <div className="mt-4 p-4 bg-gray-50 rounded-lg space-y-3">
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">
+          Document that answers these queries
+        </label>
+        <select
+          value={documentId}
+          onChange={(e) => setDocumentId(e.target.value)}
+          className="input"
+        >
+          <option value="">No document</option>
+          {documents.map(doc => (
+            <option key={doc._id} value={doc._id}>{doc.title}</option>
+          ))}
+        </select>
+      </div>
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Note (optional)</label>
+        <input
+          type="text"
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          maxLength={1000}
+          className="input"
+          placeholder="e.g. Added to the HR handbook"
+        />
+      </div>
+      <div className="flex justify-end gap-2">
+        <button onClick={onCancel} className="btn btn-secondary" disabled={isSaving}>
+          Cancel
+        </button>
+        <button
+          onClick={() => onSubmit({ documentId: documentId || null, note })}
+          className="btn btn-primary"
+          disabled={isSaving}
+        >
+          {isSaving ? <Loader2 className="h-4 w-4 animate-spin" /> : 'Mark resolved'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * GapCard - One cluster of failed queries
+ */
+function GapCard({ gap, isAdmin, users, documents, onUpdate }) {
+  const [isResolving, setIsResolving] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const save = async (changes) => {
+    setIsSaving(true);
+    try {
+      await onUpdate(gap, changes);
+      setIsResolving(false);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const reasons = Object.entries(REASON_LABELS).filter(([reason]) => gap.reasons[reason] > 0);
+
+  return (
+    <div className="bg-white rounded-xl border border-gray-200 p-6">
+      <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-4">
+        <div className="min-w-0">
+          <div className="flex items-center gap-2 flex-wrap">
+            <h3 className="text-lg font-medium text-gray-900 truncate">&ldquo;{gap.label}&rdquo;</h3>
+            {gap.status === 'resolved' && (
+              <span className="badge badge-success">Resolved</span>
+            )}
+            {gap.recurring && (
+              <span className="badge badge-warning flex items-center">
+                <AlertTriangle className="h-3 w-3 mr-1" />
+                Still failing
+              </span>
+            )}
+          </div>
+          <p className="mt-1 text-sm text-gray-500">
+            Failed {gap.count}× · {gap.users} user{gap.users === 1 ? '' : 's'} ·
+            last {formatDate(gap.lastAsked)}
+          </p>
+        </div>
+
+        {isAdmin && (
+          <div className="flex items-center gap-2 flex-shrink-0">
+            <select
+              value={gap.owner?.id || ''}
+              onChange={(e) => save({ ownerId: e.target.value || null })}
+              disabled={isSaving}
+              className="input py-1.5 text-sm w-44"
+              title="Owner"
+            >
+              <option value="">Unassigned</option>
+              {users.map(user => (
+                <option key={user._id} value={user._id}>
+                  {user.firstName} {user.lastName}
+                </option>
+              ))}
+            </select>
+            {gap.status === 'open' ? (
+              <button
+                onClick={() => setIsResolving(true)}
+                className="btn btn-secondary text-sm"
+                disabled={isSaving || isResolving}
+              >
+                <CheckCircle className="h-4 w-4 mr-1" />
+                Resolve
+              </button>
+            ) : (
+              <button
+                onClick={() => save({ status: 'open' })}
+                className="btn btn-secondary text-sm"
+                disabled={isSaving}
+              >
+                <RotateCcw className="h-4 w-4 mr-1" />
+                Reopen
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+
+      {/* Why the queries failed */}
+      <div className="mt-4 flex flex-wrap gap-2">
+        {reasons.map(([reason, label]) => (
+          <span key={reason} className="badge badge-neutral">
+            {label}: {gap.reasons[reason]}
+          </span>
+        ))}
+      </div>
+
+      <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+        <div>
+          <p className="font-medium text-gray-700 mb-1">
+            Queries{gap.totalQueries > gap.queries.length ? ` (${gap.totalQueries} variants)` : ''}
+          </p>
+          <ul className="space-y-1 text-gray-600">
+            {gap.queries.map(item => (
+              <li key={item.query} className="flex justify-between">
+                <span className="truncate mr-4">{item.query}</span>
+                <span className="text-gray-400">{item.count}×</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+        <div>
+          <p className="font-medium text-gray-700 mb-1 flex items-center">
+            <Users className="h-4 w-4 mr-1" />
+            Departments
+          </p>
+          <div className="flex flex-wrap gap-2">
+            {gap.departments.map(department => (
+              <span key={department.name} className="badge badge-info">
+                {department.name} ({department.count})
+              </span>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      {/* Follow-up state */}
+      {(gap.owner || gap.status === 'resolved') && (
+        <div className="mt-4 pt-4 border-t border-gray-100 text-sm text-gray-600 space-y-1">
+          {gap.owner && !isAdmin && <p>Owner: {gap.owner.name}</p>}
+          {gap.status === 'resolved' && (
+            <p>
+              Resolved {gap.resolvedAt && formatDate(gap.resolvedAt)}
+              {gap.resolvedBy && ` by ${gap.resolvedBy.name}`}
+              {gap.resolvedDocument && (
+                <>
+                  {' with '}
+                  <Link
+                    to={`/documents/${gap.resolvedDocument.id}`}
+                    className="inline-flex items-center text-primary-600 hover:text-primary-500"
+                  >
+                    <FileText className="h-3.5 w-3.5 mr-1" />
+                    {gap.resolvedDocument.title}
+                  </Link>
+                </>
+              )}
+            </p>
+          )}
+          {gap.note && <p className="italic">{gap.note}</p>}
+        </div>
+      )}
+
+      {isResolving && (
+        <ResolveForm
+          documents={documents}
+          isSaving={isSaving}
+          onCancel={() => setIsResolving(false)}
+          onSubmit={(changes) => save({ ...changes, status: 'resolved' })}
+        />
+      )}
+    </div>
+  );
+}
+
+function KnowledgeGapsPage() {
+  const canViewAnalytics = usePrivilege('view_analytics');
+  const isOrgAdmin = useIsOrgAdmin();
+
+  const [status, setStatus] = useState('open');
+  const [range, setRange] = useState(RANGES[1]);
+  const [report, setReport] = useState(null);
+  const [users, setUsers] = useState([]);
+  const [documents, setDocuments] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchReport = useCallback(async () => {
+    setIsLoading(true);
+    setError('');
+
+    const to = new Date();
+    const from = new Date(to.getTime() - range.days * 24 * 60 * 60 * 1000);
+
+    try {
+      const response = await api.get('/organizations/knowledge-gaps', {
+        from: from.toISOString(),
+        to: to.toISOString(),
+        status,
+        limit: 50,
+      });
+      setReport(response.data);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load knowledge gaps');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [status, range]);
+
+  useEffect(() => {
+    if (canViewAnalytics) {
+      fetchReport();
+    }
+  }, [canViewAnalytics, fetchReport]);
+
+  /**
+   * Admins need people to assign and documents to resolve with
+   */
+  useEffect(() => {
+    if (!isOrgAdmin) return;
+
+    Promise.all([
+      api.get('/organizations/users', { limit: 100, isActive: 'true' }),
+      api.get('/documents', { limit: 50, sortBy: 'createdAt', sortOrder: 'desc' }),
+    ])
+      .then(([usersResponse, documentsResponse]) => {
+        setUsers(usersResponse.data?.users || []);
+        setDocuments(documentsResponse.data?.documents || []);
+      })
+      .catch(() => {
+        // The report still works without them
+      });
+  }, [isOrgAdmin]);
+
+  /**
+   * Saves a change and refreshes the report
+   * (resolving moves the gap to another tab)
+   */
+  const handleUpdate = async (gap, changes) => {
+    try {
+      await api.patch(`/organizations/knowledge-gaps/${gap.key}`, {
+        label: gap.label,
+        signatures: gap.signatures,
+        ...changes,
+      });
+      await fetchReport();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to update knowledge gap');
+    }
+  };
+
+  if (!canViewAnalytics) {
+    return <Navigate to="/dashboard" replace />;
+  }
+
+  return (
+    <div className="max-w-5xl mx-auto space-y-6">
+      {/* Page Header */}
+      <div>
+        <Link
+          to="/analytics"
+          className="inline-flex items-center text-sm text-gray-500 hover:text-gray-700 mb-2"
+        >
+          <ArrowLeft className="h-4 w-4 mr-1" />
+          Analytics
+        </Link>
+        <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+          <Lightbulb className="h-6 w-6 mr-2 text-amber-500" />
+          Knowledge Gaps
+        </h1>
+        <p className="mt-1 text-sm text-gray-500">
+          Questions employees ask that the knowledge base can't answer yet
+        </p>
+      </div>
+
+      {/* Filters */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <div className="inline-flex rounded-lg border border-gray-200 bg-white p-1">
+          {STATUS_TABS.map(tab => (
+            <button
+              key={tab.value}
+              onClick={() => setStatus(tab.value)}
+              className={`px-3 py-1.5 text-sm rounded-md ${
+                status === tab.value ? 'bg-primary-600 text-white' : 'text-gray-600 hover:bg-gray-100'
+              }`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+        <select
+          value={range.label}
+          onChange={(e) => setRange(RANGES.find(option => option.label === e.target.value))}
+          className="input w-40"
+        >
+          {RANGES.map(option => (
+            <option key={option.label} value={option.label}>Last {option.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {error && (
+        <div className="p-3 bg-red-50 border border-red-200 rounded-lg flex items-center">
+          <AlertCircle className="h-4 w-4 text-red-500 mr-2" />
+          <p className="text-sm text-red-700">{error}</p>
+        </div>
+      )}
+
+      {isLoading && !report ? (
+        <div className="space-y-4 animate-pulse">
+          {[1, 2, 3].map(i => (
+            <div key={i} className="h-40 bg-gray-100 rounded-xl" />
+          ))}
+        </div>
+      ) : report && report.gaps.length === 0 ? (
+        <div className="bg-white rounded-xl border border-gray-200 p-12 text-center">
+          <CheckCircle className="h-10 w-10 text-emerald-500 mx-auto" />
+          <p className="mt-3 text-gray-700">
+            {status === 'resolved' ? 'No resolved gaps yet.' : 'No knowledge gaps in this period.'}
+          </p>
+        </div>
+      ) : report && (
+        <>
+          <p className="text-sm text-gray-500">
+            {report.total} cluster{report.total === 1 ? '' : 's'}
+            {report.total > report.gaps.length && `, showing the top ${report.gaps.length}`}
+          </p>
+          <div className="space-y-4">
+            {report.gaps.map(gap => (
+              <GapCard
+                key={gap.key}
+                gap={gap}
+                isAdmin={isOrgAdmin}
+                users={users}
+                documents={documents}
+                onUpdate={handleUpdate}
+              />
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default KnowledgeGapsPage;
@@ -8,6 +8,9 @@
  * 
  * FEATURES:
  * - Email/password form with validation
+ * - "Sign in with SSO" for organizations using an identity provider
+ * - Second step for two-factor authentication (TwoFactorChallenge)
+ * - "Forgot password?" and a new verification link for unverified emails
  * - Error handling and display
  * - Loading state during login
  * - Link to registration page
@@ -23,8 +26,10 @@
 
 import { useState, useEffect } from 'react';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
+import api from '../services/api';
 import { useAuth } from '../context/AuthContext';
-import { Brain, Mail, Lock, AlertCircle, ArrowRight, Eye, EyeOff } from 'lucide-react';
+import TwoFactorChallenge from '../components/TwoFactorChallenge';
+import { Brain, Mail, Lock, AlertCircle, ArrowRight, Eye, EyeOff, Building2, KeyRound } from 'lucide-react';
 
 function LoginPage() {
   // Form state - controlled inputs
@@ -38,8 +43,20 @@ function LoginPage() {
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [showPassword, setShowPassword] = useState(false);
 
+  // Single sign-on
+  const [showSso, setShowSso] = useState(false);
+  const [ssoOrganization, setSsoOrganization] = useState('');
+  const [isStartingSso, setIsStartingSso] = useState(false);
+
+  // Two-factor step: { twoFactorToken, setupRequired } after a correct password
+  const [twoFactorChallenge, setTwoFactorChallenge] = useState(null);
+
+  // Organization requires a verified email: offer a new link
+  const [needsVerification, setNeedsVerification] = useState(false);
+  const [verificationMessage, setVerificationMessage] = useState('');
+
   // Hooks
-  const { login, isAuthenticated } = useAuth();
+  const { login, startSso, isAuthenticated } = useAuth();
   const navigate = useNavigate();
   const location = useLocation();
 
@@ -51,12 +68,14 @@ function LoginPage() {
    * 
    * useEffect runs after render. This effect runs when isAuthenticated changes.
    * If user is already logged in, redirect them away from login page.
+   * Not during the two-factor step - new recovery codes are shown there
+   * after the user is signed in.
    */
   useEffect(() => {
-    if (isAuthenticated) {
+    if (isAuthenticated && !twoFactorChallenge) {
       navigate(from, { replace: true });
     }
-  }, [isAuthenticated, navigate, from]);
+  }, [isAuthenticated, twoFactorChallenge, navigate, from]);
 
   /**
    * Handle input changes
@@ -75,6 +94,7 @@ function LoginPage() {
     }));
     // Clear error when user starts typing
     if (error) setError('');
+    setNeedsVerification(false);
   };
 
   /**
@@ -112,12 +132,17 @@ function LoginPage() {
     try {
       const result = await login(formData.email, formData.password);
       
-      if (result.success) {
+      if (result.twoFactorRequired) {
+        // Password was right - ask for the authenticator code
+        setTwoFactorChallenge(result.challenge);
+      } else if (result.success) {
         // Redirect to original destination or dashboard
         navigate(from, { replace: true });
       } else {
         // Display error from server
         setError(result.error || 'Login failed. Please try again.');
+        setNeedsVerification(result.code === 'EMAIL_NOT_VERIFIED');
+        setVerificationMessage('');
       }
     } catch (err) {
       // Handle unexpected errors
@@ -127,6 +152,57 @@ function LoginPage() {
     }
   };
 
+  /**
+   * Email a new verification link (login refused: email not verified)
+   */
+  const handleResendVerification = async () => {
+    try {
+      const response = await api.post('/auth/verify-email/resend', { email: formData.email });
+      setVerificationMessage(response.message);
+    } catch (err) {
+      setVerificationMessage(err.response?.data?.message || 'Could not send a new link. Please try again.');
+    }
+  };
+
+  /**
+   * Two-factor step done (or abandoned)
+   */
+  const handleTwoFactorComplete = () => {
+    setTwoFactorChallenge(null);
+    navigate(from, { replace: true });
+  };
+
+  const handleTwoFactorCancel = () => {
+    setTwoFactorChallenge(null);
+    setFormData(prev => ({ ...prev, password: '' }));
+  };
+
+  /**
+   * Start a single sign-on login
+   * 
+   * The browser goes to the organization's identity provider and comes
+   * back to /sso/callback (SsoCallbackPage).
+   */
+  const handleSsoSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (!ssoOrganization.trim()) {
+      setError('Please enter your organization name');
+      return;
+    }
+
+    setIsStartingSso(true);
+
+    // On success the browser leaves for the identity provider
+    const result = await startSso(ssoOrganization.trim(), from);
+
+    if (!result.success) {
+      setError(result.error || 'Single sign-on could not be started.');
+      setIsStartingSso(false);
+    }
+  };
+
   return (
     <div className="min-h-screen flex flex-col justify-center py-12 sm:px-6 lg:px-8 bg-gradient-to-br from-gray-50 to-gray-100">
       {/* Header */}
@@ -140,7 +216,7 @@ function LoginPage() {
         
         {/* Title */}
         <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
-          Sign in to your account
+          {twoFactorChallenge ? 'Two-step verification' : 'Sign in to your account'}
         </h2>
         <p className="mt-2 text-center text-sm text-gray-600">
           AI Internal Knowledge Search Platform
@@ -150,171 +226,233 @@ function LoginPage() {
       {/* Form container */}
       <div className="mt-8 sm:mx-auto sm:w-full sm:max-w-md">
         <div className="bg-white py-8 px-4 shadow-xl shadow-gray-200/50 sm:rounded-lg sm:px-10 border border-gray-100">
-          {/* Error message */}
-          {error && (
-            <div className="mb-4 p-4 bg-red-50 border border-red-200 rounded-lg flex items-start">
-              <AlertCircle className="h-5 w-5 text-red-500 mr-3 mt-0.5 flex-shrink-0" />
-              <p className="text-sm text-red-700">{error}</p>
-            </div>
-          )}
-
-          {/* Login form */}
-          <form className="space-y-6" onSubmit={handleSubmit}>
-            {/* Email field */}
-            <div>
-              <label 
-                htmlFor="email" 
-                className="block text-sm font-medium text-gray-700"
-              >
-                Email address
-              </label>
-              <div className="mt-1 relative">
-                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                  <Mail className="h-5 w-5 text-gray-400" />
+          {twoFactorChallenge ? (
+            <TwoFactorChallenge
+              challenge={twoFactorChallenge}
+              onComplete={handleTwoFactorComplete}
+              onCancel={handleTwoFactorCancel}
+            />
+          ) : (
+            <>
+              {/* Error message */}
+              {error && (
+                <div className="mb-4 p-4 bg-red-50 border border-red-200 rounded-lg flex items-start">
+                  <AlertCircle className="h-5 w-5 text-red-500 mr-3 mt-0.5 flex-shrink-0" />
+                  <div className="text-sm text-red-700">
+                    <p>{error}</p>
+                    {needsVerification && (
+                      verificationMessage ? (
+                        <p className="mt-1">{verificationMessage}</p>
+                      ) : (
+                        <button
+                          type="button"
+                          onClick={handleResendVerification}
+                          className="mt-1 font-medium underline"
+                        >
+                          Send a new verification link
+                        </button>
+                      )
+                    )}
+                  </div>
                 </div>
-                <input
-                  id="email"
-                  name="email"
-                  type="email"
-                  autoComplete="email"
-                  required
-                  value={formData.email}
-                  onChange={handleChange}
-                  className="input pl-10"
-                  placeholder="you@company.com"
-                />
-              </div>
-            </div>
-
-            {/* Password field */}
-            <div>
-              <label 
-                htmlFor="password" 
-                className="block text-sm font-medium text-gray-700"
-              >
-                Password
-              </label>
-              <div className="mt-1 relative">
-                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                  <Lock className="h-5 w-5 text-gray-400" />
+              )}
+
+              {/* Login form */}
+              <form className="space-y-6" onSubmit={handleSubmit}>
+                {/* Email field */}
+                <div>
+                  <label 
+                    htmlFor="email" 
+                    className="block text-sm font-medium text-gray-700"
+                  >
+                    Email address
+                  </label>
+                  <div className="mt-1 relative">
+                    <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                      <Mail className="h-5 w-5 text-gray-400" />
+                    </div>
+                    <input
+                      id="email"
+                      name="email"
+                      type="email"
+                      autoComplete="email"
+                      required
+                      value={formData.email}
+                      onChange={handleChange}
+                      className="input pl-10"
+                      placeholder="you@company.com"
+                    />
+                  </div>
                 </div>
-                <input
-                  id="password"
-                  name="password"
-                  type={showPassword ? 'text' : 'password'}
-                  autoComplete="current-password"
-                  required
-                  value={formData.password}
-                  onChange={handleChange}
-                  className="input pl-10 pr-10"
-                  placeholder="••••••••"
-                />
-                {/* Password visibility toggle */}
-                <button
-                  type="button"
-                  className="absolute inset-y-0 right-0 pr-3 flex items-center"
-                  onClick={() => setShowPassword(!showPassword)}
-                >
-                  {showPassword ? (
-                    <EyeOff className="h-5 w-5 text-gray-400 hover:text-gray-500" />
-                  ) : (
-                    <Eye className="h-5 w-5 text-gray-400 hover:text-gray-500" />
-                  )}
-                </button>
-              </div>
-            </div>
-
-            {/* Remember me and forgot password */}
-            <div className="flex items-center justify-between">
-              <div className="flex items-center">
-                <input
-                  id="remember-me"
-                  name="remember-me"
-                  type="checkbox"
-                  className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
-                />
-                <label htmlFor="remember-me" className="ml-2 block text-sm text-gray-700">
-                  Remember me
-                </label>
-              </div>
 
-              <div className="text-sm">
-                <a href="#" className="font-medium text-primary-600 hover:text-primary-500">
-                  Forgot password?
-                </a>
-              </div>
-            </div>
-
-            {/* Submit button */}
-            <div>
-              <button
-                type="submit"
-                disabled={isSubmitting}
-                className="btn btn-primary w-full group"
-              >
-                {isSubmitting ? (
-                  <>
-                    <svg 
-                      className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" 
-                      xmlns="http://www.w3.org/2000/svg" 
-                      fill="none" 
-                      viewBox="0 0 24 24"
+                {/* Password field */}
+                <div>
+                  <label 
+                    htmlFor="password" 
+                    className="block text-sm font-medium text-gray-700"
+                  >
+                    Password
+                  </label>
+                  <div className="mt-1 relative">
+                    <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                      <Lock className="h-5 w-5 text-gray-400" />
+                    </div>
+                    <input
+                      id="password"
+                      name="password"
+                      type={showPassword ? 'text' : 'password'}
+                      autoComplete="current-password"
+                      required
+                      value={formData.password}
+                      onChange={handleChange}
+                      className="input pl-10 pr-10"
+                      placeholder="••••••••"
+                    />
+                    {/* Password visibility toggle */}
+                    <button
+                      type="button"
+                      className="absolute inset-y-0 right-0 pr-3 flex items-center"
+                      onClick={() => setShowPassword(!showPassword)}
                     >
-                      <circle 
-                        className="opacity-25" 
-                        cx="12" 
-                        cy="12" 
-                        r="10" 
-                        stroke="currentColor" 
-                        strokeWidth="4"
-                      />
-                      <path 
-                        className="opacity-75" 
-                        fill="currentColor" 
-                        d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4z"
+                      {showPassword ? (
+                        <EyeOff className="h-5 w-5 text-gray-400 hover:text-gray-500" />
+                      ) : (
+                        <Eye className="h-5 w-5 text-gray-400 hover:text-gray-500" />
+                      )}
+                    </button>
+                  </div>
+                </div>
+
+                {/* Remember me and forgot password */}
+                <div className="flex items-center justify-between">
+                  <div className="flex items-center">
+                    <input
+                      id="remember-me"
+                      name="remember-me"
+                      type="checkbox"
+                      className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                    />
+                    <label htmlFor="remember-me" className="ml-2 block text-sm text-gray-700">
+                      Remember me
+                    </label>
+                  </div>
+
+                  <div className="text-sm">
+                    <Link to="/forgot-password" className="font-medium text-primary-600 hover:text-primary-500">
+                      Forgot password?
+                    </Link>
+                  </div>
+                </div>
+
+                {/* Submit button */}
+                <div>
+                  <button
+                    type="submit"
+                    disabled={isSubmitting}
+                    className="btn btn-primary w-full group"
+                  >
+                    {isSubmitting ? (
+                      <>
+                        <svg 
+                          className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" 
+                          xmlns="http://www.w3.org/2000/svg" 
+                          fill="none" 
+                          viewBox="0 0 24 24"
+                        >
+                          <circle 
+                            className="opacity-25" 
+                            cx="12" 
+                            cy="12" 
+                            r="10" 
+                            stroke="currentColor" 
+                            strokeWidth="4"
+                          />
+                          <path 
+                            className="opacity-75" 
+                            fill="currentColor" 
+                            d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4z"
+                          />
+                        </svg>
+                        Signing in...
+                      </>
+                    ) : (
+                      <>
+                        Sign in
+                        <ArrowRight className="ml-2 h-4 w-4 group-hover:translate-x-1 transition-transform" />
+                      </>
+                    )}
+                  </button>
+                </div>
+              </form>
+
+              {/* Single sign-on */}
+              <div className="mt-6">
+                {showSso ? (
+                  <form className="space-y-3" onSubmit={handleSsoSubmit}>
+                    <label htmlFor="sso-organization" className="block text-sm font-medium text-gray-700">
+                      Organization
+                    </label>
+                    <div className="relative">
+                      <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                        <Building2 className="h-5 w-5 text-gray-400" />
+                      </div>
+                      <input
+                        id="sso-organization"
+                        type="text"
+                        autoFocus
+                        value={ssoOrganization}
+                        onChange={(e) => {
+                          setSsoOrganization(e.target.value);
+                          if (error) setError('');
+                        }}
+                        className="input pl-10"
+                        placeholder="Acme Corp"
                       />
-                    </svg>
-                    Signing in...
-                  </>
+                    </div>
+                    <button type="submit" disabled={isStartingSso} className="btn btn-secondary w-full">
+                      <KeyRound className="mr-2 h-4 w-4" />
+                      {isStartingSso ? 'Redirecting...' : 'Continue with SSO'}
+                    </button>
+                  </form>
                 ) : (
-                  <>
-                    Sign in
-                    <ArrowRight className="ml-2 h-4 w-4 group-hover:translate-x-1 transition-transform" />
-                  </>
+                  <button type="button" onClick={() => setShowSso(true)} className="btn btn-secondary w-full">
+                    <KeyRound className="mr-2 h-4 w-4" />
+                    Sign in with SSO
+                  </button>
                 )}
-              </button>
-            </div>
-          </form>
-
-          {/* Divider */}
-          <div className="mt-6">
-            <div className="relative">
-              <div className="absolute inset-0 flex items-center">
-                <div className="w-full border-t border-gray-300" />
               </div>
-              <div className="relative flex justify-center text-sm">
-                <span className="px-2 bg-white text-gray-500">
-                  New to the platform?
-                </span>
+
+              {/* Divider */}
+              <div className="mt-6">
+                <div className="relative">
+                  <div className="absolute inset-0 flex items-center">
+                    <div className="w-full border-t border-gray-300" />
+                  </div>
+                  <div className="relative flex justify-center text-sm">
+                    <span className="px-2 bg-white text-gray-500">
+                      New to the platform?
+                    </span>
+                  </div>
+                </div>
               </div>
-            </div>
-          </div>
 
-          {/* Signup options */}
-          <div className="mt-6 space-y-3">
-            <Link
-              to="/signup/organization"
-              className="btn btn-primary w-full"
-            >
-              Create an Organization
-            </Link>
-            <Link
-              to="/signup/employee"
-              className="btn btn-secondary w-full"
-            >
-              Join with Secret Key
-            </Link>
-          </div>
+              {/* Signup options */}
+              <div className="mt-6 space-y-3">
+                <Link
+                  to="/signup/organization"
+                  className="btn btn-primary w-full"
+                >
+                  Create an Organization
+                </Link>
+                <Link
+                  to="/signup/employee"
+                  className="btn btn-secondary w-full"
+                >
+                  Join with Secret Key
+                </Link>
+              </div>
+            </>
+          )}
         </div>
 
         {/* Footer note */}
@@ -6,9 +6,13 @@
  * WHAT IS THIS FILE?
  * The admin dashboard for organization administrators to manage:
  * - Organization settings
- * - Users (invite, update roles, remove)
+ * - Users (update roles, remove)
+ * - Invitations (see components/OrgInvitations.jsx)
  * - Roles and privileges
- * - Secret key rotation
+ * - Secret key signup (on/off) and rotation
+ * - Two-factor authentication (require for all, reset a member's)
+ * - Single sign-on (see components/OrgSsoSettings.jsx)
+ * - Service accounts and their API tokens (see components/OrgServiceAccounts.jsx)
  * 
  * ACCESS CONTROL:
  * This page is only accessible to organization admins (isOrgAdmin = true).
@@ -20,9 +24,13 @@
 import { useState, useEffect } from 'react';
 import { useAuth } from '../context/AuthContext';
 import api from '../services/api';
+import OrgInvitations from '../components/OrgInvitations';
+import OrgSsoSettings from '../components/OrgSsoSettings';
+import OrgServiceAccounts from '../components/OrgServiceAccounts';
 import {
   Users,
   Shield,
+  Bot,
   Key,
   Building2,
   Settings,
@@ -37,7 +45,12 @@ import {
   ChevronDown,
   ChevronRight,
   CheckCircle,
-  XCircle
+  XCircle,
+  Brain,
+  Layers,
+  Mail,
+  ShieldCheck,
+  ShieldOff
 } from 'lucide-react';
 
 function OrgAdminPage() {
@@ -58,6 +71,22 @@ function OrgAdminPage() {
   const [newSecretKey, setNewSecretKey] = useState('');
   const [keyCopied, setKeyCopied] = useState(false);
   const [isRotatingKey, setIsRotatingKey] = useState(false);
+  const [allowKeySignup, setAllowKeySignup] = useState(true);
+  const [isSavingKeySignup, setIsSavingKeySignup] = useState(false);
+
+  // Two-factor state
+  const [requireTwoFactor, setRequireTwoFactor] = useState(false);
+  const [isSavingTwoFactor, setIsSavingTwoFactor] = useState(false);
+  const [requireEmailVerification, setRequireEmailVerification] = useState(false);
+  const [isSavingEmailVerification, setIsSavingEmailVerification] = useState(false);
+
+  // AI provider state
+  const [aiSettings, setAiSettings] = useState({ provider: '', model: '' });
+  const [isSavingAi, setIsSavingAi] = useState(false);
+
+  // Chunking state ('' = server default)
+  const [chunkingSettings, setChunkingSettings] = useState({ chunkSize: '', chunkOverlap: '' });
+  const [isSavingChunking, setIsSavingChunking] = useState(false);
   
   // Modal states
   const [showEditUserModal, setShowEditUserModal] = useState(false);
@@ -90,6 +119,17 @@ function OrgAdminPage() {
       // So orgResponse = { success: true, data: {...} }
       if (orgResponse.success && orgResponse.data) {
         setOrganization(orgResponse.data);
+        setAiSettings({
+          provider: orgResponse.data.settings?.ai?.provider || '',
+          model: orgResponse.data.settings?.ai?.model || ''
+        });
+        setChunkingSettings({
+          chunkSize: orgResponse.data.settings?.chunking?.chunkSize ?? '',
+          chunkOverlap: orgResponse.data.settings?.chunking?.chunkOverlap ?? ''
+        });
+        setAllowKeySignup(orgResponse.data.settings?.allowSelfRegistration ?? true);
+        setRequireTwoFactor(orgResponse.data.settings?.requireTwoFactor ?? false);
+        setRequireEmailVerification(orgResponse.data.settings?.requireEmailVerification ?? false);
       }
 
       // Users endpoint may return a paginated object { users, total, page, pages }
@@ -148,6 +188,95 @@ function OrgAdminPage() {
     }
   };
 
+  /**
+   * Turn joining with the secret key on or off (invitations always work)
+   */
+  const handleToggleKeySignup = async () => {
+    const enabled = !allowKeySignup;
+
+    try {
+      setIsSavingKeySignup(true);
+      setError(null);
+
+      const response = await api.patch('/organizations/me', {
+        settings: { allowSelfRegistration: enabled }
+      });
+
+      if (response.success) {
+        setAllowKeySignup(enabled);
+        setSuccessMessage(enabled
+          ? 'Employees can join with the secret key again.'
+          : 'Secret key signup is off. New members need an invitation.');
+        setTimeout(() => setSuccessMessage(''), 3000);
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to change secret key signup. Please try again.');
+    } finally {
+      setIsSavingKeySignup(false);
+    }
+  };
+
+  /**
+   * Save which AI provider answers questions for this organization
+   */
+  const handleSaveAiSettings = async () => {
+    try {
+      setIsSavingAi(true);
+      setError(null);
+
+      const response = await api.patch('/organizations/me', {
+        settings: {
+          ai: {
+            provider: aiSettings.provider || null,
+            model: aiSettings.provider ? (aiSettings.model.trim() || null) : null
+          }
+        }
+      });
+
+      if (response.success) {
+        setSuccessMessage('AI provider settings saved.');
+        setTimeout(() => setSuccessMessage(''), 3000);
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save AI provider settings. Please try again.');
+    } finally {
+      setIsSavingAi(false);
+    }
+  };
+
+  /**
+   * Save how documents are split into passages (applies to documents
+   * processed afterwards)
+   */
+  const handleSaveChunkingSettings = async () => {
+    try {
+      setIsSavingChunking(true);
+      setError(null);
+
+      const response = await api.patch('/organizations/me', {
+        settings: {
+          chunking: {
+            chunkSize: chunkingSettings.chunkSize === '' ? null : Number(chunkingSettings.chunkSize),
+            chunkOverlap: chunkingSettings.chunkOverlap === '' ? null : Number(chunkingSettings.chunkOverlap)
+          }
+        }
+      });
+
+      if (response.success) {
+        setSuccessMessage('Chunking settings saved. They apply to documents uploaded from now on.');
+        setTimeout(() => setSuccessMessage(''), 3000);
+      }
+    } catch (err) {
+      setError(
+        err.response?.data?.errors?.[0]?.message
+        || err.response?.data?.message
+        || 'Failed to save chunking settings. Please try again.'
+      );
+    } finally {
+      setIsSavingChunking(false);
+    }
+  };
+
   /**
    * Copy secret key to clipboard
    */
@@ -189,6 +318,85 @@ function OrgAdminPage() {
     }
   };
 
+  /**
+   * Require two-factor authentication for every member (or not)
+   */
+  const handleToggleRequireTwoFactor = async () => {
+    const required = !requireTwoFactor;
+
+    try {
+      setIsSavingTwoFactor(true);
+      setError(null);
+
+      const response = await api.patch('/organizations/me', {
+        settings: { requireTwoFactor: required }
+      });
+
+      if (response.success) {
+        setRequireTwoFactor(required);
+        setSuccessMessage(required
+          ? 'Two-factor authentication is required. Members without it set it up at their next login.'
+          : 'Two-factor authentication is optional.');
+        setTimeout(() => setSuccessMessage(''), 3000);
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to change the two-factor requirement. Please try again.');
+    } finally {
+      setIsSavingTwoFactor(false);
+    }
+  };
+
+  /**
+   * Require members to verify their email address (or not)
+   */
+  const handleToggleRequireEmailVerification = async () => {
+    const required = !requireEmailVerification;
+
+    try {
+      setIsSavingEmailVerification(true);
+      setError(null);
+
+      const response = await api.patch('/organizations/me', {
+        settings: { requireEmailVerification: required }
+      });
+
+      if (response.success) {
+        setRequireEmailVerification(required);
+        setSuccessMessage(required
+          ? 'Email verification is required. Unverified members are signed out until they open their link.'
+          : 'Email verification is optional.');
+        setTimeout(() => setSuccessMessage(''), 3000);
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to change the email verification requirement. Please try again.');
+    } finally {
+      setIsSavingEmailVerification(false);
+    }
+  };
+
+  /**
+   * Reset a member's two-factor authentication (lost device)
+   */
+  const handleResetTwoFactor = async (userId, userName) => {
+    if (!window.confirm(`Reset two-factor authentication for ${userName}? They can then sign in with only their password.`)) {
+      return;
+    }
+
+    try {
+      setError(null);
+
+      const response = await api.delete(`/organizations/users/${userId}/two-factor`);
+
+      if (response.success) {
+        setUsers(users.map(u => u._id === userId ? { ...u, twoFactor: { ...u.twoFactor, enabled: false } } : u));
+        setSuccessMessage(response.message || 'Two-factor authentication reset.');
+        setTimeout(() => setSuccessMessage(''), 3000);
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to reset two-factor authentication. Please try again.');
+    }
+  };
+
   /**
    * Remove user from organization
    */
@@ -318,6 +526,28 @@ function OrgAdminPage() {
             <Users className="inline h-5 w-5 mr-2" />
             Users
           </button>
+          <button
+            onClick={() => setActiveTab('invitations')}
+            className={`py-4 px-1 border-b-2 font-medium text-sm transition-colors ${
+              activeTab === 'invitations'
+                ? 'border-primary-500 text-primary-600'
+                : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+            }`}
+          >
+            <Mail className="inline h-5 w-5 mr-2" />
+            Invitations
+          </button>
+          <button
+            onClick={() => setActiveTab('service-accounts')}
+            className={`py-4 px-1 border-b-2 font-medium text-sm transition-colors ${
+              activeTab === 'service-accounts'
+                ? 'border-primary-500 text-primary-600'
+                : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+            }`}
+          >
+            <Bot className="inline h-5 w-5 mr-2" />
+            Service Accounts
+          </button>
           <button
             onClick={() => setActiveTab('roles')}
             className={`py-4 px-1 border-b-2 font-medium text-sm transition-colors ${
@@ -391,6 +621,11 @@ function OrgAdminPage() {
                                 Admin
                               </span>
                             )}
+                            {member.twoFactor?.enabled && (
+                              <span className="ml-2 px-2 py-0.5 text-xs bg-green-100 text-green-800 rounded" title="Two-factor authentication on">
+                                2FA
+                              </span>
+                            )}
                           </div>
                           <div className="text-sm text-gray-500">{member.email}</div>
                         </div>
@@ -424,13 +659,24 @@ function OrgAdminPage() {
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
                       {member._id !== user._id && (
-                        <button
-                          onClick={() => handleRemoveUser(member._id, `${member.firstName} ${member.lastName}`)}
-                          className="text-red-600 hover:text-red-900"
-                          title="Remove from organization"
-                        >
-                          <UserMinus className="h-5 w-5" />
-                        </button>
+                        <div className="flex justify-end gap-3">
+                          {member.twoFactor?.enabled && (
+                            <button
+                              onClick={() => handleResetTwoFactor(member._id, `${member.firstName} ${member.lastName}`)}
+                              className="text-gray-600 hover:text-gray-900"
+                              title="Reset two-factor authentication"
+                            >
+                              <ShieldOff className="h-5 w-5" />
+                            </button>
+                          )}
+                          <button
+                            onClick={() => handleRemoveUser(member._id, `${member.firstName} ${member.lastName}`)}
+                            className="text-red-600 hover:text-red-900"
+                            title="Remove from organization"
+                          >
+                            <UserMinus className="h-5 w-5" />
+                          </button>
+                        </div>
                       )}
                     </td>
                   </tr>
@@ -441,6 +687,14 @@ function OrgAdminPage() {
         </div>
       )}
 
+      {/* Invitations Tab */}
+      {activeTab === 'invitations' && <OrgInvitations roles={roles} />}
+
+      {/* Service Accounts Tab */}
+      {activeTab === 'service-accounts' && (
+        <OrgServiceAccounts roles={roles} availablePrivileges={availablePrivileges} />
+      )}
+
       {/* Roles Tab */}
       {activeTab === 'roles' && (
         <div>
@@ -512,6 +766,99 @@ function OrgAdminPage() {
             </div>
           </div>
 
+          {/* AI Provider */}
+          <div className="bg-white shadow-sm border border-gray-200 rounded-lg p-6">
+            <h3 className="text-lg font-medium text-gray-900 mb-4">
+              <Brain className="inline h-5 w-5 mr-2" />
+              AI Provider
+            </h3>
+            <p className="text-sm text-gray-600 mb-4">
+              Choose which language model answers questions for your organization.
+              API keys are configured on the server.
+            </p>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Provider</label>
+                <select
+                  value={aiSettings.provider}
+                  onChange={(e) => setAiSettings(prev => ({ ...prev, provider: e.target.value }))}
+                  className="input"
+                >
+                  <option value="">Server default</option>
+                  <option value="gemini">Google Gemini</option>
+                  <option value="openai">OpenAI-compatible</option>
+                  <option value="mock">Mock (offline testing)</option>
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Model</label>
+                <input
+                  type="text"
+                  value={aiSettings.model}
+                  onChange={(e) => setAiSettings(prev => ({ ...prev, model: e.target.value }))}
+                  disabled={!aiSettings.provider}
+                  placeholder="Provider default"
+                  className="input"
+                />
+              </div>
+            </div>
+            <button
+              onClick={handleSaveAiSettings}
+              disabled={isSavingAi}
+              className="btn btn-primary"
+            >
+              {isSavingAi ? 'Saving...' : 'Save AI Settings'}
+            </button>
+          </div>
+
+          {/* Document Chunking */}
+          <div className="bg-white shadow-sm border border-gray-200 rounded-lg p-6">
+            <h3 className="text-lg font-medium text-gray-900 mb-4">
+              <Layers className="inline h-5 w-5 mr-2" />
+              Document Chunking
+            </h3>
+            <p className="text-sm text-gray-600 mb-4">
+              Documents are split into passages along their headings for search and AI answers.
+              Larger passages give the AI more context; smaller ones give more precise citations.
+              Changes apply to documents uploaded (or re-versioned) from now on.
+            </p>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Chunk size (characters)</label>
+                <input
+                  type="number"
+                  min="200"
+                  max="4000"
+                  step="100"
+                  value={chunkingSettings.chunkSize}
+                  onChange={(e) => setChunkingSettings(prev => ({ ...prev, chunkSize: e.target.value }))}
+                  placeholder="Default (1000)"
+                  className="input"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Overlap (characters)</label>
+                <input
+                  type="number"
+                  min="0"
+                  max="1000"
+                  step="50"
+                  value={chunkingSettings.chunkOverlap}
+                  onChange={(e) => setChunkingSettings(prev => ({ ...prev, chunkOverlap: e.target.value }))}
+                  placeholder="Default (200)"
+                  className="input"
+                />
+              </div>
+            </div>
+            <button
+              onClick={handleSaveChunkingSettings}
+              disabled={isSavingChunking}
+              className="btn btn-primary"
+            >
+              {isSavingChunking ? 'Saving...' : 'Save Chunking Settings'}
+            </button>
+          </div>
+
           {/* Secret Key Management */}
           <div className="bg-white shadow-sm border border-gray-200 rounded-lg p-6">
             <h3 className="text-lg font-medium text-gray-900 mb-4">
@@ -519,9 +866,28 @@ function OrgAdminPage() {
               Secret Key Management
             </h3>
             <p className="text-sm text-gray-600 mb-4">
-              The secret key is used by employees to join your organization. 
-              Rotate it if you suspect it has been compromised.
+              The secret key lets anyone who knows it join your organization.
+              Invitations are safer: each works once, for one email address.
+              Rotate the key if you suspect it has been compromised.
             </p>
+
+            <label className="flex items-center justify-between gap-4 p-3 mb-4 bg-gray-50 rounded-lg">
+              <span>
+                <span className="block text-sm font-medium text-gray-900">Allow joining with the secret key</span>
+                <span className="block text-xs text-gray-500">
+                  {allowKeySignup
+                    ? 'Employees can sign up with the organization name and secret key.'
+                    : 'Only invited people can join.'}
+                </span>
+              </span>
+              <input
+                type="checkbox"
+                checked={allowKeySignup}
+                onChange={handleToggleKeySignup}
+                disabled={isSavingKeySignup}
+                className="h-5 w-5 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+              />
+            </label>
             
             {newSecretKey ? (
               <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 mb-4">
@@ -565,6 +931,67 @@ function OrgAdminPage() {
             </button>
           </div>
 
+          {/* Two-Factor Authentication */}
+          <div className="bg-white shadow-sm border border-gray-200 rounded-lg p-6">
+            <h3 className="text-lg font-medium text-gray-900 mb-4">
+              <ShieldCheck className="inline h-5 w-5 mr-2" />
+              Two-Factor Authentication
+            </h3>
+            <p className="text-sm text-gray-600 mb-4">
+              Members can protect their account with an authenticator app (Profile page).
+              Reset a member&apos;s two-factor authentication from the Users tab if they lose their device.
+            </p>
+            <label className="flex items-center justify-between gap-4 p-3 bg-gray-50 rounded-lg">
+              <span>
+                <span className="block text-sm font-medium text-gray-900">Require two-factor authentication</span>
+                <span className="block text-xs text-gray-500">
+                  {requireTwoFactor
+                    ? 'Members without it set it up at their next password login.'
+                    : 'Members choose for themselves.'}
+                </span>
+              </span>
+              <input
+                type="checkbox"
+                checked={requireTwoFactor}
+                onChange={handleToggleRequireTwoFactor}
+                disabled={isSavingTwoFactor}
+                className="h-5 w-5 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+              />
+            </label>
+          </div>
+
+          {/* Email Verification */}
+          <div className="bg-white shadow-sm border border-gray-200 rounded-lg p-6">
+            <h3 className="text-lg font-medium text-gray-900 mb-4">
+              <Mail className="inline h-5 w-5 mr-2" />
+              Email Verification
+            </h3>
+            <p className="text-sm text-gray-600 mb-4">
+              New members get an email with a link to confirm their address.
+              The organization owner is never blocked by this setting.
+            </p>
+            <label className="flex items-center justify-between gap-4 p-3 bg-gray-50 rounded-lg">
+              <span>
+                <span className="block text-sm font-medium text-gray-900">Require a verified email address</span>
+                <span className="block text-xs text-gray-500">
+                  {requireEmailVerification
+                    ? 'Members can\'t sign in until they open their verification link.'
+                    : 'Members can use the app before verifying.'}
+                </span>
+              </span>
+              <input
+                type="checkbox"
+                checked={requireEmailVerification}
+                onChange={handleToggleRequireEmailVerification}
+                disabled={isSavingEmailVerification}
+                className="h-5 w-5 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+              />
+            </label>
+          </div>
+
+          {/* Single Sign-On */}
+          <OrgSsoSettings roles={roles} />
+
           {/* Collection Requests */}
           <div className="bg-white shadow-sm border border-gray-200 rounded-lg p-6">
             <h3 className="text-lg font-medium text-gray-900 mb-4">
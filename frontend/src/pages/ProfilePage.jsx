@@ -8,18 +8,27 @@
  * - View their account information
  * - Update their profile details
  * - Change their password
+ * - Turn on two-factor authentication
+ * - See where they are signed in and sign devices out
+ * - Create API tokens for scripts and integrations
  * - View their activity statistics
  * 
  * SECTIONS:
  * 1. Profile Information - Name, email, department
  * 2. Password Change - Update password with current password verification
- * 3. Account Activity - Stats about searches, uploads, etc.
+ * 3. Two-Factor Authentication - Authenticator app and recovery codes
+ * 4. Active Sessions - Devices signed in, revoke one or sign out everywhere
+ * 5. API Tokens - Personal access tokens (see components/ApiTokenSettings.jsx)
+ * 6. Account Activity - Stats about searches, uploads, etc.
  * 
  * =============================================================================
  */
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { useAuth } from '../context/AuthContext';
+import api from '../services/api';
+import TwoFactorSettings from '../components/TwoFactorSettings';
+import ApiTokenSettings from '../components/ApiTokenSettings';
 import {
   User,
   Mail,
@@ -35,11 +44,13 @@ import {
   Calendar,
   FileText,
   Search,
-  MessageSquare
+  MessageSquare,
+  Monitor,
+  LogOut
 } from 'lucide-react';
 
 function ProfilePage() {
-  const { user, updateProfile } = useAuth();
+  const { user, updateProfile, logout } = useAuth();
 
   // Profile form state
   const [profileData, setProfileData] = useState({
@@ -75,6 +86,15 @@ function ProfilePage() {
   });
   const [statsLoading, setStatsLoading] = useState(true);
 
+  // Active sessions
+  const [sessions, setSessions] = useState([]);
+  const [sessionsLoading, setSessionsLoading] = useState(true);
+  const [sessionsError, setSessionsError] = useState('');
+  const [revokingId, setRevokingId] = useState(null);
+
+  // Email verification
+  const [verificationMessage, setVerificationMessage] = useState('');
+
   /**
    * Initialize profile form with user data
    */
@@ -101,6 +121,62 @@ function ProfilePage() {
     setStatsLoading(false);
   }, []);
 
+  /**
+   * Fetch the devices the user is signed in on
+   */
+  /**
+   * Email a new verification link
+   */
+  const handleResendVerification = async () => {
+    try {
+      const response = await api.post('/auth/verify-email/resend', { email: user.email });
+      setVerificationMessage(response.message);
+    } catch (err) {
+      setVerificationMessage(err.response?.data?.message || 'Could not send a new link. Please try again.');
+    }
+  };
+
+  const fetchSessions = useCallback(async () => {
+    try {
+      const response = await api.get('/auth/sessions');
+      setSessions(response.data);
+      setSessionsError('');
+    } catch (err) {
+      setSessionsError(err.response?.data?.message || 'Failed to load sessions');
+    } finally {
+      setSessionsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  /**
+   * Sign out one device
+   */
+  const handleRevokeSession = async (sessionId) => {
+    setRevokingId(sessionId);
+    try {
+      await api.delete(`/auth/sessions/${sessionId}`);
+      setSessions(prev => prev.filter(session => session.id !== sessionId));
+    } catch (err) {
+      setSessionsError(err.response?.data?.message || 'Failed to revoke session');
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  /**
+   * Sign out every device, this one included
+   */
+  const handleSignOutEverywhere = async () => {
+    if (!window.confirm('Sign out on all devices? You will need to log in again here too.')) {
+      return;
+    }
+    await logout({ everywhere: true });
+  };
+
   /**
    * Handle profile form changes
    */
@@ -175,12 +251,13 @@ function ProfilePage() {
         newPassword: passwordData.newPassword
       });
 
-      setPasswordSuccess('Password changed successfully!');
+      setPasswordSuccess('Password changed successfully! Your other devices have been signed out.');
       setPasswordData({
         currentPassword: '',
         newPassword: '',
         confirmPassword: ''
       });
+      fetchSessions();
     } catch (err) {
       setPasswordError(err.response?.data?.message || 'Failed to change password');
     } finally {
@@ -486,6 +563,75 @@ function ProfilePage() {
               </div>
             </form>
           </div>
+
+          {/* Two-Factor Authentication */}
+          <TwoFactorSettings />
+
+          {/* Active Sessions */}
+          <div className="bg-white rounded-xl border border-gray-200 p-6">
+            <div className="flex items-center justify-between mb-6">
+              <h2 className="text-lg font-medium text-gray-900">Active Sessions</h2>
+              <button
+                onClick={handleSignOutEverywhere}
+                className="text-sm font-medium text-red-600 hover:text-red-500 flex items-center"
+              >
+                <LogOut className="h-4 w-4 mr-1" />
+                Sign out everywhere
+              </button>
+            </div>
+
+            {sessionsError && (
+              <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg flex items-center">
+                <AlertCircle className="h-4 w-4 text-red-500 mr-2" />
+                <p className="text-sm text-red-700">{sessionsError}</p>
+              </div>
+            )}
+
+            {sessionsLoading ? (
+              <div className="space-y-3 animate-pulse">
+                {[1, 2].map(i => (
+                  <div key={i} className="h-12 bg-gray-100 rounded-lg" />
+                ))}
+              </div>
+            ) : (
+              <ul className="divide-y divide-gray-100">
+                {sessions.map(session => (
+                  <li key={session.id} className="py-3 flex items-center justify-between">
+                    <div className="flex items-center min-w-0">
+                      <div className="p-2 bg-gray-50 rounded-lg">
+                        <Monitor className="h-5 w-5 text-gray-500" />
+                      </div>
+                      <div className="ml-3 min-w-0">
+                        <p className="text-sm font-medium text-gray-900 flex items-center">
+                          {session.device}
+                          {session.current && (
+                            <span className="ml-2 px-2 py-0.5 text-xs font-medium bg-green-100 text-green-700 rounded-full">
+                              This device
+                            </span>
+                          )}
+                        </p>
+                        <p className="text-xs text-gray-500 truncate">
+                          {session.ip || 'Unknown IP'} · Last active {new Date(session.lastUsedAt).toLocaleString()}
+                        </p>
+                      </div>
+                    </div>
+                    {!session.current && (
+                      <button
+                        onClick={() => handleRevokeSession(session.id)}
+                        disabled={revokingId === session.id}
+                        className="btn btn-secondary text-sm"
+                      >
+                        {revokingId === session.id ? 'Revoking...' : 'Revoke'}
+                      </button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          {/* API Tokens */}
+          <ApiTokenSettings />
         </div>
 
         {/* Right Column - Account Info & Stats */}
@@ -517,6 +663,22 @@ function ProfilePage() {
                 <span>Joined {user?.createdAt ? formatDate(user.createdAt) : 'N/A'}</span>
               </div>
             </div>
+
+            {user?.emailVerified === false && (
+              <div className="mt-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+                <p className="flex items-center">
+                  <Mail className="h-4 w-4 mr-2" />
+                  Your email address isn&apos;t verified yet.
+                </p>
+                {verificationMessage ? (
+                  <p className="mt-1 text-xs">{verificationMessage}</p>
+                ) : (
+                  <button onClick={handleResendVerification} className="mt-1 text-xs font-medium underline">
+                    Send a new verification link
+                  </button>
+                )}
+              </div>
+            )}
           </div>
 
           {/* Activity Stats */}
@@ -12,6 +12,11 @@
  * - "search" mode: Keyword-based search returning matching documents
  * - "ai" mode: Natural language Q&A returning AI-generated answers with citations
  * 
+ * CONVERSATIONS (AI mode):
+ * Questions are asked inside a conversation thread, so follow-ups like
+ * "and what about contractors?" are understood. The sidebar lists the
+ * user's threads; earlier turns are shown above the latest answer.
+ * 
  * USER EXPERIENCE CONSIDERATIONS:
  * - Instant search with debouncing (wait for user to stop typing)
  * - Clear distinction between search modes
@@ -21,10 +26,16 @@
  * =============================================================================
  */
 
-import { useState, useEffect, useCallback } from 'react';
-import { useSearchParams, Link } from 'react-router-dom';
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { useSearchParams, useNavigate, Link } from 'react-router-dom';
 import api from '../services/api';
+import { useSearchSuggestions } from '../hooks/useSearchSuggestions';
 import MindMapVisualization from '../components/MindMapVisualization';
+import ConversationSidebar from '../components/ConversationSidebar';
+import SearchFacets from '../components/SearchFacets';
+import HighlightedText from '../components/HighlightedText';
+import { passageLocation } from '../components/DocumentPassage';
+import SearchSyntaxHelp from '../components/SearchSyntaxHelp';
 import {
   Search,
   Brain,
@@ -42,12 +53,38 @@ import {
   AlertCircle,
   BookOpen,
   MessageSquare,
-  Network
+  Network,
+  Tag,
+  TrendingUp
 } from 'lucide-react';
 
+/**
+ * citationLink - The cited passage on the document page (PDFs open at its page)
+ */
+const citationLink = ({ documentId, chunkIndex, startPage }) => {
+  const params = new URLSearchParams();
+  if (chunkIndex !== undefined && chunkIndex !== null) params.set('chunk', chunkIndex);
+  if (startPage) params.set('page', startPage);
+  const search = params.toString();
+  return `/documents/${documentId}${search ? `?${search}` : ''}`;
+};
+
+// No facet filters selected
+const EMPTY_FACET_SELECTION = {
+  category: [],
+  department: [],
+  tags: [],
+  fileType: [],
+  accessLevel: [],
+  uploadedBy: '',
+  collection: '',
+  uploaded: ''
+};
+
 function SearchPage() {
   // URL search params for maintaining state in URL
   const [searchParams, setSearchParams] = useSearchParams();
+  const navigate = useNavigate();
   
   // Get initial mode from URL (default to 'search')
   const initialMode = searchParams.get('mode') || 'search';
@@ -60,15 +97,21 @@ function SearchPage() {
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
   const [hasSearched, setHasSearched] = useState(false);
+  const [popularSearches, setPopularSearches] = useState([]);
   
   // Filters
   const [showFilters, setShowFilters] = useState(false);
   const [filters, setFilters] = useState({
-    category: '',
-    dateRange: '',
     sortBy: 'relevance'
   });
 
+  // Faceted filters (sidebar next to the results)
+  const [selectedFacets, setSelectedFacets] = useState(EMPTY_FACET_SELECTION);
+  const [facets, setFacets] = useState(null);
+  const [total, setTotal] = useState(0);
+  // The query the current results are for - facet clicks re-run it
+  const [searchedQuery, setSearchedQuery] = useState('');
+
   // Feedback state
   const [feedback, setFeedback] = useState(null);
   const [showCitations, setShowCitations] = useState(true);
@@ -77,6 +120,38 @@ function SearchPage() {
   const [selectedDocs, setSelectedDocs] = useState([]);
   const [selectionMessage, setSelectionMessage] = useState('');
 
+  // Conversation threads (AI mode)
+  const [conversations, setConversations] = useState([]);
+  const [conversationsLoading, setConversationsLoading] = useState(false);
+  const [conversationId, setConversationId] = useState(null);
+  const [previousTurns, setPreviousTurns] = useState([]);
+
+  // Lets a new question (or leaving the page) cancel a running answer stream
+  const answerControllerRef = useRef(null);
+
+  useEffect(() => () => answerControllerRef.current?.abort(), []);
+
+  /**
+   * Load the user's conversations for the sidebar
+   */
+  const loadConversations = useCallback(async () => {
+    setConversationsLoading(true);
+    try {
+      const response = await api.get('/conversations');
+      setConversations(response.data || []);
+    } catch (err) {
+      console.error('Failed to load conversations:', err);
+    } finally {
+      setConversationsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (mode === 'ai') {
+      loadConversations();
+    }
+  }, [mode, loadConversations]);
+
   /**
    * Debounce function
    * 
@@ -96,7 +171,7 @@ function SearchPage() {
   /**
    * Perform document search
    */
-  const performSearch = async (searchQuery) => {
+  const performSearch = async (searchQuery, selection = selectedFacets) => {
     if (!searchQuery.trim()) {
       setResults([]);
       setHasSearched(false);
@@ -106,34 +181,128 @@ function SearchPage() {
     setIsLoading(true);
     setError(null);
     setHasSearched(true);
+    setSearchedQuery(searchQuery);
+
+    // Lists go as "a,b"; empty filters are left out
+    const list = (values) => (values.length > 0 ? values.join(',') : undefined);
 
     try {
       const response = await api.get('/search', {
         q: searchQuery,
-        category: filters.category || undefined,
+        category: list(selection.category),
+        department: list(selection.department),
+        tags: list(selection.tags),
+        fileType: list(selection.fileType),
+        accessLevel: list(selection.accessLevel),
+        uploadedBy: selection.uploadedBy || undefined,
+        collection: selection.collection || undefined,
+        uploadedWithin: selection.uploaded || undefined,
         sortBy: filters.sortBy
       });
 
       setResults(response.data?.documents || []);
+      setTotal(response.data?.total || 0);
+      setFacets(response.data?.facets || null);
     } catch (err) {
       console.error('Search error:', err);
-      setError('Failed to search documents. Please try again.');
+      // 400s explain what's wrong with the query (e.g. an unclosed quote)
+      setError(
+        err.response?.status === 400
+          ? err.response.data?.errors?.[0]?.message || err.response.data?.message
+          : 'Failed to search documents. Please try again.'
+      );
       setResults([]);
+      setTotal(0);
     } finally {
       setIsLoading(false);
     }
   };
 
+  /**
+   * Tick / untick a facet value and search again
+   * List dimensions toggle membership, single-value ones replace (or clear)
+   */
+  const handleFacetToggle = (dimension, value) => {
+    const current = selectedFacets[dimension];
+    const next = {
+      ...selectedFacets,
+      [dimension]: Array.isArray(current)
+        ? (current.includes(value) ? current.filter((item) => item !== value) : [...current, value])
+        : (current === value ? '' : value),
+    };
+
+    setSelectedFacets(next);
+    performSearch(searchedQuery, next);
+  };
+
+  const clearFacets = () => {
+    setSelectedFacets(EMPTY_FACET_SELECTION);
+    performSearch(searchedQuery, EMPTY_FACET_SELECTION);
+  };
+
+  /**
+   * Show the document picker (AI not available for this question)
+   */
+  const showDocumentSelection = (payload) => {
+    setSelectionCandidates(payload.candidates || []);
+    setSelectionMessage(payload.message || 'Select 1-2 documents to answer from specific sources.');
+    setSelectedDocs([]);
+  };
+
+  /**
+   * Stream an AI answer token by token
+   * 
+   * The loading spinner is replaced by the answer card as soon as the
+   * first token arrives; citations and the mindmap follow in the final
+   * "done" event.
+   */
+  const streamAI = (question, threadId, signal) => {
+    return api.stream('/search/ask/stream', { question, conversationId: threadId }, {
+      signal,
+      onEvent: (event, data) => {
+        if (event === 'token') {
+          setIsLoading(false);
+          setAiAnswer((prev) => ({
+            ...prev,
+            question,
+            answer: (prev?.answer || '') + data.text,
+            streaming: true,
+          }));
+        } else if (event === 'done') {
+          setAiAnswer((prev) => ({ ...prev, ...data, streaming: false }));
+          loadConversations();
+        } else if (event === 'select_documents') {
+          setAiAnswer(null);
+          showDocumentSelection(data);
+        } else if (event === 'error') {
+          setAiAnswer(null);
+          setError(data.message || 'Failed to get AI answer. Please try again.');
+        }
+      },
+    });
+  };
+
   /**
    * Perform AI question answering
    */
   const askAI = async (question, selectedDocumentIds = []) => {
+    // Stop any answer that is still streaming
+    answerControllerRef.current?.abort();
+
     if (!question.trim()) {
       setAiAnswer(null);
       setHasSearched(false);
       return;
     }
 
+    const controller = new AbortController();
+    answerControllerRef.current = controller;
+
+    // The finished answer becomes an earlier turn of the conversation
+    if (conversationId && aiAnswer?.question && !aiAnswer.streaming) {
+      setPreviousTurns((prev) => [...prev, { question: aiAnswer.question, answer: aiAnswer.answer }]);
+    }
+
     setIsLoading(true);
     setError(null);
     setHasSearched(true);
@@ -141,17 +310,28 @@ function SearchPage() {
     setFeedback(null);
 
     try {
+      if (selectedDocumentIds.length === 0) {
+        // Every streamed question belongs to a conversation thread
+        let threadId = conversationId;
+        if (!threadId) {
+          const created = await api.post('/conversations', { title: question });
+          threadId = created.data.conversation._id;
+          setConversationId(threadId);
+        }
+
+        await streamAI(question, threadId, controller.signal);
+        return;
+      }
+
       const response = await api.post('/search/ask', {
         question: question,
-        ...(selectedDocumentIds.length > 0 ? { selectedDocumentIds } : {})
+        selectedDocumentIds
       });
 
       const payload = response?.data || response;
 
       if (payload?.mode === 'select_documents') {
-        setSelectionCandidates(payload.candidates || []);
-        setSelectionMessage(payload.message || 'Select 1-2 documents to answer from specific sources.');
-        setSelectedDocs([]);
+        showDocumentSelection(payload);
         return;
       }
 
@@ -162,42 +342,148 @@ function SearchPage() {
       // Response includes answer, citations, mindmap, queryId, responseTime
       setAiAnswer(payload);
     } catch (err) {
+      // Replaced by a newer question - nothing to report
+      if (err.name === 'AbortError') return;
+
       console.error('AI search error:', err);
       setError(
         err.response?.data?.message || 
         'Failed to get AI answer. Please try again.'
       );
     } finally {
-      setIsLoading(false);
+      if (answerControllerRef.current === controller) {
+        setIsLoading(false);
+      }
     }
   };
 
   /**
-   * Handle search form submission
+   * Reopen a conversation from the sidebar
+   * 
+   * The last turn is shown as the current answer, the others above it.
    */
-  const handleSubmit = (e) => {
-    e.preventDefault();
-    
+  const openConversation = async (id) => {
+    answerControllerRef.current?.abort();
+    setError(null);
+    setSelectionCandidates([]);
+    setSelectionMessage('');
+
+    try {
+      const response = await api.get(`/conversations/${id}`);
+      const turns = response.data?.turns || [];
+      const lastTurn = turns[turns.length - 1];
+
+      setConversationId(id);
+      setPreviousTurns(turns.slice(0, -1));
+      setFeedback(null);
+      setHasSearched(Boolean(lastTurn));
+      setQuery(lastTurn?.question || '');
+      setAiAnswer(lastTurn ? {
+        question: lastTurn.question,
+        answer: lastTurn.answer,
+        citations: lastTurn.citations,
+        queryId: lastTurn.queryLog,
+      } : null);
+    } catch (err) {
+      console.error('Failed to load conversation:', err);
+      setError(err.response?.data?.message || 'Failed to load conversation.');
+    }
+  };
+
+  /**
+   * Start over with an empty conversation
+   */
+  const startNewConversation = () => {
+    answerControllerRef.current?.abort();
+    setConversationId(null);
+    setPreviousTurns([]);
+    setAiAnswer(null);
+    setQuery('');
+    setHasSearched(false);
+    setError(null);
+    setSelectionCandidates([]);
+    setSelectionMessage('');
+  };
+
+  /**
+   * Delete a conversation from the sidebar
+   */
+  const deleteConversation = async (id) => {
+    if (!window.confirm('Delete this conversation?')) return;
+
+    try {
+      await api.delete(`/conversations/${id}`);
+      if (id === conversationId) {
+        startNewConversation();
+      }
+      loadConversations();
+    } catch (err) {
+      console.error('Failed to delete conversation:', err);
+      setError(err.response?.data?.message || 'Failed to delete conversation.');
+    }
+  };
+
+  /**
+   * Run a search or question for the given text
+   */
+  const submitQuery = (text) => {
     // Update URL with search params
-    setSearchParams({ mode, q: query });
+    setSearchParams({ mode, q: text });
     
     if (mode === 'search') {
-      performSearch(query);
+      performSearch(text);
     } else {
       setSelectionCandidates([]);
       setSelectedDocs([]);
       setSelectionMessage('');
-      askAI(query);
+      askAI(text);
     }
   };
 
+  /**
+   * Typeahead: a document opens it, a query or tag runs it
+   */
+  const typeahead = useSearchSuggestions(query, {
+    onSelect: (suggestion) => {
+      if (suggestion.type === 'document') {
+        navigate(`/documents/${suggestion.documentId}`);
+        return;
+      }
+      setQuery(suggestion.text);
+      submitQuery(suggestion.text);
+    },
+  });
+
+  /**
+   * Handle search form submission
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    typeahead.close();
+    submitQuery(query);
+  };
+
+  /**
+   * Popular searches of the organization, shown before the first search
+   */
+  useEffect(() => {
+    if (mode !== 'search') return;
+
+    api.get('/search/popular', { limit: 8 })
+      .then((response) => setPopularSearches(response.data || []))
+      .catch(() => setPopularSearches([]));
+  }, [mode]);
+
   /**
    * Handle mode change
    */
   const handleModeChange = (newMode) => {
+    answerControllerRef.current?.abort();
     setMode(newMode);
     setResults([]);
     setAiAnswer(null);
+    setConversationId(null);
+    setPreviousTurns([]);
     setSelectionCandidates([]);
     setSelectedDocs([]);
     setSelectionMessage('');
@@ -248,7 +534,20 @@ function SearchPage() {
   ];
 
   return (
-    <div className="space-y-6">
+    <div className={mode === 'ai' ? 'lg:flex lg:items-start lg:gap-6' : ''}>
+      {/* Conversation threads (AI mode) */}
+      {mode === 'ai' && (
+        <ConversationSidebar
+          conversations={conversations}
+          activeId={conversationId}
+          isLoading={conversationsLoading}
+          onSelect={openConversation}
+          onNew={startNewConversation}
+          onDelete={deleteConversation}
+        />
+      )}
+
+    <div className="flex-1 min-w-0 space-y-6">
       {/* Page Header */}
       <div>
         <h1 className="text-2xl font-bold text-gray-900">
@@ -305,10 +604,18 @@ function SearchPage() {
             type="text"
             value={query}
             onChange={(e) => setQuery(e.target.value)}
+            onKeyDown={typeahead.handleKeyDown}
+            onBlur={typeahead.close}
+            autoComplete="off"
+            role="combobox"
+            aria-expanded={typeahead.isOpen}
+            aria-autocomplete="list"
             placeholder={
               mode === 'search' 
                 ? 'Search documents by keywords...'
-                : 'Ask a question about your documents...'
+                : conversationId
+                  ? 'Ask a follow-up question...'
+                  : 'Ask a question about your documents...'
             }
             className="block w-full pl-12 pr-20 py-4 text-base border border-gray-300 rounded-xl focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent shadow-sm"
           />
@@ -339,44 +646,66 @@ function SearchPage() {
               )}
             </button>
           </div>
+
+          {/* Typeahead suggestions */}
+          {typeahead.isOpen && (
+            <ul
+              role="listbox"
+              className="absolute z-20 mt-2 w-full bg-white border border-gray-200 rounded-xl shadow-lg py-2"
+            >
+              {typeahead.suggestions.map((suggestion, index) => {
+                const Icon = suggestion.type === 'document'
+                  ? FileText
+                  : suggestion.type === 'tag' ? Tag : Clock;
+
+                return (
+                  <li
+                    key={`${suggestion.type}-${suggestion.documentId || suggestion.text}`}
+                    role="option"
+                    aria-selected={index === typeahead.activeIndex}
+                    // mousedown instead of click: runs before the input's blur closes the list
+                    onMouseDown={(e) => {
+                      e.preventDefault();
+                      typeahead.select(suggestion);
+                    }}
+                    className={`flex items-center px-4 py-2 text-sm cursor-pointer ${
+                      index === typeahead.activeIndex ? 'bg-primary-50 text-primary-700' : 'text-gray-700 hover:bg-gray-50'
+                    }`}
+                  >
+                    <Icon className="h-4 w-4 mr-3 text-gray-400 flex-shrink-0" />
+                    <span className="truncate">{suggestion.text}</span>
+                    <span className="ml-auto pl-3 text-xs text-gray-400">
+                      {suggestion.type === 'document' ? 'Document' : suggestion.type === 'tag' ? 'Tag' : 'Search'}
+                    </span>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
         </div>
 
-        {/* Filters for search mode */}
+        {/* Sort options for search mode (filters live in the sidebar next to the results) */}
         {mode === 'search' && (
           <div>
-            <button
-              type="button"
-              onClick={() => setShowFilters(!showFilters)}
-              className="flex items-center text-sm text-gray-600 hover:text-gray-900"
-            >
-              <Filter className="h-4 w-4 mr-1" />
-              Filters
-              {showFilters ? (
-                <ChevronUp className="h-4 w-4 ml-1" />
-              ) : (
-                <ChevronDown className="h-4 w-4 ml-1" />
-              )}
-            </button>
+            <div className="flex items-center gap-6">
+              <button
+                type="button"
+                onClick={() => setShowFilters(!showFilters)}
+                className="flex items-center text-sm text-gray-600 hover:text-gray-900"
+              >
+                <Filter className="h-4 w-4 mr-1" />
+                Options
+                {showFilters ? (
+                  <ChevronUp className="h-4 w-4 ml-1" />
+                ) : (
+                  <ChevronDown className="h-4 w-4 ml-1" />
+                )}
+              </button>
+              <SearchSyntaxHelp onExample={setQuery} />
+            </div>
 
             {showFilters && (
               <div className="mt-4 p-4 bg-gray-50 rounded-lg grid grid-cols-1 sm:grid-cols-3 gap-4">
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">
-                    Category
-                  </label>
-                  <select
-                    value={filters.category}
-                    onChange={(e) => setFilters(prev => ({ ...prev, category: e.target.value }))}
-                    className="input"
-                  >
-                    <option value="">All Categories</option>
-                    <option value="policy">Policy</option>
-                    <option value="procedure">Procedure</option>
-                    <option value="guide">Guide</option>
-                    <option value="faq">FAQ</option>
-                    <option value="other">Other</option>
-                  </select>
-                </div>
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-1">
                     Sort By
@@ -398,6 +727,30 @@ function SearchPage() {
         )}
       </form>
 
+      {/* Popular searches before the first search */}
+      {mode === 'search' && !hasSearched && popularSearches.length > 0 && (
+        <div>
+          <div className="flex items-center mb-3 text-sm font-medium text-gray-700">
+            <TrendingUp className="h-4 w-4 mr-2 text-primary-600" />
+            Popular in your organization
+          </div>
+          <div className="flex flex-wrap gap-2">
+            {popularSearches.map((item) => (
+              <button
+                key={item.query}
+                onClick={() => {
+                  setQuery(item.query);
+                  submitQuery(item.query);
+                }}
+                className="px-3 py-1.5 bg-white border border-gray-200 rounded-full text-sm text-gray-700 hover:border-primary-300 hover:text-primary-700 transition-colors"
+              >
+                {item.query}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Example questions for AI mode */}
       {mode === 'ai' && !hasSearched && (
         <div className="bg-gradient-to-br from-primary-50 to-secondary-50 rounded-xl p-6">
@@ -493,9 +846,9 @@ function SearchPage() {
                       <h4 className="mt-2 text-sm font-medium text-gray-900 line-clamp-1">
                         {doc.title}
                       </h4>
-                      {doc.description && (
+                      {(doc.summary || doc.description) && (
                         <p className="mt-1 text-xs text-gray-600 line-clamp-2">
-                          {doc.description}
+                          {doc.summary || doc.description}
                         </p>
                       )}
                     </div>
@@ -532,6 +885,21 @@ function SearchPage() {
         </div>
       )}
 
+      {/* Earlier turns of the conversation */}
+      {mode === 'ai' && previousTurns.length > 0 && (
+        <div className="space-y-3">
+          {previousTurns.map((turn, index) => (
+            <div key={index} className="bg-white rounded-xl border border-gray-200 p-4 shadow-sm">
+              <p className="flex items-start text-sm font-medium text-gray-900">
+                <MessageSquare className="h-4 w-4 mr-2 mt-0.5 text-primary-600 flex-shrink-0" />
+                {turn.question}
+              </p>
+              <p className="mt-2 text-sm text-gray-600 whitespace-pre-line">{turn.answer}</p>
+            </div>
+          ))}
+        </div>
+      )}
+
       {/* AI Answer */}
       {mode === 'ai' && aiAnswer && !isLoading && (
         <div className="space-y-6">
@@ -573,7 +941,9 @@ function SearchPage() {
                 <span className="font-medium text-gray-900">AI Answer</span>
               </div>
               <span className="text-xs text-gray-500">
-                Powered by AI · Based on {aiAnswer.citations?.length || 0} source(s)
+                {aiAnswer.streaming
+                  ? 'Writing answer...'
+                  : `Powered by AI · Based on ${aiAnswer.citations?.length || 0} source(s)`}
               </span>
             </div>
           </div>
@@ -582,6 +952,9 @@ function SearchPage() {
           <div className="p-6">
             <div className="prose prose-sm max-w-none text-gray-700">
               {aiAnswer.answer}
+              {aiAnswer.streaming && (
+                <span className="inline-block w-2 h-4 ml-0.5 align-middle bg-primary-600 animate-pulse" />
+              )}
             </div>
 
             {/* Citations */}
@@ -613,14 +986,17 @@ function SearchPage() {
                               {index + 1}
                             </span>
                             <Link 
-                              to={`/documents/${citation.documentId}`}
+                              to={citationLink(citation)}
                               className="ml-2 text-sm font-medium text-gray-900 hover:text-primary-600"
                             >
                               {citation.documentTitle}
                             </Link>
+                            {(citation.startPage || citation.sectionPath) && (
+                              <span className="ml-2 text-xs text-gray-500">{passageLocation(citation)}</span>
+                            )}
                           </div>
                           <Link 
-                            to={`/documents/${citation.documentId}`}
+                            to={citationLink(citation)}
                             className="text-gray-400 hover:text-gray-600"
                           >
                             <ExternalLink className="h-4 w-4" />
@@ -636,7 +1012,8 @@ function SearchPage() {
               </div>
             )}
 
-            {/* Feedback */}
+            {/* Feedback (needs the queryId from the finished answer) */}
+            {aiAnswer.queryId && (
             <div className="mt-6 pt-4 border-t border-gray-100">
               <div className="flex items-center justify-between">
                 <span className="text-sm text-gray-600">Was this answer helpful?</span>
@@ -671,80 +1048,125 @@ function SearchPage() {
                 </p>
               )}
             </div>
+            )}
           </div>
         </div>
         </div>
       )}
 
       {/* Search Results */}
-      {mode === 'search' && hasSearched && !isLoading && (
-        <div>
-          {/* Results count */}
-          <p className="text-sm text-gray-600 mb-4">
-            {results.length === 0 
-              ? 'No documents found'
-              : `Found ${results.length} document${results.length === 1 ? '' : 's'}`
-            }
-          </p>
+      {mode === 'search' && hasSearched && (
+        <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+          {/* Filter sidebar - stays while new results load */}
+          <aside className="lg:col-span-1">
+            <SearchFacets
+              facets={facets}
+              selected={selectedFacets}
+              onToggle={handleFacetToggle}
+              onClear={clearFacets}
+            />
+          </aside>
 
-          {/* Results list */}
-          {results.length > 0 ? (
-            <div className="space-y-4">
-              {results.map((doc) => (
-                <Link
-                  key={doc._id}
-                  to={`/documents/${doc._id}`}
-                  className="block bg-white rounded-lg border border-gray-200 p-4 hover:border-primary-300 hover:shadow-sm transition-all"
-                >
-                  <div className="flex items-start justify-between">
-                    <div className="flex items-start space-x-3">
-                      <div className="p-2 bg-blue-50 rounded-lg">
-                        <FileText className="h-5 w-5 text-blue-500" />
-                      </div>
-                      <div>
-                        <h3 className="text-base font-medium text-gray-900 hover:text-primary-600">
-                          {doc.title}
-                        </h3>
-                        <p className="text-sm text-gray-500 mt-1 line-clamp-2">
-                          {doc.description || doc.excerpt || 'No description available'}
-                        </p>
-                        <div className="flex items-center gap-4 mt-2 text-xs text-gray-500">
-                          <span className="flex items-center">
-                            <Clock className="h-3 w-3 mr-1" />
-                            {new Date(doc.createdAt).toLocaleDateString()}
-                          </span>
-                          {doc.category && (
-                            <span className="px-2 py-0.5 bg-gray-100 rounded text-gray-600">
-                              {doc.category}
-                            </span>
-                          )}
+          <div className="lg:col-span-3">
+            {isLoading ? (
+              <div className="flex justify-center py-12">
+                <RefreshCcw className="h-6 w-6 text-gray-400 animate-spin" />
+              </div>
+            ) : (
+              <>
+                {/* Results count */}
+                <p className="text-sm text-gray-600 mb-4">
+                  {total === 0 
+                    ? 'No documents found'
+                    : `Found ${total} document${total === 1 ? '' : 's'}`
+                  }
+                </p>
+
+                {/* Results list */}
+                {results.length > 0 ? (
+                  <div className="space-y-4">
+                    {results.map((doc) => (
+                      <div
+                        key={doc._id}
+                        className="bg-white rounded-lg border border-gray-200 p-4 hover:border-primary-300 hover:shadow-sm transition-all"
+                      >
+                        <div className="flex items-start justify-between">
+                          <div className="flex items-start space-x-3 min-w-0">
+                            <div className="p-2 bg-blue-50 rounded-lg">
+                              <FileText className="h-5 w-5 text-blue-500" />
+                            </div>
+                            <div className="min-w-0">
+                              <Link to={`/documents/${doc._id}`}>
+                                <h3 className="text-base font-medium text-gray-900 hover:text-primary-600">
+                                  {doc.title}
+                                </h3>
+                              </Link>
+                              {doc.snippets?.length > 0 ? (
+                                // Where the query matched - each links to that passage
+                                <div className="mt-1 space-y-1">
+                                  {doc.snippets.map((snippet) => (
+                                    <Link
+                                      key={snippet.chunkIndex}
+                                      to={`/documents/${doc._id}?chunk=${snippet.chunkIndex}&q=${encodeURIComponent(searchedQuery)}${snippet.startPage ? `&page=${snippet.startPage}` : ''}`}
+                                      className="block text-sm text-gray-600 rounded px-1 -mx-1 hover:bg-gray-50"
+                                    >
+                                      <span className="mr-2 text-xs font-medium text-primary-600">
+                                        {passageLocation(snippet)}
+                                      </span>
+                                      {snippet.truncatedStart && '…'}
+                                      <HighlightedText text={snippet.text} highlights={snippet.highlights} />
+                                      {snippet.truncatedEnd && '…'}
+                                    </Link>
+                                  ))}
+                                </div>
+                              ) : (
+                                <p className="text-sm text-gray-500 mt-1 line-clamp-2">
+                                  {doc.summary || doc.description || doc.excerpt || 'No description available'}
+                                </p>
+                              )}
+                              <div className="flex items-center gap-4 mt-2 text-xs text-gray-500">
+                                <span className="flex items-center">
+                                  <Clock className="h-3 w-3 mr-1" />
+                                  {new Date(doc.createdAt).toLocaleDateString()}
+                                </span>
+                                {doc.category && (
+                                  <span className="px-2 py-0.5 bg-gray-100 rounded text-gray-600">
+                                    {doc.category}
+                                  </span>
+                                )}
+                              </div>
+                            </div>
+                          </div>
+                          <Link to={`/documents/${doc._id}`} className="flex-shrink-0" title="Open document">
+                            <ExternalLink className="h-5 w-5 text-gray-400 hover:text-primary-600" />
+                          </Link>
                         </div>
                       </div>
-                    </div>
-                    <ExternalLink className="h-5 w-5 text-gray-400" />
+                    ))}
                   </div>
-                </Link>
-              ))}
-            </div>
-          ) : (
-            <div className="text-center py-12 bg-gray-50 rounded-xl">
-              <Search className="h-12 w-12 mx-auto text-gray-300" />
-              <h3 className="mt-4 text-lg font-medium text-gray-900">No results found</h3>
-              <p className="mt-2 text-sm text-gray-500 max-w-sm mx-auto">
-                Try adjusting your search terms or filters. You can also try the AI Q&A mode for natural language queries.
-              </p>
-              <button
-                onClick={() => handleModeChange('ai')}
-                className="mt-4 inline-flex items-center text-sm font-medium text-primary-600 hover:text-primary-500"
-              >
-                <Brain className="h-4 w-4 mr-1" />
-                Try AI Q&A instead
-              </button>
-            </div>
-          )}
+                ) : (
+                  <div className="text-center py-12 bg-gray-50 rounded-xl">
+                    <Search className="h-12 w-12 mx-auto text-gray-300" />
+                    <h3 className="mt-4 text-lg font-medium text-gray-900">No results found</h3>
+                    <p className="mt-2 text-sm text-gray-500 max-w-sm mx-auto">
+                      Try adjusting your search terms or filters. You can also try the AI Q&A mode for natural language queries.
+                    </p>
+                    <button
+                      onClick={() => handleModeChange('ai')}
+                      className="mt-4 inline-flex items-center text-sm font-medium text-primary-600 hover:text-primary-500"
+                    >
+                      <Brain className="h-4 w-4 mr-1" />
+                      Try AI Q&A instead
+                    </button>
+                  </div>
+                )}
+              </>
+            )}
+          </div>
         </div>
       )}
     </div>
+    </div>
   );
 }
 
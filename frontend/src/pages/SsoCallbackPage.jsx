@@ -0,0 +1,114 @@
+/**
+ * =============================================================================
+ * SSO CALLBACK PAGE - BACK FROM THE IDENTITY PROVIDER
+ * =============================================================================
+ *
+ * WHAT IS THIS FILE?
+ * The organization's identity provider sends the browser here after the
+ * user signed in: /sso/callback?code=...&state=...
+ *
+ * FLOW:
+ * 1. Read code and state from the URL
+ * 2. Send them to the backend (loginWithSso) - it checks the sign-in and
+ *    returns our tokens
+ * 3. Two-factor authentication on (or required): ask for the code, like
+ *    the password login does (TwoFactorChallenge)
+ * 4. Go to the page the user wanted (or the dashboard)
+ *
+ * If the provider reports an error (?error=access_denied, ...) or the
+ * sign-in can't be finished, the error is shown with a way back to login.
+ *
+ * =============================================================================
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { Brain, AlertCircle } from 'lucide-react';
+import TwoFactorChallenge from '../components/TwoFactorChallenge';
+
+function SsoCallbackPage() {
+  const [searchParams] = useSearchParams();
+  const { loginWithSso } = useAuth();
+  const navigate = useNavigate();
+  const [error, setError] = useState('');
+
+  // Two-factor step: { challenge, redirectTo }
+  const [twoFactor, setTwoFactor] = useState(null);
+
+  // The code works only once - don't send it twice (StrictMode runs effects twice)
+  const hasStarted = useRef(false);
+
+  useEffect(() => {
+    if (hasStarted.current) return;
+    hasStarted.current = true;
+
+    const finishLogin = async () => {
+      const providerError = searchParams.get('error');
+      if (providerError) {
+        setError(searchParams.get('error_description') || `The identity provider reported: ${providerError}`);
+        return;
+      }
+
+      const code = searchParams.get('code');
+      const state = searchParams.get('state');
+      if (!code || !state) {
+        setError('The sign-in response is incomplete. Please start again.');
+        return;
+      }
+
+      const result = await loginWithSso(code, state);
+
+      if (result.success && result.twoFactorRequired) {
+        setTwoFactor({ challenge: result.challenge, redirectTo: result.redirectTo });
+      } else if (result.success) {
+        navigate(result.redirectTo, { replace: true });
+      } else {
+        setError(result.error || 'Single sign-on failed. Please try again.');
+      }
+    };
+
+    finishLogin();
+  }, [searchParams, loginWithSso, navigate]);
+
+  return (
+    <div className="min-h-screen flex flex-col justify-center py-12 sm:px-6 lg:px-8 bg-gradient-to-br from-gray-50 to-gray-100">
+      <div className="sm:mx-auto sm:w-full sm:max-w-md">
+        <div className="flex justify-center">
+          <Brain className="h-12 w-12 text-primary-600" />
+        </div>
+        <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+          {error ? 'Sign-in failed' : twoFactor ? 'Two-step verification' : 'Signing you in...'}
+        </h2>
+      </div>
+
+      <div className="mt-8 sm:mx-auto sm:w-full sm:max-w-md">
+        <div className="bg-white py-8 px-4 shadow-xl shadow-gray-200/50 sm:rounded-lg sm:px-10 border border-gray-100">
+          {twoFactor ? (
+            <TwoFactorChallenge
+              challenge={twoFactor.challenge}
+              onComplete={() => navigate(twoFactor.redirectTo, { replace: true })}
+              onCancel={() => navigate('/login', { replace: true })}
+            />
+          ) : error ? (
+            <>
+              <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg flex items-start">
+                <AlertCircle className="h-5 w-5 text-red-500 mr-3 mt-0.5 flex-shrink-0" />
+                <p className="text-sm text-red-700">{error}</p>
+              </div>
+              <Link to="/login" className="btn btn-primary w-full">
+                Back to sign in
+              </Link>
+            </>
+          ) : (
+            <div className="flex justify-center">
+              <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-primary-600"></div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default SsoCallbackPage;
@@ -12,6 +12,8 @@
  * - Upload progress indicator
  * - Document metadata form (title, description, category)
  * - Success/error feedback
+ * - Bulk mode: many files, a folder or ZIP archives at once
+ *   (see components/BulkUpload.jsx)
  * 
  * FILE UPLOAD CONCEPTS:
  * 
@@ -34,6 +36,7 @@
 import { useState, useRef, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import api from '../services/api';
+import BulkUpload from '../components/BulkUpload';
 import {
   Upload,
   File,
@@ -50,6 +53,9 @@ function UploadPage() {
   const navigate = useNavigate();
   const fileInputRef = useRef(null);
 
+  // 'single' (one document with full details) or 'bulk'
+  const [mode, setMode] = useState('single');
+
   // File state
   const [file, setFile] = useState(null);
   const [isDragging, setIsDragging] = useState(false);
@@ -76,9 +82,20 @@ function UploadPage() {
     'application/msword',
     'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
     'text/plain',
-    'text/markdown'
+    'text/markdown',
+    'text/html',
+    'text/csv',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    'application/rtf',
+    'application/json',
+    'message/rfc822',
+    'application/mbox'
+  ];
+  const allowedExtensions = [
+    '.pdf', '.doc', '.docx', '.txt', '.md', '.html', '.htm',
+    '.csv', '.xlsx', '.pptx', '.rtf', '.json', '.eml', '.mbox'
   ];
-  const allowedExtensions = ['.pdf', '.doc', '.docx', '.txt', '.md'];
     const [processingStatus, setProcessingStatus] = useState(null);
     const [processingError, setProcessingError] = useState(null);
   const maxFileSize = 10 * 1024 * 1024; // 10MB
@@ -90,7 +107,7 @@ function UploadPage() {
     if (!allowedTypes.includes(file.type)) {
       const ext = file.name.toLowerCase().slice(file.name.lastIndexOf('.'));
       if (!allowedExtensions.includes(ext)) {
-        return 'Invalid file type. Please upload PDF, DOC, DOCX, or TXT files.';
+        return 'Invalid file type. Please upload PDF, Word, Excel, PowerPoint, CSV, HTML, RTF, JSON, email or text files.';
       }
     }
     if (file.size > maxFileSize) {
@@ -292,6 +309,8 @@ function UploadPage() {
     const ext = fileName?.toLowerCase().split('.').pop();
     if (ext === 'pdf') return { color: 'text-red-500', bg: 'bg-red-50' };
     if (['doc', 'docx'].includes(ext)) return { color: 'text-blue-500', bg: 'bg-blue-50' };
+    if (['xlsx', 'csv'].includes(ext)) return { color: 'text-green-600', bg: 'bg-green-50' };
+    if (ext === 'pptx') return { color: 'text-orange-500', bg: 'bg-orange-50' };
     return { color: 'text-gray-500', bg: 'bg-gray-50' };
   };
 
@@ -367,13 +386,32 @@ function UploadPage() {
   return (
     <div className="max-w-2xl mx-auto space-y-6">
       {/* Page Header */}
-      <div>
-        <h1 className="text-2xl font-bold text-gray-900">Upload Document</h1>
-        <p className="mt-1 text-sm text-gray-500">
-          Add new documents to the knowledge base for AI-powered search
-        </p>
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">
+            {mode === 'bulk' ? 'Bulk Upload' : 'Upload Document'}
+          </h1>
+          <p className="mt-1 text-sm text-gray-500">
+            Add new documents to the knowledge base for AI-powered search
+          </p>
+        </div>
+        <div className="flex rounded-lg border border-gray-200 p-0.5 bg-gray-50 flex-shrink-0">
+          {[['single', 'Single file'], ['bulk', 'Bulk upload']].map(([value, label]) => (
+            <button
+              key={value}
+              type="button"
+              onClick={() => setMode(value)}
+              className={`px-3 py-1.5 text-sm font-medium rounded-md ${
+                mode === value ? 'bg-white text-gray-900 shadow-sm' : 'text-gray-500 hover:text-gray-900'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
       </div>
 
+      {mode === 'bulk' ? <BulkUpload /> : (
       <form onSubmit={handleSubmit} className="space-y-6">
         {/* Error Message */}
         {uploadError && (
@@ -403,7 +441,7 @@ function UploadPage() {
           <input
             ref={fileInputRef}
             type="file"
-            accept=".pdf,.doc,.docx,.txt"
+            accept={allowedExtensions.join(',')}
             onChange={handleFileSelect}
             className="hidden"
             id="file-upload"
@@ -445,7 +483,7 @@ function UploadPage() {
                 </p>
               </div>
               <p className="mt-4 text-xs text-gray-400">
-                Supported: PDF, DOC, DOCX, TXT (Max 10MB)
+                Supported: PDF, DOC, DOCX, XLSX, CSV, PPTX, HTML, RTF, JSON, EML, MBOX, TXT, MD (Max 10MB)
               </p>
             </>
           )}
@@ -600,6 +638,7 @@ function UploadPage() {
           </button>
         </div>
       </form>
+      )}
     </div>
   );
 }
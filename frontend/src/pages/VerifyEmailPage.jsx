@@ -0,0 +1,162 @@
+/**
+ * =============================================================================
+ * VERIFY EMAIL PAGE - CONFIRM AN EMAIL ADDRESS
+ * =============================================================================
+ *
+ * WHAT IS THIS FILE?
+ * Opened from the verification email: /verify-email?token=...
+ *
+ * The token is sent to the backend as soon as the page opens. If the link
+ * expired, the user can ask for a new one here.
+ *
+ * =============================================================================
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import api from '../services/api';
+import { Brain, AlertCircle, CheckCircle, Mail } from 'lucide-react';
+
+function VerifyEmailPage() {
+  const [searchParams] = useSearchParams();
+  const { isAuthenticated, refreshUser } = useAuth();
+
+  const [status, setStatus] = useState('verifying'); // verifying | verified | failed
+  const [message, setMessage] = useState('');
+
+  // New link form (expired links)
+  const [email, setEmail] = useState('');
+  const [resendMessage, setResendMessage] = useState('');
+  const [isResending, setIsResending] = useState(false);
+
+  // The link works once - don't send it twice (StrictMode runs effects twice)
+  const hasStarted = useRef(false);
+
+  useEffect(() => {
+    if (hasStarted.current) return;
+    hasStarted.current = true;
+
+    const verify = async () => {
+      const token = searchParams.get('token');
+      if (!token) {
+        setStatus('failed');
+        setMessage('This verification link is incomplete.');
+        return;
+      }
+
+      try {
+        const response = await api.post('/auth/verify-email', { token });
+        setStatus('verified');
+        setMessage(response.message);
+        if (isAuthenticated) {
+          refreshUser();
+        }
+      } catch (err) {
+        setStatus('failed');
+        setMessage(
+          err.response?.data?.errors?.[0]?.message
+          || err.response?.data?.message
+          || 'This verification link is invalid or has expired.'
+        );
+      }
+    };
+
+    verify();
+  }, [searchParams, isAuthenticated, refreshUser]);
+
+  const handleResend = async (e) => {
+    e.preventDefault();
+    if (!email.trim()) return;
+
+    setIsResending(true);
+    try {
+      const response = await api.post('/auth/verify-email/resend', { email: email.trim() });
+      setResendMessage(response.message);
+    } catch (err) {
+      setResendMessage(
+        err.response?.data?.errors?.[0]?.message
+        || err.response?.data?.message
+        || 'Could not send a new link. Please try again.'
+      );
+    } finally {
+      setIsResending(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex flex-col justify-center py-12 sm:px-6 lg:px-8 bg-gradient-to-br from-gray-50 to-gray-100">
+      <div className="sm:mx-auto sm:w-full sm:max-w-md">
+        <div className="flex justify-center">
+          <Brain className="h-12 w-12 text-primary-600" />
+        </div>
+        <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+          {status === 'verifying' ? 'Verifying your email...' : status === 'verified' ? 'Email verified' : 'Verification failed'}
+        </h2>
+      </div>
+
+      <div className="mt-8 sm:mx-auto sm:w-full sm:max-w-md">
+        <div className="bg-white py-8 px-4 shadow-xl shadow-gray-200/50 sm:rounded-lg sm:px-10 border border-gray-100">
+          {status === 'verifying' && (
+            <div className="flex justify-center">
+              <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-primary-600"></div>
+            </div>
+          )}
+
+          {status === 'verified' && (
+            <>
+              <div className="mb-6 p-4 bg-green-50 border border-green-200 rounded-lg flex items-start">
+                <CheckCircle className="h-5 w-5 text-green-500 mr-3 mt-0.5 flex-shrink-0" />
+                <p className="text-sm text-green-700">{message}</p>
+              </div>
+              <Link to={isAuthenticated ? '/dashboard' : '/login'} className="btn btn-primary w-full">
+                {isAuthenticated ? 'Go to dashboard' : 'Sign in'}
+              </Link>
+            </>
+          )}
+
+          {status === 'failed' && (
+            <>
+              <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg flex items-start">
+                <AlertCircle className="h-5 w-5 text-red-500 mr-3 mt-0.5 flex-shrink-0" />
+                <p className="text-sm text-red-700">{message}</p>
+              </div>
+
+              {resendMessage ? (
+                <p className="mb-6 text-sm text-gray-700">{resendMessage}</p>
+              ) : (
+                <form onSubmit={handleResend} className="mb-6 space-y-3">
+                  <label htmlFor="resend-email" className="block text-sm font-medium text-gray-700">
+                    Get a new link
+                  </label>
+                  <div className="relative">
+                    <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                      <Mail className="h-5 w-5 text-gray-400" />
+                    </div>
+                    <input
+                      id="resend-email"
+                      type="email"
+                      value={email}
+                      onChange={(e) => setEmail(e.target.value)}
+                      className="input pl-10"
+                      placeholder="you@company.com"
+                    />
+                  </div>
+                  <button type="submit" disabled={isResending} className="btn btn-secondary w-full">
+                    {isResending ? 'Sending...' : 'Send new link'}
+                  </button>
+                </form>
+              )}
+
+              <Link to="/login" className="btn btn-primary w-full">
+                Back to sign in
+              </Link>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default VerifyEmailPage;
@@ -17,7 +17,7 @@
  * - Automatic JWT token attachment
  * - Error response parsing
  * - Request/response logging (development)
- * - Token refresh handling (future)
+ * - Silent token refresh (access tokens expire after ~15 minutes)
  * 
  * USAGE:
  * import api from '../services/api';
@@ -58,10 +58,130 @@ const axiosInstance = axios.create({
 /**
  * Token storage
  * 
- * We keep the token in memory for quick access.
- * It's also stored in localStorage for persistence.
+ * We keep the tokens in memory for quick access.
+ * They're also stored in localStorage for persistence (by AuthContext,
+ * and by refreshAccessToken() below when they are renewed).
  */
+const TOKEN_KEY = 'aiksp_token';
+const REFRESH_TOKEN_KEY = 'aiksp_refresh_token';
+
 let authToken = null;
+let refreshToken = null;
+
+/**
+ * Listeners notified with the new access token after a silent refresh
+ * (AuthContext keeps its state in sync through this)
+ */
+const refreshListeners = new Set();
+
+// Requests that must never trigger a refresh-and-retry
+// (a 401 from the login steps means a wrong code, not an expired session)
+const AUTH_ENDPOINTS = [
+  '/auth/login',
+  '/auth/register',
+  '/auth/refresh',
+  '/auth/2fa/verify',
+  '/auth/2fa/setup/challenge',
+  '/auth/sso',
+  '/auth/forgot-password',
+  '/auth/reset-password',
+  '/auth/verify-email'
+];
+
+const isAuthEndpoint = (url = '') => AUTH_ENDPOINTS.some((path) => url.startsWith(path));
+
+/**
+ * storeTokens()
+ * 
+ * WHAT: Keeps a renewed token pair in memory and localStorage
+ */
+const storeTokens = (newToken, newRefreshToken) => {
+  authToken = newToken;
+  refreshToken = newRefreshToken;
+  localStorage.setItem(TOKEN_KEY, newToken);
+  localStorage.setItem(REFRESH_TOKEN_KEY, newRefreshToken);
+  refreshListeners.forEach((listener) => listener(newToken));
+};
+
+/**
+ * refreshAccessToken()
+ * 
+ * WHAT: Trades the refresh token for a new access token
+ * OUTPUT: The new access token (throws if the session has ended)
+ * 
+ * SINGLE FLIGHT:
+ * Several requests can fail with 401 at once when the token expires.
+ * They all wait for the same refresh instead of each starting one -
+ * refresh tokens are single-use.
+ * 
+ * OTHER TABS:
+ * All tabs share localStorage. If another tab refreshed first, our
+ * refresh token is already used up: we pick up the tokens it stored
+ * instead.
+ */
+let refreshPromise = null;
+
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const current = localStorage.getItem(REFRESH_TOKEN_KEY) || refreshToken;
+
+      if (!current) {
+        throw new Error('No refresh token');
+      }
+
+      try {
+        // Plain axios: this request must not go through our interceptors
+        const response = await axios.post(`${BASE_URL}/auth/refresh`, { refreshToken: current });
+        const { token: newToken, refreshToken: newRefreshToken } = response.data.data;
+
+        storeTokens(newToken, newRefreshToken);
+        return newToken;
+      } catch (error) {
+        // Another tab won the race - use what it stored
+        const latest = localStorage.getItem(REFRESH_TOKEN_KEY);
+        if (error.response?.status === 401 && latest && latest !== current) {
+          storeTokens(localStorage.getItem(TOKEN_KEY), latest);
+          return authToken;
+        }
+        throw error;
+      }
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+
+  return refreshPromise;
+};
+
+/**
+ * handleUnauthorized()
+ * 
+ * WHAT: Clears the session and sends the user to login after a 401
+ * 
+ * Login/signup pages are left alone so they can show the error themselves.
+ * Shared by the axios interceptor and streaming requests.
+ */
+const handleUnauthorized = () => {
+  const currentPath = window.location.pathname;
+  const isAuthPage = currentPath.includes('/login') || 
+                     currentPath.includes('/signup') || 
+                     currentPath.includes('/register') ||
+                     currentPath.includes('/sso/') ||
+                     currentPath.includes('/forgot-password') ||
+                     currentPath.includes('/reset-password') ||
+                     currentPath.includes('/verify-email');
+  
+  if (!isAuthPage) {
+    // Token expired or invalid - only clear and redirect if not on auth pages
+    authToken = null;
+    refreshToken = null;
+    localStorage.removeItem(TOKEN_KEY);
+    localStorage.removeItem(REFRESH_TOKEN_KEY);
+    localStorage.removeItem('aiksp_user');
+    window.location.href = '/login';
+  }
+};
 
 /**
  * REQUEST INTERCEPTOR
@@ -94,7 +214,10 @@ axiosInstance.interceptors.request.use(
  * Runs after every response is received.
  * We use it for:
  * - Extracting the data from axios response
- * - Handling 401 errors (token expired)
+ * - Handling 401 errors (token expired): refresh once and retry the
+ *   request; log out if the session can't be refreshed
+ * - Logging out when the organization starts requiring a verified email
+ *   (403 EMAIL_NOT_VERIFIED) - the login page offers a new link
  * - Logging
  */
 axiosInstance.interceptors.response.use(
@@ -107,28 +230,41 @@ axiosInstance.interceptors.response.use(
     // Return the data directly
     return response.data;
   },
-  (error) => {
+  async (error) => {
     // Log errors in development
     if (import.meta.env.DEV) {
       console.error(`❌ ${error.config?.method?.toUpperCase()} ${error.config?.url} → ${error.response?.status}`);
     }
     
-    // Handle 401 Unauthorized
-    if (error.response?.status === 401) {
-      // Check if this is a login/signup page - don't redirect, let the page handle the error
-      const currentPath = window.location.pathname;
-      const isAuthPage = currentPath.includes('/login') || 
-                         currentPath.includes('/signup') || 
-                         currentPath.includes('/register');
-      
-      if (!isAuthPage) {
-        // Token expired or invalid - only clear and redirect if not on auth pages
-        authToken = null;
-        localStorage.removeItem('aiksp_token');
-        localStorage.removeItem('aiksp_user');
-        window.location.href = '/login';
+    const originalRequest = error.config;
+
+    // Access token expired - refresh it and replay the request once
+    if (
+      error.response?.status === 401 &&
+      originalRequest &&
+      !originalRequest._retry &&
+      !isAuthEndpoint(originalRequest.url) &&
+      refreshToken
+    ) {
+      originalRequest._retry = true;
+
+      try {
+        await refreshAccessToken();
+        return axiosInstance(originalRequest);
+      } catch (refreshError) {
+        // Session ended (not just a network hiccup) - back to login
+        const status = refreshError.response?.status;
+        if (status === 400 || status === 401) {
+          handleUnauthorized();
+        }
+        return Promise.reject(error);
       }
     }
+
+    // Handle 401 Unauthorized (and sessions of unverified emails)
+    if (error.response?.status === 401 || error.response?.data?.code === 'EMAIL_NOT_VERIFIED') {
+      handleUnauthorized();
+    }
     
     // Return a rejected promise with error details
     return Promise.reject(error);
@@ -152,14 +288,38 @@ const api = {
     authToken = token;
   },
 
+  /**
+   * setRefreshToken()
+   * 
+   * WHAT: Sets the refresh token used to renew expired access tokens
+   * CALLED BY: AuthContext after login
+   */
+  setRefreshToken: (token) => {
+    refreshToken = token;
+  },
+
   /**
    * clearToken()
    * 
-   * WHAT: Clears the JWT token
+   * WHAT: Clears the JWT and refresh tokens
    * CALLED BY: AuthContext on logout
    */
   clearToken: () => {
     authToken = null;
+    refreshToken = null;
+  },
+
+  /**
+   * onTokenRefreshed()
+   * 
+   * WHAT: Subscribes to silent token refreshes
+   * INPUT: listener(newToken)
+   * OUTPUT: Function that unsubscribes
+   * CALLED BY: AuthContext
+   */
+  onTokenRefreshed: (listener) => {
+    refreshListeners.add(listener);
+    return () => refreshListeners.delete(listener);
   },
 
   /**
@@ -232,12 +392,24 @@ const api = {
   /**
    * download()
    * 
-   * WHAT: Downloads a file as a blob
-   * INPUT: url (string)
-   * OUTPUT: Blob data
+   * WHAT: Gets a signed, short-lived URL for a file
+   * INPUT: url (string) - endpoint that issues the link,
+   *        disposition - 'attachment' (save) or 'inline' (open in browser)
+   * OUTPUT: Absolute URL the browser can open without our token
+   * 
+   * EXAMPLE:
+   * window.open(await api.download('/documents/123/download', 'inline'));
    */
-  download: (url) => {
-    return axiosInstance.get(url, { responseType: 'blob' });
+  download: async (url, disposition = 'attachment') => {
+    const response = await axiosInstance.get(url, { params: { disposition } });
+    const fileUrl = response.data.url;
+
+    // Signed URLs are paths on the API server - resolve them against
+    // VITE_API_URL when the API lives on another origin
+    if (/^https?:\/\//.test(BASE_URL)) {
+      return new URL(fileUrl, BASE_URL).toString();
+    }
+    return fileUrl;
   },
 
   /**
@@ -265,6 +437,103 @@ const api = {
       ...config,
     });
   },
+
+  /**
+   * stream()
+   * 
+   * WHAT: POSTs JSON and reads the response as Server-Sent Events
+   * INPUT: url (string), data (request body), { onEvent(event, data), signal }
+   * OUTPUT: Promise that resolves when the stream ends
+   * 
+   * WHY NOT AXIOS?
+   * Axios (XHR) only hands us the body once it's complete. fetch() lets us
+   * read it piece by piece, and EventSource can't send a POST body or
+   * an Authorization header.
+   * 
+   * Errors before the stream starts are thrown in the same shape as axios
+   * errors (err.response.status / err.response.data), so callers can
+   * handle both the same way.
+   * 
+   * EXAMPLE:
+   * await api.stream('/search/ask/stream', { question }, {
+   *   onEvent: (event, data) => { if (event === 'token') append(data.text); },
+   * });
+   */
+  stream: async (url, data = {}, { onEvent = () => {}, signal } = {}) => {
+    const send = () => fetch(`${BASE_URL}${url}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'text/event-stream',
+        ...(authToken ? { Authorization: `Bearer ${authToken}` } : {}),
+      },
+      body: JSON.stringify(data),
+      signal,
+    });
+
+    let response = await send();
+
+    // Same silent refresh as the axios interceptor
+    if (response.status === 401 && refreshToken) {
+      try {
+        await refreshAccessToken();
+        response = await send();
+      } catch {
+        // Falls through to the 401 handling below
+      }
+    }
+
+    if (!response.ok) {
+      const error = new Error(`Request failed with status ${response.status}`);
+      error.response = {
+        status: response.status,
+        data: await response.json().catch(() => ({})),
+      };
+
+      if (response.status === 401) {
+        handleUnauthorized();
+      }
+
+      throw error;
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    // Events are separated by a blank line: "event: x\ndata: {...}\n\n"
+    const dispatch = (block) => {
+      let event = 'message';
+      const dataLines = [];
+
+      block.split('\n').forEach((line) => {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        if (line.startsWith('data:')) dataLines.push(line.slice(5).trim());
+      });
+
+      if (dataLines.length > 0) {
+        onEvent(event, JSON.parse(dataLines.join('\n')));
+      }
+    };
+
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+
+      let boundary = buffer.indexOf('\n\n');
+      while (boundary !== -1) {
+        dispatch(buffer.slice(0, boundary));
+        buffer = buffer.slice(boundary + 2);
+        boundary = buffer.indexOf('\n\n');
+      }
+    }
+
+    if (buffer.trim()) {
+      dispatch(buffer);
+    }
+  },
 };
 
 export default api;